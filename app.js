@@ -38,6 +38,7 @@ console.log('✅ Jobs router loaded successfully');
 const { recommendationIndex } = require('./recommendation/fastIndex');
 // const cacheWarmer = require('./services/cacheWarmer'); // Temporarily disabled for deployment
 const { warmSourceCache } = require('./utils/sourceCache'); // Source caching for performance
+const { refreshExperiments } = require('./utils/experiments'); // P3-1: running A/B experiments
 require('dotenv').config();
 const app = express();
 
@@ -136,6 +137,10 @@ mongoose.connect(process.env.MONGO_URI, {
             }
         }, 3000); // Warm early for faster first requests
 
+        // Load running experiments before the first feed request; until then
+        // everyone is served the defaults.
+        refreshExperiments().catch(() => {});
+
         // Initialize cache warmer service
         setTimeout(() => {
             initializeCacheWarmer();
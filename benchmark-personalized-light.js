@@ -2,7 +2,7 @@
 /**
  * Benchmark: recency vs Atlas $vectorSearch candidate retrieval for the
  * personalized-light feed. Mirrors the two candidate queries in
- * routes/articles.js (computePersonalizedLight) so you can compare latency and
+ * services/feedStages.js (recencyCandidates / vectorCandidates) so you can compare latency and
  * result overlap for a real user BEFORE flipping PERS_LIGHT_VECTOR=1 in prod.
  *
  * This replicates the candidate-retrieval stage only (not the full blended
@@ -0,0 +1,84 @@
+/**
+ * Background Job: Aggregate Reel Retention
+ *
+ * Recomputes Reel.retention (completion, loop and early-drop rates,
+ * midpoint retention) for every reel whose ReelWatchBucket telemetry
+ * changed since the last run, from its buckets over the last WINDOW_DAYS
+ * (services/reelRetention.js). The feed scorers read the summary, so it
+ * is only as fresh as the last run; GET /api/videos/reels/:reelId/retention
+ * builds the full curve straight from the buckets.
+ *
+ * The lookback is twice the schedule interval, so a missed or slow run
+ * doesn't drop reels.
+ *
+ * SCHEDULING (Cloud Scheduler):
+ *   gcloud scheduler jobs create http aggregate-reel-retention \
+ *     --schedule="0,15,30,45 * * * *" \
+ *     --uri="https://YOUR_BACKEND/api/jobs/aggregate-reel-retention" \
+ *     --http-method=POST \
+ *     --headers="x-api-key=YOUR_ADMIN_API_KEY"
+ */
+
+const Reel = require('../models/Reel');
+const ReelWatchBucket = require('../models/ReelWatchBucket');
+const {
+  RETENTION,
+  buildRetention,
+  retentionSummary,
+  retentionWindow,
+} = require('../services/reelRetention');
+
+const LOOKBACK_MINUTES = parseInt(process.env.RETENTION_LOOKBACK_MINUTES, 10) || 30;
+const CHUNK_SIZE = 100;
+
+async function aggregateReelRetention({ lookbackMinutes = LOOKBACK_MINUTES, days = RETENTION.WINDOW_DAYS } = {}) {
+  const startTime = Date.now();
+  console.log(`🚀 Starting reel retention aggregation at ${new Date().toISOString()}`);
+
+  try {
+    const since = new Date(startTime - lookbackMinutes * 60 * 1000);
+    const reelIds = await ReelWatchBucket.distinct('reelId', { updatedAt: { $gte: since } });
+    const { from } = retentionWindow(days, startTime);
+    console.log(`📊 ${reelIds.length} reels with new playback telemetry`);
+
+    let updated = 0;
+    for (let i = 0; i < reelIds.length; i += CHUNK_SIZE) {
+      const chunk = reelIds.slice(i, i + CHUNK_SIZE);
+      const [buckets, reels] = await Promise.all([
+        ReelWatchBucket.find({ reelId: { $in: chunk }, hour: { $gte: from } }).lean(),
+        Reel.find({ _id: { $in: chunk } }).select('_id hls.duration').lean(),
+      ]);
+
+      const bucketsByReel = new Map();
+      for (const bucket of buckets) {
+        const key = String(bucket.reelId);
+        if (!bucketsByReel.has(key)) bucketsByReel.set(key, []);
+        bucketsByReel.get(key).push(bucket);
+      }
+
+      const now = new Date();
+      const ops = reels.map(reel => {
+        const retention = buildRetention(bucketsByReel.get(String(reel._id)) || [], { duration: reel.hls?.duration });
+        return {
+          updateOne: {
+            filter: { _id: reel._id },
+            update: { $set: { retention: retentionSummary(retention, now) } },
+          },
+        };
+      });
+      if (ops.length > 0) {
+        const res = await Reel.bulkWrite(ops, { ordered: false });
+        updated += res.modifiedCount || 0;
+      }
+    }
+
+    const durationMs = Date.now() - startTime;
+    console.log(`✅ Reel retention done: ${updated}/${reelIds.length} reels updated (${durationMs}ms)`);
+    return { success: true, reels: reelIds.length, updated, durationMs };
+  } catch (error) {
+    console.error('❌ Error in aggregateReelRetention:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { aggregateReelRetention };
@@ -0,0 +1,85 @@
+/**
+ * Background Job: Revisit Recent Articles
+ *
+ * Re-scrapes articles younger than REVISIT_MAX_AGE_HOURS so publisher edits
+ * (corrections, updated figures, new headlines) reach readers. Each article
+ * is revisited at most once per REVISIT_INTERVAL_MINUTES, least recently
+ * checked first; scraper/revisit.js does the fetch, comparison and update.
+ *
+ * Requests go through the politeness scheduler like every other scrape, so
+ * a batch is paced per host and skips hosts that are backing off.
+ *
+ * SCHEDULING (Cloud Scheduler):
+ *   gcloud scheduler jobs create http revisit-articles \
+ *     --schedule="15,45 * * * *" \
+ *     --uri="https://YOUR_BACKEND/api/jobs/revisit-articles" \
+ *     --http-method=POST \
+ *     --headers="x-api-key=YOUR_ADMIN_API_KEY"
+ */
+
+const Article = require('../models/Article');
+const Source = require('../models/Source');
+const { revisitArticle } = require('../scraper/revisit');
+
+const MAX_AGE_HOURS = parseInt(process.env.REVISIT_MAX_AGE_HOURS, 10) || 24;
+const INTERVAL_MINUTES = parseInt(process.env.REVISIT_INTERVAL_MINUTES, 10) || 60;
+const BATCH_SIZE = parseInt(process.env.REVISIT_BATCH_SIZE, 10) || 150;
+// Stay well inside the scheduler's HTTP deadline; the rest waits for the next run.
+const MAX_RUN_MS = 10 * 60 * 1000;
+
+async function revisitRecentArticles({ maxAgeHours = MAX_AGE_HOURS, limit = BATCH_SIZE } = {}) {
+  const startTime = Date.now();
+  console.log(`🚀 Starting article revisit at ${new Date().toISOString()}`);
+
+  try {
+    const now = new Date();
+    const articles = await Article.find({
+      publishedAt: { $gte: new Date(now - maxAgeHours * 60 * 60 * 1000), $lte: now },
+      url: { $type: 'string' },
+      $or: [
+        { lastRevisitedAt: null },
+        { lastRevisitedAt: { $lt: new Date(now - INTERVAL_MINUTES * 60 * 1000) } },
+      ],
+    })
+      .sort({ lastRevisitedAt: 1, publishedAt: -1 })
+      .limit(limit)
+      .select('_id title content url sourceId publishedAt contentBaselinedAt')
+      .lean();
+
+    const sourceIds = [...new Set(articles.map(a => String(a.sourceId)))];
+    const sources = new Map(
+      (await Source.find({ _id: { $in: sourceIds } })).map(s => [String(s._id), s])
+    );
+
+    const counts = { revised: 0, baselined: 0, unchanged: 0, suspect: 0, failed: 0, skipped: 0 };
+    for (const article of articles) {
+      if (Date.now() - startTime > MAX_RUN_MS) {
+        console.log('⏱️ Revisit time budget reached, leaving the rest for the next run');
+        break;
+      }
+      const source = sources.get(String(article.sourceId));
+      // Suspended/blocked sources aren't scraped, so they aren't revisited either.
+      if (!source || (source.status && source.status !== 'active')) {
+        counts.skipped++;
+        await Article.updateOne({ _id: article._id }, { $set: { lastRevisitedAt: now } });
+        continue;
+      }
+      try {
+        counts[await revisitArticle(article, source, { now })]++;
+      } catch (err) {
+        console.error(`❌ Revisit error for ${article.url}:`, err.message);
+        counts.failed++;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`✅ Revisited ${articles.length} articles in ${duration}ms: ${JSON.stringify(counts)}`);
+
+    return { success: true, processed: articles.length, ...counts, durationMs: duration };
+  } catch (error) {
+    console.error('❌ Error in revisitRecentArticles:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { revisitRecentArticles };
@@ -0,0 +1,91 @@
+/**
+ * Background Job: Transcode Reels to HLS
+ *
+ * Turns each reel's single MP4 into an HLS adaptive-bitrate ladder
+ * (240p/480p/720p, services/HlsTranscoder.js) with a master playlist stored
+ * next to the reel's originalKey, then sets Reel.hlsUrl so feed responses
+ * can hand players the manifest instead of the MP4.
+ *
+ * Newest reels first, TRANSCODE_BATCH_SIZE per run. Each reel is claimed
+ * ('processing') before encoding so overlapping runs don't double-encode;
+ * failures are retried on later runs up to MAX_ATTEMPTS, and claims older
+ * than an hour are treated as abandoned (services/reelJobQueue.js).
+ * Encoding is CPU-bound and runs one reel at a time.
+ *
+ * SCHEDULING (Cloud Scheduler):
+ *   gcloud scheduler jobs create http transcode-reels \
+ *     --schedule="5,35 * * * *" \
+ *     --uri="https://YOUR_BACKEND/api/jobs/transcode-reels" \
+ *     --http-method=POST \
+ *     --headers="x-api-key=YOUR_ADMIN_API_KEY"
+ */
+
+const Reel = require('../models/Reel');
+const { hlsTranscoder, pendingTranscodeQuery } = require('../services/HlsTranscoder');
+const { claimNextReel } = require('../services/reelJobQueue');
+
+const BATCH_SIZE = parseInt(process.env.TRANSCODE_BATCH_SIZE, 10) || 5;
+// Stay well inside the scheduler's HTTP deadline; the rest waits for the next run.
+const MAX_RUN_MS = 20 * 60 * 1000;
+
+// Atomically move one pending reel to 'processing'. Null when none are left.
+async function claimNextTranscode() {
+  return claimNextReel('hls')
+    .select('_id videoUrl originalKey hls')
+    .lean();
+}
+
+async function transcodeReels({ limit = BATCH_SIZE } = {}) {
+  const startTime = Date.now();
+  console.log(`🚀 Starting reel transcode at ${new Date().toISOString()}`);
+
+  const result = { success: true, processed: 0, transcoded: 0, failed: 0, timedOut: false };
+
+  try {
+    while (result.processed < limit) {
+      if (Date.now() - startTime > MAX_RUN_MS) {
+        result.timedOut = true;
+        break;
+      }
+      const reel = await claimNextTranscode();
+      if (!reel) break;
+      result.processed++;
+
+      try {
+        const out = await hlsTranscoder.transcode(reel);
+        await Reel.updateOne(
+          { _id: reel._id },
+          {
+            $set: {
+              hlsUrl: out.masterUrl,
+              'hls.status': 'ready',
+              'hls.masterKey': out.masterKey,
+              'hls.renditions': out.renditions,
+              'hls.duration': out.duration,
+              'hls.transcodedAt': new Date(),
+            },
+          }
+        );
+        result.transcoded++;
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Transcode failed for reel ${reel._id} (attempt ${reel.hls?.attempts}): ${error.message}`);
+        await Reel.updateOne(
+          { _id: reel._id },
+          { $set: { 'hls.status': 'failed', 'hls.error': String(error.message).slice(0, 500) } }
+        );
+      }
+    }
+
+    const remaining = await Reel.countDocuments(pendingTranscodeQuery());
+    result.remaining = remaining;
+    result.durationMs = Date.now() - startTime;
+    console.log(`✅ Reel transcode done: ${result.transcoded}/${result.processed} transcoded, ${result.failed} failed, ${remaining} pending (${result.durationMs}ms)`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error in transcodeReels:', error);
+    return { ...result, success: false, error: error.message };
+  }
+}
+
+module.exports = { transcodeReels };
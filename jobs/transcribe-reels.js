@@ -0,0 +1,125 @@
+/**
+ * Background Job: Transcribe Reels
+ *
+ * Runs each reel's audio through speech-to-text (services/ReelTranscriber.js,
+ * backend picked by TRANSCRIBE_BACKEND), uploads WebVTT captions next to
+ * the MP4 and stores the transcript on the reel (Reel.transcript,
+ * Reel.captionsUrl). Reels with speech are then re-embedded from caption +
+ * transcript, so what is said reaches the personalised feed and related
+ * reels, and the transcript becomes searchable via
+ * GET /api/videos/reels/search.
+ *
+ * Newest reels first, TRANSCRIBE_BATCH_SIZE per run. Claiming, retries
+ * (MAX_ATTEMPTS) and abandoned claims are the shared reel job queue
+ * (services/reelJobQueue.js). One reel at a time: local Whisper is
+ * CPU-bound.
+ *
+ * SCHEDULING (Cloud Scheduler):
+ *   gcloud scheduler jobs create http transcribe-reels \
+ *     --schedule="20,50 * * * *" \
+ *     --uri="https://YOUR_BACKEND/api/jobs/transcribe-reels" \
+ *     --http-method=POST \
+ *     --headers="x-api-key=YOUR_ADMIN_API_KEY"
+ */
+
+const Reel = require('../models/Reel');
+const { getDeepSeekEmbedding } = require('../utils/deepseek');
+const { convertToPCAEmbedding } = require('../utils/pcaEmbedding');
+const {
+  reelTranscriber,
+  pendingTranscriptionQuery,
+  languageHint,
+  embeddingInput,
+} = require('../services/ReelTranscriber');
+const { claimNextReel } = require('../services/reelJobQueue');
+
+const BATCH_SIZE = parseInt(process.env.TRANSCRIBE_BATCH_SIZE, 10) || 10;
+// Stay well inside the scheduler's HTTP deadline; the rest waits for the next run.
+const MAX_RUN_MS = 20 * 60 * 1000;
+
+// Atomically move one pending reel to 'processing'. Null when none are left.
+async function claimNextTranscription() {
+  return claimNextReel('transcript')
+    .select('_id videoUrl originalKey caption source transcript.attempts')
+    .populate('source', 'language')
+    .lean();
+}
+
+// New embeddings from caption + transcript. Failures are logged and leave
+// the old embedding in place; the transcript is still saved.
+async function reembed(reel, text) {
+  try {
+    const embedding = await getDeepSeekEmbedding(embeddingInput(reel, text));
+    if (!embedding || embedding.length !== 1536) return false;
+    const update = { embedding };
+    const embedding_pca = await convertToPCAEmbedding(embedding);
+    if (embedding_pca) update.embedding_pca = embedding_pca;
+    await Reel.updateOne({ _id: reel._id }, { $set: update });
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Re-embedding failed for reel ${reel._id}: ${error.message}`);
+    return false;
+  }
+}
+
+async function transcribeReels({ limit = BATCH_SIZE } = {}) {
+  const startTime = Date.now();
+  console.log(`🚀 Starting reel transcription at ${new Date().toISOString()}`);
+
+  const result = { success: true, processed: 0, transcribed: 0, noAudio: 0, reembedded: 0, failed: 0, timedOut: false };
+
+  try {
+    while (result.processed < limit) {
+      if (Date.now() - startTime > MAX_RUN_MS) {
+        result.timedOut = true;
+        break;
+      }
+      const reel = await claimNextTranscription();
+      if (!reel) break;
+      result.processed++;
+
+      try {
+        const out = await reelTranscriber.transcribe(reel, { language: languageHint(reel.source?.language) });
+        await Reel.updateOne(
+          { _id: reel._id },
+          {
+            $set: {
+              captionsUrl: out.captionsUrl,
+              'transcript.status': out.status,
+              'transcript.text': out.text || null,
+              'transcript.language': out.language,
+              'transcript.segments': out.segments,
+              'transcript.captionsKey': out.captionsKey,
+              'transcript.backend': out.backend,
+              'transcript.transcribedAt': new Date(),
+            },
+          }
+        );
+        if (out.status === 'no_audio') {
+          result.noAudio++;
+          continue;
+        }
+        result.transcribed++;
+        if (out.text && await reembed(reel, out.text)) result.reembedded++;
+      } catch (error) {
+        result.failed++;
+        console.error(`❌ Transcription failed for reel ${reel._id} (attempt ${reel.transcript?.attempts}): ${error.message}`);
+        await Reel.updateOne(
+          { _id: reel._id },
+          { $set: { 'transcript.status': 'failed', 'transcript.error': String(error.message).slice(0, 500) } }
+        );
+      }
+    }
+
+    const remaining = await Reel.countDocuments(pendingTranscriptionQuery());
+    result.remaining = remaining;
+    result.durationMs = Date.now() - startTime;
+    console.log(`✅ Reel transcription done: ${result.transcribed}/${result.processed} transcribed, ${result.noAudio} without audio, ${result.reembedded} re-embedded, ${result.failed} failed, ${remaining} pending (${result.durationMs}ms)`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error in transcribeReels:', error);
+    return { ...result, success: false, error: error.message };
+  }
+}
+
+module.exports = { transcribeReels };
@@ -0,0 +1,127 @@
+/**
+ * Background Job: Update Article Neighbours (item-item CF)
+ *
+ * Rebuilds ArticleNeighbors for articles published in the last
+ * RECENT_DAYS: for each one, the NEIGHBORS_PER_ARTICLE articles most
+ * co-engaged by the same users (services/itemNeighbors.js). Input is
+ * UserActivity views / read time / saves / likes on those articles plus
+ * User.liked_articles, so the likes of users whose activity log has
+ * expired still count.
+ *
+ * Feeds read the result as an extra candidate source and
+ * /api/articles/related/:id mixes it into the carousel. Neighbour lists
+ * are only as fresh as the last run — hourly keeps a breaking story's
+ * co-readers in the lists while it is still being read.
+ *
+ * Memory: activity and likes are streamed into the user-item matrix (one
+ * weight per user and article, never the raw rows), and pair counts are
+ * built ANCHOR_CHUNK articles at a time and written before the next chunk.
+ * Lists not rewritten by a run (the article left the window or lost its
+ * neighbours) are deleted at the end of it.
+ *
+ * SCHEDULING (Cloud Scheduler):
+ *   gcloud scheduler jobs create http update-article-neighbors \
+ *     --schedule="40 * * * *" \
+ *     --uri="https://YOUR_BACKEND/api/jobs/update-article-neighbors" \
+ *     --http-method=POST \
+ *     --headers="x-api-key=YOUR_ADMIN_API_KEY"
+ */
+
+const Article = require('../models/Article');
+const ArticleNeighbors = require('../models/ArticleNeighbors');
+const User = require('../models/User');
+const UserActivity = require('../models/UserActivity');
+const {
+  INTERACTION_WEIGHTS,
+  userItemMatrixBuilder,
+  itemNorms,
+  computeItemNeighbors,
+} = require('../services/itemNeighbors');
+
+const RECENT_DAYS = parseInt(process.env.ARTICLE_NEIGHBORS_DAYS, 10) || 7;
+const LIKED_PER_USER = 200;
+const WRITE_BATCH = 500;
+// Articles whose pair counts are held in memory at once.
+const ANCHOR_CHUNK = 1000;
+
+async function updateArticleNeighbors({ days = RECENT_DAYS } = {}) {
+  const startTime = Date.now();
+  console.log(`🚀 Starting article neighbour update at ${new Date().toISOString()}`);
+
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const recent = await Article.find({ publishedAt: { $gte: since } })
+      .select('_id language')
+      .lean();
+    const languageOf = new Map(recent.map(a => [String(a._id), a.language || 'english']));
+    console.log(`📊 ${recent.length} articles in the last ${days} days`);
+
+    // Engagement on articles can only start once they're published, so
+    // the same window bounds the activity scan. Streamed, keeping only rows
+    // on articles in the window.
+    const items = new Set(languageOf.keys());
+    const builder = userItemMatrixBuilder({ items });
+    let rowCount = 0;
+    const cursor = UserActivity.find({
+      timestamp: { $gte: since },
+      articleId: { $exists: true, $ne: null },
+      eventType: { $in: Object.keys(INTERACTION_WEIGHTS) },
+    })
+      .select('userId articleId eventType duration -_id')
+      .lean()
+      .cursor({ batchSize: 1000 });
+    for await (const row of cursor) {
+      if (!items.has(String(row.articleId))) continue;
+      builder.addRow(row);
+      rowCount++;
+    }
+
+    const liked = User.aggregate([
+      { $match: { 'liked_articles.0': { $exists: true } } },
+      { $project: { _id: 0, userId: '$supabase_id', articleIds: { $slice: ['$liked_articles', -LIKED_PER_USER] } } },
+    ]).cursor({ batchSize: 500 });
+    for await (const doc of liked) builder.addLiked(doc);
+
+    const matrix = builder.build();
+    const norms = itemNorms(matrix);
+    console.log(`🔗 ${rowCount} activity rows, ${matrix.size} users with co-engagement`);
+
+    const computedAt = new Date();
+    const anchors = [...norms.keys()];
+    let updated = 0;
+    for (let c = 0; c < anchors.length; c += ANCHOR_CHUNK) {
+      const neighbors = computeItemNeighbors(matrix, { anchors: new Set(anchors.slice(c, c + ANCHOR_CHUNK)), norms });
+      const ops = [...neighbors].map(([articleId, list]) => ({
+        replaceOne: {
+          filter: { _id: articleId },
+          replacement: { _id: articleId, language: languageOf.get(articleId), neighbors: list, computedAt },
+          upsert: true,
+        },
+      }));
+      for (let i = 0; i < ops.length; i += WRITE_BATCH) {
+        await ArticleNeighbors.bulkWrite(ops.slice(i, i + WRITE_BATCH), { ordered: false });
+      }
+      updated += ops.length;
+    }
+
+    // Anything this run didn't rewrite is stale.
+    const { deletedCount: pruned } = await ArticleNeighbors.deleteMany({ computedAt: { $lt: computedAt } });
+
+    const duration = Date.now() - startTime;
+    console.log(`✅ Wrote neighbours for ${updated} articles, pruned ${pruned} stale lists in ${duration}ms`);
+
+    return {
+      success: true,
+      articles: recent.length,
+      users: matrix.size,
+      updated,
+      pruned,
+      durationMs: duration,
+    };
+  } catch (error) {
+    console.error('❌ Error in updateArticleNeighbors:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { updateArticleNeighbors };
@@ -2,17 +2,28 @@
  * Background Job: Update Source Quality Scores (P3-5)
  *
  * Computes Source.quality_score from like/dislike interactions on each
- * source's articles published in the last 30 days. Designed to run
- * daily — quality shifts slowly, no need for sub-day cadence.
+ * source's articles published in the last 30 days, and from what the
+ * ingest-time content classifier made of its extractions over the same
+ * window. Designed to run daily — quality shifts slowly, no need for
+ * sub-day cadence.
  *
  * Formula:
- *   raw_quality = 1 - dislikes / (likes + dislikes + SMOOTHING)
+ *   engagement      = 1 - dislikes / (likes + dislikes + SMOOTHING)
+ *   content_quality = (full + TEASER_WEIGHT * teaser + CONTENT_SMOOTHING)
+ *                     / (full + teaser + junk + CONTENT_SMOOTHING)
+ *   quality_score   = engagement * content_quality
  *
  * SMOOTHING (=20) prevents new sources with few interactions from being
- * penalized as outliers. With 0 likes and 0 dislikes, raw_quality = 1.0
+ * penalized as outliers. With 0 likes and 0 dislikes, engagement = 1.0
  * (neutral). It takes a sustained dislike pattern (e.g. 40 dislikes vs
  * 0 likes) to drop quality below 0.7.
  *
+ * The content counts come from ScrapeRun.contentQuality (junk never becomes
+ * an Article, so it can't be counted from articles). CONTENT_SMOOTHING (=10)
+ * plays the same role as SMOOTHING: a source needs a run of teasers or junk,
+ * not one bad page, before it is demoted. A source that only ever yields
+ * teasers settles at TEASER_WEIGHT.
+ *
  * SCHEDULING (Cloud Scheduler):
  *   gcloud scheduler jobs create http update-source-quality \
  *     --schedule="30 2 * * *" \
@@ -23,10 +34,23 @@
 
 const Article = require('../models/Article');
 const Source = require('../models/Source');
+const ScrapeRun = require('../models/ScrapeRun');
 
 const SMOOTHING = 20;
+const CONTENT_SMOOTHING = 10;
+const TEASER_WEIGHT = 0.5;
 const LOOKBACK_DAYS = 30;
 
+function engagementQuality({ totalLikes = 0, totalDislikes = 0 } = {}) {
+  const denom = totalLikes + totalDislikes + SMOOTHING;
+  return Math.max(0, Math.min(1, 1 - totalDislikes / denom));
+}
+
+function contentQuality({ full = 0, teaser = 0, junk = 0 } = {}) {
+  const score = (full + TEASER_WEIGHT * teaser + CONTENT_SMOOTHING) / (full + teaser + junk + CONTENT_SMOOTHING);
+  return Math.max(0, Math.min(1, score));
+}
+
 async function updateSourceQualityScores() {
   const startTime = Date.now();
   console.log(`🚀 Starting source quality update at ${new Date().toISOString()}`);
@@ -35,50 +59,79 @@ async function updateSourceQualityScores() {
     const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
 
     // Aggregate like/dislike counts per source over the last N days.
-    const rows = await Article.aggregate([
-      { $match: { publishedAt: { $gte: since } } },
-      {
-        $group: {
-          _id: '$sourceId',
-          totalLikes: { $sum: { $ifNull: ['$likes', 0] } },
-          totalDislikes: { $sum: { $ifNull: ['$dislikes', 0] } },
-          articles: { $sum: 1 },
+    const [engagementRows, contentRows] = await Promise.all([
+      Article.aggregate([
+        { $match: { publishedAt: { $gte: since } } },
+        {
+          $group: {
+            _id: '$sourceId',
+            totalLikes: { $sum: { $ifNull: ['$likes', 0] } },
+            totalDislikes: { $sum: { $ifNull: ['$dislikes', 0] } },
+            articles: { $sum: 1 },
+          },
+        },
+      ]),
+      // Content labels per source from the scrape runs in the same window.
+      ScrapeRun.aggregate([
+        { $match: { startedAt: { $gte: since } } },
+        {
+          $group: {
+            _id: '$sourceId',
+            full: { $sum: { $ifNull: ['$contentQuality.full', 0] } },
+            teaser: { $sum: { $ifNull: ['$contentQuality.teaser', 0] } },
+            junk: { $sum: { $ifNull: ['$contentQuality.junk', 0] } },
+          },
         },
-      },
+      ]),
     ]);
 
-    console.log(`📊 Computing quality for ${rows.length} sources`);
+    const engagementBySource = new Map(engagementRows.filter(r => r._id).map(r => [String(r._id), r]));
+    const contentBySource = new Map(contentRows.filter(r => r._id).map(r => [String(r._id), r]));
+    const sourceIds = new Set([...engagementBySource.keys(), ...contentBySource.keys()]);
+
+    console.log(`📊 Computing quality for ${sourceIds.size} sources`);
 
     let updated = 0;
     const now = new Date();
-    for (const row of rows) {
-      if (!row._id) continue;
-      const denom = row.totalLikes + row.totalDislikes + SMOOTHING;
-      const quality = Math.max(0, Math.min(1, 1 - row.totalDislikes / denom));
+    for (const sourceId of sourceIds) {
+      const row = engagementBySource.get(sourceId) || { totalLikes: 0, totalDislikes: 0, articles: 0 };
+      const counts = contentBySource.get(sourceId) || { full: 0, teaser: 0, junk: 0 };
+      const engagement = engagementQuality(row);
+      const content = contentQuality(counts);
+      const quality = engagement * content;
       await Source.updateOne(
-        { _id: row._id },
-        { $set: { quality_score: quality, quality_score_updated_at: now } }
+        { _id: sourceId },
+        {
+          $set: {
+            quality_score: quality,
+            quality_score_updated_at: now,
+            content_quality_counts: { full: counts.full, teaser: counts.teaser, junk: counts.junk },
+            content_quality_score: content,
+          },
+        }
       );
       updated++;
       if (quality < 0.7) {
         console.log(
-          `📉 Low quality source ${row._id}: ${quality.toFixed(3)} ` +
-          `(${row.totalLikes} likes / ${row.totalDislikes} dislikes / ${row.articles} articles)`
+          `📉 Low quality source ${sourceId}: ${quality.toFixed(3)} ` +
+          `(${row.totalLikes} likes / ${row.totalDislikes} dislikes / ${row.articles} articles; ` +
+          `${counts.full} full / ${counts.teaser} teaser / ${counts.junk} junk)`
         );
       }
     }
 
-    // Sources that had no articles in the window: leave their previous
-    // score alone. They'll be re-evaluated whenever they next publish.
+    // Sources that had no articles and no scrape runs in the window: leave
+    // their previous score alone. They'll be re-evaluated whenever they next
+    // publish.
 
     const duration = Date.now() - startTime;
     console.log(`✅ Updated ${updated} source quality scores in ${duration}ms`);
 
-    return { success: true, updated, processed: rows.length, durationMs: duration };
+    return { success: true, updated, processed: sourceIds.size, durationMs: duration };
   } catch (error) {
     console.error('❌ Error in updateSourceQualityScores:', error);
     return { success: false, error: error.message };
   }
 }
 
-module.exports = { updateSourceQualityScores };
+module.exports = { updateSourceQualityScores, engagementQuality, contentQuality };
@@ -0,0 +1,38 @@
+const redis = require('../utils/redis');
+
+// Fixed-window rate limit for public write endpoints (telemetry, event
+// batches). Counted in Redis so every instance shares the window; fails
+// open when Redis is unavailable, like the points anti-abuse checks.
+//
+// The caller is the JWT subject when a preceding optionalAuth/auth set
+// req.user, else the client IP. Behind Cloud Run req.ip is the front end's
+// address, so the IP is the last X-Forwarded-For entry — the one the front
+// end appends, which clients can't forge.
+function clientKey(req) {
+    const subject = req.user?.sub || req.user?.user_id || req.user?.id;
+    if (subject) return `user:${subject}`;
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map((s) => s.trim()).filter(Boolean);
+    return `ip:${forwarded[forwarded.length - 1] || req.ip || req.connection?.remoteAddress || 'unknown'}`;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - counter namespace, one per endpoint
+ * @param {number} options.max - requests allowed per window
+ * @param {number} [options.windowSec=60]
+ */
+module.exports = function rateLimit({ name, max, windowSec = 60 }) {
+    return async (req, res, next) => {
+        const window = Math.floor(Date.now() / (windowSec * 1000));
+        const key = `rl:${name}:${clientKey(req)}:${window}`;
+        const count = await redis.incr(key);
+        if (count === 1) await redis.expire(key, windowSec);
+        if (count > max) {
+            res.set('Retry-After', String(windowSec - (Math.floor(Date.now() / 1000) % windowSec)));
+            return res.status(429).json({ error: 'Rate limit exceeded' });
+        }
+        next();
+    };
+};
+
+module.exports.clientKey = clientKey;
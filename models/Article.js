@@ -8,10 +8,17 @@ const ArticleSchema = new mongoose.Schema({
         enum: ['text', 'markdown'],
         default: 'text' // Default to 'text' for backward compatibility with existing 24k+ articles
     },
+    // services/contentQuality.js label at ingest; junk is never saved. Null on
+    // articles ingested before the classifier.
+    contentQuality: { type: String, enum: ['full', 'teaser', null], default: null },
     url: { type: String, unique: true, sparse: true }, // Add unique constraint for URLs
     sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Source' },
     category: String,
     publishedAt: Date,
+    // Which scraper/publishedDate.js method produced publishedAt: 'jsonld',
+    // 'meta', 'time', 'text', 'relative', 'feed', 'ingest' (no date found), or
+    // any of those with ':clamped' when a future date was pulled back to now.
+    publishedAtMethod: { type: String, default: null },
     image: {
         type: [String],
         default: []
@@ -41,6 +48,35 @@ const ArticleSchema = new mongoose.Schema({
     },
     relatedIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Article' }],
 
+    // Near-duplicate story clusters (services/storyClusters.js). storyClusterId
+    // is the _id of the cluster's canonical article — the first version of the
+    // story we ingested — so singletons point at themselves. Absent on articles
+    // ingested before clustering. minhash/lshBands are the ingest-time
+    // fingerprint (utils/nearDuplicate.js); never needed by clients.
+    storyClusterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', default: undefined },
+    minhash: { type: [Number], default: undefined, select: false },
+    lshBands: { type: [String], default: undefined, select: false },
+
+    // Normalised entity IDs (models/Entity.js), e.g. 'loc:dubai', 'co:adnoc',
+    // from services/entityExtraction.js at ingest. Empty on older articles.
+    entities: { type: [String], default: undefined },
+
+    // Developing-story thread (services/storyTimelines.js, models/Story.js).
+    // Set after save when the article joins or seeds a Story.
+    storyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', default: undefined },
+
+    // Publisher edits (jobs/revisit-articles.js, models/ArticleRevision.js).
+    // lastRevisitedAt is the last re-fetch whether or not anything changed;
+    // isUpdated marks a significant edit (new figures, changed headline) and
+    // is what feeds show as "Updated". contentBaselinedAt is when a feed
+    // article's stored summary was replaced by the page body it is compared
+    // against from then on.
+    lastRevisitedAt: { type: Date, default: null },
+    lastRevisedAt: { type: Date, default: null },
+    revisionCount: { type: Number, default: 0 },
+    isUpdated: { type: Boolean, default: false },
+    contentBaselinedAt: { type: Date, default: null },
+
     // Phase 3.3: Breaking News Support
     isBreakingNews: { type: Boolean, default: false },
     breakingNewsExpiry: { type: Date }, // Auto-expire breaking status after set duration
@@ -70,6 +106,14 @@ ArticleSchema.index({ publishedAt: -1 });
 // Add index for sourceId filtering
 ArticleSchema.index({ sourceId: 1 });
 
+// Story clusters: band lookup at ingest, coverage counts at feed time.
+ArticleSchema.index({ lshBands: 1 }, { sparse: true });
+ArticleSchema.index({ storyClusterId: 1 }, { sparse: true });
+ArticleSchema.index({ storyId: 1 }, { sparse: true });
+
+// Entity pages: newest articles mentioning an entity.
+ArticleSchema.index({ entities: 1, publishedAt: -1 }, { sparse: true });
+
 // Add index for breaking news queries (Phase 3.3)
 ArticleSchema.index({ isBreakingNews: 1, publishedAt: -1 });
 
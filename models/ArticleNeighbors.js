@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Item-item collaborative-filtering neighbours of one recent article: the
+ * articles most often read and liked by the same users
+ * (jobs/update-article-neighbors.js, services/itemNeighbors.js). The _id is
+ * the article's _id. Rewritten whole on every job run, which deletes the
+ * lists it didn't rewrite; the TTL is a backstop for when the job stops.
+ */
+const articleNeighborsSchema = new mongoose.Schema({
+    _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Article' },
+    language: { type: String },
+    // Best first. `score` is shrunk cosine similarity over user interaction
+    // weights; `support` is the number of users who engaged with both.
+    neighbors: [{
+        _id: false,
+        articleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+        score: { type: Number, required: true },
+        support: { type: Number, required: true },
+    }],
+    computedAt: { type: Date, default: Date.now },
+});
+
+articleNeighborsSchema.index({ computedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 7 }); // 7 days
+
+module.exports = mongoose.model('ArticleNeighbors', articleNeighborsSchema);
@@ -0,0 +1,38 @@
+// models/ArticleRevision.js
+//
+// One document per meaningful publisher edit to a stored article, written by
+// the revisit job (jobs/revisit-articles.js). The Article itself always holds
+// the latest version; a revision keeps what changed relative to the version
+// before it, so GET /api/articles/:id/revisions can show corrections and
+// updated figures without us storing every body twice.
+const mongoose = require('mongoose');
+
+const ArticleRevisionSchema = new mongoose.Schema({
+    articleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Source' },
+    revisedAt: { type: Date, required: true },
+
+    previousTitle: { type: String },
+    title: { type: String },
+    titleChanged: { type: Boolean, default: false },
+    contentChanged: { type: Boolean, default: false },
+    // A figure in the body changed (death toll, price, score).
+    numbersChanged: { type: Boolean, default: false },
+    // Share of words touched by the edit, 0–1 (services/articleRevisions.js).
+    changeRatio: { type: Number, default: 0 },
+    // Raised the article's "Updated" flag in feeds.
+    significant: { type: Boolean, default: false },
+
+    // Sentence-level hunks against the previous version: `at` is the index of
+    // the first affected sentence in the previous body.
+    diff: [{
+        _id: false,
+        at: Number,
+        removed: [String],
+        added: [String],
+    }],
+});
+
+ArticleRevisionSchema.index({ articleId: 1, revisedAt: -1 });
+
+module.exports = mongoose.model('ArticleRevision', ArticleRevisionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * A named entity — person, organisation, GCC location or company — that
+ * articles mention (services/entityExtraction.js). The _id is the
+ * normalised entity ID stored on Article.entities: `<type prefix>:<slug of
+ * the English name>`, e.g. `loc:abu-dhabi`, `co:adnoc`, so the same entity
+ * in an English, Arabic or Farsi article resolves to one page.
+ */
+const entitySchema = new mongoose.Schema({
+    _id: { type: String },
+    type: {
+        type: String,
+        enum: ['person', 'organization', 'location', 'company'],
+        required: true,
+    },
+    name: { type: String, required: true }, // English display name
+    names: {
+        english: { type: String },
+        arabic: { type: String },
+        farsi: { type: String },
+    },
+    // Surface forms seen in articles (any language), for search and review.
+    aliases: { type: [String], default: [] },
+    // 'gazetteer' = curated (utils/entityGazetteer.js); 'extracted' = first
+    // seen in LLM output.
+    origin: { type: String, enum: ['gazetteer', 'extracted'], default: 'extracted' },
+    articleCount: { type: Number, default: 0 },
+    lastSeenAt: { type: Date },
+    // Followers live on User.followed_entities; denormalized count.
+    followerCount: { type: Number, default: 0 },
+}, { timestamps: true });
+
+entitySchema.index({ type: 1, articleCount: -1 });
+
+module.exports = mongoose.model('Entity', entitySchema);
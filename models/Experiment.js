@@ -0,0 +1,49 @@
+// models/Experiment.js
+//
+// One A/B experiment (utils/experiments.js assigns, services/experiments.js
+// validates and analyses). Experiments in different layers are independent —
+// a user can be in one experiment per layer. Within a layer each experiment
+// owns a slice of the layer's hash space, [layerOffset, layerOffset +
+// allocation) percent, so experiments sharing a layer never share a user.
+const mongoose = require('mongoose');
+
+const VariantSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    // Relative share of the experiment's traffic; normalised over all variants.
+    weight: { type: Number, default: 1, min: 0 },
+    // Partial PERS_W map merged onto the scorer's defaults (services/feedRanking.js).
+    persWOverrides: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Feature-flag overrides read through getTreatmentFlag().
+    flags: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Partial HOME_LAYOUT map for /api/home slotting (services/homeFeed.js).
+    homeLayout: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+const ExperimentSchema = new mongoose.Schema({
+    // Stable ID, logged on exposures and part of the hash — never rename a running experiment.
+    key: { type: String, required: true, unique: true, match: /^[a-z0-9_]+$/ },
+    name: { type: String, default: '' },
+    description: { type: String, default: '' },
+    status: { type: String, enum: ['draft', 'running', 'paused', 'completed'], default: 'draft' },
+    layer: { type: String, default: 'scoring' },
+    // Percent of the layer this experiment takes, and where its slice starts.
+    allocation: { type: Number, required: true, min: 0, max: 100 },
+    layerOffset: { type: Number, default: 0, min: 0, max: 100 },
+    variants: { type: [VariantSchema], default: [] },
+    // Arm the results endpoint compares every other arm against.
+    controlVariant: { type: String, default: 'control' },
+    // Empty list = no restriction. Values match User.language / User.city
+    // case-insensitively; platform is the latest push-token platform.
+    targeting: {
+        languages: { type: [String], default: [] },
+        cities: { type: [String], default: [] },
+        platforms: { type: [String], default: [] },
+    },
+    startedAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null },
+    createdBy: { type: String, default: null },
+}, { timestamps: true });
+
+ExperimentSchema.index({ status: 1, layer: 1 });
+
+module.exports = mongoose.model('Experiment', ExperimentSchema);
@@ -0,0 +1,27 @@
+// models/ExperimentExposure.js
+//
+// One document per (experiment, user): the arm the user was served and when.
+// Written when a personalized feed is actually served under the experiment
+// (not merely assigned), so users who never opened a feed don't dilute the
+// arms. services/experiments.js joins these with UserActivity for results.
+const mongoose = require('mongoose');
+
+const ExperimentExposureSchema = new mongoose.Schema({
+    experimentKey: { type: String, required: true },
+    variant: { type: String, required: true },
+    userId: { type: String, required: true },
+    firstExposedAt: { type: Date, required: true },
+    lastExposedAt: { type: Date, required: true },
+    // Feed responses served, and articles in them (the CTR denominator).
+    requests: { type: Number, default: 0 },
+    impressions: { type: Number, default: 0 },
+    // Targeting attributes at first exposure, for slicing results.
+    language: { type: String, default: null },
+    city: { type: String, default: null },
+    platform: { type: String, default: null },
+});
+
+ExperimentExposureSchema.index({ experimentKey: 1, userId: 1 }, { unique: true });
+ExperimentExposureSchema.index({ experimentKey: 1, variant: 1 });
+
+module.exports = mongoose.model('ExperimentExposure', ExperimentExposureSchema);
@@ -31,6 +31,7 @@ const notificationSchema = new mongoose.Schema({
             'news',
             'lotto',
             'direct_message',
+            'story_update',
         ],
     },
 
@@ -6,6 +6,13 @@ const ReelSchema = new Schema({
     reelId: { type: String, required: true },
     videoUrl: { type: String, required: true },
     thumbnailUrl: { type: String, default: null }, // Video thumbnail URL
+    thumbnailBlurhash: { type: String, default: null }, // placeholder while thumbnailUrl loads
+    // HLS master playlist (services/HlsTranscoder.js); null until the
+    // transcode job has produced the ladder. Clients prefer it over videoUrl.
+    hlsUrl: { type: String, default: null },
+    // WebVTT subtitles from the spoken audio (services/ReelTranscriber.js),
+    // stored next to the MP4; null until transcribed or when nothing is said.
+    captionsUrl: { type: String, default: null },
     scrapedAt: { type: Date, default: Date.now },
     publishedAt: { type: Date, default: null }, // Added this field
     caption: { type: String, default: null },
@@ -29,11 +36,95 @@ const ReelSchema = new Schema({
     engagement_score: { type: Number, default: 0 },
     categories: [{ type: String }],
     originalKey: { type: String }, // For R2 storage
+    // Transcode state (jobs/transcode-reels.js). Renditions sit under
+    // masterKey's prefix as <name>/index.m3u8 + segments.
+    hls: {
+        status: { type: String, enum: ['processing', 'ready', 'failed'], default: null },
+        masterKey: { type: String, default: null },
+        renditions: [{
+            _id: false,
+            name: String, // '240p' | '480p' | '720p'
+            width: Number,
+            height: Number,
+            bandwidth: Number, // bits/s, as advertised in the master playlist
+        }],
+        duration: { type: Number, default: null }, // seconds
+        attempts: { type: Number, default: 0 },
+        startedAt: { type: Date, default: null },
+        transcodedAt: { type: Date, default: null },
+        error: { type: String, default: null },
+    },
+    // Speech-to-text (jobs/transcribe-reels.js). `text` is searchable
+    // (GET /api/videos/reels/search) and goes into the reel embedding;
+    // `segments` are the timed cues behind captionsUrl.
+    transcript: {
+        status: { type: String, enum: ['processing', 'ready', 'failed', 'no_audio'], default: null },
+        text: { type: String, default: null },
+        language: { type: String, default: null }, // ISO 639-1
+        segments: [{
+            _id: false,
+            start: Number, // seconds
+            end: Number,
+            text: String,
+        }],
+        captionsKey: { type: String, default: null },
+        backend: { type: String, default: null },
+        attempts: { type: Number, default: 0 },
+        startedAt: { type: Date, default: null },
+        transcribedAt: { type: Date, default: null },
+        error: { type: String, default: null },
+    },
+    // Frames sampled for the thumbnail (services/thumbnailSelection.js), best
+    // first by score; thumbnailUrl is thumbnailSelection.index of them.
+    // impressions/taps count while the candidate is an arm of a thumbnail test.
+    thumbnailCandidates: [{
+        _id: false,
+        url: String,
+        key: String,
+        at: Number, // seconds into the video
+        score: Number, // 0..1
+        metrics: {
+            brightness: Number,
+            contrast: Number,
+            sharpness: Number,
+            skin: Number,
+        },
+        blurhash: String,
+        impressions: { type: Number, default: 0 },
+        taps: { type: Number, default: 0 },
+    }],
+    thumbnailSelection: {
+        index: { type: Number, default: null },
+        by: { type: String, enum: ['auto', 'admin', 'test'], default: null },
+        at: { type: Date, default: null },
+    },
+    // Thumbnail A/B test between candidate indexes (routes/thumbnails.js).
+    thumbnailTest: {
+        status: { type: String, enum: ['running', 'stopped'], default: null },
+        arms: [{ type: Number }],
+        control: { type: Number, default: null },
+        winner: { type: Number, default: null },
+        startedAt: { type: Date, default: null },
+        stoppedAt: { type: Date, default: null },
+    },
     // Analytics fields
     completionRates: [{ type: Number }], // Array of completion percentages from user views
     completionRate: { type: Number, default: 0 }, // Average completion rate
     totalWatchTime: { type: Number, default: 0 }, // Total watch time in milliseconds
     avgWatchTime: { type: Number, default: 0 }, // Average watch time in milliseconds
+    // Playback telemetry summary over the last 30 days of ReelWatchBucket
+    // (jobs/aggregate-reel-retention.js, services/reelRetention.js). Rates
+    // are shares of measured playbacks (`exits`); null when unmeasured.
+    retention: {
+        plays: { type: Number, default: 0 },
+        exits: { type: Number, default: 0 },
+        completionRate: { type: Number, default: null },
+        loopRate: { type: Number, default: null },
+        earlyDropRate: { type: Number, default: null }, // left in the first 3s
+        midRetention: { type: Number, default: null }, // still watching at 50%
+        avgWatchSeconds: { type: Number, default: null },
+        updatedAt: { type: Date, default: null },
+    },
 }, { timestamps: true });
 
 // Performance indexes (existing - maintained for backward compatibility)
@@ -45,6 +136,23 @@ ReelSchema.index({ publishedAt: -1 }); // For recency-based sorting
 ReelSchema.index({ categories: 1 }); // For category-based filtering
 ReelSchema.index({ source: 1, scrapedAt: -1 }); // For source-specific queries
 ReelSchema.index({ reelId: 1 }); // For unique lookups
+ReelSchema.index({ 'hls.status': 1, scrapedAt: -1 }); // Transcode job queue
+ReelSchema.index({ 'transcript.status': 1, scrapedAt: -1 }); // Transcribe job queue
+ReelSchema.index({ 'thumbnailTest.status': 1 }); // Running thumbnail tests snapshot
+// GET /reels/search. No stemming: captions and speech mix English, Arabic
+// and more, and a language-specific stemmer would mangle the rest. The
+// override field must never be written: by default Mongo reads `language`
+// at any depth, and transcript.language values it has no stemmer for
+// (ar, fa, ur, ...) make the write fail.
+ReelSchema.index(
+    { caption: 'text', 'transcript.text': 'text' },
+    {
+        name: 'reel_text_search',
+        weights: { caption: 3, 'transcript.text': 1 },
+        default_language: 'none',
+        language_override: 'textSearchLanguage',
+    }
+);
 // NOTE: do NOT btree-index `embedding` / `embedding_pca` — they are float arrays, so a
 // btree becomes a multikey index with one entry per array element (huge + write-heavy,
 // and useless for similarity). Vector search uses an Atlas Search vector index instead.
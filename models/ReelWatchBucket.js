@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Playback telemetry for one reel over one UTC hour, accumulated with $inc
+ * from POST /api/videos/reels/events (services/reelRetention.js). One small
+ * document per reel-hour instead of one per event; retention curves are
+ * rebuilt by summing a reel's buckets.
+ */
+const reelWatchBucketSchema = new mongoose.Schema({
+    reelId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reel', required: true },
+    hour: { type: Date, required: true }, // start of the UTC hour
+    plays: { type: Number, default: 0 }, // 'start' events
+    // Playbacks that reached each quartile of the reel.
+    quartiles: {
+        q25: { type: Number, default: 0 },
+        q50: { type: Number, default: 0 },
+        q75: { type: Number, default: 0 },
+        q100: { type: Number, default: 0 },
+    },
+    loops: { type: Number, default: 0 },
+    seeks: { type: Number, default: 0 },
+    mutes: { type: Number, default: 0 },
+    unmutes: { type: Number, default: 0 },
+    // 'exit' events: how many, how many of those watched to the end (or
+    // looped), and a histogram of the rest by whole second of the exit
+    // position ("12" -> 3 playbacks left during second 12).
+    exits: { type: Number, default: 0 },
+    finished: { type: Number, default: 0 },
+    exitSeconds: { type: Map, of: Number, default: {} },
+    watchMs: { type: Number, default: 0 }, // total watched, loops included
+    duration: { type: Number, default: null }, // seconds, longest reported
+    updatedAt: { type: Date, default: Date.now },
+});
+
+reelWatchBucketSchema.index({ reelId: 1, hour: -1 }, { unique: true });
+reelWatchBucketSchema.index({ updatedAt: -1 }); // aggregate-reel-retention job
+reelWatchBucketSchema.index({ hour: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 }); // 90 days
+
+module.exports = mongoose.model('ReelWatchBucket', reelWatchBucketSchema);
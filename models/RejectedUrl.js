@@ -0,0 +1,21 @@
+// models/RejectedUrl.js
+//
+// URLs whose extraction was classified as junk (services/contentQuality.js).
+// Junk never becomes an Article, so without a marker the dedupe check in
+// scraper/articlePipeline.js would treat the link as new on every scrape run
+// and fetch, extract and classify it again. Markers expire so a page the
+// publisher fixes, or an extractor we fix, gets another look.
+const mongoose = require('mongoose');
+
+const RejectedUrlSchema = new mongoose.Schema({
+    url: { type: String, required: true, unique: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Source' },
+    title: { type: String },
+    // classifyContent() reasons, e.g. ['cookie_banner'].
+    reasons: [String],
+    rejectedAt: { type: Date, required: true },
+});
+
+RejectedUrlSchema.index({ rejectedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30 }); // 30 days
+
+module.exports = mongoose.model('RejectedUrl', RejectedUrlSchema);
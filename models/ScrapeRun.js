@@ -0,0 +1,57 @@
+// models/ScrapeRun.js
+//
+// One document per source per scrape run (/api/scrape/hourly|daily|...).
+// Before this, a run only left console logs and a bumped Source.lastScraped,
+// so a broken selector looked exactly like a quiet news day until someone
+// noticed a source had gone silent. The health endpoints under
+// /api/sources/:id/health aggregate these into success-rate trends.
+//
+// Runs expire after 90 days (same horizon as UserActivity) — the trend views
+// only look back a few weeks.
+const mongoose = require('mongoose');
+
+const ScrapeRunSchema = new mongoose.Schema({
+    sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Source', required: true },
+    // Cron bucket that triggered the run ('hourly', 'daily', …); null for manual runs.
+    frequency: { type: String, default: null },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    durationMs: { type: Number, default: 0 },
+
+    // Links (or feed items) discovered on the listing.
+    found: { type: Number, default: 0 },
+    // Saved as new articles.
+    new: { type: Number, default: 0 },
+    // Already stored, by URL or by title within the source.
+    duplicate: { type: Number, default: 0 },
+    // Fetch/extraction/save failures plus items skipped for unusable content.
+    failed: { type: Number, default: 0 },
+
+    // Status of the listing/feed request. 304 for an unchanged feed.
+    httpStatus: { type: Number, default: null },
+    // Link-discovery strategy ('generic', 'jsonld', …) or 'feed:<format>'.
+    strategy: { type: String, default: null },
+    // Which extractor produced each saved article, e.g. { generic: 4, jsonld: 1 }.
+    extractStrategies: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    // services/contentQuality.js labels: junk was dropped, teasers saved but marked.
+    // jobs/update-source-quality.js rolls these into Source.quality_score.
+    contentQuality: {
+        full: { type: Number, default: 0 },
+        teaser: { type: Number, default: 0 },
+        junk: { type: Number, default: 0 },
+    },
+    usedPuppeteer: { type: Boolean, default: false },
+    // 'HOST_BACKOFF' / 'ROBOTS_DISALLOWED' when politeness skipped the listing.
+    skipped: { type: String, default: null },
+    error: { type: String, default: null },
+
+    // Nothing new and nothing already known — the signal for a broken source.
+    // Never set on skipped runs.
+    // Precomputed so the health aggregation and the suspension counter agree.
+    empty: { type: Boolean, default: false },
+});
+
+ScrapeRunSchema.index({ sourceId: 1, startedAt: -1 });
+ScrapeRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 }); // 90 days
+
+module.exports = mongoose.model('ScrapeRun', ScrapeRunSchema);
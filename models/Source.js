@@ -5,7 +5,7 @@ const SourceSchema = new mongoose.Schema({
     groupName: String, // 🆕 Group sources under a common name
     url: String,
     baseUrl: { type: String },
-    type: { type: String, default: 'website' }, // e.g., website, instagram, youtube
+    type: { type: String, default: 'website' }, // e.g., website, rss, instagram, youtube
     category: String,
     frequency: String,
     listSelector: String,
@@ -17,15 +17,48 @@ const SourceSchema = new mongoose.Schema({
     // "API-listing adapter"). When set, links are discovered via this endpoint instead
     // of DOM selectors. Mixed so the shape can evolve without schema churn.
     listApi: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Ordered extractor strategy chain (see scraper/extractors). Each phase falls
+    // back to the next name when one yields nothing. Unset = listApi (if
+    // configured) → generic → jsonld → opengraph.
+    extractors: { type: [String], default: undefined },
+    // Used by the 'sitemap' strategy; defaults to <origin>/sitemap.xml.
+    sitemapUrl: { type: String, default: null },
+    // Feed ingestion (scraper/feeds.js): RSS/Atom/Google News sitemap. Used when
+    // set, or when type is 'rss' (then url is the feed). The validators are the
+    // last response's ETag / Last-Modified, sent back for a conditional GET.
+    feedUrl: { type: String, default: null },
+    feedEtag: { type: String, default: null },
+    feedLastModified: { type: String, default: null },
     icon: String,
     lastScraped: Date,
     followers: { type: Number, default: 0 },
     instagramUsername: { type: String, default: null },
     youtubeChannelId: { type: String, default: null },// e.g., .story-element.story-element-text p
     language: { type: String, default: "english" },
+    // IANA zone for dates the site prints without an offset (scraper/publishedDate.js).
+    // Null means SCRAPER_DEFAULT_TIMEZONE, else Asia/Dubai.
+    timezone: { type: String, default: null },
     bioSection: { type: String, default: null },
     bioLink: { type: String, default: null },
     status: { type: String, enum: ['active', 'suspended', 'blocked'], default: 'active' },
+    // Scrape health (services/scrapeHealth.js). Reset on any non-empty run;
+    // reaching SCRAPE_SUSPEND_AFTER_EMPTY_RUNS flips status to 'suspended'.
+    consecutiveEmptyRuns: { type: Number, default: 0 },
+    suspendedAt: { type: Date, default: null },
+    suspendedReason: { type: String, default: null },
+    // Politeness scheduler (scraper/politeness.js): robots.txt disallows and
+    // 403/429/503 backoffs, newest last, capped at 20.
+    lastBlockedAt: { type: Date, default: null },
+    lastBlockReason: { type: String, default: null },
+    blockEvents: [{
+        _id: false,
+        at: Date,
+        host: String,
+        status: Number,
+        reason: String,
+        url: String,
+        backoffUntil: Date,
+    }],
     articleType: { type: String, enum: ['mainPage', 'subPage', 'both'], default: 'mainPage' },
     // Rev-share fields for AdMob revenue tracking
     revSharePercent: { type: Number, default: 70 }, // Default 70% to source
@@ -40,6 +73,16 @@ const SourceSchema = new mongoose.Schema({
     // this so low-quality scrapers self-demote.
     quality_score: { type: Number, default: 1.0, min: 0, max: 1 },
     quality_score_updated_at: { type: Date, default: null },
+    // Ingest-time content labels (services/contentQuality.js) over the same
+    // 30 days, summed from ScrapeRun. content_quality_score is the factor
+    // quality_score was multiplied by: 1.0 for all full articles, lower as
+    // teasers and dropped junk pile up.
+    content_quality_counts: {
+        full: { type: Number, default: 0 },
+        teaser: { type: Number, default: 0 },
+        junk: { type: Number, default: 0 },
+    },
+    content_quality_score: { type: Number, default: 1.0, min: 0, max: 1 },
 });
 
 module.exports = mongoose.model('Source', SourceSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * A developing story: articles threaded over days by embedding similarity
+ * and key-term overlap (services/storyTimelines.js). Broader than a story
+ * cluster (services/storyClusters.js), which only groups near-identical
+ * copies of one report — a Story's timeline holds successive developments,
+ * and each cluster appears in it once as significant plus any re-reports.
+ */
+const storySchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    // LLM summary of the arc so far; null until the first generation (or
+    // when it failed — then the title is the latest significant headline).
+    summary: { type: String, default: null },
+    summaryOrigin: { type: String, enum: ['generated', 'headline'], default: 'headline' },
+    summarizedAt: { type: Date, default: null },
+    language: { type: String, default: 'english' },
+    category: { type: String },
+
+    // Oldest first. `significant` marks a new development (a story cluster
+    // not yet in the thread that brings new key terms); other outlets'
+    // versions of an existing development are kept but not notified.
+    timeline: [{
+        _id: false,
+        articleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+        storyClusterId: { type: mongoose.Schema.Types.ObjectId },
+        sourceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Source' },
+        title: { type: String },
+        publishedAt: { type: Date },
+        significant: { type: Boolean, default: false },
+        addedAt: { type: Date, default: Date.now },
+    }],
+    articleCount: { type: Number, default: 0 },
+    firstPublishedAt: { type: Date },
+    lastArticleAt: { type: Date, index: true },
+    lastSignificantAt: { type: Date },
+
+    // Matching state, never needed by clients: running mean of members'
+    // embedding_pca, and title key-term counts.
+    centroid: { type: [Number], default: undefined, select: false },
+    centroidWeight: { type: Number, default: 0, select: false },
+    keyTerms: {
+        type: [{ _id: false, term: String, count: Number }],
+        default: undefined,
+        select: false,
+    },
+
+    // Followers live on User.followed_stories; this is the denormalized count
+    // so ingest can skip the follower lookup for unfollowed stories.
+    followerCount: { type: Number, default: 0 },
+    lastNotifiedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// Candidate lookup at ingest: active stories in the article's language.
+storySchema.index({ language: 1, lastArticleAt: -1 });
+storySchema.index({ 'timeline.storyClusterId': 1 });
+
+module.exports = mongoose.model('Story', storySchema);
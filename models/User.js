@@ -36,6 +36,13 @@ const userSchema = new mongoose.Schema({
     followed_teams: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }],
     followed_competitions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Competition' }],
 
+    // Developing stories (models/Story.js); followers get a push when a
+    // significant new article joins the thread.
+    followed_stories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Story' }],
+    // Named entities (models/Entity.js IDs such as 'co:adnoc'); a scoring
+    // signal in the personalized feed.
+    followed_entities: [{ type: String }],
+
     embedding: {
         type: [Number],
         default: [],
@@ -57,6 +64,12 @@ const userSchema = new mongoose.Schema({
     // Merged with explicit `preferred_categories` at scoring time so both
     // signals contribute to categoryAffinity.
     implicit_preferred_categories: [{ type: String }],
+    // Cold-start choices (services/onboarding.js). completedAt unset means
+    // the client should still show onboarding.
+    onboarding: {
+        completedAt: { type: Date, default: null },
+        topics: [{ type: String }],
+    },
     city: {
         type: String,
         enum: ['Dubai', 'Abu Dhabi', 'Jeddah', 'Riyadh', 'Doha', 'Kuwait', 'Manamah', 'Tehran', 'Baghdad', 'Amman'],
@@ -8,9 +8,10 @@ const userActivitySchema = new mongoose.Schema({
     contentType: { type: String, enum: ['article', 'reel'], default: 'article' }, // Track content type
     duration: { type: Number }, // in seconds
     timestamp: { type: Date, default: Date.now },
-    // P3-1: A/B treatment ID at the moment the event was logged. Lets
-    // engagement analysis JOIN events back to the personalization
-    // variant the user was in. 'control' when no experiment is active.
+    // P3-1: treatment label (utils/experiments.js treatmentLabel, e.g.
+    // "scoring_v2:vector_heavy") at the moment the event was logged.
+    // 'control' when the user was in no experiment. For analysis use
+    // /api/admin/experiments/:id/results, which goes by ExperimentExposure.
     treatment: { type: String, default: 'control' },
 });
 userActivitySchema.index({ userId: 1 });
@@ -5,6 +5,14 @@ const EngagementSummary = require('../models/EngagementSummary');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const ensureMongoUser = require('../middleware/ensureMongoUser');
+const Experiment = require('../models/Experiment');
+const {
+    findExperiment,
+    createExperiment,
+    updateExperiment,
+    getExperimentResults,
+} = require('../services/experiments');
+const { refreshExperiments } = require('../utils/experiments');
 
 // GET /api/admin/generate-engagement-summary
 router.get('/generate-engagement-summary', async (req, res) => {
@@ -729,4 +737,79 @@ router.get('/video-analytics', auth, ensureMongoUser, async (req, res) => {
     }
 });
 
+// ───────────── Experiments (services/experiments.js) ─────────────
+
+const requireAdminUser = (req, res, next) => {
+    if (req.mongoUser?.type !== 'admin') {
+        return res.status(403).json({ message: 'Access denied. Admin access required.' });
+    }
+    next();
+};
+
+// GET /api/admin/experiments?status=running
+router.get('/experiments', auth, ensureMongoUser, requireAdminUser, async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: req.query.status } : {};
+        const experiments = await Experiment.find(filter).sort({ createdAt: -1 }).lean();
+        res.json({ experiments, total: experiments.length });
+    } catch (error) {
+        console.error('Error listing experiments:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// POST /api/admin/experiments - create a draft
+router.post('/experiments', auth, ensureMongoUser, requireAdminUser, async (req, res) => {
+    try {
+        const experiment = await createExperiment(req.body || {}, { createdBy: req.mongoUser.supabase_id });
+        res.status(201).json({ experiment });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ message: error.message, code: error.code });
+        console.error('Error creating experiment:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// GET /api/admin/experiments/:id (ObjectId or key)
+router.get('/experiments/:id', auth, ensureMongoUser, requireAdminUser, async (req, res) => {
+    try {
+        const experiment = await findExperiment(req.params.id);
+        if (!experiment) return res.status(404).json({ message: 'Experiment not found' });
+        res.json({ experiment });
+    } catch (error) {
+        console.error('Error fetching experiment:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// PATCH /api/admin/experiments/:id - edit a draft/paused experiment, or
+// change status (draft → running → paused/completed).
+router.patch('/experiments/:id', auth, ensureMongoUser, requireAdminUser, async (req, res) => {
+    try {
+        const experiment = await findExperiment(req.params.id);
+        if (!experiment) return res.status(404).json({ message: 'Experiment not found' });
+        const updated = await updateExperiment(experiment, req.body || {});
+        // Pick up the change on this instance now; others within the cache TTL.
+        await refreshExperiments();
+        res.json({ experiment: updated });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ message: error.message, code: error.code });
+        console.error('Error updating experiment:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// GET /api/admin/experiments/:id/results - CTR, read time and retention per
+// arm with 95% confidence intervals and differences against control.
+router.get('/experiments/:id/results', auth, ensureMongoUser, requireAdminUser, async (req, res) => {
+    try {
+        const experiment = await findExperiment(req.params.id);
+        if (!experiment) return res.status(404).json({ message: 'Experiment not found' });
+        res.json(await getExperimentResults(experiment));
+    } catch (error) {
+        console.error('Error computing experiment results:', error);
+        res.status(500).json({ message: 'Failed to compute experiment results', error: error.message });
+    }
+});
+
 module.exports = router;
@@ -19,61 +19,34 @@ const { enrichArticlesWithSources, getSourceMap } = require('../utils/sourceCach
 const PointsService = require('../services/pointsService'); // 🎮 Gamification
 const NotificationService = require('../utils/notificationService'); // Phase 3.3: Notifications
 const { getOrCreateArticleAudio } = require('../utils/ttsAudio'); // TTS Track 2: on-demand neural audio
+const { collapseStoryClusters, attachStoryCoverage } = require('../services/storyClusters'); // one card per cross-source story
+const { listRevisions } = require('../services/articleRevisions'); // publisher edits (GET /:id/revisions)
+const { experimentAttributesForUser, getTreatmentForUser } = require('../utils/experiments'); // P3-1: A/B framework
 const {
-  EXPERIMENT_ID,
-  getTreatmentForUser,
-  getEffectivePersW,
-} = require('../utils/experiments'); // P3-1: A/B framework
+  basicRecencyScore,
+  calculateEngagementScore,
+  interleaveBySourceGroup,
+} = require('../services/feedRanking'); // scorer shared with the offline evaluator
+const feedPipelines = require('../services/feedPipelines'); // personalized feeds as ranking pipelines
+const { VECTOR_INDEX, simpleHash, includeEmbeddingFor } = require('../services/feedStages');
+const {
+  trackUserCacheKey,
+  clearUserArticleCaches,
+  getServedIds,
+  recordServedIds,
+  getCategoryEngagementStats,
+  loadUserPersonalizationContext,
+  recordExposure,
+  userStateHash,
+  attachSessionInterest,
+} = require('../services/feedContext'); // per-user ctx, shared with /api/home
+const { scoreBreakdown, wantsExplanations, withExplanations } = require('../services/feedExplanations'); // "why am I seeing this"
+const { getArticleNeighbors, interleaveRelated } = require('../services/itemNeighbors'); // co-read neighbours for /related/:id
 
 const articleRouter = express.Router();
 
 /** ---- Utilities ---- **/
 
-// Engagement score: tune weights here if needed
-const viewsWeight = 1.0;
-const likesWeight = 3.0;
-const dislikesWeight = -2.0;
-const recencyWeight = 4.0;
-
-/**
- * Time constant for the recency decay. exp(-hours/τ).
- *
- *   τ=72  →  24h: 0.72   48h: 0.51   72h: 0.37   7d: 0.10   30d: 4e-5
- *
- * Picked to match the brand voice ("Bold · Fast · Energetic"): fresher
- * content scores meaningfully higher than 24h-old, and 7-day content is
- * a faint signal rather than the 0.4 the old piecewise function gave it.
- *
- * Single tunable knob — adjust here to re-weight freshness without
- * touching PERS_W or any caller.
- */
-const RECENCY_TAU_HOURS = 72;
-
-/**
- * Recency score in [0, 1] using continuous exponential decay.
- *
- * Replaces a piecewise step function that had visible cliffs at 24/48/72h
- * (an article scored 1.0 at 23h and 0.8 at 25h). Smooth decay means a
- * 2-hour-old breaking story now beats a 22-hour-old one on the recency
- * term alone — useful for breaking news.
- */
-function basicRecencyScore(publishedAt) {
-  const now = Date.now();
-  const t = new Date(publishedAt || Date.now()).getTime();
-  const hours = Math.max(0, (now - t) / (1000 * 60 * 60));
-  return Math.exp(-hours / RECENCY_TAU_HOURS);
-}
-
-function calculateEngagementScore(article) {
-  const recencyScore = basicRecencyScore(article.publishedAt);
-  return (
-    (article.viewCount || 0) * viewsWeight +
-    (article.likes || 0) * likesWeight +
-    (article.dislikes || 0) * dislikesWeight +
-    recencyScore * recencyWeight
-  );
-}
-
 // Utility function to limit articles per source group (max 2 per group)
 function limitArticlesPerSourceGroup(articles, maxPerGroup = 2) {
   const sourceGroupCounts = {};
@@ -93,65 +66,6 @@ function limitArticlesPerSourceGroup(articles, maxPerGroup = 2) {
   });
 }
 
-function cosineSimilarity(a, b) {
-  if (!a || !b || a.length !== b.length) return 0;
-  let dot = 0, magA = 0, magB = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    magA += a[i] * a[i];
-    magB += b[i] * b[i];
-  }
-  return magA && magB ? dot / (Math.sqrt(magA) * Math.sqrt(magB)) : 0;
-}
-
-/**
- * Per-user cache index. When a personalized endpoint SETs a key, it also
- * SADDs the key into `user_cache_keys:{userId}` so we can purge that user's
- * keys without a global SCAN. Set itself carries a 1h TTL so stale members
- * don't accumulate if a clear is missed.
- */
-const USER_CACHE_INDEX_TTL = 60 * 60; // 1 hour
-
-function userCacheIndexKey(userId) {
-  return `user_cache_keys:${userId}`;
-}
-
-async function trackUserCacheKey(userId, cacheKey) {
-  if (!userId || !cacheKey) return;
-  try {
-    await redis.sadd(userCacheIndexKey(userId), cacheKey);
-    await redis.expire(userCacheIndexKey(userId), USER_CACHE_INDEX_TTL);
-  } catch (err) {
-    // Non-fatal: cache tracking failure just falls back to TTL-based expiry.
-    console.warn('⚠️ trackUserCacheKey error:', err.message);
-  }
-}
-
-/**
- * Clear the cache entries belonging to a single user.
- *
- * Safe to call on every like/dislike: O(N) over THIS user's keys, not the
- * full keyspace. Combined with `stateHash` (which already rotates the cache
- * key on every action), this is belt-and-suspenders — the new request will
- * generate a fresh key regardless.
- */
-async function clearUserArticleCaches(userId) {
-  if (!userId) return;
-  try {
-    const idxKey = userCacheIndexKey(userId);
-    const keys = await redis.smembers(idxKey);
-    if (keys && keys.length > 0) {
-      await redis.del(...keys, idxKey);
-      console.log(`🧹 Cleared ${keys.length} cache keys for user ${userId}`);
-    } else {
-      // No tracked keys; nothing to do.
-    }
-  } catch (error) {
-    console.error('⚠️ Error clearing user article caches:', error.message);
-    // Don't throw - cache clearing failure shouldn't break the like/dislike.
-  }
-}
-
 /**
  * Clear ALL article caches across every user.
  *
@@ -317,990 +231,232 @@ async function applyIncrementalEmbeddingUpdate(supabaseId, articleId, action) {
   }
 }
 
-/** Deterministic LCG for stable pseudo-randomness */
-function lcg(seed) {
-  let s = seed >>> 0;
-  return () => ((s = (1103515245 * s + 12345) >>> 0) / 4294967296);
-}
-
-/** Simple hash function for seed generation */
-function simpleHash(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    hash = ((hash << 5) - hash + str.charCodeAt(i)) & 0xffffffff;
-  }
-  return Math.abs(hash);
-}
-
-/** ---- Served-article cursor (P0-2 follow-up) ---- **/
 /**
- * Exclude articles a user has been served recently from their personalized
- * candidate pool, so deep pagination doesn't repeat the same content as
- * the underlying pool shrinks (the page-based slice problem: pages 1, 2,
- * 3 used to be [0:20], [20:40], [40:60] of the same scored list — pool
- * size 25 meant page 2 returned 5, page 3 returned 0).
- *
- * Implementation: per-user Redis SET keyed by supabase_id. SADD every
- * article ID we surface. EXPIRE sliding 6h on every write — active users
- * never see repeats; idle users returning the next morning see
- * everything again.
+ * Two-tier cache + stale-while-revalidate for personalized-light.
  *
- * Applied to: /personalized-light, /personalized-fast, /personalized-category.
- * NOT applied to: /following (users explicitly subscribed; they want
- * everything those sources publish even if they've already seen it).
+ * The fresh key carries stateHash + 10-min slot — it auto-rotates on
+ * activity. The stale key has neither — it's a "latest known result" that
+ * survives slot rotations and user actions. When the fresh key misses but
+ * stale is warm, we return stale instantly and regenerate in the
+ * background. A NX-lock prevents two simultaneous misses from both
+ * regenerating.
  */
-const SERVED_EXCLUSION_TTL_SEC = 6 * 60 * 60; // 6h sliding
-const SERVED_MAX_EXCLUDE = 1000; // ceiling on how many IDs we send to $nin
-
-function servedKey(userId) {
-  return `served_pers_v1:${userId}`;
-}
+const SWR_STALE_TTL = 60 * 60; // 1h - stale tier survives across slots/actions
+const SWR_FRESH_TTL = 600;     // 10min - fresh tier (current behaviour)
+const SWR_LOCK_TTL = 30;       // 30s - max compute time
 
-async function getServedIds(userId) {
-  if (!userId) return new Set();
-  try {
-    const members = await redis.smembers(servedKey(userId));
-    return new Set(members || []);
-  } catch (err) {
-    // Non-fatal: just means no exclusion this request.
-    console.warn('⚠️ getServedIds error:', err.message);
-    return new Set();
-  }
+function lightStaleKey(userId, language, limit) {
+  return `articles_pers_v2_stale_${userId}_${language}_${limit}`;
 }
 
-async function recordServedIds(userId, articleIds) {
-  if (!userId || !articleIds?.length) return;
-  try {
-    const ids = articleIds
-      .map((a) => (a && a._id ? a._id.toString() : a?.toString()))
-      .filter(Boolean);
-    if (ids.length === 0) return;
-    await redis.sadd(servedKey(userId), ...ids);
-    // Sliding TTL: each write resets the expiry. Active users keep
-    // their served set "warm" for as long as they're scrolling; idle
-    // users let it expire after 6h of no activity.
-    await redis.expire(servedKey(userId), SERVED_EXCLUSION_TTL_SEC);
-  } catch (err) {
-    // Non-fatal: a missed record just means the next page may overlap
-    // slightly. Client-side dedup catches it.
-    console.warn('⚠️ recordServedIds error:', err.message);
-  }
+function lightLockKey(userId, language, limit) {
+  return `articles_pers_v2_lock_${userId}_${language}_${limit}`;
 }
 
-/** ---- Personalization v2 helpers ---- **/
-
-// Scoring weights — tuned for Gulf news feed (bold/fast hero accent feed)
-const PERS_W = {
-  recency: 4.0,
-  engagement: 1.0,
-  categoryAffinity: 3.0,
-  followingBoost: 2.5,
-  preferredSourceBoost: 1.5,
-  vector: 6.0,
-  dislikedCategoryPenalty: -8.0,
-  // Explicit "show less from this source" (not-interested panel chip).
-  // Softer than a category ban: the source still appears when it has
-  // genuinely strong content, just far less often.
-  mutedSourcePenalty: -6.0,
-  // Viewed articles are demoted (not excluded) so the feed never starves.
-  // They sink below fresh content but reappear if no better candidates exist.
-  viewedPenalty: -3.0,
-};
-
 /**
- * Threshold in seconds at which a read is considered "full" for the
- * read-time-weighted viewed penalty (P1-6). A read at this duration or
- * longer applies the full viewedPenalty; shorter reads apply
- * proportionally less.
+ * Acquire a distributed lock; returns true if we got it.
+ * Spawn a background regeneration that writes to fresh + stale keys.
  */
-const FULL_READ_SECONDS = 60;
+function spawnBackgroundRegen({ freshKey, staleKey, lockKey, userId, params }) {
+  setImmediate(async () => {
+    const lockStart = Date.now();
+    try {
+      const acquired = await redis.set(lockKey, '1', 'EX', SWR_LOCK_TTL, 'NX');
+      if (acquired !== 'OK') {
+        // Another instance is already regenerating; nothing to do.
+        return;
+      }
+      try {
+        const { items: articles } = await feedPipelines.personalizedLight.run(params);
+        await redis.set(freshKey, JSON.stringify(articles), 'EX', SWR_FRESH_TTL);
+        await trackUserCacheKey(userId, freshKey);
+        await redis.set(staleKey, JSON.stringify(articles), 'EX', SWR_STALE_TTL);
+        await trackUserCacheKey(userId, staleKey);
+        console.log(
+          `♻️  pers-v2 light SWR regen done for ${userId} in ${Date.now() - lockStart}ms`
+        );
+      } finally {
+        await redis.del(lockKey);
+      }
+    } catch (err) {
+      // Non-fatal: stale already served, regen failure just means next
+      // request also misses fresh. Log and move on.
+      console.warn(`⚠️ SWR background regen failed for ${userId}:`, err.message);
+    }
+  });
+}
 
 /**
- * Per-(category, language) engagement statistics (mean + stddev of raw
- * engagement signal) so we can score by z-score rather than absolute
- * volume. Without this, a viral Football article (raw eng ~200) drowns
- * out a typical Business article (raw eng ~20) even when a Business
- * reader has explicit Business preference — the engagement term keeps
- * dragging Football to the top.
- *
- * Returns Map<category, {mean, stddev}>. Empty Map if data unavailable;
- * scorer falls back to the legacy tanh(rawEng/80) in that case.
- *
- * Cached in Redis on a 15-minute slot, refreshed on miss. Computed from
- * articles published in the last 7 days for the given language.
+ * OPTIMIZED COUNT CACHING
+ * Pre-warm common article counts in background to avoid expensive countDocuments() calls
  */
-async function getCategoryEngagementStats(language) {
-  const lang = (language || 'english').toLowerCase();
-  const fifteenMinSlot = Math.floor(Date.now() / (15 * 60 * 1000));
-  const cacheKey = `cat_eng_stats_v1_${lang}_${fifteenMinSlot}`;
+const COMMON_LANGUAGES = ['english', 'arabic'];
+const COUNT_CACHE_TTL = 900; // 15 minutes
 
+async function warmArticleCountCache() {
+  console.log('🔥 Warming article count cache...');
   try {
-    const cached = await redis.get(cacheKey);
-    if (cached) {
-      const obj = JSON.parse(cached);
-      return new Map(Object.entries(obj));
+    for (const lang of COMMON_LANGUAGES) {
+      const filter = { language: lang };
+      const filterKey = JSON.stringify(filter);
+      const countCacheKey = `articles_count_${simpleHash(filterKey)}`;
+
+      // Check if cache exists and is recent
+      const existingCache = await redis.get(countCacheKey);
+      if (!existingCache) {
+        const count = await Article.countDocuments(filter);
+        await redis.set(countCacheKey, count.toString(), 'EX', COUNT_CACHE_TTL);
+        console.log(`📊 Cached count for ${lang}: ${count}`);
+      }
     }
-  } catch (err) {
-    console.warn('⚠️ getCategoryEngagementStats GET error:', err.message);
+    console.log('✅ Article count cache warmed');
+  } catch (error) {
+    console.error('⚠️ Error warming count cache:', error.message);
   }
+}
+
+/**
+ * P2-3: pre-warmed "recent articles" cache. The frontend uses this as
+ * a fast fallback when personalized takes too long (cold Cloud Run,
+ * stale-tier miss). One Mongo query per language every 5 minutes;
+ * served from Redis in <5ms.
+ */
+const RECENT_CACHE_TTL = 300; // 5 min
+const RECENT_LIMIT = 30;
+// Fetch a wider pool than we serve so interleaveBySourceGroup has material
+// to diversify with. A scraper cron that just dumped 25 articles from one
+// source would otherwise fill the entire recent list with that source,
+// back-to-back — and /recent is what the app's soft-race serves as page 1
+// on cold starts, so it must not cluster.
+const RECENT_CANDIDATES = 90;
+const RECENT_INTERLEAVE_OPTS = { minGap: 3, perGroupCap: 3, fill: true };
+
+function recentCacheKey(language) {
+  return `articles_recent_v1_${language}`;
+}
 
+async function warmRecentArticlesCache() {
   try {
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    const rows = await Article.aggregate([
-      {
-        $match: {
-          language: lang,
-          publishedAt: { $gte: sevenDaysAgo },
-          category: { $exists: true, $ne: null },
+    for (const lang of COMMON_LANGUAGES) {
+      const recent = await Article.aggregate([
+        {
+          $match: {
+            language: lang,
+            publishedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+          },
         },
-      },
-      {
-        $project: {
-          category: 1,
-          rawEng: {
-            $add: [
-              { $multiply: [{ $ifNull: ['$viewCount', 0] }, viewsWeight] },
-              { $multiply: [{ $ifNull: ['$likes', 0] }, likesWeight] },
-              { $multiply: [{ $ifNull: ['$dislikes', 0] }, dislikesWeight] },
+        { $sort: { publishedAt: -1 } },
+        { $limit: RECENT_CANDIDATES },
+        {
+          $lookup: {
+            from: 'sources',
+            localField: 'sourceId',
+            foreignField: '_id',
+            as: 'source',
+            pipeline: [
+              { $match: { status: { $ne: 'blocked' } } },
+              { $project: { groupName: 1, name: 1, icon: 1, quality_score: 1 } },
             ],
           },
         },
-      },
-      {
-        $group: {
-          _id: '$category',
-          mean: { $avg: '$rawEng' },
-          stddev: { $stdDevPop: '$rawEng' },
-          n: { $sum: 1 },
+        { $match: { 'source.0': { $exists: true } } },
+        {
+          $addFields: {
+            sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
+            sourceName: { $arrayElemAt: ['$source.name', 0] },
+            sourceIcon: { $arrayElemAt: ['$source.icon', 0] },
+            sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
+          },
         },
-      },
-      // Reject categories with too few samples — their stats are noise
-      { $match: { n: { $gte: 5 } } },
-    ]);
-
-    const stats = {};
-    for (const r of rows) {
-      stats[r._id] = { mean: r.mean || 0, stddev: r.stddev || 0 };
-    }
-
-    try {
-      await redis.set(cacheKey, JSON.stringify(stats), 'EX', 900); // 15 min
-    } catch (err) {
-      console.warn('⚠️ getCategoryEngagementStats SET error:', err.message);
+        {
+          $project: {
+            title: 1,
+            content: 1,
+            contentFormat: 1,
+            url: 1,
+            category: 1,
+            publishedAt: 1,
+            image: 1,
+            viewCount: 1,
+            likes: 1,
+            dislikes: 1,
+            commentCount: 1,
+            storyClusterId: 1,
+            isUpdated: 1,
+            lastRevisedAt: 1,
+            sourceId: 1,
+            sourceName: 1,
+            sourceIcon: 1,
+            sourceGroupName: 1,
+            language: 1,
+          },
+        },
+      ]);
+      // Diversify at warm time — the request path stays a pure Redis read.
+      const diversified = interleaveBySourceGroup(collapseStoryClusters(recent), RECENT_INTERLEAVE_OPTS)
+        .slice(0, RECENT_LIMIT);
+      await attachStoryCoverage(diversified);
+      await redis.set(recentCacheKey(lang), JSON.stringify(diversified), 'EX', RECENT_CACHE_TTL);
     }
-
-    return new Map(Object.entries(stats));
+    // Don't log on every refresh — too chatty.
   } catch (err) {
-    console.warn('⚠️ getCategoryEngagementStats compute error:', err.message);
-    return new Map();
+    console.error('⚠️ warmRecentArticlesCache failed:', err.message);
   }
 }
 
-/**
- * Per-user context cache (P2-1).
- *
- * loadUserPersonalizationContext used to run on every personalized request:
- * one Mongo findOne + one UserActivity aggregation. With three handlers
- * each loading ctx (personalized-light, fast, category), an active user
- * scrolling + tapping a chip would trigger 3+ ctx loads in 5 seconds.
- *
- * Cache the entire ctx in Redis for CTX_CACHE_TTL seconds. Sets and Maps
- * don't JSON-serialize, so we round-trip them as arrays and rebuild on
- * read.
- *
- * Invalidation: tracked via trackUserCacheKey so the existing
- * clearUserArticleCaches(userId) call in the /react hot path purges it
- * along with the article caches. Other state mutations (follow, save,
- * language change) rely on the 5-min TTL — acceptable lag.
- */
-const CTX_CACHE_TTL = 5 * 60; // 5 min
+// Warm cache on startup (after 30 seconds to let DB connect)
+setTimeout(warmArticleCountCache, 30000);
+setTimeout(warmRecentArticlesCache, 30000);
 
-function ctxCacheKey(userId) {
-  return `user_ctx_v1_${userId}`;
-}
+// Refresh cache every 15 minutes
+setInterval(warmArticleCountCache, COUNT_CACHE_TTL * 1000);
+// Refresh recent cache slightly before TTL so reads never miss
+setInterval(warmRecentArticlesCache, (RECENT_CACHE_TTL - 30) * 1000);
 
-function serializeCtx(ctx) {
-  if (!ctx) return null;
-  return {
-    userId: ctx.userId,
-    treatment: ctx.treatment,
-    preferredCategories: Array.from(ctx.preferredCategories),
-    preferredSourceIds: Array.from(ctx.preferredSourceIds),
-    dislikedCategories: Array.from(ctx.dislikedCategories),
-    mutedSourceIds: Array.from(ctx.mutedSourceIds || []),
-    likedIds: Array.from(ctx.likedIds),
-    likedIdsOrdered: ctx.likedIdsOrdered,
-    dislikedIds: Array.from(ctx.dislikedIds),
-    savedIds: Array.from(ctx.savedIds),
-    viewedIds: Array.from(ctx.viewedIds),
-    viewReadFractions: Array.from(ctx.viewReadFractions.entries()),
-    followingSourceGroups: Array.from(ctx.followingSourceGroups),
-    embedding: ctx.embedding,
-    language: ctx.language,
-    hasSignal: ctx.hasSignal,
-  };
-}
+// Import Source model for following feed
+const Source = require('../models/Source');
 
-function deserializeCtx(plain) {
-  if (!plain) return null;
-  return {
-    userId: plain.userId,
-    treatment: plain.treatment || 'control',
-    preferredCategories: new Set(plain.preferredCategories || []),
-    preferredSourceIds: new Set(plain.preferredSourceIds || []),
-    dislikedCategories: new Set(plain.dislikedCategories || []),
-    mutedSourceIds: new Set(plain.mutedSourceIds || []),
-    likedIds: new Set(plain.likedIds || []),
-    likedIdsOrdered: plain.likedIdsOrdered || [],
-    dislikedIds: new Set(plain.dislikedIds || []),
-    savedIds: new Set(plain.savedIds || []),
-    viewedIds: new Set(plain.viewedIds || []),
-    viewReadFractions: new Map(plain.viewReadFractions || []),
-    followingSourceGroups: new Set(plain.followingSourceGroups || []),
-    embedding: plain.embedding || null,
-    language: plain.language,
-    hasSignal: !!plain.hasSignal,
-  };
-}
+/** ---- Routes ---- **/
 
 /**
- * Load all personalization signals for a user in one Mongo query.
- * Returns null if user not found. Sets are used for O(1) exclusion/lookup.
+ * GET /api/articles/recent (P2-3)
+ *
+ * Pre-warmed list of recent articles in the requested language. Served
+ * entirely from Redis (<5ms). Used by the frontend as an optimistic
+ * fallback when the personalized fetch takes too long — paint
+ * something usable in under a second, swap to personalized when it
+ * arrives.
  *
- * Cached in Redis for 5 min (P2-1). Pass `forceFresh: true` to bypass.
+ * Public, no JWT required. Safe to call from cold-start guest
+ * sessions.
  */
-async function loadUserPersonalizationContext(userId, { forceFresh = false } = {}) {
-  if (!userId) return null;
-
-  const cacheKey = ctxCacheKey(userId);
+articleRouter.get('/recent', async (req, res) => {
+  try {
+    const language = (req.query.language || 'english').toLowerCase();
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), RECENT_LIMIT);
 
-  if (!forceFresh) {
     try {
-      const cached = await redis.get(cacheKey);
+      const cached = await redis.get(recentCacheKey(language));
       if (cached) {
-        return deserializeCtx(JSON.parse(cached));
+        const articles = JSON.parse(cached).slice(0, limit);
+        res.setHeader('X-Cache', 'hit');
+        return res.json(articles);
       }
     } catch (err) {
-      // Non-fatal: fall through and compute fresh.
-      console.warn(`⚠️ ctx cache GET error for ${userId}: ${err.message}`);
-    }
-  }
-
-  const ctx = await computeUserPersonalizationContext(userId);
-  if (ctx) {
-    try {
-      await redis.set(cacheKey, JSON.stringify(serializeCtx(ctx)), 'EX', CTX_CACHE_TTL);
-      await trackUserCacheKey(userId, cacheKey);
-    } catch (err) {
-      console.warn(`⚠️ ctx cache SET error for ${userId}: ${err.message}`);
+      // Fall through to direct query
     }
-  }
-  return ctx;
-}
 
-/** Inner: the actual Mongo work, unwrapped. */
-async function computeUserPersonalizationContext(userId) {
-  const user = await User.findOne({ supabase_id: userId })
-    .select(
-      'preferred_categories preferred_sources disliked_categories ' +
-      'implicit_preferred_categories muted_categories muted_sources ' +
-      'liked_articles disliked_articles saved_articles viewed_articles ' +
-      'following_sources embedding_pca language'
-    )
-    .lean();
-  if (!user) return null;
-
-  const toIdStringSet = (arr) =>
-    new Set((arr || []).map((id) => (id && id.toString ? id.toString() : id)).filter(Boolean));
-
-  // Merge explicit + implicit preferred categories (P1-3).
-  // Explicit are user-declared; implicit are derived nightly from
-  // 30d weighted action history. Scorer treats both equally.
-  const preferredCategories = new Set([
-    ...(user.preferred_categories || []),
-    ...(user.implicit_preferred_categories || []),
-  ]);
-  const preferredSourceIds = new Set(
-    (user.preferred_sources || []).map((id) => (id && id.toString ? id.toString() : id))
-  );
-
-  // Source the viewed signal from BOTH the legacy User.viewed_articles
-  // (rarely populated by current routes) AND the live UserActivity log
-  // — that's where today's /article/:id/view and read_time events go.
-  // Also accumulate read-time durations so the penalty can scale by how
-  // deeply each article was consumed (P1-6).
-  const viewedIds = toIdStringSet(user.viewed_articles);
-  const viewReadFractions = new Map();
-  try {
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const activityRows = await UserActivity.aggregate([
+    // Cache miss (cold boot before warmer ran, or unsupported language).
+    // Compute inline once; the interval will keep it warm afterward.
+    const recent = await Article.aggregate([
       {
         $match: {
-          userId,
-          articleId: { $exists: true, $ne: null },
-          eventType: { $in: ['view', 'read_time'] },
-          timestamp: { $gte: thirtyDaysAgo },
-        },
-      },
-      {
-        $group: {
-          _id: '$articleId',
-          totalReadTime: {
-            $sum: {
-              $cond: [{ $eq: ['$eventType', 'read_time'] }, { $ifNull: ['$duration', 0] }, 0],
-            },
-          },
-          hasView: {
-            $max: { $cond: [{ $eq: ['$eventType', 'view'] }, 1, 0] },
-          },
+          language,
+          publishedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
         },
       },
-      { $limit: 500 },
-    ]);
-    for (const row of activityRows) {
-      const idStr = row._id.toString();
-      viewedIds.add(idStr);
-      // Fraction maps total_read_time -> [0, 1] capped at FULL_READ_SECONDS.
-      // No read_time event but a 'view' event recorded -> default 0.5
-      // (they tapped through, but we don't know how long they stayed).
-      let fraction;
-      if (row.totalReadTime > 0) {
-        fraction = Math.min(1, row.totalReadTime / FULL_READ_SECONDS);
-      } else if (row.hasView) {
-        fraction = 0.5;
-      } else {
-        continue;
-      }
-      viewReadFractions.set(idStr, fraction);
-    }
-  } catch (err) {
-    // Non-fatal: missing read-time data just means the viewed penalty
-    // falls back to its flat -1.0 (default for "viewed but no fraction").
-    console.warn(`⚠️ Failed to load view/read activity for ${userId}: ${err.message}`);
-  }
-
-  // Preserve liked order as best as we can — Mongo array order is the
-  // order they were pushed (newest at end), so reversing gives us
-  // most-recent-first for the Cohere pseudo-query (P1-5).
-  const likedIdsOrdered = (user.liked_articles || [])
-    .slice(-20) // last 20 likes (most recent)
-    .reverse()
-    .map((id) => (id && id.toString ? id.toString() : id))
-    .filter(Boolean);
-
-  return {
-    userId,
-    // P3-1: stable A/B treatment ID. The scorer reads effective PERS_W
-    // through this; /react and /view log it onto UserActivity.
-    treatment: getTreatmentForUser(userId),
-    preferredCategories,
-    preferredSourceIds,
-    // Derived bans (≥3 dislikes, nightly cron) + explicit mutes from the
-    // not-interested panel share the exclusion machinery.
-    dislikedCategories: new Set([
-      ...(user.disliked_categories || []),
-      ...(user.muted_categories || []),
-    ]),
-    // Explicit "show less from this source" — scorer demotes, never excludes.
-    mutedSourceIds: toIdStringSet(user.muted_sources),
-    likedIds: toIdStringSet(user.liked_articles),
-    likedIdsOrdered,
-    dislikedIds: toIdStringSet(user.disliked_articles),
-    savedIds: toIdStringSet(user.saved_articles),
-    viewedIds,
-    viewReadFractions,
-    followingSourceGroups: new Set(user.following_sources || []),
-    embedding:
-      Array.isArray(user.embedding_pca) && user.embedding_pca.length > 0
-        ? user.embedding_pca
-        : null,
-    language: (user.language || 'English').toLowerCase(),
-    hasSignal:
-      preferredCategories.size +
-        (user.liked_articles?.length || 0) +
-        (user.saved_articles?.length || 0) +
-        (user.following_sources?.length || 0) +
-        preferredSourceIds.size >
-      0,
-  };
-}
-
-/**
- * Score candidate articles using the user's personalization context.
- * Returns an array sorted by descending score (mutates each item with `_score`).
- *
- * page argument shifts the blend: page 1 favors recency (feels fresh),
- * deeper pages favor relevance (give them what they like).
- */
-function scorePersonalizedCandidates(candidates, ctx, { page = 1 } = {}) {
-  if (!candidates?.length) return [];
-
-  const recencyMult = page === 1 ? 1.2 : page === 2 ? 1.0 : 0.8;
-  const relMult = page === 1 ? 0.8 : page === 2 ? 1.0 : 1.2;
-  const hasEmbedding = !!ctx?.embedding;
-
-  // P3-1: pull effective weights from the user's treatment. Falls
-  // through to PERS_W defaults when no overrides exist (today: always).
-  const W = getEffectivePersW(ctx?.treatment || 'control', PERS_W);
-
-  const categoryStats = ctx.categoryStats; // Map<category, {mean, stddev}> | undefined
-
-  // P2-2 telemetry: aggregate stats so we can decide whether to skip the
-  // embedding projection for heavy-category users. Logged at the bottom.
-  let totalAbsScore = 0;
-  let totalAbsVector = 0;
-  let withEmbeddingCount = 0;
-
-  for (const a of candidates) {
-    const recency = basicRecencyScore(a.publishedAt);
-
-    // Engagement: if we have per-category stats (P1-2), score by z-score
-    // (deviation from category average) so a viral Football article doesn't
-    // outrank a typical Business article for a Business reader. Otherwise
-    // fall back to the legacy tanh(rawEng/80) absolute-volume form.
-    const rawEng =
-      (a.viewCount || 0) * viewsWeight +
-      (a.likes || 0) * likesWeight +
-      (a.dislikes || 0) * dislikesWeight;
-    const stats = categoryStats && a.category ? categoryStats.get(a.category) : null;
-    let engagement;
-    if (stats && stats.stddev > 0) {
-      const z = (rawEng - stats.mean) / stats.stddev;
-      // tanh(z/2) maps z=2 (~95th pct) to 0.76, z=0 to 0, z=-2 to -0.76.
-      // Engagement can now actively penalize below-average articles, which
-      // is the intended behavior — "below typical for its category" is a
-      // real signal, not just absence of signal.
-      engagement = Math.tanh(z / 2);
-    } else {
-      engagement = Math.tanh(rawEng / 80);
-    }
-
-    let categoryScore = 0;
-    if (a.category) {
-      if (ctx.preferredCategories.has(a.category)) categoryScore += 1;
-      if (ctx.dislikedCategories.has(a.category)) {
-        // Penalty is heavy and applied directly (not multiplied by relMult)
-        // so it dominates regardless of page bias.
-        a._dislikedCat = true;
-      }
-    }
-
-    const sourceIdStr = a.sourceId ? a.sourceId.toString() : null;
-    const idStr = a._id ? a._id.toString() : null;
-    const followingScore = a.sourceGroupName && ctx.followingSourceGroups.has(a.sourceGroupName) ? 1 : 0;
-    const preferredSourceScore = sourceIdStr && ctx.preferredSourceIds.has(sourceIdStr) ? 1 : 0;
-    const alreadyViewed = idStr ? ctx.viewedIds.has(idStr) : false;
-
-    let vectorScore = 0;
-    if (typeof a._atlasSimilarity === 'number') {
-      // Hybrid retrieval path: the candidate came from Atlas $vectorSearch, so
-      // we already have a cosine score. Atlas normalizes cosine to [0,1] as
-      // (1 + cos)/2 — convert back to raw cosine and clamp so W.vector keeps
-      // the exact same meaning as the JS cosine path below.
-      vectorScore = Math.max(0, 2 * a._atlasSimilarity - 1);
-      withEmbeddingCount++;
-    } else if (
-      hasEmbedding &&
-      Array.isArray(a.embedding_pca) &&
-      a.embedding_pca.length === ctx.embedding.length
-    ) {
-      // Clamp to [0,1] — negative similarity shouldn't actively penalize, just contribute nothing
-      vectorScore = Math.max(0, cosineSimilarity(ctx.embedding, a.embedding_pca));
-      withEmbeddingCount++;
-    }
-
-    const vectorContribution = relMult * W.vector * vectorScore;
-    const positiveScore =
-      recencyMult * W.recency * recency +
-      W.engagement * engagement +
-      relMult * W.categoryAffinity * categoryScore +
-      relMult * W.followingBoost * followingScore +
-      relMult * W.preferredSourceBoost * preferredSourceScore +
-      vectorContribution;
-
-    // P3-5: scale the positive component by source quality. Default 1.0
-    // (neutral) so articles from sources with no aggregate data yet
-    // aren't penalized. Sources where dislikes dominate likes get
-    // quality < 1, which proportionally demotes their positive signal —
-    // they don't disappear, they just compete for fewer top slots.
-    //
-    // Penalties (dislikedCategory, viewedPenalty) are NOT scaled by
-    // quality. Multiplying a negative number by 0.7 makes it less
-    // negative, which would soften penalties for low-quality sources —
-    // the opposite of what we want.
-    const sourceQuality = typeof a.sourceQualityScore === 'number'
-      ? a.sourceQualityScore
-      : 1.0;
-    let score = positiveScore * sourceQuality;
-
-    if (a._dislikedCat) score += W.dislikedCategoryPenalty;
-    if (sourceIdStr && ctx.mutedSourceIds?.has(sourceIdStr)) {
-      score += W.mutedSourcePenalty;
-    }
-    if (alreadyViewed) {
-      // P1-6: scale by how deeply this article was previously consumed.
-      // Full read (≥FULL_READ_SECONDS) gets the full -3.0 penalty;
-      // a glance gets proportionally less; legacy "view" with no
-      // read-time event falls back to the default 1/3 of full.
-      const fraction = ctx.viewReadFractions?.get(idStr) ?? (1 / 3);
-      score += W.viewedPenalty * fraction;
-    }
-
-    a._score = score;
-
-    if (hasEmbedding) {
-      // Track absolute contribution so a vector that pushes some scores up
-      // and others down still shows its real influence on the ranking.
-      totalAbsScore += Math.abs(score);
-      totalAbsVector += Math.abs(vectorContribution);
-    }
-  }
-
-  // P2-2 telemetry: log mean vector contribution as a % of total absolute
-  // ranking signal. After a week of these logs we can decide whether to
-  // skip the embedding projection for users where this is consistently
-  // below 5%.
-  if (hasEmbedding && withEmbeddingCount > 0 && totalAbsScore > 0) {
-    const vectorPct = Math.round((totalAbsVector / totalAbsScore) * 100);
-    if (process.env.PERS_LOG_VECTOR_PCT === '1' || vectorPct < 3) {
-      console.log(
-        `📐 vector contribution for ${ctx.userId?.substring?.(0, 8) || '?'}: ` +
-        `${vectorPct}% (${withEmbeddingCount}/${candidates.length} candidates had embedding)`
-      );
-    }
-  }
-
-  return candidates.sort((x, y) => y._score - x._score);
-}
-
-/**
- * Cohere rerank (P1-5).
- *
- * Feature-flagged via COHERE_RERANK_ENABLED=1. When on:
- *   - Build a pseudo-query from the user's last 20 liked article titles
- *     (cached per-user for 30 min — liked list changes rarely).
- *   - Send the top-N candidates after local scoring/interleave to Cohere
- *     rerank-multilingual-v3.0 (handles Arabic + Farsi as well as English).
- *   - Use the returned order as the final ranking; on any failure
- *     (no API key, timeout, HTTP error, no eligible query) fall back to
- *     the local order — Cohere is additive, never required.
- *
- * Runs only for users with >=3 liked articles. Below that we can't build
- * a meaningful pseudo-query.
- *
- * Cost notes: ~$2/1M docs. With 80 docs per request and a busy day at
- * 10k personalized-light requests, that's ~800k docs/day ≈ $1.60/day.
- * SWR (P0-2) means most calls are background regen, so latency cost is
- * off the user's response path.
- */
-const COHERE_RERANK_TOP_N = 80;
-const COHERE_RERANK_TIMEOUT_MS = 6000;
-const COHERE_QUERY_CACHE_TTL = 30 * 60; // 30 min
-const COHERE_MIN_LIKES = 3;
-
-function cohereEnabled() {
-  return !!process.env.COHERE_API_KEY && process.env.COHERE_RERANK_ENABLED === '1';
-}
-
-/**
- * P2-2 conditional embedding projection.
- *
- * When a user has lots of explicit signal (many preferred categories,
- * many followed source groups), the vector term contributes only
- * marginally to the final ranking — category and following boosts
- * already dominate. We can skip pulling `embedding_pca` from Mongo (128
- * floats × ~240 candidates ≈ 31KB) and save the network/Mongo bandwidth.
- *
- * Feature-flagged: off by default. Turn on after a week of
- * `📐 vector contribution` telemetry (PERS_LOG_VECTOR_PCT=1) confirms
- * which user profiles see <5% vector contribution.
- */
-function shouldSkipEmbedding(ctx) {
-  if (process.env.PERS_SKIP_VECTOR_FOR_HEAVY_PREFS !== '1') return false;
-  if (!ctx) return false;
-  const prefCats = ctx.preferredCategories?.size || 0;
-  const followSrc = ctx.followingSourceGroups?.size || 0;
-  // Users with 4+ category prefs AND 3+ followed source groups have
-  // enough non-vector signal that the embedding projection rarely shifts
-  // the top-K. Tune thresholds based on logged telemetry.
-  return prefCats >= 4 && followSrc >= 3;
-}
-
-async function getCohereQueryForUser(userId, likedIdsOrdered) {
-  if (!likedIdsOrdered || likedIdsOrdered.length < COHERE_MIN_LIKES) return null;
-  // Cache key based on the prefix of liked IDs — if the user likes a new
-  // article, the prefix shifts and the cache rotates naturally.
-  const sample = likedIdsOrdered.slice(0, 10).join('|');
-  const cacheKey = `cohere_q_${userId}_${simpleHash(sample)}`;
-
-  try {
-    const cached = await redis.get(cacheKey);
-    if (cached) return cached;
-  } catch (err) {
-    // Non-fatal: just rebuild below.
-  }
-
-  try {
-    const ids = likedIdsOrdered.map((id) => new mongoose.Types.ObjectId(id));
-    const articles = await Article.find({ _id: { $in: ids } })
-      .select('title')
-      .lean();
-    if (!articles.length) return null;
-    // Order by the input array (the find() result order isn't guaranteed)
-    const byId = new Map(articles.map((a) => [a._id.toString(), a]));
-    const titles = likedIdsOrdered
-      .map((id) => byId.get(id)?.title)
-      .filter(Boolean)
-      .slice(0, 20)
-      .map((t) => t.replace(/\s+/g, ' ').trim());
-    if (titles.length === 0) return null;
-    const query = titles.join(' / ');
-    try {
-      await redis.set(cacheKey, query, 'EX', COHERE_QUERY_CACHE_TTL);
-    } catch (err) {
-      // Non-fatal
-    }
-    return query;
-  } catch (err) {
-    console.warn(`⚠️ getCohereQueryForUser failed for ${userId}: ${err.message}`);
-    return null;
-  }
-}
-
-async function rerankWithCohere(query, articles) {
-  if (!articles?.length || !query) return null;
-
-  const axios = require('axios');
-  const documents = articles.map((a) => {
-    const content = a.content
-      ? a.content.replace(/<[^>]*>/g, '').slice(0, 800)
-      : '';
-    return `${a.title || ''}\n${content}`.slice(0, 1024);
-  });
-
-  try {
-    const response = await axios.post(
-      'https://api.cohere.ai/v1/rerank',
-      {
-        // Multilingual handles Arabic + Farsi + English in one model.
-        model: 'rerank-multilingual-v3.0',
-        query,
-        documents,
-        top_n: documents.length,
-        return_documents: false,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.COHERE_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: COHERE_RERANK_TIMEOUT_MS,
-      }
-    );
-
-    const results = response?.data?.results;
-    if (!Array.isArray(results) || results.length === 0) return null;
-
-    // Map Cohere's reordered indices back to our articles, attaching the
-    // relevance score for telemetry. Cohere's `results` is already sorted
-    // by relevance descending.
-    return results.map((r) => ({
-      ...articles[r.index],
-      _rerankScore: r.relevance_score,
-    }));
-  } catch (err) {
-    console.warn(
-      `⚠️ Cohere rerank failed (${err.response?.status || err.code || 'err'}): ${err.message}`
-    );
-    return null;
-  }
-}
-
-/**
- * ε-greedy exploration injection (P1-4).
- *
- * With probability EXPLORATION_RATE, swap a visible mid-page slot of the
- * page-1 feed with a recent article from a category the user has NOT
- * recently engaged with. Helps break out of filter bubbles — the greedy
- * scorer otherwise reinforces existing affinities indefinitely.
- *
- * Criteria for an exploration candidate:
- *   - Recent (recency >= 0.5, i.e. ~last 50h with τ=72)
- *   - Category is NOT in user's explicit OR implicit preferred categories
- *   - Article is NOT already in the visible page
- *   - Article is NOT already in viewedIds
- *
- * No-op if no eligible candidate exists in the pool, or if user has no
- * personalization signal (cold-start users are already exploring by
- * default — pure recency feed).
- *
- * @param {Array} page - the page-sliced output array (mutated in place)
- * @param {Array} fullPool - the full scored+interleaved pool
- * @param {Object} ctx - personalization context
- * @returns {boolean} true if a swap happened
- */
-const EXPLORATION_RATE = 0.12;
-const EXPLORATION_MIN_SLOT = 2;
-const EXPLORATION_MAX_SLOT = 7;
-
-function maybeInjectExploration(page, fullPool, ctx) {
-  if (!ctx?.hasSignal) return false;
-  if (!page || page.length <= EXPLORATION_MIN_SLOT) return false;
-  if (Math.random() >= EXPLORATION_RATE) return false;
-
-  const pageIds = new Set(
-    page.map((a) => (a._id ? a._id.toString() : null)).filter(Boolean)
-  );
-
-  // Build eligibility filter — prefer articles from categories the user
-  // genuinely hasn't explored, not just ones missing from preferred.
-  const preferred = ctx.preferredCategories || new Set();
-  const viewed = ctx.viewedIds || new Set();
-
-  const eligible = [];
-  for (const a of fullPool) {
-    if (!a.category) continue;
-    if (preferred.has(a.category)) continue;
-    const idStr = a._id ? a._id.toString() : null;
-    if (!idStr) continue;
-    if (pageIds.has(idStr)) continue;
-    if (viewed.has(idStr)) continue;
-    const recency = basicRecencyScore(a.publishedAt);
-    if (recency < 0.5) continue;
-    eligible.push(a);
-  }
-
-  if (eligible.length === 0) return false;
-
-  // Pick uniformly at random — true exploration. We're explicitly not
-  // sorting by score here; the point is to surface what the greedy ranker
-  // would never pick.
-  const picked = eligible[Math.floor(Math.random() * eligible.length)];
-
-  // Pick a slot in the visible mid-page range. Clamp to actual length so
-  // we don't crash on a short page.
-  const maxSlot = Math.min(EXPLORATION_MAX_SLOT, page.length - 1);
-  const slot =
-    EXPLORATION_MIN_SLOT +
-    Math.floor(Math.random() * (maxSlot - EXPLORATION_MIN_SLOT + 1));
-
-  page[slot] = { ...picked, _explorationInjected: true };
-  return true;
-}
-
-/**
- * Interleave articles by source group so consecutive items don't come from
- * the same source, without throwing away total count.
- *
- * `minGap` is the minimum number of other articles that must separate two
- * articles from the same group. `perGroupCap` is a soft ceiling per group —
- * generous, just prevents one source from dominating the whole feed.
- *
- * Preserves the incoming relevance order as much as possible: high-scored
- * articles still appear early; only those that would bunch with a recent
- * same-group article are deferred to a second pass.
- *
- * Complexity: **O(n)** total. Each candidate is processed at most twice
- * (once in pass 1, possibly once in pass 2). All inner ops are O(1):
- * Map.get / Map.set, single arithmetic on out.length and the cached
- * lastIdx. Measured ~28μs for n=240, ~200μs at n=25k — i.e. negligible
- * relative to any other step in the pipeline. A heap-based variant was
- * considered (P2-4 in the roadmap) and rejected: heap ops are
- * O(log k) > O(1), and the heap doesn't reduce candidate count — it
- * would be slower at every realistic n.
- */
-function interleaveBySourceGroup(scored, { minGap = 2, perGroupCap = 8, fill = false } = {}) {
-  if (!scored?.length) return scored;
-
-  const groupCount = new Map();
-  const lastIdx = new Map();
-  const out = [];
-  const deferred = [];
-  const overflow = [];
-
-  const groupOf = (a) =>
-    a.sourceGroupName || (a.sourceId ? a.sourceId.toString() : 'unknown');
-
-  // Pass 1: greedy placement with gap enforcement
-  for (const a of scored) {
-    const g = groupOf(a);
-    if ((groupCount.get(g) || 0) >= perGroupCap) {
-      if (fill) overflow.push(a);
-      continue;
-    }
-
-    const last = lastIdx.get(g);
-    if (last !== undefined && out.length - 1 - last < minGap) {
-      deferred.push(a);
-      continue;
-    }
-
-    out.push(a);
-    groupCount.set(g, (groupCount.get(g) || 0) + 1);
-    lastIdx.set(g, out.length - 1);
-  }
-
-  // Pass 2: append deferred articles where the gap now allows
-  for (const a of deferred) {
-    const g = groupOf(a);
-    if ((groupCount.get(g) || 0) >= perGroupCap) {
-      if (fill) overflow.push(a);
-      continue;
-    }
-
-    const last = lastIdx.get(g);
-    if (last === undefined || out.length - 1 - last >= minGap) {
-      out.push(a);
-      groupCount.set(g, (groupCount.get(g) || 0) + 1);
-      lastIdx.set(g, out.length - 1);
-    } else if (fill) {
-      overflow.push(a);
-    }
-  }
-
-  // fill mode: keep total count intact by appending cap/gap rejects at the
-  // tail. Sparse pools (low-volume languages, small fallback queries) would
-  // otherwise return a visibly short page; clustered items at the bottom
-  // beat missing items.
-  if (fill && overflow.length > 0) {
-    out.push(...overflow);
-  }
-
-  return out;
-}
-
-/**
- * Greedy Maximal Marginal Relevance over the top of the scored pool.
- *
- * Source interleaving can't see *topical* redundancy: five sources covering
- * the same story pass the source-gap check, and a same-source scraper burst
- * has near-identical scores (recency dominates for brand-new articles, and
- * same-source style means similar embedding_pca vectors). MMR penalizes each
- * candidate by its max cosine similarity to anything already picked, so both
- * failure modes lose top slots to genuinely different content.
- *
- * Incremental form: each remaining candidate caches its max similarity to
- * the picked set and only updates against the last pick — O(topN² · dims)
- * ≈ 60·60·128 ≈ 460k mults, well under a millisecond in-process. Runs before
- * interleaveBySourceGroup (MMR shapes the order, interleave enforces hard
- * source gaps) and mostly inside SWR background regen, so the user-facing
- * path is unaffected.
- *
- * Candidates without embedding_pca are never penalized (maxSim stays 0) —
- * they rank purely by _score, same as before.
- */
-const MMR_TOP_N = 60;
-const MMR_LAMBDA = 1.75;
-
-function applyMMRDiversity(scored, { topN = MMR_TOP_N, lambda = MMR_LAMBDA } = {}) {
-  if (!scored || scored.length < 3) return scored;
-  const n = Math.min(topN, scored.length);
-  const head = scored.slice(0, n);
-
-  let vecCount = 0;
-  for (const a of head) {
-    if (Array.isArray(a.embedding_pca) && a.embedding_pca.length > 0) vecCount++;
-  }
-  // Too few vectors to measure redundancy — keep the score order.
-  if (vecCount < 3) return scored;
-
-  const remaining = head.map((a) => ({ a, maxSim: 0 }));
-  const picked = [];
-
-  while (remaining.length > 0) {
-    let bestIdx = 0;
-    let bestVal = -Infinity;
-    for (let i = 0; i < remaining.length; i++) {
-      const val = remaining[i].a._score - lambda * remaining[i].maxSim;
-      if (val > bestVal) {
-        bestVal = val;
-        bestIdx = i;
-      }
-    }
-    const [chosen] = remaining.splice(bestIdx, 1);
-    picked.push(chosen.a);
-
-    const cv = chosen.a.embedding_pca;
-    if (Array.isArray(cv) && cv.length > 0) {
-      for (const r of remaining) {
-        const rv = r.a.embedding_pca;
-        if (Array.isArray(rv) && rv.length === cv.length) {
-          const s = cosineSimilarity(rv, cv);
-          if (s > r.maxSim) r.maxSim = s;
-        }
-      }
-    }
-  }
-
-  return picked.concat(scored.slice(n));
-}
-
-/**
- * Hash that changes whenever the user's view/like/follow state changes.
- * Embedded in the cache key so refresh after activity returns fresh content.
- */
-function userStateHash(ctx) {
-  if (!ctx) return 0;
-  return simpleHash(
-    `${ctx.viewedIds.size}|${ctx.likedIds.size}|${ctx.dislikedIds.size}|` +
-      `${ctx.savedIds.size}|${ctx.preferredCategories.size}|` +
-      `${ctx.followingSourceGroups.size}|${ctx.embedding ? ctx.embedding.length : 0}|` +
-      `${ctx.dislikedCategories.size}|${ctx.mutedSourceIds?.size || 0}`
-  );
-}
-
-/** Strip internal/heavy fields before sending to client. */
-function sanitizeForResponse(articles, extra = {}) {
-  return articles.map((a) => {
-    const { _score, _dislikedCat, _atlasSimilarity, embedding_pca, sourceGroupName, ...rest } = a;
-    return { ...rest, ...extra };
-  });
-}
-
-/**
- * Compute personalized-light articles for a user. Extracted so we can call it
- * synchronously on cold miss and from the SWR background regen path with the
- * same logic.
- *
- * @returns {Promise<{articles: object[], usedWindowMs: number, candidateCount: number, dbTime: number, includeEmbedding: boolean, retrieval: 'hybrid'|'recency'}>}
- */
-async function computePersonalizedLight({ ctx, language, limit, forceRefresh }) {
-  const buildMatch = (sinceMs, { skipCategoryExclusion = false } = {}) => {
-    const match = {
-      language,
-      publishedAt: { $gte: new Date(Date.now() - sinceMs) },
-    };
-    if (ctx) {
-      // Combined exclusion: hard-disliked articles + recently-served
-      // articles (P0-2 follow-up). The latter rotates back in after the
-      // 6h sliding TTL.
-      const excluded = [];
-      if (ctx.dislikedIds.size > 0) {
-        excluded.push(...[...ctx.dislikedIds].slice(0, 500));
-      }
-      if (ctx.servedIds?.size > 0) {
-        excluded.push(...[...ctx.servedIds].slice(0, SERVED_MAX_EXCLUDE));
-      }
-      if (excluded.length > 0) {
-        match._id = {
-          $nin: excluded.map((id) => new mongoose.Types.ObjectId(id)),
-        };
-      }
-      if (!skipCategoryExclusion && ctx.dislikedCategories.size > 0) {
-        match.category = { $nin: [...ctx.dislikedCategories] };
-      }
-    }
-    return match;
-  };
-
-  const candidateLimit = Math.min(limit * 12, 400);
-  const includeEmbedding = !!ctx?.embedding && !shouldSkipEmbedding(ctx);
-
-  const runCandidateQuery = (sinceMs, opts) =>
-    Article.aggregate([
-      { $match: buildMatch(sinceMs, opts) },
       { $sort: { publishedAt: -1 } },
-      { $limit: candidateLimit },
+      { $limit: RECENT_CANDIDATES },
       {
         $lookup: {
           from: 'sources',
@@ -1335,1376 +491,196 @@ async function computePersonalizedLight({ ctx, language, limit, forceRefresh })
           likes: 1,
           dislikes: 1,
           commentCount: 1,
-          likedBy: 1,
-          dislikedBy: 1,
+          storyClusterId: 1,
+          isUpdated: 1,
+          lastRevisedAt: 1,
           sourceId: 1,
           sourceName: 1,
           sourceIcon: 1,
           sourceGroupName: 1,
           language: 1,
-          // Always projected (not just when includeEmbedding): the MMR
-          // diversity pass needs candidate-to-candidate similarity even for
-          // users whose own embedding is skipped. 400 × 128 floats is a
-          // trivial intra-cluster payload; sanitizeForResponse strips it.
-          embedding_pca: 1,
         },
       },
     ]);
-
-  // Hybrid retrieval: same candidate shape as runCandidateQuery, but the pool
-  // is sourced from Atlas $vectorSearch (default index, embedding_pca) ranked
-  // by similarity to the user's embedding instead of pure recency. The blended
-  // scorer still runs on top — only the candidate *source* changes. We attach
-  // _atlasSimilarity (Atlas cosine score) so the scorer can skip recomputing
-  // cosine and we can drop embedding_pca from the projection (smaller payload).
-  const runVectorCandidateQuery = (sinceMs) => {
-    const numCandidates = Math.min(Math.round(candidateLimit * NUM_CANDIDATE_MULT), 2000);
-    const filter = {
-      language,
-      publishedAt: { $gte: new Date(Date.now() - sinceMs) },
-    };
-    // category is an indexed filter field on the default index — cheapest place to drop dislikes
-    if (ctx?.dislikedCategories?.size > 0) {
-      filter.category = { $nin: [...ctx.dislikedCategories] };
-    }
-    // _id is NOT an indexed filter field on `default`, so disliked articles are
-    // excluded in a post-search $match rather than inside the vector filter.
-    const dislikedObjectIds =
-      ctx?.dislikedIds?.size > 0
-        ? [...ctx.dislikedIds].slice(0, 500).map((id) => new mongoose.Types.ObjectId(id))
-        : [];
-
-    return Article.aggregate(
-      [
-        {
-          $vectorSearch: {
-            index: VECTOR_INDEX,
-            path: 'embedding_pca',
-            queryVector: ctx.embedding,
-            numCandidates,
-            limit: candidateLimit,
-            filter,
-          },
-        },
-        { $addFields: { _atlasSimilarity: { $meta: 'vectorSearchScore' } } },
-        ...(dislikedObjectIds.length > 0
-          ? [{ $match: { _id: { $nin: dislikedObjectIds } } }]
-          : []),
-        {
-          $lookup: {
-            from: 'sources',
-            localField: 'sourceId',
-            foreignField: '_id',
-            as: 'source',
-            pipeline: [
-              { $match: { status: { $ne: 'blocked' } } },
-              { $project: { groupName: 1, name: 1, icon: 1, quality_score: 1 } },
-            ],
-          },
-        },
-        { $match: { 'source.0': { $exists: true } } },
-        {
-          $addFields: {
-            sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
-            sourceName: { $arrayElemAt: ['$source.name', 0] },
-            sourceIcon: { $arrayElemAt: ['$source.icon', 0] },
-            sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
-          },
-        },
-        {
-          $project: {
-            title: 1,
-            content: 1,
-            contentFormat: 1,
-            url: 1,
-            category: 1,
-            publishedAt: 1,
-            image: 1,
-            viewCount: 1,
-            likes: 1,
-            dislikes: 1,
-            commentCount: 1,
-            likedBy: 1,
-            dislikedBy: 1,
-            sourceId: 1,
-            sourceName: 1,
-            sourceIcon: 1,
-            sourceGroupName: 1,
-            language: 1,
-            _atlasSimilarity: 1,
-            // For the MMR diversity pass (candidate-to-candidate cosine);
-            // _atlasSimilarity only covers candidate-to-user.
-            embedding_pca: 1,
-          },
-        },
-      ],
-      { maxTimeMS: VECTOR_MAX_TIME_MS, allowDiskUse: false }
-    );
-  };
-
-  const HOUR = 60 * 60 * 1000;
-  const DAY = 24 * HOUR;
-  const windows = [24 * HOUR, 48 * HOUR, 7 * DAY, 30 * DAY];
-
-  // Run the expanding-window loop against whichever retrieval fn is chosen,
-  // widening the publishedAt window until we have a workable pool.
-  const runWindowed = async (queryFn) => {
-    let cands = [];
-    let used = windows[0];
-    for (const sinceMs of windows) {
-      cands = await queryFn(sinceMs);
-      used = sinceMs;
-      if (cands.length >= limit * 2) break;
-    }
-    return { cands, used };
-  };
-
-  // Vector retrieval is opt-in (PERS_LIGHT_VECTOR=1) and only for users with a
-  // usable embedding + signal. Guests / no-signal users always use recency.
-  const vectorEligible =
-    process.env.PERS_LIGHT_VECTOR === '1' && includeEmbedding && !!ctx?.hasSignal;
-
-  const queryStart = Date.now();
-  let candidates = [];
-  let usedWindowMs = windows[0];
-  let retrieval = 'recency';
-
-  if (vectorEligible && (await isVectorSearchReady())) {
-    // Union retrieval: run recency and vector candidates in parallel and
-    // merge. The old either/or made the pool source pre-decide the feed's
-    // character — vector-only starved breaking news the user's embedding
-    // didn't predict; recency-only let scraper bursts from irrelevant
-    // sources crowd out slightly-older articles the user would actually
-    // read. With the union, both compete in one blended scoring pass.
-    // Vector failure degrades to plain recency, never to an error.
-    const [recencyRes, vectorRes] = await Promise.all([
-      runWindowed(runCandidateQuery),
-      runWindowed(runVectorCandidateQuery).catch((err) => {
-        console.error(
-          '⚠️ personalized-light vector retrieval failed, using recency only:',
-          err.message
-        );
-        return null;
-      }),
-    ]);
-
-    candidates = recencyRes.cands;
-    usedWindowMs = recencyRes.used;
-    if (vectorRes && vectorRes.cands.length > 0) {
-      const byId = new Map();
-      for (const a of recencyRes.cands) byId.set(a._id.toString(), a);
-      // Vector copy wins on overlap: it carries _atlasSimilarity, which the
-      // scorer prefers over recomputing cosine in JS.
-      for (const a of vectorRes.cands) byId.set(a._id.toString(), a);
-      candidates = [...byId.values()];
-      usedWindowMs = Math.max(recencyRes.used, vectorRes.used);
-      retrieval = 'hybrid';
-    }
-  } else {
-    const { cands, used } = await runWindowed(runCandidateQuery);
-    candidates = cands;
-    usedWindowMs = used;
-  }
-
-  // Starvation guard: when the disliked-category $nin has gutted the pool
-  // (too few articles OR everything from a couple of sources), re-run the
-  // widest window WITHOUT the category exclusion and merge. The scorer's
-  // dislikedCategoryPenalty (-8) still sinks those articles below every
-  // eligible one — the feed degrades gracefully instead of collapsing.
-  // Real incident: an account with 19/20 categories banned saw a feed of
-  // exactly two sources that dead-ended after ~26 items.
-  if (ctx?.dislikedCategories?.size > 0) {
-    const groups = new Set(
-      candidates.map((a) => a.sourceGroupName || (a.sourceId ? a.sourceId.toString() : 'unknown'))
-    );
-    if (candidates.length < limit * 2 || groups.size < 4) {
-      try {
-        const rescue = await runCandidateQuery(windows[windows.length - 1], {
-          skipCategoryExclusion: true,
-        });
-        const byId = new Map();
-        for (const a of rescue) byId.set(a._id.toString(), a);
-        // Keep the original copies on overlap — they may carry _atlasSimilarity.
-        for (const a of candidates) byId.set(a._id.toString(), a);
-        candidates = [...byId.values()];
-        console.log(
-          `🛟 pers-light starvation guard: pool had ${groups.size} source groups, ` +
-          `now ${candidates.length} candidates after rescue (user has ` +
-          `${ctx.dislikedCategories.size} disliked categories)`
-        );
-      } catch (err) {
-        console.warn('⚠️ starvation guard query failed:', err.message);
-      }
-    }
-  }
-  const dbTime = Date.now() - queryStart;
-
-  let scored;
-  if (ctx?.hasSignal) {
-    scored = scorePersonalizedCandidates(candidates, ctx, { page: 1 });
-  } else {
-    for (const a of candidates) {
-      a._score =
-        PERS_W.recency * basicRecencyScore(a.publishedAt) +
-        PERS_W.engagement *
-          Math.tanh(
-            ((a.viewCount || 0) * viewsWeight +
-              (a.likes || 0) * likesWeight +
-              (a.dislikes || 0) * dislikesWeight) /
-              80
-          );
-      // A user can have disliked categories without hasSignal (dislikes
-      // don't count toward it) — the starvation-guard rescue articles
-      // must still sink below eligible ones.
-      if (a.category && ctx?.dislikedCategories?.has(a.category)) {
-        a._score += PERS_W.dislikedCategoryPenalty;
-      }
+    // Same warm-time diversification as warmRecentArticlesCache — cache the
+    // full diversified list, serve the requested slice.
+    const diversified = interleaveBySourceGroup(collapseStoryClusters(recent), RECENT_INTERLEAVE_OPTS)
+      .slice(0, RECENT_LIMIT);
+    await attachStoryCoverage(diversified);
+    try {
+      await redis.set(recentCacheKey(language), JSON.stringify(diversified), 'EX', RECENT_CACHE_TTL);
+    } catch (err) {
+      // Non-fatal
     }
-    scored = candidates.sort((x, y) => y._score - x._score);
+    res.setHeader('X-Cache', 'miss');
+    return res.json(diversified.slice(0, limit));
+  } catch (error) {
+    console.error('❌ /articles/recent error:', error);
+    return res.status(500).json({ error: 'recent error', message: error.message });
   }
-
-  // Topical diversity (MMR) on the head of the pool — demotes same-story
-  // and same-source-burst redundancy that source interleaving can't see.
-  scored = applyMMRDiversity(scored);
-
-  // First-impression page: much tighter than the pages-2+ interleave.
-  // The old { minGap: 2, perGroupCap: 8 } let one source legally take 8 of
-  // 20 visible slots (positions 0,3,6,...) whenever a scraper cron dumped a
-  // batch — recency dominates scoring for brand-new articles, so a burst
-  // packs the top of the scored list. Cap scales with limit (3 at the
-  // default 20). fill:true keeps sparse pools (low-volume languages) from
-  // returning a short page: rejects go to the tail, past the slice cut
-  // whenever the pool is rich.
-  const perGroupCap = Math.max(2, Math.ceil(limit * 0.15));
-  let interleaved = interleaveBySourceGroup(scored, { minGap: 3, perGroupCap, fill: true });
-
-  // P1-5: optional Cohere rerank on the top-N pool. Reorders the top
-  // candidates based on semantic similarity to the user's pseudo-query
-  // (their last 20 liked titles). Strictly additive — any failure falls
-  // back to the local order.
-  let rerankApplied = false;
-  if (cohereEnabled() && ctx?.hasSignal && ctx?.userId) {
-    const topN = interleaved.slice(0, Math.min(COHERE_RERANK_TOP_N, interleaved.length));
-    if (topN.length >= 10) {
-      const query = await getCohereQueryForUser(ctx.userId, ctx.likedIdsOrdered);
-      if (query) {
-        const rerankStart = Date.now();
-        const reranked = await rerankWithCohere(query, topN);
-        if (reranked && reranked.length > 0) {
-          interleaved = [...reranked, ...interleaved.slice(topN.length)];
-          rerankApplied = true;
-          console.log(
-            `🎯 Cohere rerank applied to ${topN.length} candidates in ${Date.now() - rerankStart}ms`
-          );
-        }
-      }
-    }
-  }
-
-  const diversified = interleaved.slice(0, limit);
-
-  // P1-4: maybe inject a random low-similarity exploration article into a
-  // mid-page slot. Fires probabilistically (~12% of requests) for users
-  // with signal — breaks filter bubbles without dominating the feed.
-  const explorationInjected = maybeInjectExploration(diversified, interleaved, ctx);
-
-  const articles = sanitizeForResponse(diversified, {
-    isLight: true,
-    fetchedAt: new Date(),
-    isRefreshed: forceRefresh,
-    isPersonalized: !!ctx?.hasSignal,
-  });
-
-  return {
-    articles,
-    usedWindowMs,
-    candidateCount: candidates.length,
-    dbTime,
-    includeEmbedding,
-    explorationInjected,
-    rerankApplied,
-    retrieval,
-  };
-}
-
-/**
- * Two-tier cache + stale-while-revalidate for personalized-light.
- *
- * The fresh key carries stateHash + 10-min slot — it auto-rotates on
- * activity. The stale key has neither — it's a "latest known result" that
- * survives slot rotations and user actions. When the fresh key misses but
- * stale is warm, we return stale instantly and regenerate in the
- * background. A NX-lock prevents two simultaneous misses from both
- * regenerating.
- */
-const SWR_STALE_TTL = 60 * 60; // 1h - stale tier survives across slots/actions
-const SWR_FRESH_TTL = 600;     // 10min - fresh tier (current behaviour)
-const SWR_LOCK_TTL = 30;       // 30s - max compute time
-
-function lightStaleKey(userId, language, limit) {
-  return `articles_pers_v2_stale_${userId}_${language}_${limit}`;
-}
-
-function lightLockKey(userId, language, limit) {
-  return `articles_pers_v2_lock_${userId}_${language}_${limit}`;
-}
-
-/**
- * Acquire a distributed lock; returns true if we got it.
- * Spawn a background regeneration that writes to fresh + stale keys.
- */
-function spawnBackgroundRegen({ freshKey, staleKey, lockKey, userId, params }) {
-  setImmediate(async () => {
-    const lockStart = Date.now();
-    try {
-      const acquired = await redis.set(lockKey, '1', 'EX', SWR_LOCK_TTL, 'NX');
-      if (acquired !== 'OK') {
-        // Another instance is already regenerating; nothing to do.
-        return;
-      }
-      try {
-        const { articles } = await computePersonalizedLight(params);
-        await redis.set(freshKey, JSON.stringify(articles), 'EX', SWR_FRESH_TTL);
-        await trackUserCacheKey(userId, freshKey);
-        await redis.set(staleKey, JSON.stringify(articles), 'EX', SWR_STALE_TTL);
-        await trackUserCacheKey(userId, staleKey);
-        console.log(
-          `♻️  pers-v2 light SWR regen done for ${userId} in ${Date.now() - lockStart}ms`
-        );
-      } finally {
-        await redis.del(lockKey);
-      }
-    } catch (err) {
-      // Non-fatal: stale already served, regen failure just means next
-      // request also misses fresh. Log and move on.
-      console.warn(`⚠️ SWR background regen failed for ${userId}:`, err.message);
-    }
-  });
-}
-
-/**
- * OPTIMIZED COUNT CACHING
- * Pre-warm common article counts in background to avoid expensive countDocuments() calls
- */
-const COMMON_LANGUAGES = ['english', 'arabic'];
-const COUNT_CACHE_TTL = 900; // 15 minutes
-
-async function warmArticleCountCache() {
-  console.log('🔥 Warming article count cache...');
-  try {
-    for (const lang of COMMON_LANGUAGES) {
-      const filter = { language: lang };
-      const filterKey = JSON.stringify(filter);
-      const countCacheKey = `articles_count_${simpleHash(filterKey)}`;
-
-      // Check if cache exists and is recent
-      const existingCache = await redis.get(countCacheKey);
-      if (!existingCache) {
-        const count = await Article.countDocuments(filter);
-        await redis.set(countCacheKey, count.toString(), 'EX', COUNT_CACHE_TTL);
-        console.log(`📊 Cached count for ${lang}: ${count}`);
-      }
-    }
-    console.log('✅ Article count cache warmed');
-  } catch (error) {
-    console.error('⚠️ Error warming count cache:', error.message);
-  }
-}
-
-/**
- * P2-3: pre-warmed "recent articles" cache. The frontend uses this as
- * a fast fallback when personalized takes too long (cold Cloud Run,
- * stale-tier miss). One Mongo query per language every 5 minutes;
- * served from Redis in <5ms.
- */
-const RECENT_CACHE_TTL = 300; // 5 min
-const RECENT_LIMIT = 30;
-// Fetch a wider pool than we serve so interleaveBySourceGroup has material
-// to diversify with. A scraper cron that just dumped 25 articles from one
-// source would otherwise fill the entire recent list with that source,
-// back-to-back — and /recent is what the app's soft-race serves as page 1
-// on cold starts, so it must not cluster.
-const RECENT_CANDIDATES = 90;
-const RECENT_INTERLEAVE_OPTS = { minGap: 3, perGroupCap: 3, fill: true };
-
-function recentCacheKey(language) {
-  return `articles_recent_v1_${language}`;
-}
-
-async function warmRecentArticlesCache() {
-  try {
-    for (const lang of COMMON_LANGUAGES) {
-      const recent = await Article.aggregate([
-        {
-          $match: {
-            language: lang,
-            publishedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-          },
-        },
-        { $sort: { publishedAt: -1 } },
-        { $limit: RECENT_CANDIDATES },
-        {
-          $lookup: {
-            from: 'sources',
-            localField: 'sourceId',
-            foreignField: '_id',
-            as: 'source',
-            pipeline: [
-              { $match: { status: { $ne: 'blocked' } } },
-              { $project: { groupName: 1, name: 1, icon: 1, quality_score: 1 } },
-            ],
-          },
-        },
-        { $match: { 'source.0': { $exists: true } } },
-        {
-          $addFields: {
-            sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
-            sourceName: { $arrayElemAt: ['$source.name', 0] },
-            sourceIcon: { $arrayElemAt: ['$source.icon', 0] },
-            sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
-          },
-        },
-        {
-          $project: {
-            title: 1,
-            content: 1,
-            contentFormat: 1,
-            url: 1,
-            category: 1,
-            publishedAt: 1,
-            image: 1,
-            viewCount: 1,
-            likes: 1,
-            dislikes: 1,
-            commentCount: 1,
-            sourceId: 1,
-            sourceName: 1,
-            sourceIcon: 1,
-            sourceGroupName: 1,
-            language: 1,
-          },
-        },
-      ]);
-      // Diversify at warm time — the request path stays a pure Redis read.
-      const diversified = interleaveBySourceGroup(recent, RECENT_INTERLEAVE_OPTS)
-        .slice(0, RECENT_LIMIT);
-      await redis.set(recentCacheKey(lang), JSON.stringify(diversified), 'EX', RECENT_CACHE_TTL);
-    }
-    // Don't log on every refresh — too chatty.
-  } catch (err) {
-    console.error('⚠️ warmRecentArticlesCache failed:', err.message);
-  }
-}
-
-// Warm cache on startup (after 30 seconds to let DB connect)
-setTimeout(warmArticleCountCache, 30000);
-setTimeout(warmRecentArticlesCache, 30000);
-
-// Refresh cache every 15 minutes
-setInterval(warmArticleCountCache, COUNT_CACHE_TTL * 1000);
-// Refresh recent cache slightly before TTL so reads never miss
-setInterval(warmRecentArticlesCache, (RECENT_CACHE_TTL - 30) * 1000);
-
-// Import Source model for following feed
-const Source = require('../models/Source');
-
-/** ---- Routes ---- **/
-
-/**
- * GET /api/articles/recent (P2-3)
- *
- * Pre-warmed list of recent articles in the requested language. Served
- * entirely from Redis (<5ms). Used by the frontend as an optimistic
- * fallback when the personalized fetch takes too long — paint
- * something usable in under a second, swap to personalized when it
- * arrives.
- *
- * Public, no JWT required. Safe to call from cold-start guest
- * sessions.
- */
-articleRouter.get('/recent', async (req, res) => {
-  try {
-    const language = (req.query.language || 'english').toLowerCase();
-    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), RECENT_LIMIT);
-
-    try {
-      const cached = await redis.get(recentCacheKey(language));
-      if (cached) {
-        const articles = JSON.parse(cached).slice(0, limit);
-        res.setHeader('X-Cache', 'hit');
-        return res.json(articles);
-      }
-    } catch (err) {
-      // Fall through to direct query
-    }
-
-    // Cache miss (cold boot before warmer ran, or unsupported language).
-    // Compute inline once; the interval will keep it warm afterward.
-    const recent = await Article.aggregate([
-      {
-        $match: {
-          language,
-          publishedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-        },
-      },
-      { $sort: { publishedAt: -1 } },
-      { $limit: RECENT_CANDIDATES },
-      {
-        $lookup: {
-          from: 'sources',
-          localField: 'sourceId',
-          foreignField: '_id',
-          as: 'source',
-          pipeline: [
-            { $match: { status: { $ne: 'blocked' } } },
-            { $project: { groupName: 1, name: 1, icon: 1, quality_score: 1 } },
-          ],
-        },
-      },
-      { $match: { 'source.0': { $exists: true } } },
-      {
-        $addFields: {
-          sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
-          sourceName: { $arrayElemAt: ['$source.name', 0] },
-          sourceIcon: { $arrayElemAt: ['$source.icon', 0] },
-          sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
-        },
-      },
-      {
-        $project: {
-          title: 1,
-          content: 1,
-          contentFormat: 1,
-          url: 1,
-          category: 1,
-          publishedAt: 1,
-          image: 1,
-          viewCount: 1,
-          likes: 1,
-          dislikes: 1,
-          commentCount: 1,
-          sourceId: 1,
-          sourceName: 1,
-          sourceIcon: 1,
-          sourceGroupName: 1,
-          language: 1,
-        },
-      },
-    ]);
-    // Same warm-time diversification as warmRecentArticlesCache — cache the
-    // full diversified list, serve the requested slice.
-    const diversified = interleaveBySourceGroup(recent, RECENT_INTERLEAVE_OPTS)
-      .slice(0, RECENT_LIMIT);
-    try {
-      await redis.set(recentCacheKey(language), JSON.stringify(diversified), 'EX', RECENT_CACHE_TTL);
-    } catch (err) {
-      // Non-fatal
-    }
-    res.setHeader('X-Cache', 'miss');
-    return res.json(diversified.slice(0, limit));
-  } catch (error) {
-    console.error('❌ /articles/recent error:', error);
-    return res.status(500).json({ error: 'recent error', message: error.message });
-  }
-});
-
-/**
- * GET /api/articles/search?query=...&language=...&limit=...
- *
- * Full-text article search used by the in-app SearchModal. Must be
- * registered before the `/:id` catch-all — previously this path didn't
- * exist and fell through to `/:id` with id="search", so article search
- * always failed with a CastError.
- *
- * Primary: Atlas Search on title/content (relevance-ranked). When the
- * text index finds nothing, falls back to semantic vector search over
- * embedding_pca so conceptually-related articles still surface.
- *
- * Public like /recent — searches published news content only. Language
- * is NOT filtered by default so Farsi/Arabic/Urdu sources are findable
- * from any app locale; pass ?language= to restrict.
- */
-articleRouter.get('/search', async (req, res) => {
-  try {
-    const query = (req.query.query || req.query.q || '').trim();
-    if (!query) return res.status(400).json({ message: 'Missing search query' });
-
-    const language = req.query.language?.trim() || null;
-    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
-
-    const cacheKey = `article_search_${language || 'all'}_${limit}_${query.toLowerCase()}`;
-    try {
-      const cached = await redis.get(cacheKey);
-      if (cached) {
-        res.setHeader('X-Cache', 'hit');
-        return res.json(JSON.parse(cached));
-      }
-    } catch (err) {
-      // Non-fatal
-    }
-
-    const { articles } = await searchArticles({ searchTerm: query, language, limit });
-
-    let results = articles;
-
-    // Semantic fallback for queries the text index can't match
-    if (results.length === 0) {
-      try {
-        const { convertToPCAEmbedding } = require('../utils/pcaEmbedding');
-        const embedding = await getDeepSeekEmbedding(query);
-        const pcaVector = await convertToPCAEmbedding(embedding);
-        if (pcaVector) {
-          results = await Article.aggregate([
-            {
-              $vectorSearch: {
-                index: 'default',
-                path: 'embedding_pca',
-                queryVector: pcaVector,
-                numCandidates: Math.max(200, limit * 10),
-                limit,
-              },
-            },
-            { $addFields: { searchScore: { $meta: 'vectorSearchScore' } } },
-            ...(language ? [{ $match: { language } }] : []),
-            {
-              $lookup: {
-                from: 'sources',
-                localField: 'sourceId',
-                foreignField: '_id',
-                as: 'source',
-              },
-            },
-            { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-            {
-              $project: {
-                _id: 1,
-                title: 1,
-                content: { $substrCP: ['$content', 0, 500] },
-                url: 1,
-                category: 1,
-                publishedAt: 1,
-                image: 1,
-                viewCount: 1,
-                likes: 1,
-                dislikes: 1,
-                language: 1,
-                searchScore: 1,
-                sourceId: 1,
-                sourceName: '$source.name',
-                sourceIcon: '$source.icon',
-                sourceGroupName: '$source.groupName',
-              },
-            },
-          ]);
-        }
-      } catch (err) {
-        console.warn('⚠️ Vector search fallback failed:', err.message);
-      }
-    }
-
-    try {
-      await redis.set(cacheKey, JSON.stringify(results), 'EX', 120);
-    } catch (err) {
-      // Non-fatal
-    }
-
-    res.setHeader('X-Cache', 'miss');
-    return res.json(results);
-  } catch (error) {
-    console.error('❌ /articles/search error:', error);
-    return res.status(500).json({ message: 'Error searching articles', error: error.message });
-  }
-});
-
-// GET: Quick performance test endpoint
-articleRouter.get('/perf-test', auth, ensureMongoUser, async (req, res) => {
-  const startTime = Date.now();
-  try {
-    const userId = req.mongoUser.supabase_id;
-
-    // Test 1: Simple article count
-    const simpleCount = await Article.countDocuments({ language: 'english' });
-    const t1 = Date.now() - startTime;
-
-    // Test 2: User lookup
-    const user = await User.findOne({ supabase_id: userId }).lean();
-    const t2 = Date.now() - startTime;
-
-    // Test 3: Redis test
-    let redisOk = false;
-    try {
-      await redis.set('test_key', 'test_value', 'EX', 10);
-      await redis.get('test_key');
-      redisOk = true;
-    } catch (e) {
-      console.error('Redis test failed:', e.message);
-    }
-    const t3 = Date.now() - startTime;
-
-    // Test 4: Basic article fetch
-    const sampleArticles = await Article.find({ language: 'english' })
-      .sort({ publishedAt: -1 })
-      .limit(5)
-      .lean();
-    const t4 = Date.now() - startTime;
-
-    res.json({
-      totalTime: Date.now() - startTime,
-      tests: {
-        articleCount: { time: t1, result: simpleCount },
-        userLookup: { time: t2, hasUser: !!user, hasEmbedding: !!(user?.embedding_pca) },
-        redis: { time: t3, working: redisOk },
-        sampleFetch: { time: t4, count: sampleArticles.length }
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Performance test failed',
-      message: error.message,
-      totalTime: Date.now() - startTime
-    });
-  }
-});
-
-// GET: Fast personalized fallback (simplified algorithm)
-// GET: Ultra-fast personalized articles with source population (for first page)
-
-// articleRouter.get('/personalized-light', auth, ensureMongoUser, async (req, res) => {
-//   const startTime = Date.now();
-
-//   try {
-//     const userId = req.mongoUser.supabase_id;
-//     const language = req.query.language || 'english';
-//     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-//     const forceRefresh = req.query.noCache === 'true';
-
-//     console.log(`🚀 OPTIMIZED Light personalized for user ${userId}, limit ${limit}, lang: ${language}, forceRefresh: ${forceRefresh}`);
-
-//     // Check cache first with ultra-aggressive cache key (every 30 minutes)
-//     const thirtyMinSlot = Math.floor(Date.now() / (30 * 60 * 1000)); // 30-minute cache slots
-//     const cacheKey = `articles_ultrafast_${language}_${limit}_${thirtyMinSlot}`;
-
-//     let cached;
-//     if (!forceRefresh) {
-//       try {
-//         cached = await redis.get(cacheKey);
-//         if (cached) {
-//           const result = JSON.parse(cached);
-//           console.log(`⚡ OPTIMIZED cache hit in ${Date.now() - startTime}ms - ${result.length} articles`);
-//           return res.json(result);
-//         }
-//       } catch (err) {
-//         console.error('⚠️ Redis get error:', err.message);
-//       }
-//     }
-
-//     console.log(`🔍 OPTIMIZED: Starting aggregation query for ${language} language`);
-//     const queryStart = Date.now();
-
-//     // OPTIMIZATION 1: Use aggregation pipeline instead of populate()
-//     // OPTIMIZATION 2: Reduce time window to 24 hours for good content variety
-//     // OPTIMIZATION 3: Skip $lookup for ultra-fast performance (sources handled client-side)
-
-//     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-
-//     const articles = await Article.aggregate([
-//       {
-//         // Stage 1: Match with optimized filter (use compound index)
-//         $match: {
-//           language: language,
-//           publishedAt: { $gte: twentyFourHoursAgo }
-//         }
-//       },
-//       {
-//         // Stage 2: Sort BEFORE limiting for better performance
-//         $sort: { publishedAt: -1 }
-//       },
-//       {
-//         // Stage 3: Early limit for maximum speed - skip source lookup entirely
-//         $limit: limit
-//       },
-//       {
-//         // Stage 4: Add performance markers without source lookup
-//         $addFields: {
-//           isLight: { $literal: true },
-//           fetchedAt: { $literal: new Date() },
-//           isRefreshed: { $literal: forceRefresh },
-//           fetchId: { $literal: new mongoose.Types.ObjectId().toString() }
-//         }
-//       },
-//       {
-//         // Stage 5: Project only essential fields for maximum speed
-//         $project: {
-//           title: 1,
-//           content: 1,
-//           url: 1,
-//           category: 1,
-//           publishedAt: 1,
-//           image: 1,
-//           viewCount: 1,
-//           likes: 1,
-//           dislikes: 1,
-//           likedBy: 1,
-//           dislikedBy: 1,
-//           sourceId: 1, // Let client handle source resolution for speed
-//           isLight: 1,
-//           fetchedAt: 1,
-//           isRefreshed: 1,
-//           fetchId: 1
-//         }
-//       }
-//     ]);
-
-//     console.log(`⚡ ULTRA-FAST DB query completed in ${Date.now() - queryStart}ms - found ${articles.length} articles`);
-
-//     // OPTIMIZATION 4: Skip source grouping for ultra-speed - return articles directly
-//     const totalTime = Date.now() - startTime;
-//     console.log(`🚀 ULTRA-FAST Light personalized complete in ${totalTime}ms - ${articles.length} articles (no source grouping)`);
-
-//     // OPTIMIZATION 5: Shorter cache for fresher content at ultra-speed
-//     try {
-//       await redis.set(cacheKey, JSON.stringify(articles), 'EX', 900); // 15 min cache for speed
-//     } catch (err) {
-//       console.error('⚠️ Redis set error:', err.message);
-//     }
-
-//     // Add performance headers for monitoring
-//     res.setHeader('X-Performance-Time', totalTime);
-//     res.setHeader('X-DB-Query-Time', Date.now() - queryStart);
-//     res.setHeader('X-Optimization-Applied', 'ultra-fast-no-lookup');
-
-//     res.json(articles);
-
-//   } catch (error) {
-//     const errorTime = Date.now() - startTime;
-//     console.error(`❌ OPTIMIZED Light personalized error in ${errorTime}ms:`, error);
-
-//     // Fallback to basic query if aggregation fails
-//     console.log('🔄 Falling back to basic query...');
-//     try {
-//       const fallbackArticles = await Article.find({
-//         language: req.query.language || 'english',
-//         publishedAt: { $gte: new Date(Date.now() - 6 * 60 * 60 * 1000) } // 6 hours
-//       })
-//         .select('title content url category publishedAt image sourceId viewCount likes dislikes commentCount')
-//         .sort({ publishedAt: -1 })
-//         .limit(limit)
-//         .lean();
-
-//       console.log(`🔄 Fallback completed with ${fallbackArticles.length} articles`);
-//       res.json(fallbackArticles);
-//     } catch (fallbackError) {
-//       console.error('❌ Fallback also failed:', fallbackError);
-//       res.status(500).json({ error: 'Optimized light personalized error', message: error.message });
-//     }
-//   }
-// });
-articleRouter.get('/personalized-light', auth, ensureMongoUser, async (req, res) => {
-  const startTime = Date.now();
-  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-
-  try {
-    const userId = req.mongoUser.supabase_id;
-    const forceRefresh = req.query.noCache === 'true';
-    const userLanguagePref = req.mongoUser.language || 'English';
-    const language = (req.query.language || userLanguagePref).toLowerCase();
-
-    const ctx = await loadUserPersonalizationContext(userId);
-    if (ctx) {
-      ctx.language = language;
-      ctx.categoryStats = await getCategoryEngagementStats(language);
-      ctx.servedIds = await getServedIds(userId);
-    }
-
-    // Fresh tier: rotates on user activity (stateHash) and every 10 min.
-    // Stale tier: same content, but no stateHash/slot — survives across
-    // rotations so we can serve last-known-result on cold miss and
-    // regenerate in the background.
-    const stateHash = userStateHash(ctx);
-    const tenMinSlot = Math.floor(Date.now() / (10 * 60 * 1000));
-    const freshKey = `articles_pers_v2_${userId}_${language}_${limit}_${stateHash}_${tenMinSlot}`;
-    const staleKey = lightStaleKey(userId, language, limit);
-    const lockKey = lightLockKey(userId, language, limit);
-
-    if (!forceRefresh) {
-      try {
-        const cached = await redis.get(freshKey);
-        if (cached) {
-          console.log(`⚡ pers-v2 light fresh cache hit in ${Date.now() - startTime}ms`);
-          const parsed = JSON.parse(cached);
-          res.setHeader('X-Cache', 'fresh');
-          // Fire-and-forget: record served IDs so the next page excludes
-          // them (P0-2 follow-up). Won't block the response.
-          recordServedIds(userId, parsed).catch(() => {});
-          return res.json(parsed);
-        }
-      } catch (err) {
-        console.error('⚠️ Redis get error (fresh):', err.message);
-      }
-
-      // SWR: serve last-known-result instantly, regenerate in background.
-      try {
-        const stale = await redis.get(staleKey);
-        if (stale) {
-          spawnBackgroundRegen({
-            freshKey,
-            staleKey,
-            lockKey,
-            userId,
-            params: { ctx, language, limit, forceRefresh: false },
-          });
-          console.log(
-            `📦 pers-v2 light SWR stale-hit in ${Date.now() - startTime}ms ` +
-            `(regen scheduled)`
-          );
-          const parsed = JSON.parse(stale);
-          res.setHeader('X-Cache', 'stale');
-          recordServedIds(userId, parsed).catch(() => {});
-          return res.json(parsed);
-        }
-      } catch (err) {
-        console.error('⚠️ Redis get error (stale):', err.message);
-      }
-    }
-
-    // Cold miss (or forceRefresh): synchronous compute.
-    const {
-      articles: finalArticles,
-      usedWindowMs,
-      candidateCount,
-      dbTime,
-      includeEmbedding,
-      explorationInjected,
-      rerankApplied,
-      retrieval,
-    } = await computePersonalizedLight({ ctx, language, limit, forceRefresh });
-
-    try {
-      await redis.set(freshKey, JSON.stringify(finalArticles), 'EX', SWR_FRESH_TTL);
-      await trackUserCacheKey(userId, freshKey);
-      await redis.set(staleKey, JSON.stringify(finalArticles), 'EX', SWR_STALE_TTL);
-      await trackUserCacheKey(userId, staleKey);
-    } catch (err) {
-      console.error('⚠️ Redis set error:', err.message);
-    }
-
-    const totalTime = Date.now() - startTime;
-    const usedWindowHours = Math.round(usedWindowMs / (60 * 60 * 1000));
-    console.log(
-      `🚀 pers-v2 light: ${finalArticles.length} articles in ${totalTime}ms ` +
-      `(db ${dbTime}ms, candidates ${candidateCount}, window ${usedWindowHours}h, ` +
-      `lang=${language}, signal=${!!ctx?.hasSignal}, embed=${includeEmbedding}, ` +
-      `explore=${explorationInjected ? 'yes' : 'no'}, ` +
-      `rerank=${rerankApplied ? 'yes' : 'no'}, retrieval=${retrieval})`
-    );
-
-    res.setHeader('X-Cache', 'miss');
-    res.setHeader('X-Performance-Time', totalTime);
-    res.setHeader('X-DB-Query-Time', dbTime);
-    res.setHeader('X-Personalized', ctx?.hasSignal ? (includeEmbedding ? 'vector' : 'signal') : 'none');
-    res.setHeader('X-Candidates', candidateCount);
-    res.setHeader('X-Window-Hours', usedWindowHours);
-    res.setHeader('X-Explore', explorationInjected ? '1' : '0');
-    res.setHeader('X-Rerank', rerankApplied ? '1' : '0');
-    res.setHeader('X-Retrieval', retrieval);
-    res.setHeader('X-Treatment', ctx?.treatment || 'control');
-    res.setHeader('X-Experiment', EXPERIMENT_ID);
-
-    // P0-2 follow-up: record served IDs so pages 2+ exclude them.
-    // Fire-and-forget — won't block the response.
-    recordServedIds(userId, finalArticles).catch(() => {});
-
-    res.json(finalArticles);
-  } catch (error) {
-    const errorTime = Date.now() - startTime;
-    console.error(`❌ pers-v2 light error in ${errorTime}ms:`, error);
-
-    // Fallback to basic recency query so users still see content.
-    // Widen progressively for low-volume languages (e.g. Farsi).
-    try {
-      const language = (req.query.language || 'english').toLowerCase();
-      const HOUR = 60 * 60 * 1000;
-      const DAY = 24 * HOUR;
-      const windows = [24 * HOUR, 7 * DAY, 30 * DAY];
-      let fallbackArticles = [];
-      for (const sinceMs of windows) {
-        fallbackArticles = await Article.find({
-          language,
-          publishedAt: { $gte: new Date(Date.now() - sinceMs) },
-        })
-          .select(
-            'title content contentFormat url category publishedAt image sourceId viewCount likes dislikes commentCount language'
-          )
-          .sort({ publishedAt: -1 })
-          .limit(limit * 3)
-          .lean();
-        if (fallbackArticles.length >= Math.min(limit, 5)) break;
-      }
-      // Recency sort clusters scraper bursts back-to-back; interleave by
-      // source (sourceId fallback — no group lookup on this path) before
-      // slicing down to the requested page size.
-      fallbackArticles = interleaveBySourceGroup(fallbackArticles, {
-        minGap: 3,
-        perGroupCap: 3,
-        fill: true,
-      }).slice(0, limit);
-      return res.json(fallbackArticles);
-    } catch (fallbackError) {
-      console.error('❌ Fallback also failed:', fallbackError);
-      return res
-        .status(500)
-        .json({ error: 'personalized-light error', message: error.message });
-    }
-  }
-});
+});
 
 /**
- * GET: Following feed - Articles from sources the user follows
- * Returns articles only from sourceGroups that the user has followed
- */
-articleRouter.get('/following', auth, ensureMongoUser, async (req, res) => {
-  const startTime = Date.now();
-
-  try {
-    const userId = req.mongoUser.supabase_id;
-    const page = Math.max(1, parseInt(req.query.page) || 1);
-    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
-    const forceRefresh = req.query.noCache === 'true';
-
-    // Use user's language preference from database if not specified in query
-    const userLanguagePref = req.mongoUser.language || 'English';
-    const defaultLang = userLanguagePref.toLowerCase();
-    const language = req.query.language || defaultLang;
-
-    console.log(`📰 Following feed for user ${userId}, page ${page}, limit ${limit}, lang: ${language}`);
-
-    // Step 1: Get user's followed source groups
-    const user = await User.findOne({ supabase_id: userId })
-      .select('following_sources')
-      .lean();
-
-    const followedGroups = user?.following_sources || [];
-
-    if (followedGroups.length === 0) {
-      console.log(`📭 User ${userId} is not following any sources`);
-      return res.json({
-        articles: [],
-        page,
-        hasMore: false,
-        message: 'Not following any sources yet',
-        followedGroupsCount: 0
-      });
-    }
-
-    console.log(`🔍 User following ${followedGroups.length} source groups:`, followedGroups);
-
-    // Step 2: Find all Source _ids that belong to followed groups
-    const Source = require('../models/Source');
-    const followedSources = await Source.find({
-      groupName: { $in: followedGroups },
-      status: { $ne: 'blocked' }
-    }).select('_id groupName').lean();
+ * GET /api/articles/search?query=...&language=...&limit=...
+ *
+ * Full-text article search used by the in-app SearchModal. Must be
+ * registered before the `/:id` catch-all — previously this path didn't
+ * exist and fell through to `/:id` with id="search", so article search
+ * always failed with a CastError.
+ *
+ * Primary: Atlas Search on title/content (relevance-ranked). When the
+ * text index finds nothing, falls back to semantic vector search over
+ * embedding_pca so conceptually-related articles still surface.
+ *
+ * Public like /recent — searches published news content only. Language
+ * is NOT filtered by default so Farsi/Arabic/Urdu sources are findable
+ * from any app locale; pass ?language= to restrict.
+ */
+articleRouter.get('/search', async (req, res) => {
+  try {
+    const query = (req.query.query || req.query.q || '').trim();
+    if (!query) return res.status(400).json({ message: 'Missing search query' });
 
-    const followedSourceIds = followedSources.map(s => s._id);
+    const language = req.query.language?.trim() || null;
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
 
-    if (followedSourceIds.length === 0) {
-      console.log(`📭 No active sources found for followed groups`);
-      return res.json({
-        articles: [],
-        page,
-        hasMore: false,
-        message: 'No active sources in followed groups',
-        followedGroupsCount: followedGroups.length
-      });
+    const cacheKey = `article_search_${language || 'all'}_${limit}_${query.toLowerCase()}`;
+    try {
+      const cached = await redis.get(cacheKey);
+      if (cached) {
+        res.setHeader('X-Cache', 'hit');
+        return res.json(JSON.parse(cached));
+      }
+    } catch (err) {
+      // Non-fatal
     }
 
-    console.log(`🔍 Found ${followedSourceIds.length} source IDs for followed groups`);
+    const { articles } = await searchArticles({ searchTerm: query, language, limit });
 
-    // Step 3: Check cache (v2 key bump — old `articles_following_*` entries
-    // may have a 24h-only window and would serve stale empty results)
-    const cacheKey = `articles_following_v2_${userId}_${language}_${page}_${limit}_${Math.floor(Date.now() / (15 * 60 * 1000))}`;
+    let results = articles;
 
-    let cached;
-    if (!forceRefresh) {
+    // Semantic fallback for queries the text index can't match
+    if (results.length === 0) {
       try {
-        cached = await redis.get(cacheKey);
-        if (cached) {
-          const result = JSON.parse(cached);
-          console.log(`⚡ Following feed cache hit in ${Date.now() - startTime}ms`);
-          return res.json(result);
+        const { convertToPCAEmbedding } = require('../utils/pcaEmbedding');
+        const embedding = await getDeepSeekEmbedding(query);
+        const pcaVector = await convertToPCAEmbedding(embedding);
+        if (pcaVector) {
+          results = await Article.aggregate([
+            {
+              $vectorSearch: {
+                index: 'default',
+                path: 'embedding_pca',
+                queryVector: pcaVector,
+                numCandidates: Math.max(200, limit * 10),
+                limit,
+              },
+            },
+            { $addFields: { searchScore: { $meta: 'vectorSearchScore' } } },
+            ...(language ? [{ $match: { language } }] : []),
+            {
+              $lookup: {
+                from: 'sources',
+                localField: 'sourceId',
+                foreignField: '_id',
+                as: 'source',
+              },
+            },
+            { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 1,
+                title: 1,
+                content: { $substrCP: ['$content', 0, 500] },
+                url: 1,
+                category: 1,
+                publishedAt: 1,
+                image: 1,
+                viewCount: 1,
+                likes: 1,
+                dislikes: 1,
+                language: 1,
+                searchScore: 1,
+                sourceId: 1,
+                sourceName: '$source.name',
+                sourceIcon: '$source.icon',
+                sourceGroupName: '$source.groupName',
+              },
+            },
+          ]);
         }
       } catch (err) {
-        console.error('⚠️ Redis get error:', err.message);
+        console.warn('⚠️ Vector search fallback failed:', err.message);
       }
     }
 
-    // Step 4: Query articles from followed sources with progressive window
-    // widening. Dense followers (mainstream English sources) succeed at 24h;
-    // sparse followers (a couple of Farsi/niche sources) widen to 7d / 30d
-    // so the feed isn't empty. Each widening pass is cheap because the
-    // $match is narrowly scoped by followedSourceIds.
-    const queryStart = Date.now();
-    const skip = (page - 1) * limit;
-    const HOUR = 60 * 60 * 1000;
-    const DAY = 24 * HOUR;
-    const windows = [
-      { ms: 24 * HOUR, label: '24h' },
-      { ms: 72 * HOUR, label: '3d' },
-      { ms: 7 * DAY, label: '7d' },
-      { ms: 30 * DAY, label: '30d' },
-    ];
-
-    const runFollowingQuery = (sinceMs) => Article.aggregate([
-      {
-        $match: {
-          sourceId: { $in: followedSourceIds },
-          language: language,
-          publishedAt: { $gte: new Date(Date.now() - sinceMs) }
-        }
-      },
-      {
-        $sort: { publishedAt: -1 }
-      },
-      {
-        $skip: skip
-      },
-      {
-        $limit: limit + 1 // Get one extra to check if there are more
-      },
-      {
-        $project: {
-          title: 1,
-          content: 1,
-          contentFormat: 1,
-          url: 1,
-          category: 1,
-          publishedAt: 1,
-          image: 1,
-          viewCount: 1,
-          likes: 1,
-          dislikes: 1,
-          commentCount: 1,
-          likedBy: 1,
-          dislikedBy: 1,
-          sourceId: 1,
-          language: 1 // needed for RTL rendering on Arabic/Farsi
-        }
-      }
-    ]);
-
-    let articles = [];
-    let usedWindow = windows[0];
-    for (const w of windows) {
-      articles = await runFollowingQuery(w.ms);
-      usedWindow = w;
-      // Got a full page? stop — wider windows would just re-fetch the same
-      // most-recent articles followed by older ones the user doesn't need.
-      if (articles.length >= limit + 1) break;
-      // Deep pagination edge case: if we're past page 1 and even 7d returns
-      // nothing, there genuinely isn't more — don't waste a 30d query.
-      if (page > 1 && articles.length === 0 && w.ms >= 7 * DAY) break;
+    try {
+      await redis.set(cacheKey, JSON.stringify(results), 'EX', 120);
+    } catch (err) {
+      // Non-fatal
     }
-    const usedWindowMs = usedWindow.ms;
 
-    const usedWindowHours = Math.round(usedWindowMs / HOUR);
-    console.log(`⚡ Following feed DB query completed in ${Date.now() - queryStart}ms - found ${articles.length} articles (window ${usedWindowHours}h, lang=${language})`);
-
-    // Check if there are more articles
-    const hasMore = articles.length > limit;
-    const articlesForResponse = hasMore ? articles.slice(0, limit) : articles;
+    res.setHeader('X-Cache', 'miss');
+    return res.json(results);
+  } catch (error) {
+    console.error('❌ /articles/search error:', error);
+    return res.status(500).json({ message: 'Error searching articles', error: error.message });
+  }
+});
 
-    // Step 5: Enrich with source info
-    const enrichedArticles = await enrichArticlesWithSources(articlesForResponse);
+// GET: Quick performance test endpoint
+articleRouter.get('/perf-test', auth, ensureMongoUser, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const userId = req.mongoUser.supabase_id;
 
-    // Add following feed marker
-    const finalArticles = enrichedArticles.map(article => ({
-      ...article,
-      isFollowing: true,
-      fetchedAt: new Date(),
-      page
-    }));
+    // Test 1: Simple article count
+    const simpleCount = await Article.countDocuments({ language: 'english' });
+    const t1 = Date.now() - startTime;
 
-    const result = {
-      articles: finalArticles,
-      page,
-      hasMore,
-      followedGroupsCount: followedGroups.length,
-      followedSourcesCount: followedSourceIds.length
-    };
+    // Test 2: User lookup
+    const user = await User.findOne({ supabase_id: userId }).lean();
+    const t2 = Date.now() - startTime;
 
-    // Step 6: Cache the result
+    // Test 3: Redis test
+    let redisOk = false;
     try {
-      await redis.set(cacheKey, JSON.stringify(result), 'EX', 300); // 5 min cache for following feed
-      await trackUserCacheKey(userId, cacheKey);
-    } catch (err) {
-      console.error('⚠️ Redis set error:', err.message);
+      await redis.set('test_key', 'test_value', 'EX', 10);
+      await redis.get('test_key');
+      redisOk = true;
+    } catch (e) {
+      console.error('Redis test failed:', e.message);
     }
+    const t3 = Date.now() - startTime;
 
-    const totalTime = Date.now() - startTime;
-    console.log(`📰 Following feed complete in ${totalTime}ms - ${finalArticles.length} articles from ${followedGroups.length} groups`);
-
-    // Add performance headers
-    res.setHeader('X-Performance-Time', totalTime);
-    res.setHeader('X-DB-Query-Time', Date.now() - queryStart);
-    res.setHeader('X-Following-Groups', followedGroups.length);
-    res.setHeader('X-Following-Sources', followedSourceIds.length);
-    res.setHeader('X-Window-Hours', usedWindowHours);
-
-    res.json(result);
+    // Test 4: Basic article fetch
+    const sampleArticles = await Article.find({ language: 'english' })
+      .sort({ publishedAt: -1 })
+      .limit(5)
+      .lean();
+    const t4 = Date.now() - startTime;
 
+    res.json({
+      totalTime: Date.now() - startTime,
+      tests: {
+        articleCount: { time: t1, result: simpleCount },
+        userLookup: { time: t2, hasUser: !!user, hasEmbedding: !!(user?.embedding_pca) },
+        redis: { time: t3, working: redisOk },
+        sampleFetch: { time: t4, count: sampleArticles.length }
+      }
+    });
   } catch (error) {
-    const errorTime = Date.now() - startTime;
-    console.error(`❌ Following feed error in ${errorTime}ms:`, error);
-    res.status(500).json({ error: 'Following feed error', message: error.message });
+    res.status(500).json({
+      error: 'Performance test failed',
+      message: error.message,
+      totalTime: Date.now() - startTime
+    });
   }
 });
 
-// articleRouter.get('/personalized-fast', auth, ensureMongoUser, async (req, res) => {
-//   const startTime = Date.now();
-//   try {
-//     const page = Math.max(1, parseInt(req.query.page) || 1);
-//     const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
-//     const language = req.query.language || 'english';
-//     const userId = req.mongoUser.supabase_id;
-//     const forceRefresh = req.query.noCache === 'true';
-
-//     console.log(`⚡ ULTRA-FAST personalized-fast for user ${userId}, page ${page}, limit ${limit}, forceRefresh: ${forceRefresh}`);
-
-//     // Ultra-aggressive cache key with 15-minute slots for consistency with personalized-light
-//     const fifteenMinSlot = Math.floor(Date.now() / (15 * 60 * 1000)); // 15-minute cache slots
-//     const cacheKey = `articles_ultrafast_page_${language}_${page}_${limit}_${fifteenMinSlot}`;
-
-//     // Cache check
-//     let cached;
-//     if (!forceRefresh) {
-//       try {
-//         cached = await redis.get(cacheKey);
-//         if (cached) {
-//           console.log(`⚡ ULTRA-FAST cache hit in ${Date.now() - startTime}ms`);
-//           return res.json(JSON.parse(cached));
-//         }
-//       } catch (err) {
-//         console.error('⚠️ Redis get error:', err.message);
-//       }
-//     }
-
-//     console.log(`🔍 ULTRA-FAST: Starting aggregation query for page ${page}, ${language} language`);
-//     const queryStart = Date.now();
-
-//     // OPTIMIZATION 1: Use same ultra-fast aggregation as personalized-light
-//     // OPTIMIZATION 2: Use 24-hour window for good content variety
-//     // OPTIMIZATION 3: Skip $lookup for ultra-fast performance (sources handled client-side)
-
-//     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-//     const skip = (page - 1) * limit;
-
-//     const articles = await Article.aggregate([
-//       {
-//         // Stage 1: Match with optimized filter (use compound index)
-//         $match: {
-//           language: language,
-//           publishedAt: { $gte: twentyFourHoursAgo }
-//         }
-//       },
-//       {
-//         // Stage 2: Sort BEFORE limiting for better performance
-//         $sort: { publishedAt: -1 }
-//       },
-//       {
-//         // Stage 3: Skip for pagination
-//         $skip: skip
-//       },
-//       {
-//         // Stage 4: Limit for this page
-//         $limit: limit
-//       },
-//       {
-//         // Stage 5: Add performance markers without source lookup
-//         $addFields: {
-//           isFast: { $literal: true },
-//           fetchedAt: { $literal: new Date() },
-//           isRefreshed: { $literal: forceRefresh },
-//           fetchId: { $literal: new mongoose.Types.ObjectId().toString() },
-//           page: { $literal: page }
-//         }
-//       },
-//       {
-//         // Stage 6: Project only essential fields for maximum speed
-//         $project: {
-//           title: 1,
-//           content: 1,
-//           url: 1,
-//           category: 1,
-//           publishedAt: 1,
-//           image: 1,
-//           viewCount: 1,
-//           likes: 1,
-//           dislikes: 1,
-//           likedBy: 1,
-//           dislikedBy: 1,
-//           sourceId: 1, // Let client handle source resolution for speed
-//           isFast: 1,
-//           fetchedAt: 1,
-//           isRefreshed: 1,
-//           fetchId: 1,
-//           page: 1
-//         }
-//       }
-//     ]);
-
-//     console.log(`⚡ ULTRA-FAST DB query completed in ${Date.now() - queryStart}ms - found ${articles.length} articles for page ${page}`);
-
-//     // OPTIMIZATION 4: Skip source grouping for ultra-speed - return articles directly
-//     const totalTime = Date.now() - startTime;
-//     console.log(`🚀 ULTRA-FAST personalized-fast complete in ${totalTime}ms - ${articles.length} articles (page ${page}, no source grouping for speed)`);
-
-//     // OPTIMIZATION 5: 15-minute cache for consistency with personalized-light
-//     try {
-//       await redis.set(cacheKey, JSON.stringify(articles), 'EX', 900); // 15 min cache
-//     } catch (err) {
-//       console.error('⚠️ Redis set error:', err.message);
-//     }
-
-//     // Add performance headers for monitoring
-//     res.setHeader('X-Performance-Time', totalTime);
-//     res.setHeader('X-DB-Query-Time', Date.now() - queryStart);
-//     res.setHeader('X-Optimization-Applied', 'ultra-fast-no-lookup-pagination');
-//     res.setHeader('X-Page', page);
-
-//     res.json(articles);
-
-//   } catch (error) {
-//     const errorTime = Date.now() - startTime;
-//     console.error(`❌ ULTRA-FAST personalized-fast error in ${errorTime}ms:`, error);
-
-//     // Fallback to basic query if aggregation fails
-//     console.log(`🔄 Fallback query for page ${page}...`);
-//     try {
-//       const skip = (page - 1) * limit;
-//       const fallbackArticles = await Article.find({
-//         language: language,
-//         publishedAt: { $gte: new Date(Date.now() - 6 * 60 * 60 * 1000) } // 6 hours
-//       })
-//         .select('title content url category publishedAt image sourceId viewCount likes dislikes commentCount')
-//         .sort({ publishedAt: -1 })
-//         .skip(skip)
-//         .limit(limit)
-//         .lean();
-
-//       console.log(`🔄 Fallback completed with ${fallbackArticles.length} articles for page ${page}`);
-//       res.json(fallbackArticles);
-//     } catch (fallbackError) {
-//       console.error('❌ Fallback also failed:', fallbackError);
-//       res.status(500).json({ error: 'Ultra-fast personalized-fast error', message: error.message });
-//     }
-//   }
-// });
-
-// Performance configuration constants
-articleRouter.get('/personalized-fast', auth, ensureMongoUser, async (req, res) => {
+articleRouter.get('/personalized-light', auth, ensureMongoUser, async (req, res) => {
   const startTime = Date.now();
-  const page = Math.max(1, parseInt(req.query.page) || 1);
-  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
 
   try {
     const userId = req.mongoUser.supabase_id;
@@ -2717,204 +693,74 @@ articleRouter.get('/personalized-fast', auth, ensureMongoUser, async (req, res)
       ctx.language = language;
       ctx.categoryStats = await getCategoryEngagementStats(language);
       ctx.servedIds = await getServedIds(userId);
+      await attachSessionInterest(ctx, userId);
     }
 
+    // Fresh tier: rotates on user activity (stateHash) and every 10 min.
+    // Stale tier: same content, but no stateHash/slot — survives across
+    // rotations so we can serve last-known-result on cold miss and
+    // regenerate in the background.
     const stateHash = userStateHash(ctx);
     const tenMinSlot = Math.floor(Date.now() / (10 * 60 * 1000));
-    const cacheKey = `articles_pers_v2_page_${userId}_${language}_${page}_${limit}_${stateHash}_${tenMinSlot}`;
+    const freshKey = `articles_pers_v2_${userId}_${language}_${limit}_${stateHash}_${tenMinSlot}`;
+    const staleKey = lightStaleKey(userId, language, limit);
+    const lockKey = lightLockKey(userId, language, limit);
 
     if (!forceRefresh) {
       try {
-        const cached = await redis.get(cacheKey);
+        const cached = await redis.get(freshKey);
         if (cached) {
-          console.log(`⚡ pers-v2 fast cache hit in ${Date.now() - startTime}ms (page ${page})`);
+          console.log(`⚡ pers-v2 light fresh cache hit in ${Date.now() - startTime}ms`);
           const parsed = JSON.parse(cached);
+          res.setHeader('X-Cache', 'fresh');
+          // Fire-and-forget: record served IDs so the next page excludes
+          // them (P0-2 follow-up). Won't block the response.
           recordServedIds(userId, parsed).catch(() => {});
-          return res.json(parsed);
+          recordExposure(ctx, parsed);
+          return res.json(withExplanations(parsed, wantsExplanations(req.query)));
         }
       } catch (err) {
-        console.error('⚠️ Redis get error:', err.message);
-      }
-    }
-
-    // Build candidate filter: hard-exclude explicit dislikes + the
-    // recently-served set (P0-2 follow-up). Viewed articles are still
-    // only demoted in scoring, not excluded, so the feed doesn't
-    // collapse for users with long view histories.
-    const buildMatch = (sinceMs, { skipCategoryExclusion = false } = {}) => {
-      const match = {
-        language,
-        publishedAt: { $gte: new Date(Date.now() - sinceMs) },
-      };
-      if (ctx) {
-        const excluded = [];
-        if (ctx.dislikedIds.size > 0) {
-          excluded.push(...[...ctx.dislikedIds].slice(0, 500));
-        }
-        if (ctx.servedIds?.size > 0) {
-          excluded.push(...[...ctx.servedIds].slice(0, SERVED_MAX_EXCLUDE));
-        }
-        if (excluded.length > 0) {
-          match._id = {
-            $nin: excluded.map((id) => new mongoose.Types.ObjectId(id)),
-          };
-        }
-        if (!skipCategoryExclusion && ctx.dislikedCategories.size > 0) {
-          match.category = { $nin: [...ctx.dislikedCategories] };
-        }
+        console.error('⚠️ Redis get error (fresh):', err.message);
       }
-      return match;
-    };
-
-    // For pagination we need a wide enough candidate window to safely skip into.
-    // Cap so deep pagination doesn't blow up memory.
-    const candidateLimit = Math.min(page * limit + 200, 500);
-    const includeEmbedding = !!ctx?.embedding && !shouldSkipEmbedding(ctx);
-
-    const runCandidateQuery = (sinceMs, opts) =>
-      Article.aggregate([
-        { $match: buildMatch(sinceMs, opts) },
-        { $sort: { publishedAt: -1 } },
-        { $limit: candidateLimit },
-        {
-          $lookup: {
-            from: 'sources',
-            localField: 'sourceId',
-            foreignField: '_id',
-            as: 'source',
-            pipeline: [
-              { $match: { status: { $ne: 'blocked' } } },
-              { $project: { groupName: 1, name: 1, icon: 1, quality_score: 1 } },
-            ],
-          },
-        },
-        { $match: { 'source.0': { $exists: true } } },
-        {
-          $addFields: {
-            sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
-            sourceName: { $arrayElemAt: ['$source.name', 0] },
-            sourceIcon: { $arrayElemAt: ['$source.icon', 0] },
-            sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
-          },
-        },
-        {
-          $project: {
-            title: 1,
-            content: 1,
-            contentFormat: 1,
-            url: 1,
-            category: 1,
-            publishedAt: 1,
-            image: 1,
-            viewCount: 1,
-            likes: 1,
-            dislikes: 1,
-            commentCount: 1,
-            likedBy: 1,
-            dislikedBy: 1,
-            sourceId: 1,
-            sourceName: 1,
-            sourceIcon: 1,
-            sourceGroupName: 1,
-            language: 1,
-            ...(includeEmbedding ? { embedding_pca: 1 } : {}),
-          },
-        },
-      ]);
 
-    const queryStart = Date.now();
-    // Progressively widen until we have enough candidates to fill the requested page.
-    // Sparse languages (e.g. Farsi) can have very few articles in 72h.
-    const HOUR = 60 * 60 * 1000;
-    const DAY = 24 * HOUR;
-    const startWindow = page === 1 ? 24 * HOUR : 48 * HOUR;
-    const windows = [startWindow, 72 * HOUR, 7 * DAY, 30 * DAY];
-    const minCandidates = limit + (page - 1) * limit;
-    let candidates = [];
-    let usedWindowMs = windows[0];
-    for (const sinceMs of windows) {
-      candidates = await runCandidateQuery(sinceMs);
-      usedWindowMs = sinceMs;
-      if (candidates.length >= minCandidates) break;
-    }
-
-    // Starvation guard — same rationale as personalized-light: if the
-    // disliked-category exclusion leaves a tiny or single-source pool,
-    // pull unfiltered candidates from the widest window and let the
-    // scoring penalty sink them instead of dead-ending pagination.
-    if (ctx?.dislikedCategories?.size > 0) {
-      const groups = new Set(
-        candidates.map((a) => a.sourceGroupName || (a.sourceId ? a.sourceId.toString() : 'unknown'))
-      );
-      if (candidates.length < limit * 2 || groups.size < 4) {
-        try {
-          const rescue = await runCandidateQuery(windows[windows.length - 1], {
-            skipCategoryExclusion: true,
+      // SWR: serve last-known-result instantly, regenerate in background.
+      try {
+        const stale = await redis.get(staleKey);
+        if (stale) {
+          spawnBackgroundRegen({
+            freshKey,
+            staleKey,
+            lockKey,
+            userId,
+            params: { ctx, language, limit, forceRefresh: false },
           });
-          const byId = new Map();
-          for (const a of rescue) byId.set(a._id.toString(), a);
-          for (const a of candidates) byId.set(a._id.toString(), a);
-          candidates = [...byId.values()];
           console.log(
-            `🛟 pers-fast starvation guard: page ${page}, pool had ${groups.size} ` +
-            `source groups, now ${candidates.length} candidates after rescue`
+            `📦 pers-v2 light SWR stale-hit in ${Date.now() - startTime}ms ` +
+            `(regen scheduled)`
           );
-        } catch (err) {
-          console.warn('⚠️ pers-fast starvation guard failed:', err.message);
-        }
-      }
-    }
-    const dbTime = Date.now() - queryStart;
-
-    let scored;
-    if (ctx?.hasSignal) {
-      scored = scorePersonalizedCandidates(candidates, ctx, { page });
-    } else {
-      for (const a of candidates) {
-        a._score =
-          PERS_W.recency * basicRecencyScore(a.publishedAt) +
-          PERS_W.engagement *
-            Math.tanh(
-              ((a.viewCount || 0) * viewsWeight +
-                (a.likes || 0) * likesWeight +
-                (a.dislikes || 0) * dislikesWeight) /
-                80
-            );
-        // Disliked categories can exist without hasSignal (dislikes don't
-        // count toward it); starvation-guard rescue articles must still
-        // sink below eligible ones.
-        if (a.category && ctx?.dislikedCategories?.has(a.category)) {
-          a._score += PERS_W.dislikedCategoryPenalty;
+          const parsed = JSON.parse(stale);
+          res.setHeader('X-Cache', 'stale');
+          recordServedIds(userId, parsed).catch(() => {});
+          recordExposure(ctx, parsed);
+          return res.json(withExplanations(parsed, wantsExplanations(req.query)));
         }
+      } catch (err) {
+        console.error('⚠️ Redis get error (stale):', err.message);
       }
-      scored = candidates.sort((x, y) => y._score - x._score);
     }
 
-    // P0-2 follow-up: candidates already EXCLUDE everything in the
-    // user's served set (last 6h). So every personalized-fast call
-    // returns slice(0, limit) of the fresh pool — there is no
-    // page-based offset anymore. The `page` query param still steers
-    // scoring biases (page-aware recency/relevance multipliers and the
-    // starting time window) and the cache key, but the slice itself is
-    // always from the top of the fresh pool.
-    //
-    // This is what makes deep pagination work for active scrollers:
-    // every page is "give me 20 more I haven't seen", not "give me
-    // items 60-80 of a fixed list that may have only 25 entries".
-    const interleaved = interleaveBySourceGroup(scored, { minGap: 2, perGroupCap: 8 });
-    const pageSlice = interleaved.slice(0, limit);
-
-    const finalArticles = sanitizeForResponse(pageSlice, {
-      isFast: true,
-      fetchedAt: new Date(),
-      isRefreshed: forceRefresh,
-      page,
-      isPersonalized: !!ctx?.hasSignal,
-    });
+    // Cold miss (or forceRefresh): synchronous compute.
+    const run = await feedPipelines.personalizedLight.run({ ctx, language, limit, forceRefresh });
+    const finalArticles = run.items;
+    const candidateCount = run.candidates.length;
+    const { windowMs: usedWindowMs, dbTime, explorationInjected, rerankApplied, retrieval } = run.meta;
+    const includeEmbedding = includeEmbeddingFor(ctx);
 
     try {
-      await redis.set(cacheKey, JSON.stringify(finalArticles), 'EX', 600);
-      await trackUserCacheKey(userId, cacheKey);
+      await redis.set(freshKey, JSON.stringify(finalArticles), 'EX', SWR_FRESH_TTL);
+      await trackUserCacheKey(userId, freshKey);
+      await redis.set(staleKey, JSON.stringify(finalArticles), 'EX', SWR_STALE_TTL);
+      await trackUserCacheKey(userId, staleKey);
     } catch (err) {
       console.error('⚠️ Redis set error:', err.message);
     }
@@ -2922,29 +768,41 @@ articleRouter.get('/personalized-fast', auth, ensureMongoUser, async (req, res)
     const totalTime = Date.now() - startTime;
     const usedWindowHours = Math.round(usedWindowMs / (60 * 60 * 1000));
     console.log(
-      `🚀 pers-v2 fast: page ${page}, ${finalArticles.length} articles in ${totalTime}ms (db ${dbTime}ms, candidates ${candidates.length}, window ${usedWindowHours}h, lang=${language}, signal=${!!ctx?.hasSignal}, embed=${includeEmbedding})`
+      `🚀 pers-v2 light: ${finalArticles.length} articles in ${totalTime}ms ` +
+      `(db ${dbTime}ms, candidates ${candidateCount}, window ${usedWindowHours}h, ` +
+      `lang=${language}, signal=${!!ctx?.hasSignal}, embed=${includeEmbedding}, ` +
+      `explore=${explorationInjected ? 'yes' : 'no'}, ` +
+      `rerank=${rerankApplied ? 'yes' : 'no'}, retrieval=${retrieval})`
     );
 
+    res.setHeader('X-Cache', 'miss');
     res.setHeader('X-Performance-Time', totalTime);
     res.setHeader('X-DB-Query-Time', dbTime);
-    res.setHeader('X-Page', page);
     res.setHeader('X-Personalized', ctx?.hasSignal ? (includeEmbedding ? 'vector' : 'signal') : 'none');
-    res.setHeader('X-Candidates', candidates.length);
+    res.setHeader('X-Candidates', candidateCount);
     res.setHeader('X-Window-Hours', usedWindowHours);
+    res.setHeader('X-Explore', explorationInjected ? '1' : '0');
+    res.setHeader('X-Rerank', rerankApplied ? '1' : '0');
+    res.setHeader('X-Retrieval', retrieval);
+    res.setHeader('X-Treatment', ctx?.treatment || 'control');
 
+    // P0-2 follow-up: record served IDs so pages 2+ exclude them.
+    // Fire-and-forget — won't block the response.
     recordServedIds(userId, finalArticles).catch(() => {});
-    res.json(finalArticles);
+    recordExposure(ctx, finalArticles);
+
+    res.json(withExplanations(finalArticles, wantsExplanations(req.query)));
   } catch (error) {
     const errorTime = Date.now() - startTime;
-    console.error(`❌ pers-v2 fast error in ${errorTime}ms (page ${page}):`, error);
+    console.error(`❌ pers-v2 light error in ${errorTime}ms:`, error);
 
+    // Fallback to basic recency query so users still see content.
+    // Widen progressively for low-volume languages (e.g. Farsi).
     try {
       const language = (req.query.language || 'english').toLowerCase();
-      const skip = (page - 1) * limit;
       const HOUR = 60 * 60 * 1000;
       const DAY = 24 * HOUR;
-      const windows = [24 * HOUR, 72 * HOUR, 7 * DAY, 30 * DAY];
-      const minNeeded = skip + Math.min(limit, 5);
+      const windows = [24 * HOUR, 7 * DAY, 30 * DAY];
       let fallbackArticles = [];
       for (const sinceMs of windows) {
         fallbackArticles = await Article.find({
@@ -2955,12 +813,13 @@ articleRouter.get('/personalized-fast', auth, ensureMongoUser, async (req, res)
             'title content contentFormat url category publishedAt image sourceId viewCount likes dislikes commentCount language'
           )
           .sort({ publishedAt: -1 })
-          .skip(skip)
           .limit(limit * 3)
           .lean();
-        if (fallbackArticles.length >= Math.min(limit, 5) || skip + fallbackArticles.length >= minNeeded) break;
+        if (fallbackArticles.length >= Math.min(limit, 5)) break;
       }
-      // Same anti-clustering pass as the personalized-light fallback.
+      // Recency sort clusters scraper bursts back-to-back; interleave by
+      // source (sourceId fallback — no group lookup on this path) before
+      // slicing down to the requested page size.
       fallbackArticles = interleaveBySourceGroup(fallbackArticles, {
         minGap: 3,
         perGroupCap: 3,
@@ -2971,743 +830,402 @@ articleRouter.get('/personalized-fast', auth, ensureMongoUser, async (req, res)
       console.error('❌ Fallback also failed:', fallbackError);
       return res
         .status(500)
-        .json({ error: 'personalized-fast error', message: error.message });
+        .json({ error: 'personalized-light error', message: error.message });
     }
   }
 });
 
-
-// Performance configuration constants
-const VECTOR_INDEX = "default";
-const NUM_CANDIDATE_MULT = 2.5; // Reduced from 4 for faster vector search
-const LIMIT_MULT = 1.5; // Reduced from 2 for smaller candidate pools
-const DIVERSITY_RATIO = 0.15;
-const TRENDING_RATIO = 0.10;
-const VECTOR_PROBE_TTL_MS = 10 * 60 * 1000; // Extended to 10min for stable clusters
-const VECTOR_MAX_TIME_MS = 1500; // Tightened from 2000ms
-const ROUTE_BUDGET_MS = 3000; // Tightened from 4500ms
-const ENABLE_SERVER_TIMING = true;
-
-// Module-scoped vector readiness cache
-let _vectorProbe = { ok: false, checkedAt: 0, dims: null };
-
-// Vector readiness probe
-async function isVectorSearchReady() {
-  const now = Date.now();
-
-  // Hard off-switch — use during migrations/outages when Atlas Search is down.
-  // Avoids the listSearchIndexes() call entirely (it can hang ~9s when the Search
-  // Index Management service is unreachable).
-  if (process.env.DISABLE_VECTOR_SEARCH === 'true') {
-    _vectorProbe = { ok: false, checkedAt: now, dims: null };
-    return false;
-  }
-
-  if (now - _vectorProbe.checkedAt < VECTOR_PROBE_TTL_MS) {
-    return _vectorProbe.ok;
-  }
-
-  try {
-    // Bound the admin call: when Atlas Search is unhealthy, listSearchIndexes() can
-    // hang ~9s before erroring. Fail fast so a cold instance's first request isn't 9s.
-    const indexes = await Promise.race([
-      Article.collection.listSearchIndexes({ name: VECTOR_INDEX }).toArray(),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('listSearchIndexes timeout')), 2000)),
-    ]);
-    const vectorIndex = indexes.find(idx => idx.name === VECTOR_INDEX);
-    const ok = vectorIndex && (vectorIndex.status === 'READY' || vectorIndex.queryable);
-    const dims = vectorIndex?.latestDefinition?.mappings?.fields?.embedding_pca?.dimensions || null;
-
-    _vectorProbe = { ok, checkedAt: now, dims };
-    return ok;
-  } catch (error) {
-    console.error('🔍 Vector readiness probe failed:', error.message);
-    _vectorProbe = { ok: false, checkedAt: now, dims: null };
-    await redis.set('vector_search_status', 'unavailable', 'EX', 300); // Cache failure for 5min
-    return false;
-  }
-}
-
-// Quick vector probe
-async function quickVectorProbe(queryVector, cutoffDate, language, excludeIds) {
-  try {
-    const pipeline = [
-      {
-        $vectorSearch: {
-          index: VECTOR_INDEX,
-          path: "embedding_pca",
-          queryVector: queryVector,
-          numCandidates: 50, // Reduced for faster probe
-          limit: 1,
-          filter: {
-            language: language,
-            publishedAt: { $gte: cutoffDate },
-            _id: { $nin: excludeIds }
-          }
-        }
-      }
-    ];
-
-    await Article.aggregate(pipeline, { maxTimeMS: 300 }); // Tighter timeout
-    return { ok: true };
-  } catch (error) {
-    console.error('🔍 Quick vector probe error:', error.message);
-    // A probe that times out or can't reach the search service means vector search is
-    // NOT usable right now — treat it as unavailable so we fall back fast instead of
-    // attempting the (also-timing-out) full vector search. Previously timeouts were
-    // treated as "non-critical" and let the request proceed into multi-second hangs.
-    const msg = error.message || '';
-    const unusable = /index|cluster|time limit|MaxTimeMSExpired|timed out|timeout|Search Index/i.test(msg);
-    if (unusable) {
-      await redis.set('vector_search_status', 'unavailable', 'EX', 300); // Cache failure
-      return { ok: false };
-    }
-    return { ok: true }; // Truly non-critical errors don't disable vector search
-  }
-}
-
-articleRouter.get('/personalized', auth, ensureMongoUser, async (req, res) => {
-  req.setTimeout(30000); // Reduced from 60s; still ample for complex queries
-  const requestStartTime = Date.now();
+/**
+ * GET: Following feed - Articles from sources the user follows
+ * Returns articles only from sourceGroups that the user has followed
+ */
+articleRouter.get('/following', auth, ensureMongoUser, async (req, res) => {
   const startTime = Date.now();
-  const timings = {};
-  const mark = (k) => timings[k] = Date.now() - startTime;
 
   try {
     const userId = req.mongoUser.supabase_id;
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
-    const resetServed = req.query.resetServed === '1';
+    const forceRefresh = req.query.noCache === 'true';
 
     // Use user's language preference from database if not specified in query
-    // Map 'Arabic' -> 'arabic', 'English' -> 'english' for consistency
     const userLanguagePref = req.mongoUser.language || 'English';
-    const defaultLang = userLanguagePref.toLowerCase(); // 'Arabic' -> 'arabic', 'English' -> 'english'
+    const defaultLang = userLanguagePref.toLowerCase();
     const language = req.query.language || defaultLang;
 
-    console.log(`🔥 PERSONALIZED ENDPOINT START for user ${userId}, page ${page}, limit ${limit}, lang: ${language} (user pref: ${userLanguagePref})`);
+    console.log(`📰 Following feed for user ${userId}, page ${page}, limit ${limit}, lang: ${language}`);
 
-    // Enhanced cache key with user preferences
-    // Page 1 uses an hour-key so it refreshes every hour rather than being stale all day
-    const userPrefs = await User.findOne({ supabase_id: userId }).select('preferred_categories preferred_sources').lean();
-    const prefsHash = simpleHash(JSON.stringify({
-      cats: userPrefs?.preferred_categories || [],
-      srcs: userPrefs?.preferred_sources || []
-    }));
-    const dayKey = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const hourKey = new Date().toISOString().slice(0, 13).replace(/[-:T]/g, ''); // e.g. 2026022614
-    const noveltySeed = simpleHash(`${userId}:${page}:${dayKey}`);
-    const cacheKey = page === 1
-      ? `articles_personalized_${userId}_p1_${language}_${prefsHash}_${hourKey}`
-      : `articles_personalized_${userId}_page_${page}_limit_${limit}_lang_${language}_${prefsHash}_${dayKey}_${noveltySeed}`;
+    // Step 1: Get user's followed source groups
+    const user = await User.findOne({ supabase_id: userId })
+      .select('following_sources')
+      .lean();
+
+    const followedGroups = user?.following_sources || [];
+
+    if (followedGroups.length === 0) {
+      console.log(`📭 User ${userId} is not following any sources`);
+      return res.json({
+        articles: [],
+        page,
+        hasMore: false,
+        message: 'Not following any sources yet',
+        followedGroupsCount: 0
+      });
+    }
+
+    console.log(`🔍 User following ${followedGroups.length} source groups:`, followedGroups);
+
+    // Step 2: Find all Source _ids that belong to followed groups
+    const Source = require('../models/Source');
+    const followedSources = await Source.find({
+      groupName: { $in: followedGroups },
+      status: { $ne: 'blocked' }
+    }).select('_id groupName').lean();
+
+    const followedSourceIds = followedSources.map(s => s._id);
+
+    if (followedSourceIds.length === 0) {
+      console.log(`📭 No active sources found for followed groups`);
+      return res.json({
+        articles: [],
+        page,
+        hasMore: false,
+        message: 'No active sources in followed groups',
+        followedGroupsCount: followedGroups.length
+      });
+    }
+
+    console.log(`🔍 Found ${followedSourceIds.length} source IDs for followed groups`);
+
+    // Step 3: Check cache (v2 key bump — old `articles_following_*` entries
+    // may have a 24h-only window and would serve stale empty results)
+    const cacheKey = `articles_following_v2_${userId}_${language}_${page}_${limit}_${Math.floor(Date.now() / (15 * 60 * 1000))}`;
 
-    // Cache check
     let cached;
-    if (!req.query.noCache) {
+    if (!forceRefresh) {
       try {
         cached = await redis.get(cacheKey);
         if (cached) {
-          console.log(`⚡ Cache hit in ${Date.now() - startTime}ms`);
-          mark('cache_check');
-          mark('total');
-          if (ENABLE_SERVER_TIMING) {
-            res.setHeader('Server-Timing', Object.entries(timings).map(([k, v]) => `${k};dur=${v}`).join(', '));
-            res.setHeader('X-Gulfio-Timings', JSON.stringify(timings));
-          }
-          return res.json(JSON.parse(cached));
+          const result = JSON.parse(cached);
+          console.log(`⚡ Following feed cache hit in ${Date.now() - startTime}ms`);
+          return res.json(result);
         }
       } catch (err) {
         console.error('⚠️ Redis get error:', err.message);
       }
     }
-    mark('cache_check');
-
-    // Reset served articles if requested
-    const servedKey = `served_personalized_${userId}_${language}_${dayKey}`;
-    if (resetServed) {
-      try {
-        await redis.del(servedKey);
-        console.log('🔄 Reset served articles for today');
-      } catch (err) {
-        console.error('⚠️ Failed to reset served articles:', err.message);
-      }
-    }
-
-    // Get served and disliked articles
-    let servedIds = [];
-    try {
-      servedIds = await redis.smembers(servedKey);
-    } catch (err) {
-      console.error('⚠️ Redis served set error:', err.message);
-    }
-    const user = await User.findOne({ supabase_id: userId })
-      .select('embedding_pca preferred_categories preferred_sources disliked_articles viewed_articles liked_articles disliked_categories')
-      .lean();
 
-    // Exclude: served today + explicitly disliked + recently viewed (last 200 to cap payload)
-    const recentlyViewedIds = (user?.viewed_articles || []).slice(-200).map(id => new mongoose.Types.ObjectId(id));
-    const excludeIds = [
-      ...servedIds.map(id => new mongoose.Types.ObjectId(id)),
-      ...(user?.disliked_articles || []).map(id => new mongoose.Types.ObjectId(id)),
-      ...recentlyViewedIds,
+    // Step 4: Query articles from followed sources with progressive window
+    // widening. Dense followers (mainstream English sources) succeed at 24h;
+    // sparse followers (a couple of Farsi/niche sources) widen to 7d / 30d
+    // so the feed isn't empty. Each widening pass is cheap because the
+    // $match is narrowly scoped by followedSourceIds.
+    const queryStart = Date.now();
+    const skip = (page - 1) * limit;
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    const windows = [
+      { ms: 24 * HOUR, label: '24h' },
+      { ms: 72 * HOUR, label: '3d' },
+      { ms: 7 * DAY, label: '7d' },
+      { ms: 30 * DAY, label: '30d' },
     ];
 
-    // User embedding and preferences
-    let userEmbedding = user?.embedding_pca;
-    const preferredCategories = user?.preferred_categories || [];
-    const preferredSources = user?.preferred_sources || [];
-    const dislikedCategories = user?.disliked_categories || [];
-    mark('user_load');
-
-    // --- Recency centroid blend ---
-    // Blend the stored lifetime embedding with a centroid of the user's most recently liked
-    // articles so that interest drift is corrected without waiting for a full embedding rebuild.
-    if (userEmbedding && Array.isArray(userEmbedding) && userEmbedding.length === 128) {
-      try {
-        const recentLikedIds = (user?.liked_articles || []).slice(-15);
-        if (recentLikedIds.length >= 3) {
-          const recentLikedArticles = await Article.find(
-            { _id: { $in: recentLikedIds } },
-            { embedding_pca: 1 }
-          ).lean();
-
-          const validEmbeddings = recentLikedArticles
-            .filter(a => Array.isArray(a.embedding_pca) && a.embedding_pca.length === 128)
-            .map(a => a.embedding_pca);
-
-          if (validEmbeddings.length >= 3) {
-            // Compute centroid of recent liked articles
-            const recentCentroid = new Array(128).fill(0);
-            validEmbeddings.forEach(emb => {
-              emb.forEach((v, i) => { recentCentroid[i] += v / validEmbeddings.length; });
-            });
-
-            // Blend: 65% lifetime embedding + 35% recent centroid
-            const blended = userEmbedding.map((v, i) => 0.65 * v + 0.35 * recentCentroid[i]);
-
-            // Normalise to unit vector so cosine similarity stays valid
-            const mag = Math.sqrt(blended.reduce((s, v) => s + v * v, 0));
-            if (mag > 0) {
-              userEmbedding = blended.map(v => v / mag);
-              console.log(`🧠 Recency centroid blended from ${validEmbeddings.length} recent likes`);
-            }
-          }
+    const runFollowingQuery = (sinceMs) => Article.aggregate([
+      {
+        $match: {
+          sourceId: { $in: followedSourceIds },
+          language: language,
+          publishedAt: { $gte: new Date(Date.now() - sinceMs) }
+        }
+      },
+      {
+        $sort: { publishedAt: -1 }
+      },
+      {
+        $skip: skip
+      },
+      {
+        $limit: limit + 1 // Get one extra to check if there are more
+      },
+      {
+        $project: {
+          title: 1,
+          content: 1,
+          contentFormat: 1,
+          url: 1,
+          category: 1,
+          publishedAt: 1,
+          image: 1,
+          viewCount: 1,
+          likes: 1,
+          dislikes: 1,
+          commentCount: 1,
+          likedBy: 1,
+          dislikedBy: 1,
+          sourceId: 1,
+          language: 1 // needed for RTL rendering on Arabic/Farsi
         }
-      } catch (blendErr) {
-        console.warn('⚠️ Recency centroid blend failed (non-fatal):', blendErr.message);
-        // Fall through with original embedding
       }
-    }
-    mark('recency_blend');
-
-    // --- Read-time category boost weights ---
-    // Build dynamic per-category preference boosts from UserActivity read_time events.
-    // Users who spend more total time reading a category get a proportionally higher boost,
-    // replacing the flat +0.15 with a signal-proportional value.
-    const categoryTimeBoosts = {};
-    try {
-      const readTimeStats = await UserActivity.aggregate([
-        {
-          $match: {
-            userId,
-            eventType: 'read_time',
-            duration: { $gt: 60 }, // only meaningful reads (> 1 min)
-            timestamp: { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) }, // last 90 days
-          }
-        },
-        {
-          $lookup: {
-            from: 'articles',
-            localField: 'articleId',
-            foreignField: '_id',
-            as: 'article',
-            pipeline: [{ $project: { category: 1 } }]
-          }
-        },
-        { $unwind: { path: '$article', preserveNullAndEmpty: false } },
-        {
-          $group: {
-            _id: '$article.category',
-            totalTime: { $sum: '$duration' },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { totalTime: -1 } },
-        { $limit: 8 }
-      ]);
+    ]);
 
-      if (readTimeStats.length > 0) {
-        const maxTime = readTimeStats[0].totalTime || 1;
-        readTimeStats.forEach(stat => {
-          if (stat._id) {
-            // Scale so the top category gets +0.25 boost, others proportionally less
-            categoryTimeBoosts[stat._id] = (stat.totalTime / maxTime) * 0.25;
-          }
-        });
-        console.log(`📚 Read-time boosts computed for ${readTimeStats.length} categories`);
-      }
-    } catch (rtErr) {
-      console.warn('⚠️ Read-time boost computation failed (non-fatal):', rtErr.message);
-    }
-    mark('readtime_boost');
-
-    // Progressive time windows
-    const getTimeWindow = (page) => {
-      if (page === 1) return { hours: 72, label: 'last 72h' };
-      if (page === 2) return { hours: 168, label: 'last 7d' };
-      if (page === 3) return { hours: 336, label: 'last 14d' };
-      return { hours: 720, label: 'last 30d' };
-    };
-    const timeWindow = getTimeWindow(page);
-    const cutoffTime = new Date(Date.now() - timeWindow.hours * 60 * 60 * 1000);
-
-    // Vector search readiness
-    const vectorReady = await redis.get('vector_search_status') !== 'unavailable' && await isVectorSearchReady();
-    const canUseVectorSearch = userEmbedding && Array.isArray(userEmbedding) && userEmbedding.length === 128 && vectorReady;
-    let quickProbeOk = true;
-    if (canUseVectorSearch) {
-      quickProbeOk = (await quickVectorProbe(userEmbedding, cutoffTime, language, excludeIds)).ok;
+    let articles = [];
+    let usedWindow = windows[0];
+    for (const w of windows) {
+      articles = await runFollowingQuery(w.ms);
+      usedWindow = w;
+      // Got a full page? stop — wider windows would just re-fetch the same
+      // most-recent articles followed by older ones the user doesn't need.
+      if (articles.length >= limit + 1) break;
+      // Deep pagination edge case: if we're past page 1 and even 7d returns
+      // nothing, there genuinely isn't more — don't waste a 30d query.
+      if (page > 1 && articles.length === 0 && w.ms >= 7 * DAY) break;
     }
-    mark('vector_probe');
-
-    // Fast fallback for cold start or vector unavailability
-    const isSlowRequest = (Date.now() - startTime) > ROUTE_BUDGET_MS;
-    const shouldUseFastFallback = !canUseVectorSearch || !quickProbeOk || (isSlowRequest && page === 1);
-
-    if (shouldUseFastFallback) {
-      console.warn(`⚡ Fast fallback triggered: canUseVectorSearch=${canUseVectorSearch}, quickProbeOk=${quickProbeOk}, isSlowRequest=${isSlowRequest}`);
-      const fallbackMatch = {
-        language,
-        _id: { $nin: excludeIds },
-        publishedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
-      };
-      if (dislikedCategories.length > 0) {
-        fallbackMatch.category = { $nin: dislikedCategories };
-      }
-      if (preferredCategories.length > 0) {
-        fallbackMatch.category = { $in: preferredCategories.slice(0, 5) };
-      }
-      if (preferredSources.length > 0) {
-        fallbackMatch.sourceId = { $in: preferredSources.map(id => new mongoose.Types.ObjectId(id)) };
-      }
-
-      const fallbackArticles = await Article.find(fallbackMatch)
-        .select('title summary image sourceId source publishedAt viewCount category likes dislikes commentCount likedBy dislikedBy')
-        .sort({ publishedAt: -1 }) // single-field sort uses language_1_publishedAt_1 (no blocking sort); viewCount factored into in-memory engagement re-ranking
-        .limit(limit * 3) // Reduced multiplier for faster fallback
-        .lean();
+    const usedWindowMs = usedWindow.ms;
 
-      const enhancedFallbackArticles = fallbackArticles.map(article => ({
-        ...article,
-        fetchId: new mongoose.Types.ObjectId().toString(),
-        isFast: true,
-        isFallback: true,
-        timeWindow: timeWindow.label,
-        noveltySeed,
-        engagementScore: calculateEngagementScore(article),
-        isPersonalized: preferredCategories.length > 0 || preferredSources.length > 0
-      }));
+    const usedWindowHours = Math.round(usedWindowMs / HOUR);
+    console.log(`⚡ Following feed DB query completed in ${Date.now() - queryStart}ms - found ${articles.length} articles (window ${usedWindowHours}h, lang=${language})`);
 
-      // Source group limiting
-      const startIndex = (page - 1) * limit;
-      let skipped = 0;
-      let limitedFastResponse = [];
-      const sourceGroupCounts = {};
-      const uniqueSourceIds = [...new Set(enhancedFallbackArticles.map(a => a.sourceId).filter(Boolean))];
-      const sources = await Source.find({ _id: { $in: uniqueSourceIds } }, 'groupName').lean();
-      const sourceIdToGroupName = {};
-      sources.forEach(source => {
-        sourceIdToGroupName[source._id.toString()] = source.groupName || 'default-group';
-      });
+    // Check if there are more articles
+    const hasMore = articles.length > limit;
+    const articlesForResponse = hasMore ? articles.slice(0, limit) : articles;
 
-      for (let i = 0; i < enhancedFallbackArticles.length && limitedFastResponse.length < limit; i++) {
-        const article = enhancedFallbackArticles[i];
-        const sourceGroup = sourceIdToGroupName[article.sourceId?.toString()] || article.source || 'unknown-group';
-        if (skipped < startIndex) {
-          skipped++;
-          continue;
-        }
-        const currentCount = sourceGroupCounts[sourceGroup] || 0;
-        if (currentCount < 2) {
-          limitedFastResponse.push(article);
-          sourceGroupCounts[sourceGroup] = currentCount + 1;
-        }
-      }
+    // Step 5: Enrich with source info
+    const enrichedArticles = await enrichArticlesWithSources(articlesForResponse);
 
-      if (limitedFastResponse.length > 0) {
-        try {
-          const articleIds = limitedFastResponse.map(a => a._id.toString());
-          await redis.sadd(servedKey, ...articleIds);
-          await redis.expire(servedKey, 86400);
-        } catch (err) {
-          console.error('⚠️ Failed to track served articles:', err.message);
-        }
-      }
+    // Add following feed marker
+    const finalArticles = enrichedArticles.map(article => ({
+      ...article,
+      isFollowing: true,
+      fetchedAt: new Date(),
+      page
+    }));
 
-      mark('total');
-      try {
-        await redis.set(cacheKey, JSON.stringify(limitedFastResponse), 'EX', 600);
-      } catch (err) {
-        console.error('⚠️ Redis set error:', err.message);
-      }
+    const result = {
+      articles: finalArticles,
+      page,
+      hasMore,
+      followedGroupsCount: followedGroups.length,
+      followedSourcesCount: followedSourceIds.length
+    };
 
-      if (ENABLE_SERVER_TIMING) {
-        res.setHeader('Server-Timing', Object.entries(timings).map(([k, v]) => `${k};dur=${v}`).join(', '));
-        res.setHeader('X-Gulfio-Timings', JSON.stringify(timings));
-      }
-      res.setHeader('X-Personalized', preferredCategories.length > 0 || preferredSources.length > 0 ? 'semi' : 'none');
-      return res.json(limitedFastResponse);
+    // Step 6: Cache the result
+    try {
+      await redis.set(cacheKey, JSON.stringify(result), 'EX', 300); // 5 min cache for following feed
+      await trackUserCacheKey(userId, cacheKey);
+    } catch (err) {
+      console.error('⚠️ Redis set error:', err.message);
     }
 
-    // Vector search pipeline
-    const candidatePoolSize = limit * 2 * page; // Reduced multiplier
-    const searchLimit = candidatePoolSize * LIMIT_MULT;
-    const numCandidates = candidatePoolSize * NUM_CANDIDATE_MULT;
-
-    const performVectorSearch = async (cutoffDate, isWideningSearch = false) => {
-      const pipeline = [
-        {
-          $vectorSearch: {
-            index: VECTOR_INDEX,
-            path: "embedding_pca",
-            queryVector: userEmbedding,
-            numCandidates,
-            limit: searchLimit,
-            filter: {
-              language,
-              publishedAt: { $gte: cutoffDate },
-              _id: { $nin: excludeIds },
-              // Respect disliked categories at the index level — cheapest place to filter
-              ...(dislikedCategories.length > 0 ? { category: { $nin: dislikedCategories } } : {}),
-              ...(preferredCategories.length > 0 && !isWideningSearch ? { category: { $in: preferredCategories.slice(0, 5) } } : {}),
-              ...(preferredSources.length > 0 && !isWideningSearch ? { sourceId: { $in: preferredSources.map(id => new mongoose.Types.ObjectId(id)) } } : {})
-            }
-          }
-        },
-        { $addFields: { similarity: { $meta: "vectorSearchScore" } } },
-        {
-          $project: {
-            _id: 1,
-            title: 1,
-            summary: 1,
-            content: 1,
-            contentFormat: 1, // ✅ Include contentFormat for markdown rendering
-            language: 1, // ✅ Include language for RTL support
-            image: 1,
-            sourceId: 1,
-            source: 1,
-            publishedAt: 1,
-            viewCount: 1,
-            category: 1,
-            likes: 1,
-            dislikes: 1,
-            commentCount: 1,
-            likedBy: 1,
-            dislikedBy: 1,
-            similarity: 1
-          }
-        }
-      ];
+    const totalTime = Date.now() - startTime;
+    console.log(`📰 Following feed complete in ${totalTime}ms - ${finalArticles.length} articles from ${followedGroups.length} groups`);
 
-      return await Article.aggregate(pipeline, { maxTimeMS: VECTOR_MAX_TIME_MS, allowDiskUse: false }); // Disable allowDiskUse for speed
-    };
+    // Add performance headers
+    res.setHeader('X-Performance-Time', totalTime);
+    res.setHeader('X-DB-Query-Time', Date.now() - queryStart);
+    res.setHeader('X-Following-Groups', followedGroups.length);
+    res.setHeader('X-Following-Sources', followedSourceIds.length);
+    res.setHeader('X-Window-Hours', usedWindowHours);
 
-    let candidateArticles = await performVectorSearch(cutoffTime);
-    mark('vector_search');
+    res.json(result);
 
-    // Fallback if vector search fails
-    if (!candidateArticles || candidateArticles.length === 0) {
-      console.warn('🔄 Vector search failed, using engagement-based fallback');
-      const fallbackMatch = {
-        language,
-        publishedAt: { $gte: cutoffTime },
-        _id: { $nin: excludeIds },
-        ...(dislikedCategories.length > 0 ? { category: { $nin: dislikedCategories } } : {}),
-        ...(preferredCategories.length > 0 ? { category: { $in: preferredCategories.slice(0, 5) } } : {}),
-        ...(preferredSources.length > 0 ? { sourceId: { $in: preferredSources.map(id => new mongoose.Types.ObjectId(id)) } } : {})
-      };
+  } catch (error) {
+    const errorTime = Date.now() - startTime;
+    console.error(`❌ Following feed error in ${errorTime}ms:`, error);
+    res.status(500).json({ error: 'Following feed error', message: error.message });
+  }
+});
 
-      const fallbackArticles = await Article.find(fallbackMatch)
-        .select('title summary content contentFormat language image sourceId source publishedAt viewCount category likes dislikes commentCount likedBy dislikedBy')
-        .sort({ publishedAt: -1 }) // single-field sort uses language_1_publishedAt_1 (no blocking sort); viewCount factored into in-memory engagement re-ranking
-        .limit(candidatePoolSize)
-        .lean();
+articleRouter.get('/personalized-fast', auth, ensureMongoUser, async (req, res) => {
+  const startTime = Date.now();
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
 
-      candidateArticles = fallbackArticles.map(article => ({
-        ...article,
-        similarity: 0,
-        fetchId: new mongoose.Types.ObjectId().toString(),
-        isFallback: true,
-        timeWindow: timeWindow.label,
-        noveltySeed,
-        engagementScore: calculateEngagementScore(article)
-      }));
-    }
+  try {
+    const userId = req.mongoUser.supabase_id;
+    const forceRefresh = req.query.noCache === 'true';
+    const userLanguagePref = req.mongoUser.language || 'English';
+    const language = (req.query.language || userLanguagePref).toLowerCase();
 
-    // Widen time window if needed
-    const minCandidatesNeeded = candidatePoolSize + limit;
-    if (candidateArticles.length < minCandidatesNeeded && timeWindow.hours < 720) {
-      const widerRanges = [
-        { hours: 168, label: 'last 7d' },
-        { hours: 336, label: 'last 14d' },
-        { hours: 720, label: 'last 30d' }
-      ];
-
-      for (const range of widerRanges) {
-        if (range.hours <= timeWindow.hours) continue;
-        const widerCutoff = new Date(Date.now() - range.hours * 60 * 60 * 1000);
-        const widerResults = await performVectorSearch(widerCutoff, true);
-        if (widerResults && widerResults.length > 0) {
-          const existingIds = new Set(candidateArticles.map(a => a._id.toString()));
-          const additionalCandidates = widerResults
-            .filter(a => !existingIds.has(a._id.toString()) && a.publishedAt < cutoffTime)
-            .map(a => ({ ...a, isWider: true }));
-          candidateArticles = [...candidateArticles, ...additionalCandidates];
-        }
-        if (candidateArticles.length >= minCandidatesNeeded) break;
-      }
+    const ctx = await loadUserPersonalizationContext(userId);
+    if (ctx) {
+      ctx.language = language;
+      ctx.categoryStats = await getCategoryEngagementStats(language);
+      ctx.servedIds = await getServedIds(userId);
+      await attachSessionInterest(ctx, userId);
     }
-    mark('widen');
-
-    // Budget check
-    if (Date.now() - startTime > ROUTE_BUDGET_MS) {
-      console.warn(`⚡ Budget exceeded, using fast fallback`);
-      const fallbackMatch = {
-        language,
-        _id: { $nin: excludeIds },
-        publishedAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
-        ...(dislikedCategories.length > 0 ? { category: { $nin: dislikedCategories } } : {}),
-        ...(preferredCategories.length > 0 ? { category: { $in: preferredCategories.slice(0, 5) } } : {}),
-        ...(preferredSources.length > 0 ? { sourceId: { $in: preferredSources.map(id => new mongoose.Types.ObjectId(id)) } } : {})
-      };
-
-      const fastFallbackArticles = await Article.find(fallbackMatch)
-        .select('title summary image sourceId source publishedAt viewCount category likes dislikes commentCount likedBy dislikedBy')
-        .sort({ publishedAt: -1 }) // single-field sort uses language_1_publishedAt_1 (no blocking sort); viewCount factored into in-memory engagement re-ranking
-        .limit(limit * 3)
-        .lean();
-
-      const enhancedFastResponse = fastFallbackArticles.map(article => ({
-        ...article,
-        fetchId: new mongoose.Types.ObjectId().toString(),
-        isFast: true,
-        isOverBudget: true,
-        timeWindow: timeWindow.label,
-        noveltySeed,
-        engagementScore: calculateEngagementScore(article),
-        isPersonalized: preferredCategories.length > 0 || preferredSources.length > 0
-      }));
-
-      const startIndex = (page - 1) * limit;
-      let skipped = 0;
-      let limitedFastResponse = [];
-      const sourceGroupCounts = {};
-      const uniqueSourceIds = [...new Set(enhancedFastResponse.map(a => a.sourceId).filter(Boolean))];
-      const sources = await Source.find({ _id: { $in: uniqueSourceIds } }, 'groupName').lean();
-      const sourceIdToGroupName = {};
-      sources.forEach(source => {
-        sourceIdToGroupName[source._id.toString()] = source.groupName || 'default-group';
-      });
-
-      for (let i = 0; i < enhancedFastResponse.length && limitedFastResponse.length < limit; i++) {
-        const article = enhancedFastResponse[i];
-        const sourceGroup = sourceIdToGroupName[article.sourceId?.toString()] || article.source || 'unknown-group';
-        if (skipped < startIndex) {
-          skipped++;
-          continue;
-        }
-        const currentCount = sourceGroupCounts[sourceGroup] || 0;
-        if (currentCount < 2) {
-          limitedFastResponse.push(article);
-          sourceGroupCounts[sourceGroup] = currentCount + 1;
-        }
-      }
 
-      if (limitedFastResponse.length > 0) {
-        try {
-          const articleIds = limitedFastResponse.map(a => a._id.toString());
-          await redis.sadd(servedKey, ...articleIds);
-          await redis.expire(servedKey, 86400);
-        } catch (err) {
-          console.error('⚠️ Failed to track served articles:', err.message);
-        }
-      }
+    const stateHash = userStateHash(ctx);
+    const tenMinSlot = Math.floor(Date.now() / (10 * 60 * 1000));
+    const cacheKey = `articles_pers_v2_page_${userId}_${language}_${page}_${limit}_${stateHash}_${tenMinSlot}`;
 
-      mark('total');
+    if (!forceRefresh) {
       try {
-        await redis.set(cacheKey, JSON.stringify(limitedFastResponse), 'EX', 600);
+        const cached = await redis.get(cacheKey);
+        if (cached) {
+          console.log(`⚡ pers-v2 fast cache hit in ${Date.now() - startTime}ms (page ${page})`);
+          const parsed = JSON.parse(cached);
+          recordServedIds(userId, parsed).catch(() => {});
+          recordExposure(ctx, parsed);
+          return res.json(withExplanations(parsed, wantsExplanations(req.query)));
+        }
       } catch (err) {
-        console.error('⚠️ Redis set error:', err.message);
+        console.error('⚠️ Redis get error:', err.message);
       }
+    }
 
-      if (ENABLE_SERVER_TIMING) {
-        res.setHeader('Server-Timing', Object.entries(timings).map(([k, v]) => `${k};dur=${v}`).join(', '));
-        res.setHeader('X-Gulfio-Timings', JSON.stringify(timings));
-      }
-      res.setHeader('X-Personalized', preferredCategories.length > 0 || preferredSources.length > 0 ? 'semi' : 'none');
-      return res.json(limitedFastResponse);
+    const run = await feedPipelines.personalizedFast.run({ ctx, language, limit, page, forceRefresh });
+    const finalArticles = run.items;
+    const candidates = run.candidates;
+    const { windowMs: usedWindowMs, dbTime } = run.meta;
+    const includeEmbedding = includeEmbeddingFor(ctx);
+
+    try {
+      await redis.set(cacheKey, JSON.stringify(finalArticles), 'EX', 600);
+      await trackUserCacheKey(userId, cacheKey);
+    } catch (err) {
+      console.error('⚠️ Redis set error:', err.message);
     }
 
-    // Enhanced scoring with preference boosts
-    // Rebalanced: similarity drives page 1 (was 75% recency, now 45%) so personalisation
-    // is actually visible on the first scroll rather than being swamped by raw recency.
-    const w_recency = page === 1 ? 0.45 : page === 2 ? 0.35 : page === 3 ? 0.25 : 0.20;
-    const scoredArticles = candidateArticles
-      // Hard-filter disliked categories that may have slipped through (e.g. in widen results)
-      .filter(article => !dislikedCategories.includes(article.category))
-      .map(article => {
-        const similarity = article.similarity || 0;
-        const engagementScore = calculateEngagementScore(article);
-        const recencyScore = basicRecencyScore(article.publishedAt);
-
-        // Start with read-time derived boost (proportional to actual deep reading time)
-        // Falls back to flat boost if read-time data isn't available for this category
-        let preferenceBoost = categoryTimeBoosts[article.category] ?? (preferredCategories.includes(article.category) ? 0.15 : 0);
-
-        // Source preference adds a smaller fixed boost on top
-        if (preferredSources.includes(article.sourceId?.toString())) {
-          preferenceBoost += 0.10;
-        }
+    const totalTime = Date.now() - startTime;
+    const usedWindowHours = Math.round(usedWindowMs / (60 * 60 * 1000));
+    console.log(
+      `🚀 pers-v2 fast: page ${page}, ${finalArticles.length} articles in ${totalTime}ms (db ${dbTime}ms, candidates ${candidates.length}, window ${usedWindowHours}h, lang=${language}, signal=${!!ctx?.hasSignal}, embed=${includeEmbedding})`
+    );
 
-        // baseScore: similarity leads (55%), engagement secondary (20%), preference on top
-        const baseScore = (similarity * 0.55) + (engagementScore * 0.20) + preferenceBoost;
-        const finalScore = w_recency * recencyScore + (1 - w_recency) * baseScore;
+    res.setHeader('X-Performance-Time', totalTime);
+    res.setHeader('X-DB-Query-Time', dbTime);
+    res.setHeader('X-Page', page);
+    res.setHeader('X-Personalized', ctx?.hasSignal ? (includeEmbedding ? 'vector' : 'signal') : 'none');
+    res.setHeader('X-Candidates', candidates.length);
+    res.setHeader('X-Window-Hours', usedWindowHours);
 
-        return {
-          ...article,
-          fetchId: article.fetchId || new mongoose.Types.ObjectId().toString(),
-          similarity,
-          engagementScore,
-          recencyScore,
-          finalScore,
-          timeWindow: timeWindow.label,
-          noveltySeed,
-          isPersonalized: true
-        };
-      });
+    recordServedIds(userId, finalArticles).catch(() => {});
+    recordExposure(ctx, finalArticles);
+    res.json(withExplanations(finalArticles, wantsExplanations(req.query)));
+  } catch (error) {
+    const errorTime = Date.now() - startTime;
+    console.error(`❌ pers-v2 fast error in ${errorTime}ms (page ${page}):`, error);
 
-    scoredArticles.sort((a, b) => b.finalScore - a.finalScore);
-    mark('scoring');
-
-    // Diversity injection
-    const candidatePool = [...scoredArticles];
-    const diversityPoolSize = Math.ceil(candidatePoolSize * DIVERSITY_RATIO);
-    if (diversityPoolSize > 0 && candidatePool.length < candidatePoolSize) {
-      const usedIds = new Set(candidatePool.map(a => a._id.toString()));
-      const diversityCandidates = scoredArticles
-        .filter(a => !usedIds.has(a._id.toString()) && a.similarity > 0.3)
-        .slice(0, diversityPoolSize * 2);
-
-      const rng = lcg(noveltySeed);
-      const shuffledDiversity = diversityCandidates
-        .map(article => ({ article, sort: rng() }))
-        .sort((a, b) => a.sort - b.sort)
-        .map(item => ({ ...item.article, isDiverse: true }))
-        .slice(0, diversityPoolSize);
-
-      candidatePool.push(...shuffledDiversity);
+    try {
+      const language = (req.query.language || 'english').toLowerCase();
+      const skip = (page - 1) * limit;
+      const HOUR = 60 * 60 * 1000;
+      const DAY = 24 * HOUR;
+      const windows = [24 * HOUR, 72 * HOUR, 7 * DAY, 30 * DAY];
+      const minNeeded = skip + Math.min(limit, 5);
+      let fallbackArticles = [];
+      for (const sinceMs of windows) {
+        fallbackArticles = await Article.find({
+          language,
+          publishedAt: { $gte: new Date(Date.now() - sinceMs) },
+        })
+          .select(
+            'title content contentFormat url category publishedAt image sourceId viewCount likes dislikes commentCount language'
+          )
+          .sort({ publishedAt: -1 })
+          .skip(skip)
+          .limit(limit * 3)
+          .lean();
+        if (fallbackArticles.length >= Math.min(limit, 5) || skip + fallbackArticles.length >= minNeeded) break;
+      }
+      // Same anti-clustering pass as the personalized-light fallback.
+      fallbackArticles = interleaveBySourceGroup(fallbackArticles, {
+        minGap: 3,
+        perGroupCap: 3,
+        fill: true,
+      }).slice(0, limit);
+      return res.json(fallbackArticles);
+    } catch (fallbackError) {
+      console.error('❌ Fallback also failed:', fallbackError);
+      return res
+        .status(500)
+        .json({ error: 'personalized-fast error', message: error.message });
     }
-    mark('diversity');
-
-    // Trending injection — sorted by view VELOCITY (views/hour) not raw viewCount,
-    // so a fast-rising article from 3 hours ago beats a stale high-count article.
-    const trendingPoolSize = Math.ceil(candidatePoolSize * TRENDING_RATIO);
-    if (trendingPoolSize > 0 && candidatePool.length < candidatePoolSize) {
-      const usedIds = new Set(candidatePool.map(a => a._id.toString()));
-      // Fetch a larger pool so we can re-rank by velocity in JS (avoids a heavy aggregation)
-      const trendingCandidates = await Article.find({
-        language,
-        viewCount: { $exists: true, $gt: 0 },
-        publishedAt: { $gte: cutoffTime },
-        _id: { $nin: [...excludeIds, ...Array.from(usedIds).map(id => new mongoose.Types.ObjectId(id))] },
-        ...(dislikedCategories.length > 0 ? { category: { $nin: dislikedCategories } } : {}),
-        ...(preferredCategories.length > 0 ? { category: { $in: preferredCategories.slice(0, 5) } } : {}),
-        ...(preferredSources.length > 0 ? { sourceId: { $in: preferredSources.map(id => new mongoose.Types.ObjectId(id)) } } : {})
-      })
-        .select('title summary image sourceId source publishedAt viewCount category likes dislikes commentCount likedBy dislikedBy')
-        .sort({ publishedAt: -1 }) // Fetch newest first; we rerank by velocity below
-        .limit(trendingPoolSize * 5) // Extra headroom so velocity reranking is meaningful
-        .lean();
+  }
+});
 
-      // Rerank by views-per-hour (velocity) — an article 2h old with 500 views ranks above
-      // a 3-day-old article with 2000 views.
-      const withVelocity = trendingCandidates.map(article => {
-        const ageHours = Math.max(0.5, (Date.now() - new Date(article.publishedAt).getTime()) / 3.6e6);
-        const velocity = (article.viewCount || 0) / ageHours;
-        return { ...article, velocity };
-      });
-      withVelocity.sort((a, b) => b.velocity - a.velocity);
-      const trendingArticles = withVelocity.slice(0, trendingPoolSize);
+// Server-Timing / X-Gulfio-Timings on the legacy /personalized feed
+const ENABLE_SERVER_TIMING = true;
 
-      const trendingEnhanced = trendingArticles.map(article => ({
-        ...article,
-        fetchId: new mongoose.Types.ObjectId().toString(),
-        isTrending: true,
-        timeWindow: timeWindow.label,
-        noveltySeed,
-        engagementScore: calculateEngagementScore(article),
-        finalScore: calculateEngagementScore(article) * 0.7,
-        isPersonalized: true
-      }));
+articleRouter.get('/personalized', auth, ensureMongoUser, async (req, res) => {
+  req.setTimeout(30000); // Reduced from 60s; still ample for complex queries
+  const requestStartTime = Date.now();
+  const startTime = Date.now();
+  const timings = {};
+  const mark = (k) => timings[k] = Date.now() - startTime;
 
-      candidatePool.push(...trendingEnhanced);
-    }
-    mark('trending');
-
-    // Source diversification
-    const uniqueSourceIds = [...new Set(candidatePool.map(a => a.sourceId).filter(Boolean))];
-    const sources = await Source.find({ _id: { $in: uniqueSourceIds } }, 'groupName').lean();
-    const sourceIdToGroupName = {};
-    sources.forEach(source => {
-      sourceIdToGroupName[source._id.toString()] = source.groupName || 'default-group';
-    });
+  try {
+    const userId = req.mongoUser.supabase_id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
+    const resetServed = req.query.resetServed === '1';
 
-    const sourceGroups = {};
-    candidatePool.forEach(article => {
-      const sourceKey = sourceIdToGroupName[article.sourceId?.toString()] || article.source || 'unknown-group';
-      if (!sourceGroups[sourceKey]) {
-        sourceGroups[sourceKey] = [];
-      }
-      sourceGroups[sourceKey].push(article);
-    });
+    // Use user's language preference from database if not specified in query
+    // Map 'Arabic' -> 'arabic', 'English' -> 'english' for consistency
+    const userLanguagePref = req.mongoUser.language || 'English';
+    const defaultLang = userLanguagePref.toLowerCase(); // 'Arabic' -> 'arabic', 'English' -> 'english'
+    const language = req.query.language || defaultLang;
 
-    Object.keys(sourceGroups).forEach(source => {
-      sourceGroups[source].sort((a, b) => (b.finalScore || 0) - (a.finalScore || 0));
-    });
+    console.log(`🔥 PERSONALIZED ENDPOINT START for user ${userId}, page ${page}, limit ${limit}, lang: ${language} (user pref: ${userLanguagePref})`);
 
-    const interleaved = [];
-    const sourceKeys = Object.keys(sourceGroups);
-    const maxGroupSize = Math.max(...sourceKeys.map(key => sourceGroups[key].length));
+    // Enhanced cache key with user preferences
+    // Page 1 uses an hour-key so it refreshes every hour rather than being stale all day
+    const userPrefs = await User.findOne({ supabase_id: userId }).select('preferred_categories preferred_sources').lean();
+    const prefsHash = simpleHash(JSON.stringify({
+      cats: userPrefs?.preferred_categories || [],
+      srcs: userPrefs?.preferred_sources || []
+    }));
+    const dayKey = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const hourKey = new Date().toISOString().slice(0, 13).replace(/[-:T]/g, ''); // e.g. 2026022614
+    const noveltySeed = simpleHash(`${userId}:${page}:${dayKey}`);
+    const cacheKey = page === 1
+      ? `articles_personalized_${userId}_p1_${language}_${prefsHash}_${hourKey}`
+      : `articles_personalized_${userId}_page_${page}_limit_${limit}_lang_${language}_${prefsHash}_${dayKey}_${noveltySeed}`;
 
-    for (let round = 0; round < maxGroupSize; round++) {
-      for (const sourceKey of sourceKeys) {
-        if (sourceGroups[sourceKey][round]) {
-          interleaved.push(sourceGroups[sourceKey][round]);
+    // Cache check
+    let cached;
+    if (!req.query.noCache) {
+      try {
+        cached = await redis.get(cacheKey);
+        if (cached) {
+          console.log(`⚡ Cache hit in ${Date.now() - startTime}ms`);
+          mark('cache_check');
+          mark('total');
+          if (ENABLE_SERVER_TIMING) {
+            res.setHeader('Server-Timing', Object.entries(timings).map(([k, v]) => `${k};dur=${v}`).join(', '));
+            res.setHeader('X-Gulfio-Timings', JSON.stringify(timings));
+          }
+          return res.json(withExplanations(JSON.parse(cached), wantsExplanations(req.query)));
         }
+      } catch (err) {
+        console.error('⚠️ Redis get error:', err.message);
       }
     }
-    mark('interleave');
-
-    // Pagination and source group limiting
-    const startIndex = (page - 1) * limit;
-    let skipped = 0;
-    let finalArticles = [];
-    const sourceGroupCounts = {};
+    mark('cache_check');
 
-    for (let i = 0; i < interleaved.length && finalArticles.length < limit; i++) {
-      const article = interleaved[i];
-      const sourceGroup = sourceIdToGroupName[article.sourceId?.toString()] || article.source || 'unknown-group';
-      if (skipped < startIndex) {
-        skipped++;
-        continue;
-      }
-      const currentCount = sourceGroupCounts[sourceGroup] || 0;
-      if (currentCount < 2) {
-        finalArticles.push(article);
-        sourceGroupCounts[sourceGroup] = currentCount + 1;
+    // Reset served articles if requested
+    const servedKey = `served_personalized_${userId}_${language}_${dayKey}`;
+    if (resetServed) {
+      try {
+        await redis.del(servedKey);
+        console.log('🔄 Reset served articles for today');
+      } catch (err) {
+        console.error('⚠️ Failed to reset served articles:', err.message);
       }
     }
-    mark('paginate');
+
+    const run = await feedPipelines.personalized.run({
+      userId,
+      language,
+      page,
+      limit,
+      servedKey,
+      noveltySeed,
+      startedAt: startTime,
+      timings,
+    });
+    const finalArticles = run.items;
 
     // Track served articles
     if (finalArticles.length > 0) {
@@ -3720,10 +1238,12 @@ articleRouter.get('/personalized', auth, ensureMongoUser, async (req, res) => {
       }
     }
 
-    // Cache results
+    // Cache results. The preference fallback refreshes sooner; the full
+    // vector feed keeps a shorter TTL for page 1.
+    const isFallback = !!run.meta.fallbackReason;
     mark('total');
     try {
-      await redis.set(cacheKey, JSON.stringify(finalArticles), 'EX', page === 1 ? 1800 : 3600); // Shorter TTL for page 1
+      await redis.set(cacheKey, JSON.stringify(finalArticles), 'EX', isFallback ? 600 : page === 1 ? 1800 : 3600);
     } catch (err) {
       console.error('⚠️ Redis set error:', err.message);
     }
@@ -3732,9 +1252,10 @@ articleRouter.get('/personalized', auth, ensureMongoUser, async (req, res) => {
       res.setHeader('Server-Timing', Object.entries(timings).map(([k, v]) => `${k};dur=${v}`).join(', '));
       res.setHeader('X-Gulfio-Timings', JSON.stringify(timings));
     }
-    res.setHeader('X-Personalized', 'full');
+    const hasPrefs = run.ctx.preferredCategories.length > 0 || run.ctx.preferredSources.length > 0;
+    res.setHeader('X-Personalized', isFallback ? (hasPrefs ? 'semi' : 'none') : 'full');
 
-    res.json(finalArticles);
+    res.json(withExplanations(finalArticles, wantsExplanations(req.query)));
   } catch (error) {
     const processingTime = Date.now() - startTime;
     console.error(`❌ Error fetching personalized articles after ${processingTime}ms:`, error);
@@ -3889,6 +1410,7 @@ articleRouter.get('/personalized-category', auth, ensureMongoUser, async (req, r
       ctx.language = language;
       ctx.categoryStats = await getCategoryEngagementStats(language);
       ctx.servedIds = await getServedIds(supabaseId);
+      await attachSessionInterest(ctx, supabaseId);
     }
 
     // Refuse to serve a category the user has explicitly disliked — they
@@ -3911,171 +1433,19 @@ articleRouter.get('/personalized-category', auth, ensureMongoUser, async (req, r
           console.log(`⚡ pers-cat-v2 cache hit in ${Date.now() - startTime}ms (page ${page})`);
           const parsed = JSON.parse(cached);
           recordServedIds(supabaseId, parsed).catch(() => {});
-          return res.json(parsed);
+          recordExposure(ctx, parsed);
+          return res.json(withExplanations(parsed, wantsExplanations(req.query)));
         }
       } catch (err) {
         console.error('⚠️ Redis get error:', err.message);
       }
     }
 
-    // Candidate filter — same shape as personalized-light, plus the
-    // category pin. Only disliked articles are hard-excluded; liked
-    // articles are NOT excluded (seeing a liked article again is fine,
-    // and the previous behavior of dropping them shrank thin categories).
-    const buildMatch = (sinceMs, { excludeServed = true } = {}) => {
-      const match = {
-        language,
-        category,
-        publishedAt: { $gte: new Date(Date.now() - sinceMs) },
-      };
-      if (ctx) {
-        // Disliked + recently-served (P0-2 follow-up).
-        const excluded = [];
-        if (ctx.dislikedIds.size > 0) {
-          excluded.push(...[...ctx.dislikedIds].slice(0, 500));
-        }
-        if (excludeServed && ctx.servedIds?.size > 0) {
-          excluded.push(...[...ctx.servedIds].slice(0, SERVED_MAX_EXCLUDE));
-        }
-        if (excluded.length > 0) {
-          match._id = {
-            $nin: excluded.map((id) => new mongoose.Types.ObjectId(id)),
-          };
-        }
-      }
-      return match;
-    };
-
-    // Need enough candidates to support pagination + interleave headroom.
-    const candidateLimit = Math.min(page * limit + 200, 500);
-    const includeEmbedding = !!ctx?.embedding && !shouldSkipEmbedding(ctx);
-
-    const runCandidateQuery = (sinceMs, opts) =>
-      Article.aggregate([
-        { $match: buildMatch(sinceMs, opts) },
-        { $sort: { publishedAt: -1 } },
-        { $limit: candidateLimit },
-        {
-          $lookup: {
-            from: 'sources',
-            localField: 'sourceId',
-            foreignField: '_id',
-            as: 'source',
-            pipeline: [
-              { $match: { status: { $ne: 'blocked' } } },
-              { $project: { groupName: 1, name: 1, icon: 1, quality_score: 1 } },
-            ],
-          },
-        },
-        { $match: { 'source.0': { $exists: true } } },
-        {
-          $addFields: {
-            sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
-            sourceName: { $arrayElemAt: ['$source.name', 0] },
-            sourceIcon: { $arrayElemAt: ['$source.icon', 0] },
-            sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
-          },
-        },
-        {
-          $project: {
-            title: 1,
-            content: 1,
-            contentFormat: 1,
-            url: 1,
-            category: 1,
-            publishedAt: 1,
-            image: 1,
-            viewCount: 1,
-            likes: 1,
-            dislikes: 1,
-            commentCount: 1,
-            likedBy: 1,
-            dislikedBy: 1,
-            sourceId: 1,
-            sourceName: 1,
-            sourceIcon: 1,
-            sourceGroupName: 1,
-            language: 1,
-            ...(includeEmbedding ? { embedding_pca: 1 } : {}),
-          },
-        },
-      ]);
-
-    // Widen progressively for sparse category+language combinations
-    // (e.g. Farsi/Tech can have <10 articles in 24h).
-    const queryStart = Date.now();
-    const HOUR = 60 * 60 * 1000;
-    const DAY = 24 * HOUR;
-    const startWindow = page === 1 ? 24 * HOUR : 48 * HOUR;
-    const windows = [startWindow, 72 * HOUR, 7 * DAY, 30 * DAY];
-    const minCandidates = limit + (page - 1) * limit;
-    let candidates = [];
-    let usedWindowMs = windows[0];
-    for (const sinceMs of windows) {
-      candidates = await runCandidateQuery(sinceMs);
-      usedWindowMs = sinceMs;
-      if (candidates.length >= minCandidates) break;
-    }
-
-    // Starvation rescue: the served-set exclusion is shared with the main
-    // feed, so a user who has been scrolling can have a thin category's
-    // entire 30-day pool marked as served. A chip tap is explicit intent —
-    // showing repeats beats "No Stories right now".
-    let rescuedWithoutExclusion = false;
-    if (candidates.length < limit && ctx?.servedIds?.size > 0) {
-      const widest = windows[windows.length - 1];
-      candidates = await runCandidateQuery(widest, { excludeServed: false });
-      usedWindowMs = widest;
-      rescuedWithoutExclusion = true;
-      console.log(
-        `🏷️ pers-cat-v2 rescue: cat="${category}" pool starved by served-set, ` +
-        `re-ran without exclusion → ${candidates.length} candidates`
-      );
-    }
-    const dbTime = Date.now() - queryStart;
-
-    let scored;
-    if (ctx?.hasSignal) {
-      scored = scorePersonalizedCandidates(candidates, ctx, { page });
-    } else {
-      for (const a of candidates) {
-        a._score =
-          PERS_W.recency * basicRecencyScore(a.publishedAt) +
-          PERS_W.engagement *
-            Math.tanh(
-              ((a.viewCount || 0) * viewsWeight +
-                (a.likes || 0) * likesWeight +
-                (a.dislikes || 0) * dislikesWeight) /
-                80
-            );
-        // Disliked categories can exist without hasSignal (dislikes don't
-        // count toward it); starvation-guard rescue articles must still
-        // sink below eligible ones.
-        if (a.category && ctx?.dislikedCategories?.has(a.category)) {
-          a._score += PERS_W.dislikedCategoryPenalty;
-        }
-      }
-      scored = candidates.sort((x, y) => y._score - x._score);
-    }
-
-    // P0-2 follow-up: candidates already exclude the served set, so we
-    // slice from the top of the fresh pool rather than offsetting by
-    // page. See the same comment in personalized-fast above.
-    const interleaved = interleaveBySourceGroup(scored, { minGap: 2, perGroupCap: 8 });
-    // Rescue candidates include already-served articles, so top-of-pool
-    // slicing would repeat page 1 on every page — offset by page instead.
-    const pageSlice = rescuedWithoutExclusion
-      ? interleaved.slice((page - 1) * limit, page * limit)
-      : interleaved.slice(0, limit);
-
-    const finalArticles = sanitizeForResponse(pageSlice, {
-      isCategory: true,
-      category,
-      fetchedAt: new Date(),
-      isRefreshed: forceRefresh,
-      page,
-      isPersonalized: !!ctx?.hasSignal,
-    });
+    const run = await feedPipelines.personalizedCategory.run({ ctx, language, limit, page, category, forceRefresh });
+    const finalArticles = run.items;
+    const candidates = run.candidates;
+    const { windowMs: usedWindowMs, dbTime } = run.meta;
+    const includeEmbedding = includeEmbeddingFor(ctx);
 
     try {
       await redis.set(cacheKey, JSON.stringify(finalArticles), 'EX', 600); // 10 min
@@ -4106,7 +1476,8 @@ articleRouter.get('/personalized-category', auth, ensureMongoUser, async (req, r
     res.setHeader('X-Window-Hours', usedWindowHours);
 
     recordServedIds(supabaseId, finalArticles).catch(() => {});
-    return res.json(finalArticles);
+    recordExposure(ctx, finalArticles);
+    return res.json(withExplanations(finalArticles, wantsExplanations(req.query)));
   } catch (error) {
     const errorTime = Date.now() - startTime;
     console.error(`❌ pers-cat-v2 error in ${errorTime}ms:`, error);
@@ -4685,7 +2056,7 @@ articleRouter.post('/:id/react', auth, ensureMongoUser, async (req, res) => {
             articleId: articleObjectId,
             contentType: 'article',
             timestamp: new Date(),
-            treatment: getTreatmentForUser(userId),
+            treatment: getTreatmentForUser(userId, experimentAttributesForUser(req.mongoUser)),
           }).catch(err => console.error('⚠️ Failed to log activity:', err.message));
         }
 
@@ -5265,6 +2636,33 @@ articleRouter.get('/related/:id', async (req, res) => {
       }
     }
 
+    // Method 1b: co-read neighbours (item-item CF, services/itemNeighbors.js)
+    // — what readers of this article also read, which the embedding can't
+    // see. Interleaved with the vector results; `similarity` is the CF score.
+    try {
+      const neighbors = await getArticleNeighbors(id, { limit: limit * 2 });
+      if (neighbors.length > 0) {
+        const cfScore = new Map(neighbors.map(n => [n.articleId.toString(), n.score]));
+        const coRead = await Article.find({
+          _id: {
+            $in: neighbors.map(n => n.articleId),
+            ...(dislikedArticleObjectIds.length > 0 ? { $nin: dislikedArticleObjectIds } : {}),
+          },
+          language: articleLanguage,
+          ...(hasDislikedCats ? { category: { $nin: [...dislikedCategorySet] } } : {}),
+        })
+          .select('title content contentFormat category language sourceId publishedAt image url viewCount likes dislikes commentCount')
+          .lean();
+        const ranked = coRead
+          .map(a => ({ ...a, similarity: cfScore.get(a._id.toString()) }))
+          .sort((x, y) => y.similarity - x.similarity);
+        relatedArticles = interleaveRelated(relatedArticles, ranked, limit);
+        console.log(`🔗 Co-read neighbours: ${ranked.length} candidates`);
+      }
+    } catch (cfError) {
+      console.warn(`⚠️ Co-read neighbours failed: ${cfError.message}`);
+    }
+
     // Method 2: Fallback - category + language based similarity
     if (relatedArticles.length < limit) {
       console.log('🔍 Using category/language-based similarity as fallback');
@@ -5640,6 +3038,98 @@ articleRouter.get('/:id/audio', async (req, res) => {
   }
 });
 
+// Publisher edits recorded by the revisit job (jobs/revisit-articles.js),
+// newest first. Each revision carries the sentence-level diff against the
+// version before it.
+articleRouter.get('/:id/revisions', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid article id' });
+    }
+    const article = await Article.findById(req.params.id)
+      .select('title revisionCount isUpdated lastRevisedAt lastRevisitedAt')
+      .lean();
+    if (!article) return res.status(404).json({ message: 'Article not found' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const revisions = await listRevisions(article._id, { limit });
+    res.json({
+      articleId: article._id,
+      title: article.title,
+      revisionCount: article.revisionCount || 0,
+      isUpdated: !!article.isUpdated,
+      lastRevisedAt: article.lastRevisedAt || null,
+      lastRevisitedAt: article.lastRevisitedAt || null,
+      revisions,
+    });
+  } catch (err) {
+    console.error('GET /:id/revisions error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/articles/:id/why?userId=&page=1
+ * Full score breakdown of one article for one user: features, weights,
+ * per-factor contributions and the reason code the feed would attach
+ * (services/feedExplanations.js). Scored against the user's current
+ * context, so it answers "why would this rank here now". Users may ask
+ * about themselves; another `userId` is admin-only (support).
+ */
+articleRouter.get('/:id/why', auth, ensureMongoUser, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid article id' });
+    }
+    const requester = req.mongoUser;
+    const userId = req.query.userId ? String(req.query.userId) : requester.supabase_id;
+    if (userId !== requester.supabase_id && requester.type !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin access required.' });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const [article, ctx] = await Promise.all([
+      Article.findById(req.params.id)
+        .select('title category language publishedAt sourceId viewCount likes dislikes storyClusterId entities embedding_pca')
+        .lean(),
+      loadUserPersonalizationContext(userId, { forceFresh: true }),
+    ]);
+    if (!article) return res.status(404).json({ message: 'Article not found' });
+    if (!ctx) return res.status(404).json({ message: 'User not found' });
+
+    const source = article.sourceId
+      ? await Source.findById(article.sourceId).select('name groupName quality_score').lean()
+      : null;
+    ctx.language = article.language || ctx.language;
+    ctx.categoryStats = await getCategoryEngagementStats(ctx.language);
+    await attachSessionInterest(ctx, userId);
+
+    const { embedding_pca, ...rest } = article;
+    const breakdown = scoreBreakdown(
+      {
+        ...article,
+        sourceGroupName: source?.groupName,
+        sourceQualityScore: source?.quality_score,
+      },
+      ctx,
+      { page }
+    );
+
+    res.json({
+      articleId: article._id,
+      userId,
+      article: { ...rest, sourceName: source?.name || null, sourceGroupName: source?.groupName || null },
+      hasSignal: !!ctx.hasSignal,
+      treatment: ctx.treatment || 'control',
+      experiments: ctx.experiments || {},
+      ...breakdown,
+    });
+  } catch (err) {
+    console.error('GET /:id/why error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 articleRouter.get('/:id', async (req, res) => {
   try {
     const article = await Article.findById(req.params.id).populate('sourceId', 'name icon groupName');
@@ -3,6 +3,7 @@ const router = express.Router();
 const UserActivity = require('../models/UserActivity');
 const PointsService = require('../services/pointsService'); // 🎮 Gamification
 const Article = require('../models/Article'); // For category lookup
+const { recordSessionSignal } = require('../services/sessionInterest');
 // Removed updateUserProfileEmbedding - now handled by daily cron job
 
 router.post('/log', async (req, res) => {
@@ -39,6 +40,12 @@ router.post('/log', async (req, res) => {
             }
         }
 
+        // Read time feeds the session interest model (non-blocking) so the
+        // next feed page of this session leans toward what was just read.
+        if (eventType === 'read_time' && articleId) {
+            recordSessionSignal(userId, articleId, { eventType, duration });
+        }
+
         // Embedding updates now handled by daily cron job for better performance
         // This allows instant response while still tracking all activities
 
@@ -0,0 +1,121 @@
+// routes/entities.js
+//
+// Entity pages: people, organisations, GCC locations and companies that
+// articles mention (services/entityExtraction.js). IDs look like
+// `loc:dubai` or `co:emirates` — clients should URL-encode them. Followed
+// entities boost matching articles in the personalized feed
+// (PERS_W.followedEntityBoost).
+const express = require('express');
+const Article = require('../models/Article');
+const Entity = require('../models/Entity');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { enrichArticlesWithSources } = require('../utils/sourceCache');
+
+const router = express.Router();
+
+const ARTICLE_FIELDS =
+    'title content contentFormat url category publishedAt image sourceId viewCount likes dislikes commentCount language storyId';
+
+/**
+ * GET /api/entities/:id?page=1&limit=20&language=english
+ * The entity and its articles, newest first. `language` narrows the feed;
+ * without it every language is included (the point of a shared ID).
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 50);
+
+    try {
+        const entity = await Entity.findById(req.params.id).lean();
+        if (!entity) return res.status(404).json({ message: 'Entity not found' });
+
+        const filter = { entities: entity._id };
+        if (req.query.language) filter.language = String(req.query.language).toLowerCase();
+
+        const [articles, isFollowing] = await Promise.all([
+            Article.find(filter)
+                .select(ARTICLE_FIELDS)
+                .sort({ publishedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit + 1)
+                .lean(),
+            req.user?.sub
+                ? User.exists({ supabase_id: req.user.sub, followed_entities: entity._id }).then(Boolean)
+                : false,
+        ]);
+        const hasMore = articles.length > limit;
+
+        res.json({
+            _id: entity._id,
+            type: entity.type,
+            name: entity.name,
+            names: entity.names || {},
+            articleCount: entity.articleCount,
+            lastSeenAt: entity.lastSeenAt,
+            followerCount: entity.followerCount,
+            isFollowing,
+            page,
+            hasMore,
+            articles: await enrichArticlesWithSources(articles.slice(0, limit)),
+        });
+    } catch (error) {
+        console.error('❌ Error fetching entity:', error);
+        res.status(500).json({ message: 'Error fetching entity', error: error.message });
+    }
+});
+
+/**
+ * POST /api/entities/:id/follow
+ * Idempotent; followerCount only moves when the follow is new.
+ */
+router.post('/:id/follow', auth, async (req, res) => {
+    const userId = req.user?.sub;
+    if (!userId) return res.status(401).json({ message: 'Sign in to follow topics' });
+
+    try {
+        const entity = await Entity.findById(req.params.id).select('_id').lean();
+        if (!entity) return res.status(404).json({ message: 'Entity not found' });
+
+        const result = await User.updateOne(
+            { supabase_id: userId },
+            { $addToSet: { followed_entities: entity._id } }
+        );
+        if (result.matchedCount === 0) return res.status(404).json({ message: 'User not found' });
+        if (result.modifiedCount > 0) {
+            await Entity.updateOne({ _id: entity._id }, { $inc: { followerCount: 1 } });
+        }
+
+        res.json({ message: 'Entity followed', entityId: entity._id, isFollowing: true });
+    } catch (error) {
+        console.error('❌ Error following entity:', error);
+        res.status(500).json({ message: 'Failed to follow entity', error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/entities/:id/follow
+ */
+router.delete('/:id/follow', auth, async (req, res) => {
+    const userId = req.user?.sub;
+    if (!userId) return res.status(401).json({ message: 'Sign in to follow topics' });
+
+    try {
+        const result = await User.updateOne(
+            { supabase_id: userId },
+            { $pull: { followed_entities: req.params.id } }
+        );
+        if (result.matchedCount === 0) return res.status(404).json({ message: 'User not found' });
+        if (result.modifiedCount > 0) {
+            await Entity.updateOne({ _id: req.params.id, followerCount: { $gt: 0 } }, { $inc: { followerCount: -1 } });
+        }
+
+        res.json({ message: 'Entity unfollowed', entityId: req.params.id, isFollowing: false });
+    } catch (error) {
+        console.error('❌ Error unfollowing entity:', error);
+        res.status(500).json({ message: 'Failed to unfollow entity', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const Competition = require('../models/Competition');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const axios = require('axios');
+const { POPULAR_TEAM_API_IDS } = require('../services/onboarding');
 
 const API_KEY = process.env.API_FOOTBALL_KEY;
 const BASE_URL = process.env.API_FOOTBALL_BASE_URL || 'https://v3.football.api-sports.io';
@@ -83,17 +84,7 @@ router.get('/teams', async (req, res) => {
 // GET /api/football/teams/popular - Get popular teams
 router.get('/teams/popular', async (req, res) => {
     try {
-        // Popular teams by API ID (can be extended)
-        const popularTeamIds = [
-            33, 34, 40, 42, 47, 49, 50, 51, // Premier League
-            529, 530, 541, 157, // La Liga
-            489, 492, 496, 497, 499, 505, // Serie A
-            157, 165, 168, // Bundesliga
-            2931, 2939, 2932, 2935, // UAE Pro League
-            2939, 2944, // KSA Pro League (Al Nassr, Al Hilal)
-        ];
-
-        const teams = await Team.find({ apiId: { $in: popularTeamIds } })
+        const teams = await Team.find({ apiId: { $in: POPULAR_TEAM_API_IDS } })
             .sort({ name: 1 })
             .lean();
 
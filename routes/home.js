@@ -0,0 +1,67 @@
+// routes/home.js
+//
+// The unified home feed: ranked articles with reel carousels, polls and
+// widget cards slotted in (services/homeFeed.js). Signed-in users get the
+// personalized ranking and their layout experiment; guests get the
+// baseline ranking and the default layout.
+const express = require('express');
+const optionalAuth = require('../middleware/optionalAuth');
+const {
+    getServedIds,
+    recordServedIds,
+    getCategoryEngagementStats,
+    loadUserPersonalizationContext,
+    recordExposure,
+    attachSessionInterest,
+} = require('../services/feedContext');
+const { wantsExplanations, withExplanations } = require('../services/feedExplanations');
+const { buildHomePage, decodeHomeCursor } = require('../services/homeFeed');
+
+const router = express.Router();
+
+/**
+ * GET /api/home?cursor=&language=&explain=1
+ * Returns { cards, cursor, hasMore }. Pass the returned cursor back for the
+ * next page; a missing or stale cursor starts from the top.
+ */
+router.get('/', optionalAuth, async (req, res) => {
+    const startTime = Date.now();
+    const userId = req.user?.sub || null;
+    const cursor = decodeHomeCursor(req.query.cursor);
+
+    try {
+        const ctx = userId ? await loadUserPersonalizationContext(userId) : null;
+        const language = String(req.query.language || ctx?.language || 'english').toLowerCase();
+        if (ctx) {
+            ctx.language = language;
+            ctx.categoryStats = await getCategoryEngagementStats(language);
+            ctx.servedIds = await getServedIds(userId);
+            await attachSessionInterest(ctx, userId);
+        }
+
+        const home = await buildHomePage({ ctx, userId, language, cursor });
+
+        if (ctx) {
+            recordServedIds(userId, home.articles).catch(() => {});
+            recordExposure(ctx, home.articles);
+        }
+
+        const explain = wantsExplanations(req.query);
+        const cards = home.cards.map((card) =>
+            card.type === 'article' ? { ...card, article: withExplanations([card.article], explain)[0] } : card
+        );
+
+        const totalTime = Date.now() - startTime;
+        console.log(
+            `🏠 home: page ${cursor?.page || 1}, ${cards.length} cards (${home.articles.length} articles) in ${totalTime}ms (lang=${language}, signal=${!!ctx?.hasSignal})`
+        );
+        res.setHeader('X-Performance-Time', totalTime);
+        res.setHeader('X-Treatment', ctx?.treatment || 'control');
+        res.json({ cards, cursor: home.cursor, hasMore: home.hasMore });
+    } catch (error) {
+        console.error('❌ Error building home feed:', error);
+        res.status(500).json({ message: 'Error building home feed', error: error.message });
+    }
+});
+
+module.exports = router;
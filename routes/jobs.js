@@ -37,6 +37,56 @@ try {
     updateSourceQualityScores = null;
 }
 
+let revisitRecentArticles;
+try {
+    console.log('📂 Loading revisit-articles job...');
+    revisitRecentArticles = require('../jobs/revisit-articles').revisitRecentArticles;
+    console.log('✅ revisit-articles loaded');
+} catch (error) {
+    console.error('❌ Failed to load revisit-articles:', error.message);
+    revisitRecentArticles = null;
+}
+
+let updateArticleNeighbors;
+try {
+    console.log('📂 Loading update-article-neighbors job...');
+    updateArticleNeighbors = require('../jobs/update-article-neighbors').updateArticleNeighbors;
+    console.log('✅ update-article-neighbors loaded');
+} catch (error) {
+    console.error('❌ Failed to load update-article-neighbors:', error.message);
+    updateArticleNeighbors = null;
+}
+
+let transcodeReels;
+try {
+    console.log('📂 Loading transcode-reels job...');
+    transcodeReels = require('../jobs/transcode-reels').transcodeReels;
+    console.log('✅ transcode-reels loaded');
+} catch (error) {
+    console.error('❌ Failed to load transcode-reels:', error.message);
+    transcodeReels = null;
+}
+
+let transcribeReels;
+try {
+    console.log('📂 Loading transcribe-reels job...');
+    transcribeReels = require('../jobs/transcribe-reels').transcribeReels;
+    console.log('✅ transcribe-reels loaded');
+} catch (error) {
+    console.error('❌ Failed to load transcribe-reels:', error.message);
+    transcribeReels = null;
+}
+
+let aggregateReelRetention;
+try {
+    console.log('📂 Loading aggregate-reel-retention job...');
+    aggregateReelRetention = require('../jobs/aggregate-reel-retention').aggregateReelRetention;
+    console.log('✅ aggregate-reel-retention loaded');
+} catch (error) {
+    console.error('❌ Failed to load aggregate-reel-retention:', error.message);
+    aggregateReelRetention = null;
+}
+
 let retrainAndPersistPCA;
 try {
     console.log('📂 Loading retrainAndPersistPCA...');
@@ -144,6 +194,129 @@ router.post('/update-source-quality', verifyAdminKey, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/jobs/revisit-articles
+ *
+ * Re-scrape recent articles and apply publisher edits: stores an
+ * ArticleRevision, updates and re-embeds the article, and flags significant
+ * edits as "Updated" in feeds.
+ *
+ * SCHEDULE: Every 30 minutes (15,45 * * * *), clear of the hourly scrape.
+ */
+router.post('/revisit-articles', verifyAdminKey, async (req, res) => {
+    try {
+        if (!revisitRecentArticles) {
+            return res.status(503).json({
+                success: false,
+                error: 'revisit-articles job not available - check server logs',
+            });
+        }
+        const result = await revisitRecentArticles();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('❌ Job execution error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/jobs/update-article-neighbors
+ *
+ * Recompute item-item collaborative-filtering neighbours for the last
+ * week's articles from co-views, read time, saves and likes. Feeds use them
+ * as an extra candidate source; /related/:id mixes them in.
+ *
+ * SCHEDULE: Hourly (40 * * * *).
+ */
+router.post('/update-article-neighbors', verifyAdminKey, async (req, res) => {
+    try {
+        if (!updateArticleNeighbors) {
+            return res.status(503).json({
+                success: false,
+                error: 'update-article-neighbors job not available - check server logs',
+            });
+        }
+        const result = await updateArticleNeighbors();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('❌ Job execution error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/jobs/transcode-reels
+ *
+ * Transcode pending reels into HLS adaptive-bitrate ladders and set
+ * Reel.hlsUrl. A few reels per run; the rest wait for the next one.
+ *
+ * SCHEDULE: Every 30 minutes (5,35 * * * *).
+ */
+router.post('/transcode-reels', verifyAdminKey, async (req, res) => {
+    try {
+        if (!transcodeReels) {
+            return res.status(503).json({
+                success: false,
+                error: 'transcode-reels job not available - check server logs',
+            });
+        }
+        const result = await transcodeReels();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('❌ Job execution error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/jobs/transcribe-reels
+ *
+ * Transcribe pending reels, upload WebVTT captions and re-embed reels
+ * from caption + transcript. A few reels per run; the rest wait for the
+ * next one.
+ *
+ * SCHEDULE: Every 30 minutes (20,50 * * * *).
+ */
+router.post('/transcribe-reels', verifyAdminKey, async (req, res) => {
+    try {
+        if (!transcribeReels) {
+            return res.status(503).json({
+                success: false,
+                error: 'transcribe-reels job not available - check server logs',
+            });
+        }
+        const result = await transcribeReels();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('❌ Job execution error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/jobs/aggregate-reel-retention
+ *
+ * Recompute Reel.retention from playback telemetry for reels watched
+ * since the last run. Feed scorers read the summary.
+ *
+ * SCHEDULE: Every 15 minutes (0,15,30,45 * * * *).
+ */
+router.post('/aggregate-reel-retention', verifyAdminKey, async (req, res) => {
+    try {
+        if (!aggregateReelRetention) {
+            return res.status(503).json({
+                success: false,
+                error: 'aggregate-reel-retention job not available - check server logs',
+            });
+        }
+        const result = await aggregateReelRetention();
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        console.error('❌ Job execution error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * POST /api/jobs/retrain-pca (P3-3)
  *
@@ -193,6 +366,36 @@ router.get('/status', verifyAdminKey, (req, res) => {
                 schedule: '30 2 * * *',
                 description: 'Recompute Source.quality_score from 30d like/dislike data (P3-5)'
             },
+            {
+                name: 'revisit-articles',
+                endpoint: '/api/jobs/revisit-articles',
+                schedule: '15,45 * * * *',
+                description: 'Re-scrape recent articles and record publisher edits as ArticleRevisions'
+            },
+            {
+                name: 'update-article-neighbors',
+                endpoint: '/api/jobs/update-article-neighbors',
+                schedule: '40 * * * *',
+                description: 'Recompute item-item CF neighbours of recent articles from co-engagement'
+            },
+            {
+                name: 'transcode-reels',
+                endpoint: '/api/jobs/transcode-reels',
+                schedule: '5,35 * * * *',
+                description: 'Transcode pending reels into 240p/480p/720p HLS with a master playlist'
+            },
+            {
+                name: 'transcribe-reels',
+                endpoint: '/api/jobs/transcribe-reels',
+                schedule: '20,50 * * * *',
+                description: 'Speech-to-text for pending reels: WebVTT captions, transcript and re-embedding'
+            },
+            {
+                name: 'aggregate-reel-retention',
+                endpoint: '/api/jobs/aggregate-reel-retention',
+                schedule: '0,15,30,45 * * * *',
+                description: 'Roll reel playback telemetry up into Reel.retention for the feed scorers'
+            },
             {
                 name: 'retrain-pca',
                 endpoint: '/api/jobs/retrain-pca',
@@ -0,0 +1,62 @@
+// routes/onboarding.js
+//
+// Cold-start onboarding (services/onboarding.js): the picker's options,
+// and the completion call that writes follows, preferred categories and a
+// seed embedding so the first personalized page already reflects them.
+const express = require('express');
+const auth = require('../middleware/auth');
+const ensureMongoUser = require('../middleware/ensureMongoUser');
+const { clearUserArticleCaches } = require('../services/feedContext');
+const { resolveLanguage, resolveCity, getOnboardingOptions, completeOnboarding } = require('../services/onboarding');
+const { invalidateDashboardSummary } = require('../utils/dashboardCache');
+
+const router = express.Router();
+
+/**
+ * GET /api/onboarding/options?language=english&city=Dubai
+ * Topics (categories active in the last two weeks), popular source groups
+ * for the language ranked by followers in the city, and popular football
+ * teams. `limits` caps how many of each /complete accepts.
+ */
+router.get('/options', async (req, res) => {
+    const language = resolveLanguage(req.query.language || 'english');
+    if (!language) return res.status(400).json({ message: `Unknown language: ${req.query.language}` });
+    const city = req.query.city ? resolveCity(req.query.city) : null;
+    if (req.query.city && !city) return res.status(400).json({ message: `Unknown city: ${req.query.city}` });
+
+    try {
+        res.json(await getOnboardingOptions({ language: language.content, city }));
+    } catch (error) {
+        console.error('❌ Error loading onboarding options:', error);
+        res.status(500).json({ message: 'Error loading onboarding options', error: error.message });
+    }
+});
+
+/**
+ * POST /api/onboarding/complete
+ * Body: { topics: [category], sources: [groupName], teams: [teamId], language?, city? }
+ * Unknown topics, sources and teams are ignored; an unknown language or
+ * city is a 400. Safe to repeat — follows are added, never removed, and an
+ * existing embedding is kept.
+ */
+router.post('/complete', auth, ensureMongoUser, async (req, res) => {
+    try {
+        const result = await completeOnboarding(req.mongoUser, req.body || {});
+
+        // Follows, categories and embedding all feed the cached ctx.
+        await clearUserArticleCaches(req.mongoUser.supabase_id);
+        invalidateDashboardSummary(req.mongoUser.supabase_id);
+
+        console.log(
+            `🧭 onboarding: ${req.mongoUser.supabase_id} picked ${result.topics.length} topics, ` +
+            `${result.sources.length} sources, ${result.teams.length} teams (seeded=${result.seededEmbedding})`
+        );
+        res.json(result);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ message: error.message });
+        console.error('❌ Error completing onboarding:', error);
+        res.status(500).json({ message: 'Error completing onboarding', error: error.message });
+    }
+});
+
+module.exports = router;
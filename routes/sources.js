@@ -4,6 +4,8 @@ const Source = require('../models/Source');
 const Reel = require('../models/Reel');
 const Article = require('../models/Article');
 const { invalidateSourceCache } = require('../utils/sourceCache');
+const { getSourceHealth, getHealthOverview } = require('../services/scrapeHealth');
+const { inferSource } = require('../scraper/selectorInference');
 
 const { scrapeReelsForSource } = require('../scraper/instagramReels');
 const { scrapeYouTubeForSource } = require('../scraper/youtubeScraper');
@@ -16,6 +18,15 @@ try {
     auth = (_, __, next) => next();
 }
 
+// Operations that make the server fetch arbitrary URLs are admin-only.
+const requireAdminKey = (req, res, next) => {
+    const clientKey = req.headers['x-api-key'];
+    if (!clientKey || clientKey !== process.env.ADMIN_API_KEY) {
+        return res.status(403).json({ message: 'Forbidden: Invalid API Key' });
+    }
+    next();
+};
+
 router.get('/', auth, async (req, res) => {
     try {
         const sources = await Source.find({ status: { $ne: 'blocked' } });
@@ -57,9 +68,42 @@ router.post('/', auth, async (req, res) => {
         res.status(400).json({ message: err.message });
     }
 });
+// Onboarding wizard: propose selectors for a homepage URL. The returned
+// `proposal` is a Source body — POST it to / (with name/category/frequency)
+// to create the source once the admin accepts it.
+router.post('/infer', requireAdminKey, async (req, res) => {
+    const { url, puppeteer = 'auto' } = req.body || {};
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return res.status(400).json({ message: 'A valid http(s) url is required' });
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+        return res.status(400).json({ message: 'A valid http(s) url is required' });
+    }
+
+    try {
+        const existing = await Source.findOne({ url: parsed.toString() }).select('_id name').lean();
+        const result = await inferSource(parsed.toString(), { puppeteer });
+        res.json({ ...result, existingSource: existing || null });
+    } catch (err) {
+        if (err.code === 'UNSAFE_URL') {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error('Error inferring source selectors:', err);
+        res.status(422).json({ message: `Could not fetch ${parsed.toString()}: ${err.message}` });
+    }
+});
+
 router.put('/:id', auth, async (req, res) => {
     try {
-        const updated = await Source.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const update = { ...req.body };
+        // Reactivating a suspended source gives it a fresh empty-run budget.
+        if (update.status === 'active') {
+            Object.assign(update, { consecutiveEmptyRuns: 0, suspendedAt: null, suspendedReason: null });
+        }
+        const updated = await Source.findByIdAndUpdate(req.params.id, update, { new: true });
         if (!updated) return res.status(404).json({ message: 'Source not found' });
         await invalidateSourceCache(); // Clear cache when source updated
         res.json(updated);
@@ -78,6 +122,35 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
+// Scrape health, worst success rate first. ?days=1 by default.
+router.get('/health', auth, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 1, 1), 90);
+        const sources = await getHealthOverview({ days });
+        res.json({ days, sources });
+    } catch (err) {
+        console.error('Error fetching scrape health overview:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Run history and success-rate trend for one source. ?days=14 by default.
+router.get('/:id/health', auth, async (req, res) => {
+    try {
+        const source = await Source.findById(req.params.id)
+            .select('name status consecutiveEmptyRuns suspendedAt suspendedReason lastScraped')
+            .lean();
+        if (!source) return res.status(404).json({ message: 'Source not found' });
+
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+        const health = await getSourceHealth(source._id, { days });
+        res.json({ source, ...health });
+    } catch (err) {
+        console.error('Error fetching source health:', err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
 router.get('/:id/instagram/reels', async (req, res) => {
     try {
         const source = await Source.findById(req.params.id);
@@ -0,0 +1,110 @@
+// routes/stories.js
+//
+// Developing stories: articles threaded over days into one timeline by
+// services/storyTimelines.js at ingest. Following a story pushes its
+// significant developments (NotificationService.sendStoryUpdateNotifications).
+const express = require('express');
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { getStoryWithTimeline } = require('../services/storyTimelines');
+const { enrichArticlesWithSources } = require('../utils/sourceCache');
+
+const router = express.Router();
+
+/**
+ * GET /api/stories/:id
+ * Title, summary and the ordered timeline (oldest first) with article
+ * cards. `isFollowing` is set when the request carries a user token.
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const story = await getStoryWithTimeline(req.params.id);
+        if (!story) return res.status(404).json({ message: 'Story not found' });
+
+        let isFollowing = false;
+        if (req.user?.sub) {
+            isFollowing = !!(await User.exists({ supabase_id: req.user.sub, followed_stories: story._id }));
+        }
+
+        res.json({
+            _id: story._id,
+            title: story.title,
+            summary: story.summary,
+            language: story.language,
+            category: story.category,
+            articleCount: story.timeline.length,
+            sourceCount: story.sourceCount,
+            firstPublishedAt: story.firstPublishedAt,
+            lastArticleAt: story.lastArticleAt,
+            followerCount: story.followerCount,
+            isFollowing,
+            timeline: await enrichArticlesWithSources(story.timeline),
+        });
+    } catch (error) {
+        console.error('❌ Error fetching story:', error);
+        res.status(500).json({ message: 'Error fetching story', error: error.message });
+    }
+});
+
+/**
+ * POST /api/stories/:id/follow
+ * Idempotent; followerCount only moves when the follow is new.
+ */
+router.post('/:id/follow', auth, async (req, res) => {
+    const userId = req.user?.sub;
+    if (!userId) return res.status(401).json({ message: 'Sign in to follow stories' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid story id' });
+    }
+
+    try {
+        const story = await Story.findById(req.params.id).select('_id').lean();
+        if (!story) return res.status(404).json({ message: 'Story not found' });
+
+        const result = await User.updateOne(
+            { supabase_id: userId },
+            { $addToSet: { followed_stories: story._id } }
+        );
+        if (result.matchedCount === 0) return res.status(404).json({ message: 'User not found' });
+        if (result.modifiedCount > 0) {
+            await Story.updateOne({ _id: story._id }, { $inc: { followerCount: 1 } });
+        }
+
+        res.json({ message: 'Story followed', storyId: story._id, isFollowing: true });
+    } catch (error) {
+        console.error('❌ Error following story:', error);
+        res.status(500).json({ message: 'Failed to follow story', error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/stories/:id/follow
+ */
+router.delete('/:id/follow', auth, async (req, res) => {
+    const userId = req.user?.sub;
+    if (!userId) return res.status(401).json({ message: 'Sign in to follow stories' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid story id' });
+    }
+
+    try {
+        const result = await User.updateOne(
+            { supabase_id: userId },
+            { $pull: { followed_stories: req.params.id } }
+        );
+        if (result.matchedCount === 0) return res.status(404).json({ message: 'User not found' });
+        if (result.modifiedCount > 0) {
+            await Story.updateOne({ _id: req.params.id, followerCount: { $gt: 0 } }, { $inc: { followerCount: -1 } });
+        }
+
+        res.json({ message: 'Story unfollowed', storyId: req.params.id, isFollowing: false });
+    } catch (error) {
+        console.error('❌ Error unfollowing story:', error);
+        res.status(500).json({ message: 'Failed to unfollow story', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,14 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { thumbnailGenerator } = require('../services/ThumbnailGenerator');
+const {
+    pickCandidateUpdate,
+    startTestUpdate,
+    stopTestUpdate,
+    thumbnailTestResults,
+    refreshThumbnailTests,
+} = require('../services/thumbnailSelection');
 const Reel = require('../models/Reel');
 
 // Admin middleware (you may need to adjust this based on your auth system)
@@ -41,15 +49,15 @@ router.post('/generate/:reelId', requireAdmin, async (req, res) => {
         }
 
         console.log(`🔄 Generating thumbnail for reel: ${reelId}`);
-        const thumbnailUrl = await thumbnailGenerator.generateThumbnail(reel.videoUrl, reelId);
-
-        // Update the reel with thumbnail URL
-        await Reel.findByIdAndUpdate(reelId, { thumbnailUrl });
+        const selection = await thumbnailGenerator.selectThumbnail(reel.videoUrl, reelId, reel.originalKey);
+        await thumbnailGenerator.saveSelection(reelId, selection);
 
         res.json({
             success: true,
             reelId,
-            thumbnailUrl,
+            thumbnailUrl: selection.thumbnailUrl,
+            thumbnailBlurhash: selection.thumbnailBlurhash,
+            candidates: selection.candidates.length,
             message: 'Thumbnail generated successfully'
         });
 
@@ -163,15 +171,15 @@ router.post('/regenerate/:reelId', requireAdmin, async (req, res) => {
         }
 
         console.log(`🔄 Regenerating thumbnail for reel: ${reelId}`);
-        const thumbnailUrl = await thumbnailGenerator.generateThumbnail(reel.videoUrl, reelId);
-
-        // Update the reel with new thumbnail URL
-        await Reel.findByIdAndUpdate(reelId, { thumbnailUrl });
+        const selection = await thumbnailGenerator.selectThumbnail(reel.videoUrl, reelId, reel.originalKey);
+        await thumbnailGenerator.saveSelection(reelId, selection);
 
         res.json({
             success: true,
             reelId,
-            thumbnailUrl,
+            thumbnailUrl: selection.thumbnailUrl,
+            thumbnailBlurhash: selection.thumbnailBlurhash,
+            candidates: selection.candidates.length,
             message: 'Thumbnail regenerated successfully'
         });
 
@@ -184,4 +192,132 @@ router.post('/regenerate/:reelId', requireAdmin, async (req, res) => {
     }
 });
 
+// ---- Candidates & thumbnail tests ----
+// Each sampled frame is kept as a candidate (services/thumbnailSelection.js);
+// these routes pick one by hand or A/B test several on tap-through rate.
+
+const candidateView = (c, index) => ({
+    index,
+    url: c.url,
+    at: c.at,
+    score: c.score,
+    metrics: c.metrics,
+    blurhash: c.blurhash,
+});
+
+async function findReelForThumbnails(reelId) {
+    if (!mongoose.isValidObjectId(reelId)) return null;
+    return Reel.findById(reelId)
+        .select('thumbnailUrl thumbnailBlurhash thumbnailCandidates thumbnailSelection thumbnailTest')
+        .lean();
+}
+
+function sendThumbnailError(res, error, action) {
+    if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+    console.error(`❌ Error ${action}:`, error);
+    res.status(500).json({ error: `Failed ${action}`, details: error.message });
+}
+
+// List a reel's candidates, best first, with the current pick and test
+router.get('/:reelId/candidates', requireAdmin, async (req, res) => {
+    try {
+        const reel = await findReelForThumbnails(req.params.reelId);
+        if (!reel) return res.status(404).json({ error: 'Video not found' });
+
+        res.json({
+            reelId: req.params.reelId,
+            thumbnailUrl: reel.thumbnailUrl,
+            thumbnailBlurhash: reel.thumbnailBlurhash,
+            selection: reel.thumbnailSelection || null,
+            candidates: (reel.thumbnailCandidates || []).map(candidateView),
+            test: reel.thumbnailTest?.status ? thumbnailTestResults(reel) : null,
+        });
+    } catch (error) {
+        sendThumbnailError(res, error, 'listing thumbnail candidates');
+    }
+});
+
+// Make another candidate the thumbnail: { index }
+router.post('/:reelId/select', requireAdmin, async (req, res) => {
+    try {
+        const reel = await findReelForThumbnails(req.params.reelId);
+        if (!reel) return res.status(404).json({ error: 'Video not found' });
+        if (reel.thumbnailTest?.status === 'running') {
+            return res.status(409).json({ error: 'Stop the running thumbnail test first', code: 'THUMBNAIL_CONFLICT' });
+        }
+
+        const update = pickCandidateUpdate(reel, Number(req.body?.index));
+        await Reel.updateOne({ _id: reel._id }, { $set: update });
+
+        res.json({
+            success: true,
+            reelId: req.params.reelId,
+            thumbnailUrl: update.thumbnailUrl,
+            thumbnailBlurhash: update.thumbnailBlurhash,
+            selection: update.thumbnailSelection,
+        });
+    } catch (error) {
+        sendThumbnailError(res, error, 'selecting thumbnail');
+    }
+});
+
+// Start a thumbnail test: { arms?: [candidate indexes] }, default the
+// current thumbnail against the best other candidate
+router.post('/:reelId/test', requireAdmin, async (req, res) => {
+    try {
+        const reel = await findReelForThumbnails(req.params.reelId);
+        if (!reel) return res.status(404).json({ error: 'Video not found' });
+
+        const arms = req.body?.arms == null ? null : [].concat(req.body.arms).map(Number);
+        const update = startTestUpdate(reel, arms);
+        await Reel.updateOne({ _id: reel._id }, { $set: update });
+        await refreshThumbnailTests();
+
+        res.json({
+            success: true,
+            reelId: req.params.reelId,
+            arms: update['thumbnailTest.arms'],
+            control: update['thumbnailTest.control'],
+            startedAt: update['thumbnailTest.startedAt'],
+        });
+    } catch (error) {
+        sendThumbnailError(res, error, 'starting thumbnail test');
+    }
+});
+
+// Tap-through results of the current (or last) test
+router.get('/:reelId/test', requireAdmin, async (req, res) => {
+    try {
+        const reel = await findReelForThumbnails(req.params.reelId);
+        if (!reel) return res.status(404).json({ error: 'Video not found' });
+        if (!reel.thumbnailTest?.status) return res.status(404).json({ error: 'No thumbnail test for this reel' });
+
+        res.json({ reelId: req.params.reelId, ...thumbnailTestResults(reel) });
+    } catch (error) {
+        sendThumbnailError(res, error, 'getting thumbnail test results');
+    }
+});
+
+// Stop the test: { promote?: true } makes the winner, if any, the thumbnail
+router.post('/:reelId/test/stop', requireAdmin, async (req, res) => {
+    try {
+        const reel = await findReelForThumbnails(req.params.reelId);
+        if (!reel) return res.status(404).json({ error: 'Video not found' });
+
+        const { update, results, promoted } = stopTestUpdate(reel, { promote: req.body?.promote === true });
+        await Reel.updateOne({ _id: reel._id }, { $set: update });
+        await refreshThumbnailTests();
+
+        res.json({
+            success: true,
+            reelId: req.params.reelId,
+            promoted,
+            thumbnailUrl: promoted ? update.thumbnailUrl : reel.thumbnailUrl,
+            results,
+        });
+    } catch (error) {
+        sendThumbnailError(res, error, 'stopping thumbnail test');
+    }
+});
+
 module.exports = router;
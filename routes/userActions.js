@@ -11,8 +11,9 @@ const UserActivity = require('../models/UserActivity'); // Import UserActivity m
 const mongoose = require('mongoose');
 const ensureMongoUser = require('../middleware/ensureMongoUser');
 const PointsService = require('../services/pointsService'); // 🎮 Gamification
-const { getTreatmentForUser } = require('../utils/experiments'); // P3-1
+const { getTreatmentForUser, experimentAttributesForUser } = require('../utils/experiments'); // P3-1
 const { invalidateDashboardSummary } = require('../utils/dashboardCache');
+const { recordSessionSignal } = require('../services/sessionInterest');
 // Removed updateUserProfileEmbedding - now handled by daily cron job
 
 function validateObjectId(id) {
@@ -77,7 +78,7 @@ router.post('/article/:id/like', auth, ensureMongoUser, async (req, res) => {
         articleId: articleObjectId,
         contentType: 'article', // Specify content type
         timestamp: new Date(),
-        treatment: getTreatmentForUser(user.supabase_id),
+        treatment: getTreatmentForUser(user.supabase_id, experimentAttributesForUser(user)),
     }).catch(err => console.error('⚠️ Failed to log activity:', err.message));
 
     // 🎮 Award points for liking (non-blocking)
@@ -167,14 +168,22 @@ router.post('/article/:articleId/view', async (req, res) => {
                 );
                 const { data: { user } } = await supabase.auth.getUser(token);
                 if (user) {
-                    UserActivity.create({
-                        userId: user.id,
-                        eventType: 'view',
-                        articleId: articleObjectId,
-                        contentType: 'article', // Specify content type
-                        timestamp: new Date(),
-                        treatment: getTreatmentForUser(user.id), // P3-1
-                    }).catch(err => console.error('⚠️ Failed to log view activity:', err.message));
+                    // The Supabase auth id is User.supabase_id; the profile carries the
+                    // targeting attributes, as for likes and reactions.
+                    User.findOne({ supabase_id: user.id }).select('language city pushTokens').lean()
+                        .catch(() => null)
+                        .then(profile => UserActivity.create({
+                            userId: user.id,
+                            eventType: 'view',
+                            articleId: articleObjectId,
+                            contentType: 'article', // Specify content type
+                            timestamp: new Date(),
+                            treatment: getTreatmentForUser(user.id, experimentAttributesForUser(profile)), // P3-1
+                        }))
+                        .catch(err => console.error('⚠️ Failed to log view activity:', err.message));
+
+                    // Short-term session interest for the next feed page (non-blocking)
+                    recordSessionSignal(user.id, articleObjectId, { eventType: 'view' });
 
                     // 🎮 Award points for reading article (non-blocking)
                     // Get article category for category-specific badges
@@ -19,6 +19,10 @@
  * API ENDPOINTS:
  * - GET /reels?sort=personalized - Main personalized feed (default for logged users)
  * - POST /reels/:id/view - Enhanced view tracking with user data
+ * - POST /reels/events - Batched playback telemetry (retention curves)
+ * - GET /reels/:id/retention - Per-second retention curve and drop-off rates
+ * - POST /reels/thumbnail-events - Impressions/taps on A/B-tested thumbnails
+ * - GET /reels/search?q= - Search captions and spoken transcripts
  * - POST /reels/:id/like|dislike|save - User interaction tracking
  * - POST /reels/interaction-status - Bulk interaction status check
  * - GET /user/preferences - User's personalization data
@@ -30,17 +34,25 @@ const Video = require('../models/Video');
 const Reel = require('../models/Reel');
 const Source = require('../models/Source');
 const UserActivity = require('../models/UserActivity');
-const puppeteer = require('puppeteer');
 const axios = require('axios'); // Replace fetch with axios
 const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { getDeepSeekEmbedding } = require('../utils/deepseek');
 const { convertToPCAEmbedding } = require('../utils/pcaEmbedding');
-const { igdl } = require('btch-downloader');// Adjust the path as needed
+const { getInstagramVideoUrl } = require('../services/mediaResolver'); // cached Instagram/YouTube URL resolution
 const NodeCache = require('node-cache');
 const redis = require('../utils/redis'); // Ensure Redis is set up
 const crypto = require('crypto');
 const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const { explainReel, wantsExplanations, withExplanations } = require('../services/feedExplanations'); // "why am I seeing this"
+const { HLS_LADDER, renditionsForQualities, renditionBandwidth } = require('../services/HlsTranscoder'); // HLS ladder for quality-config
+const ReelWatchBucket = require('../models/ReelWatchBucket');
+const { RETENTION, normalizeEvents, knownReelEvents, bucketWriteOps, buildRetention, retentionSignals, retentionWindow } = require('../services/reelRetention'); // playback telemetry
+const { searchTerms, matchingCues } = require('../services/ReelTranscriber'); // transcript search
+const { THUMBNAIL, applyThumbnailTests, recordThumbnailEvents } = require('../services/thumbnailSelection'); // thumbnail A/B tests
 const router = express.Router();
 
 // ============================================
@@ -374,6 +386,10 @@ function predictWatchTime(reel, userPrefs = {}, sessionContext = {}) {
         score += (reel.completionRate - 0.5) * 0.3; // +/- 15%
     }
 
+    // Factor 1b: Measured drop-off (Reel.retention from playback telemetry;
+    // neutral until enough playbacks have been measured)
+    score += retentionSignals(reel.retention).watchAdjustment;
+
     // Factor 2: Source preference match
     if (userPrefs.sourcePreferences && reel.source?.name) {
         const sourceMap = new Map(userPrefs.sourcePreferences);
@@ -488,7 +504,7 @@ async function precomputeTrendingFeed() {
             { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
             {
                 $project: {
-                    _id: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1,
+                    _id: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1,
                     likes: 1, dislikes: 1, viewCount: 1, saves: 1,
                     completionRate: 1, scrapedAt: 1, source: 1, trendingScore: 1
                 }
@@ -733,7 +749,8 @@ async function buildOptimizedFeed({ userId, cursor, limit, strategy }) {
  * - 25% Engagement velocity (new viral detection)
  * - 20% Source preferences (user's preferred news sources)
  * - 15% Category preferences (topic diversity)
- * Plus aggressive recency multiplier for fresh content
+ * Plus aggressive recency multiplier for fresh content, and a retention
+ * multiplier from measured drop-off (Reel.retention)
  * 
  * @param {Object} reel - Reel document with embedding, source, categories
  * @param {Array} userEmbedding - User's average embedding vector
@@ -810,7 +827,12 @@ function calculateHybridScore(reel, userEmbedding, userPrefs) {
         // else 1.0 (no boost for older content)
     }
 
-    // 6. Add small random factor to break ties and add variety (0.92 to 1.08)
+    // 6. Retention: early drop-off pulls the score down, holding viewers past
+    // the midpoint and loops push it up (0.8x to 1.15x; 1.0x until enough
+    // playbacks have been measured)
+    const retentionMultiplier = retentionSignals(reel.retention).multiplier;
+
+    // 7. Add small random factor to break ties and add variety (0.92 to 1.08)
     const randomFactor = 0.92 + (Math.random() * 0.16);
 
     // Calculate base hybrid score (40/25/20/15)
@@ -821,8 +843,8 @@ function calculateHybridScore(reel, userEmbedding, userPrefs) {
         categoryScore * 0.15
     );
 
-    // Apply recency multiplier and random factor
-    const hybridScore = baseScore * recencyMultiplier * randomFactor;
+    // Apply recency and retention multipliers and random factor
+    const hybridScore = baseScore * recencyMultiplier * retentionMultiplier * randomFactor;
 
     return {
         hybridScore,
@@ -831,6 +853,7 @@ function calculateHybridScore(reel, userEmbedding, userPrefs) {
         sourceScore,
         categoryScore,
         recencyMultiplier,
+        retentionMultiplier,
         breakdown: `E:${(embeddingScore * 100).toFixed(0)}% V:${(velocityScore * 100).toFixed(0)}% S:${(sourceScore * 100).toFixed(0)}% C:${(categoryScore * 100).toFixed(0)}% R:${recencyMultiplier.toFixed(1)}x`
     };
 }
@@ -918,7 +941,7 @@ async function getPersonalizedFeedOptimized(userId, userEmbedding, cursor, limit
                     { $match: { _id: { $in: collabObjectIds }, videoUrl: { $exists: true, $ne: null } } },
                     { $lookup: { from: 'sources', localField: 'source', foreignField: '_id', as: 'source', pipeline: [{ $project: { name: 1, icon: 1, favicon: 1 } }] } },
                     { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                    { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, categories: 1, embedding_pca: 1, originalKey: 1, _bucket: { $literal: 'collab' } } },
+                    { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, categories: 1, embedding_pca: 1, originalKey: 1, _bucket: { $literal: 'collab' } } },
                     { $limit: collabLimit }
                 ]);
             } catch (err) {
@@ -965,7 +988,7 @@ async function getPersonalizedFeedOptimized(userId, userEmbedding, cursor, limit
                     }
                 },
                 { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, categories: 1, embedding_pca: 1, searchScore: 1, originalKey: 1, _bucket: { $literal: 'personalized' } } }
+                { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, categories: 1, embedding_pca: 1, searchScore: 1, originalKey: 1, _bucket: { $literal: 'personalized' } } }
             ]),
 
             // 2. FRESH: Newest content regardless of preference (for variety)
@@ -999,7 +1022,7 @@ async function getPersonalizedFeedOptimized(userId, userEmbedding, cursor, limit
                     }
                 },
                 { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'fresh' } } }
+                { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'fresh' } } }
             ]),
 
             // 3. DISCOVERY: Random for serendipity
@@ -1022,7 +1045,7 @@ async function getPersonalizedFeedOptimized(userId, userEmbedding, cursor, limit
                     }
                 },
                 { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'discovery' } } }
+                { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'discovery' } } }
             ]),
 
             // 4. COLLABORATIVE: Reels liked/saved by users with similar tastes
@@ -1111,7 +1134,12 @@ async function getPersonalizedFeedOptimized(userId, userEmbedding, cursor, limit
         const results = addVarietyShuffleToReels(positionGuaranteedFeed.slice(0, limit), limit);
 
         // Clean up results
-        const cleanResults = results.map(({ embedding_pca, searchScore, embeddingScore, sourceScore, categoryScore, breakdown, velocityScore, ...reel }) => reel);
+        // `why` is read off the score parts before they're dropped; the
+        // route strips it unless the request asked (?explain=1).
+        const cleanResults = results.map((scored) => {
+            const { embedding_pca, searchScore, embeddingScore, sourceScore, categoryScore, breakdown, velocityScore, ...reel } = scored;
+            return { ...reel, why: explainReel(scored) };
+        });
 
         // Track all fetched IDs
         const allFetchedIds = [
@@ -1252,7 +1280,7 @@ async function getTrendingFeedOptimized(cursor, limit, strategy) {
                     }
                 },
                 { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'fresh' } } }
+                { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'fresh' } } }
             ]),
 
             // 2. TRENDING: High engagement velocity from last 7 days
@@ -1308,7 +1336,7 @@ async function getTrendingFeedOptimized(cursor, limit, strategy) {
                     }
                 },
                 { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'trending' } } }
+                { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'trending' } } }
             ]),
 
             // 3. DISCOVERY: Random selection from last 60 days (extended for small catalogs)
@@ -1331,7 +1359,7 @@ async function getTrendingFeedOptimized(cursor, limit, strategy) {
                     }
                 },
                 { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'discovery' } } }
+                { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'discovery' } } }
             ]),
 
             // 4. EVERGREEN: Any content from last 90 days (extended for small catalogs)
@@ -1368,7 +1396,7 @@ async function getTrendingFeedOptimized(cursor, limit, strategy) {
                     }
                 },
                 { $unwind: { path: '$source', preserveNullAndEmptyArrays: true } },
-                { $project: { reelId: 1, videoUrl: 1, thumbnailUrl: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'evergreen' } } }
+                { $project: { reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1, likes: 1, dislikes: 1, viewCount: 1, saves: 1, completionRate: 1, retention: 1, scrapedAt: 1, source: 1, originalKey: 1, _bucket: { $literal: 'evergreen' } } }
             ])
         ]);
 
@@ -2016,7 +2044,7 @@ async function getEmbeddingBasedReels(userEmbedding, limit, excludeIds = []) {
             [embeddingField]: { $exists: true, $type: 'array' },
             _id: { $nin: excludeIds }
         })
-            .select(`source reelId videoUrl thumbnailUrl caption likes dislikes viewCount saves scrapedAt publishedAt ${embeddingField} originalKey`)
+            .select(`source reelId videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves scrapedAt publishedAt ${embeddingField} originalKey`)
             .populate('source', 'name icon favicon')
             .lean();
 
@@ -2074,25 +2102,6 @@ function removeDuplicatesAndEnsureVariety(reels, targetLimit) {
         return true;
     }).slice(0, targetLimit);
 }
-// Helper: Get the real Instagram video URL with multiple extraction strategies
-
-
-async function getInstagramVideoUrl(reelUrl) {
-    try {
-        const result = await igdl(reelUrl);
-
-        // The result is usually an array of objects with a `url` key for the direct mp4
-        // For example: [ { url: "https://...mp4", ... }, ... ]
-        if (Array.isArray(result) && result.length > 0 && result[0].url && result[0].url.startsWith('http')) {
-            return result[0].url;
-        }
-
-        throw new Error('No valid MP4 URL found in btch-downloader result');
-    } catch (err) {
-        console.error('btch-downloader igdl error:', err);
-        throw new Error('Failed to extract video URL using btch-downloader');
-    }
-}
 // Helper: Initialize storage client (R2 or S3)
 let s3;
 let storageConfig = {};
@@ -2285,7 +2294,10 @@ router.get('/reels/instant', async (req, res) => {
             const results = shuffled.slice(0, limit).map(r => ({
                 _id: r._id,
                 videoUrl: r.videoUrl,
+                hlsUrl: r.hlsUrl || null,
+                captionsUrl: r.captionsUrl || null,
                 thumbnailUrl: r.thumbnailUrl,
+                thumbnailBlurhash: r.thumbnailBlurhash,
                 caption: r.caption?.substring(0, 100), // Truncate for speed
                 source: r.source?.name ? { _id: r.source._id, name: r.source.name, icon: r.source.icon, favicon: r.source.favicon } : null,
                 viewCount: r.viewCount,
@@ -2318,7 +2330,7 @@ router.get('/reels/instant', async (req, res) => {
         const reels = await Reel.find({
             videoUrl: { $exists: true, $ne: null }
         })
-            .select('_id videoUrl thumbnailUrl caption viewCount likes source')
+            .select('_id videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption viewCount likes source')
             .populate('source', 'name icon favicon')
             .sort({ viewCount: -1, scrapedAt: -1 })
             .limit(limit)
@@ -2368,6 +2380,10 @@ router.get('/reels/quality-config', async (req, res) => {
 
         const recommendedQualities = NETWORK_QUALITY_MAP[networkCategory];
         const primaryQuality = recommendedQualities[0];
+        // The same advice in terms of the renditions reels actually have
+        // (hlsUrl master playlists). Players cap ABR at maxBandwidth.
+        const recommendedRenditions = renditionsForQualities(recommendedQualities, QUALITY_TIERS);
+        const primaryRendition = HLS_LADDER.find((r) => r.name === recommendedRenditions[0]);
 
         res.set({
             'Cache-Control': 'public, max-age=300', // Cache for 5 minutes
@@ -2383,6 +2399,10 @@ router.get('/reels/quality-config', async (req, res) => {
             primaryQuality,
             qualityConfig: QUALITY_TIERS[primaryQuality],
             allTiers: QUALITY_TIERS,
+            recommendedRenditions,
+            primaryRendition: primaryRendition.name,
+            maxBandwidth: renditionBandwidth(primaryRendition, true),
+            renditions: HLS_LADDER.map((r) => r.name),
             // Preload hints
             preloadStrategy: networkCategory === 'fast' ? 'aggressive' :
                 networkCategory === 'moderate' ? 'normal' : 'minimal',
@@ -2546,7 +2566,7 @@ router.post('/reels/predict-engagement', async (req, res) => {
         const reels = await Reel.find({
             _id: { $in: reelIds.slice(0, 20) } // Limit to 20
         })
-            .select('_id completionRate viewCount likes source categories scrapedAt')
+            .select('_id completionRate retention viewCount likes source categories scrapedAt')
             .populate('source', 'name')
             .lean();
 
@@ -2622,6 +2642,7 @@ router.post('/related', async (req, res) => {
  * - cursor: Base64 encoded cursor from previous response (optional)
  * - limit: Number of reels to return (default: 20, max: 50)
  * - strategy: 'personalized' | 'trending' | 'mixed' (default: personalized for logged users)
+ * - explain: '1' to include each reel's `why` ({ reason, factors })
  */
 router.get('/reels/feed', async (req, res) => {
     console.log('🎯🎯🎯 /reels/feed HIT - REQUEST RECEIVED');
@@ -2667,6 +2688,15 @@ router.get('/reels/feed', async (req, res) => {
             strategy: userId ? strategy : 'trending' // Force trending for anonymous
         });
 
+        // "Why am I seeing this": reels from the other builders explain
+        // from their bucket.
+        if (Array.isArray(feed?.reels)) {
+            feed.reels = wantsExplanations(req.query)
+                ? feed.reels.map((reel) => (reel.why ? reel : { ...reel, why: explainReel(reel) }))
+                : withExplanations(feed.reels, false);
+            feed.reels = applyThumbnailTests(feed.reels, userId);
+        }
+
         res.json(feed);
     } catch (err) {
         console.error('❌ Error in /reels/feed:', err.message);
@@ -2776,13 +2806,13 @@ router.get('/reels', async (req, res) => {
             // Get different types of content with exclusions to avoid duplicates
             const [recent, popular, trending, random] = await Promise.all([
                 Reel.find()
-                    .select('source reelId videoUrl thumbnailUrl caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score')
+                    .select('source reelId videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score')
                     .populate('source', 'name icon favicon')
                     .sort({ scrapedAt: -1 })
                     .limit(recentLimit * 2) // Get more to allow for filtering
                     .lean(),
                 Reel.find()
-                    .select('source reelId videoUrl thumbnailUrl caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score')
+                    .select('source reelId videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score')
                     .populate('source', 'name icon favicon')
                     .sort({ viewCount: -1, likes: -1 })
                     .limit(popularLimit * 2)
@@ -2795,7 +2825,7 @@ router.get('/reels', async (req, res) => {
                         ]
                     }
                 })
-                    .select('source reelId videoUrl thumbnailUrl caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score')
+                    .select('source reelId videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score')
                     .populate('source', 'name icon favicon')
                     .sort({ likes: -1, viewCount: -1 })
                     .limit(trendingLimit * 2)
@@ -2911,7 +2941,7 @@ router.get('/reels', async (req, res) => {
             // Parallel execution for better performance
             [reels, totalCount] = await Promise.all([
                 Reel.find()
-                    .select('source reelId videoUrl thumbnailUrl caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score') // Only select needed fields including engagement_score
+                    .select('source reelId videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves scrapedAt publishedAt embedding originalKey engagement_score') // Only select needed fields including engagement_score
                     .populate('source', 'name icon favicon') // Populate source info efficiently with more fields
                     .sort(sortQuery)
                     .skip(actualSkip)
@@ -2932,10 +2962,10 @@ router.get('/reels', async (req, res) => {
         }
 
         // Map engagement_score to engagementScore for frontend compatibility
-        const mappedReels = reels.map(reel => ({
+        const mappedReels = applyThumbnailTests(reels.map(reel => ({
             ...reel,
             engagementScore: reel.engagement_score // Map snake_case to camelCase
-        }));
+        })), userId);
 
         const totalPages = Math.ceil(totalCount / limit);
 
@@ -3317,6 +3347,116 @@ router.post('/reels/:reelId/view', async (req, res) => {
     }
 });
 
+// ===================== PLAYBACK TELEMETRY =====================
+/**
+ * POST /reels/events
+ * Batched playback events (start, progress quartiles, seek, loop,
+ * mute/unmute, exit with position) — see services/reelRetention.js for the
+ * event shape. Folded into hourly ReelWatchBucket counters; unusable
+ * events and events for reels that don't exist are counted as rejected
+ * rather than failing the batch. Rate-limited per user, or per IP for
+ * guests.
+ */
+router.post('/reels/events', optionalAuth, rateLimit({ name: 'reel_events', max: RETENTION.MAX_BATCHES_PER_MINUTE }), async (req, res) => {
+    try {
+        const { events: rawEvents } = req.body || {};
+        if (!Array.isArray(rawEvents) || rawEvents.length === 0) {
+            return res.status(400).json({ error: 'events array required' });
+        }
+        if (rawEvents.length > RETENTION.MAX_BATCH) {
+            return res.status(400).json({ error: `At most ${RETENTION.MAX_BATCH} events per batch` });
+        }
+
+        const normalized = normalizeEvents(rawEvents);
+        // One lookup for the batch, so made-up reel IDs never get buckets.
+        const reelIds = [...new Set(normalized.events.map((e) => e.reelId))];
+        const existing = reelIds.length > 0
+            ? await Reel.find({ _id: { $in: reelIds } }).select('_id').lean()
+            : [];
+        const { events, rejected: unknown } = knownReelEvents(normalized.events, new Set(existing.map((r) => String(r._id))));
+        const rejected = normalized.rejected + unknown;
+        const ops = bucketWriteOps(events);
+        if (ops.length > 0) {
+            await ReelWatchBucket.bulkWrite(ops, { ordered: false });
+        }
+
+        res.json({ success: true, accepted: events.length, rejected });
+    } catch (err) {
+        console.error('❌ Error recording playback events:', err.message);
+        res.status(500).json({ error: 'Failed to record playback events' });
+    }
+});
+
+/**
+ * POST /reels/thumbnail-events
+ * Impressions and taps on A/B-tested thumbnails:
+ * { events: [{ reelId, variant, type: 'impression' | 'tap' }] }, where
+ * `variant` is the thumbnailVariant the feed served. Signed-in users only:
+ * guests are not in tests. Events for reels without a running test or for
+ * a variant the user is not served are rejected; events the user already
+ * reported in this test are duplicates.
+ */
+router.post('/reels/thumbnail-events', auth, rateLimit({ name: 'thumbnail_events', max: THUMBNAIL.MAX_EVENT_BATCHES_PER_MINUTE }), async (req, res) => {
+    try {
+        const userId = req.user?.sub || req.user?.user_id || req.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'User token required' });
+        }
+        const { events } = req.body || {};
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({ error: 'events array required' });
+        }
+        if (events.length > THUMBNAIL.MAX_EVENT_BATCH) {
+            return res.status(400).json({ error: `At most ${THUMBNAIL.MAX_EVENT_BATCH} events per batch` });
+        }
+
+        const { accepted, rejected, duplicate } = await recordThumbnailEvents(events, userId);
+        res.json({ success: true, accepted, rejected, duplicate });
+    } catch (err) {
+        console.error('❌ Error recording thumbnail events:', err.message);
+        res.status(500).json({ error: 'Failed to record thumbnail events' });
+    }
+});
+
+/**
+ * GET /reels/:reelId/retention?days=30
+ * Retention curve of a reel over the last `days` (1-90): per-second and
+ * per-5% retention, quartile reach, completion / loop / seek / mute /
+ * early-drop rates and the steepest drop. Cached for a few minutes.
+ */
+router.get('/reels/:reelId/retention', async (req, res) => {
+    try {
+        const { reelId } = req.params;
+        if (!/^[0-9a-fA-F]{24}$/.test(reelId)) {
+            return res.status(400).json({ error: 'Invalid reel ID format' });
+        }
+        const { days, from } = retentionWindow(req.query.days);
+
+        const cacheKey = `reel:retention:${reelId}:${days}`;
+        const cached = await redis.get(cacheKey);
+        if (cached) {
+            return res.json(JSON.parse(cached));
+        }
+
+        const reel = await Reel.findById(reelId).select('_id hls.duration').lean();
+        if (!reel) {
+            return res.status(404).json({ error: 'Reel not found' });
+        }
+        const buckets = await ReelWatchBucket.find({ reelId: reel._id, hour: { $gte: from } }).lean();
+
+        const payload = {
+            reelId,
+            window: { days, from },
+            ...buildRetention(buckets, { duration: reel.hls?.duration }),
+        };
+        await redis.set(cacheKey, JSON.stringify(payload), 'EX', RETENTION.CACHE_TTL);
+        res.json(payload);
+    } catch (err) {
+        console.error('❌ Error building reel retention:', err.message);
+        res.status(500).json({ error: 'Failed to load reel retention' });
+    }
+});
+
 // ===================== NEW: ENHANCED INTERACTION ROUTES =====================
 router.post('/reels/:reelId/like', async (req, res) => {
     try {
@@ -4033,7 +4173,7 @@ router.get('/reels/trending', async (req, res) => {
         }
 
         const trending = await Reel.find()
-            .select('source reelId videoUrl thumbnailUrl caption likes dislikes viewCount saves scrapedAt publishedAt engagement_score')
+            .select('source reelId videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves scrapedAt publishedAt engagement_score')
             .populate('source', 'name icon favicon') // Populate source info
             .sort({ viewCount: -1, likes: -1 })
             .limit(20)
@@ -4053,6 +4193,60 @@ router.get('/reels/trending', async (req, res) => {
     }
 });
 
+/**
+ * GET /reels/search?q=...&page=1&limit=20
+ * Full-text search over reel captions and spoken transcripts
+ * (jobs/transcribe-reels.js), best match first. Each result carries up to
+ * three transcript cues mentioning the query (`matches`, with start/end
+ * seconds) so clients can seek to where it is said.
+ */
+router.get('/reels/search', async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim().slice(0, 200);
+        if (!query) {
+            return res.status(400).json({ error: 'Missing search query' });
+        }
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+        const cacheKey = `reels-search:${query.toLowerCase()}:${page}:${limit}`;
+        const cached = reelCache.get(cacheKey);
+        if (cached) {
+            return res.json(cached);
+        }
+
+        const reels = await Reel.find(
+            { $text: { $search: query }, videoUrl: { $exists: true, $ne: null } },
+            {
+                score: { $meta: 'textScore' },
+                source: 1, reelId: 1, videoUrl: 1, hlsUrl: 1, captionsUrl: 1, thumbnailUrl: 1, thumbnailBlurhash: 1, caption: 1,
+                likes: 1, dislikes: 1, viewCount: 1, saves: 1, scrapedAt: 1, publishedAt: 1, engagement_score: 1,
+                'transcript.language': 1, 'transcript.segments': 1,
+            }
+        )
+            .sort({ score: { $meta: 'textScore' }, scrapedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit + 1)
+            .populate('source', 'name icon favicon')
+            .lean();
+
+        const terms = searchTerms(query);
+        const results = reels.slice(0, limit).map(({ transcript, engagement_score, ...reel }) => ({
+            ...reel,
+            engagementScore: engagement_score,
+            transcriptLanguage: transcript?.language || null,
+            matches: matchingCues(transcript?.segments, terms),
+        }));
+
+        const payload = { query, page, limit, hasMore: reels.length > limit, reels: results };
+        reelCache.set(cacheKey, payload);
+        res.json(payload);
+    } catch (err) {
+        console.error('❌ Error searching reels:', err.message);
+        res.status(500).json({ error: 'Failed to search reels' });
+    }
+});
+
 // Add personalized recommendations endpoint with time-based scoring
 router.post('/reels/recommendations', async (req, res) => {
     try {
@@ -4072,7 +4266,7 @@ router.post('/reels/recommendations', async (req, res) => {
         // Use PCA embeddings if we receive a 128-dimension embedding
         const usePCA = embedding.length === 128;
         const embeddingField = usePCA ? 'embedding_pca' : 'embedding';
-        const selectFields = `source reelId videoUrl thumbnailUrl caption likes dislikes viewCount saves scrapedAt publishedAt engagement_score ${embeddingField}`;
+        const selectFields = `source reelId videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves scrapedAt publishedAt engagement_score ${embeddingField}`;
 
         console.log(`🎯 Using ${usePCA ? 'PCA' : 'full'} embeddings for recommendation calculation`);
 
@@ -1,61 +1,33 @@
 // routes/youtube.js
 const express = require('express');
-const puppeteer = require('puppeteer');
+const { mediaResolver } = require('../services/mediaResolver');
 const router = express.Router();
-const path = require('path');
 
+/**
+ * GET /api/youtube/stream/:videoId?fresh=1
+ * A playable URL for a YouTube video, via the cached media resolver
+ * (services/mediaResolver.js). `expiresAt` says when the signed URL stops
+ * working; pass fresh=1 to bypass the cache when playback of a cached URL
+ * failed.
+ */
 router.get('/stream/:videoId', async (req, res) => {
     const { videoId } = req.params;
-    const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-
-    console.log(`🎥 Attempting to stream video via Puppeteer Proxy: ${videoUrl}`);
 
     try {
-        // Find the actual path of Chromium
-        const executablePath = path.resolve(
-            process.cwd(),
-            'node_modules/puppeteer/.local-chromium/linux-136.0.7103.92/chrome-linux/chrome'
-        );
-
-        console.log('🚀 Chromium path:', executablePath);
-
-        // Launch Puppeteer with the correct path
-        const browser = await puppeteer.launch({
-            headless: true,
-            executablePath: executablePath,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--no-first-run',
-                '--no-zygote',
-                '--disable-dev-tools',
-                '--single-process',
-            ],
+        const resolved = await mediaResolver.resolve(videoId, {
+            platform: 'youtube',
+            fresh: req.query.fresh === '1' || req.query.fresh === 'true',
         });
-
-        const page = await browser.newPage();
-        await page.goto(videoUrl, { waitUntil: 'networkidle2' });
-
-        // Extract the video stream URL
-        const videoSrc = await page.evaluate(() => {
-            const video = document.querySelector('video');
-            return video ? video.src : null;
+        console.log(`🎥 Resolved YouTube ${videoId} via ${resolved.extractor}${resolved.cached ? ' (cached)' : ''}`);
+        res.json({
+            url: resolved.url,
+            expiresAt: resolved.expiresAt,
+            cached: resolved.cached,
         });
-
-        await browser.close();
-
-        if (!videoSrc) {
-            console.error('❌ Could not extract video source');
-            return res.status(404).json({ error: 'Video stream not available' });
-        }
-
-        console.log(`✅ Video stream found: ${videoSrc}`);
-        res.json({ url: videoSrc });
-
     } catch (err) {
-        console.error('❌ Error fetching video stream via Puppeteer:', err.message);
+        if (err.status === 400) return res.status(400).json({ error: 'Invalid YouTube video ID' });
+        if (err.status === 404) return res.status(404).json({ error: 'Video stream not available' });
+        console.error('❌ Error resolving YouTube stream:', err.message);
         res.status(500).json({ error: 'Failed to fetch video stream' });
     }
 });
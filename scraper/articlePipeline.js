@@ -0,0 +1,187 @@
+// scraper/articlePipeline.js
+//
+// The dedupe → blurhash → embedding → save path every ingest route shares
+// (HTML scraping in scrape.js, feeds in feeds.js). Keeping it in one place
+// means a fix to dedupe or embedding lands for every source type at once.
+const Article = require('../models/Article');
+const RejectedUrl = require('../models/RejectedUrl');
+const { getDeepSeekEmbedding } = require('../utils/deepseek');
+const { convertToPCAEmbedding } = require('../utils/pcaEmbedding');
+const { toVector } = require('../utils/vector');
+const { generateBlurhash } = require('../utils/blurhash');
+const { normalizeUrl } = require('./extractors/helpers');
+const { assignStoryCluster } = require('../services/storyClusters');
+const { threadArticle } = require('../services/storyTimelines');
+const { extractEntities, recordEntityMentions } = require('../services/entityExtraction');
+const { normalizePublishedAt } = require('./publishedDate');
+const { classifyContent } = require('../services/contentQuality');
+
+/** Existing article for a link, matching both the raw and the normalized URL. */
+async function findExistingArticle(link) {
+    const normalizedLink = normalizeUrl(link);
+    return Article.findOne({
+        $or: [
+            { url: link },
+            { url: normalizedLink }
+        ]
+    });
+}
+
+/** Junk marker for a link (models/RejectedUrl.js), raw or normalized URL. */
+async function findRejectedUrl(link) {
+    const normalizedLink = normalizeUrl(link);
+    return RejectedUrl.findOne({ url: { $in: [link, normalizedLink] } }).lean();
+}
+
+/** Remember a junk link so later runs skip it like a stored article. */
+async function recordRejectedUrl(source, { url, title, reasons }) {
+    try {
+        await RejectedUrl.updateOne(
+            { url },
+            { $set: { sourceId: source._id, title, reasons, rejectedAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (err) {
+        console.warn(`⚠️ Failed to record rejected URL ${url}:`, err.message);
+    }
+}
+
+async function embedArticle(title, content) {
+    let embedding = [];
+    let embedding_pca = null;
+    try {
+        const embedInput = `${title}\n\n${content?.slice(0, 512) || ''}`;
+        embedding = await getDeepSeekEmbedding(embedInput);
+        console.log('✅ Got embedding for:', title);
+
+        // Generate PCA embedding for new article
+        if (embedding && embedding.length === 1536) {
+            embedding_pca = await convertToPCAEmbedding(embedding);
+            if (embedding_pca) {
+                console.log('✅ Generated PCA embedding (128D) for:', title);
+            } else {
+                console.warn('⚠️ Failed to generate PCA embedding for:', title);
+            }
+        }
+    } catch (err) {
+        console.warn('❌ Embedding error for article:', title, err.message);
+    }
+    return { embedding, embedding_pca };
+}
+
+/**
+ * Save one extracted article for a source. Callers have already checked the
+ * URL is new and the extraction is usable (isUsableArticle).
+ *
+ * @param {Object} source - Source document
+ * @param {Object} data - { url, title, content, images, publishedAt?, publishedAtMethod? }
+ * @param {Object} [run] - scrape run stats (services/scrapeHealth.js) to count into
+ * @returns {Promise<Object|null>} the saved Article, or null when skipped/failed
+ */
+async function saveArticle(source, { url, title, content, images = [], publishedAt = null, publishedAtMethod = null }, run = null) {
+    const normalizedLink = normalizeUrl(url);
+
+    // Additional duplicate check by title to catch same articles with different URLs
+    const titleExists = await Article.findOne({
+        title: title,
+        sourceId: source._id
+    });
+    if (titleExists) {
+        console.log(`⏭️ Article with same title already exists, skipping: "${title.slice(0, 50)}..."`);
+        if (run) run.duplicate++;
+        return null;
+    }
+
+    // Junk (cookie banners, share rows, wrong-language pages) never reaches the
+    // feed; teasers are kept but marked. See services/contentQuality.js.
+    const quality = classifyContent({ title, content }, { language: source.language || 'english' });
+    if (run) run.contentQuality[quality.label]++;
+    if (quality.label === 'junk') {
+        console.log(`🗑️ Dropping junk content (${quality.reasons.join(', ')}): "${title.slice(0, 50)}..."`);
+        await recordRejectedUrl(source, { url: normalizedLink, title, reasons: quality.reasons });
+        return null;
+    }
+    if (quality.label === 'teaser') {
+        console.log(`✂️ Teaser content (${quality.reasons.join(', ')}): "${title.slice(0, 50)}..."`);
+    }
+
+    let blurhash = null;
+    if (images.length > 0) {
+        blurhash = await generateBlurhash(images[0]);
+        if (blurhash) console.log(`🎨 Generated blurhash (${blurhash.length} chars): ${blurhash}`);
+    }
+
+    const language = source.language || 'english';
+    const [{ embedding, embedding_pca }, entities] = await Promise.all([
+        embedArticle(title, content),
+        extractEntities({ title, content, language }),
+    ]);
+
+    console.log(`📝 Attempting to save article: "${title.slice(0, 50)}..." for source: ${source.name}`);
+    console.log(`📋 Article details - URL: ${normalizedLink}, Category: ${source.category}, Language: ${source.language || "english"}`);
+    console.log(`🖼️ Images found: ${images.length}`);
+    console.log(`🔗 Embedding length: ${embedding.length}`);
+    console.log(`🔗 PCA embedding length: ${embedding_pca ? embedding_pca.length : 'N/A'}`);
+
+    // Future dates are clamped here for every ingest route; the method says
+    // where the date came from (see scraper/publishedDate.js).
+    const published = normalizePublishedAt(publishedAt, publishedAtMethod);
+
+    try {
+        const articleData = {
+            title,
+            content,
+            contentFormat: 'markdown', // NEW: Indicate content is in markdown format
+            contentQuality: quality.label,
+            url: normalizedLink, // Use normalized URL for consistency
+            sourceId: source._id,
+            category: source.category,
+            publishedAt: published.publishedAt,
+            publishedAtMethod: published.method,
+            language: source.language || "english",
+            // Binary float32 vector, not an array of doubles — see utils/vector.js.
+            embedding: toVector(embedding)
+        };
+
+        if (entities.length > 0) articleData.entities = entities.map(e => e.id);
+
+        // Add PCA embedding if available
+        if (embedding_pca && embedding_pca.length === 128) {
+            articleData.embedding_pca = embedding_pca;
+        }
+
+        const newArticle = new Article(articleData);
+
+        if (images.length > 0) newArticle.image = images;
+        if (blurhash) newArticle.blurhash = blurhash;
+
+        // Join a cross-source story cluster when this is a republished wire story.
+        await assignStoryCluster(newArticle);
+
+        console.log(`💾 About to save article to database...`);
+        const savedArticle = await newArticle.save();
+        console.log(`✅ Successfully saved article with ID: ${savedArticle._id}`);
+        await recordEntityMentions(entities, { language, publishedAt: savedArticle.publishedAt });
+        // Thread into a developing story (needs the saved _id); never throws.
+        await threadArticle(savedArticle);
+        if (run) run.new++;
+        return savedArticle;
+    } catch (saveError) {
+        console.error(`❌ Failed to save article "${title.slice(0, 50)}...":`, saveError);
+        console.error(`📊 Save error details:`, {
+            message: saveError.message,
+            code: saveError.code,
+            name: saveError.name,
+            stack: saveError.stack?.split('\n').slice(0, 3).join('\n')
+        });
+        if (run) run.failed++;
+        return null;
+    }
+}
+
+module.exports = {
+    findExistingArticle,
+    findRejectedUrl,
+    embedArticle,
+    saveArticle,
+};
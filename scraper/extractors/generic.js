@@ -0,0 +1,183 @@
+// scraper/extractors/generic.js
+//
+// The original selector-driven flow: listSelector/linkSelector on the listing
+// page, titleSelector/contentSelector/imageSelector on the article page. The
+// defaults are the Quintype markup the first sources used.
+const {
+    cleanText,
+    normalizeImages,
+    isElementVisible,
+    extractBgUrl,
+    resolveHref,
+} = require('./helpers');
+
+const DEFAULT_LIST_SELECTOR = 'div[class*="m04n-"]';
+const DEFAULT_LINK_SELECTOR = 'a';
+const DEFAULT_TITLE_SELECTOR = '.ORiM7';
+const DEFAULT_CONTENT_SELECTOR = '.story-element.story-element-text p';
+
+async function discoverLinks($, source) {
+    const listSel = source.listSelector || DEFAULT_LIST_SELECTOR;
+    const linkSel = source.linkSelector || DEFAULT_LINK_SELECTOR;
+    const links = [];
+    $(listSel).each((_, el) => {
+        const href = $(el).find(linkSel).attr('href');
+        const url = resolveHref(href, source);
+        if (!url) {
+            console.warn(`Skipped invalid href: "${href}" for source: ${source.name}`);
+            return;
+        }
+        if (!links.includes(url)) links.push(url);
+    });
+    return links;
+}
+
+/**
+ * Content selector widened to the h2/h3/ul/ol siblings of the configured
+ * paragraphs, so headings and lists survive as markdown.
+ */
+function expandContentSelector(contentSelector) {
+    const sel = contentSelector || DEFAULT_CONTENT_SELECTOR;
+    const container = sel.replace(/\s+p$/, '');
+    return `${sel}, ${container} h2, ${container} h3, ${container} ul, ${container} ol`;
+}
+
+/**
+ * Walk the content nodes in document order and emit markdown parts, keeping
+ * Instagram/Twitter embeds inline where they appeared.
+ */
+function extractContent($$, contentSelector) {
+    const contentParts = [];
+    let embedCount = 0;
+    let headingCount = 0;
+    let listCount = 0;
+
+    $$(expandContentSelector(contentSelector)).each((_, el) => {
+        // Skip hidden elements
+        if (!isElementVisible($$, el)) return;
+
+        const $el = $$(el);
+
+        // Check if this is an Instagram embed (blockquote or iframe)
+        if ($el.is('blockquote.instagram-media') || $el.is('iframe.instagram-media') || $el.is('iframe.instagram-media-rendered')) {
+            const embedHtml = $$.html(el);
+            if (embedHtml) {
+                contentParts.push(`[INSTAGRAM_EMBED]${embedHtml}[/INSTAGRAM_EMBED]`);
+                embedCount++;
+            }
+            return;
+        }
+
+        // Check if this is a Twitter embed
+        if ($el.is('blockquote.twitter-tweet') || ($el.is('iframe') && ($el.attr('src') || '').includes('twitter.com'))) {
+            const embedHtml = $$.html(el);
+            if (embedHtml) {
+                contentParts.push(`[TWITTER_EMBED]${embedHtml}[/TWITTER_EMBED]`);
+                embedCount++;
+            }
+            return;
+        }
+
+        // Skip elements inside blockquotes (they're part of the embed)
+        if ($el.closest('blockquote.instagram-media').length > 0 ||
+            $el.closest('blockquote.twitter-tweet').length > 0) {
+            return;
+        }
+
+        // Skip other iframes
+        if ($el.is('iframe')) return;
+
+        const tagName = el.name;
+
+        if (tagName === 'h2' || tagName === 'h3') {
+            const heading = $el.text().trim();
+            if (heading.length > 0) {
+                contentParts.push(`\n${tagName === 'h2' ? '##' : '###'} ${heading}\n`);
+                headingCount++;
+            }
+            return;
+        }
+
+        if (tagName === 'ul' || tagName === 'ol') {
+            const listItems = [];
+            $el.find('li').each((i, li) => {
+                const itemText = $$(li).text().trim();
+                if (itemText.length > 0) {
+                    listItems.push(tagName === 'ul' ? `- ${itemText}` : `${i + 1}. ${itemText}`);
+                }
+            });
+            if (listItems.length > 0) {
+                contentParts.push('\n' + listItems.join('\n') + '\n');
+                listCount++;
+            }
+            return;
+        }
+
+        // Extract text content for paragraphs and other elements
+        const text = $el.text().trim();
+        if (text.length > 10) {
+            contentParts.push(text);
+        }
+    });
+
+    if (embedCount > 0 || headingCount > 0 || listCount > 0) {
+        console.log(`📝 Structured content: ${embedCount} embeds, ${headingCount} headings, ${listCount} lists`);
+    }
+
+    // Join all parts (text + embeds + headings + lists) with double newlines
+    return cleanText(contentParts.join('\n\n'));
+}
+
+/**
+ * Images from imageSelector (<img>, data-bg, CSS background-image), then the
+ * .page-header hero, then og:image / twitter:image.
+ */
+function extractImages($$, source, quirks = {}) {
+    const baseUrl = source.baseUrl || source.url;
+    const exclude = quirks.imageExclude || [];
+    const raw = [];
+    $$(source.imageSelector || 'img')
+        .filter((_, el) => isElementVisible($$, el))
+        .each((_, el) => {
+            const $el = $$(el);
+            const src = $el.is('img')
+                ? $el.attr('src') || $el.attr('data-src') || $el.attr('data-lazy-src')
+                : $el.attr('data-bg') || extractBgUrl($el.attr('style'));
+            if (src) raw.push(src);
+        });
+
+    let images = normalizeImages(raw, baseUrl, { exclude });
+
+    // Try to pull hero background from .page-header when no body images found
+    if (images.length === 0) {
+        const style = $$('.page-header').attr('style') || '';
+        const m = style.match(/background-image:\s*url\(["']?([^"')]+)["']?\)/i);
+        if (m) images.unshift(m[1]);
+    }
+
+    // Fallback to Open Graph / Twitter meta
+    if (images.length === 0) {
+        const og = $$('meta[property="og:image"]').attr('content') || $$('meta[name="twitter:image"]').attr('content');
+        if (og) images = normalizeImages([og], baseUrl, { exclude });
+    }
+    return images;
+}
+
+async function extractArticle($$, source, { quirks } = {}) {
+    const title = cleanText($$(source.titleSelector || DEFAULT_TITLE_SELECTOR)
+        .filter((_, el) => isElementVisible($$, el))
+        .first()
+        .text());
+    const content = extractContent($$, source.contentSelector);
+    const images = extractImages($$, source, quirks);
+    return { title, content, images };
+}
+
+module.exports = {
+    name: 'generic',
+    discoverLinks,
+    extractArticle,
+    // Reused by strategies that only differ in how they find the body.
+    extractContent,
+    extractImages,
+};
@@ -0,0 +1,171 @@
+// scraper/extractors/helpers.js
+//
+// Pure HTML/URL helpers shared by scrape.js, testSingleSource.js and every
+// extractor strategy. Nothing here touches the network or Mongo, so the
+// strategies stay testable against saved HTML.
+
+// 🔧 Clean Next.js image proxy URLs - extract the real image URL
+function cleanImageUrl(url) {
+    if (!url) return null;
+
+    // If Next.js proxy URL → extract & decode the real image URL
+    if (url.includes('/_next/image')) {
+        const real = url.split('url=')[1]?.split('&')[0];
+        return real ? decodeURIComponent(real) : null;
+    }
+
+    return url;
+}
+
+const EXCLUDE_FILES = new Set([
+    'insta_icon_5.svg', 'facebook.svg', 'tiktok_icon.svg', 'x_logo_1.svg', 'whatsapp.svg', 'mail.svg'
+]);
+
+/**
+ * Normalize and filter image URLs (strip css url(...), resolve to absolute,
+ * drop social SVGs, remove trackers).
+ *
+ * `exclude` is a list of RegExps for site-specific junk (theme icons, logo
+ * sprites). Callers get it from the source's quirks — see getSiteQuirks() in
+ * ./index.js — instead of hard-coding site paths here.
+ */
+function normalizeImages(imgs, baseUrl, { exclude = [] } = {}) {
+    function unwrapCssUrl(s) {
+        if (!s) return s;
+        const m = s.match(/^\s*url\((?:'|")?([^'")]+)(?:'|")?\)\s*$/i);
+        return m ? m[1] : s;
+    }
+    function absolutize(u) {
+        try {
+            return new URL(u, baseUrl).toString();
+        } catch {
+            return u;
+        }
+    }
+    return Array.from(new Set(
+        (imgs || [])
+            .map(unwrapCssUrl)
+            .map(cleanImageUrl)                                     // Handle Next.js /_next/image proxy URLs
+            .map(u => u && u.trim())
+            .filter(Boolean)
+            .filter(u => !/^data:/i.test(u))                        // drop data-uri
+            .filter(src => {
+                const url = src.toLowerCase();
+                return !url.includes('1x1') &&
+                    !url.includes('pixel') &&
+                    !url.includes('tracker') &&
+                    !url.includes('analytics');
+            })
+            .map(src => {
+                // Replace low-res width params if present
+                src = src.replace(/w=\d+/g, 'w=800');
+                if (src.startsWith('//')) return 'https:' + src;
+                if (src.startsWith('/')) return `${baseUrl.replace(/\/$/, '')}${src}`;
+                return src;
+            })
+            .map(absolutize)
+            .filter(u => {
+                try {
+                    const name = new URL(u).pathname.split('/').pop().toLowerCase();
+                    if (EXCLUDE_FILES.has(name)) return false;
+                    if (exclude.some(re => re.test(u))) return false;
+                    return true;
+                } catch { return false; }
+            })
+    ));
+}
+
+function cleanText(text) {
+    if (!text) return '';
+    return text.replace(/[\u0000-\u001F]+/g, '').trim();
+}
+
+function normalizeUrl(url) {
+    if (!url) return '';
+    try {
+        const urlObj = new URL(url);
+        // Remove common tracking parameters and fragments
+        urlObj.search = '';
+        urlObj.hash = '';
+        // Ensure consistent trailing slash handling
+        if (urlObj.pathname.endsWith('/') && urlObj.pathname.length > 1) {
+            urlObj.pathname = urlObj.pathname.slice(0, -1);
+        }
+        return urlObj.toString();
+    } catch (e) {
+        // If URL parsing fails, return original URL
+        return url;
+    }
+}
+
+function isElementVisible($, element) {
+    const $el = $(element);
+
+    // Check inline styles for display: none or visibility: hidden
+    const style = $el.attr('style') || '';
+    if (style.includes('display:none') || style.includes('display: none') ||
+        style.includes('visibility:hidden') || style.includes('visibility: hidden')) {
+        return false;
+    }
+
+    // Check for common hidden classes
+    const className = $el.attr('class') || '';
+    const hiddenClasses = ['hidden', 'hide', 'invisible', 'sr-only', 'screen-reader-only', 'visually-hidden'];
+    if (hiddenClasses.some(cls => className.includes(cls))) {
+        return false;
+    }
+
+    // Check for common garbage element patterns
+    const id = $el.attr('id') || '';
+    const garbagePatterns = ['ad-', 'advertisement', 'banner', 'popup', 'modal', 'overlay', 'sidebar'];
+    if (garbagePatterns.some(pattern => className.toLowerCase().includes(pattern) || id.toLowerCase().includes(pattern))) {
+        return false;
+    }
+
+    return true;
+}
+
+// Handles values like: url(https://...) or url('https://...') or url("https://...")
+function extractBgUrl(val) {
+    if (!val) return null;
+    const m = /url\((?:'|\")?([^\)'\"]+)(?:'|\")?\)/i.exec(val);
+    return m ? m[1] : null;
+}
+
+/** Origin-style base for relative links: source.baseUrl, else scheme://host of source.url. */
+function sourceBaseUrl(source) {
+    if (source.baseUrl) return source.baseUrl.replace(/\/$/, '');
+    try {
+        const urlObj = new URL(source.url);
+        return `${urlObj.protocol}//${urlObj.hostname}`;
+    } catch {
+        return (source.url || '').replace(/\/$/, '');
+    }
+}
+
+/** Resolve a listing href against the source. Returns null for empty/placeholder hrefs. */
+function resolveHref(href, source) {
+    if (!href || href === ':' || href === '') return null;
+    if (href.startsWith('//')) return 'https:' + href;
+    if (href.startsWith('http')) return href;
+    const baseUrl = sourceBaseUrl(source);
+    return href.startsWith('/') ? `${baseUrl}${href}` : `${baseUrl}/${href}`;
+}
+
+/** An extraction is only worth saving with a real title and more than a teaser of body. */
+function isUsableArticle(article) {
+    return !!(article && article.title && article.content &&
+        article.title.length > 5 && article.content.length > 50);
+}
+
+module.exports = {
+    cleanImageUrl,
+    normalizeImages,
+    cleanText,
+    normalizeUrl,
+    isElementVisible,
+    extractBgUrl,
+    sourceBaseUrl,
+    resolveHref,
+    isUsableArticle,
+};
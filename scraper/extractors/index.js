@@ -0,0 +1,114 @@
+// scraper/extractors/index.js
+//
+// Registry of named extractor strategies. A strategy is a plain object:
+//
+//   {
+//     name: 'generic',
+//     discoverLinks?: async ($, source) => string[],               // listing page → article URLs
+//     extractArticle?: async ($$, source, { quirks }) => { title, content, images } | null,
+//   }
+//
+// A Source picks an ordered chain with `extractors` (e.g. ['jsonld', 'generic']).
+// Both phases walk the chain and fall back to the next strategy when one
+// returns nothing usable, so a redesign that breaks the CSS selectors degrades
+// to JSON-LD / OpenGraph instead of silently producing zero articles.
+const generic = require('./generic');
+const jsonLd = require('./jsonLd');
+const openGraph = require('./openGraph');
+const listApi = require('./listApi');
+const sitemap = require('./sitemap');
+const { isUsableArticle } = require('./helpers');
+const { extractPublishedAt } = require('../publishedDate');
+
+const STRATEGIES = {
+    [generic.name]: generic,
+    [jsonLd.name]: jsonLd,
+    [openGraph.name]: openGraph,
+    [listApi.name]: listApi,
+    [sitemap.name]: sitemap,
+};
+
+const DEFAULT_CHAIN = ['generic', 'jsonld', 'opengraph'];
+
+/**
+ * Site quirks that used to be hard-coded in normalizeImages. Matched against
+ * the source's name/url like BUILTIN_LIST_APIS.
+ */
+const SITE_QUIRKS = [
+    {
+        match: 'whatson',
+        // The whatson-grow theme renders its social/UI icons as <img> SVGs
+        // inside the article body.
+        imageExclude: [/\/wp-content\/themes\/whatson-grow\/images\/[^/]+\.svg(?:$|\?)/i],
+    },
+];
+
+function getSiteQuirks(source) {
+    const hay = `${source.name || ''} ${source.url || ''} ${source.baseUrl || ''}`.toLowerCase();
+    const imageExclude = [];
+    for (const q of SITE_QUIRKS) {
+        if (hay.includes(q.match)) imageExclude.push(...(q.imageExclude || []));
+    }
+    return { imageExclude };
+}
+
+/**
+ * Ordered strategy names for a source. Unknown names are dropped with a
+ * warning rather than failing the whole source. Without an explicit chain,
+ * sources with a listApi config (stored or built-in) discover through it first,
+ * matching testSingleSource.
+ */
+function resolveChain(source) {
+    const configured = Array.isArray(source.extractors) && source.extractors.length > 0
+        ? source.extractors
+        : [...(listApi.getListApiConfig(source) ? ['listApi'] : []), ...DEFAULT_CHAIN];
+    return configured.filter(name => {
+        if (STRATEGIES[name]) return true;
+        console.warn(`⚠️ ${source.name}: unknown extractor "${name}" ignored`);
+        return false;
+    });
+}
+
+/** First strategy in the chain that finds any links wins. */
+async function discoverLinks($, source) {
+    for (const name of resolveChain(source)) {
+        const strategy = STRATEGIES[name];
+        if (!strategy.discoverLinks) continue;
+        try {
+            const links = await strategy.discoverLinks($, source);
+            if (links && links.length > 0) return { links, strategy: name };
+        } catch (err) {
+            console.warn(`⚠️ ${source.name}: ${name} link discovery failed: ${err.message}`);
+        }
+    }
+    return { links: [], strategy: null };
+}
+
+/** First strategy in the chain whose extraction passes isUsableArticle wins. */
+async function extractArticle($$, source) {
+    const quirks = getSiteQuirks(source);
+    for (const name of resolveChain(source)) {
+        const strategy = STRATEGIES[name];
+        if (!strategy.extractArticle) continue;
+        try {
+            const article = await strategy.extractArticle($$, source, { quirks });
+            if (isUsableArticle(article)) {
+                // The date comes from the page as a whole, whichever strategy found the body.
+                const { publishedAt, method } = extractPublishedAt($$, source);
+                return { article: { ...article, publishedAt, publishedAtMethod: method }, strategy: name };
+            }
+        } catch (err) {
+            console.warn(`⚠️ ${source.name}: ${name} extraction failed: ${err.message}`);
+        }
+    }
+    return { article: null, strategy: null };
+}
+
+module.exports = {
+    STRATEGIES,
+    DEFAULT_CHAIN,
+    getSiteQuirks,
+    resolveChain,
+    discoverLinks,
+    extractArticle,
+};
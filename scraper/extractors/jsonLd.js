@@ -0,0 +1,85 @@
+// scraper/extractors/jsonLd.js
+//
+// schema.org JSON-LD. Most WordPress/Arc/Quintype publishers embed a
+// NewsArticle block with the full articleBody, which survives redesigns that
+// break CSS selectors. Listing pages often carry an ItemList we can read links
+// from.
+const { cleanText, normalizeImages, resolveHref } = require('./helpers');
+
+const ARTICLE_TYPES = new Set(['NewsArticle', 'Article', 'ReportageNewsArticle', 'BlogPosting', 'AnalysisNewsArticle']);
+
+/** Every JSON-LD node on the page, with @graph containers and top-level arrays flattened. */
+function readJsonLdNodes($) {
+    const nodes = [];
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) return node.forEach(visit);
+        nodes.push(node);
+        if (Array.isArray(node['@graph'])) node['@graph'].forEach(visit);
+    };
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const raw = $(el).contents().text();
+        if (!raw) return;
+        try {
+            visit(JSON.parse(raw.trim()));
+        } catch {
+            // Publishers ship broken JSON-LD (trailing commas, raw newlines) often
+            // enough that one bad block must not hide the others.
+        }
+    });
+    return nodes;
+}
+
+function hasType(node, types) {
+    const t = node['@type'];
+    return Array.isArray(t) ? t.some(x => types.has(x)) : types.has(t);
+}
+
+/** image may be a URL, an ImageObject, or an array of either. */
+function imageUrls(image) {
+    if (!image) return [];
+    if (Array.isArray(image)) return image.flatMap(imageUrls);
+    if (typeof image === 'string') return [image];
+    if (typeof image === 'object') return [image.url || image.contentUrl].filter(Boolean);
+    return [];
+}
+
+async function discoverLinks($, source) {
+    const links = [];
+    for (const node of readJsonLdNodes($)) {
+        if (!hasType(node, new Set(['ItemList']))) continue;
+        for (const el of node.itemListElement || []) {
+            const href = typeof el === 'string' ? el : el.url || el.item?.url || el.item?.['@id'] || el['@id'];
+            const url = resolveHref(href, source);
+            if (url && !links.includes(url)) links.push(url);
+        }
+    }
+    return links;
+}
+
+async function extractArticle($$, source, { quirks = {} } = {}) {
+    const node = readJsonLdNodes($$).find(n => hasType(n, ARTICLE_TYPES));
+    if (!node) return null;
+
+    const title = cleanText(node.headline || node.name || '');
+    // articleBody is plain text; paragraph breaks are sometimes kept as \n,
+    // which cleanText strips, so split on them first.
+    const content = cleanText(
+        String(node.articleBody || '')
+            .split(/\n+/)
+            .map(p => p.trim())
+            .filter(p => p.length > 0)
+            .join(' ')
+    );
+    const images = normalizeImages(imageUrls(node.image), source.baseUrl || source.url, {
+        exclude: quirks.imageExclude || [],
+    });
+    return { title, content, images };
+}
+
+module.exports = {
+    name: 'jsonld',
+    discoverLinks,
+    extractArticle,
+    readJsonLdNodes,
+};
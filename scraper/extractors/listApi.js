@@ -0,0 +1,159 @@
+// scraper/extractors/listApi.js
+//
+// API-listing adapter (data-driven). Sites with an AJAX/JSON-rendered listing
+// (e.g. sharjah24.ae) are described by a `source.listApi` config (or a
+// built-in below) and discovered via their endpoint instead of DOM selectors.
+// Built-ins let known sites work with zero DB config; source.listApi overrides.
+//
+// Config shape:
+//   urlTemplate   path or absolute URL with {placeholders}
+//   inputs        { placeholder: hiddenInputId } read from the listing page
+//   defaults      { placeholder: value } when the input is missing/empty
+//   lowercase     placeholders to lowercase before substitution
+//   headers       extra request headers (e.g. X-Requested-With)
+//   doubleDecode  payload is a JSON string containing JSON
+//   articlesPath  dot path to the article array in the payload
+//   urlField      field on each article holding its URL
+//   urlRewrite    { from: regex, to: template } applied to each URL
+//   contentSelector  body selector on the detail page (overrides the source's)
+//   preferOgImage    skip the DOM image scan and use og:image
+const { politeGet } = require('../politeness');
+const { cleanText, normalizeImages } = require('./helpers');
+const generic = require('./generic');
+
+const BUILTIN_LIST_APIS = [
+    {
+        match: 'sharjah24',
+        config: {
+            urlTemplate: '/api/feature/ArticlesList/GetArticles?typeID={typeID}&pageNo=1&pageSize={pageSize}&culture={culture}',
+            inputs: { typeID: 'txtTypeID', pageSize: 'txtNOOfItemPerPage', culture: 'txtCulture' },
+            defaults: { pageSize: '20', culture: 'en' },
+            lowercase: ['culture'],
+            headers: { 'X-Requested-With': 'XMLHttpRequest' },
+            doubleDecode: true,
+            articlesPath: 'Articles',
+            urlField: 'DetailPageUrl',
+            urlRewrite: { from: '^/(ar|en)/', to: '/{culture}/' },
+            contentSelector: '.news-detail-heading.default-text-editor',
+            preferOgImage: true
+        }
+    }
+];
+
+function getListApiConfig(source) {
+    if (source.listApi && source.listApi.urlTemplate) return source.listApi;
+    const hay = `${source.name || ''} ${source.url || ''} ${source.baseUrl || ''}`.toLowerCase();
+    const builtin = BUILTIN_LIST_APIS.find(b => hay.includes(b.match));
+    return builtin ? builtin.config : null;
+}
+
+function readHiddenInput($, id) {
+    const $el = $(`#${id}`);
+    return ($el.val() || $el.attr('value') || '').trim();
+}
+
+function getByPath(obj, path) {
+    if (!path) return obj;
+    return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+async function fetchApiListingLinks($, source, cfg) {
+    const values = {};
+    for (const [key, inputId] of Object.entries(cfg.inputs || {})) {
+        values[key] = readHiddenInput($, inputId);
+    }
+    for (const [key, val] of Object.entries(cfg.defaults || {})) {
+        if (!values[key]) values[key] = val;
+    }
+    for (const key of cfg.lowercase || []) {
+        if (values[key]) values[key] = values[key].toLowerCase();
+    }
+
+    const templatePlaceholders = [...cfg.urlTemplate.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+    const missing = templatePlaceholders.filter(p => !values[p]);
+    if (missing.length) {
+        console.warn(`⚠️ ${source.name}: listApi placeholders unresolved [${missing.join(', ')}]`);
+        return [];
+    }
+
+    const path = cfg.urlTemplate.replace(/\{(\w+)\}/g, (_, k) => encodeURIComponent(values[k] ?? ''));
+    const apiUrl = /^https?:\/\//i.test(path) ? path : `${new URL(source.url).origin}${path}`;
+
+    let payload;
+    try {
+        const res = await politeGet(apiUrl, {
+            timeout: 10000,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+                'Referer': source.url,
+                'Accept': '*/*',
+                ...(cfg.headers || {})
+            }
+        }, { source });
+        payload = res.data;
+        const maxDecode = cfg.doubleDecode ? 2 : 1;
+        for (let i = 0; i < maxDecode && typeof payload === 'string'; i++) {
+            try { payload = JSON.parse(payload); } catch { break; }
+        }
+    } catch (err) {
+        console.warn(`⚠️ ${source.name}: listApi request failed: ${err.message}`);
+        return [];
+    }
+
+    const articles = getByPath(payload, cfg.articlesPath || 'Articles') || [];
+    const urlField = cfg.urlField || 'url';
+    // API url fields are root-absolute paths — resolve against the site ORIGIN, not
+    // source.baseUrl (which may carry a locale prefix like "/en", yielding /en/en/…).
+    const origin = new URL(source.url).origin;
+    const links = [];
+    for (const a of articles) {
+        let u = a && a[urlField];
+        if (!u) continue;
+        if (cfg.urlRewrite && cfg.urlRewrite.from) {
+            const to = String(cfg.urlRewrite.to || '').replace(/\{(\w+)\}/g, (_, k) => values[k] ?? '');
+            u = u.replace(new RegExp(cfg.urlRewrite.from, 'i'), to);
+        }
+        let abs;
+        if (/^https?:\/\//i.test(u)) abs = u;
+        else if (u.startsWith('//')) abs = 'https:' + u;
+        else abs = origin + (u.startsWith('/') ? u : '/' + u);
+        if (abs && !links.includes(abs)) links.push(abs);
+    }
+    console.log(`📰 ${source.name}: listApi returned ${links.length} links (${JSON.stringify(values)})`);
+    return links;
+}
+
+async function discoverLinks($, source) {
+    const cfg = getListApiConfig(source);
+    if (!cfg) return [];
+    return fetchApiListingLinks($, source, cfg);
+}
+
+async function extractArticle($$, source, { quirks = {} } = {}) {
+    const cfg = getListApiConfig(source);
+    if (!cfg) return null;
+
+    const { title, content, images: domImages } = await generic.extractArticle($$, {
+        ...(source.toObject ? source.toObject() : source),
+        contentSelector: cfg.contentSelector || source.contentSelector,
+    }, { quirks });
+
+    // Detail pages carry dozens of logos/related thumbs; the canonical og:image
+    // is the only reliable lead image when preferOgImage is set.
+    let images = domImages;
+    if (cfg.preferOgImage) {
+        const og = $$('meta[property="og:image"]').attr('content') || $$('meta[name="twitter:image"]').attr('content');
+        images = og
+            ? normalizeImages([og], source.baseUrl || source.url, { exclude: quirks.imageExclude || [] })
+            : [];
+    }
+    return { title: cleanText(title), content, images };
+}
+
+module.exports = {
+    name: 'listApi',
+    discoverLinks,
+    extractArticle,
+    getListApiConfig,
+    fetchApiListingLinks,
+};
@@ -0,0 +1,29 @@
+// scraper/extractors/openGraph.js
+//
+// Last resort: OpenGraph / Twitter card meta only. The "content" is just the
+// share description, so an article saved this way is effectively a teaser —
+// still better than dropping a story whose body markup we can't read.
+const { cleanText, normalizeImages } = require('./helpers');
+
+function meta($$, ...keys) {
+    for (const key of keys) {
+        const v = $$(`meta[property="${key}"]`).attr('content') || $$(`meta[name="${key}"]`).attr('content');
+        if (v && v.trim()) return v.trim();
+    }
+    return '';
+}
+
+async function extractArticle($$, source, { quirks = {} } = {}) {
+    const title = cleanText(meta($$, 'og:title', 'twitter:title') || $$('title').first().text());
+    const content = cleanText(meta($$, 'og:description', 'twitter:description', 'description'));
+    const image = meta($$, 'og:image', 'og:image:url', 'twitter:image');
+    const images = image
+        ? normalizeImages([image], source.baseUrl || source.url, { exclude: quirks.imageExclude || [] })
+        : [];
+    return { title, content, images };
+}
+
+module.exports = {
+    name: 'opengraph',
+    extractArticle,
+};
@@ -0,0 +1,322 @@
+// scraper/feeds.js
+//
+// Native feed ingestion: RSS 2.0 / RSS 1.0 (RDF), Atom, and Google News
+// sitemaps (<urlset> with news:news). Much cheaper and steadier than scraping
+// listing pages — one conditional GET per run, usually answered with 304.
+//
+// A source is in feed mode when `type === 'rss'` (source.url is the feed, as
+// testSingleSource already assumes) or when `feedUrl` is set alongside a
+// normal website source. Items go through the same dedupe + embedding path as
+// HTML scraping (articlePipeline.js). When a feed only carries a teaser (or,
+// for news sitemaps, nothing but a title), the article page is fetched and run
+// through the source's extractor chain for the full body.
+const { politeGet } = require('./politeness');
+const cheerio = require('cheerio');
+const xml2js = require('xml2js');
+const extractors = require('./extractors');
+const { cleanText, normalizeImages, normalizeUrl, isUsableArticle } = require('./extractors/helpers');
+const { findExistingArticle, findRejectedUrl, saveArticle } = require('./articlePipeline');
+const { newRunStats, markPolitenessSkip } = require('../services/scrapeHealth');
+const { parseDateString, sourceTimezone } = require('./publishedDate');
+
+// Feed bodies shorter than this are treated as teasers and the page is fetched.
+const FULL_CONTENT_MIN_CHARS = 400;
+// First ingest of a feed should not backfill weeks of archive into the feed.
+const MAX_ITEM_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+const MAX_ITEMS_PER_RUN = 50;
+
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+/** Text of an xml2js node that may be a string or { _: text, $: attrs }. */
+function text(node) {
+    if (node == null) return '';
+    if (typeof node === 'string') return node;
+    if (Array.isArray(node)) return text(node[0]);
+    if (typeof node === 'object' && node._ != null) return String(node._);
+    return '';
+}
+
+const attr = (node, name) => (node && typeof node === 'object' && node.$ ? node.$[name] : undefined);
+
+/** Feed date; offset-less values are read in the source's timezone. */
+function parseDate(raw, timezone) {
+    if (!raw) return null;
+    const parsed = parseDateString(String(raw).trim(), { timezone });
+    return parsed ? parsed.date : null;
+}
+
+/**
+ * Feed HTML (description / content:encoded / Atom content) → plain paragraphs
+ * plus any inline image URLs. Paragraph text is kept the same way the generic
+ * extractor keeps it, so feed and scraped articles read alike.
+ */
+function htmlToText(html) {
+    if (!html) return { content: '', images: [] };
+    const $ = cheerio.load(`<div id="feed-root">${html}</div>`);
+    const images = $('img').map((_, img) => $(img).attr('src') || $(img).attr('data-src')).get().filter(Boolean);
+    const blocks = $('#feed-root').find('p, h2, h3, li');
+    const parts = blocks.length > 0
+        ? blocks.map((_, el) => $(el).text().trim()).get().filter(t => t.length > 0)
+        : [$('#feed-root').text().trim()];
+    return { content: cleanText(parts.join(' ')), images };
+}
+
+/** Image-ish media:content / enclosure entries. medium is optional in the wild. */
+function isImageMedia(node) {
+    const type = attr(node, 'type') || '';
+    const medium = attr(node, 'medium') || '';
+    const url = attr(node, 'url') || '';
+    if (medium) return medium === 'image';
+    if (type) return type.startsWith('image/');
+    return /\.(jpe?g|png|webp|gif)(\?|$)/i.test(url);
+}
+
+function mediaImages(item) {
+    const urls = [];
+    const groups = asArray(item['media:group']);
+    const contents = [...asArray(item['media:content']), ...groups.flatMap(g => asArray(g['media:content']))];
+    for (const m of contents) if (isImageMedia(m) && attr(m, 'url')) urls.push(attr(m, 'url'));
+    const thumbs = [...asArray(item['media:thumbnail']), ...groups.flatMap(g => asArray(g['media:thumbnail']))];
+    for (const t of thumbs) if (attr(t, 'url')) urls.push(attr(t, 'url'));
+    for (const e of asArray(item.enclosure)) if (isImageMedia(e) && attr(e, 'url')) urls.push(attr(e, 'url'));
+    return urls;
+}
+
+function parseRssItem(item, timezone) {
+    const html = text(item['content:encoded']) || text(item.description);
+    const body = htmlToText(html);
+    const guid = text(item.guid);
+    const guidIsLink = attr(item.guid, 'isPermaLink') !== 'false' && /^https?:\/\//i.test(guid);
+    return {
+        url: (text(item.link) || (guidIsLink ? guid : '')).trim(),
+        title: cleanText(htmlToText(text(item.title)).content || text(item.title)),
+        content: body.content,
+        images: [...mediaImages(item), ...body.images],
+        publishedAt: parseDate(text(item.pubDate) || text(item['dc:date']), timezone),
+    };
+}
+
+function parseAtomEntry(entry, timezone) {
+    const links = asArray(entry.link);
+    const alternate = links.find(l => !attr(l, 'rel') || attr(l, 'rel') === 'alternate');
+    const enclosures = links.filter(l => attr(l, 'rel') === 'enclosure' && (attr(l, 'type') || '').startsWith('image/'));
+    const body = htmlToText(text(entry.content) || text(entry.summary));
+    return {
+        url: (attr(alternate, 'href') || text(entry.id)).trim(),
+        title: cleanText(htmlToText(text(entry.title)).content),
+        content: body.content,
+        images: [...enclosures.map(l => attr(l, 'href')), ...mediaImages(entry), ...body.images],
+        publishedAt: parseDate(text(entry.published) || text(entry.updated), timezone),
+    };
+}
+
+function parseNewsSitemapUrl(url, timezone) {
+    const news = url['news:news'] || {};
+    return {
+        url: text(url.loc).trim(),
+        title: cleanText(text(news['news:title'])),
+        content: '',
+        images: asArray(url['image:image']).map(i => text(i['image:loc'])).filter(Boolean),
+        publishedAt: parseDate(text(news['news:publication_date']) || text(url.lastmod), timezone),
+    };
+}
+
+/**
+ * Parse a feed document into normalized items.
+ * @param {string} xml
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - zone for dates without an offset
+ * @returns {Promise<{ format: 'rss'|'atom'|'news-sitemap', items: Array }>}
+ */
+async function parseFeed(xml, { timezone = 'UTC' } = {}) {
+    const doc = await xml2js.parseStringPromise(xml, { explicitArray: false, trim: true });
+    if (doc.rss) {
+        return { format: 'rss', items: asArray(doc.rss.channel?.item).map(i => parseRssItem(i, timezone)) };
+    }
+    if (doc['rdf:RDF']) {
+        return { format: 'rss', items: asArray(doc['rdf:RDF'].item).map(i => parseRssItem(i, timezone)) };
+    }
+    if (doc.feed) {
+        return { format: 'atom', items: asArray(doc.feed.entry).map(e => parseAtomEntry(e, timezone)) };
+    }
+    if (doc.urlset) {
+        return { format: 'news-sitemap', items: asArray(doc.urlset.url).map(u => parseNewsSitemapUrl(u, timezone)) };
+    }
+    throw new Error(`Unrecognised feed document (root: ${Object.keys(doc)[0]})`);
+}
+
+function isFeedSource(source) {
+    return source.type === 'rss' || !!source.feedUrl;
+}
+
+function feedUrlFor(source) {
+    return source.feedUrl || source.url;
+}
+
+/**
+ * Conditional GET using the validators stored on the source. Returns
+ * { notModified: true } on 304; otherwise the body and the new validators.
+ * The caller persists the validators with the rest of the source update.
+ */
+async function fetchFeed(source) {
+    const headers = {
+        'User-Agent': 'Mozilla/5.0 (compatible; GulfioFeedReader/1.0)',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5',
+    };
+    if (source.feedEtag) headers['If-None-Match'] = source.feedEtag;
+    if (source.feedLastModified) headers['If-Modified-Since'] = source.feedLastModified;
+
+    const response = await politeGet(feedUrlFor(source), {
+        timeout: 15000,
+        headers,
+        responseType: 'text',
+        validateStatus: (status) => status === 304 || (status >= 200 && status < 300),
+    }, { source });
+    if (response.status === 304) return { notModified: true, status: 304 };
+    return {
+        notModified: false,
+        status: response.status,
+        xml: response.data,
+        etag: response.headers?.etag || null,
+        lastModified: response.headers?.['last-modified'] || null,
+    };
+}
+
+/** Full body from the article page via the source's extractor chain, or null. */
+async function fetchFullArticle(source, url, run) {
+    try {
+        const { data } = await politeGet(url, {
+            timeout: 10000,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+            }
+        }, { source });
+        const { article, strategy } = await extractors.extractArticle(cheerio.load(data), source);
+        if (strategy) run.extractStrategies[strategy] = (run.extractStrategies[strategy] || 0) + 1;
+        return article;
+    } catch (err) {
+        console.warn(`⚠️ Failed to fetch full article ${url}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Merge a feed item with the page extraction. The page wins for body text
+ * (feeds truncate); the feed wins for title and images when present, since
+ * publishers curate those for syndication.
+ */
+function mergeItem(item, page, baseUrl, quirks) {
+    const title = item.title || page?.title || '';
+    const content = (page && page.content.length > item.content.length) ? page.content : item.content;
+    const images = normalizeImages(
+        item.images.length > 0 ? item.images : (page?.images || []),
+        baseUrl,
+        { exclude: quirks.imageExclude }
+    );
+    return { title, content, images };
+}
+
+/**
+ * Ingest one feed source. Same contract as scrapeHtmlSource in scrape.js:
+ * resolves to the saved articles, or null when the feed itself is unreachable
+ * or unparseable, and fills in `run` (see services/scrapeHealth.js) along the
+ * way.
+ *
+ * The new ETag / Last-Modified are only taken once every item was handled:
+ * if one threw (DB or classifier outage), the next run must fetch the feed
+ * again rather than get a 304 and never retry it. Items skipped for unusable
+ * content don't hold the validators back — they would fail the same way.
+ */
+async function ingestFeedSource(source, { now = Date.now(), run = newRunStats() } = {}) {
+    let fetched;
+    try {
+        fetched = await fetchFeed(source);
+    } catch (err) {
+        console.error(`❌ Feed fetch failed for ${source.name}:`, err.message);
+        run.httpStatus = err.response?.status || null;
+        run.error = `Feed fetch failed: ${err.message}`;
+        markPolitenessSkip(run, err);
+        return null;
+    }
+    run.httpStatus = fetched.status;
+    if (fetched.notModified) {
+        console.log(`📡 ${source.name}: feed not modified since last run (304)`);
+        run.notModified = true;
+        return [];
+    }
+
+    let format;
+    let items;
+    try {
+        ({ format, items } = await parseFeed(fetched.xml, { timezone: sourceTimezone(source) }));
+    } catch (err) {
+        console.error(`❌ Feed parse failed for ${source.name}:`, err.message);
+        run.error = `Feed parse failed: ${err.message}`;
+        return null;
+    }
+    console.log(`📡 ${source.name}: ${format} feed with ${items.length} items`);
+    run.strategy = `feed:${format}`;
+    run.found = items.length;
+
+    const baseUrl = source.baseUrl || feedUrlFor(source);
+    const quirks = extractors.getSiteQuirks(source);
+    const saved = [];
+    let errored = 0;
+    const fresh = items
+        .filter(item => item.url)
+        .filter(item => !item.publishedAt || now - item.publishedAt.getTime() <= MAX_ITEM_AGE_MS)
+        .slice(0, MAX_ITEMS_PER_RUN);
+
+    for (const item of fresh) {
+        const normalizedLink = normalizeUrl(item.url);
+        try {
+            if (await findExistingArticle(item.url)) {
+                console.log(`⏭️ Article already exists, skipping: ${normalizedLink}`);
+                run.duplicate++;
+                continue;
+            }
+            if (await findRejectedUrl(item.url)) {
+                console.log(`⏭️ Previously rejected as junk, skipping: ${normalizedLink}`);
+                run.duplicate++;
+                continue;
+            }
+
+            const page = item.content.length < FULL_CONTENT_MIN_CHARS
+                ? await fetchFullArticle(source, item.url, run)
+                : null;
+            const article = mergeItem(item, page, baseUrl, quirks);
+            if (!isUsableArticle(article)) {
+                console.warn(`⚠️ Skipping feed item with insufficient content: ${normalizedLink}`);
+                run.failed++;
+                continue;
+            }
+
+            // The feed's date, else whatever the page carries. saveArticle
+            // clamps future dates.
+            const dated = item.publishedAt
+                ? { publishedAt: item.publishedAt, publishedAtMethod: 'feed' }
+                : { publishedAt: page?.publishedAt || null, publishedAtMethod: page?.publishedAtMethod || null };
+            const doc = await saveArticle(source, { ...article, url: item.url, ...dated }, run);
+            if (doc) saved.push(doc);
+        } catch (err) {
+            console.error(`Error on feed item ${normalizedLink}:`, err.message);
+            run.failed++;
+            errored++;
+        }
+    }
+
+    if (errored === 0) {
+        source.feedEtag = fetched.etag;
+        source.feedLastModified = fetched.lastModified;
+    } else {
+        console.warn(`⚠️ ${source.name}: ${errored} feed items errored; keeping the old validators so they are retried`);
+    }
+    return saved;
+}
+
+module.exports = {
+    isFeedSource,
+    parseFeed,
+    fetchFeed,
+    ingestFeedSource,
+};
@@ -1,5 +1,15 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
+const { schedule } = require('./politeness');
+
+// Statuses the politeness scheduler backs off on. A 403 only counts when the
+// page we ended up with is still a challenge — bot walls often answer 403 and
+// then let the browser through after their JS check.
+const BLOCK_PAGE_PATTERN = /captcha|datadome|cf-chl|challenge-platform|access denied|attention required/i;
+
+function blockedError(url, status, headers) {
+    return Object.assign(new Error(`Blocked (HTTP ${status}) fetching ${url}`), { response: { status, headers } });
+}
 
 async function findChrome() {
     const possiblePaths = [
@@ -41,8 +51,25 @@ async function findChrome() {
     return undefined;
 }
 
-async function fetchWithPuppeteer(url, options = {}) {
+/**
+ * Fetch a page with headless Chrome, paced by the per-host politeness
+ * scheduler. Pass options.source so blocks are recorded on the source.
+ *
+ * With options.returnPage the live { browser, page } is returned and the
+ * host's slot stays taken until the caller closes the browser.
+ *
+ * options.checkRequest(url) vets every request the page makes, redirects
+ * and subresources included: requests it rejects are aborted, and a
+ * rejected main-frame navigation fails the fetch with that error.
+ */
+function fetchWithPuppeteer(url, options = {}) {
+    return schedule(url, ({ holdSlot }) => launchAndFetch(url, options, holdSlot), { source: options.source, transport: 'browser' });
+}
+
+async function launchAndFetch(url, options = {}, holdSlot) {
     let browser;
+    let navStatus = null;
+    let navHeaders = {};
     try {
         // Configure for Cloud Run and other serverless environments
         const launchOptions = {
@@ -116,25 +143,51 @@ async function fetchWithPuppeteer(url, options = {}) {
         // Set user agent to avoid detection
         await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
 
+        let refused = null;
+        if (options.checkRequest) {
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                Promise.resolve()
+                    .then(() => options.checkRequest(request.url()))
+                    .then(() => request.continue(), (err) => {
+                        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) refused = refused || err;
+                        console.log(`[Puppeteer] Refused request to ${request.url()}: ${err.message}`);
+                        return request.abort('blockedbyclient');
+                    })
+                    .catch(() => {}); // the page may already be closed
+            });
+        }
+
         console.log(`[Puppeteer] Navigating to: ${url}`);
 
         try {
             // Reduced timeout for Cloud Run compatibility and added more robust waiting
-            await page.goto(url, {
+            const navResponse = await page.goto(url, {
                 waitUntil: 'domcontentloaded', // Changed from 'networkidle2' which can be unreliable
                 timeout: 15000
             });
+            navStatus = navResponse?.status() ?? null;
+            navHeaders = navResponse?.headers() || {};
+            if (navStatus === 429 || navStatus === 503) throw blockedError(url, navStatus, navHeaders);
 
             // Wait a bit for dynamic content to load
             await new Promise(resolve => setTimeout(resolve, 2000));
 
         } catch (navigationError) {
+            if (navigationError.response) throw navigationError;
             console.log(`[Puppeteer] Navigation warning for ${url}:`, navigationError.message);
             // Try to get content even if navigation had issues
         }
+        if (refused) throw refused;
 
-        // Return early if the caller wants to interact before closing
+        // Return early if the caller wants to interact before closing. The
+        // block check runs first so the scheduler still sees challenge pages,
+        // and the slot is held until the browser goes away.
         if (options.returnPage) {
+            if (navStatus === 403 && BLOCK_PAGE_PATTERN.test((await page.content()).slice(0, 20000))) {
+                throw blockedError(url, navStatus, navHeaders);
+            }
+            browser.once('disconnected', holdSlot());
             return { browser, page };
         }
 
@@ -170,6 +223,10 @@ async function fetchWithPuppeteer(url, options = {}) {
             console.log(`[Puppeteer] Browser cleanup warning:`, closeError.message);
         }
 
+        if (navStatus === 403 && BLOCK_PAGE_PATTERN.test(html.slice(0, 20000))) {
+            throw blockedError(url, navStatus, navHeaders);
+        }
+
         console.log(`[Puppeteer] Successfully fetched content (${html.length} characters)`);
         return { html };
     } catch (error) {
@@ -199,3 +256,4 @@ async function fetchWithPuppeteer(url, options = {}) {
 }
 
 module.exports = fetchWithPuppeteer;
+module.exports.findChrome = findChrome;
@@ -0,0 +1,247 @@
+// scraper/fixtureHarness.js
+//
+// Recorded-source regression fixtures. A fixture is one source's listing page
+// and a few of its article pages, captured from the live site, plus what the
+// extractor chain produced from them at the time:
+//
+//   tests/fixtures/sources/<name>/
+//     fixture.json    source config, listing URL, article URLs, URL → file map
+//     pages/*         every response the extraction needed (HTML, API JSON, XML)
+//     expected.json   links + { title, content, images, publishedAt, publishedAtMethod } per article
+//
+// replayFixture() runs the same discoverLinks/extractArticle chain as
+// scrape.js with axios stubbed to serve only the recorded responses (anything
+// else throws FIXTURE_MISS) and the clock pinned to the recording time, so a
+// change to the helpers or a source's selectors shows up as a diff against
+// expected.json. scripts/recordScraperFixture.js records new fixtures and
+// regenerates expected.json after an intended change; tests/scraperFixtures.test.js
+// replays them all.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const extractors = require('./extractors');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'sources');
+
+// Source fields extraction reads. Everything else (stats, health, ids) would
+// only churn the fixture.
+const SOURCE_FIELDS = [
+    'name', 'url', 'baseUrl', 'type', 'category', 'language',
+    'listSelector', 'linkSelector', 'titleSelector', 'contentSelector', 'imageSelector',
+    'listApi', 'extractors', 'sitemapUrl',
+];
+
+function sourceConfig(source) {
+    const plain = source.toObject ? source.toObject() : source;
+    const config = {};
+    for (const field of SOURCE_FIELDS) {
+        if (plain[field] != null) config[field] = plain[field];
+    }
+    return config;
+}
+
+function fixtureNames() {
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'fixture.json')))
+        .sort();
+}
+
+function loadFixture(name) {
+    const dir = path.join(FIXTURES_DIR, name);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'fixture.json'), 'utf8'));
+    const expectedPath = path.join(dir, 'expected.json');
+    const expected = fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')) : null;
+    return { name, dir, manifest, expected };
+}
+
+/** Recorded body for a URL, as axios would have returned it. */
+function readResponse(fixture, url) {
+    const file = fixture.manifest.responses[url];
+    if (!file) return undefined;
+    const body = fs.readFileSync(path.join(fixture.dir, file), 'utf8');
+    return file.endsWith('.json') ? JSON.parse(body) : body;
+}
+
+/** The article fields a fixture asserts on, in a stable JSON shape. */
+function snapshotArticle(url, strategy, article) {
+    return {
+        url,
+        strategy,
+        title: article?.title ?? null,
+        images: article?.images ?? [],
+        publishedAt: article?.publishedAt ? new Date(article.publishedAt).toISOString() : null,
+        publishedAtMethod: article?.publishedAtMethod ?? null,
+        content: article?.content ?? null,
+    };
+}
+
+/**
+ * Replay a fixture through the extractor chain with the network stubbed out.
+ * @returns {Promise<{ links: string[], linkStrategy: string|null, articles: Object[] }>}
+ */
+async function replayFixture(fixture) {
+    const { manifest } = fixture;
+    const source = manifest.source;
+    const realGet = axios.get;
+    const realNow = Date.now;
+    const realPoliteness = process.env.SCRAPER_POLITENESS;
+    const recordedAt = new Date(manifest.recordedAt).getTime();
+
+    axios.get = async (url) => {
+        const data = readResponse(fixture, url);
+        if (data === undefined) {
+            throw Object.assign(new Error(`No recorded response for ${url}`), { code: 'FIXTURE_MISS' });
+        }
+        return { status: 200, headers: {}, data };
+    };
+    // Sitemap/feed age windows are relative to now; replay as of the recording.
+    Date.now = () => recordedAt;
+    process.env.SCRAPER_POLITENESS = 'off';
+    try {
+        const $ = cheerio.load(readResponse(fixture, manifest.listing) || '');
+        const { links, strategy: linkStrategy } = await extractors.discoverLinks($, source);
+        const articles = [];
+        for (const url of manifest.articles) {
+            const html = readResponse(fixture, url);
+            const { article, strategy } = html === undefined
+                ? { article: null, strategy: null }
+                : await extractors.extractArticle(cheerio.load(html), source);
+            articles.push(snapshotArticle(url, strategy, article));
+        }
+        return { links, linkStrategy, articles };
+    } finally {
+        axios.get = realGet;
+        Date.now = realNow;
+        if (realPoliteness === undefined) delete process.env.SCRAPER_POLITENESS;
+        else process.env.SCRAPER_POLITENESS = realPoliteness;
+    }
+}
+
+/**
+ * Differences between a replay and expected.json, one line each. Long text
+ * fields are reported by first differing offset rather than dumped whole —
+ * `git diff` on a regenerated expected.json is the place to read them.
+ */
+function compareToExpected(actual, expected) {
+    const problems = [];
+    const show = (v) => JSON.stringify(v);
+    if (actual.linkStrategy !== expected.linkStrategy) {
+        problems.push(`link strategy: expected ${show(expected.linkStrategy)}, got ${show(actual.linkStrategy)}`);
+    }
+    const missing = expected.links.filter(l => !actual.links.includes(l));
+    const extra = actual.links.filter(l => !expected.links.includes(l));
+    if (missing.length) problems.push(`links missing: ${missing.join(', ')}`);
+    if (extra.length) problems.push(`links added: ${extra.join(', ')}`);
+
+    for (const want of expected.articles) {
+        const got = actual.articles.find(a => a.url === want.url);
+        if (!got) {
+            problems.push(`${want.url}: not replayed`);
+            continue;
+        }
+        for (const field of ['strategy', 'title', 'publishedAt', 'publishedAtMethod']) {
+            if (got[field] !== want[field]) problems.push(`${want.url} ${field}: expected ${show(want[field])}, got ${show(got[field])}`);
+        }
+        if (show(got.images) !== show(want.images)) {
+            problems.push(`${want.url} images: expected ${show(want.images)}, got ${show(got.images)}`);
+        }
+        if (got.content !== want.content) {
+            const a = want.content || '';
+            const b = got.content || '';
+            let i = 0;
+            while (i < a.length && i < b.length && a[i] === b[i]) i++;
+            problems.push(`${want.url} content differs at char ${i}: expected ${show(a.slice(i, i + 60))}, got ${show(b.slice(i, i + 60))}`);
+        }
+    }
+    return problems;
+}
+
+/** Replay and overwrite expected.json — after an intended extraction change. */
+async function writeExpected(fixture) {
+    const result = await replayFixture(fixture);
+    fs.writeFileSync(path.join(fixture.dir, 'expected.json'), JSON.stringify(result, null, 2) + '\n');
+    return result;
+}
+
+function fileExtension(data, contentType = '') {
+    if (typeof data !== 'string') return '.json';
+    if (/xml|rss|atom/i.test(contentType)) return '.xml';
+    if (/html/i.test(contentType) || /^\s*</.test(data)) return '.html';
+    return '.txt';
+}
+
+/**
+ * Record a fixture from the live source: the listing, the first `articles`
+ * discovered links, and every other response extraction fetched on the way
+ * (list APIs, sitemaps). Then replays it to write expected.json, so the
+ * expectation is exactly what a replay produces.
+ *
+ * @param {Object} source - Source document or plain config
+ * @param {Object} options
+ * @param {string} options.name - fixture directory name
+ * @param {number} [options.articles=3]
+ * @param {Function} options.fetchPage - async (source, url) => html, the live fetch
+ */
+async function recordFixture(source, { name, articles = 3, fetchPage }) {
+    const dir = path.join(FIXTURES_DIR, name);
+    fs.rmSync(path.join(dir, 'pages'), { recursive: true, force: true });
+    fs.mkdirSync(path.join(dir, 'pages'), { recursive: true });
+
+    const config = sourceConfig(source);
+    const responses = {};
+    let counter = 0;
+    const save = (url, data, contentType, label) => {
+        const file = `pages/${label || `response-${++counter}`}${fileExtension(data, contentType)}`;
+        fs.writeFileSync(path.join(dir, file), typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+        responses[url] = file;
+    };
+
+    // Capture whatever the strategies fetch themselves (list APIs, sitemaps).
+    // The pages are saved under their own names below; robots.txt belongs to
+    // the politeness scheduler, not extraction.
+    const captured = new Map();
+    const realGet = axios.get;
+    axios.get = async (url, options) => {
+        const res = await realGet(url, options);
+        if (!url.endsWith('/robots.txt')) captured.set(url, res);
+        return res;
+    };
+    let links;
+    try {
+        const listingHtml = await fetchPage(source, config.url);
+        save(config.url, listingHtml, 'text/html', 'listing');
+        ({ links } = await extractors.discoverLinks(cheerio.load(listingHtml), source));
+        const picked = links.slice(0, articles);
+        for (const [i, url] of picked.entries()) {
+            save(url, await fetchPage(source, url), 'text/html', `article-${i + 1}`);
+        }
+        links = picked;
+    } finally {
+        axios.get = realGet;
+    }
+    for (const [url, res] of captured) {
+        if (!responses[url]) save(url, res.data, res.headers?.['content-type']);
+    }
+
+    const manifest = {
+        source: config,
+        recordedAt: new Date().toISOString(),
+        listing: config.url,
+        articles: links,
+        responses,
+    };
+    fs.writeFileSync(path.join(dir, 'fixture.json'), JSON.stringify(manifest, null, 2) + '\n');
+    return writeExpected(loadFixture(name));
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    fixtureNames,
+    loadFixture,
+    replayFixture,
+    compareToExpected,
+    writeExpected,
+    recordFixture,
+};
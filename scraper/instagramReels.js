@@ -1,6 +1,6 @@
 const puppeteer = require('puppeteer');
 const Reel = require('../models/Reel');
-const { igdl } = require('btch-downloader');
+const { getInstagramVideoUrl } = require('../services/mediaResolver');
 const axios = require('axios');
 const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 
@@ -21,19 +21,6 @@ const s3 = new S3Client({
     }
 });
 
-async function getInstagramVideoUrl(reelUrl) {
-    try {
-        const result = await igdl(reelUrl);
-        if (Array.isArray(result) && result.length > 0 && result[0].url?.startsWith('http')) {
-            return result[0].url;
-        }
-        throw new Error('No valid MP4 URL found in btch-downloader result');
-    } catch (err) {
-        console.error('btch-downloader igdl error:', err);
-        throw new Error('Failed to extract video URL using btch-downloader');
-    }
-}
-
 async function uploadToR2(videoUrl, filename) {
     try {
         const response = await axios.get(videoUrl, { responseType: 'arraybuffer' });
@@ -0,0 +1,333 @@
+// scraper/politeness.js
+//
+// Per-host request scheduler shared by every scraper fetch (axios via
+// politeGet, Puppeteer via fetchWithPuppeteer). Before this, scrapeAllSources
+// fired requests with no regard for robots.txt or per-host pacing, and a 403
+// was answered by immediately retrying the same host with Puppeteer — which
+// is how DataDome/Cloudflare-protected sources (Doha News, TimeOut Dubai)
+// learned to block us.
+//
+// For each request:
+//   1. robots.txt is consulted (cached per origin); a disallowed path throws
+//      ROBOTS_DISALLOWED without touching the site.
+//   2. The host's backoff is honoured: wait if it ends soon, otherwise fail
+//      fast with HOST_BACKOFF so one blocked site can't stall a scrape run.
+//   3. A per-host slot is taken (SCRAPER_MAX_PER_HOST, default 1) and the
+//      request waits out the host's pacing interval — robots.txt Crawl-delay
+//      when set, else SCRAPER_MIN_INTERVAL_MS.
+//   4. 403/429/503 responses push the host into exponential backoff (or the
+//      server's Retry-After) and are recorded on the source (blockEvents).
+//
+// Backoff is tracked per transport for 403s: a 403 to plain HTTP usually
+// means "not a browser", and the Puppeteer fallback in scrape.js is still
+// worth one try. 429 and 503 mean "slow down" and back off the whole host.
+//
+// SCRAPER_POLITENESS=off bypasses all of it (offline tests, one-off scripts).
+const axios = require('axios');
+const Source = require('../models/Source');
+
+const BLOCK_STATUSES = new Set([403, 429, 503]);
+// Our token in robots.txt groups; '*' groups apply too.
+const ROBOTS_AGENT = 'gulfiobot';
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+// A Crawl-delay above this is treated as this — a sitewide 1-per-minute pace
+// is the slowest a scrape run can tolerate.
+const MAX_CRAWL_DELAY_MS = 60 * 1000;
+const MAX_BLOCK_EVENTS = 20;
+
+const config = {
+    maxConcurrentPerHost: parseInt(process.env.SCRAPER_MAX_PER_HOST, 10) || 1,
+    minIntervalMs: parseInt(process.env.SCRAPER_MIN_INTERVAL_MS, 10) || 1000,
+    backoffBaseMs: parseInt(process.env.SCRAPER_BACKOFF_BASE_MS, 10) || 5 * 60 * 1000,
+    backoffMaxMs: parseInt(process.env.SCRAPER_BACKOFF_MAX_MS, 10) || 6 * 60 * 60 * 1000,
+    // Longer waits than this fail fast instead of sleeping.
+    maxWaitMs: parseInt(process.env.SCRAPER_MAX_WAIT_MS, 10) || 60 * 1000,
+};
+
+const hosts = new Map();
+const robotsCache = new Map();
+
+const isEnabled = () => process.env.SCRAPER_POLITENESS !== 'off';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function hostState(host) {
+    if (!hosts.has(host)) {
+        hosts.set(host, {
+            active: 0,
+            waiters: [],
+            nextAt: 0,
+            backoff: {
+                all: { until: 0, level: 0 },
+                http: { until: 0, level: 0 },
+                browser: { until: 0, level: 0 },
+            },
+        });
+    }
+    return hosts.get(host);
+}
+
+// ───────────────────────────── robots.txt ─────────────────────────────
+
+// Product token of a User-agent value or UA string: "Gulfiobot/2.1 (+https://…)" → "gulfiobot".
+function productToken(value) {
+    const m = String(value || '').match(/^[a-z_-]+/i);
+    return m ? m[0].toLowerCase() : '';
+}
+
+/**
+ * Parse robots.txt for our agent: the most specific matching group
+ * (gulfiobot, else *). Pure.
+ * @returns {{ rules: Array<{ allow: boolean, path: string }>, crawlDelayMs: number|null }}
+ */
+function parseRobots(text, agent = ROBOTS_AGENT) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!m) continue;
+        const field = m[1].toLowerCase();
+        const value = m[2].trim();
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group.
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelayMs: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!current) continue;
+        if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything; it adds no rule.
+            if (value) current.rules.push({ allow: field === 'allow', path: value });
+        } else if (field === 'crawl-delay') {
+            const seconds = parseFloat(value);
+            if (!isNaN(seconds) && seconds >= 0) current.crawlDelayMs = Math.min(seconds * 1000, MAX_CRAWL_DELAY_MS);
+        }
+    }
+
+    // Match on product tokens, case-insensitively, as the robots.txt spec
+    // does: a `bot` group is not ours just because "gulfiobot" contains it.
+    const token = productToken(agent);
+    const named = groups.filter(g => g.agents.some(a => a !== '*' && productToken(a) === token));
+    const chosen = named.length > 0 ? named : groups.filter(g => g.agents.includes('*'));
+    return {
+        rules: chosen.flatMap(g => g.rules),
+        crawlDelayMs: chosen.map(g => g.crawlDelayMs).find(d => d != null) ?? null,
+    };
+}
+
+function ruleRegex(path) {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path)
+        .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/** Longest matching rule wins; Allow wins a tie. Pure. */
+function isAllowedByRobots(robots, pathAndQuery) {
+    let best = null;
+    for (const rule of robots.rules) {
+        if (!ruleRegex(rule.path).test(pathAndQuery)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+const ALLOW_ALL = { rules: [], crawlDelayMs: null };
+const DISALLOW_ALL = { rules: [{ allow: false, path: '/' }], crawlDelayMs: null };
+
+/**
+ * robots.txt for an origin, cached for a day. Missing or 4xx robots.txt
+ * allows everything and a 5xx disallows until the next check (the same
+ * reading Google uses). A network failure allows — the page fetch will hit
+ * the same failure and report it — and is retried sooner.
+ */
+async function getRobots(origin) {
+    const cached = robotsCache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.robots;
+
+    let robots;
+    let ttl = ROBOTS_TTL_MS;
+    try {
+        const res = await axios.get(`${origin}/robots.txt`, {
+            timeout: 5000,
+            responseType: 'text',
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; GulfioBot/1.0)' },
+            validateStatus: () => true,
+        });
+        if (res.status >= 500) {
+            robots = DISALLOW_ALL;
+            ttl = config.backoffBaseMs;
+        } else if (res.status >= 400) {
+            robots = ALLOW_ALL;
+        } else {
+            robots = parseRobots(typeof res.data === 'string' ? res.data : '');
+        }
+    } catch (err) {
+        console.warn(`⚠️ robots.txt unavailable for ${origin}:`, err.message);
+        robots = ALLOW_ALL;
+        ttl = config.backoffBaseMs;
+    }
+    robotsCache.set(origin, { robots, expiresAt: Date.now() + ttl });
+    return robots;
+}
+
+// ───────────────────────────── blocks ─────────────────────────────
+
+/** Append a block event to the source (capped) — never throws. */
+async function recordBlock(source, event) {
+    if (!source?._id) return;
+    try {
+        await Source.updateOne(
+            { _id: source._id },
+            {
+                $set: { lastBlockedAt: event.at, lastBlockReason: event.reason },
+                $push: { blockEvents: { $each: [event], $slice: -MAX_BLOCK_EVENTS } },
+            }
+        );
+    } catch (err) {
+        console.warn(`⚠️ Failed to record block for ${source.name}:`, err.message);
+    }
+}
+
+function retryAfterMs(headers) {
+    const raw = headers?.['retry-after'];
+    if (!raw) return 0;
+    const seconds = Number(raw);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(raw);
+    return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function errorWithCode(code, message, extra = {}) {
+    return Object.assign(new Error(message), { code }, extra);
+}
+
+function blockStatusOf(err) {
+    const status = err?.response?.status;
+    return BLOCK_STATUSES.has(status) ? status : null;
+}
+
+// ───────────────────────────── scheduler ─────────────────────────────
+
+async function acquireSlot(state) {
+    while (state.active >= config.maxConcurrentPerHost) {
+        await new Promise(resolve => state.waiters.push(resolve));
+    }
+    state.active++;
+}
+
+function releaseSlot(state) {
+    state.active--;
+    const next = state.waiters.shift();
+    if (next) next();
+}
+
+/**
+ * Run `task` (which performs one request to `url`) under the host's robots
+ * rules, backoff and pacing.
+ *
+ * The host slot is released when the task settles, unless the task calls
+ * `holdSlot()` — for results still in use against the host after it returns
+ * (a live Puppeteer page). holdSlot returns the release function, and the
+ * caller owns it from then on. Call it last: a task that throws after
+ * holding keeps the slot until release is called.
+ *
+ * @param {string} url
+ * @param {Function} task - async ({ holdSlot }) => result
+ * @param {Object} [options]
+ * @param {Object} [options.source] - Source document, for block records
+ * @param {'http'|'browser'} [options.transport='http']
+ */
+async function schedule(url, task, { source = null, transport = 'http' } = {}) {
+    if (!isEnabled()) return task({ holdSlot: () => () => {} });
+
+    const { origin, hostname, pathname, search } = new URL(url);
+    const state = hostState(hostname);
+    const label = source?.name || hostname;
+
+    const robots = await getRobots(origin);
+    if (!isAllowedByRobots(robots, `${pathname}${search}`)) {
+        const reason = `robots.txt disallows ${pathname}`;
+        await recordBlock(source, { at: new Date(), host: hostname, status: null, reason, url });
+        throw errorWithCode('ROBOTS_DISALLOWED', `${label}: ${reason}`);
+    }
+
+    const backoffUntil = Math.max(state.backoff.all.until, state.backoff[transport].until);
+    const wait = backoffUntil - Date.now();
+    if (wait > config.maxWaitMs) {
+        throw errorWithCode('HOST_BACKOFF', `${label}: ${hostname} is backing off until ${new Date(backoffUntil).toISOString()}`);
+    }
+    if (wait > 0) await sleep(wait);
+
+    await acquireSlot(state);
+    let held = false;
+    let released = false;
+    const release = () => {
+        if (released) return;
+        released = true;
+        releaseSlot(state);
+    };
+    const holdSlot = () => {
+        held = true;
+        return release;
+    };
+    try {
+        const paceWait = state.nextAt - Date.now();
+        if (paceWait > 0) await sleep(paceWait);
+        state.nextAt = Date.now() + Math.max(config.minIntervalMs, robots.crawlDelayMs || 0);
+
+        try {
+            const result = await task({ holdSlot });
+            state.backoff.all.level = 0;
+            state.backoff[transport].level = 0;
+            return result;
+        } catch (err) {
+            const status = blockStatusOf(err);
+            if (status) {
+                // 403 is about this client; 429/503 are about the whole host.
+                const bucket = state.backoff[status === 403 ? transport : 'all'];
+                bucket.level++;
+                const delay = Math.max(
+                    Math.min(config.backoffBaseMs * 2 ** (bucket.level - 1), config.backoffMaxMs),
+                    retryAfterMs(err.response.headers)
+                );
+                bucket.until = Date.now() + delay;
+                const reason = `HTTP ${status} via ${transport}; backing off ${Math.round(delay / 1000)}s`;
+                console.warn(`🚦 ${label}: ${reason}`);
+                await recordBlock(source, { at: new Date(), host: hostname, status, reason, url, backoffUntil: new Date(bucket.until) });
+            }
+            throw err;
+        }
+    } finally {
+        if (!held) release();
+    }
+}
+
+/** axios.get through the scheduler. Same signature plus { source }. */
+function politeGet(url, options = {}, { source = null } = {}) {
+    return schedule(url, () => axios.get(url, options), { source, transport: 'http' });
+}
+
+/** Test hook: forget hosts/robots and optionally override config. */
+function reset(overrides = {}) {
+    hosts.clear();
+    robotsCache.clear();
+    Object.assign(config, overrides);
+}
+
+module.exports = {
+    schedule,
+    politeGet,
+    parseRobots,
+    isAllowedByRobots,
+    reset,
+};
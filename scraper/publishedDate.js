@@ -0,0 +1,412 @@
+// scraper/publishedDate.js
+//
+// Publish-date extraction and normalisation for scraped articles. Before
+// this, HTML-scraped articles were stamped with the ingest time, and feed
+// dates without an offset were read in the server's zone (UTC on Cloud Run),
+// which is how Gulf-time stories ended up four hours in the future and needed
+// fix-future-dates.js.
+//
+// extractPublishedAt() tries, in order:
+//   jsonld    schema.org datePublished
+//   meta      article:published_time and the other publisher meta tags
+//   time      <time datetime> / <time> text
+//   text      date-looking elements (".post-date", "#publish-time", …), read
+//             as an absolute date or, failing that, a relative one
+//   relative  "2 hours ago", "منذ ساعتين", "۳ ساعت پیش"
+//
+// Absolute dates may be Gregorian (English or Arabic month names), Hijri
+// (Umm al-Qura) or Solar Hijri, in Latin, Arabic-Indic or Persian digits.
+// Wall-clock times without an offset are read in the source's timezone
+// (Source.timezone, else SCRAPER_DEFAULT_TIMEZONE, else Asia/Dubai).
+//
+// normalizePublishedAt() is applied once at save time (articlePipeline.js):
+// future dates are clamped to now and the method that produced the value is
+// recorded on the article as publishedAtMethod.
+const { readJsonLdNodes } = require('./extractors/jsonLd');
+
+const DEFAULT_TIMEZONE = process.env.SCRAPER_DEFAULT_TIMEZONE || 'Asia/Dubai';
+// Clock skew between us and publishers; later than this is a wrong date.
+const FUTURE_TOLERANCE_MS = 10 * 60 * 1000;
+// Anything earlier is a parse error (or an archive page we don't want anyway).
+const MIN_YEAR = 1995;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const ARTICLE_TYPES = new Set(['NewsArticle', 'Article', 'ReportageNewsArticle', 'BlogPosting', 'AnalysisNewsArticle', 'LiveBlogPosting']);
+
+const META_SELECTORS = [
+    'meta[property="article:published_time"]',
+    'meta[name="article:published_time"]',
+    'meta[property="og:article:published_time"]',
+    'meta[itemprop="datePublished"]',
+    'meta[property="rnews:datePublished"]',
+    'meta[name="pubdate"]',
+    'meta[name="publishdate"]',
+    'meta[name="publish-date"]',
+    'meta[name="parsely-pub-date"]',
+    'meta[name="sailthru.date"]',
+    'meta[name="DC.date.issued"]',
+    'meta[name="dc.date"]',
+    'meta[name="date"]',
+];
+
+const TEXT_SELECTORS = [
+    '[itemprop="datePublished"]',
+    '[class*="publish"]',
+    '[class*="posted"]',
+    '[class*="date"]',
+    '[id*="date"]',
+    '[class*="time"]',
+].join(', ');
+
+// ───────────────────────────── text normalisation ─────────────────────────────
+
+/** Arabic-Indic and Persian digits to ASCII, Arabic letter variants folded. */
+function normalizeDigits(text) {
+    return String(text || '')
+        .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+        .replace(/[،٫]/g, ',')
+        .replace(/‌/g, ' ')
+        .replace(/ي/g, 'ی')
+        .replace(/ك/g, 'ک')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Month names → month number, per calendar. Keys are already digit/letter
+// normalised (ي → ی, ك → ک). Longer names first so "تشرین الثانی" wins over "تشرین".
+const GREGORIAN_MONTHS = {
+    january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7,
+    august: 8, september: 9, october: 10, november: 11, december: 12,
+    jan: 1, feb: 2, mar: 3, apr: 4, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+    'ینایر': 1, 'فبرایر': 2, 'مارس': 3, 'أبریل': 4, 'ابریل': 4, 'إبریل': 4, 'مایو': 5,
+    'یونیو': 6, 'یونیه': 6, 'یولیو': 7, 'یولیه': 7, 'أغسطس': 8, 'اغسطس': 8,
+    'سبتمبر': 9, 'أکتوبر': 10, 'اکتوبر': 10, 'نوفمبر': 11, 'دیسمبر': 12,
+    'کانون الثانی': 1, 'شباط': 2, 'آذار': 3, 'نیسان': 4, 'أیار': 5, 'ایار': 5, 'حزیران': 6,
+    'تموز': 7, 'آب': 8, 'أیلول': 9, 'ایلول': 9, 'تشرین الأول': 10, 'تشرین الاول': 10,
+    'تشرین الثانی': 11, 'کانون الأول': 12, 'کانون الاول': 12,
+    // Persian names for Gregorian months, used by Farsi sites alongside the solar date.
+    'ژانویه': 1, 'فوریه': 2, 'آوریل': 4, 'مه': 5, 'ژوئن': 6, 'ژوئیه': 7, 'اوت': 8, 'سپتامبر': 9, 'اکتبر': 10, 'نوامبر': 11, 'دسامبر': 12,
+};
+const HIJRI_MONTHS = {
+    'محرم': 1, 'صفر': 2, 'ربیع الأول': 3, 'ربیع الاول': 3, 'ربیع الآخر': 4, 'ربیع الثانی': 4,
+    'جمادى الأولى': 5, 'جمادى الاولى': 5, 'جمادی الأولى': 5, 'جمادى الآخرة': 6, 'جمادى الثانیة': 6, 'جمادی الآخرة': 6,
+    'رجب': 7, 'شعبان': 8, 'رمضان': 9, 'شوال': 10, 'ذو القعدة': 11, 'ذی القعدة': 11, 'ذو الحجة': 12, 'ذی الحجة': 12,
+};
+const SOLAR_HIJRI_MONTHS = {
+    'فروردین': 1, 'اردیبهشت': 2, 'خرداد': 3, 'تیر': 4, 'مرداد': 5, 'شهریور': 6,
+    'مهر': 7, 'آبان': 8, 'آذر': 9, 'دی': 10, 'بهمن': 11, 'اسفند': 12,
+};
+
+function monthPattern(table) {
+    return Object.keys(table)
+        .sort((a, b) => b.length - a.length)
+        .map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+}
+const MONTH_TABLES = [
+    { calendar: 'islamic-umalqura', table: HIJRI_MONTHS, re: new RegExp(`(\\d{1,2})\\s*(${monthPattern(HIJRI_MONTHS)})\\s*,?\\s*(\\d{4})`) },
+    { calendar: 'persian', table: SOLAR_HIJRI_MONTHS, re: new RegExp(`(\\d{1,2})\\s*(${monthPattern(SOLAR_HIJRI_MONTHS)})\\s*,?\\s*(\\d{4})`) },
+    { calendar: 'gregory', table: GREGORIAN_MONTHS, re: new RegExp(`(\\d{1,2})(?:st|nd|rd|th)?\\s*(?:of\\s+)?(${monthPattern(GREGORIAN_MONTHS)})\\.?\\s*,?\\s*(\\d{4})`, 'i') },
+];
+// "October 11, 2026" — English month-first order.
+const MONTH_FIRST_RE = new RegExp(`\\b(${monthPattern(GREGORIAN_MONTHS)})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'i');
+
+// ───────────────────────────── calendars and zones ─────────────────────────────
+
+const calendarFormatters = new Map();
+function calendarParts(calendar, utcMs) {
+    if (!calendarFormatters.has(calendar)) {
+        calendarFormatters.set(calendar, new Intl.DateTimeFormat(`en-u-ca-${calendar}`, {
+            timeZone: 'UTC', year: 'numeric', month: 'numeric', day: 'numeric',
+        }));
+    }
+    const parts = {};
+    for (const p of calendarFormatters.get(calendar).formatToParts(new Date(utcMs))) parts[p.type] = p.value;
+    return { year: parseInt(parts.year, 10), month: parseInt(parts.month, 10), day: parseInt(parts.day, 10) };
+}
+
+// Known new-year days and mean year lengths, for a first guess that the
+// search below corrects against ICU.
+const CALENDAR_ANCHORS = {
+    'islamic-umalqura': { year: 1447, startMs: Date.UTC(2025, 5, 26), yearDays: 354.367, monthDays: 29.53 },
+    persian: { year: 1404, startMs: Date.UTC(2025, 2, 21), yearDays: 365.2422, monthDays: null },
+};
+
+/** Gregorian {year, month, day} for a Hijri or Solar Hijri date, or null. */
+function toGregorian(calendar, year, month, day) {
+    if (calendar === 'gregory') return { year, month, day };
+    const anchor = CALENDAR_ANCHORS[calendar];
+    const monthOffset = anchor.monthDays
+        ? (month - 1) * anchor.monthDays
+        : (month <= 7 ? (month - 1) * 31 : 186 + (month - 7) * 30);
+    const guess = anchor.startMs + Math.round(((year - anchor.year) * anchor.yearDays + monthOffset + day - 1)) * DAY + 12 * HOUR;
+    for (let delta = 0; delta <= 12; delta++) {
+        for (const ms of delta === 0 ? [guess] : [guess - delta * DAY, guess + delta * DAY]) {
+            const p = calendarParts(calendar, ms);
+            if (p.year === year && p.month === month && p.day === day) {
+                const d = new Date(ms);
+                return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+            }
+        }
+    }
+    return null;
+}
+
+function isValidTimezone(tz) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/** IANA zone used for a source's offset-less wall-clock times. */
+function sourceTimezone(source) {
+    const tz = source?.timezone;
+    return tz && isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+const zoneFormatters = new Map();
+function zoneOffsetMs(timezone, utcMs) {
+    if (!zoneFormatters.has(timezone)) {
+        zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+        }));
+    }
+    const p = {};
+    for (const part of zoneFormatters.get(timezone).formatToParts(new Date(utcMs))) p[part.type] = part.value;
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/** UTC instant of a wall-clock time in `timezone` (DST-safe). */
+function zonedToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Second pass picks up a DST change between the wall time and the instant.
+    const guess = wall - zoneOffsetMs(timezone, wall);
+    return new Date(wall - zoneOffsetMs(timezone, guess));
+}
+
+// ───────────────────────────── parsing ─────────────────────────────
+
+/** "09:15", "9:15 pm", "09:15 م", "۰۹:۱۵ ب.ظ" → { hour, minute, second } or null. */
+function parseClock(text) {
+    const m = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.|ص|م|ق\.ظ|ب\.ظ|صباحا|مساء)?/i);
+    if (!m) return null;
+    let hour = parseInt(m[1], 10);
+    const marker = (m[4] || '').toLowerCase();
+    if (/^(pm|p\.m\.|م|ب\.ظ|مساء)$/.test(marker) && hour < 12) hour += 12;
+    if (/^(am|a\.m\.|ص|ق\.ظ|صباحا)$/.test(marker) && hour === 12) hour = 0;
+    if (hour > 23) return null;
+    return { hour, minute: parseInt(m[2], 10), second: m[3] ? parseInt(m[3], 10) : 0 };
+}
+
+// Numeric years tell the calendar apart: Solar Hijri is in the 1390s–1420s
+// and Hijri in the 1430s–1470s for any date we'd ingest.
+function calendarForYear(year) {
+    if (year >= 1380 && year < 1430) return 'persian';
+    if (year >= 1430 && year < 1500) return 'islamic-umalqura';
+    return 'gregory';
+}
+
+/** Calendar date + optional clock found in free text, or null. */
+function parseDateParts(text) {
+    // ISO-like: 2026-10-11[T ]09:15[:00]
+    let m = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s]+(\d{1,2}:\d{2}(?::\d{2})?))?/);
+    if (m) return { calendar: calendarForYear(+m[1]), year: +m[1], month: +m[2], day: +m[3], clock: m[4] ? parseClock(m[4]) : parseClock(text.slice(m.index + m[0].length)) };
+
+    // Numeric with slashes/dots: year first (1405/07/20) or day first (11/10/2026, Gulf order).
+    m = text.match(/\b(\d{4})[/.](\d{1,2})[/.](\d{1,2})\b/);
+    if (m) return { calendar: calendarForYear(+m[1]), year: +m[1], month: +m[2], day: +m[3], clock: parseClock(text) };
+    m = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/);
+    if (m) {
+        // US order only when the Gulf reading is impossible (10/25/2026).
+        const [day, month] = +m[2] > 12 && +m[1] <= 12 ? [+m[2], +m[1]] : [+m[1], +m[2]];
+        return { calendar: calendarForYear(+m[3]), year: +m[3], month, day, clock: parseClock(text) };
+    }
+
+    for (const { calendar, table, re } of MONTH_TABLES) {
+        m = text.match(re);
+        if (m) {
+            const month = table[m[2]] || table[m[2].toLowerCase()];
+            return { calendar, year: +m[3], month, day: +m[1], clock: parseClock(text) };
+        }
+    }
+    m = text.match(MONTH_FIRST_RE);
+    if (m) return { calendar: 'gregory', year: +m[3], month: GREGORIAN_MONTHS[m[1].toLowerCase()], day: +m[2], clock: parseClock(text) };
+    return null;
+}
+
+/**
+ * Parse an absolute date string. Strings with an explicit offset (ISO "Z" /
+ * "+04:00", RFC 822 "+0400" / "GMT") are taken as-is; anything else is a wall
+ * clock in `timezone`. Date-only values get `dateOnly: true`.
+ *
+ * @returns {{ date: Date, dateOnly: boolean }|null}
+ */
+function parseDateString(raw, { timezone = DEFAULT_TIMEZONE } = {}) {
+    if (!raw) return null;
+    const text = normalizeDigits(raw);
+
+    const hasZone = /(?:\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:Z|[+-]\d{2}:?\d{2})|\b(?:GMT|UTC|[ECMP][SD]T)\b)/i.test(text);
+    if (hasZone && /^[\x20-\x7e]+$/.test(text)) {
+        const d = new Date(text);
+        if (!isNaN(d) && d.getUTCFullYear() >= MIN_YEAR) return { date: d, dateOnly: false };
+    }
+
+    const parts = parseDateParts(text);
+    if (!parts || !parts.month || parts.month > 12 || !parts.day || parts.day > 31) return null;
+    const greg = toGregorian(parts.calendar, parts.year, parts.month, parts.day);
+    if (!greg || greg.year < MIN_YEAR) return null;
+    const date = zonedToUtc({ ...greg, ...(parts.clock || {}) }, timezone);
+    return isNaN(date) ? null : { date, dateOnly: !parts.clock };
+}
+
+const RELATIVE_UNITS = [
+    // [pattern, ms] — English, Arabic (singular / dual / plural), Farsi.
+    [/^(?:seconds?|secs?|ثانیة|ثانیتین|ثوان|ثوانی|ثانیه)$/, 1000],
+    [/^(?:minutes?|mins?|دقیقة|دقیقتین|دقیقتان|دقائق|دقیقه)$/, MINUTE],
+    [/^(?:hours?|hrs?|ساعة|ساعتین|ساعتان|ساعات|ساعت)$/, HOUR],
+    [/^(?:days?|یوم|یومین|یومان|أیام|ایام|روز)$/, DAY],
+    [/^(?:weeks?|أسبوع|اسبوع|أسبوعین|اسبوعین|أسابیع|اسابیع|هفته)$/, 7 * DAY],
+    [/^(?:months?|شهر|شهرین|أشهر|اشهر|شهور|ماه)$/, 30 * DAY],
+];
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    'یک': 1, 'دو': 2, 'سه': 3, 'چهار': 4, 'پنج': 5, 'شش': 6, 'هفت': 7, 'هشت': 8, 'نه': 9, 'ده': 10,
+    'واحد': 1, 'ثلاث': 3, 'ثلاثة': 3, 'أربع': 4, 'أربعة': 4, 'خمس': 5, 'خمسة': 5,
+};
+
+function unitMs(word) {
+    const hit = RELATIVE_UNITS.find(([re]) => re.test(word));
+    return hit ? hit[1] : null;
+}
+
+/**
+ * Relative publish times: "2 hours ago", "منذ ساعتين", "قبل 3 ساعات",
+ * "۳ ساعت پیش", "yesterday", "أمس", "دیروز". Arabic duals (ساعتين) carry the
+ * count in the word itself.
+ *
+ * @returns {Date|null}
+ */
+function parseRelative(raw, { now = Date.now() } = {}) {
+    const text = normalizeDigits(raw).toLowerCase();
+    if (/\b(?:just now|moments? ago)\b|الآن|للتو|لحظات|هم اکنون|همین الان|لحظاتی پیش/.test(text)) return new Date(now);
+    if (/\byesterday\b|أمس|امس|دیروز/.test(text)) return new Date(now - DAY);
+
+    const countOf = (word) => (/^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word]);
+
+    // English / Farsi: "<n> <unit> ago|پیش".
+    let m = text.match(/(\d+|[a-z]+|[؀-ۿ]+)\s+([a-z]+|[؀-ۿ]+)\s+(?:ago|پیش)/);
+    if (m && countOf(m[1]) != null && unitMs(m[2])) return new Date(now - countOf(m[1]) * unitMs(m[2]));
+
+    // Arabic: "منذ|قبل <n> <unit>", or a bare unit — "منذ ساعة", dual "منذ ساعتين".
+    m = text.match(/(?:منذ|قبل)\s+(\d+|[؀-ۿ]+)(?:\s+([؀-ۿ]+))?/);
+    if (!m) return null;
+    if (countOf(m[1]) != null && m[2] && unitMs(m[2])) return new Date(now - countOf(m[1]) * unitMs(m[2]));
+    const ms = unitMs(m[1]);
+    if (!ms) return null;
+    const count = /(?:ین|ان)$/.test(m[1]) ? 2 : 1;
+    return new Date(now - count * ms);
+}
+
+// ───────────────────────────── extraction ─────────────────────────────
+
+function firstParsed(candidates, timezone) {
+    for (const raw of candidates) {
+        const parsed = parseDateString(raw, { timezone });
+        if (parsed) return { ...parsed, raw };
+    }
+    return null;
+}
+
+/** Date from the article page, or { publishedAt: null, method: null }. */
+function extractPublishedAt($$, source, { now = Date.now() } = {}) {
+    const timezone = sourceTimezone(source);
+    // A date-only value for today is as precise as "now"; earlier days get
+    // local noon so they don't sink below everything published that day.
+    // Future days are left for normalizePublishedAt to clamp.
+    const fromDateOnly = (start) => {
+        if (start > now) return new Date(start);
+        return start + DAY > now ? new Date(now) : new Date(start + 12 * HOUR);
+    };
+    const result = (parsed, method) => ({
+        publishedAt: parsed.dateOnly ? fromDateOnly(parsed.date.getTime()) : parsed.date,
+        method,
+        raw: parsed.raw,
+    });
+
+    const jsonLd = readJsonLdNodes($$)
+        .filter(n => ARTICLE_TYPES.has(n['@type']) || (Array.isArray(n['@type']) && n['@type'].some(t => ARTICLE_TYPES.has(t))) || n.datePublished)
+        .map(n => n.datePublished || n.dateCreated)
+        .filter(v => typeof v === 'string');
+    let parsed = firstParsed(jsonLd, timezone);
+    if (parsed) return result(parsed, 'jsonld');
+
+    const meta = META_SELECTORS.map(sel => $$(sel).attr('content')).filter(Boolean);
+    parsed = firstParsed(meta, timezone);
+    if (parsed) return result(parsed, 'meta');
+
+    const times = [];
+    $$('time').each((_, el) => {
+        const $el = $$(el);
+        const value = $el.attr('datetime') || $el.text();
+        if (!value) return;
+        // <time pubdate> / itemprop=datePublished is the publish date; keep it first.
+        if ($el.is('[pubdate], [itemprop="datePublished"]')) times.unshift(value);
+        else times.push(value);
+    });
+    parsed = firstParsed(times.slice(0, 10), timezone);
+    if (parsed) return result(parsed, 'time');
+
+    const texts = [];
+    $$(TEXT_SELECTORS).each((_, el) => {
+        if (texts.length >= 20) return false;
+        const $el = $$(el);
+        const value = ($el.attr('content') || $el.attr('datetime') || $el.text() || '').trim();
+        if (value && value.length <= 120) texts.push(value);
+    });
+    parsed = firstParsed(texts, timezone);
+    if (parsed) return result(parsed, 'text');
+    for (const value of texts) {
+        const date = parseRelative(value, { now });
+        if (date) return { publishedAt: date, method: 'relative', raw: value };
+    }
+    return { publishedAt: null, method: null, raw: null };
+}
+
+/**
+ * Final publishedAt for a new article. Future dates beyond clock skew are
+ * clamped to now (method gets a ":clamped" suffix so they stay findable);
+ * no date at all falls back to the ingest time.
+ *
+ * @returns {{ publishedAt: Date, method: string }}
+ */
+function normalizePublishedAt(publishedAt, method, { now = Date.now() } = {}) {
+    const date = publishedAt ? new Date(publishedAt) : null;
+    if (!date || isNaN(date) || date.getUTCFullYear() < MIN_YEAR) {
+        return { publishedAt: new Date(now), method: 'ingest' };
+    }
+    if (date.getTime() > now + FUTURE_TOLERANCE_MS) {
+        return { publishedAt: new Date(now), method: `${method || 'unknown'}:clamped` };
+    }
+    return { publishedAt: date, method: method || 'unknown' };
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    sourceTimezone,
+    normalizeDigits,
+    toGregorian,
+    zonedToUtc,
+    parseDateString,
+    parseRelative,
+    extractPublishedAt,
+    normalizePublishedAt,
+};
@@ -0,0 +1,128 @@
+// scraper/revisit.js
+//
+// Re-fetch one stored article and apply the publisher's edits. Ingest never
+// looks at a URL twice (findExistingArticle), so without this a correction or
+// an updated death toll never reaches readers. jobs/revisit-articles.js picks
+// which articles to revisit; services/articleRevisions.js decides whether the
+// new extraction is a real edit.
+const cheerio = require('cheerio');
+const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
+const { politeGet } = require('./politeness');
+const fetchWithPuppeteer = require('./fetchWithPuppeteer');
+const extractors = require('./extractors');
+const { isFeedSource } = require('./feeds');
+const { embedArticle } = require('./articlePipeline');
+const { planRevisit } = require('../services/articleRevisions');
+const { fingerprint } = require('../utils/nearDuplicate');
+const { toVector } = require('../utils/vector');
+
+/** Article page HTML; Puppeteer when plain HTTP is refused, as in scrape.js. */
+async function fetchArticleHtml(source, url) {
+    try {
+        const response = await politeGet(url, {
+            timeout: 10000,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+            }
+        }, { source });
+        return response.data;
+    } catch (err) {
+        if (err.response?.status !== 403 && err.code !== 'HOST_BACKOFF') throw err;
+        const { html } = await fetchWithPuppeteer(url, { source });
+        return html;
+    }
+}
+
+/**
+ * Revisit one article. Always stamps lastRevisitedAt so the job moves on;
+ * on a meaningful edit stores an ArticleRevision, updates the article and
+ * re-embeds it. A feed article's first revisit only swaps the stored feed
+ * summary for the page body (see planRevisit).
+ *
+ * @param {Object} article - lean Article with _id, title, content, url, sourceId, contentBaselinedAt
+ * @param {Object} source - Source document
+ * @returns {Promise<'revised'|'baselined'|'unchanged'|'suspect'|'failed'>}
+ */
+async function revisitArticle(article, source, { now = new Date() } = {}) {
+    let extracted;
+    try {
+        const html = await fetchArticleHtml(source, article.url);
+        ({ article: extracted } = await extractors.extractArticle(cheerio.load(html), source));
+    } catch (err) {
+        console.warn(`⚠️ Revisit fetch failed for ${article.url}:`, err.message);
+    }
+    if (!extracted) {
+        await Article.updateOne({ _id: article._id }, { $set: { lastRevisitedAt: now } });
+        return 'failed';
+    }
+
+    // Feed sources keep the feed's headline (publishers curate it for
+    // syndication; the page <title> often carries a site suffix).
+    const next = {
+        title: isFeedSource(source) ? article.title : extracted.title,
+        content: extracted.content,
+    };
+    const { action, comparison } = planRevisit(article, next, {
+        baseline: isFeedSource(source) && !article.contentBaselinedAt,
+    });
+    if (action === 'suspect') {
+        console.warn(`⚠️ Revisit of "${article.title.slice(0, 50)}..." lost most of the body, keeping the stored version`);
+    }
+    if (action === 'suspect' || action === 'unchanged') {
+        await Article.updateOne({ _id: article._id }, { $set: { lastRevisitedAt: now } });
+        return action;
+    }
+
+    const { embedding, embedding_pca } = await embedArticle(next.title, next.content);
+    const { minhash, lshBands } = fingerprint(next.title, next.content);
+    const update = {
+        title: next.title,
+        content: next.content,
+        contentFormat: 'markdown',
+        minhash,
+        lshBands,
+        lastRevisitedAt: now,
+    };
+    // A failed embedding keeps the old vectors rather than blanking them.
+    if (embedding.length > 0) update.embedding = toVector(embedding);
+    if (embedding_pca && embedding_pca.length === 128) update.embedding_pca = embedding_pca;
+
+    if (action === 'baseline') {
+        update.contentBaselinedAt = now;
+        await Article.updateOne({ _id: article._id }, { $set: update });
+        console.log(`📄 Baselined "${next.title.slice(0, 50)}..." on the page body`);
+        return 'baselined';
+    }
+    update.lastRevisedAt = now;
+    if (comparison.significant) update.isUpdated = true;
+
+    try {
+        await Article.updateOne({ _id: article._id }, { $set: update, $inc: { revisionCount: 1 } });
+    } catch (err) {
+        // E11000: the new headline collides with another article from the source.
+        console.error(`❌ Failed to apply revision to ${article.url}:`, err.message);
+        await Article.updateOne({ _id: article._id }, { $set: { lastRevisitedAt: now } });
+        return 'failed';
+    }
+    await ArticleRevision.create({
+        articleId: article._id,
+        sourceId: article.sourceId,
+        revisedAt: now,
+        previousTitle: article.title,
+        title: next.title,
+        titleChanged: comparison.titleChanged,
+        contentChanged: comparison.contentChanged,
+        numbersChanged: comparison.numbersChanged,
+        changeRatio: comparison.changeRatio,
+        significant: comparison.significant,
+        diff: comparison.diff,
+    });
+    console.log(`✏️ Revised "${next.title.slice(0, 50)}..." (${Math.round(comparison.changeRatio * 100)}% changed${comparison.significant ? ', significant' : ''})`);
+    return 'revised';
+}
+
+module.exports = {
+    fetchArticleHtml,
+    revisitArticle,
+};
@@ -0,0 +1,509 @@
+// scraper/selectorInference.js
+//
+// Selector inference for onboarding a new source from nothing but its
+// homepage URL (POST /api/sources/infer). testSingleSource.js checks
+// selectors an admin has already typed in; this proposes them.
+//
+// Listing: article-looking links on the page are grouped by the repeating
+// ancestor ("card") that holds them. Each candidate list/link selector pair is
+// scored by running the generic extractor's own discovery rule on it — the
+// first matching anchor inside each card — so a proposal means exactly what
+// it will mean at scrape time.
+//
+// Article: a few of the discovered links are fetched and title, content and
+// image selectors are scored by how consistently they work across those
+// pages. The winning combination is run through the generic extractor to
+// produce the sample extractions shown to the admin.
+//
+// Every URL is resolved before it is fetched (statically or with
+// Puppeteer): hosts on loopback, private, link-local or otherwise internal
+// addresses are refused with UNSAFE_URL, so the endpoint can't be used to
+// read internal services or cloud metadata. Static fetches re-check the
+// address at connect time, which also covers redirects and DNS rebinding.
+// Puppeteer intercepts every request the page makes — redirects and
+// subresources included — and aborts those whose host fails the same check;
+// a refused main-frame navigation fails the fetch with UNSAFE_URL.
+const dns = require('dns');
+const net = require('net');
+const { politeGet } = require('./politeness');
+const cheerio = require('cheerio');
+const fetchWithPuppeteer = require('./fetchWithPuppeteer');
+const generic = require('./extractors/generic');
+const { readJsonLdNodes } = require('./extractors/jsonLd');
+const { cleanText, isElementVisible } = require('./extractors/helpers');
+
+const SAMPLE_ARTICLES = 3;
+const MAX_CANDIDATES = 3;
+// Static HTML with fewer article links than this is assumed to be JS-rendered.
+const MIN_STATIC_LINKS = 5;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Path segments that mark index/utility pages rather than stories.
+const NON_ARTICLE_SEGMENTS = /^(tag|tags|topic|topics|category|categories|section|author|authors|page|search|login|register|subscribe|about|contact|privacy|terms|video|videos|gallery|live)$/i;
+const STATE_CLASSES = /^(active|selected|current|show|hide|hidden|open|is-|has-|js-)/i;
+const CHROME_CONTAINERS = 'header, nav, footer, aside, [role="navigation"], [class*="menu"], [class*="footer"], [class*="nav"]';
+
+/** Same-site story URL heuristic: a long hyphenated slug or a numeric id. */
+function isArticleLikeUrl(url, host) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return false;
+    if (host && parsed.hostname.replace(/^www\./, '') !== host.replace(/^www\./, '')) return false;
+    if (/\.(jpe?g|png|gif|webp|svg|pdf|mp4|mp3|xml|css|js)$/i.test(parsed.pathname)) return false;
+    const segs = parsed.pathname.split('/').filter(Boolean);
+    if (segs.length === 0 || segs.some(s => NON_ARTICLE_SEGMENTS.test(s))) return false;
+    const last = decodeURIComponent(segs[segs.length - 1]);
+    return (last.includes('-') && last.length >= 15) || /\d{5,}/.test(last);
+}
+
+// Generated class names change on every deploy: css-1x2y3z, sc-AbCdE,
+// Card_title__3kXyZ, a1b2c3.
+const HASHED_CLASS = /^(css|sc|jsx|emotion)-|__[a-zA-Z0-9]{5,}$|\d{3,}|^(?=[a-z]*\d)[a-z0-9]{6,}$/i;
+
+/** Class names worth putting in a selector: not generated, not state. */
+function stableClasses(el) {
+    return String(el.attribs?.class || '')
+        .split(/\s+/)
+        .filter(c => c && c.length <= 40 && /^[a-zA-Z_-][\w-]*$/.test(c))
+        .filter(c => !STATE_CLASSES.test(c) && !HASHED_CLASS.test(c));
+}
+
+function elementSelector(el) {
+    const cls = stableClasses(el)[0];
+    return cls ? `${el.name}.${cls}` : null;
+}
+
+function resolveUrl(href, pageUrl) {
+    if (!href || href.startsWith('#') || href.startsWith('javascript:') || href.startsWith('mailto:')) return null;
+    try {
+        const url = new URL(href, pageUrl);
+        url.hash = '';
+        return url.toString();
+    } catch {
+        return null;
+    }
+}
+
+/** Token-set overlap in [0, 1]; used to check a title candidate against og:title. */
+function textSimilarity(a, b) {
+    const tokens = (s) => new Set((String(s || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []));
+    const ta = tokens(a);
+    const tb = tokens(b);
+    if (ta.size === 0 || tb.size === 0) return 0;
+    let shared = 0;
+    for (const t of ta) if (tb.has(t)) shared++;
+    return shared / Math.min(ta.size, tb.size);
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// ───────────────────────────── address safety ─────────────────────────────
+
+const INTERNAL_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], // "this network"
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16], // link-local, incl. cloud metadata (169.254.169.254)
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4], // reserved, broadcast
+]) INTERNAL_RANGES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+    ['::', 128],
+    ['::1', 128],
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8], // multicast
+]) INTERNAL_RANGES.addSubnet(prefix, bits, 'ipv6');
+
+/** True for addresses a fetch must never reach. Pure. */
+function isInternalAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    if (family === 6) {
+        // IPv4-mapped (::ffff:10.0.0.1) is judged as the IPv4 address.
+        const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) return INTERNAL_RANGES.check(mapped[1], 'ipv4');
+        return INTERNAL_RANGES.check(address, 'ipv6');
+    }
+    return INTERNAL_RANGES.check(address, 'ipv4');
+}
+
+const unsafeUrl = (message) => Object.assign(new Error(message), { code: 'UNSAFE_URL' });
+
+/**
+ * Resolve a URL's host and throw UNSAFE_URL unless it is http(s) and every
+ * address it resolves to is public. `lookup` is dns.promises.lookup's shape.
+ */
+async function assertPublicUrl(url, { lookup = dns.promises.lookup } = {}) {
+    const { protocol, hostname } = new URL(url);
+    if (!/^https?:$/.test(protocol)) throw unsafeUrl(`${protocol} URLs are not fetched`);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some(a => isInternalAddress(a.address))) {
+        throw unsafeUrl(`${hostname} resolves to an internal address`);
+    }
+}
+
+// Callback-style dns.lookup for the static fetch, resolving with `lookup`:
+// refuses internal addresses at connect time, so a redirect or
+// re-resolution can't land on one.
+function publicLookup(lookup = dns.promises.lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, { ...options, all: true })
+            .then((addresses) => {
+                if (addresses.length === 0 || addresses.some(a => isInternalAddress(a.address))) {
+                    throw unsafeUrl(`${hostname} resolves to an internal address`);
+                }
+                return addresses;
+            })
+            .then((addresses) => {
+                if (options?.all) return callback(null, addresses);
+                callback(null, addresses[0].address, addresses[0].family || net.isIP(addresses[0].address));
+            }, callback);
+    };
+}
+
+// Request check for Puppeteer: data:/blob: URLs never leave the browser,
+// anything else must pass assertPublicUrl. Verdicts are cached per origin
+// for the page, so subresources don't each cost a lookup.
+function publicRequestCheck(lookup) {
+    const verdicts = new Map();
+    return (url) => {
+        const { protocol, origin } = new URL(url);
+        if (protocol === 'data:' || protocol === 'blob:') return Promise.resolve();
+        const key = origin === 'null' ? url : origin;
+        if (!verdicts.has(key)) verdicts.set(key, assertPublicUrl(url, { lookup }));
+        return verdicts.get(key);
+    };
+}
+
+/**
+ * Rank listSelector/linkSelector pairs for a listing page.
+ * @returns {Array<{ listSelector, linkSelector, confidence, cards, links, sampleLinks }>}
+ */
+function inferListingSelectors($, pageUrl) {
+    const host = new URL(pageUrl).hostname;
+    const articleLinks = new Set();
+    const cardSelectors = new Map(); // list selector → link selectors seen inside it
+
+    $('a[href]').each((_, a) => {
+        if ($(a).closest(CHROME_CONTAINERS).length > 0) return;
+        const url = resolveUrl($(a).attr('href'), pageUrl);
+        if (!url || !isArticleLikeUrl(url, host)) return;
+        articleLinks.add(url);
+
+        // Link selectors: the bare anchor, a classed anchor, or the heading around it.
+        const linkSelectors = ['a'];
+        const aSel = elementSelector(a);
+        if (aSel) linkSelectors.push(aSel);
+        const heading = $(a).closest('h2, h3, h4')[0];
+        if (heading) linkSelectors.push(`${heading.name} a`);
+
+        let node = a.parent;
+        for (let depth = 0; node && node.type === 'tag' && depth < 5; depth++, node = node.parent) {
+            if (node.name === 'body' || node.name === 'html') break;
+            const sel = elementSelector(node);
+            if (!sel) continue;
+            if (!cardSelectors.has(sel)) cardSelectors.set(sel, new Set());
+            for (const l of linkSelectors) cardSelectors.get(sel).add(l);
+        }
+    });
+
+    const total = articleLinks.size;
+    if (total === 0) return [];
+
+    const candidates = [];
+    for (const [listSelector, linkSelectors] of cardSelectors) {
+        const cards = $(listSelector);
+        if (cards.length < 3) continue;
+        for (const linkSelector of linkSelectors) {
+            // Same rule as generic.discoverLinks: first match inside each card.
+            const found = [];
+            let hits = 0;
+            cards.each((_, card) => {
+                const url = resolveUrl($(card).find(linkSelector).attr('href'), pageUrl);
+                if (url && isArticleLikeUrl(url, host)) {
+                    hits++;
+                    if (!found.includes(url)) found.push(url);
+                }
+            });
+            if (found.length < 3) continue;
+            const precision = hits / cards.length;
+            const coverage = found.length / total;
+            const volume = Math.min(1, found.length / 10);
+            // Specific link selectors only earn their place when they beat plain 'a'.
+            const specificity = linkSelector === 'a' ? 1 : 0.98;
+            candidates.push({
+                listSelector,
+                linkSelector,
+                confidence: round(precision * volume * (0.4 + 0.6 * coverage) * specificity),
+                cards: cards.length,
+                links: found.length,
+                sampleLinks: found.slice(0, 5),
+            });
+        }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence || b.links - a.links);
+    // One entry per list selector — alternatives should be real alternatives.
+    const seen = new Set();
+    return candidates.filter(c => (seen.has(c.listSelector) ? false : seen.add(c.listSelector))).slice(0, MAX_CANDIDATES);
+}
+
+function pageTitleHint($$) {
+    return $$('meta[property="og:title"]').attr('content') ||
+        $$('meta[name="twitter:title"]').attr('content') ||
+        $$('title').text();
+}
+
+/** Rank candidates by mean per-page score; keep the ones that work somewhere. */
+function rankAcrossPages(selectors, pages, scorePage) {
+    return [...selectors]
+        .map(selector => {
+            const scores = pages.map(page => scorePage(selector, page));
+            return { selector, confidence: round(scores.reduce((s, v) => s + v, 0) / pages.length) };
+        })
+        .filter(c => c.confidence > 0)
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, MAX_CANDIDATES);
+}
+
+function inferTitleSelectors(pages) {
+    const selectors = new Set(['h1']);
+    for (const { $$ } of pages) {
+        $$('h1, h2, [class*="title"], [class*="headline"]').each((_, el) => {
+            const sel = elementSelector(el);
+            if (sel) selectors.add(sel);
+        });
+    }
+    return rankAcrossPages(selectors, pages, (selector, { $$ }) => {
+        const visible = $$(selector).filter((_, el) => isElementVisible($$, el));
+        const text = cleanText(visible.first().text());
+        if (text.length <= 5) return 0;
+        const similarity = textSimilarity(text, pageTitleHint($$));
+        if (similarity < 0.6) return 0;
+        // A selector that matches one element is safer than "first of many".
+        return visible.length === 1 ? 1 : 0.8;
+    });
+}
+
+function inferContentSelectors(pages) {
+    const selectors = new Set();
+    for (const { $$ } of pages) {
+        // Containers ranked by the paragraph text directly inside them.
+        const containers = [];
+        $$('p').parent().each((_, el) => {
+            const text = $$(el).children('p').text().trim();
+            if (text.length > 200) containers.push({ el, length: text.length });
+        });
+        containers.sort((a, b) => b.length - a.length);
+        for (const { el } of containers.slice(0, 3)) {
+            const sel = elementSelector(el) || (el.attribs?.id ? `#${el.attribs.id}` : null);
+            if (sel) selectors.add(`${sel} p`);
+        }
+    }
+    if (selectors.size === 0) return [];
+
+    // Extracted length per page, scored against the best candidate on that
+    // page, so a selector that only finds the body on some pages ranks lower.
+    const lengths = pages.map(({ $$ }) => new Map([...selectors].map(s => [s, generic.extractContent($$, s).length])));
+    return rankAcrossPages(selectors, pages, (selector, page) => {
+        const byPage = lengths[pages.indexOf(page)];
+        const length = byPage.get(selector);
+        if (length < 200) return 0;
+        return length / Math.max(...byPage.values());
+    });
+}
+
+function isContentImage($$, el) {
+    const src = $$(el).attr('src') || $$(el).attr('data-src') || $$(el).attr('data-lazy-src') || '';
+    if (!src || src.startsWith('data:') || /\.svg(\?|$)/i.test(src)) return false;
+    return !/logo|icon|avatar|sprite|placeholder/i.test(`${src} ${$$(el).attr('class') || ''}`);
+}
+
+function inferImageSelectors(pages, contentSelector) {
+    const selectors = new Set(['article img', 'figure img', 'picture img']);
+    if (contentSelector) selectors.add(contentSelector.replace(/\s+p$/, ' img'));
+    for (const { $$ } of pages) {
+        $$('[class*="hero"], [class*="featured"], [class*="lead"], [class*="main-image"]').each((_, el) => {
+            const sel = elementSelector(el);
+            if (sel) selectors.add(`${sel} img`);
+        });
+    }
+    return rankAcrossPages(selectors, pages, (selector, { $$ }) => {
+        const imgs = $$(selector).filter((_, el) => isElementVisible($$, el) && isContentImage($$, el));
+        return imgs.length > 0 ? 1 : 0;
+    });
+}
+
+/**
+ * Rank title/content/image selectors over sample article pages.
+ * @param {Array<{ url, $$ }>} pages
+ */
+function inferArticleSelectors(pages) {
+    if (pages.length === 0) return { titleSelector: [], contentSelector: [], imageSelector: [] };
+    const contentSelector = inferContentSelectors(pages);
+    return {
+        titleSelector: inferTitleSelectors(pages),
+        contentSelector,
+        imageSelector: inferImageSelectors(pages, contentSelector[0]?.selector),
+    };
+}
+
+/** Feed / structured-data hints that make HTML selectors unnecessary. */
+function detectAlternatives($, pageUrl, pages) {
+    const feedHref = $('link[rel="alternate"][type="application/rss+xml"], link[rel="alternate"][type="application/atom+xml"]').first().attr('href');
+    const jsonLdPages = pages.filter(({ $$ }) => readJsonLdNodes($$).some(n => /Article/.test([].concat(n['@type']).join(' ')))).length;
+    return {
+        feedUrl: resolveUrl(feedHref, pageUrl),
+        jsonLdArticles: pages.length > 0 ? round(jsonLdPages / pages.length) : 0,
+    };
+}
+
+async function fetchStatic(url, { lookup } = {}) {
+    const response = await politeGet(url, {
+        timeout: 10000,
+        lookup: publicLookup(lookup),
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' },
+    });
+    return response.data;
+}
+
+async function fetchPage(url, usePuppeteer, { lookup } = {}) {
+    await assertPublicUrl(url, { lookup });
+    if (usePuppeteer) return (await fetchWithPuppeteer(url, { checkRequest: publicRequestCheck(lookup) })).html;
+    return fetchStatic(url, { lookup });
+}
+
+/**
+ * Infer a source configuration from a homepage URL.
+ *
+ * @param {string} url - listing/homepage URL
+ * @param {Object} [options]
+ * @param {'auto'|boolean} [options.puppeteer='auto'] - auto = static first,
+ *   Puppeteer when the static page fails or looks JS-rendered
+ * @param {Function} [options.lookup] - DNS lookup for the address checks,
+ *   up front and at connect time (dns.promises.lookup); tests pass a stub
+ * @returns {Promise<Object>} ranked candidates per field, a `proposal` that can
+ *   be POSTed to /api/sources as-is, and sample extractions
+ */
+async function inferSource(url, { puppeteer = 'auto', lookup } = {}) {
+    const notes = [];
+    let usePuppeteer = puppeteer === true;
+    let html = null;
+
+    // Refused before anything is fetched, whichever transport is used.
+    await assertPublicUrl(url, { lookup });
+
+    if (!usePuppeteer) {
+        try {
+            html = await fetchStatic(url, { lookup });
+        } catch (err) {
+            if (puppeteer === false || err.code === 'UNSAFE_URL') throw err;
+            notes.push(`Static fetch failed (${err.response?.status || err.message}); used Puppeteer.`);
+            usePuppeteer = true;
+        }
+    }
+    let $ = html ? cheerio.load(html) : null;
+    let listing = $ ? inferListingSelectors($, url) : [];
+
+    if (!usePuppeteer && puppeteer === 'auto' && (listing[0]?.links || 0) < MIN_STATIC_LINKS) {
+        try {
+            const rendered = cheerio.load(await fetchPage(url, true, { lookup }));
+            const renderedListing = inferListingSelectors(rendered, url);
+            if ((renderedListing[0]?.links || 0) > (listing[0]?.links || 0)) {
+                notes.push('Static HTML had few article links; rendered with Puppeteer.');
+                $ = rendered;
+                listing = renderedListing;
+                usePuppeteer = true;
+            }
+        } catch (err) {
+            notes.push(`Puppeteer render failed: ${err.message}`);
+        }
+    } else if (usePuppeteer) {
+        $ = cheerio.load(await fetchPage(url, true, { lookup }));
+        listing = inferListingSelectors($, url);
+    }
+
+    if (listing.length === 0) notes.push('No repeating article list found on the page.');
+
+    const pages = [];
+    for (const link of (listing[0]?.sampleLinks || []).slice(0, SAMPLE_ARTICLES)) {
+        try {
+            pages.push({ url: link, $$: cheerio.load(await fetchPage(link, usePuppeteer, { lookup })) });
+        } catch (err) {
+            notes.push(`Could not fetch sample article ${link}: ${err.message}`);
+        }
+    }
+    const article = inferArticleSelectors(pages);
+
+    const { origin } = new URL(url);
+    const proposal = {
+        url,
+        baseUrl: origin,
+        type: 'website',
+        listSelector: listing[0]?.listSelector || null,
+        linkSelector: listing[0]?.linkSelector || null,
+        titleSelector: article.titleSelector[0]?.selector || null,
+        contentSelector: article.contentSelector[0]?.selector || null,
+        // Left unset when nothing scores: generic falls back to og:image.
+        imageSelector: article.imageSelector[0]?.selector || null,
+    };
+    const fields = [listing[0], article.titleSelector[0], article.contentSelector[0]];
+    const confidence = round(fields.reduce((s, c) => s + (c?.confidence || 0), 0) / fields.length);
+
+    const alternatives = $ ? detectAlternatives($, url, pages) : { feedUrl: null, jsonLdArticles: 0 };
+    if (alternatives.feedUrl) {
+        notes.push(`Site advertises a feed (${alternatives.feedUrl}); setting feedUrl may be more reliable than selectors.`);
+    }
+
+    const samples = await Promise.all(pages.map(async ({ url: pageUrl, $$ }) => {
+        const { title, content, images } = await generic.extractArticle($$, proposal);
+        return {
+            url: pageUrl,
+            title,
+            contentPreview: content.slice(0, 300),
+            contentLength: content.length,
+            images: images.slice(0, 3),
+        };
+    }));
+
+    return {
+        url,
+        fetchedWith: usePuppeteer ? 'puppeteer' : 'static',
+        confidence,
+        proposal,
+        candidates: {
+            listing,
+            titleSelector: article.titleSelector,
+            contentSelector: article.contentSelector,
+            imageSelector: article.imageSelector,
+        },
+        alternatives,
+        samples,
+        notes,
+    };
+}
+
+module.exports = {
+    inferSource,
+    assertPublicUrl,
+    publicLookup,
+    publicRequestCheck,
+    isInternalAddress,
+    inferListingSelectors,
+    inferArticleSelectors,
+    isArticleLikeUrl,
+    stableClasses,
+};
@@ -1,9 +1,13 @@
-const axios = require('axios');
+const { politeGet } = require('./politeness');
 const cheerio = require('cheerio');
 const xml2js = require('xml2js');
 const mongoose = require('mongoose');
 const Source = require('../models/Source');
-const { fetchWithPuppeteer } = require('./fetchWithPuppeteer');
+const fetchWithPuppeteer = require('./fetchWithPuppeteer');
+const { normalizeImages, isElementVisible, resolveHref } = require('./extractors/helpers');
+// API-listing adapter shared with scrape.js (see extractors/listApi.js for the config shape).
+const { getListApiConfig, fetchApiListingLinks } = require('./extractors/listApi');
+const { getSiteQuirks } = require('./extractors');
 
 // Utility functions from the main scraper
 function cleanText(text) {
@@ -14,90 +18,6 @@ function cleanText(text) {
         .trim();
 }
 
-function isElementVisible($, el) {
-    const $el = $(el);
-    const style = $el.attr('style') || '';
-    if (style.includes('display: none') || style.includes('display:none') ||
-        style.includes('visibility: hidden') || style.includes('visibility:hidden')) {
-        return false;
-    }
-
-    const className = $el.attr('class') || '';
-    const hiddenClasses = ['hidden', 'hide', 'invisible', 'sr-only', 'screen-reader-only', 'visually-hidden'];
-    if (hiddenClasses.some(cls => className.includes(cls))) {
-        return false;
-    }
-
-    const id = $el.attr('id') || '';
-    const garbagePatterns = ['ad-', 'advertisement', 'banner', 'popup', 'modal', 'overlay', 'sidebar'];
-    if (garbagePatterns.some(pattern => className.toLowerCase().includes(pattern) || id.toLowerCase().includes(pattern))) {
-        return false;
-    }
-
-    return true;
-}
-
-// 🔧 Clean Next.js image proxy URLs - extract the real image URL
-function cleanImageUrl(url) {
-    if (!url) return null;
-
-    // If Next.js proxy URL → extract & decode the real image URL
-    if (url.includes('/_next/image')) {
-        const real = url.split('url=')[1]?.split('&')[0];
-        return real ? decodeURIComponent(real) : null;
-    }
-
-    return url;
-}
-
-function normalizeImages(imgs, baseUrl) {
-    const EXCLUDE_FILES = new Set([
-        'insta_icon_5.svg', 'facebook.svg', 'tiktok_icon.svg', 'x_logo_1.svg', 'whatsapp.svg', 'mail.svg'
-    ]);
-    function unwrapCssUrl(s) {
-        if (!s) return s;
-        const m = s.match(/^\s*url\((?:'|")?([^'")]+)(?:'|")?\)\s*$/i);
-        return m ? m[1] : s;
-    }
-    function absolutize(u) {
-        try {
-            return new URL(u, baseUrl).toString();
-        } catch {
-            return u;
-        }
-    }
-    return Array.from(new Set(
-        (imgs || [])
-            .map(unwrapCssUrl)
-            .map(cleanImageUrl)                                     // Handle Next.js /_next/image proxy URLs
-            .map(u => u && u.trim())
-            .filter(Boolean)
-            .filter(u => !/^data:/i.test(u))
-            .filter(src => {
-                const url = src.toLowerCase();
-                return !url.includes('1x1') &&
-                    !url.includes('pixel') &&
-                    !url.includes('tracker') &&
-                    !url.includes('analytics');
-            })
-            .map(src => {
-                src = src.replace(/w=\d+/g, 'w=800');
-                if (src.startsWith('//')) return 'https:' + src;
-                if (src.startsWith('/')) return `${baseUrl.replace(/\/$/, '')}${src}`;
-                return src;
-            })
-            .map(absolutize)
-            .filter(u => {
-                try {
-                    const name = new URL(u).pathname.split('/').pop().toLowerCase();
-                    if (EXCLUDE_FILES.has(name)) return false;
-                    if (/\/wp-content\/themes\/whatson-grow\/images\//i.test(u) && name.endsWith('.svg')) return false;
-                    return true;
-                } catch { return false; }
-            })
-    ));
-}
-
 // ───────────────────────────── Khaleej Times adapter ─────────────────────────────
 // Mirrors the adapter in scrape.js so test results match production. KT's generic
 // h2/h3 + "p" + "img" selectors over-match (section links, lazy SVG placeholders,
@@ -131,131 +51,6 @@ function topLevelSection(urlOrPath) {
     }
 }
 
-function resolveHref(href, source) {
-    if (!href || href === ':' || href === '') return null;
-    if (href.startsWith('//')) return 'https:' + href;
-    if (href.startsWith('http')) return href;
-    let baseUrl = source.baseUrl;
-    if (!baseUrl) {
-        try {
-            const urlObj = new URL(source.url);
-            baseUrl = `${urlObj.protocol}//${urlObj.hostname}`;
-        } catch {
-            baseUrl = source.url.replace(/\/$/, '');
-        }
-    } else {
-        baseUrl = baseUrl.replace(/\/$/, '');
-    }
-    return href.startsWith('/') ? `${baseUrl}${href}` : `${baseUrl}/${href}`;
-}
-
-// ───────────────────────────── API-listing adapter (data-driven) ─────────────────────────────
-// Mirrors scrape.js so the test harness matches production. Sites with an AJAX/JSON-rendered
-// listing (e.g. sharjah24.ae) are described by a `source.listApi` config (or a built-in below)
-// and discovered via their endpoint instead of DOM selectors. See scrape.js for the full
-// config shape. Built-ins let known sites work with zero DB config; source.listApi overrides.
-const BUILTIN_LIST_APIS = [
-    {
-        match: 'sharjah24',
-        config: {
-            urlTemplate: '/api/feature/ArticlesList/GetArticles?typeID={typeID}&pageNo=1&pageSize={pageSize}&culture={culture}',
-            inputs: { typeID: 'txtTypeID', pageSize: 'txtNOOfItemPerPage', culture: 'txtCulture' },
-            defaults: { pageSize: '20', culture: 'en' },
-            lowercase: ['culture'],
-            headers: { 'X-Requested-With': 'XMLHttpRequest' },
-            doubleDecode: true,
-            articlesPath: 'Articles',
-            urlField: 'DetailPageUrl',
-            urlRewrite: { from: '^/(ar|en)/', to: '/{culture}/' },
-            contentSelector: '.news-detail-heading.default-text-editor',
-            preferOgImage: true
-        }
-    }
-];
-
-function getListApiConfig(source) {
-    if (source.listApi && source.listApi.urlTemplate) return source.listApi;
-    const hay = `${source.name || ''} ${source.url || ''} ${source.baseUrl || ''}`.toLowerCase();
-    const builtin = BUILTIN_LIST_APIS.find(b => hay.includes(b.match));
-    return builtin ? builtin.config : null;
-}
-
-function readHiddenInput($, id) {
-    const $el = $(`#${id}`);
-    return ($el.val() || $el.attr('value') || '').trim();
-}
-
-function getByPath(obj, path) {
-    if (!path) return obj;
-    return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
-}
-
-async function fetchApiListingLinks($, source, cfg) {
-    const values = {};
-    for (const [key, inputId] of Object.entries(cfg.inputs || {})) {
-        values[key] = readHiddenInput($, inputId);
-    }
-    for (const [key, val] of Object.entries(cfg.defaults || {})) {
-        if (!values[key]) values[key] = val;
-    }
-    for (const key of cfg.lowercase || []) {
-        if (values[key]) values[key] = values[key].toLowerCase();
-    }
-
-    const templatePlaceholders = [...cfg.urlTemplate.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
-    const missing = templatePlaceholders.filter(p => !values[p]);
-    if (missing.length) {
-        console.warn(`⚠️ ${source.name}: listApi placeholders unresolved [${missing.join(', ')}]`);
-        return [];
-    }
-
-    const path = cfg.urlTemplate.replace(/\{(\w+)\}/g, (_, k) => encodeURIComponent(values[k] ?? ''));
-    const apiUrl = /^https?:\/\//i.test(path) ? path : `${new URL(source.url).origin}${path}`;
-
-    let payload;
-    try {
-        const res = await axios.get(apiUrl, {
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
-                'Referer': source.url,
-                'Accept': '*/*',
-                ...(cfg.headers || {})
-            }
-        });
-        payload = res.data;
-        const maxDecode = cfg.doubleDecode ? 2 : 1;
-        for (let i = 0; i < maxDecode && typeof payload === 'string'; i++) {
-            try { payload = JSON.parse(payload); } catch { break; }
-        }
-    } catch (err) {
-        console.warn(`⚠️ ${source.name}: listApi request failed: ${err.message}`);
-        return [];
-    }
-
-    const articles = getByPath(payload, cfg.articlesPath || 'Articles') || [];
-    const urlField = cfg.urlField || 'url';
-    // API url fields are root-absolute paths — resolve against the site ORIGIN, not
-    // source.baseUrl (which may carry a locale prefix like "/en", yielding /en/en/…).
-    const origin = new URL(source.url).origin;
-    const links = [];
-    for (const a of articles) {
-        let u = a && a[urlField];
-        if (!u) continue;
-        if (cfg.urlRewrite && cfg.urlRewrite.from) {
-            const to = String(cfg.urlRewrite.to || '').replace(/\{(\w+)\}/g, (_, k) => values[k] ?? '');
-            u = u.replace(new RegExp(cfg.urlRewrite.from, 'i'), to);
-        }
-        let abs;
-        if (/^https?:\/\//i.test(u)) abs = u;
-        else if (u.startsWith('//')) abs = 'https:' + u;
-        else abs = origin + (u.startsWith('/') ? u : '/' + u);
-        if (abs && !links.includes(abs)) links.push(abs);
-    }
-    console.log(`📰 ${source.name}: listApi returned ${links.length} links (${JSON.stringify(values)})`);
-    return links;
-}
-
 // Collect KT story links from the listing card containers, keep only real story URLs,
 // and pin them to the source's own section. Falls back to all anchors if markup changes.
 function parseKhaleejLinks($, source) {
@@ -307,13 +102,13 @@ async function testRSSSource(source) {
         testResults.steps.push('Fetching RSS feed...');
         console.log('📥 Fetching RSS feed...');
 
-        const response = await axios.get(source.url, {
+        const response = await politeGet(source.url, {
             timeout: 15000,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (compatible; RSS-Reader/1.0)',
                 'Accept': 'application/rss+xml, application/xml, text/xml'
             }
-        });
+        }, { source });
 
         testResults.steps.push(`✅ RSS feed fetched (${response.data.length} bytes)`);
         console.log(`✅ RSS feed fetched (${response.data.length} bytes)`);
@@ -423,7 +218,7 @@ async function testRSSSource(source) {
 
                 // Remove duplicates and clean images
                 const baseUrl = new URL(source.url).origin;
-                images = normalizeImages([...new Set(images)], baseUrl);
+                images = normalizeImages([...new Set(images)], baseUrl, { exclude: getSiteQuirks(source).imageExclude });
 
                 const articleData = {
                     url: url || 'No URL found',
@@ -541,7 +336,7 @@ async function testSingleSource(sourceId) {
 
         let response;
         try {
-            response = await axios.get(source.url, {
+            response = await politeGet(source.url, {
                 timeout: 10000,
                 headers: {
                     'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
@@ -552,7 +347,7 @@ async function testSingleSource(sourceId) {
                     'Connection': 'keep-alive',
                     'Upgrade-Insecure-Requests': '1',
                 }
-            });
+            }, { source });
         } catch (fetchError) {
             if (fetchError.response) {
                 const statusCode = fetchError.response.status;
@@ -637,8 +432,7 @@ async function testSingleSource(sourceId) {
                 console.log('🔍 SPA detected, switching to Puppeteer for JavaScript rendering...');
 
                 try {
-                    const fetchWithPuppeteer = require('./fetchWithPuppeteer');
-                    const puppeteerResult = await fetchWithPuppeteer(source.url);
+                    const puppeteerResult = await fetchWithPuppeteer(source.url, { source });
                     const puppeteerHtml = puppeteerResult.html;
                     $ = cheerio.load(puppeteerHtml);
 
@@ -708,7 +502,7 @@ async function testSingleSource(sourceId) {
                     source.name.toLowerCase().includes('dohanews');
 
                 if (needsPuppeteer) {
-                    const { browser, page } = await fetchWithPuppeteer(link, { returnPage: true });
+                    const { browser, page } = await fetchWithPuppeteer(link, { returnPage: true, source });
                     try {
                         const consentSelector = 'button.fc-button.fc-cta-consent.fc-primary-button';
                         const consentButton = await page.$(consentSelector);
@@ -722,21 +516,21 @@ async function testSingleSource(sourceId) {
                     } catch (err) {
                         console.warn('⚠️ Error handling consent popup:', err.message);
                         await browser.close();
-                        pageHtml = (await axios.get(link, {
+                        pageHtml = (await politeGet(link, {
                             timeout: 10000,
                             headers: {
                                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
                             }
-                        })).data;
+                        }, { source })).data;
                     }
                 } else {
                     try {
-                        pageHtml = (await axios.get(link, {
+                        pageHtml = (await politeGet(link, {
                             timeout: 10000,
                             headers: {
                                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
                             }
-                        })).data;
+                        }, { source })).data;
                     } catch (articleFetchError) {
                         if (articleFetchError.response && articleFetchError.response.status === 403) {
                             testResults.errors.push(`Article ${i + 1}: 403 Forbidden - Bot protection detected`);
@@ -785,11 +579,11 @@ async function testSingleSource(sourceId) {
                         .map((_, img) => $$(img).attr('src') || $$(img).attr('data-src'))
                         .get()
                         .filter(Boolean);
-                    images = normalizeImages(images, source.baseUrl || source.url);
+                    images = normalizeImages(images, source.baseUrl || source.url, { exclude: getSiteQuirks(source).imageExclude });
                 }
                 if ((isKT || apiCfg) && images.length === 0) {
                     const og = $$('meta[property="og:image"]').attr('content') || $$('meta[name="twitter:image"]').attr('content');
-                    if (og) images = normalizeImages([og], source.baseUrl || source.url);
+                    if (og) images = normalizeImages([og], source.baseUrl || source.url, { exclude: getSiteQuirks(source).imageExclude });
                 }
 
                 const articleData = {
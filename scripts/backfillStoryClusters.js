@@ -0,0 +1,55 @@
+/**
+ * Backfill story clusters (storyClusterId + MinHash fingerprint) for recent articles.
+ *
+ * New articles are clustered at ingest (scraper/articlePipeline.js). This
+ * fingerprints the ones saved before that, oldest first, so each cluster's
+ * canonical is the earliest version — the same result ingest would have
+ * produced. Only already-fingerprinted articles are match candidates, which
+ * the oldest-first order guarantees.
+ *
+ * Usage: node scripts/backfillStoryClusters.js [days=7]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+async function backfillStoryClusters() {
+    const days = parseInt(process.argv[2], 10) || 7;
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to Mongo');
+
+    const Article = require('../models/Article');
+    const { assignStoryCluster } = require('../services/storyClusters');
+
+    const cursor = Article.find({
+        publishedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+        lshBands: { $exists: false },
+    })
+        .select('_id title content embedding_pca publishedAt')
+        .sort({ publishedAt: 1 })
+        .lean()
+        .cursor();
+
+    let processed = 0;
+    let clustered = 0;
+    for await (const doc of cursor) {
+        const article = { ...doc };
+        const match = await assignStoryCluster(article, { now: new Date(doc.publishedAt).getTime() });
+        await Article.updateOne(
+            { _id: doc._id },
+            { $set: { minhash: article.minhash, lshBands: article.lshBands, storyClusterId: article.storyClusterId } }
+        );
+        processed++;
+        if (match) clustered++;
+        if (processed % 500 === 0) console.log(`   …${processed} processed, ${clustered} joined a cluster`);
+    }
+
+    console.log(`✅ Backfill complete — ${processed} articles fingerprinted, ${clustered} joined an existing cluster`);
+    await mongoose.disconnect();
+    process.exit(0);
+}
+
+backfillStoryClusters().catch((err) => {
+    console.error('❌ Backfill failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,97 @@
+/**
+ * Offline evaluation of the personalized feed ranker (services/recEvaluation.js).
+ * Read-only: replays UserActivity around a cutoff and scores each variant in
+ * the config against the same split, so PERS_W / MMR / interleave changes can
+ * be compared before they ship.
+ *
+ * Usage:
+ *   node scripts/evaluateRecommendations.js [--config=scripts/evalVariants.example.json]
+ *     [--cutoff=2026-10-18T00:00:00Z] [--horizon=24] [--lookback=48]
+ *     [--k=20] [--users=500] [--language=english] [--json]
+ *
+ * --cutoff    split point (default: now minus the horizon)
+ * --horizon   hours after the cutoff whose engagement is the ground truth
+ * --lookback  hours before the cutoff an article must be published in to
+ *             be in the candidate pool
+ * --json      print the results as JSON instead of a table
+ *
+ * The config lists variants as { name, persW, mmr, interleave } — see
+ * evalVariants.example.json. The production defaults always run first as
+ * "baseline" and every other variant is reported against it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const {
+    normalizeVariants,
+    compareVariants,
+    loadEvaluationSplit,
+} = require('../services/recEvaluation');
+
+function parseArgs(argv) {
+    const flags = {};
+    for (const arg of argv) {
+        const m = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+        if (m) flags[m[1]] = m[2] === undefined ? true : m[2];
+    }
+    return flags;
+}
+
+const fmt = (v, digits = 4) => (v == null ? '—' : v.toFixed(digits));
+const signed = (v) => (v == null ? '' : ` (${v >= 0 ? '+' : ''}${v.toFixed(4)})`);
+
+function printTable(results) {
+    const metrics = ['ndcg', 'recall', 'coverage', 'diversity', 'sourceHHI', 'topSourceShare'];
+    for (const r of results) {
+        console.log(`\n▶ ${r.variant} (${r.users} users)`);
+        for (const m of metrics) {
+            console.log(`   ${m.padEnd(15)} ${fmt(r[m])}${signed(r.vsBaseline?.[m])}`);
+        }
+    }
+}
+
+(async () => {
+    const flags = parseArgs(process.argv.slice(2));
+    const horizonHours = Number(flags.horizon) || 24;
+    const cutoff = flags.cutoff
+        ? new Date(flags.cutoff)
+        : new Date(Date.now() - horizonHours * 60 * 60 * 1000);
+    if (Number.isNaN(cutoff.getTime())) throw new Error(`Invalid --cutoff "${flags.cutoff}"`);
+
+    const config = flags.config
+        ? JSON.parse(fs.readFileSync(path.resolve(flags.config), 'utf8'))
+        : {};
+    const variants = normalizeVariants(config);
+    const k = Number(flags.k) || config.k || 20;
+
+    // Progress goes to stderr with --json so stdout stays parseable.
+    const log = flags.json ? console.error : console.log;
+
+    await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 30000, connectTimeoutMS: 30000 });
+    const started = Date.now();
+    const split = await loadEvaluationSplit({
+        cutoff,
+        horizonHours,
+        lookbackHours: Number(flags.lookback) || 48,
+        language: flags.language || 'english',
+        maxUsers: Number(flags.users) || 500,
+    });
+    log(
+        `📦 cutoff ${split.now.toISOString()} → ${split.end.toISOString()}: ` +
+        `${split.pool.length} pool articles, ${split.cases.length} users ` +
+        `(${split.skipped} skipped — no engagement on pool articles), loaded in ${Date.now() - started}ms`
+    );
+    if (split.cases.length === 0) {
+        log('⚠️ Nothing to evaluate — try an earlier --cutoff or a longer --lookback');
+        await mongoose.disconnect();
+        return;
+    }
+
+    const results = compareVariants(split.cases, split.pool, variants, { k, now: split.now.getTime() });
+    if (flags.json) console.log(JSON.stringify({ cutoff: split.now, k, results }, null, 2));
+    else printTable(results);
+
+    await mongoose.disconnect();
+})().catch((e) => { console.error('❌', e.message); process.exit(1); });
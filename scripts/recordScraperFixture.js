@@ -0,0 +1,92 @@
+/**
+ * Record or refresh scraper regression fixtures (tests/fixtures/sources).
+ *
+ * record — fetch a live source's listing and first few articles into a new
+ * fixture and write its expected.json. Commit both; the replay test
+ * (tests/scraperFixtures.test.js) then guards the source's extraction.
+ *
+ * update — re-run extraction over the stored pages (no network, no Mongo) and
+ * overwrite expected.json. Use after an intended change to the extractors or
+ * a source's selectors, and review the change with `git diff`.
+ *
+ * Usage:
+ *   node scripts/recordScraperFixture.js record <sourceId|name> [--articles=3] [--name=slug]
+ *   node scripts/recordScraperFixture.js update [fixture...]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const {
+    fixtureNames,
+    loadFixture,
+    recordFixture,
+    writeExpected,
+} = require('../scraper/fixtureHarness');
+
+function parseArgs(argv) {
+    const flags = {};
+    const positional = [];
+    for (const arg of argv) {
+        const m = arg.match(/^--([\w-]+)=(.*)$/);
+        if (m) flags[m[1]] = m[2];
+        else positional.push(arg);
+    }
+    return { flags, positional };
+}
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+async function record(query, flags) {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to Mongo');
+
+    const Source = require('../models/Source');
+    const { fetchArticleHtml } = require('../scraper/revisit');
+    const source = mongoose.Types.ObjectId.isValid(query)
+        ? await Source.findById(query)
+        : await Source.findOne({ name: new RegExp(`^${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') });
+    if (!source) throw new Error(`No source matches "${query}"`);
+
+    const name = flags.name || slugify(source.name);
+    console.log(`🎬 Recording ${source.name} → tests/fixtures/sources/${name}`);
+    const result = await recordFixture(source, {
+        name,
+        articles: parseInt(flags.articles, 10) || 3,
+        fetchPage: fetchArticleHtml,
+    });
+
+    console.log(`✅ ${result.links.length} articles recorded (links via "${result.linkStrategy}")`);
+    for (const a of result.articles) {
+        console.log(`   • [${a.strategy || 'none'}] ${a.title || '(no title)'} — ${a.content ? a.content.length : 0} chars, ${a.images.length} images`);
+    }
+    await mongoose.disconnect();
+}
+
+async function update(names) {
+    const targets = names.length > 0 ? names : fixtureNames();
+    for (const name of targets) {
+        const result = await writeExpected(loadFixture(name));
+        console.log(`✅ ${name}: expected.json rewritten (${result.links.length} links, ${result.articles.length} articles)`);
+    }
+}
+
+(async () => {
+    const [command, ...rest] = process.argv.slice(2);
+    const { flags, positional } = parseArgs(rest);
+    try {
+        if (command === 'record' && positional[0]) {
+            await record(positional[0], flags);
+        } else if (command === 'update') {
+            await update(positional);
+        } else {
+            console.log('Usage:\n' +
+                '  node scripts/recordScraperFixture.js record <sourceId|name> [--articles=3] [--name=slug]\n' +
+                '  node scripts/recordScraperFixture.js update [fixture...]');
+            process.exit(1);
+        }
+        process.exit(0);
+    } catch (err) {
+        console.error('❌ Fixture recording failed:', err.message);
+        process.exit(1);
+    }
+})();
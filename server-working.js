@@ -269,6 +269,22 @@ function loadRoutes() {
         const quizRoutes = require('./routes/quiz'); // Daily news quiz
         console.log('✅ Quiz routes loaded successfully');
 
+        console.log('🧵 Loading Stories routes...');
+        const storiesRoutes = require('./routes/stories'); // Developing story timelines
+        console.log('✅ Stories routes loaded successfully');
+
+        console.log('🏷️ Loading Entities routes...');
+        const entitiesRoutes = require('./routes/entities'); // Entity pages + follows
+        console.log('✅ Entities routes loaded successfully');
+
+        console.log('🏠 Loading Home routes...');
+        const homeRoutes = require('./routes/home'); // Unified home feed (typed cards)
+        console.log('✅ Home routes loaded successfully');
+
+        console.log('🧭 Loading Onboarding routes...');
+        const onboardingRoutes = require('./routes/onboarding'); // Cold-start topic/source/team picker
+        console.log('✅ Onboarding routes loaded successfully');
+
         console.log('💬 Loading Messages routes...');
         const messagesRoutes = require('./routes/messages'); // Direct messages (1:1)
         console.log('✅ Messages routes loaded successfully');
@@ -316,6 +332,22 @@ function loadRoutes() {
         app.use('/api/quiz', quizRoutes); // Daily news quiz
         console.log('✅ Quiz routes mounted successfully');
 
+        console.log('🧵 Mounting Stories routes at /api/stories...');
+        app.use('/api/stories', storiesRoutes); // Developing story timelines
+        console.log('✅ Stories routes mounted successfully');
+
+        console.log('🏷️ Mounting Entities routes at /api/entities...');
+        app.use('/api/entities', entitiesRoutes); // Entity pages + follows
+        console.log('✅ Entities routes mounted successfully');
+
+        console.log('🏠 Mounting Home routes at /api/home...');
+        app.use('/api/home', homeRoutes); // Unified home feed (typed cards)
+        console.log('✅ Home routes mounted successfully');
+
+        console.log('🧭 Mounting Onboarding routes at /api/onboarding...');
+        app.use('/api/onboarding', onboardingRoutes); // Cold-start topic/source/team picker
+        console.log('✅ Onboarding routes mounted successfully');
+
         console.log('💬 Mounting Messages routes at /api/messages...');
         app.use('/api/messages', messagesRoutes); // Direct messages (1:1)
         console.log('✅ Messages routes mounted successfully');
@@ -0,0 +1,311 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAX_ATTEMPTS, pendingReelQuery } = require('./reelJobQueue');
+
+// HLS adaptive-bitrate ladder for reels. Heights are the short side, so a
+// 9:16 reel's 720p rendition is 720x1280. Bitrates match the 240p/480p/720p
+// QUALITY_TIERS in routes/videos.js so /reels/quality-config advice maps
+// onto real renditions.
+const HLS_LADDER = [
+    { name: '240p', height: 240, videoKbps: 300, audioKbps: 64 },
+    { name: '480p', height: 480, videoKbps: 1000, audioKbps: 96 },
+    { name: '720p', height: 720, videoKbps: 2500, audioKbps: 128 },
+];
+
+const SEGMENT_SECONDS = 4;
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+};
+
+// H.264 levels a rendition may need (ITU-T H.264 Table A-1): max frame
+// size in macroblocks, max macroblocks/s and max Main-profile bitrate. A
+// fixed 3.1 is too low for 720p above 30fps, so each rendition gets the
+// lowest level its size, frame rate and bitrate fit.
+const H264_LEVELS = [
+    { level: 30, maxFs: 1620, maxMbps: 40500, maxKbps: 10000 },
+    { level: 31, maxFs: 3600, maxMbps: 108000, maxKbps: 14000 },
+    { level: 32, maxFs: 5120, maxMbps: 216000, maxKbps: 20000 },
+    { level: 40, maxFs: 8192, maxMbps: 245760, maxKbps: 20000 },
+    { level: 41, maxFs: 8192, maxMbps: 245760, maxKbps: 50000 },
+    { level: 42, maxFs: 8704, maxMbps: 522240, maxKbps: 50000 },
+];
+const AUDIO_CODEC = 'mp4a.40.2';
+
+// Where a reel's renditions live: next to the uploaded MP4 when we have its
+// key (gulfio-123.mp4 -> gulfio-123/hls), else under hls/<reel _id>.
+function hlsKeyPrefix(reel) {
+    if (reel.originalKey) return `${reel.originalKey.replace(/\.[^/.]+$/, '')}/hls`;
+    return `hls/${reel._id}`;
+}
+
+// libx264 needs even dimensions.
+const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+// Output size of a rung for a source video: short side = rung height,
+// aspect kept, both sides even. Null when the rung would upscale the
+// source.
+function renditionSize(sourceWidth, sourceHeight, rung) {
+    const shortSide = Math.min(sourceWidth, sourceHeight);
+    if (!shortSide || rung.height > shortSide) return null;
+    const scale = rung.height / shortSide;
+    return {
+        width: even(sourceWidth * scale),
+        height: even(sourceHeight * scale),
+    };
+}
+
+// The rungs to encode for a source: every rung that doesn't upscale, or
+// just the lowest one for sources smaller than the whole ladder.
+function planRenditions(sourceWidth, sourceHeight, ladder = HLS_LADDER) {
+    const planned = ladder
+        .map((rung) => ({ rung, size: renditionSize(sourceWidth, sourceHeight, rung) }))
+        .filter((r) => r.size);
+    if (planned.length > 0) {
+        return planned.map(({ rung, size }) => ({ ...rung, ...size }));
+    }
+    const lowest = ladder[0];
+    return [{ ...lowest, width: even(sourceWidth), height: even(sourceHeight) }];
+}
+
+// H.264 level (31 for 3.1) for a rendition at `fps`. Either side of the
+// frame may be at most sqrt(8 * maxFs) macroblocks.
+function h264Level(rendition, fps = 30) {
+    const mbWide = Math.ceil(rendition.width / 16);
+    const mbHigh = Math.ceil(rendition.height / 16);
+    const frameSize = mbWide * mbHigh;
+    const fits = (l) => frameSize <= l.maxFs
+        && Math.max(mbWide, mbHigh) <= Math.sqrt(8 * l.maxFs)
+        && frameSize * fps <= l.maxMbps
+        && rendition.videoKbps * 1.1 <= l.maxKbps;
+    return (H264_LEVELS.find(fits) || H264_LEVELS[H264_LEVELS.length - 1]).level;
+}
+
+// RFC 6381 codec string for H.264 Main at a level: avc1.4d40<level hex>.
+function videoCodec(level) {
+    return `avc1.4d40${level.toString(16).padStart(2, '0')}`;
+}
+
+// Peak bandwidth advertised for a rendition, in bits/s: the video target
+// plus audio, with headroom for the -maxrate cap.
+function renditionBandwidth(rendition, hasAudio) {
+    return Math.round((rendition.videoKbps * 1.1 + (hasAudio ? rendition.audioKbps : 0)) * 1000);
+}
+
+// Master playlist over renditions written as <name>/index.m3u8, lowest
+// bandwidth first so players start conservatively.
+function buildMasterPlaylist(renditions, { hasAudio = true, fps = 30 } = {}) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    for (const r of [...renditions].sort((a, b) => a.videoKbps - b.videoKbps)) {
+        const video = videoCodec(h264Level(r, fps));
+        const codecs = hasAudio ? `${video},${AUDIO_CODEC}` : video;
+        lines.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${renditionBandwidth(r, hasAudio)},RESOLUTION=${r.width}x${r.height},CODECS="${codecs}"`,
+            `${r.name}/index.m3u8`
+        );
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Map quality-tier names ('1080p', '360p', ...) onto the ladder: each
+// becomes the highest rung at or below its resolution, duplicates dropped,
+// order kept. `tiers` is QUALITY_TIERS-shaped ({ name: { resolution } }).
+function renditionsForQualities(qualities, tiers, ladder = HLS_LADDER) {
+    const out = [];
+    for (const quality of qualities) {
+        const resolution = tiers[quality]?.resolution;
+        if (!resolution) continue;
+        const fitting = ladder.filter((rung) => rung.height <= resolution);
+        const rung = fitting.length ? fitting[fitting.length - 1] : ladder[0];
+        if (!out.includes(rung.name)) out.push(rung.name);
+    }
+    return out;
+}
+
+// ffmpeg output options for one rendition. Keyframes are pinned to segment
+// boundaries (fixed GOP, no scene-cut keyframes) so every rung segments at
+// the same timestamps and players can switch cleanly.
+function renditionOutputOptions(rendition, { hasAudio = true, fps = 30, segmentDir } = {}) {
+    const gop = Math.max(1, Math.round(fps * SEGMENT_SECONDS));
+    const options = [
+        `-vf scale=${rendition.width}:${rendition.height}`,
+        '-c:v libx264',
+        '-preset veryfast',
+        '-profile:v main',
+        `-level ${(h264Level(rendition, fps) / 10).toFixed(1)}`,
+        `-b:v ${rendition.videoKbps}k`,
+        `-maxrate ${Math.round(rendition.videoKbps * 1.1)}k`,
+        `-bufsize ${rendition.videoKbps * 2}k`,
+        `-g ${gop}`,
+        `-keyint_min ${gop}`,
+        '-sc_threshold 0',
+    ];
+    if (hasAudio) {
+        options.push('-c:a aac', `-b:a ${rendition.audioKbps}k`, '-ac 2');
+    } else {
+        options.push('-an');
+    }
+    options.push(
+        '-f hls',
+        `-hls_time ${SEGMENT_SECONDS}`,
+        '-hls_playlist_type vod',
+        `-hls_segment_filename ${path.join(segmentDir, 'seg_%03d.ts')}`
+    );
+    return options;
+}
+
+// "30000/1001" -> 29.97; falls back to 30.
+function parseFrameRate(rate) {
+    const [num, den] = String(rate || '').split('/').map(Number);
+    const fps = den ? num / den : num;
+    return Number.isFinite(fps) && fps > 0 ? fps : 30;
+}
+
+// Public URL of an uploaded HLS object. HLS_PUBLIC_BASE_URL (a CDN in front
+// of the bucket) wins; otherwise the virtual-hosted S3 URL, the same shape
+// as thumbnail URLs. Playlists reference segments by relative path, so the
+// prefix must be publicly readable — per-object signed URLs can't work.
+function publicUrlForKey(key) {
+    const base = process.env.HLS_PUBLIC_BASE_URL
+        || `https://${process.env.AWS_S3_BUCKET || 'blipsbucket'}.s3.${process.env.AWS_S3_REGION}.amazonaws.com`;
+    return `${base.replace(/\/+$/, '')}/${key}`;
+}
+
+// Reels the transcode job should pick up (services/reelJobQueue.js).
+function pendingTranscodeQuery(now = new Date()) {
+    return pendingReelQuery('hls', now);
+}
+
+class HlsTranscoder {
+    constructor() {
+        this.bucketName = process.env.AWS_S3_BUCKET || 'blipsbucket';
+    }
+
+    probe(inputUrl) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(inputUrl, (err, data) => {
+                if (err) return reject(err);
+                const video = (data.streams || []).find((s) => s.codec_type === 'video');
+                if (!video) return reject(new Error('No video stream'));
+                resolve({
+                    width: video.width,
+                    height: video.height,
+                    fps: parseFrameRate(video.avg_frame_rate || video.r_frame_rate),
+                    hasAudio: (data.streams || []).some((s) => s.codec_type === 'audio'),
+                    duration: Number(data.format?.duration) || null,
+                });
+            });
+        });
+    }
+
+    encodeRendition(inputUrl, rendition, workDir, source) {
+        const outDir = path.join(workDir, rendition.name);
+        fs.mkdirSync(outDir, { recursive: true });
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputUrl)
+                .outputOptions(renditionOutputOptions(rendition, {
+                    hasAudio: source.hasAudio,
+                    fps: source.fps,
+                    segmentDir: outDir,
+                }))
+                .output(path.join(outDir, 'index.m3u8'))
+                .on('end', () => resolve())
+                .on('error', (err) => reject(err))
+                .run();
+        });
+    }
+
+    // Upload every file under workDir to <prefix>/<relative path>.
+    async uploadDir(workDir, prefix) {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        const { s3Client } = require('./ThumbnailGenerator');
+        const files = [];
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) walk(full);
+                else files.push(full);
+            }
+        };
+        walk(workDir);
+
+        for (const file of files) {
+            const key = `${prefix}/${path.relative(workDir, file).split(path.sep).join('/')}`;
+            await s3Client.send(new PutObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+                Body: fs.readFileSync(file),
+                ContentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+                CacheControl: 'max-age=31536000', // VOD renditions never change
+            }));
+        }
+        return files.length;
+    }
+
+    // Transcode one reel into an HLS ladder and upload it. Returns what to
+    // store on the reel; throws on failure. The work directory is always
+    // removed.
+    async transcode(reel) {
+        const { thumbnailGenerator } = require('./ThumbnailGenerator');
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `hls-${reel._id}-`));
+        try {
+            const inputUrl = await thumbnailGenerator.resolveInputUrl(reel.videoUrl, reel.originalKey);
+            const source = await this.probe(inputUrl);
+            const renditions = planRenditions(source.width, source.height);
+            console.log(`🎞️ Transcoding reel ${reel._id} (${source.width}x${source.height}) → ${renditions.map((r) => r.name).join(', ')}`);
+
+            for (const rendition of renditions) {
+                await this.encodeRendition(inputUrl, rendition, workDir, source);
+            }
+            fs.writeFileSync(path.join(workDir, 'master.m3u8'), buildMasterPlaylist(renditions, { hasAudio: source.hasAudio, fps: source.fps }));
+
+            const prefix = hlsKeyPrefix(reel);
+            const uploaded = await this.uploadDir(workDir, prefix);
+            const masterKey = `${prefix}/master.m3u8`;
+            console.log(`✅ Uploaded ${uploaded} HLS files for reel ${reel._id} to ${prefix}`);
+
+            return {
+                masterKey,
+                masterUrl: publicUrlForKey(masterKey),
+                duration: source.duration,
+                renditions: renditions.map((r) => ({
+                    name: r.name,
+                    width: r.width,
+                    height: r.height,
+                    bandwidth: renditionBandwidth(r, source.hasAudio),
+                })),
+            };
+        } finally {
+            try {
+                fs.rmSync(workDir, { recursive: true, force: true });
+            } catch (cleanupError) {
+                console.warn(`⚠️ Failed to clean up ${workDir}:`, cleanupError.message);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const hlsTranscoder = new HlsTranscoder();
+
+module.exports = {
+    HLS_LADDER,
+    MAX_ATTEMPTS,
+    HlsTranscoder,
+    hlsTranscoder,
+    hlsKeyPrefix,
+    renditionSize,
+    planRenditions,
+    h264Level,
+    videoCodec,
+    renditionBandwidth,
+    buildMasterPlaylist,
+    renditionsForQualities,
+    renditionOutputOptions,
+    parseFrameRate,
+    publicUrlForKey,
+    pendingTranscodeQuery,
+};
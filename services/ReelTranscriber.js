@@ -0,0 +1,293 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { MAX_ATTEMPTS, pendingReelQuery } = require('./reelJobQueue');
+
+// Speech-to-text backends: { name, transcribe(audioPath, { language,
+// workDir }) -> Whisper-style JSON }. TRANSCRIBE_BACKEND picks one by name;
+// more can be added with registerBackend. Audio is handed over as 16 kHz
+// mono WAV, Whisper's native input.
+const DEFAULT_BACKEND = 'whisper-cli';
+
+// Whisper on CPU runs at a few times real time; reels are short.
+const CLI_TIMEOUT_MS = 10 * 60 * 1000;
+// Transcript characters that go into the reel embedding (~2k tokens).
+const EMBED_TRANSCRIPT_CHARS = 8000;
+
+// Source.language -> ISO 639-1 hint for the backend. Unknown languages are
+// left to the backend's own detection.
+const LANGUAGE_CODES = {
+    english: 'en',
+    arabic: 'ar',
+    farsi: 'fa',
+    persian: 'fa',
+    hindi: 'hi',
+    urdu: 'ur',
+    malayalam: 'ml',
+    tagalog: 'tl',
+    french: 'fr',
+};
+
+function languageHint(sourceLanguage) {
+    return LANGUAGE_CODES[String(sourceLanguage || '').toLowerCase()] || null;
+}
+
+// Captions sit next to the uploaded MP4 (gulfio-123.mp4 -> gulfio-123.vtt),
+// else under captions/<reel _id>.vtt.
+function captionsKey(reel) {
+    if (reel.originalKey) return `${reel.originalKey.replace(/\.[^/.]+$/, '')}.vtt`;
+    return `captions/${reel._id}.vtt`;
+}
+
+// ffmpeg output options for the audio handed to the backend.
+function audioExtractOptions() {
+    return ['-vn', '-ac 1', '-ar 16000', '-c:a pcm_s16le'];
+}
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// Clean backend segments: trimmed text, no empties, end >= start, in order.
+function normalizeSegments(segments) {
+    return (segments || [])
+        .map((s) => ({
+            start: round3(Math.max(0, Number(s.start) || 0)),
+            end: round3(Math.max(0, Number(s.end) || 0)),
+            text: String(s.text || '').replace(/\s+/g, ' ').trim(),
+        }))
+        .filter((s) => s.text)
+        .map((s) => ({ ...s, end: Math.max(s.start, s.end) }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Whisper-style JSON -> { text, language, segments }. Accepts the
+// openai-whisper / faster-whisper / OpenAI API layout (segments with start
+// and end in seconds) and whisper.cpp's (-oj: transcription[] with
+// offsets in ms, result.language).
+function parseWhisperJson(json) {
+    let segments;
+    let language;
+    if (Array.isArray(json?.transcription)) {
+        segments = json.transcription.map((t) => ({
+            start: (t.offsets?.from || 0) / 1000,
+            end: (t.offsets?.to || 0) / 1000,
+            text: t.text,
+        }));
+        language = json.result?.language;
+    } else {
+        segments = (json?.segments || []).map((s) => ({ start: s.start, end: s.end, text: s.text }));
+        language = json?.language;
+    }
+    segments = normalizeSegments(segments);
+    // Backends report either codes or full names ("english"); store codes.
+    const code = String(language || '').toLowerCase();
+    return {
+        text: segments.length ? segments.map((s) => s.text).join(' ') : String(json?.text || '').replace(/\s+/g, ' ').trim(),
+        language: LANGUAGE_CODES[code] || (code.length === 2 ? code : null),
+        segments,
+    };
+}
+
+// 75.5 -> "00:01:15.500"
+function formatVttTimestamp(seconds) {
+    const ms = Math.round(Math.max(0, seconds) * 1000);
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+// Cue text can't contain "-->" and is HTML-ish, so & and < are escaped.
+const vttText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '->');
+
+function buildWebVtt(segments) {
+    const cues = segments.map((s, i) => `${i + 1}\n${formatVttTimestamp(s.start)} --> ${formatVttTimestamp(s.end)}\n${vttText(s.text)}\n`);
+    return `WEBVTT\n\n${cues.join('\n')}`;
+}
+
+// Text embedded for a reel: caption plus what is said in it.
+function embeddingInput(reel, transcriptText) {
+    const parts = [reel.caption || ''];
+    const spoken = String(transcriptText || '').trim();
+    if (spoken) parts.push(`Transcript: ${spoken.slice(0, EMBED_TRANSCRIPT_CHARS)}`);
+    return parts.filter(Boolean).join('\n\n');
+}
+
+// Lowercased words of a search query (letters and digits in any script),
+// for picking out the cues that match it.
+function searchTerms(query) {
+    const words = String(query || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter((w) => w.length >= 2);
+    return [...new Set(words)].slice(0, 10);
+}
+
+// Up to `limit` transcript cues mentioning the most search terms, in time
+// order, so a result can link to where something is said.
+function matchingCues(segments, terms, limit = 3) {
+    if (!terms.length) return [];
+    return (segments || [])
+        .map((s) => {
+            const text = String(s.text || '').toLowerCase();
+            return { cue: { start: s.start, end: s.end, text: s.text }, hits: terms.filter((t) => text.includes(t)).length };
+        })
+        .filter((m) => m.hits > 0)
+        .sort((a, b) => b.hits - a.hits || a.cue.start - b.cue.start)
+        .slice(0, limit)
+        .map((m) => m.cue)
+        .sort((a, b) => a.start - b.start);
+}
+
+// Reels the transcribe job should pick up (services/reelJobQueue.js).
+function pendingTranscriptionQuery(now = new Date()) {
+    return pendingReelQuery('transcript', now);
+}
+
+/** ---- Built-in backends ---- **/
+
+// Any CLI with openai-whisper's flags (whisper, whisper-ctranslate2, ...):
+// WHISPER_CLI is the binary, WHISPER_MODEL the model name.
+const whisperCli = {
+    name: 'whisper-cli',
+    transcribe(audioPath, { language, workDir }) {
+        const args = [
+            audioPath,
+            '--model', process.env.WHISPER_MODEL || 'base',
+            '--output_format', 'json',
+            '--output_dir', workDir,
+            ...(language ? ['--language', language] : []),
+        ];
+        return new Promise((resolve, reject) => {
+            execFile(process.env.WHISPER_CLI || 'whisper', args, { timeout: CLI_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }, (err) => {
+                if (err) return reject(err);
+                const out = path.join(workDir, `${path.basename(audioPath, path.extname(audioPath))}.json`);
+                try {
+                    resolve(JSON.parse(fs.readFileSync(out, 'utf8')));
+                } catch (readErr) {
+                    reject(new Error(`No transcript written by ${process.env.WHISPER_CLI || 'whisper'}: ${readErr.message}`));
+                }
+            });
+        });
+    },
+};
+
+const openaiWhisper = {
+    name: 'openai',
+    transcribe(audioPath, { language }) {
+        const { transcribeAudio } = require('./openaiClient');
+        return transcribeAudio(audioPath, { language });
+    },
+};
+
+class ReelTranscriber {
+    constructor({ backends = [whisperCli, openaiWhisper], backend = process.env.TRANSCRIBE_BACKEND || DEFAULT_BACKEND } = {}) {
+        this.bucketName = process.env.AWS_S3_BUCKET || 'blipsbucket';
+        this.backends = new Map(backends.map((b) => [b.name, b]));
+        this.backendName = backend;
+    }
+
+    registerBackend(backend) {
+        this.backends.set(backend.name, backend);
+    }
+
+    get backend() {
+        const backend = this.backends.get(this.backendName);
+        if (!backend) throw new Error(`Unknown transcription backend: ${this.backendName}`);
+        return backend;
+    }
+
+    probe(inputUrl) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(inputUrl, (err, data) => {
+                if (err) return reject(err);
+                resolve({
+                    hasAudio: (data.streams || []).some((s) => s.codec_type === 'audio'),
+                    duration: Number(data.format?.duration) || null,
+                });
+            });
+        });
+    }
+
+    extractAudio(inputUrl, outPath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputUrl)
+                .outputOptions(audioExtractOptions())
+                .output(outPath)
+                .on('end', () => resolve())
+                .on('error', (err) => reject(err))
+                .run();
+        });
+    }
+
+    async uploadCaptions(key, vtt) {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        const { s3Client } = require('./ThumbnailGenerator');
+        await s3Client.send(new PutObjectCommand({
+            Bucket: this.bucketName,
+            Key: key,
+            Body: vtt,
+            ContentType: 'text/vtt; charset=utf-8',
+            CacheControl: 'max-age=86400', // re-transcription overwrites it
+        }));
+    }
+
+    // Transcribe one reel and upload its WebVTT captions. Returns what to
+    // store on the reel (captions fields are null for reels without audio);
+    // throws on failure. The work directory is always removed.
+    async transcribe(reel, { language = null } = {}) {
+        const { thumbnailGenerator } = require('./ThumbnailGenerator');
+        const { publicUrlForKey } = require('./HlsTranscoder');
+        const backend = this.backend;
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `stt-${reel._id}-`));
+        try {
+            const inputUrl = await thumbnailGenerator.resolveInputUrl(reel.videoUrl, reel.originalKey);
+            const source = await this.probe(inputUrl);
+            if (!source.hasAudio) {
+                return { status: 'no_audio', text: '', language: null, segments: [], captionsKey: null, captionsUrl: null, backend: backend.name };
+            }
+
+            const audioPath = path.join(workDir, 'audio.wav');
+            await this.extractAudio(inputUrl, audioPath);
+            console.log(`🗣️ Transcribing reel ${reel._id} with ${backend.name}${language ? ` (${language})` : ''}`);
+            const parsed = parseWhisperJson(await backend.transcribe(audioPath, { language, workDir }));
+
+            let key = null;
+            if (parsed.segments.length > 0) {
+                key = captionsKey(reel);
+                await this.uploadCaptions(key, buildWebVtt(parsed.segments));
+            }
+            return {
+                status: 'ready',
+                text: parsed.text,
+                language: parsed.language || language,
+                segments: parsed.segments,
+                captionsKey: key,
+                captionsUrl: key ? publicUrlForKey(key) : null,
+                backend: backend.name,
+            };
+        } finally {
+            try {
+                fs.rmSync(workDir, { recursive: true, force: true });
+            } catch (cleanupError) {
+                console.warn(`⚠️ Failed to clean up ${workDir}:`, cleanupError.message);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const reelTranscriber = new ReelTranscriber();
+
+module.exports = {
+    MAX_ATTEMPTS,
+    ReelTranscriber,
+    reelTranscriber,
+    languageHint,
+    captionsKey,
+    audioExtractOptions,
+    normalizeSegments,
+    parseWhisperJson,
+    formatVttTimestamp,
+    buildWebVtt,
+    embeddingInput,
+    searchTerms,
+    matchingCues,
+    pendingTranscriptionQuery,
+};
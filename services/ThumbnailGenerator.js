@@ -4,6 +4,8 @@ const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const { blurhashFromBuffer } = require('../utils/blurhash');
+const { THUMBNAIL, candidateTimestamps, frameMetrics, scoreFrame, rankCandidates, selectionUpdate } = require('./thumbnailSelection');
 
 // Configure AWS S3 using the same environment variables as the upload route.
 //
@@ -121,21 +123,7 @@ class ThumbnailGenerator {
                 .toBuffer();
 
             // Upload to S3
-            const s3Key = `thumbnails/${reelId}-thumbnail.jpg`;
-            const uploadCommand = new PutObjectCommand({
-                Bucket: this.bucketName,
-                Key: s3Key,
-                Body: optimizedBuffer,
-                ContentType: 'image/jpeg',
-                CacheControl: 'max-age=31536000', // Cache for 1 year
-            });
-
-            console.log(`🚀 Uploading thumbnail to S3: ${this.bucketName}/${s3Key}`);
-            const uploadResult = await s3Client.send(uploadCommand);
-
-            // Generate AWS S3 public URL
-            const thumbnailUrl = `https://${this.bucketName}.s3.${process.env.AWS_S3_REGION}.amazonaws.com/${s3Key}`;
-            console.log(`🔗 Generated thumbnail URL: ${thumbnailUrl}`);
+            const thumbnailUrl = await this.uploadThumbnail(`thumbnails/${reelId}-thumbnail.jpg`, optimizedBuffer);
 
             // Clean up temp file
             this.cleanupTempFile(thumbnailPath);
@@ -162,6 +150,113 @@ class ThumbnailGenerator {
         }
     }
 
+    // Upload a JPEG and return its public S3 URL.
+    async uploadThumbnail(s3Key, buffer) {
+        const uploadCommand = new PutObjectCommand({
+            Bucket: this.bucketName,
+            Key: s3Key,
+            Body: buffer,
+            ContentType: 'image/jpeg',
+            CacheControl: 'max-age=31536000', // Cache for 1 year
+        });
+
+        console.log(`🚀 Uploading thumbnail to S3: ${this.bucketName}/${s3Key}`);
+        await s3Client.send(uploadCommand);
+
+        // Generate AWS S3 public URL
+        const thumbnailUrl = `https://${this.bucketName}.s3.${process.env.AWS_S3_REGION}.amazonaws.com/${s3Key}`;
+        console.log(`🔗 Generated thumbnail URL: ${thumbnailUrl}`);
+        return thumbnailUrl;
+    }
+
+    // Video duration in seconds, or null when ffprobe can't tell.
+    probeDuration(inputUrl) {
+        return new Promise((resolve) => {
+            ffmpeg.ffprobe(inputUrl, (err, data) => {
+                resolve(err ? null : Number(data?.format?.duration) || null);
+            });
+        });
+    }
+
+    // Cut one frame per timestamp into the temp dir. Resolves with the
+    // frames ffmpeg actually wrote (timestamps past the end yield none).
+    extractFrames(inputUrl, reelId, timestamps) {
+        // fluent-ffmpeg numbers the files from 1 in timestamp order (%i).
+        const frames = timestamps.map((at, i) => ({ at, path: path.join(this.tempDir, `${reelId}-candidate-${i + 1}.jpg`) }));
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputUrl)
+                .screenshots({
+                    timestamps: timestamps.map(String),
+                    filename: `${reelId}-candidate-%i.jpg`,
+                    folder: this.tempDir,
+                    size: '360x640' // 9:16 aspect ratio for mobile (portrait)
+                })
+                .on('end', () => resolve(frames.filter((f) => fs.existsSync(f.path))))
+                .on('error', (err) => {
+                    frames.forEach((f) => this.cleanupTempFile(f.path));
+                    reject(err);
+                });
+        });
+    }
+
+    // Sample several frames, score them (services/thumbnailSelection.js) and
+    // upload every one as a candidate. Resolves with
+    // { thumbnailUrl, thumbnailBlurhash, candidates } for the best frame,
+    // candidates best first; nothing is saved (see saveSelection).
+    async selectThumbnail(videoUrl, reelId, originalKey = null) {
+        console.log(`🎬 Selecting thumbnail for reel: ${reelId}`);
+        const inputUrl = await this.resolveInputUrl(videoUrl, originalKey);
+        const duration = await this.probeDuration(inputUrl);
+        const frames = await this.extractFrames(inputUrl, reelId, candidateTimestamps(duration));
+
+        try {
+            if (frames.length === 0) throw new Error(`No frames extracted for reel ${reelId}`);
+
+            const scored = [];
+            for (const frame of frames) {
+                const buffer = await sharp(frame.path)
+                    .resize(THUMBNAIL.WIDTH, THUMBNAIL.HEIGHT, { fit: 'cover', position: 'center' })
+                    .jpeg({ quality: 80, progressive: true })
+                    .toBuffer();
+                const metrics = await frameMetrics(buffer);
+                scored.push({ at: frame.at, buffer, metrics, score: scoreFrame(metrics) });
+            }
+
+            const candidates = [];
+            for (const frame of rankCandidates(scored)) {
+                // Keyed by timestamp: re-sampling the same video rewrites identical images.
+                const key = `thumbnails/${reelId}-${Math.round(frame.at * 1000)}ms.jpg`;
+                candidates.push({
+                    url: await this.uploadThumbnail(key, frame.buffer),
+                    key,
+                    at: frame.at,
+                    score: frame.score,
+                    metrics: frame.metrics,
+                    blurhash: await blurhashFromBuffer(frame.buffer),
+                });
+            }
+
+            console.log(`🎉 Picked frame at ${candidates[0].at}s (score ${candidates[0].score}) of ${candidates.length} for reel ${reelId}`);
+            return { thumbnailUrl: candidates[0].url, thumbnailBlurhash: candidates[0].blurhash, candidates };
+        } finally {
+            frames.forEach((f) => this.cleanupTempFile(f.path));
+        }
+    }
+
+    // Store a selection on the reel. Replaces the previous candidates and
+    // ends any thumbnail test running on them.
+    async saveSelection(reelId, selection) {
+        const Reel = require('../models/Reel');
+        await Reel.findByIdAndUpdate(reelId, { $set: selectionUpdate(selection) });
+    }
+
+    // Select and save; returns the thumbnail URL.
+    async selectAndSave(videoUrl, reelId, originalKey = null) {
+        const selection = await this.selectThumbnail(videoUrl, reelId, originalKey);
+        await this.saveSelection(reelId, selection);
+        return selection.thumbnailUrl;
+    }
+
     cleanupTempFile(filePath) {
         try {
             if (fs.existsSync(filePath)) {
@@ -234,8 +329,7 @@ class ThumbnailGenerator {
                 for (const video of page) {
                     processed++;
                     try {
-                        const thumbnailUrl = await this.generateThumbnail(video.videoUrl, video._id, video.originalKey);
-                        await Reel.findByIdAndUpdate(video._id, { thumbnailUrl });
+                        await this.selectAndSave(video.videoUrl, video._id, video.originalKey);
                         successful++;
                         console.log(`✅ [${processed}/${totalMissing}] Thumbnail saved for ${video._id}`);
                         await new Promise(resolve => setTimeout(resolve, 2000)); // pace the encoder
@@ -257,11 +351,10 @@ class ThumbnailGenerator {
         }
     }
 
-    // Generate thumbnail for a single video during upload
+    // Select and save the thumbnail for a single video during upload
     async generateForNewVideo(videoUrl, reelId) {
         try {
-            const thumbnailUrl = await this.generateThumbnail(videoUrl, reelId);
-            return thumbnailUrl;
+            return await this.selectAndSave(videoUrl, reelId);
         } catch (error) {
             console.error(`❌ Failed to generate thumbnail for new video ${reelId}:`, error.message);
             // Return null so the video can still be saved without thumbnail
@@ -285,8 +378,7 @@ class ThumbnailGenerator {
             }
 
             console.log(`✅ Found reel: ${reel.videoUrl}`);
-            const thumbnailUrl = await this.generateThumbnail(reel.videoUrl, reelId, reel.originalKey);
-            return thumbnailUrl;
+            return await this.selectAndSave(reel.videoUrl, reelId, reel.originalKey);
         } catch (error) {
             console.error(`❌ Failed to generate thumbnail by ID ${reelId}:`, {
                 error: error.message,
@@ -332,4 +424,4 @@ class ThumbnailGenerator {
 // Create singleton instance
 const thumbnailGenerator = new ThumbnailGenerator();
 
-module.exports = { ThumbnailGenerator, thumbnailGenerator };
+module.exports = { ThumbnailGenerator, thumbnailGenerator, s3Client };
@@ -0,0 +1,199 @@
+/**
+ * Article revisions — deciding whether a re-fetched article changed in a way
+ * readers should see, and reading the stored history back.
+ *
+ * Publishers edit stories after we ingest them: corrections, updated
+ * casualty figures, a rewritten headline. The revisit job
+ * (jobs/revisit-articles.js) re-extracts recent articles and hands both
+ * versions to compareVersions(). Re-extraction is noisy — markdown spacing,
+ * a "related" link that rotates — so the comparison works on normalised
+ * sentences and only reports edits that change the words.
+ *
+ *   meaningful  → store an ArticleRevision and update the article
+ *   significant → also raise the article's "Updated" flag in feeds
+ *
+ * A changed headline or a changed figure is always significant, however small
+ * the edit: "12 dead" becoming "15 dead" is a one-word diff and exactly the
+ * update readers need.
+ */
+
+const ArticleRevision = require('../models/ArticleRevision');
+
+// Share of words touched before a body edit counts at all, and before it
+// counts as significant on its own.
+const MIN_CHANGE_RATIO = 0.02;
+const SIGNIFICANT_CHANGE_RATIO = 0.15;
+// A re-extraction that lost more than half the body is a broken page
+// (paywall, consent wall, redesign), not an edit.
+const MIN_LENGTH_RATIO = 0.5;
+// Bounds the O(n·m) sentence diff; long-form tails beyond this are ignored.
+const MAX_DIFF_SENTENCES = 400;
+
+/** Markdown and whitespace stripped, so formatting churn never looks like an edit. */
+function normalizeText(text) {
+    return String(text || '')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_#>`~|]+/g, ' ')
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+function normalizeTitle(title) {
+    return normalizeText(title).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/** Sentences of a body, split on paragraph breaks and sentence-ending punctuation. */
+function splitSentences(text) {
+    return normalizeText(text)
+        .split(/\n+|(?<=[.!?؟])\s+/u)
+        .map(s => s.trim())
+        .filter(Boolean);
+}
+
+function words(sentences) {
+    return sentences.flatMap(s => s.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function lcsLength(a, b) {
+    let prev = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+        const row = new Array(b.length + 1).fill(0);
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = a[i - 1] === b[j - 1] ? prev[j - 1] + 1 : Math.max(prev[j], row[j - 1]);
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/** Words removed + added within a hunk — a one-word fix in a long sentence touches two, not the whole sentence. */
+function wordsTouched(hunk) {
+    const removed = words(hunk.removed);
+    const added = words(hunk.added);
+    return removed.length + added.length - 2 * lcsLength(removed, added);
+}
+
+/** Figures mentioned in a text, in order ("1,200" and "1200" compare equal). */
+function numbersIn(text) {
+    return (normalizeText(text).match(/\d[\d,.]*\d|\d/g) || []).map(n => n.replace(/,/g, ''));
+}
+
+/**
+ * Sentence-level diff (LCS). Returns hunks { at, removed, added } where `at`
+ * is the index in `before` of the first removed sentence (or the insertion
+ * point). Pure.
+ */
+function diffSentences(before, after) {
+    const a = before.slice(0, MAX_DIFF_SENTENCES);
+    const b = after.slice(0, MAX_DIFF_SENTENCES);
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const hunks = [];
+    let hunk = null;
+    const flush = () => {
+        if (hunk) hunks.push(hunk);
+        hunk = null;
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            flush();
+            i++;
+            j++;
+        } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+            hunk = hunk || { at: i, removed: [], added: [] };
+            hunk.removed.push(a[i++]);
+        } else {
+            hunk = hunk || { at: i, removed: [], added: [] };
+            hunk.added.push(b[j++]);
+        }
+    }
+    flush();
+    return hunks;
+}
+
+/**
+ * Compare the stored version of an article with a fresh extraction. Pure.
+ *
+ * @param {{ title: string, content: string }} previous
+ * @param {{ title: string, content: string }} next
+ * @returns {{ meaningful: boolean, significant: boolean, suspect: boolean,
+ *   titleChanged: boolean, contentChanged: boolean, numbersChanged: boolean,
+ *   changeRatio: number, diff: Array<{ at: number, removed: string[], added: string[] }> }}
+ */
+function compareVersions(previous, next) {
+    const titleChanged = !!next.title && normalizeTitle(previous.title) !== normalizeTitle(next.title);
+    const before = splitSentences(previous.content);
+    const after = splitSentences(next.content);
+
+    const previousLength = normalizeText(previous.content).length;
+    const suspect = previousLength > 0 && normalizeText(next.content).length < previousLength * MIN_LENGTH_RATIO;
+
+    const diff = suspect ? [] : diffSentences(before, after);
+    const touched = diff.reduce((n, h) => n + wordsTouched(h), 0);
+    const total = words(before).length + words(after).length;
+    const changeRatio = total > 0 ? Math.round((touched / total) * 1000) / 1000 : 0;
+    const numbersChanged = !suspect && numbersIn(previous.content).join(' ') !== numbersIn(next.content).join(' ');
+    const contentChanged = diff.length > 0 && (changeRatio >= MIN_CHANGE_RATIO || numbersChanged);
+
+    const meaningful = !suspect && (titleChanged || contentChanged);
+    return {
+        meaningful,
+        significant: meaningful && (titleChanged || numbersChanged || changeRatio >= SIGNIFICANT_CHANGE_RATIO),
+        suspect,
+        titleChanged,
+        contentChanged,
+        numbersChanged,
+        changeRatio,
+        diff,
+    };
+}
+
+/**
+ * What a revisit does with a fresh extraction. Pure.
+ *
+ *   baseline  → store it as the version later revisits compare against,
+ *               without a revision or the "Updated" flag
+ *   revise    → store an ArticleRevision and update the article
+ *   unchanged / suspect → keep the stored version
+ *
+ * Pass `baseline` when the stored body didn't come from the article page:
+ * feed sources store the feed's summary, and comparing the first page
+ * extraction against it would mark every feed article "Updated".
+ *
+ * @returns {{ action: 'baseline'|'revise'|'unchanged'|'suspect', comparison: Object }}
+ */
+function planRevisit(previous, next, { baseline = false } = {}) {
+    const comparison = compareVersions(previous, next);
+    if (comparison.suspect) return { action: 'suspect', comparison };
+    if (baseline) return { action: 'baseline', comparison };
+    return { action: comparison.meaningful ? 'revise' : 'unchanged', comparison };
+}
+
+/** Stored revisions of an article, newest first. */
+async function listRevisions(articleId, { limit = 20 } = {}) {
+    return ArticleRevision.find({ articleId })
+        .sort({ revisedAt: -1 })
+        .limit(limit)
+        .select('-__v')
+        .lean();
+}
+
+module.exports = {
+    MIN_CHANGE_RATIO,
+    SIGNIFICANT_CHANGE_RATIO,
+    normalizeText,
+    splitSentences,
+    diffSentences,
+    compareVersions,
+    planRevisit,
+    listRevisions,
+};
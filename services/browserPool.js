@@ -0,0 +1,131 @@
+/**
+ * One shared headless Chrome for request-path work that really needs a
+ * browser (services/mediaResolver.js's fallback extractors).
+ *
+ * Launching Chromium costs seconds and hundreds of MB, so instead of one
+ * browser per request there is one per process, launched on first use,
+ * serving at most MAX_PAGES pages at a time (callers beyond that queue) and
+ * closed after IDLE_CLOSE_MS without work. A crashed or disconnected
+ * browser is relaunched on the next call. Scraper fetches keep their own
+ * short-lived browsers (scraper/fetchWithPuppeteer.js).
+ */
+
+const { findChrome } = require('../scraper/fetchWithPuppeteer');
+
+const MAX_PAGES = parseInt(process.env.BROWSER_POOL_MAX_PAGES, 10) || 2;
+const IDLE_CLOSE_MS = 60 * 1000;
+const PAGE_TIMEOUT_MS = 20 * 1000;
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--no-first-run',
+    '--no-zygote',
+    '--mute-audio',
+];
+
+/**
+ * Counting semaphore: at most `limit` holders; acquire() resolves with a
+ * release function. FIFO. Pure (no I/O).
+ */
+function createSemaphore(limit) {
+    let active = 0;
+    const waiting = [];
+    const release = () => {
+        active--;
+        const next = waiting.shift();
+        if (next) {
+            active++;
+            next(release);
+        }
+    };
+    return {
+        acquire() {
+            if (active < limit) {
+                active++;
+                return Promise.resolve(release);
+            }
+            return new Promise((resolve) => waiting.push(resolve));
+        },
+        get active() {
+            return active;
+        },
+        get waiting() {
+            return waiting.length;
+        },
+    };
+}
+
+const slots = createSemaphore(MAX_PAGES);
+let browserPromise = null;
+let idleTimer = null;
+
+async function launch() {
+    const puppeteer = require('puppeteer');
+    const executablePath = await findChrome();
+    const browser = await puppeteer.launch({
+        headless: 'new',
+        args: LAUNCH_ARGS,
+        ...(executablePath ? { executablePath } : {}),
+    });
+    browser.on('disconnected', () => {
+        browserPromise = null;
+    });
+    console.log('🌐 Browser pool: launched shared browser');
+    return browser;
+}
+
+function getBrowser() {
+    if (!browserPromise) {
+        browserPromise = launch().catch((err) => {
+            browserPromise = null;
+            throw err;
+        });
+    }
+    return browserPromise;
+}
+
+function scheduleIdleClose() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+        if (slots.active > 0 || !browserPromise) return;
+        closeBrowser().catch(() => {});
+    }, IDLE_CLOSE_MS);
+    idleTimer.unref?.();
+}
+
+/**
+ * Run `fn(page)` on a fresh page of the shared browser. The page is always
+ * closed afterwards; the browser stays up for the next caller.
+ */
+async function withPage(fn, { timeoutMs = PAGE_TIMEOUT_MS } = {}) {
+    const release = await slots.acquire();
+    clearTimeout(idleTimer);
+    let page;
+    try {
+        const browser = await getBrowser();
+        page = await browser.newPage();
+        page.setDefaultTimeout(timeoutMs);
+        page.setDefaultNavigationTimeout(timeoutMs);
+        return await fn(page);
+    } finally {
+        if (page) await page.close().catch(() => {});
+        release();
+        scheduleIdleClose();
+    }
+}
+
+async function closeBrowser() {
+    const pending = browserPromise;
+    browserPromise = null;
+    if (!pending) return;
+    const browser = await pending.catch(() => null);
+    if (browser) {
+        await browser.close().catch(() => {});
+        console.log('🌐 Browser pool: closed idle browser');
+    }
+}
+
+module.exports = { withPage, closeBrowser, createSemaphore };
@@ -0,0 +1,156 @@
+// services/contentQuality.js
+//
+// Ingest-time content quality. Some extractions are a teaser, a paywall
+// prompt, a cookie banner or a row of share buttons rather than a story;
+// remove-social-share-text.js and quick-fix-whatson-formatting.js used to
+// clean those up after the fact. classifyContent() labels an extraction:
+//
+//   full    a readable article
+//   teaser  a real article cut short: paywall prompt, "Read more…" ending,
+//           or too little text once boilerplate is removed
+//   junk    not an article: almost all boilerplate, a handful of words, or
+//           the wrong language for the source
+//
+// saveArticle (scraper/articlePipeline.js) drops junk and stores the label on
+// the article; the per-run counts land on ScrapeRun.contentQuality and
+// jobs/update-source-quality.js rolls them into Source.quality_score.
+
+// Fewer words than this after boilerplate is removed is not an article.
+const JUNK_MAX_WORDS = 25;
+// Boilerplate share of the body at which the page is treated as chrome.
+const JUNK_BOILERPLATE_RATIO = 0.6;
+// Fewer words than this is a teaser (a standfirst and a paragraph or two).
+const TEASER_MAX_WORDS = 120;
+// Blocks longer than this are prose that happens to contain a marker; only
+// the matched text counts as boilerplate.
+const MAX_BOILERPLATE_BLOCK = 200;
+
+const BOILERPLATE_PATTERNS = [
+    /-?\s*share (?:on|via) (?:facebook|messenger|x|twitter|whatsapp|linkedin|telegram|email|pinterest)/gi,
+    /(?:this (?:site|website)|we) uses? cookies[^.\n]*\.?|accept (?:all )?cookies|cookie (?:policy|settings|preferences)/gi,
+    /(?:subscribe|sign up) (?:to|for) (?:our )?newsletters?[^.\n]*\.?/gi,
+    /follow us on [^.\n]*\.?/gi,
+    /download (?:our|the) app[^.\n]*\.?/gi,
+    /all rights reserved\.?|©\s*\d{4}[^.\n]*\.?|copyright \d{4}[^.\n]*\.?/gi,
+    /^(?:advertisement|sponsored|related (?:articles|stories|news)|you may also like|also read|read more)\b[^\n]*/gim,
+    /click here to [^.\n]*\.?/gi,
+    // Arabic / Farsi
+    /شارك(?:ها)? (?:على|عبر) [^\n]{0,40}|مشاركة عبر [^\n]{0,40}/g,
+    /تابعونا على [^\n]{0,60}|تابعونا عبر [^\n]{0,60}/g,
+    /^(?:اقرأ|إقرأ) (?:أيضا|أيضاً|ايضا)[^\n]*|^(?:إعلان|اعلان)$/gm,
+    /جميع الحقوق محفوظة[^\n]*|ملفات تعريف الارتباط[^\n]*/g,
+    /اشترک(?:‌| )?گذاری[^\n]{0,40}|کلیه حقوق[^\n]*|بیشتر بخوانید[^\n]*/g,
+];
+
+const PAYWALL_PATTERNS = [
+    /subscribe (?:now )?to (?:continue|keep) reading/i,
+    /(?:log|sign) in to (?:continue|read)/i,
+    /already (?:a )?(?:subscriber|member)\?/i,
+    /this (?:article|story|content) is (?:only )?(?:available )?(?:exclusively )?(?:for|to) (?:subscribers|members|premium)/i,
+    /(?:unlock|get) (?:this|the full|unlimited) (?:article|story|access)/i,
+    /to continue reading,? (?:please )?(?:subscribe|log in|sign in|register)/i,
+    /للمشتركين فقط|هذا المحتوى (?:متاح |مخصص )?للمشتركين|اشترك (?:الآن )?لمتابعة القراءة|سجل الدخول لمتابعة القراءة/,
+    /فقط برای مشترکان|برای ادامه مطالعه (?:وارد شوید|مشترک شوید)/,
+];
+
+// A body that stops on an ellipsis or a "read more" link was cut by the listing/feed.
+const TRUNCATED_ENDING = /(?:…|\.\.\.|\[…\]|\[\.\.\.\]|\b(?:read more|continue reading|read the full (?:story|article))\W*|(?:اقرأ|إقرأ) المزيد\W*|ادامه مطلب\W*)\s*$/i;
+
+// Languages written in Arabic script; the rest are expected in Latin script.
+const ARABIC_SCRIPT_LANGUAGES = new Set(['arabic', 'farsi', 'persian', 'urdu']);
+
+const countWords = (text) => (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+
+/** Share of letters in Arabic script, 0..1 (0 when there are no letters). */
+function arabicScriptShare(text) {
+    const letters = text.match(/\p{L}/gu) || [];
+    if (letters.length === 0) return 0;
+    const arabic = letters.filter(ch => /[؀-ۿݐ-ݿﭐ-﷿ﹰ-﻿]/.test(ch)).length;
+    return arabic / letters.length;
+}
+
+function isLanguageMismatch(language, share) {
+    const lang = String(language || '').toLowerCase();
+    if (ARABIC_SCRIPT_LANGUAGES.has(lang)) return share < 0.3;
+    if (lang === 'english') return share > 0.6;
+    return false;
+}
+
+/** Body with boilerplate removed, and how many characters were removed. */
+function stripBoilerplate(content) {
+    let removed = 0;
+    const kept = [];
+    for (const block of String(content || '').split(/\n+/)) {
+        const trimmed = block.trim();
+        if (!trimmed) continue;
+        let rest = trimmed;
+        for (const re of BOILERPLATE_PATTERNS) rest = rest.replace(re, ' ');
+        rest = rest.replace(/\s+/g, ' ').trim();
+        // A short block that carried a marker is chrome as a whole ("Follow us
+        // on Instagram @whatsondubai"), not just the matched words.
+        if (rest !== trimmed.replace(/\s+/g, ' ') && trimmed.length <= MAX_BOILERPLATE_BLOCK && countWords(rest) < 12) {
+            rest = '';
+        }
+        removed += trimmed.length - rest.length;
+        if (rest) kept.push(rest);
+    }
+    return { text: kept.join('\n'), removed };
+}
+
+/**
+ * Classify one extracted article.
+ *
+ * @param {Object} article - { title, content } (content as stored, markdown)
+ * @param {Object} [options]
+ * @param {string} [options.language] - the source's language ('english', 'arabic', …)
+ * @returns {{ label: 'full'|'teaser'|'junk', reasons: string[], signals: Object }}
+ */
+function classifyContent({ title = '', content = '' } = {}, { language } = {}) {
+    const body = String(content || '');
+    const total = body.replace(/\s+/g, ' ').trim().length;
+    const { text, removed } = stripBoilerplate(body);
+    const words = countWords(text);
+    const boilerplateRatio = total > 0 ? Math.min(1, removed / total) : 1;
+    const paywall = PAYWALL_PATTERNS.some(re => re.test(body));
+    const truncated = TRUNCATED_ENDING.test(body.trim());
+    const scriptShare = arabicScriptShare(`${title} ${text}`);
+    const languageMismatch = isLanguageMismatch(language, scriptShare);
+
+    const signals = {
+        words,
+        boilerplateRatio: Math.round(boilerplateRatio * 1000) / 1000,
+        paywall,
+        truncated,
+        arabicScriptShare: Math.round(scriptShare * 1000) / 1000,
+        languageMismatch,
+    };
+
+    const junk = [];
+    if (words < JUNK_MAX_WORDS) junk.push(`only ${words} words`);
+    if (boilerplateRatio >= JUNK_BOILERPLATE_RATIO) junk.push(`${Math.round(boilerplateRatio * 100)}% boilerplate`);
+    if (languageMismatch) junk.push(`not ${language}`);
+    if (junk.length > 0) return { label: 'junk', reasons: junk, signals };
+
+    const teaser = [];
+    if (paywall) teaser.push('paywall');
+    if (truncated) teaser.push('truncated');
+    if (words < TEASER_MAX_WORDS) teaser.push(`only ${words} words`);
+    if (teaser.length > 0) return { label: 'teaser', reasons: teaser, signals };
+
+    return { label: 'full', reasons: [], signals };
+}
+
+/** Empty { full, teaser, junk } counters for a scrape run. */
+function newQualityCounts() {
+    return { full: 0, teaser: 0, junk: 0 };
+}
+
+module.exports = {
+    JUNK_MAX_WORDS,
+    TEASER_MAX_WORDS,
+    JUNK_BOILERPLATE_RATIO,
+    stripBoilerplate,
+    arabicScriptShare,
+    classifyContent,
+    newQualityCounts,
+};
@@ -0,0 +1,179 @@
+/**
+ * Named-entity extraction at ingest — persons, organisations, GCC locations
+ * and companies — for English, Arabic and Farsi articles.
+ *
+ * Two passes, merged:
+ *   1. Gazetteer (utils/entityGazetteer.js): deterministic, multilingual,
+ *      always runs. Covers the places, companies and leaders that dominate
+ *      Gulf news.
+ *   2. LLM (gpt-4o-mini, JSON): finds everything else and gives each entity
+ *      its English name, which is what the ID is built from — so "محمد
+ *      العبار" and "Mohamed Alabbar" become one `per:mohamed-alabbar`.
+ *      LLM names that are gazetteer aliases resolve to the gazetteer ID.
+ *      Skipped when ENTITY_LLM=0 or on failure; the gazetteer result stands.
+ *
+ * IDs are `<type prefix>:<slug>` (TYPE_PREFIX). The article stores IDs only;
+ * recordEntityMentions() upserts the Entity documents after save.
+ */
+
+const Entity = require('../models/Entity');
+const { chatCompletionJSON } = require('./openaiClient');
+const { TYPE_PREFIX, slugify, gazetteerEntry, resolveAlias, matchGazetteer } = require('../utils/entityGazetteer');
+
+const ENTITY_MODEL = 'gpt-4o-mini';
+const MAX_ENTITIES = 12;
+const MAX_INPUT_CHARS = 3000;
+// A title mention says more about what the article is about than one in
+// paragraph nine.
+const TITLE_WEIGHT = 3;
+
+const ENTITY_TYPES = Object.keys(TYPE_PREFIX);
+
+/** Normalised ID for an entity of `type` named `englishName`, or null. */
+function entityId(type, englishName) {
+    const prefix = TYPE_PREFIX[type];
+    const slug = slugify(englishName);
+    return prefix && slug ? `${prefix}:${slug}` : null;
+}
+
+/**
+ * Gazetteer pass: [{ id, type, name, surface: null, score, origin }].
+ */
+function gazetteerEntities(title, content) {
+    const scores = new Map();
+    for (const [id, n] of matchGazetteer(title)) scores.set(id, (scores.get(id) || 0) + n * TITLE_WEIGHT);
+    for (const [id, n] of matchGazetteer(content)) scores.set(id, (scores.get(id) || 0) + n);
+    return [...scores.entries()].map(([id, score]) => {
+        const entry = gazetteerEntry(id);
+        return { id, type: entry.type, name: entry.name, surface: null, score, origin: 'gazetteer' };
+    });
+}
+
+/**
+ * Normalise raw LLM output ({ entities: [{ name, english, type }] }) into
+ * entities. Unknown types, nameless entries and locations the gazetteer
+ * doesn't know are dropped: the prompt asks for GCC places only, and a
+ * non-GCC "location" page is noise. Pure.
+ */
+function normalizeLlmEntities(parsed) {
+    const out = [];
+    for (const raw of Array.isArray(parsed?.entities) ? parsed.entities : []) {
+        const type = String(raw?.type || '').toLowerCase();
+        const english = String(raw?.english || raw?.name || '').trim();
+        const surface = String(raw?.name || '').trim() || null;
+        if (!ENTITY_TYPES.includes(type) || !english) continue;
+
+        const known = resolveAlias(english) || (surface && resolveAlias(surface));
+        if (known) {
+            const entry = gazetteerEntry(known);
+            out.push({ id: known, type: entry.type, name: entry.name, surface, score: 1, origin: 'gazetteer' });
+            continue;
+        }
+        if (type === 'location') continue;
+        const id = entityId(type, english);
+        if (id) out.push({ id, type, name: english.slice(0, 120), surface, score: 1, origin: 'extracted' });
+    }
+    return out;
+}
+
+/**
+ * Merge both passes by ID (scores add; gazetteer metadata wins) and keep
+ * the MAX_ENTITIES highest-scoring. Pure.
+ */
+function mergeEntities(...lists) {
+    const byId = new Map();
+    for (const e of lists.flat()) {
+        const prev = byId.get(e.id);
+        if (!prev) {
+            byId.set(e.id, { ...e, surfaces: e.surface ? [e.surface] : [] });
+            continue;
+        }
+        prev.score += e.score;
+        if (e.surface && !prev.surfaces.includes(e.surface)) prev.surfaces.push(e.surface);
+        if (e.origin === 'gazetteer') Object.assign(prev, { type: e.type, name: e.name, origin: e.origin });
+    }
+    return [...byId.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_ENTITIES)
+        .map(({ surface, ...e }) => e);
+}
+
+async function llmEntities({ title, content, language }) {
+    const { content: raw } = await chatCompletionJSON({
+        model: ENTITY_MODEL,
+        temperature: 0,
+        max_tokens: 400,
+        response_format: { type: 'json_object' },
+        timeout: 12000,
+        messages: [
+            {
+                role: 'system',
+                content:
+                    'Extract the named entities a Gulf news reader might follow from the article: people, organisations (government bodies, agencies, clubs, NGOs), companies, and locations INSIDE the GCC countries (UAE, Saudi Arabia, Qatar, Kuwait, Bahrain, Oman) only. ' +
+                    'At most 10, most central first. Skip generic roles ("the minister") and the news outlet itself. ' +
+                    'For each give "name" exactly as written in the article, "english" as the usual English name (transliterate if needed, no titles like Sheikh or Dr), and "type": one of person, organization, company, location. ' +
+                    'Respond as JSON: {"entities": [{"name": string, "english": string, "type": string}]}',
+            },
+            {
+                role: 'user',
+                content: `Language: ${language || 'english'}\nTitle: ${title}\n\n${String(content || '').slice(0, MAX_INPUT_CHARS)}`,
+            },
+        ],
+    });
+    return normalizeLlmEntities(JSON.parse(raw));
+}
+
+/**
+ * Entities for an article about to be saved: [{ id, type, name, surfaces,
+ * score, origin }], best first. Never throws.
+ */
+async function extractEntities({ title, content, language }) {
+    const fromGazetteer = gazetteerEntities(title, content);
+    if (process.env.ENTITY_LLM === '0') return mergeEntities(fromGazetteer);
+    try {
+        return mergeEntities(fromGazetteer, await llmEntities({ title, content, language }));
+    } catch (err) {
+        console.warn(`⚠️ Entity LLM pass failed, gazetteer only: ${err.message}`);
+        return mergeEntities(fromGazetteer);
+    }
+}
+
+/**
+ * Upsert the Entity documents for a saved article's entities. One
+ * bulkWrite; failures are logged — the article already carries its IDs.
+ */
+async function recordEntityMentions(entities, { language, publishedAt } = {}) {
+    if (!entities || entities.length === 0) return;
+    try {
+        await Entity.bulkWrite(entities.map((e) => {
+            const entry = gazetteerEntry(e.id);
+            const update = {
+                $setOnInsert: {
+                    type: e.type,
+                    name: e.name,
+                    origin: entry ? 'gazetteer' : 'extracted',
+                    ...(entry ? { names: entry.names } : { 'names.english': e.name }),
+                },
+                $inc: { articleCount: 1 },
+                $max: { lastSeenAt: publishedAt || new Date() },
+            };
+            if (e.surfaces?.length) update.$addToSet = { aliases: { $each: e.surfaces } };
+            // First sighting in a non-English article: keep that script's name too.
+            if (!entry && (language === 'arabic' || language === 'farsi') && e.surfaces?.[0]) {
+                update.$setOnInsert[`names.${language}`] = e.surfaces[0];
+            }
+            return { updateOne: { filter: { _id: e.id }, update, upsert: true } };
+        }), { ordered: false });
+    } catch (err) {
+        console.warn('⚠️ Entity upsert failed:', err.message);
+    }
+}
+
+module.exports = {
+    entityId,
+    gazetteerEntities,
+    normalizeLlmEntities,
+    mergeEntities,
+    extractEntities,
+    recordEntityMentions,
+};
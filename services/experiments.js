@@ -0,0 +1,368 @@
+// services/experiments.js
+//
+// Experiment administration and analysis. utils/experiments.js assigns users
+// on the hot path; this module validates experiment definitions, places them
+// in their layer, and computes per-arm results for
+// GET /api/admin/experiments/:id/results.
+//
+// Results are per exposed user (ExperimentExposure joined with the user's
+// UserActivity from first exposure on), so every metric is a mean of
+// independent per-user values and a plain normal-approximation interval is
+// valid — per-event ratios would overstate confidence for heavy users:
+//
+//   ctr          views / impressions, per user with at least one impression
+//   readTime     read_time seconds per exposed user
+//   retentionD1  share of users active again ≥ 1 day after first exposure
+//   retentionD7  share of users active again ≥ 7 days after first exposure
+//
+// Retention only counts users exposed long enough ago to have had the chance.
+const mongoose = require('mongoose');
+const Experiment = require('../models/Experiment');
+const ExperimentExposure = require('../models/ExperimentExposure');
+const UserActivity = require('../models/UserActivity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 95% two-sided.
+const Z = 1.96;
+const EDITABLE_STATUSES = new Set(['draft', 'paused']);
+const STATUS_TRANSITIONS = {
+    draft: ['running'],
+    running: ['paused', 'completed'],
+    paused: ['running', 'completed'],
+    completed: [],
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { code: 'EXPERIMENT_INVALID', status: 400 });
+
+// ───────────────────────────── statistics ─────────────────────────────
+
+function round(n, digits = 4) {
+    if (n == null || !Number.isFinite(n)) return null;
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+/** Mean with a 95% normal-approximation interval. */
+function meanInterval(values) {
+    const n = values.length;
+    if (n === 0) return { n: 0, mean: null, ci: null, se: null };
+    const mean = values.reduce((s, v) => s + v, 0) / n;
+    const variance = n > 1 ? values.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1) : 0;
+    const se = Math.sqrt(variance / n);
+    return { n, mean: round(mean), ci: [round(mean - Z * se), round(mean + Z * se)], se };
+}
+
+/** Proportion with a 95% Wilson interval (well-behaved near 0 and 1 and for small n). */
+function proportionInterval(successes, n) {
+    if (n === 0) return { n: 0, mean: null, ci: null, se: null };
+    const p = successes / n;
+    const denom = 1 + (Z * Z) / n;
+    const centre = (p + (Z * Z) / (2 * n)) / denom;
+    const half = (Z * Math.sqrt((p * (1 - p)) / n + (Z * Z) / (4 * n * n))) / denom;
+    return { n, mean: round(p), ci: [round(centre - half), round(centre + half)], se: Math.sqrt((p * (1 - p)) / n) };
+}
+
+/** Arm minus control with a 95% interval (Welch / unpooled), plus relative lift. */
+function difference(arm, control) {
+    if (arm.mean == null || control.mean == null || arm.n < 2 || control.n < 2) return null;
+    const diff = arm.mean - control.mean;
+    const se = Math.sqrt(arm.se ** 2 + control.se ** 2);
+    const ci = [round(diff - Z * se), round(diff + Z * se)];
+    return {
+        diff: round(diff),
+        ci,
+        lift: control.mean !== 0 ? round(diff / control.mean) : null,
+        // The interval excludes zero.
+        significant: se > 0 && (ci[0] > 0 || ci[1] < 0),
+    };
+}
+
+/**
+ * Per-arm metrics from per-user rows.
+ * @param {Array<{ variant, impressions, views, readTime, firstExposedAt, lastActiveAt }>} users
+ * @param {Object} options
+ * @param {string[]} options.variants - arm keys, in display order
+ * @param {string} options.controlVariant
+ * @param {Date} [options.now]
+ */
+function summarizeArms(users, { variants, controlVariant, now = new Date() }) {
+    const retained = (u, days) => u.lastActiveAt && new Date(u.lastActiveAt) - new Date(u.firstExposedAt) >= days * DAY_MS;
+    const eligible = (u, days) => now - new Date(u.firstExposedAt) >= days * DAY_MS;
+
+    const arms = {};
+    for (const key of variants) {
+        const rows = users.filter(u => u.variant === key);
+        const d1 = rows.filter(u => eligible(u, 1));
+        const d7 = rows.filter(u => eligible(u, 7));
+        arms[key] = {
+            users: rows.length,
+            impressions: rows.reduce((s, u) => s + (u.impressions || 0), 0),
+            views: rows.reduce((s, u) => s + (u.views || 0), 0),
+            metrics: {
+                ctr: meanInterval(rows.filter(u => u.impressions > 0).map(u => Math.min(1, (u.views || 0) / u.impressions))),
+                readTime: meanInterval(rows.map(u => u.readTime || 0)),
+                retentionD1: proportionInterval(d1.filter(u => retained(u, 1)).length, d1.length),
+                retentionD7: proportionInterval(d7.filter(u => retained(u, 7)).length, d7.length),
+            },
+        };
+    }
+
+    const control = arms[controlVariant];
+    for (const [key, arm] of Object.entries(arms)) {
+        arm.vsControl = null;
+        if (key === controlVariant || !control) continue;
+        arm.vsControl = {};
+        for (const metric of Object.keys(arm.metrics)) {
+            arm.vsControl[metric] = difference(arm.metrics[metric], control.metrics[metric]);
+        }
+    }
+    // se is only needed for the differences; keep the response to mean/ci/n.
+    for (const arm of Object.values(arms)) {
+        for (const m of Object.values(arm.metrics)) delete m.se;
+    }
+    return arms;
+}
+
+// ───────────────────────────── administration ─────────────────────────────
+
+/** Normalise and validate an admin payload. Throws EXPERIMENT_INVALID. */
+function validateDefinition(input, { existing = null } = {}) {
+    const out = {};
+    if (!existing) {
+        if (!input.key || !/^[a-z0-9_]+$/.test(input.key)) throw badRequest('key must be lowercase letters, digits and underscores');
+        out.key = input.key;
+    }
+    for (const field of ['name', 'description', 'layer']) {
+        if (input[field] !== undefined) out[field] = String(input[field]).trim();
+    }
+    if (out.layer === '') throw badRequest('layer cannot be empty');
+
+    if (input.allocation !== undefined) {
+        const allocation = Number(input.allocation);
+        if (!Number.isFinite(allocation) || allocation <= 0 || allocation > 100) throw badRequest('allocation must be a percentage in (0, 100]');
+        out.allocation = allocation;
+    } else if (!existing) {
+        throw badRequest('allocation is required');
+    }
+
+    if (input.variants !== undefined) {
+        if (!Array.isArray(input.variants) || input.variants.length < 2) throw badRequest('an experiment needs at least two variants');
+        const keys = new Set();
+        out.variants = input.variants.map((v) => {
+            if (!v || !v.key || !/^[a-z0-9_]+$/.test(v.key)) throw badRequest('variant keys must be lowercase letters, digits and underscores');
+            if (keys.has(v.key)) throw badRequest(`duplicate variant "${v.key}"`);
+            keys.add(v.key);
+            const weight = v.weight === undefined ? 1 : Number(v.weight);
+            if (!Number.isFinite(weight) || weight < 0) throw badRequest(`variant "${v.key}" has an invalid weight`);
+            for (const field of ['persWOverrides', 'flags', 'homeLayout']) {
+                if (v[field] != null && (typeof v[field] !== 'object' || Array.isArray(v[field]))) {
+                    throw badRequest(`variant "${v.key}" ${field} must be an object`);
+                }
+            }
+            return {
+                key: v.key,
+                weight,
+                persWOverrides: v.persWOverrides || null,
+                flags: v.flags || null,
+                homeLayout: v.homeLayout || null,
+            };
+        });
+        if (out.variants.every(v => v.weight === 0)) throw badRequest('at least one variant needs a positive weight');
+    } else if (!existing) {
+        throw badRequest('variants are required');
+    }
+
+    if (input.controlVariant !== undefined) out.controlVariant = String(input.controlVariant);
+    const variants = out.variants || existing?.variants || [];
+    const controlVariant = out.controlVariant || existing?.controlVariant || 'control';
+    if (!variants.some(v => v.key === controlVariant)) throw badRequest(`control variant "${controlVariant}" is not one of the variants`);
+
+    if (input.targeting !== undefined) {
+        const t = input.targeting || {};
+        out.targeting = {};
+        for (const field of ['languages', 'cities', 'platforms']) {
+            const list = t[field] == null ? [] : t[field];
+            if (!Array.isArray(list)) throw badRequest(`targeting.${field} must be an array`);
+            out.targeting[field] = list.map(x => String(x).trim()).filter(Boolean);
+        }
+    }
+    return out;
+}
+
+/**
+ * First free slice of `allocation` percent in a layer, given the slices
+ * already taken by its live (running or paused) experiments. Null when the
+ * layer has no room.
+ */
+function findLayerOffset(taken, allocation) {
+    const slices = taken
+        .map(e => ({ start: e.layerOffset || 0, end: (e.layerOffset || 0) + e.allocation }))
+        .sort((a, b) => a.start - b.start);
+    let cursor = 0;
+    for (const s of slices) {
+        if (s.start - cursor >= allocation - 1e-9) return cursor;
+        cursor = Math.max(cursor, s.end);
+    }
+    return 100 - cursor >= allocation - 1e-9 ? cursor : null;
+}
+
+async function placeInLayer(experiment) {
+    const taken = await Experiment.find({
+        _id: { $ne: experiment._id },
+        layer: experiment.layer,
+        status: { $in: ['running', 'paused'] },
+    }).select('layerOffset allocation').lean();
+    // Keep the current slice when it is still free — moving it would
+    // reshuffle the users of a resumed experiment.
+    const start = experiment.layerOffset || 0;
+    const end = start + experiment.allocation;
+    const overlaps = taken.some(e => start < (e.layerOffset || 0) + e.allocation && (e.layerOffset || 0) < end);
+    if (end <= 100 && !overlaps) return;
+    const offset = findLayerOffset(taken, experiment.allocation);
+    if (offset == null) {
+        throw Object.assign(new Error(`layer "${experiment.layer}" has no room for ${experiment.allocation}% more traffic`), {
+            code: 'LAYER_FULL', status: 409,
+        });
+    }
+    experiment.layerOffset = offset;
+}
+
+/** Find by ObjectId or key. */
+async function findExperiment(idOrKey) {
+    if (mongoose.Types.ObjectId.isValid(idOrKey) && String(idOrKey).length === 24) {
+        const byId = await Experiment.findById(idOrKey);
+        if (byId) return byId;
+    }
+    return Experiment.findOne({ key: idOrKey });
+}
+
+async function createExperiment(input, { createdBy = null } = {}) {
+    const fields = validateDefinition(input);
+    if (await Experiment.exists({ key: fields.key })) {
+        throw Object.assign(new Error(`experiment "${fields.key}" already exists`), { code: 'EXPERIMENT_EXISTS', status: 409 });
+    }
+    return Experiment.create({ ...fields, createdBy, status: 'draft' });
+}
+
+/**
+ * Update definition and/or status. Variants, allocation, layer and targeting
+ * are frozen while running — change them and the arms stop being comparable.
+ * Starting an experiment claims a slice of its layer; completing it frees it.
+ */
+async function updateExperiment(experiment, input) {
+    const definitionFields = ['variants', 'allocation', 'layer', 'targeting', 'controlVariant'];
+    const changesDefinition = definitionFields.some(f => input[f] !== undefined);
+    if (changesDefinition && !EDITABLE_STATUSES.has(experiment.status)) {
+        throw Object.assign(new Error(`cannot change ${definitionFields.join('/')} while ${experiment.status}`), {
+            code: 'EXPERIMENT_LOCKED', status: 409,
+        });
+    }
+    Object.assign(experiment, validateDefinition(input, { existing: experiment }));
+
+    const nextStatus = input.status;
+    if (nextStatus !== undefined && nextStatus !== experiment.status) {
+        if (!(STATUS_TRANSITIONS[experiment.status] || []).includes(nextStatus)) {
+            throw badRequest(`cannot go from ${experiment.status} to ${nextStatus}`);
+        }
+        if (nextStatus === 'running') {
+            await placeInLayer(experiment);
+            if (!experiment.startedAt) experiment.startedAt = new Date();
+        }
+        if (nextStatus === 'completed') experiment.endedAt = new Date();
+        experiment.status = nextStatus;
+    } else if (changesDefinition && experiment.status === 'paused') {
+        // A paused experiment keeps its slice; re-check it still fits.
+        await placeInLayer(experiment);
+    }
+    return experiment.save();
+}
+
+// ───────────────────────────── results ─────────────────────────────
+
+/** Per-user exposure + post-exposure activity rows for one experiment. */
+async function loadExposedUsers(experimentKey, { until = null } = {}) {
+    const activityMatch = [
+        { $eq: ['$userId', '$$uid'] },
+        { $gte: ['$timestamp', '$$first'] },
+    ];
+    if (until) activityMatch.push({ $lte: ['$timestamp', until] });
+
+    const rows = await ExperimentExposure.aggregate([
+        { $match: { experimentKey } },
+        {
+            $lookup: {
+                from: UserActivity.collection.name,
+                let: { uid: '$userId', first: '$firstExposedAt' },
+                pipeline: [
+                    { $match: { $expr: { $and: activityMatch } } },
+                    {
+                        $group: {
+                            _id: null,
+                            views: { $sum: { $cond: [{ $eq: ['$eventType', 'view'] }, 1, 0] } },
+                            readTime: {
+                                $sum: { $cond: [{ $eq: ['$eventType', 'read_time'] }, { $ifNull: ['$duration', 0] }, 0] },
+                            },
+                            lastActiveAt: { $max: '$timestamp' },
+                        },
+                    },
+                ],
+                as: 'activity',
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                variant: 1,
+                impressions: 1,
+                firstExposedAt: 1,
+                activity: { $arrayElemAt: ['$activity', 0] },
+            },
+        },
+    ]).allowDiskUse(true);
+
+    return rows.map(r => ({
+        variant: r.variant,
+        impressions: r.impressions || 0,
+        firstExposedAt: r.firstExposedAt,
+        views: r.activity?.views || 0,
+        readTime: r.activity?.readTime || 0,
+        lastActiveAt: r.activity?.lastActiveAt || null,
+    }));
+}
+
+async function getExperimentResults(experiment, { now = new Date() } = {}) {
+    const users = await loadExposedUsers(experiment.key, { until: experiment.endedAt || null });
+    const variants = experiment.variants.map(v => v.key);
+    // Arms that were removed while paused still show up in old exposures.
+    for (const u of users) if (!variants.includes(u.variant)) variants.push(u.variant);
+    return {
+        experiment: {
+            id: experiment._id,
+            key: experiment.key,
+            name: experiment.name,
+            status: experiment.status,
+            layer: experiment.layer,
+            allocation: experiment.allocation,
+            controlVariant: experiment.controlVariant,
+            startedAt: experiment.startedAt,
+            endedAt: experiment.endedAt,
+        },
+        exposedUsers: users.length,
+        confidence: 0.95,
+        arms: summarizeArms(users, { variants, controlVariant: experiment.controlVariant, now: experiment.endedAt || now }),
+        generatedAt: now,
+    };
+}
+
+module.exports = {
+    meanInterval,
+    proportionInterval,
+    difference,
+    summarizeArms,
+    validateDefinition,
+    findLayerOffset,
+    findExperiment,
+    createExperiment,
+    updateExperiment,
+    getExperimentResults,
+};
@@ -0,0 +1,502 @@
+/**
+ * Per-user personalization context shared by the feed routes.
+ *
+ * The ctx (preferences, follows, history, embedding, experiment
+ * assignments) is what every personalized scorer reads. It lived in
+ * routes/articles.js until /api/home needed the same context; the Redis
+ * keys and TTLs are unchanged.
+ */
+
+const Article = require('../models/Article');
+const User = require('../models/User');
+const UserActivity = require('../models/UserActivity');
+const redis = require('../utils/redis');
+const {
+    experimentAttributesForUser,
+    getAssignments,
+    treatmentLabel,
+    logExposure,
+} = require('../utils/experiments');
+const { viewsWeight, likesWeight, dislikesWeight, FULL_READ_SECONDS } = require('./feedRanking');
+const { simpleHash } = require('./feedStages');
+const { loadSessionInterest } = require('./sessionInterest');
+
+/**
+ * Per-user cache index. When a personalized endpoint SETs a key, it also
+ * SADDs the key into `user_cache_keys:{userId}` so we can purge that user's
+ * keys without a global SCAN. Set itself carries a 1h TTL so stale members
+ * don't accumulate if a clear is missed.
+ */
+const USER_CACHE_INDEX_TTL = 60 * 60; // 1 hour
+
+function userCacheIndexKey(userId) {
+    return `user_cache_keys:${userId}`;
+}
+
+async function trackUserCacheKey(userId, cacheKey) {
+    if (!userId || !cacheKey) return;
+    try {
+        await redis.sadd(userCacheIndexKey(userId), cacheKey);
+        await redis.expire(userCacheIndexKey(userId), USER_CACHE_INDEX_TTL);
+    } catch (err) {
+        // Non-fatal: cache tracking failure just falls back to TTL-based expiry.
+        console.warn('⚠️ trackUserCacheKey error:', err.message);
+    }
+}
+
+/**
+ * Clear the cache entries belonging to a single user.
+ *
+ * Safe to call on every like/dislike: O(N) over THIS user's keys, not the
+ * full keyspace. Combined with `stateHash` (which already rotates the cache
+ * key on every action), this is belt-and-suspenders — the new request will
+ * generate a fresh key regardless.
+ */
+async function clearUserArticleCaches(userId) {
+    if (!userId) return;
+    try {
+        const idxKey = userCacheIndexKey(userId);
+        const keys = await redis.smembers(idxKey);
+        if (keys && keys.length > 0) {
+            await redis.del(...keys, idxKey);
+            console.log(`🧹 Cleared ${keys.length} cache keys for user ${userId}`);
+        }
+    } catch (error) {
+        console.error('⚠️ Error clearing user article caches:', error.message);
+        // Don't throw - cache clearing failure shouldn't break the like/dislike.
+    }
+}
+
+/** ---- Served-article cursor (P0-2 follow-up) ---- **/
+/**
+ * Exclude articles a user has been served recently from their personalized
+ * candidate pool, so deep pagination doesn't repeat the same content as
+ * the underlying pool shrinks (the page-based slice problem: pages 1, 2,
+ * 3 used to be [0:20], [20:40], [40:60] of the same scored list — pool
+ * size 25 meant page 2 returned 5, page 3 returned 0).
+ *
+ * Implementation: per-user Redis SET keyed by supabase_id. SADD every
+ * article ID we surface. EXPIRE sliding 6h on every write — active users
+ * never see repeats; idle users returning the next morning see
+ * everything again.
+ *
+ * Applied to: /personalized-light, /personalized-fast, /personalized-category
+ * (the $nin is built by buildCandidateMatch in services/feedStages.js).
+ * NOT applied to: /following (users explicitly subscribed; they want
+ * everything those sources publish even if they've already seen it).
+ */
+const SERVED_EXCLUSION_TTL_SEC = 6 * 60 * 60; // 6h sliding
+
+function servedKey(userId) {
+    return `served_pers_v1:${userId}`;
+}
+
+async function getServedIds(userId) {
+    if (!userId) return new Set();
+    try {
+        const members = await redis.smembers(servedKey(userId));
+        return new Set(members || []);
+    } catch (err) {
+        // Non-fatal: just means no exclusion this request.
+        console.warn('⚠️ getServedIds error:', err.message);
+        return new Set();
+    }
+}
+
+async function recordServedIds(userId, articleIds) {
+    if (!userId || !articleIds?.length) return;
+    try {
+        const ids = articleIds
+            .map((a) => (a && a._id ? a._id.toString() : a?.toString()))
+            .filter(Boolean);
+        if (ids.length === 0) return;
+        await redis.sadd(servedKey(userId), ...ids);
+        // Sliding TTL: each write resets the expiry. Active users keep
+        // their served set "warm" for as long as they're scrolling; idle
+        // users let it expire after 6h of no activity.
+        await redis.expire(servedKey(userId), SERVED_EXCLUSION_TTL_SEC);
+    } catch (err) {
+        // Non-fatal: a missed record just means the next page may overlap
+        // slightly. Client-side dedup catches it.
+        console.warn('⚠️ recordServedIds error:', err.message);
+    }
+}
+
+/** ---- Personalization v2 helpers ---- **/
+
+/**
+ * Per-(category, language) engagement statistics (mean + stddev of raw
+ * engagement signal) so we can score by z-score rather than absolute
+ * volume. Without this, a viral Football article (raw eng ~200) drowns
+ * out a typical Business article (raw eng ~20) even when a Business
+ * reader has explicit Business preference — the engagement term keeps
+ * dragging Football to the top.
+ *
+ * Returns Map<category, {mean, stddev}>. Empty Map if data unavailable;
+ * scorer falls back to the legacy tanh(rawEng/80) in that case.
+ *
+ * Cached in Redis on a 15-minute slot, refreshed on miss. Computed from
+ * articles published in the last 7 days for the given language.
+ */
+async function getCategoryEngagementStats(language) {
+    const lang = (language || 'english').toLowerCase();
+    const fifteenMinSlot = Math.floor(Date.now() / (15 * 60 * 1000));
+    const cacheKey = `cat_eng_stats_v1_${lang}_${fifteenMinSlot}`;
+
+    try {
+        const cached = await redis.get(cacheKey);
+        if (cached) {
+            const obj = JSON.parse(cached);
+            return new Map(Object.entries(obj));
+        }
+    } catch (err) {
+        console.warn('⚠️ getCategoryEngagementStats GET error:', err.message);
+    }
+
+    try {
+        const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const rows = await Article.aggregate([
+            {
+                $match: {
+                    language: lang,
+                    publishedAt: { $gte: sevenDaysAgo },
+                    category: { $exists: true, $ne: null },
+                },
+            },
+            {
+                $project: {
+                    category: 1,
+                    rawEng: {
+                        $add: [
+                            { $multiply: [{ $ifNull: ['$viewCount', 0] }, viewsWeight] },
+                            { $multiply: [{ $ifNull: ['$likes', 0] }, likesWeight] },
+                            { $multiply: [{ $ifNull: ['$dislikes', 0] }, dislikesWeight] },
+                        ],
+                    },
+                },
+            },
+            {
+                $group: {
+                    _id: '$category',
+                    mean: { $avg: '$rawEng' },
+                    stddev: { $stdDevPop: '$rawEng' },
+                    n: { $sum: 1 },
+                },
+            },
+            // Reject categories with too few samples — their stats are noise
+            { $match: { n: { $gte: 5 } } },
+        ]);
+
+        const stats = {};
+        for (const r of rows) {
+            stats[r._id] = { mean: r.mean || 0, stddev: r.stddev || 0 };
+        }
+
+        try {
+            await redis.set(cacheKey, JSON.stringify(stats), 'EX', 900); // 15 min
+        } catch (err) {
+            console.warn('⚠️ getCategoryEngagementStats SET error:', err.message);
+        }
+
+        return new Map(Object.entries(stats));
+    } catch (err) {
+        console.warn('⚠️ getCategoryEngagementStats compute error:', err.message);
+        return new Map();
+    }
+}
+
+/**
+ * Per-user context cache (P2-1).
+ *
+ * loadUserPersonalizationContext used to run on every personalized request:
+ * one Mongo findOne + one UserActivity aggregation. With three handlers
+ * each loading ctx (personalized-light, fast, category), an active user
+ * scrolling + tapping a chip would trigger 3+ ctx loads in 5 seconds.
+ *
+ * Cache the entire ctx in Redis for CTX_CACHE_TTL seconds. Sets and Maps
+ * don't JSON-serialize, so we round-trip them as arrays and rebuild on
+ * read.
+ *
+ * Invalidation: tracked via trackUserCacheKey so the existing
+ * clearUserArticleCaches(userId) call in the /react hot path purges it
+ * along with the article caches. Other state mutations (follow, save,
+ * language change) rely on the 5-min TTL — acceptable lag.
+ */
+const CTX_CACHE_TTL = 5 * 60; // 5 min
+
+function ctxCacheKey(userId) {
+    return `user_ctx_v1_${userId}`;
+}
+
+function serializeCtx(ctx) {
+    if (!ctx) return null;
+    return {
+        userId: ctx.userId,
+        experimentAttrs: ctx.experimentAttrs,
+        preferredCategories: Array.from(ctx.preferredCategories),
+        preferredSourceIds: Array.from(ctx.preferredSourceIds),
+        dislikedCategories: Array.from(ctx.dislikedCategories),
+        mutedSourceIds: Array.from(ctx.mutedSourceIds || []),
+        likedIds: Array.from(ctx.likedIds),
+        likedIdsOrdered: ctx.likedIdsOrdered,
+        dislikedIds: Array.from(ctx.dislikedIds),
+        savedIds: Array.from(ctx.savedIds),
+        viewedIds: Array.from(ctx.viewedIds),
+        viewReadFractions: Array.from(ctx.viewReadFractions.entries()),
+        followingSourceGroups: Array.from(ctx.followingSourceGroups),
+        followedEntityIds: Array.from(ctx.followedEntityIds || []),
+        embedding: ctx.embedding,
+        language: ctx.language,
+        hasSignal: ctx.hasSignal,
+    };
+}
+
+function deserializeCtx(plain) {
+    if (!plain) return null;
+    return {
+        userId: plain.userId,
+        experimentAttrs: plain.experimentAttrs || {},
+        preferredCategories: new Set(plain.preferredCategories || []),
+        preferredSourceIds: new Set(plain.preferredSourceIds || []),
+        dislikedCategories: new Set(plain.dislikedCategories || []),
+        mutedSourceIds: new Set(plain.mutedSourceIds || []),
+        likedIds: new Set(plain.likedIds || []),
+        likedIdsOrdered: plain.likedIdsOrdered || [],
+        dislikedIds: new Set(plain.dislikedIds || []),
+        savedIds: new Set(plain.savedIds || []),
+        viewedIds: new Set(plain.viewedIds || []),
+        viewReadFractions: new Map(plain.viewReadFractions || []),
+        followingSourceGroups: new Set(plain.followingSourceGroups || []),
+        followedEntityIds: new Set(plain.followedEntityIds || []),
+        embedding: plain.embedding || null,
+        language: plain.language,
+        hasSignal: !!plain.hasSignal,
+    };
+}
+
+/**
+ * Load all personalization signals for a user in one Mongo query.
+ * Returns null if user not found. Sets are used for O(1) exclusion/lookup.
+ *
+ * Cached in Redis for 5 min (P2-1). Pass `forceFresh: true` to bypass.
+ */
+async function loadUserPersonalizationContext(userId, { forceFresh = false } = {}) {
+    if (!userId) return null;
+
+    const cacheKey = ctxCacheKey(userId);
+
+    if (!forceFresh) {
+        try {
+            const cached = await redis.get(cacheKey);
+            if (cached) {
+                return withExperiments(deserializeCtx(JSON.parse(cached)));
+            }
+        } catch (err) {
+            // Non-fatal: fall through and compute fresh.
+            console.warn(`⚠️ ctx cache GET error for ${userId}: ${err.message}`);
+        }
+    }
+
+    const ctx = await computeUserPersonalizationContext(userId);
+    if (ctx) {
+        try {
+            await redis.set(cacheKey, JSON.stringify(serializeCtx(ctx)), 'EX', CTX_CACHE_TTL);
+            await trackUserCacheKey(userId, cacheKey);
+        } catch (err) {
+            console.warn(`⚠️ ctx cache SET error for ${userId}: ${err.message}`);
+        }
+    }
+    return withExperiments(ctx);
+}
+
+/**
+ * P3-1: attach the user's experiment assignments ({ key: variant }) and
+ * their treatment label. In-memory and synchronous (utils/experiments.js),
+ * so it runs on every load rather than living in the cached ctx.
+ */
+function withExperiments(ctx) {
+    if (!ctx) return ctx;
+    ctx.experiments = getAssignments(ctx.userId, ctx.experimentAttrs || {});
+    ctx.treatment = treatmentLabel(ctx.experiments);
+    return ctx;
+}
+
+/** P3-1: exposure for every experiment the served feed ran under. */
+function recordExposure(ctx, articles) {
+    if (!ctx?.experiments) return;
+    logExposure(ctx.userId, ctx.experiments, {
+        impressions: Array.isArray(articles) ? articles.length : 0,
+        attrs: ctx.experimentAttrs,
+    });
+}
+
+/** Inner: the actual Mongo work, unwrapped. */
+async function computeUserPersonalizationContext(userId) {
+    const user = await User.findOne({ supabase_id: userId })
+        .select(
+            'preferred_categories preferred_sources disliked_categories ' +
+            'implicit_preferred_categories muted_categories muted_sources ' +
+            'liked_articles disliked_articles saved_articles viewed_articles ' +
+            'following_sources followed_entities embedding_pca language city pushTokens'
+        )
+        .lean();
+    if (!user) return null;
+
+    const toIdStringSet = (arr) =>
+        new Set((arr || []).map((id) => (id && id.toString ? id.toString() : id)).filter(Boolean));
+
+    // Merge explicit + implicit preferred categories (P1-3).
+    // Explicit are user-declared; implicit are derived nightly from
+    // 30d weighted action history. Scorer treats both equally.
+    const preferredCategories = new Set([
+        ...(user.preferred_categories || []),
+        ...(user.implicit_preferred_categories || []),
+    ]);
+    const preferredSourceIds = new Set(
+        (user.preferred_sources || []).map((id) => (id && id.toString ? id.toString() : id))
+    );
+
+    // Source the viewed signal from BOTH the legacy User.viewed_articles
+    // (rarely populated by current routes) AND the live UserActivity log
+    // — that's where today's /article/:id/view and read_time events go.
+    // Also accumulate read-time durations so the penalty can scale by how
+    // deeply each article was consumed (P1-6).
+    const viewedIds = toIdStringSet(user.viewed_articles);
+    const viewReadFractions = new Map();
+    try {
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const activityRows = await UserActivity.aggregate([
+            {
+                $match: {
+                    userId,
+                    articleId: { $exists: true, $ne: null },
+                    eventType: { $in: ['view', 'read_time'] },
+                    timestamp: { $gte: thirtyDaysAgo },
+                },
+            },
+            {
+                $group: {
+                    _id: '$articleId',
+                    totalReadTime: {
+                        $sum: {
+                            $cond: [{ $eq: ['$eventType', 'read_time'] }, { $ifNull: ['$duration', 0] }, 0],
+                        },
+                    },
+                    hasView: {
+                        $max: { $cond: [{ $eq: ['$eventType', 'view'] }, 1, 0] },
+                    },
+                },
+            },
+            { $limit: 500 },
+        ]);
+        for (const row of activityRows) {
+            const idStr = row._id.toString();
+            viewedIds.add(idStr);
+            // Fraction maps total_read_time -> [0, 1] capped at FULL_READ_SECONDS.
+            // No read_time event but a 'view' event recorded -> default 0.5
+            // (they tapped through, but we don't know how long they stayed).
+            let fraction;
+            if (row.totalReadTime > 0) {
+                fraction = Math.min(1, row.totalReadTime / FULL_READ_SECONDS);
+            } else if (row.hasView) {
+                fraction = 0.5;
+            } else {
+                continue;
+            }
+            viewReadFractions.set(idStr, fraction);
+        }
+    } catch (err) {
+        // Non-fatal: missing read-time data just means the viewed penalty
+        // falls back to its flat -1.0 (default for "viewed but no fraction").
+        console.warn(`⚠️ Failed to load view/read activity for ${userId}: ${err.message}`);
+    }
+
+    // Preserve liked order as best as we can — Mongo array order is the
+    // order they were pushed (newest at end), so reversing gives us
+    // most-recent-first for the Cohere pseudo-query (P1-5).
+    const likedIdsOrdered = (user.liked_articles || [])
+        .slice(-20) // last 20 likes (most recent)
+        .reverse()
+        .map((id) => (id && id.toString ? id.toString() : id))
+        .filter(Boolean);
+
+    return {
+        userId,
+        // P3-1: targeting attributes (language/city/platform). Assignments
+        // themselves are made on every load (see withExperiments) so a newly
+        // started experiment doesn't wait out the ctx cache.
+        experimentAttrs: experimentAttributesForUser(user),
+        preferredCategories,
+        preferredSourceIds,
+        // Derived bans (≥3 dislikes, nightly cron) + explicit mutes from the
+        // not-interested panel share the exclusion machinery.
+        dislikedCategories: new Set([
+            ...(user.disliked_categories || []),
+            ...(user.muted_categories || []),
+        ]),
+        // Explicit "show less from this source" — scorer demotes, never excludes.
+        mutedSourceIds: toIdStringSet(user.muted_sources),
+        likedIds: toIdStringSet(user.liked_articles),
+        likedIdsOrdered,
+        dislikedIds: toIdStringSet(user.disliked_articles),
+        savedIds: toIdStringSet(user.saved_articles),
+        viewedIds,
+        viewReadFractions,
+        followingSourceGroups: new Set(user.following_sources || []),
+        // Entity IDs (services/entityExtraction.js) matched against Article.entities.
+        followedEntityIds: new Set(user.followed_entities || []),
+        embedding:
+            Array.isArray(user.embedding_pca) && user.embedding_pca.length > 0
+                ? user.embedding_pca
+                : null,
+        language: (user.language || 'English').toLowerCase(),
+        hasSignal:
+            preferredCategories.size +
+                (user.liked_articles?.length || 0) +
+                (user.saved_articles?.length || 0) +
+                (user.following_sources?.length || 0) +
+                (user.followed_entities?.length || 0) +
+                preferredSourceIds.size >
+            0,
+    };
+}
+
+/**
+ * Hash that changes whenever the user's view/like/follow state changes.
+ * Embedded in the cache key so refresh after activity returns fresh content.
+ */
+function userStateHash(ctx) {
+    if (!ctx) return 0;
+    return simpleHash(
+        `${ctx.viewedIds.size}|${ctx.likedIds.size}|${ctx.dislikedIds.size}|` +
+            `${ctx.savedIds.size}|${ctx.preferredCategories.size}|` +
+            `${ctx.followingSourceGroups.size}|${ctx.embedding ? ctx.embedding.length : 0}|` +
+            `${ctx.dislikedCategories.size}|${ctx.mutedSourceIds?.size || 0}|` +
+            `${ctx.followedEntityIds?.size || 0}|` +
+            `${ctx.treatment || 'control'}|${ctx.session?.signals || 0}`
+    );
+}
+
+/**
+ * Attach the short-term session interest (services/sessionInterest.js) to
+ * a loaded ctx. Per request, never part of the cached ctx: it changes on
+ * every view. A live session counts as signal, so a cold-start user's
+ * second page already follows what they just read.
+ */
+async function attachSessionInterest(ctx, userId) {
+    ctx.session = await loadSessionInterest(userId);
+    if (ctx.session) ctx.hasSignal = true;
+}
+
+module.exports = {
+    userCacheIndexKey,
+    trackUserCacheKey,
+    clearUserArticleCaches,
+    getServedIds,
+    recordServedIds,
+    getCategoryEngagementStats,
+    loadUserPersonalizationContext,
+    recordExposure,
+    userStateHash,
+    attachSessionInterest,
+};
@@ -0,0 +1,212 @@
+/**
+ * "Why am I seeing this" — reason codes for ranked feed items.
+ *
+ * Every scorer reduces to per-factor contributions (for articles,
+ * feedRanking.scoreContributions). An explanation is the reason code of the
+ * strongest personal factor, or of recency / engagement when nothing
+ * personal carried the item, plus the top few positive factors:
+ *
+ *   { reason: 'followed_source', factors: [{ factor: 'following', contribution: 2.4 }, ...] }
+ *
+ * Reason codes are stable identifiers; the apps map them to localized copy.
+ * Feeds attach `why` to every item they score and the routes strip it
+ * unless the request asked for it (`?explain=1`, see withExplanations), so
+ * cached pages can be explained too.
+ */
+
+const {
+    PERS_W,
+    basicRecencyScore,
+    extractFeatures,
+    pageMultipliers,
+    scoreContributions,
+    viewsWeight,
+    likesWeight,
+    dislikesWeight,
+} = require('./feedRanking');
+const { getEffectivePersW } = require('../utils/experiments');
+
+const REASON_BY_FACTOR = {
+    followedEntity: 'followed_entity',
+    following: 'followed_source',
+    preferredSource: 'preferred_source',
+    categoryAffinity: 'preferred_category',
+    vector: 'similar_to_history',
+    sessionVector: 'current_session',
+    sessionCategory: 'current_session',
+    engagement: 'popular',
+    recency: 'fresh',
+};
+
+// Factors that say something about the user rather than the item.
+const PERSONAL_FACTORS = new Set([
+    'followedEntity',
+    'following',
+    'preferredSource',
+    'categoryAffinity',
+    'vector',
+    'sessionVector',
+    'sessionCategory',
+]);
+
+// Below this a personal factor is a nudge, not the reason: an article that
+// is 0.2 similar to your history but six minutes old is there for being new.
+const MIN_PERSONAL_CONTRIBUTION = 0.5;
+const TOP_FACTORS = 3;
+
+// Reel feed buckets (routes/videos.js) that decide placement on their own.
+const REASON_BY_BUCKET = {
+    fresh: 'fresh',
+    trending: 'trending',
+    evergreen: 'popular',
+    discovery: 'discovery',
+    collab: 'similar_users',
+};
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/**
+ * Compact explanation from a { factor: contribution } map. `reason`
+ * overrides the derived code (exploration, reel buckets); `minPersonal` is
+ * for scorers on another scale. Pure.
+ */
+function explainContributions(contributions, { reason = null, minPersonal = MIN_PERSONAL_CONTRIBUTION } = {}) {
+    const positive = Object.entries(contributions || {})
+        .filter(([, value]) => Number.isFinite(value) && value > 0)
+        .sort(([, a], [, b]) => b - a);
+
+    if (!reason) {
+        const personal = positive.find(([factor]) => PERSONAL_FACTORS.has(factor));
+        if (personal && personal[1] >= minPersonal) {
+            reason = REASON_BY_FACTOR[personal[0]];
+        } else {
+            const general = positive.find(([factor]) => !PERSONAL_FACTORS.has(factor));
+            reason = general ? REASON_BY_FACTOR[general[0]] || 'fresh' : 'fresh';
+        }
+    }
+
+    return {
+        reason,
+        factors: positive.slice(0, TOP_FACTORS).map(([factor, value]) => ({ factor, contribution: round2(value) })),
+    };
+}
+
+/**
+ * Contributions for users without signal, mirroring scoreWithoutSignal:
+ * recency plus tanh-squashed absolute engagement.
+ */
+function baselineContributions(a, W, now) {
+    const rawEngagement =
+        (a.viewCount || 0) * viewsWeight + (a.likes || 0) * likesWeight + (a.dislikes || 0) * dislikesWeight;
+    return {
+        recency: W.recency * basicRecencyScore(a.publishedAt, now),
+        engagement: W.engagement * Math.tanh(rawEngagement / 80),
+    };
+}
+
+/**
+ * Explanation for an article ranked by the v2 pipelines (needs the
+ * `_features` the features stage attached). `weights` are the ones the
+ * scorer used. Returns null for unscored items.
+ */
+function explainArticle(a, { ctx = null, page = 1, weights = null, now = Date.now() } = {}) {
+    if (!a?._features) return null;
+    const W = weights || getEffectivePersW(ctx?.experiments, PERS_W);
+    const contributions = ctx?.hasSignal
+        ? scoreContributions(a._features, W, { page })
+        : baselineContributions(a, W, now);
+    return explainContributions(contributions, { reason: a._explorationInjected ? 'discovery' : null });
+}
+
+/**
+ * Full score breakdown of one article for one user — the support/debug
+ * view behind GET /api/articles/:id/why. `article` needs the candidate
+ * fields plus sourceGroupName / sourceQualityScore. Pure.
+ */
+function scoreBreakdown(article, ctx, { page = 1, weights = null, now = Date.now() } = {}) {
+    const W = weights || getEffectivePersW(ctx?.experiments, PERS_W);
+    const features = extractFeatures(article, ctx, { now });
+    const scorer = ctx?.hasSignal ? 'linear' : 'baseline';
+    const contributions = scorer === 'linear'
+        ? scoreContributions(features, W, { page })
+        : baselineContributions(article, W, now);
+    if (scorer === 'baseline' && features.dislikedCategory) {
+        contributions.dislikedCategory = W.dislikedCategoryPenalty;
+    }
+
+    let score = 0;
+    for (const key in contributions) score += contributions[key];
+
+    const { reason } = explainContributions(contributions);
+    return {
+        scorer,
+        page,
+        score: round2(score),
+        reason,
+        contributions: Object.fromEntries(
+            Object.entries(contributions)
+                .filter(([, value]) => value !== 0)
+                .sort(([, a], [, b]) => Math.abs(b) - Math.abs(a))
+                .map(([factor, value]) => [factor, round2(value)])
+        ),
+        features,
+        multipliers: { ...pageMultipliers(page), sourceQuality: features.sourceQuality },
+        weights: W,
+    };
+}
+
+/**
+ * Explanation for a reel from the cursor feed. Hybrid-scored reels
+ * (bucket 'personalized') explain from their score parts — the 40/25/20/15
+ * blend times the recency multiplier; the other buckets are their own
+ * reason. Pure.
+ */
+function explainReel(reel) {
+    const bucket = reel?._bucket;
+    if (bucket && bucket !== 'personalized') {
+        return explainContributions({}, { reason: REASON_BY_BUCKET[bucket] || 'discovery' });
+    }
+    if (typeof reel?.embeddingScore !== 'number') return explainContributions({}, { reason: 'fresh' });
+
+    const boost = reel.recencyMultiplier || 1;
+    const contributions = {
+        vector: reel.embeddingScore * 0.4 * boost,
+        engagement: (reel.velocityScore || 0) * 0.25 * boost,
+        preferredSource: (reel.sourceScore || 0) * 0.2 * boost,
+        categoryAffinity: (reel.categoryScore || 0) * 0.15 * boost,
+    };
+    // The pool came from vector search, so similarity is the default; a
+    // velocity-led reel is there for trending.
+    const [top, value] = Object.entries(contributions).sort(([, a], [, b]) => b - a)[0];
+    const reason = value <= 0 ? 'similar_to_history' : top === 'engagement' ? 'trending' : REASON_BY_FACTOR[top];
+    return explainContributions(contributions, { reason });
+}
+
+/** True when the request asked for explanations (`?explain=1|true`). */
+function wantsExplanations(query) {
+    return query?.explain === '1' || query?.explain === 'true';
+}
+
+/**
+ * Feed items as sent: `why` kept when `explain`, dropped otherwise.
+ * Items without one pass through untouched.
+ */
+function withExplanations(items, explain) {
+    if (explain || !Array.isArray(items)) return items;
+    return items.map((item) => {
+        if (!item || !('why' in item)) return item;
+        const { why, ...rest } = item;
+        return rest;
+    });
+}
+
+module.exports = {
+    REASON_BY_FACTOR,
+    MIN_PERSONAL_CONTRIBUTION,
+    explainContributions,
+    explainArticle,
+    scoreBreakdown,
+    explainReel,
+    wantsExplanations,
+    withExplanations,
+};
@@ -0,0 +1,179 @@
+/**
+ * The personalized article feeds, declared as ranking pipelines
+ * (services/rankingPipeline.js). routes/articles.js owns everything around
+ * a run — loading the personalization context, caching/SWR, headers,
+ * served-set tracking and exposure logging — and calls `pipeline.run()`.
+ *
+ *   personalizedLight     GET /personalized-light (page-1 home feed)
+ *   personalizedFast      GET /personalized-fast (pages 2+)
+ *   personalizedCategory  GET /personalized-category (category chip)
+ *   personalized          GET /personalized (legacy vector feed)
+ */
+
+const { attachStoryCoverage } = require('./storyClusters');
+const {
+    HOUR,
+    DAY,
+    createPipeline,
+    pagedWindows,
+    windowedSource,
+    starvationGuard,
+    servedRescue,
+    personalFeatures,
+    linearScorer,
+    collapseClusters,
+    mmr,
+    sourceInterleave,
+    feedAssembler,
+} = require('./rankingPipeline');
+const {
+    recencyCandidates,
+    vectorCandidates,
+    lightVectorEligible,
+    collabCandidates,
+    cohereRerank,
+    legacyContext,
+    legacyVectorSource,
+    legacyPreferenceSource,
+    legacyScorer,
+    legacyTrending,
+    legacyRoundRobin,
+    legacyPaginate,
+} = require('./feedStages');
+
+/** ---- personalized-light ---- **/
+
+const LIGHT_WINDOWS = [24 * HOUR, 48 * HOUR, 7 * DAY, 30 * DAY];
+const lightLimit = (s) => Math.min(s.limit * 12, 400);
+const lightQuery = recencyCandidates({ limitFor: lightLimit, alwaysEmbed: true });
+
+const personalizedLight = createPipeline({
+    name: 'personalized-light',
+    sources: [
+        windowedSource({
+            windows: LIGHT_WINDOWS,
+            enough: (cands, s) => cands.length >= s.limit * 2,
+            query: lightQuery,
+            vectorQuery: vectorCandidates({ limitFor: lightLimit }),
+            vectorEligible: lightVectorEligible,
+            label: 'pers-light',
+        }),
+        starvationGuard({ query: lightQuery, windows: LIGHT_WINDOWS, label: 'pers-light' }),
+        collabCandidates(),
+    ],
+    features: [personalFeatures],
+    scorer: linearScorer(),
+    rerankers: [
+        collapseClusters(),
+        mmr(),
+        // First-impression page: much tighter than the pages-2+ interleave.
+        // The old { minGap: 2, perGroupCap: 8 } let one source legally take 8
+        // of 20 visible slots whenever a scraper cron dumped a batch. Cap
+        // scales with limit (3 at the default 20); fill keeps sparse pools
+        // (low-volume languages) from returning a short page.
+        sourceInterleave((s) => ({ minGap: 3, perGroupCap: Math.max(2, Math.ceil(s.limit * 0.15)), fill: true })),
+        cohereRerank(),
+    ],
+    assembler: feedAssembler({
+        explore: true,
+        coverage: attachStoryCoverage,
+        extra: (s) => ({
+            isLight: true,
+            fetchedAt: new Date(),
+            isRefreshed: s.forceRefresh,
+            isPersonalized: !!s.ctx?.hasSignal,
+        }),
+    }),
+});
+
+/** ---- personalized-fast / personalized-category ---- **/
+
+// Pagination needs a wide enough pool to skip into; capped so deep pages
+// don't blow up memory.
+const pagedLimit = (s) => Math.min(s.page * s.limit + 200, 500);
+const pagedQuery = recencyCandidates({ limitFor: pagedLimit });
+const enoughForPage = (cands, s) => cands.length >= s.limit + (s.page - 1) * s.limit;
+
+// Candidates already exclude the served set (P0-2 follow-up), so every
+// page is the top of the fresh pool: "20 more I haven't seen", not items
+// 60-80 of a fixed list that may have only 25 entries. `page` still steers
+// the scoring blend and the starting window.
+const personalizedFast = createPipeline({
+    name: 'personalized-fast',
+    sources: [
+        windowedSource({ windows: pagedWindows, enough: enoughForPage, query: pagedQuery, label: 'pers-fast' }),
+        starvationGuard({ query: pagedQuery, windows: pagedWindows, label: 'pers-fast' }),
+        collabCandidates(),
+    ],
+    features: [personalFeatures],
+    scorer: linearScorer(),
+    rerankers: [collapseClusters(), sourceInterleave({ minGap: 2, perGroupCap: 8 })],
+    assembler: feedAssembler({
+        coverage: attachStoryCoverage,
+        extra: (s) => ({
+            isFast: true,
+            fetchedAt: new Date(),
+            isRefreshed: s.forceRefresh,
+            page: s.page,
+            isPersonalized: !!s.ctx?.hasSignal,
+        }),
+    }),
+});
+
+// Same shape as personalized-fast with `s.category` pinned. Only disliked
+// articles are hard-excluded; liked ones are not (dropping them shrank
+// thin categories).
+const personalizedCategory = createPipeline({
+    name: 'personalized-category',
+    sources: [
+        windowedSource({ windows: pagedWindows, enough: enoughForPage, query: pagedQuery, label: 'pers-cat-v2' }),
+        servedRescue({ query: pagedQuery, windows: pagedWindows, label: 'pers-cat-v2' }),
+        collabCandidates(),
+    ],
+    features: [personalFeatures],
+    scorer: linearScorer(),
+    rerankers: [collapseClusters(), sourceInterleave({ minGap: 2, perGroupCap: 8 })],
+    assembler: feedAssembler({
+        // Rescue candidates include already-served articles, so top-of-pool
+        // slicing would repeat page 1 on every page — offset by page instead.
+        slice: (ranked, s) => (s.meta.rescuedWithoutExclusion
+            ? ranked.slice((s.page - 1) * s.limit, s.page * s.limit)
+            : ranked.slice(0, s.limit)),
+        coverage: attachStoryCoverage,
+        extra: (s) => ({
+            isCategory: true,
+            category: s.category,
+            fetchedAt: new Date(),
+            isRefreshed: s.forceRefresh,
+            page: s.page,
+            isPersonalized: !!s.ctx?.hasSignal,
+        }),
+    }),
+});
+
+/** ---- legacy /personalized ---- **/
+
+// Preference-filtered recency, used when vector search is unavailable or
+// the route budget ran out. Runs with the legacy ctx already loaded.
+const personalizedLegacyFallback = createPipeline({
+    name: 'personalized-fallback',
+    sources: [legacyPreferenceSource],
+    assembler: legacyPaginate,
+});
+
+const personalized = createPipeline({
+    name: 'personalized',
+    context: legacyContext,
+    sources: [legacyVectorSource],
+    scorer: legacyScorer,
+    rerankers: [legacyTrending, legacyRoundRobin],
+    assembler: legacyPaginate,
+    fallback: personalizedLegacyFallback,
+});
+
+module.exports = {
+    personalizedLight,
+    personalizedFast,
+    personalizedCategory,
+    personalized,
+};
@@ -0,0 +1,518 @@
+/**
+ * Feed ranking primitives shared by the personalized feed pipelines
+ * (services/rankingPipeline.js) and the offline evaluator
+ * (services/recEvaluation.js).
+ *
+ * Everything here is pure and synchronous — no Mongo, no Redis — so the
+ * evaluator can replay exactly the production scorer against historical
+ * data. Anything that depends on the wall clock takes an optional `now`.
+ */
+
+const { getEffectivePersW } = require('../utils/experiments');
+
+// Engagement score: tune weights here if needed
+const viewsWeight = 1.0;
+const likesWeight = 3.0;
+const dislikesWeight = -2.0;
+const recencyWeight = 4.0;
+
+/**
+ * Time constant for the recency decay. exp(-hours/τ).
+ *
+ *   τ=72  →  24h: 0.72   48h: 0.51   72h: 0.37   7d: 0.10   30d: 4e-5
+ *
+ * Picked to match the brand voice ("Bold · Fast · Energetic"): fresher
+ * content scores meaningfully higher than 24h-old, and 7-day content is
+ * a faint signal rather than the 0.4 the old piecewise function gave it.
+ *
+ * Single tunable knob — adjust here to re-weight freshness without
+ * touching PERS_W or any caller.
+ */
+const RECENCY_TAU_HOURS = 72;
+
+/**
+ * Recency score in [0, 1] using continuous exponential decay.
+ *
+ * Replaces a piecewise step function that had visible cliffs at 24/48/72h
+ * (an article scored 1.0 at 23h and 0.8 at 25h). Smooth decay means a
+ * 2-hour-old breaking story now beats a 22-hour-old one on the recency
+ * term alone — useful for breaking news.
+ *
+ * `now` defaults to the wall clock; the offline evaluator passes its cutoff.
+ */
+function basicRecencyScore(publishedAt, now = Date.now()) {
+    const t = new Date(publishedAt || now).getTime();
+    const hours = Math.max(0, (now - t) / (1000 * 60 * 60));
+    return Math.exp(-hours / RECENCY_TAU_HOURS);
+}
+
+/** Legacy absolute engagement + recency score (generic feeds, /personalized). */
+function calculateEngagementScore(article, now = Date.now()) {
+    const recencyScore = basicRecencyScore(article.publishedAt, now);
+    return (
+        (article.viewCount || 0) * viewsWeight +
+        (article.likes || 0) * likesWeight +
+        (article.dislikes || 0) * dislikesWeight +
+        recencyScore * recencyWeight
+    );
+}
+
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, magA = 0, magB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        magA += a[i] * a[i];
+        magB += b[i] * b[i];
+    }
+    return magA && magB ? dot / (Math.sqrt(magA) * Math.sqrt(magB)) : 0;
+}
+
+// Scoring weights — tuned for Gulf news feed (bold/fast hero accent feed)
+const PERS_W = {
+    recency: 4.0,
+    engagement: 1.0,
+    categoryAffinity: 3.0,
+    followingBoost: 2.5,
+    preferredSourceBoost: 1.5,
+    vector: 6.0,
+    dislikedCategoryPenalty: -8.0,
+    // Explicit "show less from this source" (not-interested panel chip).
+    // Softer than a category ban: the source still appears when it has
+    // genuinely strong content, just far less often.
+    mutedSourcePenalty: -6.0,
+    // Viewed articles are demoted (not excluded) so the feed never starves.
+    // They sink below fresh content but reappear if no better candidates exist.
+    viewedPenalty: -3.0,
+    // Short-term session interest (services/sessionInterest.js): similarity
+    // to what the user read in the last few minutes, and that session's
+    // category mix. Both features are scaled by session strength, so they
+    // are 0 outside a session and ramp up as reads accumulate.
+    sessionVector: 3.0,
+    sessionCategory: 2.0,
+    // Article mentions an entity (person, organisation, place, company) the
+    // user follows — see services/entityExtraction.js. As strong as
+    // following the source: both are explicit "show me this".
+    followedEntityBoost: 2.5,
+};
+
+/**
+ * Threshold in seconds at which a read is considered "full" for the
+ * read-time-weighted viewed penalty (P1-6). A read at this duration or
+ * longer applies the full viewedPenalty; shorter reads apply
+ * proportionally less.
+ */
+const FULL_READ_SECONDS = 60;
+
+/**
+ * Page-aware blend: page 1 favors recency (feels fresh), deeper pages
+ * favor relevance (give them what they like).
+ */
+function pageMultipliers(page = 1) {
+    return {
+        recencyMult: page === 1 ? 1.2 : page === 2 ? 1.0 : 0.8,
+        relMult: page === 1 ? 0.8 : page === 2 ? 1.0 : 1.2,
+    };
+}
+
+/**
+ * Per-article ranking features for one user — everything the linear
+ * scorer reads, computed once so re-rankers and telemetry can look at the
+ * same numbers. `ctx` may be null (guests); the personal terms are then 0.
+ */
+function extractFeatures(a, ctx, { now = Date.now() } = {}) {
+    // Engagement: if we have per-category stats (P1-2), score by z-score
+    // (deviation from category average) so a viral Football article doesn't
+    // outrank a typical Business article for a Business reader. Otherwise
+    // fall back to the legacy tanh(rawEng/80) absolute-volume form.
+    const rawEngagement =
+        (a.viewCount || 0) * viewsWeight +
+        (a.likes || 0) * likesWeight +
+        (a.dislikes || 0) * dislikesWeight;
+    const categoryStats = ctx?.categoryStats; // Map<category, {mean, stddev}> | undefined
+    const stats = categoryStats && a.category ? categoryStats.get(a.category) : null;
+    let engagement;
+    if (stats && stats.stddev > 0) {
+        const z = (rawEngagement - stats.mean) / stats.stddev;
+        // tanh(z/2) maps z=2 (~95th pct) to 0.76, z=0 to 0, z=-2 to -0.76.
+        // Engagement can now actively penalize below-average articles, which
+        // is the intended behavior — "below typical for its category" is a
+        // real signal, not just absence of signal.
+        engagement = Math.tanh(z / 2);
+    } else {
+        engagement = Math.tanh(rawEngagement / 80);
+    }
+
+    const sourceIdStr = a.sourceId ? a.sourceId.toString() : null;
+    const idStr = a._id ? a._id.toString() : null;
+    const viewed = !!(idStr && ctx?.viewedIds?.has(idStr));
+
+    let vector = 0;
+    let hasVector = false;
+    if (typeof a._atlasSimilarity === 'number') {
+        // Hybrid retrieval path: the candidate came from Atlas $vectorSearch, so
+        // we already have a cosine score. Atlas normalizes cosine to [0,1] as
+        // (1 + cos)/2 — convert back to raw cosine and clamp so W.vector keeps
+        // the exact same meaning as the JS cosine path below.
+        vector = Math.max(0, 2 * a._atlasSimilarity - 1);
+        hasVector = true;
+    } else if (
+        ctx?.embedding &&
+        Array.isArray(a.embedding_pca) &&
+        a.embedding_pca.length === ctx.embedding.length
+    ) {
+        // Clamp to [0,1] — negative similarity shouldn't actively penalize, just contribute nothing
+        vector = Math.max(0, cosineSimilarity(ctx.embedding, a.embedding_pca));
+        hasVector = true;
+    }
+
+    // Session interest: ctx.session is a sessionSnapshot (or absent).
+    const session = ctx?.session;
+    let sessionVector = 0;
+    let sessionCategory = 0;
+    if (session) {
+        if (
+            session.embedding &&
+            Array.isArray(a.embedding_pca) &&
+            a.embedding_pca.length === session.embedding.length
+        ) {
+            sessionVector = Math.max(0, cosineSimilarity(session.embedding, a.embedding_pca)) * session.strength;
+        }
+        if (a.category && session.categories?.has(a.category)) {
+            sessionCategory = session.categories.get(a.category) * session.strength;
+        }
+    }
+
+    return {
+        recency: basicRecencyScore(a.publishedAt, now),
+        rawEngagement,
+        engagement,
+        categoryAffinity: a.category && ctx?.preferredCategories?.has(a.category) ? 1 : 0,
+        dislikedCategory: !!(a.category && ctx?.dislikedCategories?.has(a.category)),
+        following: a.sourceGroupName && ctx?.followingSourceGroups?.has(a.sourceGroupName) ? 1 : 0,
+        preferredSource: sourceIdStr && ctx?.preferredSourceIds?.has(sourceIdStr) ? 1 : 0,
+        mutedSource: !!(sourceIdStr && ctx?.mutedSourceIds?.has(sourceIdStr)),
+        vector,
+        hasVector,
+        sessionVector,
+        sessionCategory,
+        followedEntity:
+            ctx?.followedEntityIds?.size && Array.isArray(a.entities) && a.entities.some((id) => ctx.followedEntityIds.has(id))
+                ? 1
+                : 0,
+        // P3-5: default 1.0 (neutral) so articles from sources with no
+        // aggregate data yet aren't penalized.
+        sourceQuality: typeof a.sourceQualityScore === 'number' ? a.sourceQualityScore : 1.0,
+        viewed,
+        // P1-6: how deeply this article was previously consumed. Full read
+        // (≥FULL_READ_SECONDS) is 1; legacy "view" with no read-time event
+        // falls back to 1/3.
+        viewedFraction: viewed ? (ctx.viewReadFractions?.get(idStr) ?? (1 / 3)) : 0,
+    };
+}
+
+/**
+ * Per-factor share of one article's score under weights W: each positive
+ * term already scaled by page bias and source quality, each penalty as
+ * applied. linearScore is their sum; feedExplanations.js reads them to say
+ * why an article ranked where it did.
+ */
+function scoreContributions(f, W, { page = 1 } = {}) {
+    const { recencyMult, relMult } = pageMultipliers(page);
+
+    // P3-5: scale the positive component by source quality. Sources where
+    // dislikes dominate likes get quality < 1, which proportionally demotes
+    // their positive signal — they don't disappear, they just compete for
+    // fewer top slots.
+    //
+    // Penalties (dislikedCategory, viewedPenalty) are NOT scaled by
+    // quality. Multiplying a negative number by 0.7 makes it less
+    // negative, which would soften penalties for low-quality sources —
+    // the opposite of what we want.
+    const q = f.sourceQuality;
+    const rel = relMult * q;
+    return {
+        recency: recencyMult * q * W.recency * f.recency,
+        engagement: q * W.engagement * f.engagement,
+        categoryAffinity: rel * W.categoryAffinity * f.categoryAffinity,
+        following: rel * W.followingBoost * f.following,
+        preferredSource: rel * W.preferredSourceBoost * f.preferredSource,
+        vector: rel * W.vector * f.vector,
+        sessionVector: rel * W.sessionVector * f.sessionVector,
+        sessionCategory: rel * W.sessionCategory * f.sessionCategory,
+        followedEntity: rel * W.followedEntityBoost * f.followedEntity,
+        // Penalty is heavy and applied directly (not multiplied by relMult)
+        // so it dominates regardless of page bias.
+        dislikedCategory: f.dislikedCategory ? W.dislikedCategoryPenalty : 0,
+        mutedSource: f.mutedSource ? W.mutedSourcePenalty : 0,
+        viewed: f.viewed ? W.viewedPenalty * f.viewedFraction : 0,
+    };
+}
+
+/** Score one article's features under weights W. */
+function linearScore(f, W, opts) {
+    const contributions = scoreContributions(f, W, opts);
+    let score = 0;
+    for (const key in contributions) score += contributions[key];
+    return score;
+}
+
+/**
+ * Score candidates whose `_features` are already extracted. Returns an
+ * array sorted by descending score (mutates each item with `_score`).
+ *
+ * `weights` replaces the experiment-resolved PERS_W outright and
+ * `telemetry: false` silences the P2-2 log — both for offline replays.
+ */
+function scoreFromFeatures(candidates, ctx, { page = 1, weights = null, telemetry = true } = {}) {
+    if (!candidates?.length) return [];
+
+    const { relMult } = pageMultipliers(page);
+    const hasEmbedding = !!ctx?.embedding;
+
+    // P3-1: pull effective weights from the user's experiment arms. Falls
+    // through to PERS_W defaults when no assigned arm overrides them.
+    const W = weights || getEffectivePersW(ctx?.experiments, PERS_W);
+
+    // P2-2 telemetry: aggregate stats so we can decide whether to skip the
+    // embedding projection for heavy-category users. Logged at the bottom.
+    let totalAbsScore = 0;
+    let totalAbsVector = 0;
+    let withEmbeddingCount = 0;
+
+    for (const a of candidates) {
+        const f = a._features;
+        if (f.dislikedCategory) a._dislikedCat = true;
+        if (f.hasVector) withEmbeddingCount++;
+        a._score = linearScore(f, W, { page });
+
+        if (hasEmbedding) {
+            // Track absolute contribution so a vector that pushes some scores up
+            // and others down still shows its real influence on the ranking.
+            totalAbsScore += Math.abs(a._score);
+            totalAbsVector += Math.abs(relMult * W.vector * f.vector);
+        }
+    }
+
+    // P2-2 telemetry: log mean vector contribution as a % of total absolute
+    // ranking signal. After a week of these logs we can decide whether to
+    // skip the embedding projection for users where this is consistently
+    // below 5%.
+    if (telemetry && hasEmbedding && withEmbeddingCount > 0 && totalAbsScore > 0) {
+        const vectorPct = Math.round((totalAbsVector / totalAbsScore) * 100);
+        if (process.env.PERS_LOG_VECTOR_PCT === '1' || vectorPct < 3) {
+            console.log(
+                `📐 vector contribution for ${ctx.userId?.substring?.(0, 8) || '?'}: ` +
+                `${vectorPct}% (${withEmbeddingCount}/${candidates.length} candidates had embedding)`
+            );
+        }
+    }
+
+    return candidates.sort((x, y) => y._score - x._score);
+}
+
+/**
+ * Score candidate articles using the user's personalization context:
+ * extractFeatures + scoreFromFeatures in one call. `now` pins the recency
+ * clock for offline replays.
+ */
+function scorePersonalizedCandidates(candidates, ctx, { page = 1, weights = null, now = Date.now(), telemetry = true } = {}) {
+    if (!candidates?.length) return [];
+    for (const a of candidates) a._features = extractFeatures(a, ctx, { now });
+    return scoreFromFeatures(candidates, ctx, { page, weights, telemetry });
+}
+
+/**
+ * Ranking for users without personalization signal (guests, cold start):
+ * recency + absolute engagement. A user can have disliked categories
+ * without hasSignal (dislikes don't count toward it), so the penalty still
+ * applies — starvation-guard rescue articles must sink below eligible ones.
+ */
+function scoreWithoutSignal(candidates, ctx, { weights = PERS_W, now = Date.now() } = {}) {
+    for (const a of candidates) {
+        a._score =
+            weights.recency * basicRecencyScore(a.publishedAt, now) +
+            weights.engagement *
+                Math.tanh(
+                    ((a.viewCount || 0) * viewsWeight +
+                        (a.likes || 0) * likesWeight +
+                        (a.dislikes || 0) * dislikesWeight) /
+                        80
+                );
+        if (a.category && ctx?.dislikedCategories?.has(a.category)) {
+            a._score += weights.dislikedCategoryPenalty;
+        }
+    }
+    return candidates.sort((x, y) => y._score - x._score);
+}
+
+/**
+ * Interleave articles by source group so consecutive items don't come from
+ * the same source, without throwing away total count.
+ *
+ * `minGap` is the minimum number of other articles that must separate two
+ * articles from the same group. `perGroupCap` is a soft ceiling per group —
+ * generous, just prevents one source from dominating the whole feed.
+ *
+ * Preserves the incoming relevance order as much as possible: high-scored
+ * articles still appear early; only those that would bunch with a recent
+ * same-group article are deferred to a second pass.
+ *
+ * Complexity: **O(n)** total. Each candidate is processed at most twice
+ * (once in pass 1, possibly once in pass 2). All inner ops are O(1):
+ * Map.get / Map.set, single arithmetic on out.length and the cached
+ * lastIdx. Measured ~28μs for n=240, ~200μs at n=25k — i.e. negligible
+ * relative to any other step in the pipeline. A heap-based variant was
+ * considered (P2-4 in the roadmap) and rejected: heap ops are
+ * O(log k) > O(1), and the heap doesn't reduce candidate count — it
+ * would be slower at every realistic n.
+ */
+function interleaveBySourceGroup(scored, { minGap = 2, perGroupCap = 8, fill = false } = {}) {
+    if (!scored?.length) return scored;
+
+    const groupCount = new Map();
+    const lastIdx = new Map();
+    const out = [];
+    const deferred = [];
+    const overflow = [];
+
+    const groupOf = (a) =>
+        a.sourceGroupName || (a.sourceId ? a.sourceId.toString() : 'unknown');
+
+    // Pass 1: greedy placement with gap enforcement
+    for (const a of scored) {
+        const g = groupOf(a);
+        if ((groupCount.get(g) || 0) >= perGroupCap) {
+            if (fill) overflow.push(a);
+            continue;
+        }
+
+        const last = lastIdx.get(g);
+        if (last !== undefined && out.length - 1 - last < minGap) {
+            deferred.push(a);
+            continue;
+        }
+
+        out.push(a);
+        groupCount.set(g, (groupCount.get(g) || 0) + 1);
+        lastIdx.set(g, out.length - 1);
+    }
+
+    // Pass 2: append deferred articles where the gap now allows
+    for (const a of deferred) {
+        const g = groupOf(a);
+        if ((groupCount.get(g) || 0) >= perGroupCap) {
+            if (fill) overflow.push(a);
+            continue;
+        }
+
+        const last = lastIdx.get(g);
+        if (last === undefined || out.length - 1 - last >= minGap) {
+            out.push(a);
+            groupCount.set(g, (groupCount.get(g) || 0) + 1);
+            lastIdx.set(g, out.length - 1);
+        } else if (fill) {
+            overflow.push(a);
+        }
+    }
+
+    // fill mode: keep total count intact by appending cap/gap rejects at the
+    // tail. Sparse pools (low-volume languages, small fallback queries) would
+    // otherwise return a visibly short page; clustered items at the bottom
+    // beat missing items.
+    if (fill && overflow.length > 0) {
+        out.push(...overflow);
+    }
+
+    return out;
+}
+
+/**
+ * Greedy Maximal Marginal Relevance over the top of the scored pool.
+ *
+ * Source interleaving can't see *topical* redundancy: five sources covering
+ * the same story pass the source-gap check, and a same-source scraper burst
+ * has near-identical scores (recency dominates for brand-new articles, and
+ * same-source style means similar embedding_pca vectors). MMR penalizes each
+ * candidate by its max cosine similarity to anything already picked, so both
+ * failure modes lose top slots to genuinely different content.
+ *
+ * Incremental form: each remaining candidate caches its max similarity to
+ * the picked set and only updates against the last pick — O(topN² · dims)
+ * ≈ 60·60·128 ≈ 460k mults, well under a millisecond in-process. Runs before
+ * interleaveBySourceGroup (MMR shapes the order, interleave enforces hard
+ * source gaps) and mostly inside SWR background regen, so the user-facing
+ * path is unaffected.
+ *
+ * Candidates without embedding_pca are never penalized (maxSim stays 0) —
+ * they rank purely by _score, same as before.
+ */
+const MMR_TOP_N = 60;
+const MMR_LAMBDA = 1.75;
+
+function applyMMRDiversity(scored, { topN = MMR_TOP_N, lambda = MMR_LAMBDA } = {}) {
+    if (!scored || scored.length < 3) return scored;
+    const n = Math.min(topN, scored.length);
+    const head = scored.slice(0, n);
+
+    let vecCount = 0;
+    for (const a of head) {
+        if (Array.isArray(a.embedding_pca) && a.embedding_pca.length > 0) vecCount++;
+    }
+    // Too few vectors to measure redundancy — keep the score order.
+    if (vecCount < 3) return scored;
+
+    const remaining = head.map((a) => ({ a, maxSim: 0 }));
+    const picked = [];
+
+    while (remaining.length > 0) {
+        let bestIdx = 0;
+        let bestVal = -Infinity;
+        for (let i = 0; i < remaining.length; i++) {
+            const val = remaining[i].a._score - lambda * remaining[i].maxSim;
+            if (val > bestVal) {
+                bestVal = val;
+                bestIdx = i;
+            }
+        }
+        const [chosen] = remaining.splice(bestIdx, 1);
+        picked.push(chosen.a);
+
+        const cv = chosen.a.embedding_pca;
+        if (Array.isArray(cv) && cv.length > 0) {
+            for (const r of remaining) {
+                const rv = r.a.embedding_pca;
+                if (Array.isArray(rv) && rv.length === cv.length) {
+                    const s = cosineSimilarity(rv, cv);
+                    if (s > r.maxSim) r.maxSim = s;
+                }
+            }
+        }
+    }
+
+    return picked.concat(scored.slice(n));
+}
+
+module.exports = {
+    viewsWeight,
+    likesWeight,
+    dislikesWeight,
+    recencyWeight,
+    RECENCY_TAU_HOURS,
+    PERS_W,
+    FULL_READ_SECONDS,
+    MMR_TOP_N,
+    MMR_LAMBDA,
+    basicRecencyScore,
+    calculateEngagementScore,
+    cosineSimilarity,
+    pageMultipliers,
+    extractFeatures,
+    scoreContributions,
+    linearScore,
+    scoreFromFeatures,
+    scorePersonalizedCandidates,
+    scoreWithoutSignal,
+    interleaveBySourceGroup,
+    applyMMRDiversity,
+};
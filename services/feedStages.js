@@ -0,0 +1,1069 @@
+/**
+ * I/O-backed stages for the feed pipelines (services/rankingPipeline.js):
+ * Mongo candidate queries, Atlas vector readiness, the Cohere re-ranker and
+ * the stages of the legacy /personalized feed. The pure stages and the
+ * engine are in rankingPipeline.js; services/feedPipelines.js wires both
+ * into the feeds routes/articles.js serves.
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Source = require('../models/Source');
+const User = require('../models/User');
+const UserActivity = require('../models/UserActivity');
+const redis = require('../utils/redis');
+const { basicRecencyScore, calculateEngagementScore } = require('./feedRanking');
+const { mark, mergeById } = require('./rankingPipeline');
+const { collabCandidateIds } = require('./itemNeighbors');
+const { explainContributions } = require('./feedExplanations');
+
+/** Simple hash function for seed generation */
+function simpleHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash + str.charCodeAt(i)) & 0xffffffff;
+    }
+    return Math.abs(hash);
+}
+
+// Performance configuration constants
+const VECTOR_INDEX = 'default';
+const NUM_CANDIDATE_MULT = 2.5; // Reduced from 4 for faster vector search
+const LIMIT_MULT = 1.5; // Reduced from 2 for smaller candidate pools
+const TRENDING_RATIO = 0.10;
+const VECTOR_PROBE_TTL_MS = 10 * 60 * 1000; // Extended to 10min for stable clusters
+const VECTOR_MAX_TIME_MS = 1500; // Tightened from 2000ms
+const ROUTE_BUDGET_MS = 3000; // Tightened from 4500ms
+
+const SERVED_MAX_EXCLUDE = 1000; // ceiling on how many served IDs we send to $nin
+
+/** ---- Vector search readiness ---- **/
+
+// Module-scoped vector readiness cache
+let _vectorProbe = { ok: false, checkedAt: 0, dims: null };
+
+// Vector readiness probe
+async function isVectorSearchReady() {
+    const now = Date.now();
+
+    // Hard off-switch — use during migrations/outages when Atlas Search is down.
+    // Avoids the listSearchIndexes() call entirely (it can hang ~9s when the Search
+    // Index Management service is unreachable).
+    if (process.env.DISABLE_VECTOR_SEARCH === 'true') {
+        _vectorProbe = { ok: false, checkedAt: now, dims: null };
+        return false;
+    }
+
+    if (now - _vectorProbe.checkedAt < VECTOR_PROBE_TTL_MS) {
+        return _vectorProbe.ok;
+    }
+
+    try {
+        // Bound the admin call: when Atlas Search is unhealthy, listSearchIndexes() can
+        // hang ~9s before erroring. Fail fast so a cold instance's first request isn't 9s.
+        const indexes = await Promise.race([
+            Article.collection.listSearchIndexes({ name: VECTOR_INDEX }).toArray(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('listSearchIndexes timeout')), 2000)),
+        ]);
+        const vectorIndex = indexes.find(idx => idx.name === VECTOR_INDEX);
+        const ok = vectorIndex && (vectorIndex.status === 'READY' || vectorIndex.queryable);
+        const dims = vectorIndex?.latestDefinition?.mappings?.fields?.embedding_pca?.dimensions || null;
+
+        _vectorProbe = { ok, checkedAt: now, dims };
+        return ok;
+    } catch (error) {
+        console.error('🔍 Vector readiness probe failed:', error.message);
+        _vectorProbe = { ok: false, checkedAt: now, dims: null };
+        await redis.set('vector_search_status', 'unavailable', 'EX', 300); // Cache failure for 5min
+        return false;
+    }
+}
+
+// Quick vector probe
+async function quickVectorProbe(queryVector, cutoffDate, language, excludeIds) {
+    try {
+        const pipeline = [
+            {
+                $vectorSearch: {
+                    index: VECTOR_INDEX,
+                    path: 'embedding_pca',
+                    queryVector: queryVector,
+                    numCandidates: 50, // Reduced for faster probe
+                    limit: 1,
+                    filter: {
+                        language: language,
+                        publishedAt: { $gte: cutoffDate },
+                        _id: { $nin: excludeIds },
+                    },
+                },
+            },
+        ];
+
+        await Article.aggregate(pipeline, { maxTimeMS: 300 }); // Tighter timeout
+        return { ok: true };
+    } catch (error) {
+        console.error('🔍 Quick vector probe error:', error.message);
+        // A probe that times out or can't reach the search service means vector search is
+        // NOT usable right now — treat it as unavailable so we fall back fast instead of
+        // attempting the (also-timing-out) full vector search. Previously timeouts were
+        // treated as "non-critical" and let the request proceed into multi-second hangs.
+        const msg = error.message || '';
+        const unusable = /index|cluster|time limit|MaxTimeMSExpired|timed out|timeout|Search Index/i.test(msg);
+        if (unusable) {
+            await redis.set('vector_search_status', 'unavailable', 'EX', 300); // Cache failure
+            return { ok: false };
+        }
+        return { ok: true }; // Truly non-critical errors don't disable vector search
+    }
+}
+
+/** ---- v2 candidate queries ---- **/
+
+/**
+ * P2-2 conditional embedding projection.
+ *
+ * When a user has lots of explicit signal (many preferred categories,
+ * many followed source groups), the vector term contributes only
+ * marginally to the final ranking — category and following boosts
+ * already dominate. We can skip pulling `embedding_pca` from Mongo (128
+ * floats × ~240 candidates ≈ 31KB) and save the network/Mongo bandwidth.
+ *
+ * Feature-flagged: off by default. Turn on after a week of
+ * `📐 vector contribution` telemetry (PERS_LOG_VECTOR_PCT=1) confirms
+ * which user profiles see <5% vector contribution.
+ */
+function shouldSkipEmbedding(ctx) {
+    if (process.env.PERS_SKIP_VECTOR_FOR_HEAVY_PREFS !== '1') return false;
+    if (!ctx) return false;
+    const prefCats = ctx.preferredCategories?.size || 0;
+    const followSrc = ctx.followingSourceGroups?.size || 0;
+    // Users with 4+ category prefs AND 3+ followed source groups have
+    // enough non-vector signal that the embedding projection rarely shifts
+    // the top-K. Tune thresholds based on logged telemetry.
+    return prefCats >= 4 && followSrc >= 3;
+}
+
+// The session vector (services/sessionInterest.js) needs candidate
+// embeddings too, even for users the heavy-prefs skip would exempt.
+function includeEmbeddingFor(ctx) {
+    return (!!ctx?.embedding && !shouldSkipEmbedding(ctx)) || !!ctx?.session?.embedding;
+}
+
+/**
+ * Candidate $match: language + window, hard-excluding explicit dislikes
+ * and the recently-served set (P0-2 follow-up; rotates back in after the
+ * 6h sliding TTL). Viewed articles are only demoted in scoring, not
+ * excluded, so the feed doesn't collapse for users with long view
+ * histories. `s.category` pins the feed to one category, which replaces
+ * the disliked-category exclusion.
+ */
+function buildCandidateMatch(s, sinceMs, { skipCategoryExclusion = false, excludeServed = true } = {}) {
+    const { ctx } = s;
+    const match = {
+        language: s.language,
+        ...(s.category ? { category: s.category } : {}),
+        publishedAt: { $gte: new Date(s.now - sinceMs) },
+    };
+    if (ctx) {
+        const excluded = [];
+        if (ctx.dislikedIds.size > 0) {
+            excluded.push(...[...ctx.dislikedIds].slice(0, 500));
+        }
+        if (excludeServed && ctx.servedIds?.size > 0) {
+            excluded.push(...[...ctx.servedIds].slice(0, SERVED_MAX_EXCLUDE));
+        }
+        if (excluded.length > 0) {
+            match._id = {
+                $nin: excluded.map((id) => new mongoose.Types.ObjectId(id)),
+            };
+        }
+        if (!s.category && !skipCategoryExclusion && ctx.dislikedCategories.size > 0) {
+            match.category = { $nin: [...ctx.dislikedCategories] };
+        }
+    }
+    return match;
+}
+
+// Source join shared by the recency and vector candidate queries: drops
+// blocked sources and flattens group/name/icon/quality onto the article.
+const SOURCE_JOIN = [
+    {
+        $lookup: {
+            from: 'sources',
+            localField: 'sourceId',
+            foreignField: '_id',
+            as: 'source',
+            pipeline: [
+                { $match: { status: { $ne: 'blocked' } } },
+                { $project: { groupName: 1, name: 1, icon: 1, quality_score: 1 } },
+            ],
+        },
+    },
+    { $match: { 'source.0': { $exists: true } } },
+    {
+        $addFields: {
+            sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
+            sourceName: { $arrayElemAt: ['$source.name', 0] },
+            sourceIcon: { $arrayElemAt: ['$source.icon', 0] },
+            sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
+        },
+    },
+];
+
+const CANDIDATE_FIELDS = {
+    title: 1,
+    content: 1,
+    contentFormat: 1,
+    url: 1,
+    category: 1,
+    publishedAt: 1,
+    image: 1,
+    viewCount: 1,
+    likes: 1,
+    dislikes: 1,
+    commentCount: 1,
+    storyClusterId: 1,
+    entities: 1,
+    isUpdated: 1,
+    lastRevisedAt: 1,
+    likedBy: 1,
+    dislikedBy: 1,
+    sourceId: 1,
+    sourceName: 1,
+    sourceIcon: 1,
+    sourceGroupName: 1,
+    language: 1,
+};
+
+/**
+ * Recency candidate query for windowedSource. `limitFor(s)` sizes the pool;
+ * `alwaysEmbed` projects embedding_pca even for users whose own embedding
+ * is skipped — the MMR diversity pass needs candidate-to-candidate
+ * similarity (400 × 128 floats is a trivial intra-cluster payload;
+ * sanitizeForResponse strips it). Records meta.includeEmbedding.
+ */
+function recencyCandidates({ limitFor, alwaysEmbed = false }) {
+    return (sinceMs, s, opts) => {
+        const includeEmbedding = includeEmbeddingFor(s.ctx);
+        s.meta.includeEmbedding = includeEmbedding;
+        return Article.aggregate([
+            { $match: buildCandidateMatch(s, sinceMs, opts) },
+            { $sort: { publishedAt: -1 } },
+            { $limit: limitFor(s) },
+            ...SOURCE_JOIN,
+            {
+                $project: {
+                    ...CANDIDATE_FIELDS,
+                    ...(alwaysEmbed || includeEmbedding ? { embedding_pca: 1 } : {}),
+                },
+            },
+        ]);
+    };
+}
+
+/**
+ * Hybrid retrieval: same candidate shape as recencyCandidates, but the pool
+ * is sourced from Atlas $vectorSearch (default index, embedding_pca) ranked
+ * by similarity to the user's embedding instead of pure recency. The blended
+ * scorer still runs on top — only the candidate *source* changes. We attach
+ * _atlasSimilarity (Atlas cosine score) so the scorer can skip recomputing
+ * cosine.
+ */
+function vectorCandidates({ limitFor }) {
+    return (sinceMs, s) => {
+        const { ctx } = s;
+        const candidateLimit = limitFor(s);
+        const numCandidates = Math.min(Math.round(candidateLimit * NUM_CANDIDATE_MULT), 2000);
+        const filter = {
+            language: s.language,
+            publishedAt: { $gte: new Date(s.now - sinceMs) },
+        };
+        // category is an indexed filter field on the default index — cheapest place to drop dislikes
+        if (ctx?.dislikedCategories?.size > 0) {
+            filter.category = { $nin: [...ctx.dislikedCategories] };
+        }
+        // _id is NOT an indexed filter field on `default`, so disliked articles are
+        // excluded in a post-search $match rather than inside the vector filter.
+        const dislikedObjectIds =
+            ctx?.dislikedIds?.size > 0
+                ? [...ctx.dislikedIds].slice(0, 500).map((id) => new mongoose.Types.ObjectId(id))
+                : [];
+
+        return Article.aggregate(
+            [
+                {
+                    $vectorSearch: {
+                        index: VECTOR_INDEX,
+                        path: 'embedding_pca',
+                        queryVector: ctx.embedding,
+                        numCandidates,
+                        limit: candidateLimit,
+                        filter,
+                    },
+                },
+                { $addFields: { _atlasSimilarity: { $meta: 'vectorSearchScore' } } },
+                ...(dislikedObjectIds.length > 0
+                    ? [{ $match: { _id: { $nin: dislikedObjectIds } } }]
+                    : []),
+                ...SOURCE_JOIN,
+                {
+                    $project: {
+                        ...CANDIDATE_FIELDS,
+                        _atlasSimilarity: 1,
+                        // For the MMR diversity pass (candidate-to-candidate cosine);
+                        // _atlasSimilarity only covers candidate-to-user.
+                        embedding_pca: 1,
+                    },
+                },
+            ],
+            { maxTimeMS: VECTOR_MAX_TIME_MS, allowDiskUse: false }
+        );
+    };
+}
+
+/**
+ * Vector retrieval is opt-in (PERS_LIGHT_VECTOR=1) and only for users with a
+ * usable embedding + signal. Guests / no-signal users always use recency.
+ */
+async function lightVectorEligible(s) {
+    return (
+        process.env.PERS_LIGHT_VECTOR === '1' &&
+        includeEmbeddingFor(s.ctx) &&
+        !!s.ctx?.hasSignal &&
+        (await isVectorSearchReady())
+    );
+}
+
+/** ---- Collaborative filtering ---- **/
+
+// Neighbour lists only cover the last week's articles (ArticleNeighbors).
+const COLLAB_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Extra candidate source: articles co-engaged with the user's likes, saves
+ * and deep reads (services/itemNeighbors.js). Runs after the main sources
+ * and only adds — articles already in the pool keep their copy. The same
+ * candidate $match applies, so dislikes, the served set and the language
+ * still hold. Sets meta.collabCandidates; failure is a warning, never an
+ * empty feed.
+ */
+function collabCandidates({ limit = 60 } = {}) {
+    return async function collabSource(s) {
+        if (!s.ctx) return;
+        const queryStart = Date.now();
+        try {
+            const inPool = new Set(s.candidates.map((a) => a._id.toString()));
+            const ranked = await collabCandidateIds(s.ctx, { limit, exclude: inPool });
+            if (ranked.length > 0) {
+                const match = buildCandidateMatch(s, COLLAB_WINDOW_MS);
+                match._id = {
+                    ...(match._id || {}),
+                    $in: ranked.map((r) => new mongoose.Types.ObjectId(r.articleId)),
+                };
+                const cands = await Article.aggregate([
+                    { $match: match },
+                    ...SOURCE_JOIN,
+                    { $project: { ...CANDIDATE_FIELDS, embedding_pca: 1 } },
+                ]);
+                s.candidates = mergeById(cands, s.candidates);
+                s.meta.collabCandidates = cands.length;
+            }
+        } catch (err) {
+            console.warn('⚠️ collab candidate source failed:', err.message);
+        }
+        s.meta.dbTime = (s.meta.dbTime || 0) + (Date.now() - queryStart);
+    };
+}
+
+/** ---- Cohere re-ranker ---- **/
+
+/**
+ * Cohere rerank (P1-5).
+ *
+ * Feature-flagged via COHERE_RERANK_ENABLED=1. When on:
+ *   - Build a pseudo-query from the user's last 20 liked article titles
+ *     (cached per-user for 30 min — liked list changes rarely).
+ *   - Send the top-N candidates after local scoring/interleave to Cohere
+ *     rerank-multilingual-v3.0 (handles Arabic + Farsi as well as English).
+ *   - Use the returned order as the final ranking; on any failure
+ *     (no API key, timeout, HTTP error, no eligible query) fall back to
+ *     the local order — Cohere is additive, never required.
+ *
+ * Runs only for users with >=3 liked articles. Below that we can't build
+ * a meaningful pseudo-query.
+ *
+ * Cost notes: ~$2/1M docs. With 80 docs per request and a busy day at
+ * 10k personalized-light requests, that's ~800k docs/day ≈ $1.60/day.
+ * SWR (P0-2) means most calls are background regen, so latency cost is
+ * off the user's response path.
+ */
+const COHERE_RERANK_TOP_N = 80;
+const COHERE_RERANK_TIMEOUT_MS = 6000;
+const COHERE_QUERY_CACHE_TTL = 30 * 60; // 30 min
+const COHERE_MIN_LIKES = 3;
+
+function cohereEnabled() {
+    return !!process.env.COHERE_API_KEY && process.env.COHERE_RERANK_ENABLED === '1';
+}
+
+async function getCohereQueryForUser(userId, likedIdsOrdered) {
+    if (!likedIdsOrdered || likedIdsOrdered.length < COHERE_MIN_LIKES) return null;
+    // Cache key based on the prefix of liked IDs — if the user likes a new
+    // article, the prefix shifts and the cache rotates naturally.
+    const sample = likedIdsOrdered.slice(0, 10).join('|');
+    const cacheKey = `cohere_q_${userId}_${simpleHash(sample)}`;
+
+    try {
+        const cached = await redis.get(cacheKey);
+        if (cached) return cached;
+    } catch (err) {
+        // Non-fatal: just rebuild below.
+    }
+
+    try {
+        const ids = likedIdsOrdered.map((id) => new mongoose.Types.ObjectId(id));
+        const articles = await Article.find({ _id: { $in: ids } })
+            .select('title')
+            .lean();
+        if (!articles.length) return null;
+        // Order by the input array (the find() result order isn't guaranteed)
+        const byId = new Map(articles.map((a) => [a._id.toString(), a]));
+        const titles = likedIdsOrdered
+            .map((id) => byId.get(id)?.title)
+            .filter(Boolean)
+            .slice(0, 20)
+            .map((t) => t.replace(/\s+/g, ' ').trim());
+        if (titles.length === 0) return null;
+        const query = titles.join(' / ');
+        try {
+            await redis.set(cacheKey, query, 'EX', COHERE_QUERY_CACHE_TTL);
+        } catch (err) {
+            // Non-fatal
+        }
+        return query;
+    } catch (err) {
+        console.warn(`⚠️ getCohereQueryForUser failed for ${userId}: ${err.message}`);
+        return null;
+    }
+}
+
+async function rerankWithCohere(query, articles) {
+    if (!articles?.length || !query) return null;
+
+    const axios = require('axios');
+    const documents = articles.map((a) => {
+        const content = a.content
+            ? a.content.replace(/<[^>]*>/g, '').slice(0, 800)
+            : '';
+        return `${a.title || ''}\n${content}`.slice(0, 1024);
+    });
+
+    try {
+        const response = await axios.post(
+            'https://api.cohere.ai/v1/rerank',
+            {
+                // Multilingual handles Arabic + Farsi + English in one model.
+                model: 'rerank-multilingual-v3.0',
+                query,
+                documents,
+                top_n: documents.length,
+                return_documents: false,
+            },
+            {
+                headers: {
+                    Authorization: `Bearer ${process.env.COHERE_API_KEY}`,
+                    'Content-Type': 'application/json',
+                },
+                timeout: COHERE_RERANK_TIMEOUT_MS,
+            }
+        );
+
+        const results = response?.data?.results;
+        if (!Array.isArray(results) || results.length === 0) return null;
+
+        // Map Cohere's reordered indices back to our articles, attaching the
+        // relevance score for telemetry. Cohere's `results` is already sorted
+        // by relevance descending.
+        return results.map((r) => ({
+            ...articles[r.index],
+            _rerankScore: r.relevance_score,
+        }));
+    } catch (err) {
+        console.warn(
+            `⚠️ Cohere rerank failed (${err.response?.status || err.code || 'err'}): ${err.message}`
+        );
+        return null;
+    }
+}
+
+/** Re-ranker stage: Cohere over the top-N; sets meta.rerankApplied. */
+function cohereRerank() {
+    return async function cohere(ranked, s) {
+        s.meta.rerankApplied = false;
+        const { ctx } = s;
+        if (!cohereEnabled() || !ctx?.hasSignal || !ctx?.userId) return ranked;
+        const topN = ranked.slice(0, Math.min(COHERE_RERANK_TOP_N, ranked.length));
+        if (topN.length < 10) return ranked;
+        const query = await getCohereQueryForUser(ctx.userId, ctx.likedIdsOrdered);
+        if (!query) return ranked;
+        const rerankStart = Date.now();
+        const reranked = await rerankWithCohere(query, topN);
+        if (!reranked || reranked.length === 0) return ranked;
+        s.meta.rerankApplied = true;
+        console.log(
+            `🎯 Cohere rerank applied to ${topN.length} candidates in ${Date.now() - rerankStart}ms`
+        );
+        return [...reranked, ...ranked.slice(topN.length)];
+    };
+}
+
+/** ---- Legacy /personalized stages ---- **/
+
+/** Progressive time windows by page. */
+function legacyTimeWindow(page) {
+    if (page === 1) return { hours: 72, label: 'last 72h' };
+    if (page === 2) return { hours: 168, label: 'last 7d' };
+    if (page === 3) return { hours: 336, label: 'last 14d' };
+    return { hours: 720, label: 'last 30d' };
+}
+
+/**
+ * Context stage for the legacy feed. Its ctx is the raw user document view
+ * the legacy scorer reads (arrays, not the v2 Sets): embedding blended with
+ * recent likes, preferences, read-time category boosts and the exclusion
+ * list (served today + disliked + last 200 viewed). Expects s.userId and
+ * s.servedKey from the route.
+ */
+async function legacyContext(s) {
+    // Get served and disliked articles
+    let servedIds = [];
+    try {
+        servedIds = await redis.smembers(s.servedKey);
+    } catch (err) {
+        console.error('⚠️ Redis served set error:', err.message);
+    }
+    const user = await User.findOne({ supabase_id: s.userId })
+        .select('embedding_pca preferred_categories preferred_sources disliked_articles viewed_articles liked_articles disliked_categories')
+        .lean();
+
+    // Exclude: served today + explicitly disliked + recently viewed (last 200 to cap payload)
+    const recentlyViewedIds = (user?.viewed_articles || []).slice(-200).map(id => new mongoose.Types.ObjectId(id));
+    const ctx = {
+        userId: s.userId,
+        embedding: user?.embedding_pca,
+        preferredCategories: user?.preferred_categories || [],
+        preferredSources: user?.preferred_sources || [],
+        dislikedCategories: user?.disliked_categories || [],
+        excludeIds: [
+            ...(servedIds || []).map(id => new mongoose.Types.ObjectId(id)),
+            ...(user?.disliked_articles || []).map(id => new mongoose.Types.ObjectId(id)),
+            ...recentlyViewedIds,
+        ],
+        categoryTimeBoosts: {},
+    };
+    s.ctx = ctx;
+    mark(s, 'user_load');
+
+    // --- Recency centroid blend ---
+    // Blend the stored lifetime embedding with a centroid of the user's most recently liked
+    // articles so that interest drift is corrected without waiting for a full embedding rebuild.
+    if (ctx.embedding && Array.isArray(ctx.embedding) && ctx.embedding.length === 128) {
+        try {
+            const recentLikedIds = (user?.liked_articles || []).slice(-15);
+            if (recentLikedIds.length >= 3) {
+                const recentLikedArticles = await Article.find(
+                    { _id: { $in: recentLikedIds } },
+                    { embedding_pca: 1 }
+                ).lean();
+
+                const validEmbeddings = recentLikedArticles
+                    .filter(a => Array.isArray(a.embedding_pca) && a.embedding_pca.length === 128)
+                    .map(a => a.embedding_pca);
+
+                if (validEmbeddings.length >= 3) {
+                    // Compute centroid of recent liked articles
+                    const recentCentroid = new Array(128).fill(0);
+                    validEmbeddings.forEach(emb => {
+                        emb.forEach((v, i) => { recentCentroid[i] += v / validEmbeddings.length; });
+                    });
+
+                    // Blend: 65% lifetime embedding + 35% recent centroid
+                    const blended = ctx.embedding.map((v, i) => 0.65 * v + 0.35 * recentCentroid[i]);
+
+                    // Normalise to unit vector so cosine similarity stays valid
+                    const mag = Math.sqrt(blended.reduce((sum, v) => sum + v * v, 0));
+                    if (mag > 0) {
+                        ctx.embedding = blended.map(v => v / mag);
+                        console.log(`🧠 Recency centroid blended from ${validEmbeddings.length} recent likes`);
+                    }
+                }
+            }
+        } catch (blendErr) {
+            console.warn('⚠️ Recency centroid blend failed (non-fatal):', blendErr.message);
+            // Fall through with original embedding
+        }
+    }
+    mark(s, 'recency_blend');
+
+    // --- Read-time category boost weights ---
+    // Build dynamic per-category preference boosts from UserActivity read_time events.
+    // Users who spend more total time reading a category get a proportionally higher boost,
+    // replacing the flat +0.15 with a signal-proportional value.
+    try {
+        const readTimeStats = await UserActivity.aggregate([
+            {
+                $match: {
+                    userId: s.userId,
+                    eventType: 'read_time',
+                    duration: { $gt: 60 }, // only meaningful reads (> 1 min)
+                    timestamp: { $gte: new Date(s.now - 90 * 24 * 60 * 60 * 1000) }, // last 90 days
+                },
+            },
+            {
+                $lookup: {
+                    from: 'articles',
+                    localField: 'articleId',
+                    foreignField: '_id',
+                    as: 'article',
+                    pipeline: [{ $project: { category: 1 } }],
+                },
+            },
+            { $unwind: { path: '$article', preserveNullAndEmpty: false } },
+            {
+                $group: {
+                    _id: '$article.category',
+                    totalTime: { $sum: '$duration' },
+                    count: { $sum: 1 },
+                },
+            },
+            { $sort: { totalTime: -1 } },
+            { $limit: 8 },
+        ]);
+
+        if (readTimeStats.length > 0) {
+            const maxTime = readTimeStats[0].totalTime || 1;
+            readTimeStats.forEach(stat => {
+                if (stat._id) {
+                    // Scale so the top category gets +0.25 boost, others proportionally less
+                    ctx.categoryTimeBoosts[stat._id] = (stat.totalTime / maxTime) * 0.25;
+                }
+            });
+            console.log(`📚 Read-time boosts computed for ${readTimeStats.length} categories`);
+        }
+    } catch (rtErr) {
+        console.warn('⚠️ Read-time boost computation failed (non-fatal):', rtErr.message);
+    }
+    mark(s, 'readtime_boost');
+
+    const timeWindow = legacyTimeWindow(s.page);
+    s.meta.timeWindow = timeWindow;
+    s.meta.cutoffTime = new Date(s.now - timeWindow.hours * 60 * 60 * 1000);
+    s.meta.candidatePoolSize = s.limit * 2 * s.page; // Reduced multiplier
+}
+
+/** Preference filter shared by the legacy vector search and its fallbacks. */
+function legacyPreferenceFilter(ctx, { widening = false } = {}) {
+    return {
+        // Respect disliked categories at the index level — cheapest place to filter
+        ...(ctx.dislikedCategories.length > 0 ? { category: { $nin: ctx.dislikedCategories } } : {}),
+        ...(ctx.preferredCategories.length > 0 && !widening ? { category: { $in: ctx.preferredCategories.slice(0, 5) } } : {}),
+        ...(ctx.preferredSources.length > 0 && !widening ? { sourceId: { $in: ctx.preferredSources.map(id => new mongoose.Types.ObjectId(id)) } } : {}),
+    };
+}
+
+/**
+ * Vector source for the legacy feed: readiness + quick probe, vector search
+ * with an engagement-sorted fallback, widening into older windows, then the
+ * route budget check. Hands off to the fallback pipeline
+ * (s.fallback = 'vector_unavailable' | 'over_budget') when vector search
+ * can't serve the request in time.
+ */
+async function legacyVectorSource(s) {
+    const { ctx } = s;
+    const { timeWindow, cutoffTime, candidatePoolSize } = s.meta;
+    const userEmbedding = ctx.embedding;
+
+    // Vector search readiness
+    const vectorReady = await redis.get('vector_search_status') !== 'unavailable' && await isVectorSearchReady();
+    const canUseVectorSearch = userEmbedding && Array.isArray(userEmbedding) && userEmbedding.length === 128 && vectorReady;
+    let quickProbeOk = true;
+    if (canUseVectorSearch) {
+        quickProbeOk = (await quickVectorProbe(userEmbedding, cutoffTime, s.language, ctx.excludeIds)).ok;
+    }
+    mark(s, 'vector_probe');
+
+    // Fast fallback for cold start or vector unavailability
+    const isSlowRequest = (Date.now() - s.startedAt) > ROUTE_BUDGET_MS;
+    if (!canUseVectorSearch || !quickProbeOk || (isSlowRequest && s.page === 1)) {
+        console.warn(`⚡ Fast fallback triggered: canUseVectorSearch=${canUseVectorSearch}, quickProbeOk=${quickProbeOk}, isSlowRequest=${isSlowRequest}`);
+        s.fallback = 'vector_unavailable';
+        return;
+    }
+
+    const searchLimit = candidatePoolSize * LIMIT_MULT;
+    const numCandidates = candidatePoolSize * NUM_CANDIDATE_MULT;
+
+    const performVectorSearch = async (cutoffDate, widening = false) => {
+        const pipeline = [
+            {
+                $vectorSearch: {
+                    index: VECTOR_INDEX,
+                    path: 'embedding_pca',
+                    queryVector: userEmbedding,
+                    numCandidates,
+                    limit: searchLimit,
+                    filter: {
+                        language: s.language,
+                        publishedAt: { $gte: cutoffDate },
+                        _id: { $nin: ctx.excludeIds },
+                        ...legacyPreferenceFilter(ctx, { widening }),
+                    },
+                },
+            },
+            { $addFields: { similarity: { $meta: 'vectorSearchScore' } } },
+            {
+                $project: {
+                    _id: 1,
+                    title: 1,
+                    summary: 1,
+                    content: 1,
+                    contentFormat: 1, // ✅ Include contentFormat for markdown rendering
+                    language: 1, // ✅ Include language for RTL support
+                    image: 1,
+                    sourceId: 1,
+                    source: 1,
+                    publishedAt: 1,
+                    viewCount: 1,
+                    category: 1,
+                    likes: 1,
+                    dislikes: 1,
+                    commentCount: 1,
+                    likedBy: 1,
+                    dislikedBy: 1,
+                    similarity: 1,
+                },
+            },
+        ];
+
+        return await Article.aggregate(pipeline, { maxTimeMS: VECTOR_MAX_TIME_MS, allowDiskUse: false }); // Disable allowDiskUse for speed
+    };
+
+    let candidateArticles = await performVectorSearch(cutoffTime);
+    mark(s, 'vector_search');
+
+    // Fallback if vector search fails
+    if (!candidateArticles || candidateArticles.length === 0) {
+        console.warn('🔄 Vector search failed, using engagement-based fallback');
+        const fallbackArticles = await Article.find({
+            language: s.language,
+            publishedAt: { $gte: cutoffTime },
+            _id: { $nin: ctx.excludeIds },
+            ...legacyPreferenceFilter(ctx),
+        })
+            .select('title summary content contentFormat language image sourceId source publishedAt viewCount category likes dislikes commentCount likedBy dislikedBy')
+            .sort({ publishedAt: -1 }) // single-field sort uses language_1_publishedAt_1 (no blocking sort); viewCount factored into in-memory engagement re-ranking
+            .limit(candidatePoolSize)
+            .lean();
+
+        candidateArticles = fallbackArticles.map(article => ({
+            ...article,
+            similarity: 0,
+            fetchId: new mongoose.Types.ObjectId().toString(),
+            isFallback: true,
+            timeWindow: timeWindow.label,
+            noveltySeed: s.noveltySeed,
+            engagementScore: calculateEngagementScore(article),
+        }));
+    }
+
+    // Widen time window if needed
+    const minCandidatesNeeded = candidatePoolSize + s.limit;
+    if (candidateArticles.length < minCandidatesNeeded && timeWindow.hours < 720) {
+        const widerRanges = [
+            { hours: 168, label: 'last 7d' },
+            { hours: 336, label: 'last 14d' },
+            { hours: 720, label: 'last 30d' },
+        ];
+
+        for (const range of widerRanges) {
+            if (range.hours <= timeWindow.hours) continue;
+            const widerCutoff = new Date(s.now - range.hours * 60 * 60 * 1000);
+            const widerResults = await performVectorSearch(widerCutoff, true);
+            if (widerResults && widerResults.length > 0) {
+                const existingIds = new Set(candidateArticles.map(a => a._id.toString()));
+                const additionalCandidates = widerResults
+                    .filter(a => !existingIds.has(a._id.toString()) && a.publishedAt < cutoffTime)
+                    .map(a => ({ ...a, isWider: true }));
+                candidateArticles = [...candidateArticles, ...additionalCandidates];
+            }
+            if (candidateArticles.length >= minCandidatesNeeded) break;
+        }
+    }
+    mark(s, 'widen');
+
+    // Budget check
+    if (Date.now() - s.startedAt > ROUTE_BUDGET_MS) {
+        console.warn('⚡ Budget exceeded, using fast fallback');
+        s.fallback = 'over_budget';
+        return;
+    }
+    s.candidates = candidateArticles;
+}
+
+/**
+ * Source for the legacy fallback pipeline: the last week of the user's
+ * preferred categories/sources by recency, flagged with why vector search
+ * was skipped (isFallback, or isOverBudget when the route budget ran out).
+ */
+async function legacyPreferenceSource(s) {
+    const { ctx } = s;
+    const fallbackArticles = await Article.find({
+        language: s.language,
+        _id: { $nin: ctx.excludeIds },
+        publishedAt: { $gte: new Date(s.now - 7 * 24 * 60 * 60 * 1000) },
+        ...legacyPreferenceFilter(ctx),
+    })
+        .select('title summary image sourceId source publishedAt viewCount category likes dislikes commentCount likedBy dislikedBy')
+        .sort({ publishedAt: -1 }) // single-field sort uses language_1_publishedAt_1 (no blocking sort); viewCount factored into in-memory engagement re-ranking
+        .limit(s.limit * 3) // Reduced multiplier for faster fallback
+        .lean();
+
+    const reasonFlag = s.meta.fallbackReason === 'over_budget' ? { isOverBudget: true } : { isFallback: true };
+    s.candidates = fallbackArticles.map(article => ({
+        ...article,
+        fetchId: new mongoose.Types.ObjectId().toString(),
+        isFast: true,
+        ...reasonFlag,
+        timeWindow: s.meta.timeWindow.label,
+        noveltySeed: s.noveltySeed,
+        engagementScore: calculateEngagementScore(article),
+        isPersonalized: ctx.preferredCategories.length > 0 || ctx.preferredSources.length > 0,
+    }));
+}
+
+/**
+ * Legacy scorer: page-weighted recency blended with similarity (55%),
+ * engagement (20%) and preference boosts. Rebalanced so similarity drives
+ * page 1 (was 75% recency, now 45%) and personalisation is actually
+ * visible on the first scroll.
+ */
+// The legacy blend is on a 0–1 scale; a personal factor worth this much
+// of it is the reason (cf. feedExplanations.MIN_PERSONAL_CONTRIBUTION).
+const LEGACY_MIN_PERSONAL = 0.1;
+
+function legacyScorer(candidates, s) {
+    const { ctx, page } = s;
+    const w_recency = page === 1 ? 0.45 : page === 2 ? 0.35 : page === 3 ? 0.25 : 0.20;
+    const scoredArticles = candidates
+        // Hard-filter disliked categories that may have slipped through (e.g. in widen results)
+        .filter(article => !ctx.dislikedCategories.includes(article.category))
+        .map(article => {
+            const similarity = article.similarity || 0;
+            const engagementScore = calculateEngagementScore(article, s.now);
+            const recencyScore = basicRecencyScore(article.publishedAt, s.now);
+
+            // Start with read-time derived boost (proportional to actual deep reading time)
+            // Falls back to flat boost if read-time data isn't available for this category
+            let preferenceBoost = ctx.categoryTimeBoosts[article.category] ?? (ctx.preferredCategories.includes(article.category) ? 0.15 : 0);
+
+            // Source preference adds a smaller fixed boost on top
+            const sourceBoost = ctx.preferredSources.includes(article.sourceId?.toString()) ? 0.10 : 0;
+            preferenceBoost += sourceBoost;
+
+            // baseScore: similarity leads (55%), engagement secondary (20%), preference on top
+            const baseScore = (similarity * 0.55) + (engagementScore * 0.20) + preferenceBoost;
+            const finalScore = w_recency * recencyScore + (1 - w_recency) * baseScore;
+            const why = explainContributions({
+                recency: w_recency * recencyScore,
+                vector: (1 - w_recency) * similarity * 0.55,
+                engagement: (1 - w_recency) * engagementScore * 0.20,
+                categoryAffinity: (1 - w_recency) * (preferenceBoost - sourceBoost),
+                preferredSource: (1 - w_recency) * sourceBoost,
+            }, { minPersonal: LEGACY_MIN_PERSONAL });
+
+            return {
+                ...article,
+                fetchId: article.fetchId || new mongoose.Types.ObjectId().toString(),
+                similarity,
+                engagementScore,
+                recencyScore,
+                finalScore,
+                timeWindow: s.meta.timeWindow.label,
+                noveltySeed: s.noveltySeed,
+                isPersonalized: true,
+                why,
+            };
+        });
+
+    scoredArticles.sort((a, b) => b.finalScore - a.finalScore);
+    mark(s, 'scoring');
+    return scoredArticles;
+}
+
+/**
+ * Trending injection — sorted by view VELOCITY (views/hour) not raw viewCount,
+ * so a fast-rising article from 3 hours ago beats a stale high-count article.
+ */
+async function legacyTrending(ranked, s) {
+    const { ctx } = s;
+    const { candidatePoolSize, cutoffTime, timeWindow } = s.meta;
+    const candidatePool = [...ranked];
+    const trendingPoolSize = Math.ceil(candidatePoolSize * TRENDING_RATIO);
+    if (trendingPoolSize > 0 && candidatePool.length < candidatePoolSize) {
+        const usedIds = new Set(candidatePool.map(a => a._id.toString()));
+        // Fetch a larger pool so we can re-rank by velocity in JS (avoids a heavy aggregation)
+        const trendingCandidates = await Article.find({
+            language: s.language,
+            viewCount: { $exists: true, $gt: 0 },
+            publishedAt: { $gte: cutoffTime },
+            _id: { $nin: [...ctx.excludeIds, ...Array.from(usedIds).map(id => new mongoose.Types.ObjectId(id))] },
+            ...legacyPreferenceFilter(ctx),
+        })
+            .select('title summary image sourceId source publishedAt viewCount category likes dislikes commentCount likedBy dislikedBy')
+            .sort({ publishedAt: -1 }) // Fetch newest first; we rerank by velocity below
+            .limit(trendingPoolSize * 5) // Extra headroom so velocity reranking is meaningful
+            .lean();
+
+        candidatePool.push(...pickTrending(trendingCandidates, trendingPoolSize, s));
+    }
+    mark(s, 'trending');
+    return candidatePool;
+}
+
+/**
+ * Rerank by views-per-hour (velocity) — an article 2h old with 500 views
+ * ranks above a 3-day-old article with 2000 views.
+ */
+function pickTrending(articles, count, s) {
+    const withVelocity = articles.map(article => {
+        const ageHours = Math.max(0.5, (s.now - new Date(article.publishedAt).getTime()) / 3.6e6);
+        const velocity = (article.viewCount || 0) / ageHours;
+        return { ...article, velocity };
+    });
+    withVelocity.sort((a, b) => b.velocity - a.velocity);
+    return withVelocity.slice(0, count).map(article => ({
+        ...article,
+        fetchId: new mongoose.Types.ObjectId().toString(),
+        isTrending: true,
+        timeWindow: s.meta.timeWindow.label,
+        noveltySeed: s.noveltySeed,
+        engagementScore: calculateEngagementScore(article, s.now),
+        finalScore: calculateEngagementScore(article, s.now) * 0.7,
+        isPersonalized: true,
+    }));
+}
+
+/** Source group names for the legacy group key, loaded once per run. */
+async function loadLegacyGroups(articles, s) {
+    if (s.meta.sourceIdToGroupName) return s.meta.sourceIdToGroupName;
+    const uniqueSourceIds = [...new Set(articles.map(a => a.sourceId).filter(Boolean))];
+    const sources = await Source.find({ _id: { $in: uniqueSourceIds } }, 'groupName').lean();
+    const sourceIdToGroupName = {};
+    sources.forEach(source => {
+        sourceIdToGroupName[source._id.toString()] = source.groupName || 'default-group';
+    });
+    s.meta.sourceIdToGroupName = sourceIdToGroupName;
+    return sourceIdToGroupName;
+}
+
+function legacyGroupOf(article, sourceIdToGroupName) {
+    return sourceIdToGroupName[article.sourceId?.toString()] || article.source || 'unknown-group';
+}
+
+/**
+ * Round-robin by source group: each group's articles by finalScore, then
+ * one per group per round.
+ */
+function roundRobinBySourceGroup(articles, sourceIdToGroupName) {
+    const sourceGroups = {};
+    articles.forEach(article => {
+        const sourceKey = legacyGroupOf(article, sourceIdToGroupName);
+        if (!sourceGroups[sourceKey]) {
+            sourceGroups[sourceKey] = [];
+        }
+        sourceGroups[sourceKey].push(article);
+    });
+
+    Object.keys(sourceGroups).forEach(source => {
+        sourceGroups[source].sort((a, b) => (b.finalScore || 0) - (a.finalScore || 0));
+    });
+
+    const interleaved = [];
+    const sourceKeys = Object.keys(sourceGroups);
+    const maxGroupSize = Math.max(0, ...sourceKeys.map(key => sourceGroups[key].length));
+
+    for (let round = 0; round < maxGroupSize; round++) {
+        for (const sourceKey of sourceKeys) {
+            if (sourceGroups[sourceKey][round]) {
+                interleaved.push(sourceGroups[sourceKey][round]);
+            }
+        }
+    }
+    return interleaved;
+}
+
+async function legacyRoundRobin(ranked, s) {
+    const groups = await loadLegacyGroups(ranked, s);
+    const interleaved = roundRobinBySourceGroup(ranked, groups);
+    mark(s, 'interleave');
+    return interleaved;
+}
+
+/**
+ * Page offset into the pool, then at most `maxPerGroup` per source group
+ * on the page.
+ */
+function paginateWithGroupCap(articles, sourceIdToGroupName, { page, limit, maxPerGroup = 2 }) {
+    const startIndex = (page - 1) * limit;
+    let skipped = 0;
+    const out = [];
+    const sourceGroupCounts = {};
+
+    for (let i = 0; i < articles.length && out.length < limit; i++) {
+        const article = articles[i];
+        const sourceGroup = legacyGroupOf(article, sourceIdToGroupName);
+        if (skipped < startIndex) {
+            skipped++;
+            continue;
+        }
+        const currentCount = sourceGroupCounts[sourceGroup] || 0;
+        if (currentCount < maxPerGroup) {
+            out.push(article);
+            sourceGroupCounts[sourceGroup] = currentCount + 1;
+        }
+    }
+    return out;
+}
+
+async function legacyPaginate(ranked, s) {
+    const groups = await loadLegacyGroups(ranked, s);
+    const items = paginateWithGroupCap(ranked, groups, { page: s.page, limit: s.limit });
+    mark(s, 'paginate');
+    return items;
+}
+
+module.exports = {
+    VECTOR_INDEX,
+    simpleHash,
+    isVectorSearchReady,
+    quickVectorProbe,
+    shouldSkipEmbedding,
+    includeEmbeddingFor,
+    buildCandidateMatch,
+    recencyCandidates,
+    vectorCandidates,
+    lightVectorEligible,
+    collabCandidates,
+    cohereRerank,
+    legacyTimeWindow,
+    legacyContext,
+    legacyVectorSource,
+    legacyPreferenceSource,
+    legacyScorer,
+    legacyTrending,
+    pickTrending,
+    legacyRoundRobin,
+    roundRobinBySourceGroup,
+    paginateWithGroupCap,
+    legacyPaginate,
+};
@@ -0,0 +1,477 @@
+/**
+ * Unified home feed (GET /api/home): one cursor-paginated stream of typed
+ * cards mixing ranked articles with reels, polls and widgets.
+ *
+ * Articles are the spine — they come from the personalized pipelines
+ * (personalizedLight for the first page, personalizedFast after) and every
+ * other card is slotted between them by position in the whole stream, not
+ * in the page, so "a reel carousel every 8 articles" holds across pages:
+ *
+ *   article        { type, id, article }
+ *   reel_carousel  { type, id, reels }      every layout.reelCarouselEvery articles
+ *   poll           { type, id, poll }       every layout.pollEvery articles
+ *   matchday       { type, id, matchday }   after layout.matchdayAfter, when a followed team plays today
+ *   markets        { type, id, markets }    after layout.marketsAfter (FX + gold)
+ *   quiz           { type, id, quiz }       after layout.quizAfter, once per user per Gulf day
+ *
+ * Slot positions are counted in articles; 0 puts a card above the first
+ * article, null turns it off. The layout is experimentable: variants carry a
+ * partial `homeLayout` merged over HOME_LAYOUT (utils/experiments.js
+ * getEffectiveHomeLayout), so layout tests run through the same assignment
+ * and exposure logging as the scoring experiments.
+ */
+
+const axios = require('axios');
+const DailyQuiz = require('../models/DailyQuiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Poll = require('../models/Poll');
+const PollVote = require('../models/PollVote');
+const Reel = require('../models/Reel');
+const User = require('../models/User');
+const redis = require('../utils/redis');
+const { getEffectiveHomeLayout } = require('../utils/experiments');
+const { getLatestExchangeRates } = require('./exchangeRates');
+const { getLatestMetalPrices } = require('./metalPrices');
+const feedPipelines = require('./feedPipelines');
+const { applyThumbnailTests } = require('./thumbnailSelection');
+
+const HOME_LAYOUT = {
+    pageSize: 20,
+    matchdayAfter: 0,
+    marketsAfter: 3,
+    quizAfter: 5,
+    reelCarouselEvery: 8,
+    reelCarouselSize: 6,
+    pollEvery: 12,
+};
+
+// Fixed cards, in the order they are placed when two share a slot.
+const FIXED_SLOTS = [
+    ['matchday', 'matchdayAfter'],
+    ['markets', 'marketsAfter'],
+    ['quiz', 'quizAfter'],
+];
+
+const MIN_CAROUSEL_REELS = 3;
+const CURSOR_REEL_IDS = 200;
+const CURSOR_POLL_IDS = 50;
+
+// Currencies on the markets card, quoted per 1 AED — the remittance
+// corridors most of the audience sends money home through.
+const MARKET_CURRENCIES = ['INR', 'PKR', 'PHP', 'EGP', 'GBP', 'EUR'];
+
+// Written by the reel feed's trending precompute (routes/videos.js).
+const REEL_TRENDING_CACHE_KEY = 'feed:trending:precomputed';
+const FIXTURES_CACHE_TTL = 10 * 60;
+
+const FOOTBALL_API_KEY = process.env.API_FOOTBALL_KEY;
+const FOOTBALL_BASE_URL = process.env.API_FOOTBALL_BASE_URL || 'https://v3.football.api-sports.io';
+
+const toInt = (v) => (typeof v === 'number' && Number.isInteger(v) ? v : NaN);
+const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+
+/** Gulf-day key (UTC+4), the same day boundary as the daily quiz. */
+function gulfDayKey(now = Date.now()) {
+    return new Date(now + 4 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Layout with bad experiment values replaced: slots must be non-negative
+ * integers or null (off), intervals at least 2. Pure.
+ */
+function normalizeLayout(layout) {
+    const src = layout || {};
+    const out = {};
+    for (const [key, fallback] of Object.entries(HOME_LAYOUT)) {
+        const value = src[key] === undefined ? fallback : src[key];
+        if (value === null && key !== 'pageSize' && key !== 'reelCarouselSize') {
+            out[key] = null;
+            continue;
+        }
+        const n = toInt(value);
+        if (!Number.isFinite(n) || n < 0) {
+            out[key] = fallback;
+        } else if (key === 'pageSize') {
+            out[key] = clamp(n, 5, 50);
+        } else if (key === 'reelCarouselSize') {
+            out[key] = clamp(n, MIN_CAROUSEL_REELS, 20);
+        } else if (key.endsWith('Every')) {
+            out[key] = n < 2 ? null : n;
+        } else {
+            out[key] = n;
+        }
+    }
+    return out;
+}
+
+/** The user's effective layout under their experiment assignments. */
+function layoutFor(ctx) {
+    return normalizeLayout(getEffectiveHomeLayout(ctx?.experiments, HOME_LAYOUT));
+}
+
+/** Multiples of `every` in (offset, offset + count]. */
+function countMultiples(every, offset, count) {
+    if (!every) return 0;
+    return Math.floor((offset + count) / every) - Math.floor(offset / every);
+}
+
+/**
+ * Fixed cards whose slot lands on a page starting `offset` articles into
+ * the stream, so the route only loads what it will place. Pure.
+ */
+function slotsOnPage(layout, offset, count) {
+    const names = new Set();
+    for (const [name, key] of FIXED_SLOTS) {
+        const slot = layout[key];
+        if (slot === null || slot === undefined) continue;
+        if (slot === 0 ? offset === 0 : slot > offset && slot <= offset + count) names.add(name);
+    }
+    return names;
+}
+
+/**
+ * Interleave one page of ranked articles with the other cards. `offset` is
+ * the number of articles already sent on earlier pages; reels and polls are
+ * consumed in order and whatever is left over is simply not used. Pure.
+ *
+ * Returns { cards, reelIds, pollIds } — the IDs that made it onto the page.
+ */
+function composeHomePage({ articles = [], reels = [], polls = [], fixed = {}, layout, offset = 0 }) {
+    const cards = [];
+    const reelIds = [];
+    const pollIds = [];
+    let reelAt = 0;
+    let pollAt = 0;
+
+    const placeFixed = (position) => {
+        for (const [name, key] of FIXED_SLOTS) {
+            if (layout[key] === position && fixed[name]) {
+                cards.push({ type: name, id: `${name}:${fixed[name].key}`, [name]: fixed[name].data });
+            }
+        }
+    };
+
+    if (offset === 0) placeFixed(0);
+    articles.forEach((article, i) => {
+        const position = offset + i + 1;
+        cards.push({ type: 'article', id: `article:${article._id}`, article });
+        placeFixed(position);
+
+        if (layout.reelCarouselEvery && position % layout.reelCarouselEvery === 0 &&
+            reels.length - reelAt >= MIN_CAROUSEL_REELS) {
+            const carousel = reels.slice(reelAt, reelAt + layout.reelCarouselSize);
+            reelAt += carousel.length;
+            reelIds.push(...carousel.map((r) => String(r._id)));
+            cards.push({ type: 'reel_carousel', id: `reels:${position}`, reels: carousel });
+        }
+        if (layout.pollEvery && position % layout.pollEvery === 0 && pollAt < polls.length) {
+            const poll = polls[pollAt++];
+            pollIds.push(String(poll._id));
+            cards.push({ type: 'poll', id: `poll:${poll._id}`, poll });
+        }
+    });
+
+    return { cards, reelIds, pollIds };
+}
+
+/**
+ * Opaque cursor: article page, articles sent so far, and the reel/poll IDs
+ * already shown (capped) so later pages don't repeat them.
+ */
+function encodeHomeCursor({ page, offset, reelIds = [], pollIds = [] }) {
+    const payload = {
+        p: page,
+        o: offset,
+        r: reelIds.slice(-CURSOR_REEL_IDS),
+        q: pollIds.slice(-CURSOR_POLL_IDS),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/** Decoded cursor, or null for a missing or malformed one (start over). */
+function decodeHomeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const page = toInt(c.p);
+        const offset = toInt(c.o);
+        if (!(page >= 2) || !(offset >= 0)) return null;
+        return {
+            page,
+            offset,
+            reelIds: Array.isArray(c.r) ? c.r.map(String) : [],
+            pollIds: Array.isArray(c.q) ? c.q.map(String) : [],
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Markets card from the stored FX and metals snapshots: a few currencies
+ * per 1 AED and gold per gram in AED. Null when neither is available. Pure.
+ */
+function marketsCard(fx, metals, { currencies = MARKET_CURRENCIES } = {}) {
+    const aedPerUsd = fx?.rates?.AED || metals?.fxRates?.AED;
+    if (!aedPerUsd) return null;
+
+    const rates = {};
+    for (const code of currencies) {
+        const perUsd = fx?.rates?.[code];
+        if (perUsd) rates[code] = Math.round((perUsd / aedPerUsd) * 10000) / 10000;
+    }
+    const gold = metals?.gold?.gramUsd
+        ? {
+            gram24kAed: Math.round(metals.gold.gramUsd['24k'] * aedPerUsd * 100) / 100,
+            gram22kAed: Math.round(metals.gold.gramUsd['22k'] * aedPerUsd * 100) / 100,
+            changePercent: metals.gold.changePercent || 0,
+        }
+        : null;
+    if (Object.keys(rates).length === 0 && !gold) return null;
+
+    return {
+        base: 'AED',
+        rates,
+        gold,
+        fxDate: fx?.date || null,
+        metalsDate: metals?.date || null,
+    };
+}
+
+/** The fields of an api-football fixture the matchday card shows. Pure. */
+function slimFixture(f) {
+    const team = (t) => ({ id: t?.id, name: t?.name, logo: t?.logo || null });
+    return {
+        id: f.fixture?.id,
+        kickoff: f.fixture?.date,
+        status: f.fixture?.status?.short || null,
+        elapsed: f.fixture?.status?.elapsed ?? null,
+        league: { id: f.league?.id, name: f.league?.name, logo: f.league?.logo || null },
+        home: team(f.teams?.home),
+        away: team(f.teams?.away),
+        goals: { home: f.goals?.home ?? null, away: f.goals?.away ?? null },
+    };
+}
+
+/** Today's fixtures involving a followed team, by kickoff. Pure. */
+function matchdayFixtures(fixtures, teamApiIds) {
+    const followed = new Set(teamApiIds);
+    return (fixtures || [])
+        .filter((f) => followed.has(f.home?.id) || followed.has(f.away?.id))
+        .sort((a, b) => String(a.kickoff).localeCompare(String(b.kickoff)));
+}
+
+/** ---- Sources ---- **/
+
+/**
+ * Reels for the carousels: the reel feed's precomputed trending list, or
+ * the most-viewed recent reels when that cache is cold.
+ */
+async function loadHomeReels(limit, excludeIds = []) {
+    if (limit <= 0) return [];
+    const excluded = new Set(excludeIds);
+    try {
+        const cached = await redis.get(REEL_TRENDING_CACHE_KEY);
+        if (cached) {
+            return JSON.parse(cached)
+                .filter((r) => !excluded.has(String(r._id)))
+                .slice(0, limit);
+        }
+    } catch (err) {
+        console.warn('⚠️ home reels cache error:', err.message);
+    }
+
+    const since = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000);
+    return Reel.find({
+        videoUrl: { $exists: true, $ne: null },
+        scrapedAt: { $gte: since },
+        _id: { $nin: [...excluded] },
+    })
+        .select('videoUrl hlsUrl captionsUrl thumbnailUrl thumbnailBlurhash caption likes dislikes viewCount saves completionRate scrapedAt source')
+        .populate('source', 'name icon favicon')
+        .sort({ viewCount: -1 })
+        .limit(limit)
+        .lean();
+}
+
+/** Recent active polls in the feed language the user hasn't voted in. */
+async function loadHomePolls(limit, { userId, language, excludeIds = [] }) {
+    if (limit <= 0) return [];
+    const since = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    const polls = await Poll.find({
+        status: 'active',
+        language,
+        createdAt: { $gte: since },
+        _id: { $nin: excludeIds },
+    })
+        .populate('articleId', 'title image')
+        .sort({ totalVotes: -1 })
+        .limit(limit * 3)
+        .lean();
+
+    let voted = new Set();
+    if (userId && polls.length > 0) {
+        const votes = await PollVote.find({ userId, pollId: { $in: polls.map((p) => p._id) } })
+            .select('pollId')
+            .lean();
+        voted = new Set(votes.map((v) => String(v.pollId)));
+    }
+
+    return polls
+        .filter((p) => !voted.has(String(p._id)))
+        .slice(0, limit)
+        .map((p) => ({
+            _id: p._id,
+            articleId: p.articleId?._id || p.articleId,
+            article: p.articleId?.title ? { title: p.articleId.title, image: p.articleId.image || null } : null,
+            question: p.question,
+            options: p.options.map((o) => ({ id: o.id, label: o.label, votes: o.votes })),
+            totalVotes: p.totalVotes,
+            userVote: null,
+        }));
+}
+
+/**
+ * Today's quiz if it exists, the user hasn't played it and the card hasn't
+ * been shown to them yet today. Never generates one — /api/quiz/today does.
+ */
+async function loadQuizCard({ userId, language, now = Date.now() }) {
+    const date = gulfDayKey(now);
+    const quiz = await DailyQuiz.findOne({ date, language, status: 'active' })
+        .select('date language questions')
+        .lean();
+    if (!quiz) return null;
+
+    if (userId) {
+        const shownKey = `home:quiz_shown:${userId}:${date}`;
+        const [attempt, shown] = await Promise.all([
+            QuizAttempt.exists({ quizId: quiz._id, userId }),
+            redis.get(shownKey),
+        ]);
+        if (attempt || shown) return null;
+        await redis.set(shownKey, '1', 'EX', 24 * 60 * 60);
+    }
+
+    return {
+        key: date,
+        data: { _id: quiz._id, date, language, questionCount: quiz.questions.length },
+    };
+}
+
+async function loadMarketsCard() {
+    const [fx, metals] = await Promise.all([getLatestExchangeRates(), getLatestMetalPrices()]);
+    const data = marketsCard(fx, metals);
+    return data ? { key: data.fxDate || data.metalsDate, data } : null;
+}
+
+/** All of today's fixtures, slimmed, cached briefly (one upstream call per slot). */
+async function getTodaysFixtures(date) {
+    const cacheKey = `home:fixtures:${date}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const { data } = await axios.get(`${FOOTBALL_BASE_URL}/fixtures`, {
+        params: { date, timezone: 'Asia/Dubai' },
+        headers: { 'x-apisports-key': FOOTBALL_API_KEY },
+        timeout: 8000,
+    });
+    const fixtures = (data?.response || []).map(slimFixture);
+    await redis.set(cacheKey, JSON.stringify(fixtures), 'EX', FIXTURES_CACHE_TTL);
+    return fixtures;
+}
+
+/** Matchday card when a team the user follows plays today (Gulf time). */
+async function loadMatchdayCard({ userId, now = Date.now() }) {
+    if (!userId || !FOOTBALL_API_KEY) return null;
+    const user = await User.findOne({ supabase_id: userId })
+        .select('followed_teams')
+        .populate('followed_teams', 'apiId')
+        .lean();
+    const teamApiIds = (user?.followed_teams || []).map((t) => t.apiId).filter(Boolean);
+    if (teamApiIds.length === 0) return null;
+
+    const date = gulfDayKey(now);
+    const fixtures = matchdayFixtures(await getTodaysFixtures(date), teamApiIds);
+    if (fixtures.length === 0) return null;
+    return { key: date, data: { date, fixtures } };
+}
+
+/** A failed side source drops its card; it never fails the page. */
+function optional(label, promise) {
+    return promise.catch((err) => {
+        console.warn(`⚠️ home ${label} skipped: ${err.message}`);
+        return null;
+    });
+}
+
+/**
+ * One page of the home feed. `ctx` is the user's personalization context
+ * (null for guests) with categoryStats/servedIds/session attached, as the
+ * article routes prepare it.
+ */
+async function buildHomePage({ ctx, userId = null, language, cursor = null, now = Date.now() }) {
+    const layout = layoutFor(ctx);
+    const page = cursor?.page || 1;
+    const offset = cursor?.offset || 0;
+    const limit = layout.pageSize;
+    const slots = slotsOnPage(layout, offset, limit);
+
+    const pipeline = page === 1 ? feedPipelines.personalizedLight : feedPipelines.personalizedFast;
+    const [run, reels, polls, matchday, markets, quiz] = await Promise.all([
+        pipeline.run({ ctx, language, limit, page }),
+        optional('reels', loadHomeReels(
+            countMultiples(layout.reelCarouselEvery, offset, limit) * (layout.reelCarouselSize || 0),
+            cursor?.reelIds
+        )),
+        optional('polls', loadHomePolls(countMultiples(layout.pollEvery, offset, limit), {
+            userId,
+            language,
+            excludeIds: cursor?.pollIds || [],
+        })),
+        slots.has('matchday') ? optional('matchday', loadMatchdayCard({ userId, now })) : null,
+        slots.has('markets') ? optional('markets', loadMarketsCard()) : null,
+        slots.has('quiz') ? optional('quiz', loadQuizCard({ userId, language, now })) : null,
+    ]);
+
+    const articles = run.items;
+    const { cards, reelIds, pollIds } = composeHomePage({
+        articles,
+        reels: applyThumbnailTests(reels || [], userId),
+        polls: polls || [],
+        fixed: { matchday, markets, quiz },
+        layout,
+        offset,
+    });
+
+    const hasMore = articles.length >= limit;
+    return {
+        cards,
+        articles,
+        layout,
+        hasMore,
+        cursor: hasMore
+            ? encodeHomeCursor({
+                page: page + 1,
+                offset: offset + articles.length,
+                reelIds: [...(cursor?.reelIds || []), ...reelIds],
+                pollIds: [...(cursor?.pollIds || []), ...pollIds],
+            })
+            : null,
+    };
+}
+
+module.exports = {
+    HOME_LAYOUT,
+    gulfDayKey,
+    normalizeLayout,
+    layoutFor,
+    countMultiples,
+    slotsOnPage,
+    composeHomePage,
+    encodeHomeCursor,
+    decodeHomeCursor,
+    marketsCard,
+    slimFixture,
+    matchdayFixtures,
+    buildHomePage,
+};
@@ -0,0 +1,264 @@
+/**
+ * Item-item collaborative filtering for articles.
+ *
+ * Content signals (embeddings, categories, sources) can't tell that the
+ * readers of a central-bank rate story also read the mortgage explainer
+ * from another outlet the next day. This finds those pairs from behaviour
+ * alone: two recent articles are neighbours when the same users engaged
+ * with both — views, read time, saves and likes from UserActivity, plus
+ * User.liked_articles.
+ *
+ * Similarity is cosine over per-user interaction weights, shrunk toward 0
+ * for pairs few users share (support / (support + SHRINKAGE)) so two
+ * articles one person happened to read don't look identical.
+ * jobs/update-article-neighbors.js computes the top NEIGHBORS_PER_ARTICLE
+ * per recent article into ArticleNeighbors; this module also serves the
+ * lookups — collabCandidates (services/feedStages.js) seeds them from a
+ * user's likes and deep reads, /api/articles/related/:id mixes them in
+ * with the vector neighbours.
+ *
+ * The matrix and scoring are pure and unit-tested.
+ */
+
+const ArticleNeighbors = require('../models/ArticleNeighbors');
+const { FULL_READ_SECONDS } = require('./feedRanking');
+
+const INTERACTION_WEIGHTS = {
+    view: 1,
+    read_time: 1, // plus up to 1 more for a full read
+    save: 3,
+    like: 3,
+};
+const LIKED_WEIGHT = INTERACTION_WEIGHTS.like;
+
+const NEIGHBORS_PER_ARTICLE = 20;
+const MIN_SUPPORT = 2;
+const SHRINKAGE = 10;
+// Heavy users (and bots) would otherwise dominate the pair counts: 200
+// items are ~20k pairs.
+const MAX_ITEMS_PER_USER = 200;
+
+// Feed seeds: recent likes and saves at full weight, deep reads scaled by
+// how much was read.
+const MAX_SEEDS = 40;
+const READ_SEED_MIN_FRACTION = 0.5;
+const READ_SEED_WEIGHT = 0.5;
+
+const round4 = (x) => Math.round(x * 10000) / 10000;
+
+/** Weight of one UserActivity row, 0 for events that aren't interest. */
+function interactionWeight(row) {
+    const base = INTERACTION_WEIGHTS[row.eventType] || 0;
+    if (row.eventType === 'read_time') {
+        return base + Math.min(1, (row.duration || 0) / FULL_READ_SECONDS);
+    }
+    return base;
+}
+
+/**
+ * Incremental buildUserItemMatrix, for input streamed from a cursor:
+ * addRow / addLiked as rows arrive, then build() once. Only the strongest
+ * weight per (user, article) is kept, never the rows themselves.
+ */
+function userItemMatrixBuilder({ items = null, maxItemsPerUser = MAX_ITEMS_PER_USER } = {}) {
+    const matrix = new Map();
+    const add = (userId, articleId, weight) => {
+        if (!userId || !articleId || weight <= 0) return;
+        const item = String(articleId);
+        if (items && !items.has(item)) return;
+        let row = matrix.get(userId);
+        if (!row) matrix.set(userId, (row = new Map()));
+        if ((row.get(item) || 0) < weight) row.set(item, weight);
+    };
+
+    return {
+        addRow: (r) => add(r.userId, r.articleId, interactionWeight(r)),
+        addLiked: (l) => {
+            for (const articleId of l.articleIds || []) add(l.userId, articleId, LIKED_WEIGHT);
+        },
+        build: () => {
+            for (const [userId, row] of matrix) {
+                if (row.size < 2) {
+                    matrix.delete(userId);
+                } else if (row.size > maxItemsPerUser) {
+                    const kept = [...row.entries()].sort(([, a], [, b]) => b - a).slice(0, maxItemsPerUser);
+                    matrix.set(userId, new Map(kept));
+                }
+            }
+            return matrix;
+        },
+    };
+}
+
+/**
+ * Map<userId, Map<articleId, weight>> from activity rows ({ userId,
+ * articleId, eventType, duration }) and liked lists ({ userId, articleIds }).
+ * A user's weight for an article is their strongest interaction with it.
+ * `items` (a Set of article ID strings) limits the matrix to those
+ * articles. Users with fewer than two items form no pairs and are dropped.
+ * Pure.
+ */
+function buildUserItemMatrix(rows, liked = [], options = {}) {
+    const builder = userItemMatrixBuilder(options);
+    for (const r of rows) builder.addRow(r);
+    for (const l of liked) builder.addLiked(l);
+    return builder.build();
+}
+
+/** Map<articleId, Σ weight²> over a user-item matrix (cosine norms). Pure. */
+function itemNorms(matrix) {
+    const norms = new Map();
+    for (const row of matrix.values()) {
+        for (const [item, w] of row) norms.set(item, (norms.get(item) || 0) + w * w);
+    }
+    return norms;
+}
+
+/**
+ * Top neighbours per article from a user-item matrix:
+ * Map<articleId, [{ articleId, score, support }]>, best first. Pure.
+ *
+ * Pair counts grow with the square of each user's item count, so callers
+ * with a large matrix pass `anchors` (a Set of article IDs) to compute the
+ * lists of a chunk of articles at a time, and `norms` (itemNorms) to share
+ * the norms between chunks.
+ */
+function computeItemNeighbors(matrix, {
+    topN = NEIGHBORS_PER_ARTICLE,
+    minSupport = MIN_SUPPORT,
+    shrinkage = SHRINKAGE,
+    anchors = null,
+    norms = itemNorms(matrix),
+} = {}) {
+    const pairs = new Map(); // anchor item -> Map(other -> { dot, support })
+
+    for (const row of matrix.values()) {
+        for (const [a, wa] of row) {
+            if (anchors && !anchors.has(a)) continue;
+            let cells = pairs.get(a);
+            if (!cells) pairs.set(a, (cells = new Map()));
+            for (const [b, wb] of row) {
+                if (b === a) continue;
+                const cell = cells.get(b);
+                if (cell) {
+                    cell.dot += wa * wb;
+                    cell.support += 1;
+                } else {
+                    cells.set(b, { dot: wa * wb, support: 1 });
+                }
+            }
+        }
+    }
+
+    const neighbors = new Map();
+    for (const [item, row] of pairs) {
+        const list = [];
+        for (const [other, { dot, support }] of row) {
+            if (support < minSupport) continue;
+            const cosine = dot / Math.sqrt(norms.get(item) * norms.get(other));
+            list.push({ articleId: other, score: round4(cosine * (support / (support + shrinkage))), support });
+        }
+        if (list.length === 0) continue;
+        list.sort((x, y) => y.score - x.score || y.support - x.support);
+        neighbors.set(item, list.slice(0, topN));
+    }
+    return neighbors;
+}
+
+/**
+ * Map<articleId, weight> of the articles a user's CF candidates are
+ * seeded from: latest likes, saves, then deep reads. Pure.
+ */
+function seedsFromContext(ctx, { max = MAX_SEEDS } = {}) {
+    const seeds = new Map();
+    const add = (id, weight) => {
+        if (seeds.size >= max || !id) return;
+        const key = String(id);
+        if ((seeds.get(key) || 0) < weight) seeds.set(key, weight);
+    };
+    for (const id of ctx?.likedIdsOrdered || []) add(id, 1);
+    for (const id of ctx?.savedIds || []) add(id, 1);
+    const reads = [...(ctx?.viewReadFractions || new Map())]
+        .filter(([, fraction]) => fraction >= READ_SEED_MIN_FRACTION)
+        .sort(([, a], [, b]) => b - a);
+    for (const [id, fraction] of reads) add(id, fraction * READ_SEED_WEIGHT);
+    return seeds;
+}
+
+/**
+ * Combine the neighbour lists of several seeds ({ _id, neighbors } docs)
+ * into one ranking: each candidate scores the seed-weighted sum of its
+ * similarities. Seeds and `exclude` are left out. Pure.
+ */
+function blendNeighbors(docs, seeds, { exclude = new Set(), limit = 50 } = {}) {
+    const scores = new Map();
+    for (const doc of docs) {
+        const seedWeight = seeds.get(String(doc._id)) || 0;
+        if (seedWeight <= 0) continue;
+        for (const n of doc.neighbors || []) {
+            const id = String(n.articleId);
+            if (seeds.has(id) || exclude.has(id)) continue;
+            scores.set(id, (scores.get(id) || 0) + seedWeight * n.score);
+        }
+    }
+    return [...scores.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, limit)
+        .map(([articleId, score]) => ({ articleId, score: round4(score) }));
+}
+
+/**
+ * Alternate two ranked lists of articles, `primary` first, skipping
+ * duplicates, up to `limit`. Pure.
+ */
+function interleaveRelated(primary, secondary, limit) {
+    const out = [];
+    const seen = new Set();
+    const push = (a) => {
+        const id = String(a._id);
+        if (seen.has(id) || out.length >= limit) return;
+        seen.add(id);
+        out.push(a);
+    };
+    for (let i = 0; i < Math.max(primary.length, secondary.length); i++) {
+        if (i < primary.length) push(primary[i]);
+        if (i < secondary.length) push(secondary[i]);
+    }
+    return out;
+}
+
+/** ---- Lookups ---- **/
+
+/** Stored neighbours of one article, best first ([] when none). */
+async function getArticleNeighbors(articleId, { limit = NEIGHBORS_PER_ARTICLE } = {}) {
+    const doc = await ArticleNeighbors.findById(articleId).select('neighbors').lean();
+    return (doc?.neighbors || []).slice(0, limit);
+}
+
+/**
+ * CF candidates for a personalization ctx: [{ articleId, score }], best
+ * first. Empty for users with nothing to seed from.
+ */
+async function collabCandidateIds(ctx, { limit = 50, exclude = new Set() } = {}) {
+    const seeds = seedsFromContext(ctx);
+    if (seeds.size === 0) return [];
+    const docs = await ArticleNeighbors.find({ _id: { $in: [...seeds.keys()] } })
+        .select('neighbors')
+        .lean();
+    return blendNeighbors(docs, seeds, { exclude, limit });
+}
+
+module.exports = {
+    INTERACTION_WEIGHTS,
+    NEIGHBORS_PER_ARTICLE,
+    interactionWeight,
+    userItemMatrixBuilder,
+    buildUserItemMatrix,
+    itemNorms,
+    computeItemNeighbors,
+    seedsFromContext,
+    blendNeighbors,
+    interleaveRelated,
+    getArticleNeighbors,
+    collabCandidateIds,
+};
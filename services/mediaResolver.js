@@ -0,0 +1,268 @@
+/**
+ * Media resolver: YouTube / Instagram video IDs or URLs -> a directly
+ * playable (or downloadable) media URL.
+ *
+ * Resolution goes through extractors — { name, platform, resolve(ref) ->
+ * { url, expiresAt?, meta? } } — tried in registration order per platform
+ * until one returns a URL, so a broken upstream library can be swapped or
+ * backed up without touching callers (registerExtractor). The built-ins
+ * use btch-downloader first and only fall back to a page in the shared
+ * browser pool (services/browserPool.js) when it fails.
+ *
+ * Resolved URLs are signed and short-lived. Each is cached in Redis under
+ * its platform and ID until shortly before the expiry parsed from the URL
+ * itself (googlevideo `expire`, Instagram CDN `oe`, S3 `X-Amz-*`), and
+ * concurrent requests for the same video share one resolution.
+ */
+
+const redis = require('../utils/redis');
+
+const CACHE_PREFIX = 'media:resolve:';
+// Used when the URL doesn't say when it expires.
+const DEFAULT_TTL_SECONDS = 60 * 60;
+// Stop serving a cached URL this long before it expires, so a client that
+// starts playback right away doesn't hit the cutoff mid-stream.
+const EXPIRY_MARGIN_SECONDS = 5 * 60;
+const MIN_CACHE_SECONDS = 60;
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const INSTAGRAM_CODE = /^[A-Za-z0-9_-]{5,}$/;
+
+/**
+ * Normalise an ID or URL into { platform, id, url } where `url` is the
+ * canonical page URL extractors take. `platform` is required for bare IDs.
+ * Null when the input isn't recognisable. Pure.
+ */
+function parseMediaRef(input, platform = null) {
+    const raw = String(input || '').trim();
+    if (!raw) return null;
+
+    let id = null;
+    let detected = platform;
+    if (/^https?:\/\//i.test(raw)) {
+        let u;
+        try {
+            u = new URL(raw);
+        } catch {
+            return null;
+        }
+        const host = u.hostname.replace(/^(www|m)\./, '');
+        const parts = u.pathname.split('/').filter(Boolean);
+        if (host === 'youtu.be') {
+            detected = 'youtube';
+            id = parts[0];
+        } else if (host === 'youtube.com' || host === 'music.youtube.com') {
+            detected = 'youtube';
+            id = u.searchParams.get('v') || (['shorts', 'embed', 'live'].includes(parts[0]) ? parts[1] : null);
+        } else if (host === 'instagram.com') {
+            detected = 'instagram';
+            const at = parts.findIndex((p) => ['reel', 'reels', 'p', 'tv'].includes(p));
+            id = at >= 0 ? parts[at + 1] : null;
+        } else {
+            return null;
+        }
+        if (platform && platform !== detected) return null;
+    } else {
+        id = raw;
+    }
+
+    if (detected === 'youtube' && YOUTUBE_ID.test(id || '')) {
+        return { platform: 'youtube', id, url: `https://www.youtube.com/watch?v=${id}` };
+    }
+    if (detected === 'instagram' && INSTAGRAM_CODE.test(id || '')) {
+        return { platform: 'instagram', id, url: `https://www.instagram.com/reel/${id}/?utm_source=ig_web_copy_link` };
+    }
+    return null;
+}
+
+/**
+ * When a signed media URL stops working, as a Date, or null when the URL
+ * doesn't say. Pure.
+ */
+function urlExpiry(mediaUrl) {
+    let u;
+    try {
+        u = new URL(mediaUrl);
+    } catch {
+        return null;
+    }
+    const q = u.searchParams;
+    // googlevideo.com: expire=<unix seconds>
+    const expire = Number(q.get('expire'));
+    if (Number.isFinite(expire) && expire > 0) return new Date(expire * 1000);
+    // Instagram / Facebook CDN: oe=<unix seconds, hex>
+    const oe = q.get('oe');
+    if (oe && /^[0-9a-f]+$/i.test(oe)) return new Date(parseInt(oe, 16) * 1000);
+    // S3 presigned: X-Amz-Date=YYYYMMDDTHHMMSSZ + X-Amz-Expires=<seconds>
+    const amzDate = q.get('X-Amz-Date');
+    const amzExpires = Number(q.get('X-Amz-Expires'));
+    if (amzDate && amzExpires > 0) {
+        const m = amzDate.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        if (m) return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]) + amzExpires * 1000);
+    }
+    return null;
+}
+
+/**
+ * Seconds to cache a resolution: until EXPIRY_MARGIN_SECONDS before it
+ * expires, DEFAULT_TTL_SECONDS when unknown, 0 when it's too close to
+ * expiry to be worth caching. Pure.
+ */
+function cacheTtlSeconds(expiresAt, now = Date.now()) {
+    if (!expiresAt) return DEFAULT_TTL_SECONDS;
+    const ttl = Math.floor((new Date(expiresAt).getTime() - now) / 1000) - EXPIRY_MARGIN_SECONDS;
+    return ttl >= MIN_CACHE_SECONDS ? ttl : 0;
+}
+
+/**
+ * Best progressive (audio + video, directly addressable) MP4 from a
+ * YouTube player response's streamingData: highest resolution at or
+ * below `maxHeight`. Formats that only carry a signatureCipher need the
+ * player's JS to decode and are skipped. Pure.
+ */
+function pickYoutubeFormat(streamingData, { maxHeight = 720 } = {}) {
+    const formats = (streamingData?.formats || [])
+        .filter((f) => f.url && /^video\/mp4/.test(f.mimeType || '') && (f.height || 0) <= maxHeight)
+        .sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bitrate || 0) - (a.bitrate || 0));
+    return formats[0] || null;
+}
+
+const isHttpUrl = (u) => typeof u === 'string' && /^https?:\/\//.test(u);
+
+/** ---- Built-in extractors ---- **/
+
+const btchYoutube = {
+    name: 'btch-youtube',
+    platform: 'youtube',
+    async resolve(ref) {
+        const { youtube } = require('btch-downloader');
+        const result = await youtube(ref.url);
+        const url = (Array.isArray(result) && result[0]?.url) || result?.mp4;
+        if (!isHttpUrl(url)) return null;
+        return { url, meta: { title: result?.title || null, duration: result?.duration || result?.dur || null } };
+    },
+};
+
+const btchInstagram = {
+    name: 'btch-instagram',
+    platform: 'instagram',
+    async resolve(ref) {
+        const { igdl } = require('btch-downloader');
+        const result = await igdl(ref.url);
+        const url = Array.isArray(result) ? result.find((r) => isHttpUrl(r?.url))?.url : null;
+        return url ? { url } : null;
+    },
+};
+
+// Reads the player response the watch page embeds instead of the <video>
+// element, whose src is a blob: URL nothing outside the page can play.
+const browserYoutube = {
+    name: 'browser-youtube',
+    platform: 'youtube',
+    async resolve(ref) {
+        const { withPage } = require('./browserPool');
+        return withPage(async (page) => {
+            await page.goto(ref.url, { waitUntil: 'domcontentloaded' });
+            const streamingData = await page.evaluate(() => window.ytInitialPlayerResponse?.streamingData || null);
+            const format = pickYoutubeFormat(streamingData);
+            return format ? { url: format.url, meta: { height: format.height || null } } : null;
+        });
+    },
+};
+
+/**
+ * A resolver over `extractors` with an injectable cache (get/set like
+ * utils/redis). The module exports one over the built-ins and Redis.
+ */
+function createMediaResolver({ extractors = [], cache = redis, now = () => Date.now() } = {}) {
+    const registry = [...extractors];
+    const inFlight = new Map();
+
+    async function resolveUncached(ref) {
+        const candidates = registry.filter((e) => e.platform === ref.platform);
+        const errors = [];
+        for (const extractor of candidates) {
+            try {
+                const out = await extractor.resolve(ref);
+                if (out && isHttpUrl(out.url)) {
+                    const expiresAt = out.expiresAt ? new Date(out.expiresAt) : urlExpiry(out.url);
+                    return { url: out.url, expiresAt, extractor: extractor.name, meta: out.meta || null };
+                }
+                errors.push(`${extractor.name}: no URL`);
+            } catch (err) {
+                errors.push(`${extractor.name}: ${err.message}`);
+                console.warn(`⚠️ Media extractor ${extractor.name} failed for ${ref.platform}:${ref.id}: ${err.message}`);
+            }
+        }
+        throw Object.assign(
+            new Error(`Could not resolve ${ref.platform} video ${ref.id}${errors.length ? ` (${errors.join('; ')})` : ''}`),
+            { code: 'MEDIA_UNRESOLVED', status: 404 }
+        );
+    }
+
+    /**
+     * Resolve an ID or URL. Returns { platform, id, url, expiresAt,
+     * extractor, meta, cached }. Throws with status 400 for unrecognised
+     * input and 404 when no extractor produced a URL.
+     * Pass `fresh: true` to skip the cache (e.g. after playback failed).
+     */
+    async function resolve(input, { platform = null, fresh = false } = {}) {
+        const ref = parseMediaRef(input, platform);
+        if (!ref) {
+            throw Object.assign(new Error(`Unrecognised media reference: ${input}`), { code: 'MEDIA_BAD_REF', status: 400 });
+        }
+        const key = `${CACHE_PREFIX}${ref.platform}:${ref.id}`;
+
+        if (!fresh) {
+            const hit = await cache.get(key);
+            if (hit) {
+                try {
+                    const parsed = JSON.parse(hit);
+                    return { platform: ref.platform, id: ref.id, ...parsed, expiresAt: parsed.expiresAt ? new Date(parsed.expiresAt) : null, cached: true };
+                } catch (_) { /* re-resolve */ }
+            }
+        }
+
+        if (inFlight.has(key)) return inFlight.get(key);
+        const pending = (async () => {
+            const resolved = await resolveUncached(ref);
+            const ttl = cacheTtlSeconds(resolved.expiresAt, now());
+            if (ttl > 0) await cache.set(key, JSON.stringify(resolved), 'EX', ttl);
+            return { platform: ref.platform, id: ref.id, ...resolved, cached: false };
+        })();
+        inFlight.set(key, pending);
+        try {
+            return await pending;
+        } finally {
+            inFlight.delete(key);
+        }
+    }
+
+    return {
+        resolve,
+        /** Add an extractor; `prepend` tries it before the existing ones. */
+        registerExtractor(extractor, { prepend = false } = {}) {
+            if (prepend) registry.unshift(extractor);
+            else registry.push(extractor);
+        },
+        extractors: () => registry.map((e) => ({ name: e.name, platform: e.platform })),
+    };
+}
+
+const mediaResolver = createMediaResolver({ extractors: [btchYoutube, browserYoutube, btchInstagram] });
+
+/** Direct MP4 URL of an Instagram reel (used by the reel upload route and scraper). */
+async function getInstagramVideoUrl(reelUrl) {
+    const { url } = await mediaResolver.resolve(reelUrl, { platform: 'instagram' });
+    return url;
+}
+
+module.exports = {
+    parseMediaRef,
+    urlExpiry,
+    cacheTtlSeconds,
+    pickYoutubeFormat,
+    createMediaResolver,
+    mediaResolver,
+    getInstagramVideoUrl,
+};
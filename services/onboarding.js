@@ -0,0 +1,362 @@
+/**
+ * Cold-start onboarding: topics, sources and teams a new user picks before
+ * their first feed.
+ *
+ * A brand-new account has no likes, follows or embedding, so the
+ * personalized feed can only fall back to popularity until the nightly
+ * embedding job (utils/userEmbedding.js) has something to work with. Here
+ * the choices are written straight away: source and team follows,
+ * `implicit_preferred_categories` from the chosen topics, and a seed
+ * `embedding_pca` — the centroid of representative recent articles from
+ * those topics and sources — so vector candidates and the embedding
+ * affinity term work from the first page. Once the user has activity the
+ * nightly job replaces both with behaviour-derived values.
+ *
+ * Options are per language, with sources ranked by how many users in the
+ * requested city follow them. Selection, ranking and the centroid are
+ * pure and unit-tested.
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Source = require('../models/Source');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const redis = require('../utils/redis');
+
+const ONBOARDING = {
+    maxTopics: 10,
+    maxSources: 30,
+    maxTeams: 20,
+    topicWindowDays: 14,
+    sourceOptions: 24,
+    teamOptions: 24,
+    // Seed embedding: the most engaged recent articles, at most
+    // seedPerChoice from each chosen topic or source, up to seedArticles.
+    seedWindowDays: 14,
+    seedPerChoice: 5,
+    seedArticles: 40,
+    optionsCacheTtl: 60 * 60, // 1h
+};
+
+const EMBEDDING_DIM = 128;
+
+// Curated fallback when few users follow teams yet (API-Sports IDs).
+const POPULAR_TEAM_API_IDS = [
+    33, 34, 40, 42, 47, 49, 50, 51, // Premier League
+    529, 530, 541, // La Liga
+    489, 492, 496, 497, 499, 505, // Serie A
+    157, 165, 168, // Bundesliga
+    2931, 2932, 2935, 2939, 2944, // UAE and Saudi Pro Leagues
+];
+
+// User.language / User.city enums; articles and sources use lowercase language.
+const USER_LANGUAGES = ['Arabic', 'English', 'Farsi'];
+const USER_CITIES = User.schema.path('city').enumValues;
+
+/** 'english' / 'English' -> { user: 'English', content: 'english' }, or null. */
+function resolveLanguage(language) {
+    const match = USER_LANGUAGES.find((l) => l.toLowerCase() === String(language || '').toLowerCase());
+    return match ? { user: match, content: match.toLowerCase() } : null;
+}
+
+/** Case-insensitive match against the User.city enum, or null. */
+function resolveCity(city) {
+    return USER_CITIES.find((c) => c.toLowerCase() === String(city || '').toLowerCase()) || null;
+}
+
+/**
+ * Trimmed, de-duplicated string choices, first `max` kept. With `allowed`
+ * (a Set), anything outside it is dropped. Pure.
+ */
+function cleanChoices(values, { max, allowed = null } = {}) {
+    if (!Array.isArray(values)) return [];
+    const out = [];
+    for (const v of values) {
+        if (typeof v !== 'string') continue;
+        const s = v.trim();
+        if (!s || out.includes(s) || (allowed && !allowed.has(s))) continue;
+        out.push(s);
+        if (out.length >= max) break;
+    }
+    return out;
+}
+
+/**
+ * Source groups for the picker, best first: followers among users in the
+ * city, then overall followers. `groups` are { groupName, followers, ... };
+ * `cityFollowers` is Map<groupName, count>. Pure.
+ */
+function rankSourceOptions(groups, cityFollowers = new Map(), limit = ONBOARDING.sourceOptions) {
+    return groups
+        .map((g) => ({ ...g, cityFollowers: cityFollowers.get(g.groupName) || 0 }))
+        .sort((a, b) =>
+            b.cityFollowers - a.cityFollowers ||
+            (b.followers || 0) - (a.followers || 0) ||
+            a.groupName.localeCompare(b.groupName)
+        )
+        .slice(0, limit);
+}
+
+/**
+ * Representative articles for the seed embedding from an engagement-ranked
+ * list: round-robin over the chosen topics and source groups, taking each
+ * one's next best article, so one busy category can't fill the seed on its
+ * own. Articles carry `category` and `sourceGroupName`. Pure.
+ */
+function pickSeedArticles(articles, { topics = [], sources = [], perChoice = ONBOARDING.seedPerChoice, limit = ONBOARDING.seedArticles } = {}) {
+    const queues = [
+        ...topics.map((t) => articles.filter((a) => a.category === t)),
+        ...sources.map((g) => articles.filter((a) => a.sourceGroupName === g)),
+    ];
+    const picked = [];
+    const seen = new Set();
+    for (let round = 0; round < perChoice; round++) {
+        for (const queue of queues) {
+            while (queue.length > 0) {
+                const a = queue.shift();
+                const id = String(a._id);
+                if (seen.has(id)) continue;
+                seen.add(id);
+                picked.push(a);
+                break;
+            }
+            if (picked.length >= limit) return picked;
+        }
+    }
+    return picked;
+}
+
+/**
+ * Unit-length mean of the `dim`-dimensional vectors; vectors of any other
+ * length are skipped. Null when none qualify. Pure.
+ */
+function centroidEmbedding(vectors, dim = EMBEDDING_DIM) {
+    const sum = new Array(dim).fill(0);
+    let n = 0;
+    for (const v of vectors) {
+        if (!Array.isArray(v) || v.length !== dim) continue;
+        for (let i = 0; i < dim; i++) sum[i] += v[i];
+        n++;
+    }
+    if (n === 0) return null;
+    const norm = Math.sqrt(sum.reduce((acc, x) => acc + x * x, 0));
+    if (norm === 0) return null;
+    return sum.map((x) => x / norm);
+}
+
+/** ---- Options ---- **/
+
+const since = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+/** Categories with articles in the window, most active first: [{ id, articleCount }]. */
+async function loadTopicOptions(language) {
+    const rows = await Article.aggregate([
+        { $match: { language, publishedAt: { $gte: since(ONBOARDING.topicWindowDays) }, category: { $nin: [null, ''] } } },
+        { $group: { _id: '$category', articleCount: { $sum: 1 } } },
+        { $sort: { articleCount: -1 } },
+    ]);
+    return rows.map((r) => ({ id: r._id, articleCount: r.articleCount }));
+}
+
+async function loadSourceOptions(language, city) {
+    const [groups, cityRows] = await Promise.all([
+        Source.aggregate([
+            { $match: { language, status: 'active', groupName: { $nin: [null, ''] } } },
+            {
+                $group: {
+                    _id: '$groupName',
+                    icon: { $first: '$icon' },
+                    category: { $first: '$category' },
+                    followers: { $max: '$followers' },
+                },
+            },
+        ]),
+        city
+            ? User.aggregate([
+                { $match: { city, 'following_sources.0': { $exists: true } } },
+                { $unwind: '$following_sources' },
+                { $group: { _id: '$following_sources', n: { $sum: 1 } } },
+            ])
+            : [],
+    ]);
+    return rankSourceOptions(
+        groups.map((g) => ({ groupName: g._id, icon: g.icon || null, category: g.category || null, followers: g.followers || 0 })),
+        new Map(cityRows.map((r) => [r._id, r.n]))
+    );
+}
+
+/** Most-followed teams, topped up from the curated list. */
+async function loadTeamOptions() {
+    const followed = await User.aggregate([
+        { $match: { 'followed_teams.0': { $exists: true } } },
+        { $unwind: '$followed_teams' },
+        { $group: { _id: '$followed_teams', n: { $sum: 1 } } },
+        { $sort: { n: -1 } },
+        { $limit: ONBOARDING.teamOptions },
+    ]);
+    const counts = new Map(followed.map((r) => [String(r._id), r.n]));
+    const teams = await Team.find({
+        $or: [{ _id: { $in: followed.map((r) => r._id) } }, { apiId: { $in: POPULAR_TEAM_API_IDS } }],
+    })
+        .select('apiId name logo country national')
+        .lean();
+    return teams
+        .map((t) => ({ ...t, followers: counts.get(String(t._id)) || 0 }))
+        .sort((a, b) => b.followers - a.followers || a.name.localeCompare(b.name))
+        .slice(0, ONBOARDING.teamOptions);
+}
+
+/**
+ * GET /api/onboarding/options payload for a language and city, cached for
+ * an hour per pair.
+ */
+async function getOnboardingOptions({ language, city }) {
+    const cacheKey = `onboarding:options:${language}:${city || 'any'}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+        try {
+            return JSON.parse(cached);
+        } catch (_) { /* recompute */ }
+    }
+
+    const [topics, sources, teams] = await Promise.all([
+        loadTopicOptions(language),
+        loadSourceOptions(language, city),
+        loadTeamOptions(),
+    ]);
+    const options = {
+        language,
+        city: city || null,
+        topics,
+        sources,
+        teams,
+        limits: { topics: ONBOARDING.maxTopics, sources: ONBOARDING.maxSources, teams: ONBOARDING.maxTeams },
+    };
+    await redis.set(cacheKey, JSON.stringify(options), 'EX', ONBOARDING.optionsCacheTtl);
+    return options;
+}
+
+/** ---- Completion ---- **/
+
+/**
+ * Seed embedding for the chosen topics and source groups, or null when
+ * there are no embedded articles to average.
+ */
+async function buildSeedEmbedding({ language, topics, sources }) {
+    if (topics.length === 0 && sources.length === 0) return null;
+
+    const sourceDocs = sources.length
+        ? await Source.find({ groupName: { $in: sources } }).select('_id groupName').lean()
+        : [];
+    const groupOf = new Map(sourceDocs.map((s) => [String(s._id), s.groupName]));
+    const or = [];
+    if (topics.length) or.push({ category: { $in: topics } });
+    if (sourceDocs.length) or.push({ sourceId: { $in: sourceDocs.map((s) => s._id) } });
+
+    const articles = await Article.find({
+        language,
+        publishedAt: { $gte: since(ONBOARDING.seedWindowDays) },
+        'embedding_pca.0': { $exists: true },
+        $or: or,
+    })
+        .select('category sourceId embedding_pca')
+        .sort({ viewCount: -1 })
+        .limit((topics.length + sources.length) * ONBOARDING.seedPerChoice * 4)
+        .lean();
+
+    const seeds = pickSeedArticles(
+        articles.map((a) => ({ ...a, sourceGroupName: groupOf.get(String(a.sourceId)) })),
+        { topics, sources }
+    );
+    return centroidEmbedding(seeds.map((a) => a.embedding_pca));
+}
+
+/**
+ * Validate a POST /api/onboarding/complete body against what exists.
+ * Throws a 400 error when a language or city is given but unknown.
+ */
+async function resolveSelection(body, user) {
+    const lang = body.language != null ? resolveLanguage(body.language) : resolveLanguage(user.language || 'English');
+    if (!lang) throw Object.assign(new Error(`Unknown language: ${body.language}`), { status: 400 });
+    const city = body.city != null ? resolveCity(body.city) : null;
+    if (body.city != null && !city) throw Object.assign(new Error(`Unknown city: ${body.city}`), { status: 400 });
+
+    const requestedSources = cleanChoices(body.sources, { max: ONBOARDING.maxSources });
+    const requestedTeams = cleanChoices(body.teams, { max: ONBOARDING.maxTeams })
+        .filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const [knownTopics, knownSources, teams] = await Promise.all([
+        Article.distinct('category', { language: lang.content }),
+        requestedSources.length ? Source.distinct('groupName', { groupName: { $in: requestedSources } }) : [],
+        requestedTeams.length ? Team.find({ _id: { $in: requestedTeams } }).select('_id').lean() : [],
+    ]);
+
+    return {
+        language: lang,
+        city,
+        topics: cleanChoices(body.topics, { max: ONBOARDING.maxTopics, allowed: new Set(knownTopics) }),
+        sources: cleanChoices(requestedSources, { max: ONBOARDING.maxSources, allowed: new Set(knownSources) }),
+        teamIds: teams.map((t) => t._id),
+    };
+}
+
+/**
+ * Apply onboarding choices to a user (a lean User doc): follows,
+ * implicit_preferred_categories and, for users without one yet, the seed
+ * embedding_pca. Source follower counts move only for new follows.
+ * Returns the selection as written.
+ */
+async function completeOnboarding(user, body) {
+    const selection = await resolveSelection(body, user);
+    const hasEmbedding = Array.isArray(user.embedding_pca) && user.embedding_pca.length > 0;
+    const seed = hasEmbedding ? null : await buildSeedEmbedding({
+        language: selection.language.content,
+        topics: selection.topics,
+        sources: selection.sources,
+    });
+
+    const $set = {
+        language: selection.language.user,
+        onboarding: { completedAt: new Date(), topics: selection.topics },
+    };
+    if (selection.city) $set.city = selection.city;
+    if (selection.topics.length) $set.implicit_preferred_categories = selection.topics;
+    if (seed) $set.embedding_pca = seed;
+
+    const update = { $set };
+    const $addToSet = {};
+    if (selection.sources.length) $addToSet.following_sources = { $each: selection.sources };
+    if (selection.teamIds.length) $addToSet.followed_teams = { $each: selection.teamIds };
+    if (Object.keys($addToSet).length) update.$addToSet = $addToSet;
+
+    // `new: false` so follower counters only move for groups not already followed.
+    const before = await User.findOneAndUpdate({ _id: user._id }, update, { new: false }).lean();
+    if (!before) throw Object.assign(new Error('User not found'), { status: 404 });
+
+    const newGroups = selection.sources.filter((g) => !(before.following_sources || []).includes(g));
+    if (newGroups.length) {
+        await Source.updateMany({ groupName: { $in: newGroups } }, { $inc: { followers: 1 } });
+    }
+
+    return {
+        language: selection.language.user,
+        city: selection.city || before.city,
+        topics: selection.topics,
+        sources: selection.sources,
+        teams: selection.teamIds.map(String),
+        seededEmbedding: !!seed,
+    };
+}
+
+module.exports = {
+    ONBOARDING,
+    POPULAR_TEAM_API_IDS,
+    resolveLanguage,
+    resolveCity,
+    cleanChoices,
+    rankSourceOptions,
+    pickSeedArticles,
+    centroidEmbedding,
+    getOnboardingOptions,
+    completeOnboarding,
+};
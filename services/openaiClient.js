@@ -1,5 +1,7 @@
 const https = require('https');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const redis = require('../utils/redis');
 
@@ -136,12 +138,30 @@ async function streamChatCompletion({ messages, model, max_tokens, temperature =
     });
 }
 
+/**
+ * Speech-to-text for one audio file (services/ReelTranscriber.js's 'openai'
+ * backend). Returns Whisper's verbose JSON: { text, language, segments }.
+ */
+async function transcribeAudio(filePath, { language, model = 'whisper-1', timeout = 120000 } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([fs.readFileSync(filePath)]), path.basename(filePath));
+    form.append('model', model);
+    form.append('response_format', 'verbose_json');
+    if (language) form.append('language', language);
+    const { data } = await openaiAxios.post('/audio/transcriptions', form, {
+        timeout,
+        headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return data;
+}
+
 module.exports = {
     openaiAxios,
     embedQuery,
     chatCompletion,
     chatCompletionJSON,
     streamChatCompletion,
+    transcribeAudio,
     EMBEDDING_MODEL,
     EMBEDDING_DIMS,
 };
@@ -0,0 +1,440 @@
+/**
+ * Ranking pipeline for the personalized article feeds.
+ *
+ * A feed is declared as a pipeline of composable stages, run in order:
+ *
+ *   context → sources → features → scorer → rerankers → assembler
+ *
+ *   context    async (s) => void          optional; builds s.ctx
+ *   sources    async (s) => void          fill or extend s.candidates
+ *   features   (a, s) => object           merged into a._features
+ *   scorer     (candidates, s) => ranked  sets a._score, returns sorted
+ *   rerankers  async (ranked, s) => ranked
+ *   assembler  async (ranked, s) => items page cut + response shape
+ *
+ * Every stage gets the same run state `s` ({ ctx, language, limit, page,
+ * now, candidates, ranked, items, meta, timings, ... }) and reports what
+ * it did through `s.meta` — the route turns that into headers and logs.
+ * Any stage can set `s.fallback = '<reason>'` to abandon the run; the
+ * pipeline's `fallback` (itself a pipeline) then takes over with the same
+ * ctx, meta and timings and an empty pool.
+ *
+ * This file holds the engine and the pure stages — no Mongo, no Redis —
+ * so each one can be tested with fixture users and articles. Stages that
+ * query Mongo or call out live in services/feedStages.js, and the feeds
+ * themselves are declared in services/feedPipelines.js.
+ */
+
+const {
+    PERS_W,
+    basicRecencyScore,
+    extractFeatures,
+    scoreFromFeatures,
+    scoreWithoutSignal,
+    interleaveBySourceGroup,
+    applyMMRDiversity,
+} = require('./feedRanking');
+const { collapseStoryClusters } = require('./storyClusters');
+const { explainArticle } = require('./feedExplanations');
+const { getEffectivePersW } = require('../utils/experiments');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function invalid(message) {
+    return Object.assign(new Error(message), { code: 'PIPELINE_INVALID' });
+}
+
+/** Record elapsed ms since the run started under `key` (Server-Timing). */
+function mark(s, key) {
+    s.timings[key] = Date.now() - s.startedAt;
+}
+
+function createState(input) {
+    const now = input.now ?? Date.now();
+    return {
+        ctx: null,
+        language: 'english',
+        limit: 20,
+        page: 1,
+        forceRefresh: false,
+        candidates: [],
+        ranked: [],
+        items: [],
+        meta: {},
+        timings: {},
+        fallback: null,
+        ...input,
+        now,
+        startedAt: input.startedAt ?? now,
+    };
+}
+
+/**
+ * Declare a pipeline. Returns { name, run(input) }; run resolves to the
+ * final state, whose `items` are the response articles.
+ */
+function createPipeline({
+    name,
+    context = null,
+    sources = [],
+    features = [],
+    scorer = null,
+    rerankers = [],
+    assembler = null,
+    fallback = null,
+}) {
+    if (!name) throw invalid('pipeline needs a name');
+    if (!sources.length) throw invalid(`pipeline ${name}: at least one candidate source is required`);
+    if (fallback && typeof fallback.run !== 'function') throw invalid(`pipeline ${name}: fallback must be a pipeline`);
+
+    const steps = [];
+    if (context) steps.push(context);
+    steps.push(...sources);
+    if (features.length > 0) {
+        steps.push((s) => {
+            for (const a of s.candidates) {
+                a._features = Object.assign(a._features || {}, ...features.map((f) => f(a, s)));
+            }
+        });
+    }
+    steps.push((s) => {
+        s.ranked = scorer ? scorer(s.candidates, s) : s.candidates;
+    });
+    for (const rerank of rerankers) {
+        steps.push(async (s) => {
+            s.ranked = await rerank(s.ranked, s);
+        });
+    }
+    steps.push(async (s) => {
+        s.items = assembler ? await assembler(s.ranked, s) : s.ranked;
+    });
+
+    async function run(input = {}) {
+        const s = createState(input);
+        s.pipeline = name;
+        for (const step of steps) {
+            await step(s);
+            if (s.fallback) {
+                if (!fallback) throw invalid(`pipeline ${name} gave up (${s.fallback}) with no fallback`);
+                return fallback.run({
+                    ...s,
+                    candidates: [],
+                    ranked: [],
+                    items: [],
+                    fallback: null,
+                    meta: { ...s.meta, fallbackReason: s.fallback },
+                });
+            }
+        }
+        return s;
+    }
+
+    return { name, run };
+}
+
+/** ---- Candidate sources ---- **/
+
+const groupOf = (a) => a.sourceGroupName || (a.sourceId ? a.sourceId.toString() : 'unknown');
+
+/** Union by _id; `later` copies win on overlap but keep `earlier`'s position. */
+function mergeById(earlier, later) {
+    const byId = new Map();
+    for (const a of earlier) byId.set(a._id.toString(), a);
+    for (const a of later) byId.set(a._id.toString(), a);
+    return [...byId.values()];
+}
+
+/** Windows for the paged feeds: page 1 starts at 24h, deeper pages at 48h. */
+function pagedWindows(s) {
+    return [s.page === 1 ? 24 * HOUR : 48 * HOUR, 72 * HOUR, 7 * DAY, 30 * DAY];
+}
+
+/**
+ * Expanding-window retrieval: query each publishedAt window in turn until
+ * `enough(cands, s)`. `query(sinceMs, s, opts)` resolves to candidates.
+ *
+ * With `vectorQuery`, users for whom `vectorEligible(s)` holds get a union
+ * of the recency and vector pools, each windowed independently and run in
+ * parallel. The old either/or made the pool source pre-decide the feed's
+ * character — vector-only starved breaking news the user's embedding didn't
+ * predict; recency-only let scraper bursts crowd out slightly-older
+ * articles the user would actually read. Vector failure degrades to plain
+ * recency, never to an error.
+ *
+ * Sets meta.windowMs and meta.retrieval ('recency' | 'hybrid').
+ */
+function windowedSource({ windows, enough, query, vectorQuery = null, vectorEligible = null, label = 'feed' }) {
+    const runWindowed = async (fn, s) => {
+        const ws = typeof windows === 'function' ? windows(s) : windows;
+        let cands = [];
+        let used = ws[0];
+        for (const sinceMs of ws) {
+            cands = await fn(sinceMs, s);
+            used = sinceMs;
+            if (enough(cands, s)) break;
+        }
+        return { cands, used };
+    };
+
+    return async function windowedCandidates(s) {
+        const queryStart = Date.now();
+        s.meta.retrieval = 'recency';
+
+        if (vectorQuery && vectorEligible && (await vectorEligible(s))) {
+            const [recencyRes, vectorRes] = await Promise.all([
+                runWindowed(query, s),
+                runWindowed(vectorQuery, s).catch((err) => {
+                    console.error(`⚠️ ${label} vector retrieval failed, using recency only:`, err.message);
+                    return null;
+                }),
+            ]);
+            s.candidates = recencyRes.cands;
+            s.meta.windowMs = recencyRes.used;
+            if (vectorRes && vectorRes.cands.length > 0) {
+                // Vector copy wins on overlap: it carries _atlasSimilarity,
+                // which the scorer prefers over recomputing cosine in JS.
+                s.candidates = mergeById(recencyRes.cands, vectorRes.cands);
+                s.meta.windowMs = Math.max(recencyRes.used, vectorRes.used);
+                s.meta.retrieval = 'hybrid';
+            }
+        } else {
+            const { cands, used } = await runWindowed(query, s);
+            s.candidates = cands;
+            s.meta.windowMs = used;
+        }
+        s.meta.dbTime = (s.meta.dbTime || 0) + (Date.now() - queryStart);
+    };
+}
+
+/**
+ * Starvation guard: when the disliked-category $nin has gutted the pool
+ * (too few articles OR everything from a couple of sources), re-run the
+ * widest window WITHOUT the category exclusion and merge. The scorer's
+ * dislikedCategoryPenalty (-8) still sinks those articles below every
+ * eligible one — the feed degrades gracefully instead of collapsing.
+ * Real incident: an account with 19/20 categories banned saw a feed of
+ * exactly two sources that dead-ended after ~26 items.
+ */
+function starvationGuard({ query, windows, label = 'feed' }) {
+    return async function starvationRescue(s) {
+        if (!(s.ctx?.dislikedCategories?.size > 0)) return;
+        const groups = new Set(s.candidates.map(groupOf));
+        if (s.candidates.length >= s.limit * 2 && groups.size >= 4) return;
+
+        const queryStart = Date.now();
+        try {
+            const ws = typeof windows === 'function' ? windows(s) : windows;
+            const rescue = await query(ws[ws.length - 1], s, { skipCategoryExclusion: true });
+            // Keep the original copies on overlap — they may carry _atlasSimilarity.
+            s.candidates = mergeById(rescue, s.candidates);
+            s.meta.starvationRescue = true;
+            console.log(
+                `🛟 ${label} starvation guard: page ${s.page}, pool had ${groups.size} source groups, ` +
+                `now ${s.candidates.length} candidates after rescue (user has ` +
+                `${s.ctx.dislikedCategories.size} disliked categories)`
+            );
+        } catch (err) {
+            console.warn(`⚠️ ${label} starvation guard query failed:`, err.message);
+        }
+        s.meta.dbTime = (s.meta.dbTime || 0) + (Date.now() - queryStart);
+    };
+}
+
+/**
+ * Served-set rescue for pinned feeds: the served-set exclusion is shared
+ * with the main feed, so a user who has been scrolling can have a thin
+ * category's entire 30-day pool marked as served. A chip tap is explicit
+ * intent — showing repeats beats "No Stories right now". Sets
+ * meta.rescuedWithoutExclusion so the assembler offsets by page.
+ */
+function servedRescue({ query, windows, label = 'feed' }) {
+    return async function servedSetRescue(s) {
+        if (s.candidates.length >= s.limit || !(s.ctx?.servedIds?.size > 0)) return;
+        const queryStart = Date.now();
+        const ws = typeof windows === 'function' ? windows(s) : windows;
+        const widest = ws[ws.length - 1];
+        s.candidates = await query(widest, s, { excludeServed: false });
+        s.meta.windowMs = widest;
+        s.meta.rescuedWithoutExclusion = true;
+        s.meta.dbTime = (s.meta.dbTime || 0) + (Date.now() - queryStart);
+        console.log(
+            `🏷️ ${label} rescue: pool starved by served-set, ` +
+            `re-ran without exclusion → ${s.candidates.length} candidates`
+        );
+    };
+}
+
+/** ---- Features ---- **/
+
+/** The PERS_W feature set (services/feedRanking.js extractFeatures). */
+function personalFeatures(a, s) {
+    return extractFeatures(a, s.ctx, { now: s.now });
+}
+
+/** ---- Scorers ---- **/
+
+/**
+ * PERS_W linear scorer over personalFeatures for users with signal; the
+ * recency + engagement baseline otherwise. `weights` pins the weights
+ * (default: the user's experiment arms over PERS_W). The weights used are
+ * left on s.weights for the assembler's explanations.
+ */
+function linearScorer({ weights = null } = {}) {
+    return function linear(candidates, s) {
+        s.weights = weights || getEffectivePersW(s.ctx?.experiments, PERS_W);
+        if (s.ctx?.hasSignal) {
+            return scoreFromFeatures(candidates, s.ctx, { page: s.page, weights: s.weights });
+        }
+        return scoreWithoutSignal(candidates, s.ctx, { weights: s.weights, now: s.now });
+    };
+}
+
+/** ---- Re-rankers ---- **/
+
+/**
+ * One card per story cluster (the best-scored version). Runs before MMR so
+ * its head isn't spent on wire copies of the same story.
+ */
+function collapseClusters() {
+    return (ranked) => collapseStoryClusters(ranked);
+}
+
+/** Topical diversity (MMR) on the head of the pool. */
+function mmr(opts = {}) {
+    return (ranked) => applyMMRDiversity(ranked, opts);
+}
+
+/** Source-group interleave; `opts` may be a function of the run state. */
+function sourceInterleave(opts = {}) {
+    return (ranked, s) => interleaveBySourceGroup(ranked, typeof opts === 'function' ? opts(s) : opts);
+}
+
+/** ---- Assembly ---- **/
+
+/**
+ * ε-greedy exploration injection (P1-4).
+ *
+ * With probability EXPLORATION_RATE, swap a visible mid-page slot of the
+ * page-1 feed with a recent article from a category the user has NOT
+ * recently engaged with. Helps break out of filter bubbles — the greedy
+ * scorer otherwise reinforces existing affinities indefinitely.
+ *
+ * Criteria for an exploration candidate:
+ *   - Recent (recency >= 0.5, i.e. ~last 50h with τ=72)
+ *   - Category is NOT in user's explicit OR implicit preferred categories
+ *   - Article is NOT already in the visible page
+ *   - Article is NOT already in viewedIds
+ *
+ * No-op if no eligible candidate exists in the pool, or if user has no
+ * personalization signal (cold-start users are already exploring by
+ * default — pure recency feed).
+ *
+ * @param {Array} page - the page-sliced output array (mutated in place)
+ * @param {Array} fullPool - the full scored+interleaved pool
+ * @param {Object} ctx - personalization context
+ * @param {{ random?: () => number, now?: number }} [opts] - injectable for tests
+ * @returns {boolean} true if a swap happened
+ */
+const EXPLORATION_RATE = 0.12;
+const EXPLORATION_MIN_SLOT = 2;
+const EXPLORATION_MAX_SLOT = 7;
+
+function maybeInjectExploration(page, fullPool, ctx, { random = Math.random, now = Date.now() } = {}) {
+    if (!ctx?.hasSignal) return false;
+    if (!page || page.length <= EXPLORATION_MIN_SLOT) return false;
+    if (random() >= EXPLORATION_RATE) return false;
+
+    const pageIds = new Set(
+        page.map((a) => (a._id ? a._id.toString() : null)).filter(Boolean)
+    );
+
+    // Build eligibility filter — prefer articles from categories the user
+    // genuinely hasn't explored, not just ones missing from preferred.
+    const preferred = ctx.preferredCategories || new Set();
+    const viewed = ctx.viewedIds || new Set();
+
+    const eligible = [];
+    for (const a of fullPool) {
+        if (!a.category) continue;
+        if (preferred.has(a.category)) continue;
+        const idStr = a._id ? a._id.toString() : null;
+        if (!idStr) continue;
+        if (pageIds.has(idStr)) continue;
+        if (viewed.has(idStr)) continue;
+        const recency = basicRecencyScore(a.publishedAt, now);
+        if (recency < 0.5) continue;
+        eligible.push(a);
+    }
+
+    if (eligible.length === 0) return false;
+
+    // Pick uniformly at random — true exploration. We're explicitly not
+    // sorting by score here; the point is to surface what the greedy ranker
+    // would never pick.
+    const picked = eligible[Math.floor(random() * eligible.length)];
+
+    // Pick a slot in the visible mid-page range. Clamp to actual length so
+    // we don't crash on a short page.
+    const maxSlot = Math.min(EXPLORATION_MAX_SLOT, page.length - 1);
+    const slot =
+        EXPLORATION_MIN_SLOT +
+        Math.floor(random() * (maxSlot - EXPLORATION_MIN_SLOT + 1));
+
+    page[slot] = { ...picked, _explorationInjected: true };
+    return true;
+}
+
+/** Strip internal/heavy fields before sending to client. */
+function sanitizeForResponse(articles, extra = {}) {
+    return articles.map((a) => {
+        const { _score, _features, _dislikedCat, _atlasSimilarity, embedding_pca, sourceGroupName, ...rest } = a;
+        return { ...rest, ...extra };
+    });
+}
+
+/**
+ * The v2 feed assembler: cut the page, optionally inject an exploration
+ * article (page-1 feeds only), attach story coverage and each item's `why`
+ * (services/feedExplanations.js), sanitize.
+ *
+ *   slice     (ranked, s) => page; default the top `limit`
+ *   explore   run maybeInjectExploration (sets meta.explorationInjected)
+ *   coverage  async (page) => void; e.g. storyClusters.attachStoryCoverage
+ *   extra     (s) => fields stamped on every item
+ */
+function feedAssembler({ slice = null, explore = false, coverage = null, extra = () => ({}), random } = {}) {
+    return async function assemble(ranked, s) {
+        const page = slice ? slice(ranked, s) : ranked.slice(0, s.limit);
+        s.meta.explorationInjected = explore
+            ? maybeInjectExploration(page, ranked, s.ctx, { random, now: s.now })
+            : false;
+        if (coverage) await coverage(page);
+        const explained = page.map((a) => {
+            const why = explainArticle(a, { ctx: s.ctx, page: s.page, weights: s.weights, now: s.now });
+            return why ? { ...a, why } : a;
+        });
+        return sanitizeForResponse(explained, extra(s));
+    };
+}
+
+module.exports = {
+    HOUR,
+    DAY,
+    EXPLORATION_RATE,
+    createPipeline,
+    mark,
+    mergeById,
+    pagedWindows,
+    windowedSource,
+    starvationGuard,
+    servedRescue,
+    personalFeatures,
+    linearScorer,
+    collapseClusters,
+    mmr,
+    sourceInterleave,
+    maybeInjectExploration,
+    sanitizeForResponse,
+    feedAssembler,
+};
@@ -0,0 +1,519 @@
+/**
+ * Offline evaluation of the personalized article ranker.
+ *
+ * Time-split replay: pick a cutoff, rebuild every test user's
+ * personalization context from what they had done *before* it, rank the
+ * articles that were live at the cutoff with the production scorer
+ * (services/feedRanking.js), and grade the top k against what the user
+ * actually engaged with in the `horizon` after it.
+ *
+ * Metrics, per user then averaged:
+ *   ndcg        graded by engagement depth (like/save 3, full read 2, view 1)
+ *   recall      share of the user's engaged pool articles that made the top k
+ *   diversity   mean pairwise (1 − cosine) over embedding_pca in the top k
+ *   sourceHHI   Herfindahl index of source-group shares in the top k
+ *               (1/k = perfectly spread, 1 = one group)
+ *   topSourceShare  share of the top k taken by the largest source group
+ * and across users:
+ *   coverage    distinct recommended articles / pool size
+ *
+ * What the replay can and can't see as of the cutoff:
+ *   - likes, dislikes, saves, views and read time are replayed from
+ *     UserActivity, as are implicit categories and category bans;
+ *   - the user embedding is the weighted centroid of their top-30 articles'
+ *     embedding_pca (the nightly job re-embeds profile text instead — the
+ *     centroid keeps the replay free of API calls);
+ *   - article engagement counts are UserActivity counts before the cutoff,
+ *     and the per-category engagement stats are taken over the pool;
+ *   - explicit preferences, follows and mutes have no history, so they are
+ *     the user's current ones, as is source quality.
+ *
+ * Numbers are for comparing variants against each other on the same split,
+ * not absolute predictions of online CTR.
+ */
+
+const mongoose = require('mongoose');
+const {
+    viewsWeight,
+    likesWeight,
+    dislikesWeight,
+    PERS_W,
+    FULL_READ_SECONDS,
+    MMR_TOP_N,
+    MMR_LAMBDA,
+    cosineSimilarity,
+    scorePersonalizedCandidates,
+    scoreWithoutSignal,
+    interleaveBySourceGroup,
+    applyMMRDiversity,
+} = require('./feedRanking');
+const { collapseStoryClusters } = require('./storyClusters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Activity window the live context and nightly jobs look back over.
+const HISTORY_DAYS = 30;
+// Same weights as the nightly profile job (utils/userEmbedding.js).
+const ACTION_WEIGHTS = { like: 3.0, save: 2.5, view: 1.0, dislike: -1.0, read_time: 1.5 };
+const PROFILE_TOP_N = 30;
+const IMPLICIT_CATEGORY_COUNT = 3;
+// Dislikes in one category before it's banned (routes/articles.js).
+const CATEGORY_DISLIKE_THRESHOLD = 3;
+const POSITIVE_EVENTS = ['view', 'read_time', 'like', 'save'];
+
+const idOf = (id) => (id && id.toString ? id.toString() : id);
+const groupOf = (a) => a.sourceGroupName || (a.sourceId ? a.sourceId.toString() : 'unknown');
+
+function activityWeight(event) {
+    if (event.eventType === 'read_time') {
+        return Math.min((event.duration || 1) / 10, 2) * ACTION_WEIGHTS.read_time;
+    }
+    return ACTION_WEIGHTS[event.eventType] ?? 0;
+}
+
+/** Weighted mean of article vectors; null when none have one. */
+function weightedCentroid(weighted) {
+    let sum = null;
+    let total = 0;
+    for (const { vector, weight } of weighted) {
+        if (!Array.isArray(vector) || vector.length === 0 || weight <= 0) continue;
+        if (!sum) sum = new Array(vector.length).fill(0);
+        if (vector.length !== sum.length) continue;
+        for (let i = 0; i < vector.length; i++) sum[i] += vector[i] * weight;
+        total += weight;
+    }
+    return sum && total > 0 ? sum.map((v) => v / total) : null;
+}
+
+/**
+ * Rebuild a user's personalization context as of `cutoff` — the same shape
+ * computeUserPersonalizationContext returns — from their UserActivity
+ * `events` (any order; events at or after the cutoff are ignored).
+ * `articlesById` maps article id → { category, embedding_pca }.
+ */
+function buildContextAsOf({ user, events, articlesById, cutoff }) {
+    const cutoffMs = new Date(cutoff).getTime();
+    const since = cutoffMs - HISTORY_DAYS * DAY_MS;
+    const past = events
+        .filter((e) => e.articleId && new Date(e.timestamp).getTime() < cutoffMs)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    // Replay the toggles in order, as /react applies them.
+    const liked = new Map(); // id → like time, for recency order
+    const disliked = new Set();
+    const saved = new Set();
+    for (const e of past) {
+        const id = idOf(e.articleId);
+        if (e.eventType === 'like') { liked.set(id, e.timestamp); disliked.delete(id); }
+        else if (e.eventType === 'dislike') { disliked.add(id); liked.delete(id); }
+        else if (e.eventType === 'save') saved.add(id);
+        else if (e.eventType === 'unsave') saved.delete(id);
+    }
+
+    const recent = past.filter((e) => new Date(e.timestamp).getTime() >= since);
+    const readTime = new Map();
+    const viewed = new Set();
+    const weightById = new Map();
+    for (const e of recent) {
+        const id = idOf(e.articleId);
+        if (e.eventType === 'view' || e.eventType === 'read_time') viewed.add(id);
+        if (e.eventType === 'read_time') readTime.set(id, (readTime.get(id) || 0) + (e.duration || 0));
+        const w = activityWeight(e);
+        if (w !== 0) weightById.set(id, Math.max(weightById.get(id) ?? -Infinity, w));
+    }
+    const viewReadFractions = new Map();
+    for (const id of viewed) {
+        const total = readTime.get(id) || 0;
+        viewReadFractions.set(id, total > 0 ? Math.min(1, total / FULL_READ_SECONDS) : 0.5);
+    }
+
+    const dislikeCounts = new Map();
+    for (const id of disliked) {
+        const category = articlesById.get(id)?.category;
+        if (category) dislikeCounts.set(category, (dislikeCounts.get(category) || 0) + 1);
+    }
+    const dislikedCategories = new Set(user.muted_categories || []);
+    for (const [category, n] of dislikeCounts) {
+        if (n >= CATEGORY_DISLIKE_THRESHOLD) dislikedCategories.add(category);
+    }
+
+    const profile = [...weightById.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, PROFILE_TOP_N)
+        .map(([id, weight]) => ({ article: articlesById.get(id), weight }))
+        .filter((p) => p.article);
+    const categoryWeights = new Map();
+    for (const { article, weight } of profile) {
+        if (!article.category || weight <= 0 || dislikedCategories.has(article.category)) continue;
+        categoryWeights.set(article.category, (categoryWeights.get(article.category) || 0) + weight);
+    }
+    const implicit = [...categoryWeights.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, IMPLICIT_CATEGORY_COUNT)
+        .map(([category]) => category);
+
+    const preferredCategories = new Set([...(user.preferred_categories || []), ...implicit]);
+    const preferredSourceIds = new Set((user.preferred_sources || []).map(idOf));
+    const followingSourceGroups = new Set(user.following_sources || []);
+    const followedEntityIds = new Set(user.followed_entities || []);
+    const likedIdsOrdered = [...liked.entries()]
+        .sort(([, a], [, b]) => new Date(b) - new Date(a))
+        .slice(0, 20)
+        .map(([id]) => id);
+
+    return {
+        userId: user.supabase_id,
+        experimentAttrs: {},
+        experiments: {},
+        treatment: 'control',
+        preferredCategories,
+        preferredSourceIds,
+        dislikedCategories,
+        mutedSourceIds: new Set((user.muted_sources || []).map(idOf)),
+        likedIds: new Set(liked.keys()),
+        likedIdsOrdered,
+        dislikedIds: disliked,
+        savedIds: saved,
+        viewedIds: viewed,
+        viewReadFractions,
+        followingSourceGroups,
+        followedEntityIds,
+        embedding: weightedCentroid(profile.map((p) => ({ vector: p.article.embedding_pca, weight: p.weight }))),
+        language: (user.language || 'English').toLowerCase(),
+        hasSignal:
+            preferredCategories.size + liked.size + saved.size + followingSourceGroups.size +
+                followedEntityIds.size + preferredSourceIds.size > 0,
+    };
+}
+
+/**
+ * Graded relevance of what the user did in [cutoff, end): like/save 3,
+ * a read of FULL_READ_SECONDS or more 2, any other view 1. A dislike in
+ * the window zeroes the article. Returns Map<articleId, gain> (gain > 0).
+ */
+function relevanceAfter(events, cutoff, end) {
+    const from = new Date(cutoff).getTime();
+    const to = new Date(end).getTime();
+    const gains = new Map();
+    const readTime = new Map();
+    const disliked = new Set();
+    for (const e of events) {
+        const t = new Date(e.timestamp).getTime();
+        if (!e.articleId || t < from || t >= to) continue;
+        const id = idOf(e.articleId);
+        if (e.eventType === 'dislike') disliked.add(id);
+        else if (e.eventType === 'like' || e.eventType === 'save') gains.set(id, 3);
+        else if (e.eventType === 'read_time') readTime.set(id, (readTime.get(id) || 0) + (e.duration || 0));
+        else if (e.eventType === 'view' && !gains.has(id)) gains.set(id, 1);
+    }
+    for (const [id, seconds] of readTime) {
+        const gain = seconds >= FULL_READ_SECONDS ? 2 : 1;
+        if ((gains.get(id) || 0) < gain) gains.set(id, gain);
+    }
+    for (const id of disliked) gains.delete(id);
+    return gains;
+}
+
+/** NDCG@k of `rankedIds` against Map<id, gain>; null without relevant items. */
+function ndcgAtK(rankedIds, gains, k) {
+    if (!gains || gains.size === 0) return null;
+    const dcg = (list) => list.reduce((sum, gain, i) => sum + (2 ** gain - 1) / Math.log2(i + 2), 0);
+    const actual = dcg(rankedIds.slice(0, k).map((id) => gains.get(id) || 0));
+    const ideal = dcg([...gains.values()].sort((a, b) => b - a).slice(0, k));
+    return ideal > 0 ? actual / ideal : null;
+}
+
+/** Share of the relevant ids found in the top k; null without relevant items. */
+function recallAtK(rankedIds, relevant, k) {
+    const size = relevant instanceof Map || relevant instanceof Set ? relevant.size : 0;
+    if (size === 0) return null;
+    const top = new Set(rankedIds.slice(0, k));
+    let hits = 0;
+    for (const id of relevant.keys()) if (top.has(id)) hits++;
+    return hits / size;
+}
+
+/** Mean pairwise (1 − cosine) over articles with embedding_pca; null below two. */
+function intraListDiversity(articles) {
+    const vectors = articles.map((a) => a.embedding_pca).filter((v) => Array.isArray(v) && v.length > 0);
+    if (vectors.length < 2) return null;
+    let sum = 0;
+    let pairs = 0;
+    for (let i = 0; i < vectors.length; i++) {
+        for (let j = i + 1; j < vectors.length; j++) {
+            if (vectors[i].length !== vectors[j].length) continue;
+            sum += 1 - cosineSimilarity(vectors[i], vectors[j]);
+            pairs++;
+        }
+    }
+    return pairs > 0 ? sum / pairs : null;
+}
+
+/** { hhi, topShare } of source-group shares; null for an empty list. */
+function sourceConcentration(articles) {
+    if (!articles.length) return null;
+    const counts = new Map();
+    for (const a of articles) counts.set(groupOf(a), (counts.get(groupOf(a)) || 0) + 1);
+    let hhi = 0;
+    let top = 0;
+    for (const n of counts.values()) {
+        const share = n / articles.length;
+        hhi += share * share;
+        top = Math.max(top, share);
+    }
+    return { hhi, topShare: top };
+}
+
+/**
+ * Per-category engagement mean/stddev over the pool — the offline stand-in
+ * for getCategoryEngagementStats (same raw signal, same 5-sample floor).
+ */
+function categoryStatsFor(articles) {
+    const byCategory = new Map();
+    for (const a of articles) {
+        if (!a.category) continue;
+        const raw = (a.viewCount || 0) * viewsWeight + (a.likes || 0) * likesWeight + (a.dislikes || 0) * dislikesWeight;
+        if (!byCategory.has(a.category)) byCategory.set(a.category, []);
+        byCategory.get(a.category).push(raw);
+    }
+    const stats = new Map();
+    for (const [category, values] of byCategory) {
+        if (values.length < 5) continue;
+        const mean = values.reduce((s, v) => s + v, 0) / values.length;
+        const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
+        stats.set(category, { mean, stddev: Math.sqrt(variance) });
+    }
+    return stats;
+}
+
+/**
+ * Normalise a variants config. Each variant is { name, persW, mmr,
+ * interleave }: `persW` is a partial PERS_W merged onto the defaults,
+ * `mmr` / `interleave` are option objects or false to skip the pass.
+ * The production defaults are always evaluated first as "baseline".
+ */
+function normalizeVariants(config = {}) {
+    const invalid = (message) => Object.assign(new Error(message), { code: 'EVAL_CONFIG_INVALID' });
+    const list = Array.isArray(config) ? config : (config.variants || []);
+    const variants = [{ name: 'baseline', weights: PERS_W, mmr: {}, interleave: {} }];
+    for (const v of list) {
+        if (!v || typeof v.name !== 'string' || !v.name) throw invalid('every variant needs a name');
+        if (variants.some((x) => x.name === v.name)) throw invalid(`duplicate variant "${v.name}"`);
+        const persW = v.persW || {};
+        for (const [key, value] of Object.entries(persW)) {
+            if (!(key in PERS_W)) throw invalid(`variant "${v.name}": unknown PERS_W key "${key}"`);
+            if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid(`variant "${v.name}": ${key} must be a number`);
+        }
+        variants.push({
+            name: v.name,
+            weights: { ...PERS_W, ...persW },
+            mmr: v.mmr === false ? false : { ...(v.mmr || {}) },
+            interleave: v.interleave === false ? false : { ...(v.interleave || {}) },
+        });
+    }
+    return variants;
+}
+
+/**
+ * Top-k for one user under one variant — the personalized-light ordering:
+ * score → collapse story clusters → MMR → source interleave. Works on
+ * copies; the pool is shared across users and variants.
+ */
+function rankForUser(pool, ctx, variant, { k = 20, now } = {}) {
+    const candidates = pool
+        .filter((a) => !ctx.dislikedIds.has(idOf(a._id)))
+        .map((a) => ({ ...a }));
+    const W = variant.weights;
+
+    let scored;
+    if (ctx.hasSignal) {
+        scored = scorePersonalizedCandidates(candidates, ctx, { page: 1, weights: W, now, telemetry: false });
+    } else {
+        scored = scoreWithoutSignal(candidates, ctx, { weights: W, now });
+    }
+
+    scored = collapseStoryClusters(scored);
+    if (variant.mmr) {
+        scored = applyMMRDiversity(scored, { topN: MMR_TOP_N, lambda: MMR_LAMBDA, ...variant.mmr });
+    }
+    if (variant.interleave) {
+        scored = interleaveBySourceGroup(scored, {
+            minGap: 3,
+            perGroupCap: Math.max(2, Math.ceil(k * 0.15)),
+            fill: true,
+            ...variant.interleave,
+        });
+    }
+    return scored.slice(0, k);
+}
+
+const mean = (values) => {
+    const xs = values.filter((v) => typeof v === 'number');
+    return xs.length ? xs.reduce((s, v) => s + v, 0) / xs.length : null;
+};
+
+/**
+ * Evaluate one variant over `cases` ([{ ctx, gains }]) against the shared
+ * pool. Users without a relevant pool article should be dropped beforehand.
+ */
+function evaluateVariant(cases, pool, variant, { k = 20, now } = {}) {
+    const recommended = new Set();
+    const rows = cases.map(({ ctx, gains }) => {
+        const top = rankForUser(pool, ctx, variant, { k, now });
+        const ids = top.map((a) => idOf(a._id));
+        ids.forEach((id) => recommended.add(id));
+        const concentration = sourceConcentration(top);
+        return {
+            ndcg: ndcgAtK(ids, gains, k),
+            recall: recallAtK(ids, gains, k),
+            diversity: intraListDiversity(top),
+            sourceHHI: concentration?.hhi ?? null,
+            topSourceShare: concentration?.topShare ?? null,
+        };
+    });
+    return {
+        variant: variant.name,
+        users: cases.length,
+        ndcg: mean(rows.map((r) => r.ndcg)),
+        recall: mean(rows.map((r) => r.recall)),
+        coverage: pool.length ? recommended.size / pool.length : null,
+        diversity: mean(rows.map((r) => r.diversity)),
+        sourceHHI: mean(rows.map((r) => r.sourceHHI)),
+        topSourceShare: mean(rows.map((r) => r.topSourceShare)),
+    };
+}
+
+/** Every variant over the same split, each with deltas against baseline. */
+function compareVariants(cases, pool, variants, opts = {}) {
+    const results = variants.map((v) => evaluateVariant(cases, pool, v, opts));
+    const base = results[0];
+    for (const r of results.slice(1)) {
+        r.vsBaseline = {};
+        for (const m of ['ndcg', 'recall', 'coverage', 'diversity', 'sourceHHI', 'topSourceShare']) {
+            r.vsBaseline[m] = r[m] != null && base[m] != null ? r[m] - base[m] : null;
+        }
+    }
+    return results;
+}
+
+/**
+ * Load a time split from Mongo: test users (most engaged in the horizon
+ * first), their activity, and the article pool live at the cutoff with
+ * engagement counts as of the cutoff. Returns { cases, pool, now, skipped }.
+ */
+async function loadEvaluationSplit({ cutoff, horizonHours = 24, lookbackHours = 48, language = 'english', maxUsers = 500 }) {
+    const Article = require('../models/Article');
+    const User = require('../models/User');
+    const UserActivity = require('../models/UserActivity');
+
+    const now = new Date(cutoff);
+    const end = new Date(now.getTime() + horizonHours * 60 * 60 * 1000);
+    const historyStart = new Date(now.getTime() - HISTORY_DAYS * DAY_MS);
+
+    const poolDocs = await Article.aggregate([
+        { $match: { language, publishedAt: { $gte: new Date(now.getTime() - lookbackHours * 60 * 60 * 1000), $lt: now } } },
+        {
+            $lookup: {
+                from: 'sources',
+                localField: 'sourceId',
+                foreignField: '_id',
+                as: 'source',
+                pipeline: [
+                    { $match: { status: { $ne: 'blocked' } } },
+                    { $project: { groupName: 1, quality_score: 1 } },
+                ],
+            },
+        },
+        { $match: { 'source.0': { $exists: true } } },
+        {
+            $project: {
+                category: 1,
+                publishedAt: 1,
+                sourceId: 1,
+                storyClusterId: 1,
+                entities: 1,
+                embedding_pca: 1,
+                sourceGroupName: { $arrayElemAt: ['$source.groupName', 0] },
+                sourceQualityScore: { $arrayElemAt: ['$source.quality_score', 0] },
+            },
+        },
+    ]);
+    const poolIds = new Set(poolDocs.map((a) => idOf(a._id)));
+
+    const counts = await UserActivity.aggregate([
+        { $match: { articleId: { $in: poolDocs.map((a) => a._id) }, eventType: { $in: ['view', 'like', 'dislike'] }, timestamp: { $lt: now } } },
+        { $group: { _id: { article: '$articleId', type: '$eventType' }, n: { $sum: 1 } } },
+    ]);
+    const countsById = new Map();
+    for (const c of counts) {
+        const id = idOf(c._id.article);
+        if (!countsById.has(id)) countsById.set(id, {});
+        countsById.get(id)[c._id.type] = c.n;
+    }
+    const pool = poolDocs.map((a) => {
+        const c = countsById.get(idOf(a._id)) || {};
+        return { ...a, viewCount: c.view || 0, likes: c.like || 0, dislikes: c.dislike || 0 };
+    });
+
+    const testUsers = await UserActivity.aggregate([
+        { $match: { eventType: { $in: POSITIVE_EVENTS }, timestamp: { $gte: now, $lt: end }, articleId: { $in: poolDocs.map((a) => a._id) } } },
+        { $group: { _id: '$userId', n: { $sum: 1 } } },
+        { $sort: { n: -1 } },
+        { $limit: maxUsers },
+    ]);
+    const userIds = testUsers.map((u) => u._id).filter(Boolean);
+
+    const [users, events] = await Promise.all([
+        User.find({ supabase_id: { $in: userIds } })
+            .select('supabase_id preferred_categories preferred_sources muted_categories muted_sources following_sources followed_entities language')
+            .lean(),
+        UserActivity.find({ userId: { $in: userIds }, articleId: { $ne: null }, timestamp: { $gte: historyStart, $lt: end } })
+            .select('userId articleId eventType duration timestamp')
+            .lean(),
+    ]);
+
+    const eventsByUser = new Map();
+    for (const e of events) {
+        if (!eventsByUser.has(e.userId)) eventsByUser.set(e.userId, []);
+        eventsByUser.get(e.userId).push(e);
+    }
+    const historyIds = [...new Set(events.filter((e) => e.timestamp < now).map((e) => idOf(e.articleId)))];
+    const historyArticles = await Article.find({ _id: { $in: historyIds.map((id) => new mongoose.Types.ObjectId(id)) } })
+        .select('category embedding_pca')
+        .lean();
+    const articlesById = new Map(historyArticles.map((a) => [idOf(a._id), a]));
+
+    const categoryStats = categoryStatsFor(pool);
+    const cases = [];
+    let skipped = 0;
+    for (const user of users) {
+        const userEvents = eventsByUser.get(user.supabase_id) || [];
+        const gains = relevanceAfter(userEvents, now, end);
+        // Only articles the ranker could have shown count as relevant.
+        for (const id of [...gains.keys()]) if (!poolIds.has(id)) gains.delete(id);
+        if (gains.size === 0) {
+            skipped++;
+            continue;
+        }
+        const ctx = buildContextAsOf({ user, events: userEvents, articlesById, cutoff: now });
+        ctx.categoryStats = categoryStats;
+        cases.push({ ctx, gains });
+    }
+    return { cases, pool, now, end, skipped };
+}
+
+module.exports = {
+    HISTORY_DAYS,
+    ACTION_WEIGHTS,
+    buildContextAsOf,
+    relevanceAfter,
+    ndcgAtK,
+    recallAtK,
+    intraListDiversity,
+    sourceConcentration,
+    categoryStatsFor,
+    normalizeVariants,
+    rankForUser,
+    evaluateVariant,
+    compareVariants,
+    loadEvaluationSplit,
+};
@@ -0,0 +1,54 @@
+/**
+ * Claim queue shared by the per-reel media jobs (jobs/transcode-reels.js,
+ * jobs/transcribe-reels.js). Each job keeps its state in one Reel
+ * subdocument (`hls`, `transcript`) with status / attempts / startedAt /
+ * error, and a reel is pending for it when the subdocument is
+ *
+ *   - missing or has no status (never run),
+ *   - 'failed' with attempts left (MAX_ATTEMPTS), or
+ *   - 'processing' for longer than STALE_PROCESSING_MS — a claim from a
+ *     run that died.
+ *
+ * claimNextReel moves the newest pending reel to 'processing' in one
+ * findOneAndUpdate, so overlapping runs never work on the same reel.
+ */
+
+const Reel = require('../models/Reel');
+
+const MAX_ATTEMPTS = 3;
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+/** Reels with a video still pending for the job whose state is `field`. */
+function pendingReelQuery(field, now = new Date()) {
+    return {
+        videoUrl: { $exists: true, $nin: [null, ''] },
+        $or: [
+            { [`${field}.status`]: null }, // also matches reels without the field
+            { [`${field}.status`]: 'failed', [`${field}.attempts`]: { $lt: MAX_ATTEMPTS } },
+            { [`${field}.status`]: 'processing', [`${field}.startedAt`]: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+        ],
+    };
+}
+
+/**
+ * Claim the newest pending reel for `field`. Returns the Mongoose query, so
+ * jobs add their own select / populate; it resolves to null when none are
+ * left.
+ */
+function claimNextReel(field, now = new Date()) {
+    return Reel.findOneAndUpdate(
+        pendingReelQuery(field, now),
+        {
+            $set: { [`${field}.status`]: 'processing', [`${field}.startedAt`]: now, [`${field}.error`]: null },
+            $inc: { [`${field}.attempts`]: 1 },
+        },
+        { new: true, sort: { scrapedAt: -1 } }
+    );
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    STALE_PROCESSING_MS,
+    pendingReelQuery,
+    claimNextReel,
+};
@@ -0,0 +1,338 @@
+/**
+ * Reel watch telemetry -> retention curves and drop-off signals.
+ *
+ * Players batch playback events to POST /api/videos/reels/events:
+ *
+ *   { playbackId, reelId, type, position?, duration?, quartile?, watchedMs?, at? }
+ *
+ * `type` is one of EVENT_TYPES; `playbackId` is client-generated and ties
+ * the events of one play together; `position` / `duration` are seconds;
+ * progress events carry `quartile` 1-4 (25/50/75/100%); the exit event
+ * carries the position the viewer left at and `watchedMs` (loops
+ * included). Events are folded into one ReelWatchBucket per reel per UTC
+ * hour with $inc (bucketWriteOps), so storage grows with reels x hours,
+ * not with plays.
+ *
+ * A reel's buckets sum into a per-second retention curve (buildRetention):
+ * the share of measured playbacks still watching at each second, from the
+ * exit-position histogram. jobs/aggregate-reel-retention.js keeps a compact
+ * summary on Reel.retention, which the feed scorers in routes/videos.js
+ * turn into a score adjustment (retentionSignals).
+ */
+
+const RETENTION = {
+    MAX_BATCH: 200,
+    // Batches one user (or IP, for guests) may post per minute.
+    MAX_BATCHES_PER_MINUTE: 30,
+    // Exit positions past this pool into its bucket; reels are short.
+    MAX_TRACKED_SECONDS: 180,
+    // Leaving within this many seconds counts as an early drop.
+    EARLY_DROP_SECONDS: 3,
+    // Exits this close to the end count as watched to the end.
+    FINISH_SLACK_SECONDS: 0.5,
+    CURVE_POINTS: 20, // duration-relative points, every 5%
+    WINDOW_DAYS: 30,
+    MAX_WINDOW_DAYS: 90, // ReelWatchBucket TTL
+    // Event timestamps outside [now - this, now] are replaced with now.
+    MAX_EVENT_AGE_MS: 24 * 60 * 60 * 1000,
+    MAX_WATCHED_MS: 60 * 60 * 1000,
+    // Below this many measured playbacks the scorers ignore retention.
+    MIN_EXITS_FOR_SCORING: 30,
+    CACHE_TTL: 300, // GET /reels/:reelId/retention
+};
+
+const EVENT_TYPES = ['start', 'progress', 'seek', 'loop', 'mute', 'unmute', 'exit'];
+const QUARTILE_KEYS = ['q25', 'q50', 'q75', 'q100'];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const round4 = (x) => Math.round(x * 10000) / 10000;
+const ratio = (n, d) => (d > 0 ? round4(n / d) : null);
+
+function toSeconds(value) {
+    const n = Number(value);
+    return value != null && value !== '' && Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function eventTime(value, now) {
+    const t = value == null ? NaN : new Date(value).getTime();
+    if (!Number.isFinite(t) || t > now + 60 * 1000 || t < now - RETENTION.MAX_EVENT_AGE_MS) return new Date(now);
+    return new Date(t);
+}
+
+/**
+ * Validate one raw event into { playbackId, reelId, type, at, position?,
+ * duration?, quartile?, watchedMs? }, or null when it can't be used.
+ * Progress events need a quartile and exit events a position. Pure.
+ */
+function normalizeEvent(raw, now = Date.now()) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (!EVENT_TYPES.includes(raw.type)) return null;
+    const reelId = String(raw.reelId || '');
+    if (!OBJECT_ID.test(reelId)) return null;
+    const playbackId = typeof raw.playbackId === 'string' ? raw.playbackId.trim().slice(0, 64) : '';
+    if (!playbackId) return null;
+
+    const event = { playbackId, reelId, type: raw.type, at: eventTime(raw.at, now) };
+    const position = toSeconds(raw.position);
+    const duration = toSeconds(raw.duration);
+    if (position !== null) event.position = position;
+    if (duration) event.duration = duration;
+
+    if (raw.type === 'progress') {
+        const quartile = Number(raw.quartile);
+        if (!Number.isInteger(quartile) || quartile < 1 || quartile > 4) return null;
+        event.quartile = quartile;
+    }
+    if (raw.type === 'exit') {
+        if (position === null) return null;
+        const watchedMs = toSeconds(raw.watchedMs);
+        if (watchedMs !== null) event.watchedMs = Math.min(Math.round(watchedMs), RETENTION.MAX_WATCHED_MS);
+    }
+    return event;
+}
+
+/** normalizeEvent over a batch: { events, rejected }. Pure. */
+function normalizeEvents(rawEvents, now = Date.now()) {
+    const events = [];
+    let rejected = 0;
+    for (const raw of rawEvents || []) {
+        const event = normalizeEvent(raw, now);
+        if (event) events.push(event);
+        else rejected++;
+    }
+    return { events, rejected };
+}
+
+/**
+ * Drop events for reels that don't exist (`knownIds`, a Set of reel ID
+ * strings), counting them as rejected: { events, rejected }. Pure.
+ */
+function knownReelEvents(events, knownIds) {
+    const kept = events.filter((e) => knownIds.has(e.reelId));
+    return { events: kept, rejected: events.length - kept.length };
+}
+
+function hourStart(date) {
+    const d = new Date(date);
+    d.setUTCMinutes(0, 0, 0);
+    return d;
+}
+
+/**
+ * Fold normalised events into ReelWatchBucket bulkWrite upserts, one per
+ * reel-hour touched. An exit counts as finished when the same batch saw
+ * the playback loop or it left within FINISH_SLACK_SECONDS of the end;
+ * otherwise it lands in the exit-second histogram. A quartile counts once
+ * per playback within the batch. Pure.
+ */
+function bucketWriteOps(events, now = new Date()) {
+    const looped = new Set(events.filter((e) => e.type === 'loop').map((e) => `${e.reelId}:${e.playbackId}`));
+    const seenQuartiles = new Set();
+    const buckets = new Map();
+
+    for (const e of events) {
+        const hour = hourStart(e.at);
+        const key = `${e.reelId}:${hour.toISOString()}`;
+        if (!buckets.has(key)) buckets.set(key, { reelId: e.reelId, hour, inc: {}, duration: null });
+        const bucket = buckets.get(key);
+        const add = (field, n = 1) => {
+            bucket.inc[field] = (bucket.inc[field] || 0) + n;
+        };
+        if (e.duration) bucket.duration = Math.max(bucket.duration || 0, e.duration);
+
+        switch (e.type) {
+            case 'start':
+                add('plays');
+                break;
+            case 'progress': {
+                const seen = `${e.reelId}:${e.playbackId}:${e.quartile}`;
+                if (!seenQuartiles.has(seen)) {
+                    seenQuartiles.add(seen);
+                    add(`quartiles.${QUARTILE_KEYS[e.quartile - 1]}`);
+                }
+                break;
+            }
+            case 'seek':
+                add('seeks');
+                break;
+            case 'loop':
+                add('loops');
+                break;
+            case 'mute':
+                add('mutes');
+                break;
+            case 'unmute':
+                add('unmutes');
+                break;
+            case 'exit': {
+                add('exits');
+                if (e.watchedMs) add('watchMs', e.watchedMs);
+                const finished = looped.has(`${e.reelId}:${e.playbackId}`)
+                    || (e.duration && e.position >= e.duration - RETENTION.FINISH_SLACK_SECONDS);
+                if (finished) add('finished');
+                else add(`exitSeconds.${Math.min(Math.floor(e.position), RETENTION.MAX_TRACKED_SECONDS)}`);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    return [...buckets.values()].filter((b) => Object.keys(b.inc).length > 0).map((b) => {
+        const update = { $inc: b.inc, $set: { updatedAt: now } };
+        if (b.duration) update.$max = { duration: b.duration };
+        return { updateOne: { filter: { reelId: b.reelId, hour: b.hour }, update, upsert: true } };
+    });
+}
+
+/** Sum buckets (lean documents or the like) into one set of totals. Pure. */
+function mergeBuckets(buckets) {
+    const totals = {
+        plays: 0, loops: 0, seeks: 0, mutes: 0, unmutes: 0, exits: 0, finished: 0, watchMs: 0,
+        quartiles: { q25: 0, q50: 0, q75: 0, q100: 0 },
+        exitSeconds: new Map(),
+        duration: null,
+    };
+    for (const b of buckets || []) {
+        for (const field of ['plays', 'loops', 'seeks', 'mutes', 'unmutes', 'exits', 'finished', 'watchMs']) {
+            totals[field] += b[field] || 0;
+        }
+        for (const q of QUARTILE_KEYS) totals.quartiles[q] += b.quartiles?.[q] || 0;
+        const seconds = b.exitSeconds instanceof Map ? [...b.exitSeconds] : Object.entries(b.exitSeconds || {});
+        for (const [second, count] of seconds) {
+            const s = Number(second);
+            totals.exitSeconds.set(s, (totals.exitSeconds.get(s) || 0) + (count || 0));
+        }
+        if (b.duration) totals.duration = Math.max(totals.duration || 0, b.duration);
+    }
+    return totals;
+}
+
+/**
+ * Retention of a reel from its buckets. `duration` (seconds, e.g. the
+ * transcoder's) wins over what players reported.
+ *
+ *   curve       [{ second, retention }] share of measured playbacks (exits)
+ *               still watching at the start of each second
+ *   points      [{ at, retention }] the same at every 5% of the duration
+ *   quartiles   share of plays that reached each quartile
+ *   steepestDrop the second most viewers left at, { second, share }
+ *
+ * plus completion / loop / seek / mute / early-drop rates and midpoint
+ * retention. Rates are null when there is nothing to divide by. Pure.
+ */
+function buildRetention(buckets, { duration = null } = {}) {
+    const t = mergeBuckets(buckets);
+    const length = duration || t.duration || null;
+    const trackedSeconds = [...t.exitSeconds.keys()];
+    const lastSecond = length
+        ? Math.min(Math.ceil(length), RETENTION.MAX_TRACKED_SECONDS)
+        : (trackedSeconds.length ? Math.max(...trackedSeconds) + 1 : 0);
+
+    const curve = [];
+    let left = 0;
+    for (let second = 0; second <= lastSecond; second++) {
+        curve.push({ second, retention: ratio(t.exits - left, t.exits) });
+        left += t.exitSeconds.get(second) || 0;
+    }
+    const retentionAt = (fraction) => {
+        if (!length || !curve.length) return null;
+        return curve[Math.min(Math.floor(fraction * length), curve.length - 1)].retention;
+    };
+
+    const points = [];
+    if (length) {
+        for (let i = 1; i <= RETENTION.CURVE_POINTS; i++) {
+            const at = round4(i / RETENTION.CURVE_POINTS);
+            points.push({ at, retention: retentionAt(at) });
+        }
+    }
+
+    let earlyDrops = 0;
+    let steepestDrop = null;
+    for (const [second, count] of t.exitSeconds) {
+        if (second < RETENTION.EARLY_DROP_SECONDS) earlyDrops += count;
+        if (count > 0 && (!steepestDrop || count > steepestDrop.count || (count === steepestDrop.count && second < steepestDrop.second))) {
+            steepestDrop = { second, count };
+        }
+    }
+
+    const quartiles = {};
+    for (const q of QUARTILE_KEYS) quartiles[q] = ratio(t.quartiles[q], t.plays);
+
+    return {
+        plays: t.plays,
+        exits: t.exits,
+        finished: t.finished,
+        duration: length,
+        curve,
+        points,
+        quartiles,
+        completionRate: ratio(t.finished, t.exits),
+        loopRate: ratio(t.loops, t.plays),
+        seekRate: ratio(t.seeks, t.plays),
+        muteRate: ratio(t.mutes, t.plays),
+        earlyDropRate: ratio(earlyDrops, t.exits),
+        midRetention: length ? retentionAt(0.5) : quartiles.q50,
+        avgWatchSeconds: t.exits > 0 ? Math.round(t.watchMs / t.exits / 100) / 10 : null,
+        steepestDrop: steepestDrop ? { second: steepestDrop.second, share: ratio(steepestDrop.count, t.exits) } : null,
+    };
+}
+
+/** The scalar part of buildRetention's output, as stored on Reel.retention. Pure. */
+function retentionSummary(retention, now = new Date()) {
+    return {
+        plays: retention.plays,
+        exits: retention.exits,
+        completionRate: retention.completionRate,
+        loopRate: retention.loopRate,
+        earlyDropRate: retention.earlyDropRate,
+        midRetention: retention.midRetention,
+        avgWatchSeconds: retention.avgWatchSeconds,
+        updatedAt: now,
+    };
+}
+
+/**
+ * Feed-scoring signals from a Reel.retention summary:
+ *   watchAdjustment  added to predictWatchTime's score (-0.2 .. +0.15)
+ *   multiplier       1 + watchAdjustment, for calculateHybridScore
+ * Neutral (0 / 1) until MIN_EXITS_FOR_SCORING playbacks have been
+ * measured. Midpoint retention moves the score either way; early drops
+ * above 30% of playbacks and loops (rewatches) count on top. Pure.
+ */
+function retentionSignals(summary) {
+    if (!summary || (summary.exits || 0) < RETENTION.MIN_EXITS_FOR_SCORING) {
+        return { reliable: false, watchAdjustment: 0, multiplier: 1 };
+    }
+    let adjustment = 0;
+    if (summary.midRetention != null) adjustment += (summary.midRetention - 0.5) * 0.2;
+    if (summary.earlyDropRate != null) adjustment -= Math.max(0, summary.earlyDropRate - 0.3) * 0.3;
+    if (summary.loopRate) adjustment += Math.min(summary.loopRate, 0.5) * 0.1;
+    adjustment = round4(Math.max(-0.2, Math.min(0.15, adjustment)));
+    return { reliable: true, watchAdjustment: adjustment, multiplier: 1 + adjustment };
+}
+
+/**
+ * The bucket window for `days` (default WINDOW_DAYS, clamped to 1 ..
+ * MAX_WINDOW_DAYS): { days, from } where `from` is the oldest bucket hour
+ * in it. Pure.
+ */
+function retentionWindow(days, now = Date.now()) {
+    const d = Math.max(1, Math.min(RETENTION.MAX_WINDOW_DAYS, parseInt(days, 10) || RETENTION.WINDOW_DAYS));
+    return { days: d, from: hourStart(new Date(now - d * 24 * 60 * 60 * 1000)) };
+}
+
+module.exports = {
+    RETENTION,
+    EVENT_TYPES,
+    normalizeEvent,
+    normalizeEvents,
+    knownReelEvents,
+    bucketWriteOps,
+    mergeBuckets,
+    buildRetention,
+    retentionSummary,
+    retentionSignals,
+    retentionWindow,
+};
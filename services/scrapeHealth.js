@@ -0,0 +1,245 @@
+// services/scrapeHealth.js
+//
+// Per-source scrape run history and health.
+//
+// Every source in a scrapeAllSources() pass gets a run-stats object that the
+// HTML and feed flows fill in as they go (see newRunStats). When the source
+// finishes — successfully or not — recordRun() persists it as a ScrapeRun and
+// maintains Source.consecutiveEmptyRuns. After SUSPEND_AFTER_EMPTY_RUNS empty
+// runs in a row the source is suspended, which takes it out of the scrape
+// rotation until an admin reactivates it.
+//
+// "Empty" means nothing new AND nothing already known: a source whose listing
+// still links to stories we have is healthy on a quiet day; one that yields no
+// links, or only unusable pages, is broken. An unchanged feed (304) is never
+// empty, and neither is a run the politeness scheduler skipped (the host is
+// backing off, or robots.txt disallows the listing): it says nothing about
+// the source, and a site that only rate-limits us must not be suspended.
+const mongoose = require('mongoose');
+const ScrapeRun = require('../models/ScrapeRun');
+const Source = require('../models/Source');
+const { newQualityCounts } = require('./contentQuality');
+
+const SUSPEND_AFTER_EMPTY_RUNS = parseInt(process.env.SCRAPE_SUSPEND_AFTER_EMPTY_RUNS, 10) || 8;
+const DEFAULT_HEALTH_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// scraper/politeness.js errors thrown without contacting the site.
+const POLITENESS_SKIP_CODES = new Set(['HOST_BACKOFF', 'ROBOTS_DISALLOWED']);
+
+/** Mutable counters the scrape flows fill in for one source. */
+function newRunStats() {
+    return {
+        found: 0,
+        new: 0,
+        duplicate: 0,
+        failed: 0,
+        httpStatus: null,
+        strategy: null,
+        extractStrategies: {},
+        // classifyContent labels of the extractions that got past dedupe.
+        contentQuality: newQualityCounts(),
+        usedPuppeteer: false,
+        notModified: false,
+        // Politeness error code when the listing/feed was never fetched.
+        skipped: null,
+        error: null,
+    };
+}
+
+/** Note on the run when `err` is a politeness skip rather than a failure. */
+function markPolitenessSkip(run, err) {
+    if (POLITENESS_SKIP_CODES.has(err?.code)) run.skipped = err.code;
+}
+
+function isEmptyRun(run) {
+    return !run.notModified && !run.skipped && run.new === 0 && run.duplicate === 0;
+}
+
+/**
+ * Persist one run and apply the suspension rule. Never throws — losing a
+ * health record must not fail the scrape that produced it.
+ */
+async function recordRun(source, run, { frequency = null, startedAt, finishedAt = new Date() } = {}) {
+    const empty = isEmptyRun(run);
+    try {
+        await ScrapeRun.create({
+            sourceId: source._id,
+            frequency,
+            startedAt,
+            finishedAt,
+            durationMs: finishedAt - startedAt,
+            found: run.found,
+            new: run.new,
+            duplicate: run.duplicate,
+            failed: run.failed,
+            httpStatus: run.httpStatus,
+            strategy: run.strategy,
+            extractStrategies: Object.keys(run.extractStrategies || {}).length ? run.extractStrategies : undefined,
+            contentQuality: run.contentQuality,
+            usedPuppeteer: run.usedPuppeteer,
+            skipped: run.skipped || null,
+            error: run.error ? String(run.error).slice(0, 1000) : null,
+            empty,
+        });
+
+        if (!empty) {
+            if (source.consecutiveEmptyRuns) {
+                await Source.updateOne({ _id: source._id }, { $set: { consecutiveEmptyRuns: 0 } });
+            }
+            return { empty, suspended: false };
+        }
+
+        const updated = await Source.findOneAndUpdate(
+            { _id: source._id },
+            { $inc: { consecutiveEmptyRuns: 1 } },
+            { new: true, projection: { consecutiveEmptyRuns: 1, status: 1, name: 1 } }
+        );
+        if (updated && updated.consecutiveEmptyRuns >= SUSPEND_AFTER_EMPTY_RUNS && (updated.status === 'active' || !updated.status)) {
+            const reason = `${updated.consecutiveEmptyRuns} consecutive empty scrape runs` +
+                (run.error ? ` (last error: ${String(run.error).slice(0, 200)})` : '');
+            await Source.updateOne(
+                { _id: source._id },
+                { $set: { status: 'suspended', suspendedAt: finishedAt, suspendedReason: reason } }
+            );
+            console.warn(`⛔ Suspended source ${updated.name}: ${reason}`);
+            return { empty, suspended: true };
+        }
+        return { empty, suspended: false };
+    } catch (err) {
+        console.error(`⚠️ Failed to record scrape run for ${source.name}:`, err.message);
+        return { empty, suspended: false };
+    }
+}
+
+const successExpr = { $and: [{ $eq: ['$empty', false] }, { $eq: [{ $ifNull: ['$error', null] }, null] }] };
+
+function rate(successful, runs) {
+    return runs > 0 ? Math.round((successful / runs) * 1000) / 1000 : null;
+}
+
+/**
+ * Health for one source: overall summary, 24h vs 7d success rates (the
+ * "trend" an admin scans for), a per-day series and the most recent runs.
+ */
+async function getSourceHealth(sourceId, { days = DEFAULT_HEALTH_DAYS, recent = 20, now = new Date() } = {}) {
+    const since = new Date(now.getTime() - days * DAY_MS);
+    const id = new mongoose.Types.ObjectId(String(sourceId));
+
+    const [daily, recentRuns, lastWeek] = await Promise.all([
+        ScrapeRun.aggregate([
+            { $match: { sourceId: id, startedAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } },
+                    runs: { $sum: 1 },
+                    successful: { $sum: { $cond: [successExpr, 1, 0] } },
+                    new: { $sum: '$new' },
+                    duplicate: { $sum: '$duplicate' },
+                    failed: { $sum: '$failed' },
+                    puppeteerRuns: { $sum: { $cond: ['$usedPuppeteer', 1, 0] } },
+                    avgDurationMs: { $avg: '$durationMs' },
+                },
+            },
+            { $sort: { _id: 1 } },
+        ]),
+        ScrapeRun.find({ sourceId: id }).sort({ startedAt: -1 }).limit(recent).lean(),
+        // 24h/7d rates come from the raw runs so they are not skewed by day boundaries.
+        ScrapeRun.find(
+            { sourceId: id, startedAt: { $gte: new Date(now.getTime() - 7 * DAY_MS) } },
+            { startedAt: 1, empty: 1, error: 1 }
+        ).lean(),
+    ]);
+
+    const windowRate = (ms) => {
+        const cutoff = now.getTime() - ms;
+        const runs = lastWeek.filter(r => new Date(r.startedAt).getTime() >= cutoff);
+        return rate(runs.filter(r => !r.empty && !r.error).length, runs.length);
+    };
+
+    const totals = daily.reduce((acc, d) => {
+        acc.runs += d.runs;
+        acc.successful += d.successful;
+        acc.new += d.new;
+        acc.duplicate += d.duplicate;
+        acc.failed += d.failed;
+        acc.puppeteerRuns += d.puppeteerRuns;
+        return acc;
+    }, { runs: 0, successful: 0, new: 0, duplicate: 0, failed: 0, puppeteerRuns: 0 });
+
+    const lastError = recentRuns.find(r => r.error);
+    return {
+        days,
+        summary: {
+            ...totals,
+            successRate: rate(totals.successful, totals.runs),
+            successRate24h: windowRate(DAY_MS),
+            successRate7d: windowRate(7 * DAY_MS),
+            lastRunAt: recentRuns[0]?.startedAt || null,
+            lastSuccessAt: recentRuns.find(r => !r.empty && !r.error)?.startedAt || null,
+            lastError: lastError ? { at: lastError.startedAt, message: lastError.error } : null,
+        },
+        daily: daily.map(d => ({
+            date: d._id,
+            runs: d.runs,
+            successful: d.successful,
+            successRate: rate(d.successful, d.runs),
+            new: d.new,
+            duplicate: d.duplicate,
+            failed: d.failed,
+            puppeteerRuns: d.puppeteerRuns,
+            avgDurationMs: Math.round(d.avgDurationMs || 0),
+        })),
+        recentRuns,
+    };
+}
+
+/** Success rate per source over the window, worst first — the admin triage list. */
+async function getHealthOverview({ days = 1, now = new Date() } = {}) {
+    const since = new Date(now.getTime() - days * DAY_MS);
+    const rows = await ScrapeRun.aggregate([
+        { $match: { startedAt: { $gte: since } } },
+        { $sort: { startedAt: 1 } },
+        {
+            $group: {
+                _id: '$sourceId',
+                runs: { $sum: 1 },
+                successful: { $sum: { $cond: [successExpr, 1, 0] } },
+                new: { $sum: '$new' },
+                lastRunAt: { $last: '$startedAt' },
+                lastError: { $last: '$error' },
+            },
+        },
+    ]);
+    const sources = await Source.find(
+        { _id: { $in: rows.map(r => r._id) } },
+        { name: 1, status: 1, consecutiveEmptyRuns: 1 }
+    ).lean();
+    const byId = new Map(sources.map(s => [String(s._id), s]));
+
+    return rows
+        .map(r => {
+            const s = byId.get(String(r._id)) || {};
+            return {
+                sourceId: r._id,
+                name: s.name || null,
+                status: s.status || null,
+                consecutiveEmptyRuns: s.consecutiveEmptyRuns || 0,
+                runs: r.runs,
+                successRate: rate(r.successful, r.runs),
+                new: r.new,
+                lastRunAt: r.lastRunAt,
+                lastError: r.lastError || null,
+            };
+        })
+        .sort((a, b) => a.successRate - b.successRate || b.consecutiveEmptyRuns - a.consecutiveEmptyRuns);
+}
+
+module.exports = {
+    SUSPEND_AFTER_EMPTY_RUNS,
+    newRunStats,
+    isEmptyRun,
+    markPolitenessSkip,
+    recordRun,
+    getSourceHealth,
+    getHealthOverview,
+};
@@ -0,0 +1,227 @@
+/**
+ * Short-term (session) interest model.
+ *
+ * The long-term profile (ctx from computeUserPersonalizationContext, the
+ * nightly embedding cron) can't see what a user has been reading in the
+ * last few minutes. This keeps a per-user session vector in Redis: a
+ * decayed, weighted sum of the embedding_pca of articles viewed or read
+ * this session, plus a decayed category histogram. The feed scorer
+ * (services/feedRanking.js) blends both in, so a user who binge-reads
+ * football gets more football on the next page of the same session.
+ *
+ *   - Updated on POST /api/user/article/:articleId/view (weight 1) and on
+ *     read_time events at POST /api/engagement/log (up to 2 for a full
+ *     read — FULL_READ_SECONDS).
+ *   - Decays within the session: every weight halves each
+ *     SESSION_HALF_LIFE_MS, so the last few reads dominate.
+ *   - The session ends after SESSION_TTL_SEC without a signal (sliding
+ *     Redis TTL); the next one starts empty.
+ *
+ * Concurrent signals (a view and a read_time for the same page arrive
+ * together) must not overwrite each other, so the state is a Redis hash
+ * updated with HINCRBYFLOAT rather than read, changed and written back.
+ * That needs a state where a signal is a pure addition: every sum is kept
+ * scaled to the session's epoch (its first signal), a signal at t adding
+ * w · 2^((t − epoch) / half-life), and readers divide the common factor
+ * 2^((now − epoch) / half-life) back out. Hash fields:
+ *
+ *   epoch, dim   first signal time and embedding size (HSETNX, set once)
+ *   n            signals folded in
+ *   w, v:<i>     embedding weight and weighted embedding sum
+ *   c:<cat>      category weights
+ *
+ * The state math is pure (signalIncrements / applySignal / stateFromHash /
+ * sessionSnapshot) and unit-tested; recordSessionSignal /
+ * loadSessionInterest are the Redis wrappers.
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const redis = require('../utils/redis');
+const { FULL_READ_SECONDS } = require('./feedRanking');
+
+const SESSION_TTL_SEC = 30 * 60; // 30 min of inactivity ends the session
+const SESSION_HALF_LIFE_MS = 10 * 60 * 1000;
+// Total decayed weight at which the session signal reaches full strength.
+// One view alone moves the feed a third of the way.
+const SESSION_FULL_WEIGHT = 3;
+// Categories that have decayed below this are left out of the snapshot.
+const MIN_CATEGORY_WEIGHT = 0.05;
+
+function sessionKey(userId) {
+    return `sess_int_v2:${userId}`;
+}
+
+/** Signal weight for an activity event, or 0 when it shouldn't count. */
+function signalWeight(eventType, duration) {
+    if (eventType === 'view') return 1;
+    if (eventType === 'read_time') {
+        const seconds = Number(duration) || 0;
+        if (seconds <= 0) return 0;
+        return 2 * Math.min(1, seconds / FULL_READ_SECONDS);
+    }
+    return 0;
+}
+
+/** 2^((at − epoch) / half-life): the scale of a signal at `at`. */
+function growthFactor(epoch, at) {
+    return Math.pow(2, Math.max(0, at - epoch) / SESSION_HALF_LIFE_MS);
+}
+
+/**
+ * Hash increments for one signal in a session started at `epoch` whose
+ * embeddings have `dim` dimensions. Embeddings of another size (the PCA
+ * model changed mid-session) count by category only.
+ */
+function signalIncrements({ epoch, dim }, { embedding = null, category = null, weight, at }) {
+    const g = growthFactor(epoch, at);
+    const inc = {};
+    // Only a week of unbroken activity overflows the scale; drop the signal.
+    if (!(weight > 0) || !Number.isFinite(g)) return inc;
+    if (Array.isArray(embedding) && embedding.length > 0 && embedding.length === dim) {
+        inc.w = weight * g;
+        embedding.forEach((x, i) => { inc[`v:${i}`] = x * weight * g; });
+    }
+    if (category) inc[`c:${category}`] = weight * g;
+    return inc;
+}
+
+function emptyState(at, dim) {
+    return { epoch: at, dim, signals: 0, weight: 0, vector: null, categories: {} };
+}
+
+/**
+ * Fold one signal into a session state in memory (returns a new state) —
+ * what recordSessionSignal does to the Redis hash. `embedding` may be
+ * missing; the category histogram still updates.
+ */
+function applySignal(state, { embedding = null, category = null, weight, at = Date.now() }) {
+    const size = Array.isArray(embedding) ? embedding.length : 0;
+    const prev = state || emptyState(at, size);
+    const dim = prev.dim || size;
+    const inc = signalIncrements({ epoch: prev.epoch, dim }, { embedding, category, weight, at });
+    const next = {
+        epoch: prev.epoch,
+        dim,
+        signals: prev.signals + 1,
+        weight: prev.weight + (inc.w || 0),
+        vector: prev.vector ? [...prev.vector] : null,
+        categories: { ...prev.categories },
+    };
+    if (inc.w) next.vector = Array.from({ length: dim }, (_, i) => (next.vector?.[i] || 0) + inc[`v:${i}`]);
+    if (category && inc[`c:${category}`]) next.categories[category] = (next.categories[category] || 0) + inc[`c:${category}`];
+    return next;
+}
+
+/** Session state from the Redis hash (HGETALL), or null when there is none. */
+function stateFromHash(hash) {
+    if (!hash || hash.epoch == null) return null;
+    const dim = Number(hash.dim) || 0;
+    const state = {
+        epoch: Number(hash.epoch),
+        dim,
+        signals: Number(hash.n) || 0,
+        weight: Number(hash.w) || 0,
+        vector: dim > 0 && hash['v:0'] != null ? Array.from({ length: dim }, (_, i) => Number(hash[`v:${i}`]) || 0) : null,
+        categories: {},
+    };
+    for (const [field, value] of Object.entries(hash)) {
+        if (field.startsWith('c:')) state.categories[field.slice(2)] = Number(value) || 0;
+    }
+    return state;
+}
+
+/**
+ * What the scorer reads, decayed to `now`:
+ *   embedding   weighted centroid of the session's articles (or null)
+ *   categories  Map<category, share of the decayed category weight>
+ *   strength    [0, 1], how much session evidence there is
+ *   signals     events folded in (cache-key salt)
+ * Null when there is no session.
+ */
+function sessionSnapshot(state, now = Date.now()) {
+    if (!state || !state.signals) return null;
+    const k = 1 / growthFactor(state.epoch, now);
+    const categoryWeights = Object.entries(state.categories || {})
+        .map(([cat, w]) => [cat, w * k])
+        .filter(([, w]) => w >= MIN_CATEGORY_WEIGHT);
+    const categoryTotal = categoryWeights.reduce((sum, [, w]) => sum + w, 0);
+    const decayedWeight = state.weight * k;
+    const strength = Math.min(1, Math.max(decayedWeight, categoryTotal) / SESSION_FULL_WEIGHT);
+    if (strength <= 0) return null;
+    return {
+        // The scale applies to the sum and the weight alike, so the centroid
+        // itself doesn't change between signals — only its strength fades.
+        embedding: state.vector && state.weight > 0 ? state.vector.map((x) => x / state.weight) : null,
+        categories: new Map(categoryTotal > 0 ? categoryWeights.map(([cat, w]) => [cat, w / categoryTotal]) : []),
+        strength,
+        signals: state.signals,
+    };
+}
+
+/**
+ * Record a view / read_time for the user's session. Fire-and-forget from
+ * the tracking routes: failures are logged, never thrown.
+ *
+ * Two MULTIs: the first starts the session if needed and reads its epoch,
+ * the second adds the signal. Increments commute, so concurrent signals
+ * for one user all land whatever order they arrive in.
+ */
+async function recordSessionSignal(userId, articleId, { eventType, duration, at = Date.now() } = {}) {
+    const weight = signalWeight(eventType, duration);
+    if (!userId || !articleId || weight <= 0) return null;
+    if (!mongoose.Types.ObjectId.isValid(articleId)) return null;
+    try {
+        const article = await Article.findById(articleId).select('category embedding_pca').lean();
+        if (!article) return null;
+        const key = sessionKey(userId);
+        const size = Array.isArray(article.embedding_pca) ? article.embedding_pca.length : 0;
+        const head = await redis.multi([
+            ['hsetnx', key, 'epoch', at],
+            ...(size > 0 ? [['hsetnx', key, 'dim', size]] : []),
+            ['expire', key, SESSION_TTL_SEC],
+            ['hmget', key, 'epoch', 'dim'],
+        ]);
+        if (!head) return null;
+        const [epoch, dim] = head[head.length - 1].map(Number);
+        const inc = signalIncrements({ epoch, dim }, {
+            embedding: article.embedding_pca,
+            category: article.category,
+            weight,
+            at,
+        });
+        await redis.multi([
+            ...Object.entries(inc).map(([field, value]) => ['hincrbyfloat', key, field, value]),
+            ['hincrby', key, 'n', 1],
+            ['expire', key, SESSION_TTL_SEC],
+        ]);
+        return inc;
+    } catch (err) {
+        console.warn(`⚠️ session interest update failed for ${userId}: ${err.message}`);
+        return null;
+    }
+}
+
+/** The user's current session snapshot, or null. */
+async function loadSessionInterest(userId, now = Date.now()) {
+    if (!userId) return null;
+    try {
+        return sessionSnapshot(stateFromHash(await redis.hgetall(sessionKey(userId))), now);
+    } catch (err) {
+        console.warn(`⚠️ session interest read failed for ${userId}: ${err.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    SESSION_TTL_SEC,
+    SESSION_HALF_LIFE_MS,
+    SESSION_FULL_WEIGHT,
+    signalWeight,
+    signalIncrements,
+    applySignal,
+    stateFromHash,
+    sessionSnapshot,
+    recordSessionSignal,
+    loadSessionInterest,
+};
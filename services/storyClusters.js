@@ -0,0 +1,158 @@
+/**
+ * Story clusters — ingest-time near-duplicate grouping across sources.
+ *
+ * Every new article is fingerprinted (utils/nearDuplicate.js) and matched
+ * against recent articles sharing an LSH band. A match joins the existing
+ * cluster; otherwise the article starts its own. `storyClusterId` is the _id
+ * of the cluster's canonical representative — the first version of the story
+ * we ingested — so the canonical is simply the member whose _id equals it.
+ *
+ * Feeds collapse a cluster to a single card (the best-ranked member on the
+ * page, which respects the user's source preferences) and label it "also
+ * covered by N sources" via attachStoryCoverage().
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const { fingerprint, estimateJaccard } = require('../utils/nearDuplicate');
+
+// Estimated Jaccard at or above this is the same story outright.
+const JACCARD_MATCH = 0.5;
+// Between this and JACCARD_MATCH the text is ambiguous (heavy rewrite, or two
+// different stories on one topic); embedding_pca similarity decides.
+const JACCARD_AMBIGUOUS = 0.25;
+const EMBEDDING_TIEBREAK = 0.9;
+// Wire stories are republished within hours; 3 days bounds the lookup.
+const CLUSTER_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+const MAX_CANDIDATES = 50;
+
+function cosine(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+/**
+ * Best cluster match for a fingerprinted article among candidates, or null.
+ * Pure so the thresholds can be tested without Mongo.
+ */
+function pickClusterMatch(article, candidates) {
+    let best = null;
+    for (const c of candidates) {
+        const jaccard = estimateJaccard(article.minhash, c.minhash);
+        let similarity = null;
+        let method = null;
+        if (jaccard >= JACCARD_MATCH) {
+            method = 'minhash';
+        } else if (jaccard >= JACCARD_AMBIGUOUS) {
+            similarity = cosine(article.embedding_pca, c.embedding_pca);
+            if (similarity >= EMBEDDING_TIEBREAK) method = 'embedding';
+        }
+        if (!method) continue;
+        if (!best || jaccard > best.jaccard) best = { candidate: c, jaccard, similarity, method };
+    }
+    return best;
+}
+
+/**
+ * Fingerprint an unsaved Article document and set its cluster fields in
+ * place. Never throws: an article that can't be clustered is saved as its
+ * own single-member cluster.
+ *
+ * @returns {Promise<{ storyClusterId, matchedId, jaccard, method }|null>}
+ */
+async function assignStoryCluster(article, { now = Date.now() } = {}) {
+    const { minhash, lshBands } = fingerprint(article.title, article.content);
+    article.minhash = minhash || undefined;
+    article.lshBands = lshBands;
+    article.storyClusterId = article._id;
+    if (!minhash) return null;
+
+    try {
+        const candidates = await Article.find({
+            _id: { $ne: article._id },
+            lshBands: { $in: lshBands },
+            publishedAt: { $gte: new Date(now - CLUSTER_WINDOW_MS) },
+        })
+            .select('+minhash storyClusterId embedding_pca sourceId')
+            .limit(MAX_CANDIDATES)
+            .lean();
+
+        const match = pickClusterMatch({ minhash, embedding_pca: article.embedding_pca }, candidates);
+        if (!match) return null;
+
+        const { candidate } = match;
+        // Articles ingested before clustering existed have no cluster yet;
+        // the matched one becomes the canonical.
+        const storyClusterId = candidate.storyClusterId || candidate._id;
+        if (!candidate.storyClusterId) {
+            await Article.updateOne({ _id: candidate._id }, { $set: { storyClusterId } });
+        }
+        article.storyClusterId = storyClusterId;
+        console.log(`🧩 Story cluster match (${match.method}, J≈${match.jaccard.toFixed(2)}): "${(article.title || '').slice(0, 50)}" → ${storyClusterId}`);
+        return { storyClusterId, matchedId: candidate._id, jaccard: match.jaccard, method: match.method };
+    } catch (err) {
+        console.warn('⚠️ Story clustering failed, saving as its own cluster:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Keep the first (best-ranked) member of each cluster in an ordered feed
+ * list. Articles without a cluster pass through untouched.
+ */
+function collapseStoryClusters(articles) {
+    const seen = new Set();
+    return articles.filter(a => {
+        if (!a.storyClusterId) return true;
+        const key = String(a.storyClusterId);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Set `alsoCoveredBy` (number of other sources in the cluster) on each
+ * article that has one. One aggregation for the whole page; mutates and
+ * returns the array. Failures leave the page unlabelled rather than failing it.
+ */
+async function attachStoryCoverage(articles) {
+    const clusterIds = [...new Set(articles.filter(a => a.storyClusterId).map(a => String(a.storyClusterId)))];
+    if (clusterIds.length === 0) return articles;
+
+    try {
+        const rows = await Article.aggregate([
+            { $match: { storyClusterId: { $in: clusterIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+            { $group: { _id: '$storyClusterId', sources: { $addToSet: '$sourceId' } } },
+            { $match: { 'sources.1': { $exists: true } } },
+        ]);
+        const byCluster = new Map(rows.map(r => [String(r._id), r.sources.map(String)]));
+        for (const a of articles) {
+            const sources = a.storyClusterId && byCluster.get(String(a.storyClusterId));
+            if (!sources) continue;
+            const others = sources.filter(s => s !== String(a.sourceId)).length;
+            if (others > 0) a.alsoCoveredBy = others;
+        }
+    } catch (err) {
+        console.warn('⚠️ Story coverage lookup failed:', err.message);
+    }
+    return articles;
+}
+
+module.exports = {
+    JACCARD_MATCH,
+    JACCARD_AMBIGUOUS,
+    EMBEDDING_TIEBREAK,
+    pickClusterMatch,
+    assignStoryCluster,
+    collapseStoryClusters,
+    attachStoryCoverage,
+};
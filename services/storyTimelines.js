@@ -0,0 +1,410 @@
+/**
+ * Story timelines — threading articles into developing stories.
+ *
+ * Story clusters (services/storyClusters.js) group copies of ONE report
+ * across outlets. A Story (models/Story.js) follows the arc: "talks
+ * announced" → "talks begin" → "deal signed" are three clusters with
+ * different text but the same subject. After each article is saved, it is
+ * matched against stories active in the last STORY_WINDOW_MS by:
+ *
+ *   - embedding_pca cosine to the story centroid (running mean of members)
+ *   - term overlap with the story's terms: the article's entity IDs
+ *     (services/entityExtraction.js — one ID per entity whatever the
+ *     script) plus headline key terms (tokens, minus stopwords), which
+ *     still carry the match for articles with no extracted entities
+ *
+ * An article matching no story is compared against recent unthreaded
+ * articles with the same rule; a pair seeds a new Story. Articles from a
+ * cluster already in a thread join it directly as re-reports.
+ *
+ * An addition is significant when it is a new cluster AND brings new key
+ * terms. Significant additions re-title/re-summarise the story (LLM, with
+ * the headline as fallback) and push to followers, at most once per
+ * NOTIFY_COOLDOWN_MS per story.
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Story = require('../models/Story');
+const User = require('../models/User');
+const NotificationService = require('../utils/notificationService');
+const { chatCompletionJSON } = require('./openaiClient');
+const { tokenize } = require('../utils/nearDuplicate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stories with no new article for this long stop accepting members.
+const STORY_WINDOW_MS = 4 * DAY_MS;
+// Unthreaded articles this recent can seed a story with a newcomer.
+const SEED_WINDOW_MS = 2 * DAY_MS;
+const MAX_STORY_CANDIDATES = 200;
+const MAX_SEED_CANDIDATES = 300;
+
+// Same subject outright on PCA cosine alone; below that, down to
+// SIMILARITY_WITH_TERMS, it must also share MIN_SHARED_TERMS key terms
+// (same topic ≠ same story: two unrelated Gulf football results are close
+// in embedding space but share no names).
+const SIMILARITY_MATCH = 0.86;
+const SIMILARITY_WITH_TERMS = 0.72;
+const MIN_SHARED_TERMS = 2;
+// New key terms an addition needs to count as a development.
+const MIN_NEW_TERMS = 2;
+const KEY_TERMS_KEPT = 40;
+const NOTIFY_COOLDOWN_MS = 3 * 60 * 60 * 1000;
+const SUMMARY_MODEL = 'gpt-4o-mini';
+const SUMMARY_HEADLINES = 8;
+
+const STOPWORDS = new Set([
+    // English
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'over', 'after', 'before', 'about',
+    'amid', 'says', 'said', 'will', 'has', 'have', 'are', 'was', 'were', 'its', 'their', 'new', 'not',
+    'but', 'out', 'how', 'why', 'what', 'who', 'when', 'more', 'than', 'against', 'under', 'first',
+    'year', 'years', 'day', 'days', 'week', 'today', 'news', 'latest', 'update', 'live',
+    // Arabic
+    'على', 'إلى', 'الى', 'عن', 'بعد', 'قبل', 'التي', 'الذي', 'هذا', 'هذه', 'مع', 'بين', 'خلال',
+    'حول', 'ضد', 'عند', 'كما', 'وفي', 'أن', 'إن', 'قد', 'لم', 'لن', 'يوم', 'اليوم',
+    // Farsi
+    'این', 'آن', 'برای', 'از', 'به', 'با', 'در', 'که', 'را', 'تا', 'پس', 'روز', 'امروز',
+]);
+
+function cosine(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+    let dot = 0;
+    let na = 0;
+    let nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+/** Distinct key terms of a headline: tokens of 3+ letters, minus stopwords. */
+function keyTermsOf(title) {
+    return [...new Set(tokenize(title).filter((t) => t.length >= 3 && !STOPWORDS.has(t)))];
+}
+
+/**
+ * Match terms of an article ({ title, entities }): headline key terms plus
+ * its entity IDs. Entity IDs contain ':' so they never collide with tokens.
+ */
+function articleTermsOf(article) {
+    return [...new Set([...keyTermsOf(article.title), ...(article.entities || [])])];
+}
+
+/**
+ * Match strength of an article ({ embedding_pca, terms }) against a story
+ * ({ centroid, terms: Set }), or null below the thresholds. Pure.
+ */
+function scoreStoryMatch(article, story) {
+    const similarity = cosine(article.embedding_pca, story.centroid);
+    if (similarity < SIMILARITY_WITH_TERMS) return null;
+    const shared = article.terms.filter((t) => story.terms.has(t)).length;
+    if (similarity < SIMILARITY_MATCH && shared < MIN_SHARED_TERMS) return null;
+    return { similarity, shared, score: similarity + 0.02 * Math.min(shared, 5) };
+}
+
+/** Best-scoring candidate story for an article, or null. Pure. */
+function pickStoryMatch(article, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+        const match = scoreStoryMatch(article, candidate);
+        if (match && (!best || match.score > best.score)) best = { ...match, candidate };
+    }
+    return best;
+}
+
+/**
+ * Whether an addition is a new development: a cluster not yet in the
+ * timeline that brings MIN_NEW_TERMS terms the story hasn't seen. Pure.
+ */
+function isSignificantAddition(story, article) {
+    const clusterId = String(article.storyClusterId || article._id);
+    if ((story.timeline || []).some((e) => String(e.storyClusterId || e.articleId) === clusterId)) return false;
+    const seen = new Set((story.keyTerms || []).map((k) => k.term));
+    return article.terms.filter((t) => !seen.has(t)).length >= MIN_NEW_TERMS;
+}
+
+/** Merge an article's terms into a story's term counts; keeps the top KEY_TERMS_KEPT. Pure. */
+function mergeKeyTerms(keyTerms, terms) {
+    const counts = new Map((keyTerms || []).map((k) => [k.term, k.count]));
+    for (const t of terms) counts.set(t, (counts.get(t) || 0) + 1);
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, KEY_TERMS_KEPT)
+        .map(([term, count]) => ({ term, count }));
+}
+
+/** Running-mean centroid after adding one embedding. Pure. */
+function mergeCentroid(centroid, weight, embedding) {
+    if (!Array.isArray(embedding) || embedding.length === 0) return { centroid, weight };
+    if (!centroid || centroid.length !== embedding.length || !weight) {
+        return { centroid: Array.from(embedding), weight: 1 };
+    }
+    return {
+        centroid: centroid.map((x, i) => (x * weight + embedding[i]) / (weight + 1)),
+        weight: weight + 1,
+    };
+}
+
+function timelineEntry(article, significant) {
+    return {
+        articleId: article._id,
+        storyClusterId: article.storyClusterId || article._id,
+        sourceId: article.sourceId,
+        title: article.title,
+        publishedAt: article.publishedAt,
+        significant,
+        addedAt: new Date(),
+    };
+}
+
+/**
+ * Append an article to a story (loaded with +centroid +keyTerms). The
+ * centroid/term update is read-modify-write; two scrapers adding to one
+ * story at the same instant can drop one member's contribution to the
+ * centroid, which the next addition smooths over.
+ */
+async function appendToStory(story, article, terms, significant) {
+    const { centroid, weight } = mergeCentroid(story.centroid, story.centroidWeight, article.embedding_pca);
+    const publishedAt = article.publishedAt || new Date();
+    const set = {
+        centroid,
+        centroidWeight: weight,
+        keyTerms: mergeKeyTerms(story.keyTerms, terms),
+    };
+    if (!story.lastArticleAt || publishedAt > story.lastArticleAt) set.lastArticleAt = publishedAt;
+    if (significant) set.lastSignificantAt = publishedAt;
+
+    await Story.updateOne(
+        { _id: story._id },
+        {
+            $push: { timeline: { $each: [timelineEntry(article, significant)], $sort: { publishedAt: 1 } } },
+            $inc: { articleCount: 1 },
+            $set: set,
+        }
+    );
+    await Article.updateOne({ _id: article._id }, { $set: { storyId: story._id } });
+}
+
+/** Seed a story from two related articles (oldest first). */
+async function createStory(first, second, termsByArticle) {
+    const [a, b] = [first, second].sort((x, y) => new Date(x.publishedAt || 0) - new Date(y.publishedAt || 0));
+    let merged = mergeCentroid(null, 0, a.embedding_pca);
+    merged = mergeCentroid(merged.centroid, merged.weight, b.embedding_pca);
+    const story = await Story.create({
+        title: b.title,
+        language: b.language || 'english',
+        category: b.category,
+        timeline: [timelineEntry(a, true), timelineEntry(b, true)],
+        articleCount: 2,
+        firstPublishedAt: a.publishedAt,
+        lastArticleAt: b.publishedAt || new Date(),
+        lastSignificantAt: b.publishedAt || new Date(),
+        centroid: merged.centroid,
+        centroidWeight: merged.weight,
+        keyTerms: mergeKeyTerms(mergeKeyTerms([], termsByArticle.get(String(a._id))), termsByArticle.get(String(b._id))),
+    });
+    await Article.updateMany({ _id: { $in: [a._id, b._id] } }, { $set: { storyId: story._id } });
+    return story;
+}
+
+/**
+ * Thread a saved article into a developing story. Called by the scraper
+ * after save; never throws — an article that can't be threaded just has
+ * no storyId.
+ *
+ * @returns {Promise<{ storyId, created, significant }|null>}
+ */
+async function threadArticle(article, { now = Date.now() } = {}) {
+    if (!article?._id || article.storyId) return null;
+    const terms = articleTermsOf(article);
+    const candidate = { embedding_pca: article.embedding_pca, terms };
+
+    try {
+        // Another outlet's version of a development already in a thread.
+        if (article.storyClusterId && String(article.storyClusterId) !== String(article._id)) {
+            const story = await Story.findOne({ 'timeline.storyClusterId': article.storyClusterId })
+                .select('+centroid +centroidWeight +keyTerms')
+                .lean();
+            if (story) {
+                await appendToStory(story, article, terms, false);
+                return { storyId: story._id, created: false, significant: false };
+            }
+        }
+
+        // Embeddings carry the match; without one the article stays unthreaded.
+        if (!Array.isArray(article.embedding_pca) || article.embedding_pca.length === 0) return null;
+
+        const stories = await Story.find({
+            language: article.language || 'english',
+            lastArticleAt: { $gte: new Date(now - STORY_WINDOW_MS) },
+        })
+            .select('+centroid +centroidWeight +keyTerms')
+            .sort({ lastArticleAt: -1 })
+            .limit(MAX_STORY_CANDIDATES)
+            .lean();
+        const storyMatch = pickStoryMatch(
+            candidate,
+            stories.map((st) => ({ ...st, terms: new Set((st.keyTerms || []).map((k) => k.term)) }))
+        );
+        if (storyMatch) {
+            const story = storyMatch.candidate;
+            const significant = isSignificantAddition(story, { _id: article._id, storyClusterId: article.storyClusterId, terms });
+            await appendToStory(story, article, terms, significant);
+            console.log(`🧵 Story thread (cos ${storyMatch.similarity.toFixed(2)}, ${storyMatch.shared} shared terms): "${(article.title || '').slice(0, 50)}" → ${story._id}${significant ? ' [significant]' : ''}`);
+            if (significant) {
+                refreshStorySummary(story._id).catch(() => {});
+                notifyStoryFollowers(story, article, { now }).catch(() => {});
+            }
+            return { storyId: story._id, created: false, significant };
+        }
+
+        const recent = await Article.find({
+            _id: { $ne: article._id },
+            language: article.language || 'english',
+            publishedAt: { $gte: new Date(now - SEED_WINDOW_MS) },
+            storyId: { $exists: false },
+            'embedding_pca.0': { $exists: true },
+        })
+            .select('title entities embedding_pca storyClusterId sourceId publishedAt language category')
+            .sort({ publishedAt: -1 })
+            .limit(MAX_SEED_CANDIDATES)
+            .lean();
+        const ownCluster = String(article.storyClusterId || article._id);
+        const seeds = recent
+            // A copy of this very report is not a second development.
+            .filter((r) => String(r.storyClusterId || r._id) !== ownCluster)
+            .map((r) => ({ ...r, centroid: r.embedding_pca, terms: new Set(articleTermsOf(r)) }));
+        const seedMatch = pickStoryMatch(candidate, seeds);
+        if (!seedMatch) return null;
+
+        const other = seedMatch.candidate;
+        const termsByArticle = new Map([
+            [String(article._id), terms],
+            [String(other._id), [...other.terms]],
+        ]);
+        const story = await createStory(article, other, termsByArticle);
+        console.log(`🧵 New story ${story._id}: "${(story.title || '').slice(0, 60)}"`);
+        refreshStorySummary(story._id).catch(() => {});
+        return { storyId: story._id, created: true, significant: true };
+    } catch (err) {
+        console.warn('⚠️ Story threading failed:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Push to the story's followers, at most once per NOTIFY_COOLDOWN_MS. The
+ * conditional update claims the slot so concurrent ingests don't double-send.
+ */
+async function notifyStoryFollowers(story, article, { now = Date.now() } = {}) {
+    if (!story.followerCount) return 0;
+    const claimed = await Story.findOneAndUpdate(
+        {
+            _id: story._id,
+            $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lt: new Date(now - NOTIFY_COOLDOWN_MS) } }],
+        },
+        { $set: { lastNotifiedAt: new Date(now) } },
+        { new: true }
+    ).lean();
+    if (!claimed) return 0;
+
+    const followers = await User.find({ followed_stories: story._id }).select('supabase_id').lean();
+    const userIds = followers.map((u) => u.supabase_id);
+    if (userIds.length === 0) return 0;
+    const { successful } = await NotificationService.sendStoryUpdateNotifications(userIds, claimed, article);
+    console.log(`🔔 Story ${story._id}: notified ${successful}/${userIds.length} followers`);
+    return successful;
+}
+
+/**
+ * Regenerate the story's title and summary from its latest significant
+ * headlines. On LLM failure the title falls back to the newest headline.
+ */
+async function refreshStorySummary(storyId) {
+    const story = await Story.findById(storyId).lean();
+    if (!story) return null;
+    const headlines = story.timeline
+        .filter((e) => e.significant && e.title)
+        .slice(-SUMMARY_HEADLINES);
+    if (headlines.length === 0) return null;
+
+    const latest = headlines[headlines.length - 1].title;
+    let update = { title: latest, summaryOrigin: 'headline' };
+    try {
+        const { content } = await chatCompletionJSON({
+            model: SUMMARY_MODEL,
+            temperature: 0.3,
+            max_tokens: 250,
+            response_format: { type: 'json_object' },
+            timeout: 12000,
+            messages: [
+                {
+                    role: 'system',
+                    content:
+                        'You edit a Gulf news app. Given the headlines of one developing story, oldest first, write a short neutral story title (max 8 words, no date) and a 2-3 sentence summary of how the story has developed so far, ending with the latest development. Use only facts in the headlines. Write in the SAME language as the headlines. Respond as JSON: {"title": string, "summary": string}',
+                },
+                {
+                    role: 'user',
+                    content: headlines
+                        .map((e) => `${e.publishedAt ? new Date(e.publishedAt).toISOString().slice(0, 10) : ''} ${e.title}`.trim())
+                        .join('\n'),
+                },
+            ],
+        });
+        const parsed = JSON.parse(content);
+        if (!parsed.title || !parsed.summary) throw new Error('LLM returned unusable story summary');
+        update = {
+            title: String(parsed.title).trim().slice(0, 120),
+            summary: String(parsed.summary).trim().slice(0, 800),
+            summaryOrigin: 'generated',
+            summarizedAt: new Date(),
+        };
+    } catch (err) {
+        console.warn(`⚠️ Story summary failed for ${storyId}, using latest headline:`, err.message);
+    }
+    await Story.updateOne({ _id: storyId }, { $set: update });
+    return update;
+}
+
+/**
+ * Story with its timeline's articles, for GET /api/stories/:id. Timeline
+ * entries whose article was deleted are dropped. Null when not found.
+ */
+async function getStoryWithTimeline(storyId) {
+    if (!mongoose.Types.ObjectId.isValid(storyId)) return null;
+    const story = await Story.findById(storyId).lean();
+    if (!story) return null;
+
+    const articles = await Article.find({ _id: { $in: story.timeline.map((e) => e.articleId) } })
+        .select('title image blurhash sourceId publishedAt category language url isUpdated')
+        .lean();
+    const byId = new Map(articles.map((a) => [String(a._id), a]));
+    const timeline = story.timeline
+        .filter((e) => byId.has(String(e.articleId)))
+        .map((e) => ({ ...byId.get(String(e.articleId)), significant: e.significant }));
+    return {
+        ...story,
+        timeline,
+        sourceCount: new Set(timeline.map((a) => String(a.sourceId))).size,
+    };
+}
+
+module.exports = {
+    STORY_WINDOW_MS,
+    SIMILARITY_MATCH,
+    SIMILARITY_WITH_TERMS,
+    NOTIFY_COOLDOWN_MS,
+    keyTermsOf,
+    articleTermsOf,
+    scoreStoryMatch,
+    pickStoryMatch,
+    isSignificantAddition,
+    mergeKeyTerms,
+    mergeCentroid,
+    threadArticle,
+    notifyStoryFollowers,
+    refreshStorySummary,
+    getStoryWithTimeline,
+};
@@ -0,0 +1,438 @@
+/**
+ * Reel thumbnail selection and thumbnail A/B tests.
+ *
+ * ThumbnailGenerator.selectThumbnail cuts CANDIDATE_COUNT frames spread
+ * over the reel (candidateTimestamps), measures each with sharp
+ * (frameMetrics) and stores all of them on Reel.thumbnailCandidates, best
+ * first by scoreFrame. The best becomes thumbnailUrl / thumbnailBlurhash
+ * until an admin picks another (POST /api/thumbnails/:reelId/select).
+ *
+ * Scoring uses sharp statistics only, no model:
+ *   sharpness  variance of the Laplacian; motion blur and soft focus score low
+ *   exposure   mean luminance close to mid-grey
+ *   contrast   luminance standard deviation
+ *   face       share of skin-toned pixels in the centre of the frame, as a
+ *              proxy for a person on screen. This is not a face detector:
+ *              sand or wood can pass for skin.
+ * Near-black, near-white and flat frames (fades, title cards) score 0.
+ *
+ * Thumbnail tests (Reel.thumbnailTest) split signed-in users between
+ * candidates by hashing userId with the reel id. applyThumbnailTests swaps
+ * the thumbnail on feed responses from an in-memory snapshot of the
+ * running tests. Clients report impressions and taps for the
+ * `thumbnailVariant` they were served to
+ * POST /api/videos/reels/thumbnail-events; each user counts at most one
+ * impression and one tap per test (recordThumbnailEvents), so rates are
+ * per user. thumbnailTestResults compares tap-through rates against the
+ * control with Wilson intervals.
+ */
+
+const sharp = require('sharp');
+const Reel = require('../models/Reel');
+const redis = require('../utils/redis');
+const { hashUserToBucket } = require('../utils/experiments');
+const { proportionInterval, difference } = require('./experiments');
+
+const THUMBNAIL = {
+    CANDIDATE_COUNT: 6,
+    WIDTH: 360,
+    HEIGHT: 640,
+    // Frames are sampled between these shares of the duration, skipping
+    // intros and end cards.
+    SAMPLE_FROM: 0.08,
+    SAMPLE_TO: 0.85,
+    // Used when ffprobe can't tell the duration. Timestamps past the end
+    // simply produce no frame.
+    FALLBACK_TIMESTAMPS: [1, 2, 3, 5, 8, 12],
+    MIN_ARMS: 2,
+    MAX_ARMS: 4,
+    // Every arm needs this many impressions before a winner is declared.
+    MIN_IMPRESSIONS_PER_ARM: 200,
+    MAX_EVENT_BATCH: 200,
+    MAX_EVENT_BATCHES_PER_MINUTE: 30,
+    // Per-user event dedupe keys outlive any realistic test.
+    EVENT_DEDUPE_TTL_SEC: 90 * 24 * 60 * 60,
+    TEST_CACHE_TTL_MS: 60 * 1000,
+};
+
+const FRAME_WEIGHTS = { sharpness: 0.35, exposure: 0.25, contrast: 0.2, face: 0.2 };
+
+// Frames are measured at half size: enough detail for the Laplacian,
+// a quarter of the pixels.
+const ANALYSIS_WIDTH = 180;
+const ANALYSIS_HEIGHT = 320;
+const LAPLACIAN = [0, 1, 0, 1, -4, 1, 0, 1, 0];
+// Skin share at which the face component is maxed out (a head and
+// shoulders fill roughly this much of the centre).
+const FULL_FACE_SKIN_SHARE = 0.15;
+
+const EVENT_TYPES = new Set(['impression', 'tap']);
+
+const badRequest = (message) => Object.assign(new Error(message), { code: 'THUMBNAIL_INVALID', status: 400 });
+const conflict = (message) => Object.assign(new Error(message), { code: 'THUMBNAIL_CONFLICT', status: 409 });
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+/** Seconds to sample frames at, evenly spread over the reel. */
+function candidateTimestamps(duration, count = THUMBNAIL.CANDIDATE_COUNT) {
+    if (!(duration > 0)) return THUMBNAIL.FALLBACK_TIMESTAMPS.slice(0, count);
+    const from = duration * THUMBNAIL.SAMPLE_FROM;
+    const to = duration * THUMBNAIL.SAMPLE_TO;
+    if (count <= 1) return [round2((from + to) / 2)];
+    return Array.from({ length: count }, (_, i) => round2(from + ((to - from) * i) / (count - 1)));
+}
+
+// YCbCr skin box (Chai & Ngan) over the centre half of the frame, where a
+// presenter usually is. Returns the share of matching pixels.
+async function centreSkinShare(buffer) {
+    const { data, info } = await sharp(buffer)
+        .resize(ANALYSIS_WIDTH, ANALYSIS_HEIGHT, { fit: 'cover' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    let skin = 0;
+    let total = 0;
+    for (let y = Math.floor(height / 4); y < Math.floor((height * 3) / 4); y++) {
+        for (let x = Math.floor(width / 4); x < Math.floor((width * 3) / 4); x++) {
+            const i = (y * width + x) * channels;
+            const r = data[i];
+            const g = channels >= 3 ? data[i + 1] : r;
+            const b = channels >= 3 ? data[i + 2] : r;
+            const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+            const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+            const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+            if (luma > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173) skin++;
+            total++;
+        }
+    }
+    return total ? skin / total : 0;
+}
+
+/**
+ * Image statistics scoreFrame works from: brightness and contrast are the
+ * mean and standard deviation of luminance (0-255), sharpness the variance
+ * of the Laplacian, skin the share of skin-toned pixels in the centre.
+ */
+async function frameMetrics(buffer) {
+    const grey = await sharp(buffer)
+        .resize(ANALYSIS_WIDTH, ANALYSIS_HEIGHT, { fit: 'cover' })
+        .greyscale()
+        .png()
+        .toBuffer();
+
+    const [tone, edges, skin] = await Promise.all([
+        sharp(grey).stats(),
+        // Offset keeps negative responses from clipping to 0.
+        sharp(grey).convolve({ width: 3, height: 3, kernel: LAPLACIAN, offset: 128 }).stats(),
+        centreSkinShare(buffer),
+    ]);
+
+    return {
+        brightness: round2(tone.channels[0].mean),
+        contrast: round2(tone.channels[0].stdev),
+        sharpness: round2(edges.channels[0].stdev ** 2),
+        skin: round4(skin),
+    };
+}
+
+/** 0..1; 0 for frames that are unusable whatever else they have going. */
+function scoreFrame(metrics) {
+    if (!metrics || metrics.brightness < 16 || metrics.brightness > 240 || metrics.contrast < 8) return 0;
+    const parts = {
+        // Laplacian variance spans orders of magnitude; ~1000 is crisp.
+        sharpness: clamp01(Math.log10(1 + metrics.sharpness) / 3),
+        exposure: clamp01(1 - Math.abs(metrics.brightness - 128) / 112),
+        contrast: clamp01(metrics.contrast / 64),
+        face: clamp01(metrics.skin / FULL_FACE_SKIN_SHARE),
+    };
+    return round4(Object.entries(FRAME_WEIGHTS).reduce((sum, [k, w]) => sum + w * parts[k], 0));
+}
+
+/** Best first; ties go to the earlier frame. */
+function rankCandidates(candidates) {
+    return [...candidates].sort((a, b) => b.score - a.score || a.at - b.at);
+}
+
+/** $set for a freshly sampled selection. Old candidates, and any test on them, are replaced. */
+function selectionUpdate(selection, now = new Date()) {
+    return {
+        thumbnailUrl: selection.thumbnailUrl,
+        thumbnailBlurhash: selection.thumbnailBlurhash,
+        thumbnailCandidates: selection.candidates.map(({ url, key, at, score, metrics, blurhash }) => ({ url, key, at, score, metrics, blurhash })),
+        thumbnailSelection: { index: 0, by: 'auto', at: now },
+        thumbnailTest: { status: null, arms: [], control: null, winner: null, startedAt: null, stoppedAt: null },
+    };
+}
+
+function candidateAt(reel, index) {
+    const candidates = reel.thumbnailCandidates || [];
+    if (candidates.length === 0) throw badRequest('This reel has no thumbnail candidates; regenerate its thumbnail first');
+    if (!Number.isInteger(index) || index < 0 || index >= candidates.length) {
+        throw badRequest(`index must be a candidate index between 0 and ${candidates.length - 1}`);
+    }
+    return candidates[index];
+}
+
+/** $set making candidate `index` the reel's thumbnail. */
+function pickCandidateUpdate(reel, index, { by = 'admin', now = new Date() } = {}) {
+    const candidate = candidateAt(reel, index);
+    return {
+        thumbnailUrl: candidate.url,
+        thumbnailBlurhash: candidate.blurhash || null,
+        thumbnailSelection: { index, by, at: now },
+    };
+}
+
+/**
+ * $set starting a test between candidate indexes `arms` (default: the
+ * current thumbnail against the best other candidate). The current
+ * thumbnail is the control when it is an arm. Tap counters restart.
+ */
+function startTestUpdate(reel, arms, now = new Date()) {
+    if (reel.thumbnailTest?.status === 'running') throw conflict('A thumbnail test is already running for this reel');
+    const candidates = reel.thumbnailCandidates || [];
+    const current = reel.thumbnailSelection?.index ?? 0;
+
+    if (arms == null) {
+        const challenger = candidates.findIndex((_, i) => i !== current);
+        arms = challenger === -1 ? [current] : [current, challenger];
+    }
+    if (!Array.isArray(arms) || arms.length < THUMBNAIL.MIN_ARMS || arms.length > THUMBNAIL.MAX_ARMS) {
+        throw badRequest(`A test needs ${THUMBNAIL.MIN_ARMS}-${THUMBNAIL.MAX_ARMS} candidates`);
+    }
+    arms.forEach((index) => candidateAt(reel, index));
+    if (new Set(arms).size !== arms.length) throw badRequest('Test arms must be different candidates');
+
+    const update = {
+        'thumbnailTest.status': 'running',
+        'thumbnailTest.arms': arms,
+        'thumbnailTest.control': arms.includes(current) ? current : arms[0],
+        'thumbnailTest.winner': null,
+        'thumbnailTest.startedAt': now,
+        'thumbnailTest.stoppedAt': null,
+    };
+    candidates.forEach((_, i) => {
+        update[`thumbnailCandidates.${i}.impressions`] = 0;
+        update[`thumbnailCandidates.${i}.taps`] = 0;
+    });
+    return update;
+}
+
+/**
+ * Tap-through rate per arm and its difference from the control. `winner`
+ * is the arm significantly ahead of the control with the highest rate,
+ * once every arm has MIN_IMPRESSIONS_PER_ARM; null means keep the control.
+ */
+function thumbnailTestResults(reel) {
+    const test = reel.thumbnailTest || {};
+    const armIndexes = test.arms || [];
+    const candidates = reel.thumbnailCandidates || [];
+    const control = armIndexes.includes(test.control) ? test.control : armIndexes[0];
+
+    const rates = new Map(armIndexes.map((index) => {
+        const c = candidates[index] || {};
+        return [index, proportionInterval(Math.min(c.taps || 0, c.impressions || 0), c.impressions || 0)];
+    }));
+    const ready = armIndexes.length > 0 &&
+        armIndexes.every((index) => (candidates[index]?.impressions || 0) >= THUMBNAIL.MIN_IMPRESSIONS_PER_ARM);
+
+    const arms = armIndexes.map((index) => {
+        const c = candidates[index] || {};
+        const rate = rates.get(index);
+        return {
+            index,
+            url: c.url || null,
+            control: index === control,
+            impressions: c.impressions || 0,
+            taps: c.taps || 0,
+            tapRate: { mean: rate.mean, ci: rate.ci },
+            vsControl: index === control ? null : difference(rate, rates.get(control)),
+        };
+    });
+
+    const leaders = arms
+        .filter((a) => a.vsControl?.significant && a.vsControl.diff > 0)
+        .sort((a, b) => b.tapRate.mean - a.tapRate.mean);
+
+    return {
+        status: test.status || null,
+        control: control ?? null,
+        startedAt: test.startedAt || null,
+        stoppedAt: test.stoppedAt || null,
+        ready,
+        winner: ready && leaders.length ? leaders[0].index : null,
+        arms,
+    };
+}
+
+/**
+ * $set stopping the running test. With `promote`, the winner (if any)
+ * becomes the reel's thumbnail. Returns the final results too.
+ */
+function stopTestUpdate(reel, { promote = false, now = new Date() } = {}) {
+    if (reel.thumbnailTest?.status !== 'running') throw conflict('No thumbnail test is running for this reel');
+    const results = thumbnailTestResults(reel);
+    let update = {
+        'thumbnailTest.status': 'stopped',
+        'thumbnailTest.winner': results.winner,
+        'thumbnailTest.stoppedAt': now,
+    };
+    const promoted = promote && results.winner != null;
+    if (promoted) update = { ...update, ...pickCandidateUpdate(reel, results.winner, { by: 'test', now }) };
+    return { update, results: { ...results, status: 'stopped', stoppedAt: now }, promoted };
+}
+
+/** The arm (candidate index) a user sees for a test, or null for guests. */
+function thumbnailArm(userId, reelId, arms) {
+    if (!userId || !arms?.length) return null;
+    return arms[hashUserToBucket(userId, `thumbnail:${reelId}`, arms.length)];
+}
+
+/** ---- Running tests snapshot ---- **/
+
+let runningTests = new Map();
+let loadedAt = 0;
+let refreshing = null;
+
+// reelId -> { startedAt, arms: [{ index, url, blurhash }] }
+function testsFromReels(reels) {
+    return new Map(reels.map((reel) => [String(reel._id), {
+        startedAt: reel.thumbnailTest.startedAt ? new Date(reel.thumbnailTest.startedAt) : null,
+        arms: (reel.thumbnailTest.arms || []).map((index) => ({
+            index,
+            url: reel.thumbnailCandidates?.[index]?.url || null,
+            blurhash: reel.thumbnailCandidates?.[index]?.blurhash || null,
+        })).filter((arm) => arm.url),
+    }]));
+}
+
+/** Reload running thumbnail tests from Mongo. Safe to call concurrently. */
+async function refreshThumbnailTests() {
+    if (refreshing) return refreshing;
+    refreshing = Reel.find({ 'thumbnailTest.status': 'running' })
+        .select('thumbnailTest.arms thumbnailTest.startedAt thumbnailCandidates.url thumbnailCandidates.blurhash')
+        .lean()
+        .then((reels) => {
+            runningTests = testsFromReels(reels);
+            loadedAt = Date.now();
+            return runningTests;
+        })
+        .catch((err) => {
+            // Keep serving the last snapshot; retry on the next TTL expiry.
+            console.warn('⚠️ Failed to refresh thumbnail tests:', err.message);
+            loadedAt = Date.now();
+            return runningTests;
+        })
+        .finally(() => {
+            refreshing = null;
+        });
+    return refreshing;
+}
+
+/** Current snapshot; kicks off a background refresh when stale. */
+function getRunningThumbnailTests() {
+    if (Date.now() - loadedAt > THUMBNAIL.TEST_CACHE_TTL_MS) refreshThumbnailTests();
+    return runningTests;
+}
+
+/**
+ * Serve each signed-in user their arm of any running thumbnail test:
+ * thumbnailUrl / thumbnailBlurhash are swapped and `thumbnailVariant` says
+ * which candidate was served, for the client's impression and tap events.
+ * Other reels, and every reel for guests, pass through untouched.
+ */
+function applyThumbnailTests(reels, userId, tests = getRunningThumbnailTests()) {
+    if (!userId || !Array.isArray(reels) || tests.size === 0) return reels;
+    return reels.map((reel) => {
+        const test = reel && tests.get(String(reel._id));
+        if (!test) return reel;
+        const index = thumbnailArm(userId, reel._id, test.arms.map((a) => a.index));
+        const arm = test.arms.find((a) => a.index === index);
+        if (!arm) return reel;
+        return { ...reel, thumbnailUrl: arm.url, thumbnailBlurhash: arm.blurhash, thumbnailVariant: arm.index };
+    });
+}
+
+/**
+ * bulkWrite ops counting a user's impression / tap events, one updateOne
+ * per event so the write result counts events. Only the arm the user is
+ * served counts: events for reels without a running test, for another
+ * candidate, or of an unknown type are rejected, and repeats in the batch
+ * are duplicates. `keys[i]` is the dedupe key of `ops[i]`, scoped to the
+ * test run. The filter re-checks the test is still running with that arm.
+ */
+function thumbnailEventOps(events, userId, tests = getRunningThumbnailTests()) {
+    const ops = [];
+    const keys = [];
+    let rejected = 0;
+    let duplicate = 0;
+    for (const event of events) {
+        const reelId = String(event?.reelId || '');
+        const variant = Number(event?.variant);
+        const test = tests.get(reelId);
+        if (!test || !EVENT_TYPES.has(event.type) || thumbnailArm(userId, reelId, test.arms.map((a) => a.index)) !== variant) {
+            rejected++;
+            continue;
+        }
+        const key = `thumb_evt:${reelId}:${test.startedAt?.getTime() || 0}:${userId}:${event.type}`;
+        if (keys.includes(key)) {
+            duplicate++;
+            continue;
+        }
+        keys.push(key);
+        ops.push({
+            updateOne: {
+                filter: { _id: reelId, 'thumbnailTest.status': 'running', 'thumbnailTest.arms': variant },
+                update: { $inc: { [`thumbnailCandidates.${variant}.${event.type === 'tap' ? 'taps' : 'impressions'}`]: 1 } },
+            },
+        });
+    }
+    return { ops, keys, rejected, duplicate };
+}
+
+/**
+ * Count a signed-in user's thumbnail events. An event already counted for
+ * the user in this test run is a duplicate (Redis SET NX per key; without
+ * Redis nothing is deduplicated across batches). `accepted` is what Mongo
+ * modified; ops that matched no running test are rejected.
+ */
+async function recordThumbnailEvents(events, userId, tests = getRunningThumbnailTests()) {
+    const { ops, keys, rejected, duplicate } = thumbnailEventOps(events, userId, tests);
+    const counts = { accepted: 0, rejected, duplicate };
+    if (ops.length === 0) return counts;
+
+    const claimed = await redis.multi(keys.map((key) => ['set', key, '1', 'EX', THUMBNAIL.EVENT_DEDUPE_TTL_SEC, 'NX']));
+    const fresh = claimed ? ops.filter((_, i) => claimed[i] === 'OK') : ops;
+    counts.duplicate += ops.length - fresh.length;
+    if (fresh.length === 0) return counts;
+
+    const result = await Reel.bulkWrite(fresh, { ordered: false });
+    counts.accepted = result.modifiedCount;
+    counts.rejected += fresh.length - result.modifiedCount;
+    return counts;
+}
+
+module.exports = {
+    THUMBNAIL,
+    FRAME_WEIGHTS,
+    candidateTimestamps,
+    frameMetrics,
+    scoreFrame,
+    rankCandidates,
+    selectionUpdate,
+    pickCandidateUpdate,
+    startTestUpdate,
+    stopTestUpdate,
+    thumbnailTestResults,
+    thumbnailArm,
+    testsFromReels,
+    refreshThumbnailTests,
+    getRunningThumbnailTests,
+    applyThumbnailTests,
+    thumbnailEventOps,
+    recordThumbnailEvents,
+};
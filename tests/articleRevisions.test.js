@@ -0,0 +1,98 @@
+/**
+ * Article revision detection tests (pure — no Mongo, no network).
+ * Run: node tests/articleRevisions.test.js
+ *
+ * The fixtures are one story as a publisher would edit it over a morning:
+ * re-extraction noise must not count as an edit, an updated figure must be
+ * significant however small, and a broken re-extraction must never replace
+ * the stored body.
+ */
+
+const { splitSentences, diffSentences, compareVersions, planRevisit } = require('../services/articleRevisions');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const BODY = [
+    'A fire broke out in a residential tower in Al Nahda on Tuesday morning, Sharjah Civil Defence said.',
+    'Twelve people were injured and 1,200 residents were evacuated from the 45-storey building.',
+    'Firefighters brought the blaze under control within two hours. The cause is under investigation.',
+    'Residents have been moved to nearby hotels, the **Sharjah Municipality** said in a [statement](https://example.com/statement).',
+].join('\n\n');
+
+const original = { title: 'Fire breaks out in Sharjah tower', content: BODY };
+
+console.log('sentences and diff');
+{
+    const sentences = splitSentences(BODY);
+    assert(sentences.length === 5, 'splits paragraphs and sentences');
+    assert(sentences[4].includes('Sharjah Municipality said in a statement'), 'strips markdown emphasis and links');
+    const hunks = diffSentences(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e']);
+    assert(hunks.length === 2, 'one hunk per contiguous change');
+    assert(hunks[0].at === 1 && hunks[0].removed[0] === 'b' && hunks[0].added[0] === 'x', 'replacement hunk points at the old sentence');
+    assert(hunks[1].at === 4 && hunks[1].removed.length === 0 && hunks[1].added[0] === 'e', 'appended sentence is an insertion at the end');
+    assert(diffSentences(['a'], ['a']).length === 0, 'identical bodies have no hunks');
+}
+
+console.log('\nnoise');
+{
+    const reformatted = { title: 'Fire breaks out in Sharjah tower ', content: BODY.replace(/\*\*/g, '').replace(/\n\n/g, '\n\n\n') };
+    const result = compareVersions(original, reformatted);
+    assert(!result.meaningful && result.diff.length === 0, 'markdown and whitespace churn is not an edit');
+    const titleCase = compareVersions(original, { ...original, title: 'Fire Breaks Out in Sharjah Tower' });
+    assert(!titleCase.titleChanged, 'headline case/punctuation changes are ignored');
+}
+
+console.log('\nedits');
+{
+    const toll = compareVersions(original, { ...original, content: BODY.replace('Twelve people were injured and 1,200', 'Twelve people were injured and 1,500') });
+    assert(toll.meaningful && toll.significant, 'an updated figure is significant');
+    assert(toll.numbersChanged && toll.changeRatio < 0.15, 'even though it touches few words');
+    assert(toll.diff.length === 1 && toll.diff[0].added[0].includes('1,500'), 'the diff carries the new sentence');
+
+    const typo = compareVersions(original, { ...original, content: BODY.replace('within two hours', 'after a two-hour operation involving crews from three stations') });
+    assert(typo.meaningful && !typo.significant, 'a wording fix is stored but not flagged');
+
+    const headline = compareVersions(original, { ...original, title: 'Twelve injured in Sharjah tower fire' });
+    assert(headline.titleChanged && headline.significant && !headline.contentChanged, 'a new headline is significant on its own');
+
+    const followUp = compareVersions(original, {
+        ...original,
+        content: BODY + '\n\nUPDATE: Authorities said on Wednesday that residents of floors one to twenty could return home, while the upper floors remain closed for inspection. A faulty air-conditioning unit on the 14th floor is believed to have started the fire.',
+    });
+    assert(followUp.significant && followUp.diff[0].removed.length === 0, 'an appended update is significant');
+}
+
+console.log('\nbroken re-extraction');
+{
+    const paywalled = compareVersions(original, { title: original.title, content: 'Subscribe to continue reading. Already a subscriber? Log in.' });
+    assert(paywalled.suspect && !paywalled.meaningful && !paywalled.significant, 'a body that lost most of its text is ignored');
+    const trimmed = compareVersions(original, { ...original, content: BODY.split('\n\n').slice(0, 3).join('\n\n') });
+    assert(!trimmed.suspect && trimmed.meaningful, 'a trimmed closing paragraph is still a real edit');
+}
+
+console.log('\nfeed sources');
+{
+    // A feed stores the item's summary; the page carries the full story.
+    const fromFeed = { title: original.title, content: BODY.split('\n\n')[0] };
+    const first = planRevisit(fromFeed, original, { baseline: true });
+    assert(first.action === 'baseline' && first.comparison.significant, 'the first page extraction is a baseline, not an edit');
+    assert(planRevisit(fromFeed, original).action === 'revise', 'compared like a page article it would be flagged');
+    const next = planRevisit(original, { ...original, content: BODY.replace('1,200', '1,500') });
+    assert(next.action === 'revise' && next.comparison.significant, 'later revisits compare page against page');
+    const broken = planRevisit(fromFeed, { ...original, content: 'Subscribe.' }, { baseline: true });
+    assert(broken.action === 'suspect', 'a broken page never becomes the baseline');
+    assert(planRevisit(original, original).action === 'unchanged', 'nothing to do when the page is as stored');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
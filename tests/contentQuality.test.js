@@ -0,0 +1,116 @@
+/**
+ * Content quality classifier tests (pure — no Mongo, no network).
+ * Run: node tests/contentQuality.test.js
+ *
+ * The fixtures are the shapes that used to need cleanup scripts: share-button
+ * rows, cookie banners, paywall prompts and feed teasers.
+ */
+
+const { classifyContent, stripBoilerplate, arabicScriptShare } = require('../services/contentQuality');
+const { contentQuality, engagementQuality } = require('../jobs/update-source-quality');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const STORY = [
+    'Global Village will open its gates for season 31 on Wednesday, October 15, the multicultural park has announced in a statement on Monday.',
+    '## What\'s new this season',
+    'Three new pavilions join the line-up this year, representing Georgia, Uzbekistan and Peru, bringing the total number of pavilions to 30. The Carnaval area has been rebuilt from scratch with 20 rides, including a new family coaster and a 60-metre drop tower.',
+    '- Tickets from Dh25 online, Dh30 at the gate',
+    '- Open 4pm to midnight, 1am at weekends and on public holidays',
+    'Fireworks return every Friday and Saturday at 9pm throughout the season, and the floating market is back with more than 40 kiosks serving street food from around the world. Organisers expect more than ten million visitors before the park closes in May.',
+].join('\n');
+
+const ARABIC_STORY = 'أعلنت هيئة الطرق والمواصلات في دبي عن افتتاح جسر جديد يربط شارع الشيخ زايد بشارع الخيل، بطول يبلغ ألفي متر وبسعة تصل إلى ثمانية آلاف مركبة في الساعة. ' +
+    'وقال مدير عام الهيئة إن المشروع يأتي ضمن خطة شاملة لتطوير شبكة الطرق في الإمارة وتقليل زمن الرحلة بنسبة تصل إلى خمسين في المئة خلال ساعات الذروة. ' +
+    'ومن المتوقع أن يستفيد من الجسر أكثر من مليون ساكن في المناطق المجاورة، بما في ذلك الخليج التجاري ومنطقة القوز والبرشاء.';
+
+console.log('full articles');
+{
+    const r = classifyContent({ title: 'Global Village season 31 opening date', content: STORY }, { language: 'english' });
+    assert(r.label === 'full', 'a normal English story is full');
+    assert(r.signals.boilerplateRatio === 0 && !r.signals.paywall, 'no boilerplate or paywall signals');
+    const ar = classifyContent({ title: 'افتتاح جسر جديد في دبي', content: ARABIC_STORY }, { language: 'arabic' });
+    assert(ar.label === 'teaser' && ar.reasons.some(x => x.startsWith('only')), 'a short Arabic story is a teaser, not junk');
+    const longer = classifyContent({ title: 'افتتاح جسر جديد في دبي', content: `${ARABIC_STORY}\n${ARABIC_STORY}` }, { language: 'arabic' });
+    assert(longer.label === 'full', 'a full Arabic story is full');
+}
+
+console.log('\nboilerplate');
+{
+    const shared = `${STORY}\n- Share on Facebook- Share on Messenger- Share on X- Share on WhatsApp`;
+    const r = classifyContent({ title: 'Global Village', content: shared }, { language: 'english' });
+    assert(r.label === 'full' && r.signals.boilerplateRatio > 0, 'a share row is counted but does not sink a real story');
+    const { text } = stripBoilerplate(shared);
+    assert(!/Share on/.test(text), 'share row is stripped');
+    const { text: inline } = stripBoilerplate('Fireworks return every Friday at 9pm, organisers said on Monday in a statement to the press and to visitors.- Share on Facebook- Share on X');
+    assert(inline.startsWith('Fireworks') && !/Share on/.test(inline), 'inline share buttons are cut out of prose');
+
+    const banner = [
+        'We use cookies to improve your experience on our website. By continuing you accept all cookies.',
+        'Cookie settings',
+        'Subscribe to our newsletter for the latest news.',
+        'Follow us on Instagram @example',
+        '© 2026 Example Media. All rights reserved.',
+    ].join('\n');
+    const junk = classifyContent({ title: 'Example News', content: banner }, { language: 'english' });
+    assert(junk.label === 'junk', 'a cookie banner and footer is junk');
+    const arabicChrome = classifyContent({
+        title: 'الخليج',
+        content: 'تابعونا على انستغرام وتويتر\nاقرأ أيضا: أخبار الطقس\nجميع الحقوق محفوظة لصحيفة الخليج ٢٠٢٦',
+    }, { language: 'arabic' });
+    assert(arabicChrome.label === 'junk', 'Arabic page chrome is junk');
+}
+
+console.log('\nteasers');
+{
+    const paywalled = classifyContent({
+        title: 'Oil prices rise',
+        content: `${STORY}\nSubscribe to continue reading. Already a subscriber? Log in.`,
+    }, { language: 'english' });
+    assert(paywalled.label === 'teaser' && paywalled.reasons.includes('paywall'), 'paywall prompt makes a teaser');
+    const cut = classifyContent({
+        title: 'Global Village',
+        content: 'Global Village will open its gates for season 31 on Wednesday, October 15, the multicultural park has announced. Three new pavilions join the line-up, and the Carnaval area has been rebuilt with 20 rides…',
+    }, { language: 'english' });
+    assert(cut.label === 'teaser' && cut.reasons.includes('truncated'), 'ellipsis ending makes a teaser');
+    const readMore = classifyContent({ title: 'Global Village', content: `${STORY}\nRead more` }, { language: 'english' });
+    assert(readMore.label === 'teaser', '"Read more" ending makes a teaser');
+    const arPaywall = classifyContent({ title: 'افتتاح جسر', content: `${ARABIC_STORY}\n${ARABIC_STORY}\nهذا المحتوى للمشتركين فقط` }, { language: 'arabic' });
+    assert(arPaywall.label === 'teaser' && arPaywall.signals.paywall, 'Arabic paywall marker');
+}
+
+console.log('\njunk by length and language');
+{
+    const tiny = classifyContent({ title: 'Breaking news', content: 'Details to follow shortly. Please check back later for updates.' }, { language: 'english' });
+    assert(tiny.label === 'junk' && tiny.reasons[0].startsWith('only'), 'a one-liner is junk');
+    const wrong = classifyContent({ title: 'Global Village season 31', content: STORY }, { language: 'arabic' });
+    assert(wrong.label === 'junk' && wrong.signals.languageMismatch, 'English body on an Arabic source is junk');
+    const wrongWay = classifyContent({ title: 'Bridge', content: `${ARABIC_STORY}\n${ARABIC_STORY}` }, { language: 'english' });
+    assert(wrongWay.label === 'junk', 'Arabic body on an English source is junk');
+    const mixed = classifyContent({ title: 'Dubai bridge opens — جسر دبي', content: `${STORY}\nالجسر الجديد` }, { language: 'english' });
+    assert(mixed.label === 'full', 'a few Arabic words in an English story are fine');
+    assert(arabicScriptShare('abc') === 0 && arabicScriptShare('دبي') === 1 && arabicScriptShare('') === 0, 'script share');
+}
+
+console.log('\nsource quality');
+{
+    assert(contentQuality({}) === 1, 'no runs is neutral');
+    assert(contentQuality({ full: 100 }) === 1, 'all full is 1');
+    assert(Math.abs(contentQuality({ teaser: 1000 }) - 0.5) < 0.01, 'all teasers settles at the teaser weight');
+    assert(contentQuality({ full: 1, junk: 1 }) > 0.9, 'one bad page barely moves the score');
+    assert(contentQuality({ full: 10, junk: 40 }) < 0.5, 'sustained junk drags it down');
+    assert(engagementQuality({ totalLikes: 0, totalDislikes: 0 }) === 1, 'engagement unchanged: neutral with no votes');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,118 @@
+/**
+ * Entity extraction tests (pure — no Mongo, no LLM).
+ * Run: node tests/entityExtraction.test.js
+ *
+ * Covers the multilingual gazetteer, normalisation of LLM output into
+ * shared IDs, the merge of both passes, story terms and the followed-entity
+ * scoring signal.
+ */
+
+const { normalize, slugify, resolveAlias, matchGazetteer } = require('../utils/entityGazetteer');
+const { entityId, gazetteerEntities, normalizeLlmEntities, mergeEntities } = require('../services/entityExtraction');
+const { keyTermsOf, articleTermsOf } = require('../services/storyTimelines');
+const { PERS_W, extractFeatures, linearScore } = require('../services/feedRanking');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+const ids = (matches) => [...matches.keys()].sort();
+
+console.log('normalize / slugify');
+{
+    assert(normalize('أبوظبي') === normalize('ابوظبي'), 'alef variants fold together');
+    assert(normalize('ابوظبی') === normalize('ابوظبي'), 'Persian ya folds to Arabic ya');
+    assert(normalize('مُحَمَّد') === normalize('محمد'), 'diacritics are stripped');
+    assert(slugify('Mohamed Alabbar') === 'mohamed-alabbar', 'English names slugify to kebab case');
+    assert(slugify('Société Générale') === 'societe-generale', 'accents are dropped from slugs');
+    assert(entityId('person', 'Mohamed Alabbar') === 'per:mohamed-alabbar', 'IDs are prefix:slug');
+    assert(entityId('planet', 'Mars') === null, 'unknown types have no ID');
+}
+
+console.log('matchGazetteer');
+{
+    const en = matchGazetteer('Emirates NBD opens a branch in Abu Dhabi and Dubai');
+    assert(ids(en).join() === 'co:emirates-nbd,loc:abu-dhabi,loc:dubai', 'English names and places are found');
+    const ar = matchGazetteer('محمد بن زايد يزور أبوظبي والشارقة');
+    assert(ar.has('per:mohamed-bin-zayed') && ar.has('loc:abu-dhabi'), 'Arabic names are found');
+    assert(ar.has('loc:sharjah'), 'an attached و proclitic is stripped');
+    const fa = matchGazetteer('سفر به ابوظبی و دبی');
+    assert(ids(fa).join() === 'loc:abu-dhabi,loc:dubai', 'Farsi names map to the same IDs');
+    assert(!matchGazetteer('Emirates NBD results').has('co:emirates'), 'the longest alias wins');
+    assert(matchGazetteer('عمان').size === 0, 'ambiguous names (Oman / Amman) are display-only');
+    assert(matchGazetteer('سلطنة عمان').has('loc:oman'), 'their unambiguous aliases still match');
+    assert(resolveAlias('Mohammed bin Zayed') === 'per:mohamed-bin-zayed', 'aliases resolve to the canonical ID');
+}
+
+console.log('gazetteerEntities');
+{
+    const found = gazetteerEntities('ADNOC signs deal', 'The deal was signed in Dubai. ADNOC said...');
+    const adnoc = found.find((e) => e.id === 'co:adnoc');
+    const dubai = found.find((e) => e.id === 'loc:dubai');
+    assert(adnoc && adnoc.type === 'company' && adnoc.origin === 'gazetteer', 'entries carry type and origin');
+    assert(adnoc.score > dubai.score, 'title mentions outweigh body mentions');
+}
+
+console.log('normalizeLlmEntities');
+{
+    const out = normalizeLlmEntities({
+        entities: [
+            { name: 'محمد العبار', english: 'Mohamed Alabbar', type: 'person' },
+            { name: 'طيران الإمارات', english: 'Emirates Airlines', type: 'company' },
+            { name: 'Paris', english: 'Paris', type: 'location' },
+            { name: 'x', english: 'x', type: 'planet' },
+            { name: '', english: '', type: 'person' },
+        ],
+    });
+    assert(out.length === 2, 'unknown types, empty names and non-GCC places are dropped');
+    assert(out[0].id === 'per:mohamed-alabbar' && out[0].surface === 'محمد العبار', 'new entities get an ID from the English name');
+    assert(out[1].id === 'co:emirates' && out[1].origin === 'gazetteer', 'LLM names that are aliases resolve to the gazetteer');
+    assert(normalizeLlmEntities(null).length === 0 && normalizeLlmEntities({ entities: 'no' }).length === 0, 'malformed output yields nothing');
+}
+
+console.log('mergeEntities');
+{
+    const merged = mergeEntities(
+        [{ id: 'co:adnoc', type: 'company', name: 'ADNOC', surface: null, score: 3, origin: 'gazetteer' }],
+        [
+            { id: 'co:adnoc', type: 'organization', name: 'Adnoc', surface: 'أدنوك', score: 1, origin: 'extracted' },
+            { id: 'per:sultan-al-jaber', type: 'person', name: 'Sultan Al Jaber', surface: 'Sultan Al Jaber', score: 1, origin: 'extracted' },
+        ]
+    );
+    assert(merged.length === 2 && merged[0].id === 'co:adnoc' && merged[0].score === 4, 'scores add up by ID, best first');
+    assert(merged[0].type === 'company' && merged[0].name === 'ADNOC', 'gazetteer metadata wins');
+    assert(merged[0].surfaces.includes('أدنوك') && !('surface' in merged[0]), 'surface forms are collected');
+    const many = mergeEntities(Array.from({ length: 30 }, (_, i) => ({ id: `per:p${i}`, type: 'person', name: `P${i}`, score: i })));
+    assert(many.length === 12 && many[0].id === 'per:p29', 'the list is capped to the highest-scoring');
+}
+
+console.log('story terms');
+{
+    const terms = articleTermsOf({ title: 'ADNOC signs gas deal', entities: ['co:adnoc', 'loc:abu-dhabi'] });
+    assert(terms.includes('adnoc') && terms.includes('co:adnoc') && terms.includes('loc:abu-dhabi'), 'entity IDs join the headline terms');
+    assert(articleTermsOf({ title: 'ADNOC signs gas deal' }).length === keyTermsOf('ADNOC signs gas deal').length, 'articles without entities keep headline terms');
+}
+
+console.log('followed entity scoring');
+{
+    const now = Date.now();
+    const base = { _id: 'a1', category: 'business', publishedAt: new Date(now - 3600e3), entities: ['co:adnoc'] };
+    const ctx = { followedEntityIds: new Set(['co:adnoc']) };
+    const on = extractFeatures(base, ctx, { now });
+    const off = extractFeatures({ ...base, entities: ['loc:dubai'] }, ctx, { now });
+    assert(on.followedEntity === 1 && off.followedEntity === 0, 'followedEntity is set only on a match');
+    assert(extractFeatures({ ...base, entities: undefined }, ctx, { now }).followedEntity === 0, 'articles without entities score 0');
+    assert(extractFeatures(base, null, { now }).followedEntity === 0, 'guests score 0');
+    const diff = linearScore(on, PERS_W, { page: 2 }) - linearScore(off, PERS_W, { page: 2 });
+    assert(Math.abs(diff - PERS_W.followedEntityBoost) < 1e-9, 'the boost adds followedEntityBoost at neutral relevance');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
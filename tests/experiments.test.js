@@ -0,0 +1,164 @@
+/**
+ * Experimentation tests (pure — no Mongo, no network).
+ * Run: node tests/experiments.test.js
+ *
+ * Assignment is checked over 20k synthetic users: allocations and weights
+ * must come out within a percentage point, experiments sharing a layer must
+ * never share a user, and experiments in different layers must be
+ * independent of each other.
+ */
+
+const {
+    assignVariant,
+    getAssignments,
+    treatmentLabel,
+    getEffectivePersW,
+    getTreatmentFlag,
+    experimentAttributesForUser,
+} = require('../utils/experiments');
+const {
+    meanInterval,
+    proportionInterval,
+    difference,
+    summarizeArms,
+    validateDefinition,
+    findLayerOffset,
+} = require('../services/experiments');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const USERS = Array.from({ length: 20000 }, (_, i) => `user-${i}`);
+const arms = (...keys) => keys.map(key => ({ key, weight: 1 }));
+
+const scoringA = { key: 'vector_boost', layer: 'scoring', allocation: 30, layerOffset: 0, variants: [{ key: 'control', weight: 1, persWOverrides: null }, { key: 'boost', weight: 1, persWOverrides: { vector: 8 } }] };
+const scoringB = { key: 'recency_boost', layer: 'scoring', allocation: 20, layerOffset: 30, variants: arms('control', 'fresh') };
+const ui = { key: 'card_layout', layer: 'ui', allocation: 50, layerOffset: 0, variants: [{ key: 'control', weight: 3 }, { key: 'big', weight: 1, flags: { bigCards: true } }] };
+const targeted = { key: 'arabic_only', layer: 'targeted', allocation: 100, layerOffset: 0, variants: arms('control', 'variant'), targeting: { languages: ['Arabic'], cities: [], platforms: ['ios'] } };
+
+console.log('assignment');
+{
+    const first = USERS.slice(0, 200).map(u => assignVariant(scoringA, u));
+    const again = USERS.slice(0, 200).map(u => assignVariant(scoringA, u));
+    assert(first.every((v, i) => v === again[i]), 'assignment is deterministic');
+
+    const inA = USERS.filter(u => assignVariant(scoringA, u));
+    const inB = USERS.filter(u => assignVariant(scoringB, u));
+    assert(Math.abs(inA.length / USERS.length - 0.30) < 0.01, `allocation 30% → ${(inA.length / USERS.length * 100).toFixed(1)}%`);
+    assert(Math.abs(inB.length / USERS.length - 0.20) < 0.01, `allocation 20% → ${(inB.length / USERS.length * 100).toFixed(1)}%`);
+    assert(!inA.some(u => assignVariant(scoringB, u)), 'experiments in the same layer never share a user');
+
+    const boost = inA.filter(u => assignVariant(scoringA, u) === 'boost').length;
+    assert(Math.abs(boost / inA.length - 0.5) < 0.02, 'equal weights split evenly');
+    const inUi = USERS.filter(u => assignVariant(ui, u));
+    const big = inUi.filter(u => assignVariant(ui, u) === 'big').length;
+    assert(Math.abs(big / inUi.length - 0.25) < 0.02, '3:1 weights split 75/25');
+
+    // Independent layers: the ui experiment takes ~50% of scoringA's users too.
+    const both = inA.filter(u => assignVariant(ui, u)).length;
+    assert(Math.abs(both / inA.length - 0.5) < 0.03, 'different layers are independent');
+
+    const grown = { ...scoringA, allocation: 40 };
+    assert(inA.every(u => assignVariant(grown, u) === assignVariant(scoringA, u)), 'growing an allocation keeps existing users in their arm');
+    assert(assignVariant(scoringA, null) === null, 'anonymous users are never assigned');
+}
+
+console.log('\ntargeting');
+{
+    const arabicIos = { language: 'arabic', city: 'dubai', platform: 'ios' };
+    assert(assignVariant(targeted, 'user-1', arabicIos) !== null, 'matching user is assigned (case-insensitive)');
+    assert(assignVariant(targeted, 'user-1', { ...arabicIos, platform: 'android' }) === null, 'wrong platform is excluded');
+    assert(assignVariant(targeted, 'user-1', {}) === null, 'unknown attributes never match a target');
+    const attrs = experimentAttributesForUser({
+        language: 'Arabic',
+        city: 'Dubai',
+        pushTokens: [{ platform: 'android', updatedAt: '2026-01-01' }, { platform: 'ios', updatedAt: '2026-10-01' }],
+    });
+    assert(attrs.language === 'arabic' && attrs.city === 'dubai' && attrs.platform === 'ios', 'attributes come from the user, latest push token wins');
+}
+
+console.log('\noverrides and labels');
+{
+    const experiments = [scoringA, scoringB, ui];
+    const user = USERS.find(u => assignVariant(scoringA, u) === 'boost' && assignVariant(ui, u) === 'big');
+    const assignments = getAssignments(user, {}, experiments);
+    assert(assignments.vector_boost === 'boost' && assignments.card_layout === 'big' && !assignments.recency_boost, 'one assignment per layer');
+    assert(treatmentLabel(assignments) === 'card_layout:big,vector_boost:boost', 'label lists arms sorted by experiment');
+    assert(treatmentLabel({}) === 'control', 'no experiments is control');
+
+    const W = getEffectivePersW(assignments, { vector: 5, recency: 2 }, experiments);
+    assert(W.vector === 8 && W.recency === 2, 'variant PERS_W overrides merge onto defaults');
+    const defaults = { vector: 5 };
+    assert(getEffectivePersW({}, defaults, experiments) === defaults, 'no arms returns the defaults untouched');
+    assert(getTreatmentFlag(assignments, 'bigCards', false, experiments) === true, 'variant flag');
+    assert(getTreatmentFlag(assignments, 'other', 'fallback', experiments) === 'fallback', 'unset flag falls back');
+}
+
+console.log('\ndefinitions and layers');
+{
+    const valid = validateDefinition({ key: 'exp_1', allocation: 10, variants: arms('control', 'b'), targeting: { languages: ['English'] } });
+    assert(valid.key === 'exp_1' && valid.targeting.cities.length === 0, 'valid definition is normalised');
+    const rejects = (input, msg) => {
+        let threw = null;
+        try { validateDefinition(input); } catch (err) { threw = err; }
+        assert(threw && threw.code === 'EXPERIMENT_INVALID' && threw.status === 400, msg);
+    };
+    rejects({ key: 'Bad Key', allocation: 10, variants: arms('control', 'b') }, 'bad key is rejected');
+    rejects({ key: 'exp', allocation: 150, variants: arms('control', 'b') }, 'allocation over 100 is rejected');
+    rejects({ key: 'exp', allocation: 10, variants: arms('control') }, 'a single arm is rejected');
+    rejects({ key: 'exp', allocation: 10, variants: arms('a', 'b') }, 'missing control arm is rejected');
+    rejects({ key: 'exp', allocation: 10, variants: arms('control', 'control') }, 'duplicate arms are rejected');
+
+    assert(findLayerOffset([], 30) === 0, 'empty layer starts at 0');
+    assert(findLayerOffset([{ layerOffset: 0, allocation: 30 }], 50) === 30, 'next slice follows the first');
+    assert(findLayerOffset([{ layerOffset: 0, allocation: 30 }, { layerOffset: 60, allocation: 40 }], 30) === 30, 'fills a gap that fits');
+    assert(findLayerOffset([{ layerOffset: 0, allocation: 30 }, { layerOffset: 60, allocation: 40 }], 31) === null, 'full layer returns null');
+}
+
+console.log('\nstatistics');
+{
+    const m = meanInterval([1, 2, 3, 4, 5]);
+    assert(m.mean === 3 && m.ci[0] < 3 && m.ci[1] > 3, 'mean interval brackets the mean');
+    assert(meanInterval([]).mean === null, 'empty mean is null');
+    const p = proportionInterval(0, 20);
+    assert(p.mean === 0 && p.ci[0] === 0 && p.ci[1] > 0.1, 'Wilson interval is sensible at 0');
+    const big = proportionInterval(5000, 10000);
+    assert(big.ci[1] - big.ci[0] < 0.02, 'interval narrows with n');
+
+    const now = new Date('2026-10-19T00:00:00Z');
+    const day = 24 * 60 * 60 * 1000;
+    const users = [];
+    for (let i = 0; i < 400; i++) {
+        const variant = i % 2 === 0 ? 'control' : 'boost';
+        const firstExposedAt = new Date(now - 10 * day);
+        const views = variant === 'boost' ? 4 : 2;
+        // Boost retains 60% at D7, control 30%.
+        const retained = (i % 10) < (variant === 'boost' ? 6 : 3);
+        users.push({
+            variant, impressions: 20, views, readTime: variant === 'boost' ? 120 : 100, firstExposedAt,
+            lastActiveAt: retained ? new Date(firstExposedAt.getTime() + 8 * day) : firstExposedAt,
+        });
+    }
+    users.push({ variant: 'boost', impressions: 0, views: 0, readTime: 0, firstExposedAt: new Date(now - 3600 * 1000), lastActiveAt: null });
+    const result = summarizeArms(users, { variants: ['control', 'boost'], controlVariant: 'control', now });
+    assert(result.control.users === 200 && result.boost.users === 201, 'users per arm');
+    assert(result.control.metrics.ctr.mean === 0.1 && result.boost.metrics.ctr.mean === 0.2, 'CTR per user with impressions');
+    assert(result.boost.metrics.retentionD7.n === 200, 'retention only counts users exposed long enough ago');
+    assert(result.boost.vsControl.ctr.diff === 0.1 && result.boost.vsControl.ctr.lift === 1, 'difference and lift against control');
+    assert(result.boost.vsControl.retentionD7.significant === true, 'a large retention gap is significant');
+    assert(result.control.vsControl === null, 'control has no comparison');
+    assert(!('se' in result.boost.metrics.ctr), 'internal standard errors are not returned');
+    assert(difference({ n: 1, mean: 1, se: 0 }, { n: 100, mean: 0.5, se: 0.1 }) === null, 'no comparison on a single user');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
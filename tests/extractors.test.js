@@ -0,0 +1,183 @@
+/**
+ * Extractor strategy tests (saved HTML fixtures — no Mongo, no real network).
+ * Run: node tests/extractors.test.js
+ *
+ * Each strategy in scraper/extractors is exercised on its own against a
+ * fixture in tests/fixtures/extractors, then the registry is checked for the
+ * fallback behaviour: a chain must move on when a strategy yields nothing.
+ */
+
+// Fixtures stand in for the network; skip robots.txt and per-host pacing.
+process.env.SCRAPER_POLITENESS = 'off';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const xml2js = require('xml2js');
+const extractors = require('../scraper/extractors');
+const generic = require('../scraper/extractors/generic');
+const jsonLd = require('../scraper/extractors/jsonLd');
+const openGraph = require('../scraper/extractors/openGraph');
+const listApi = require('../scraper/extractors/listApi');
+const sitemap = require('../scraper/extractors/sitemap');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'extractors');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const load = (name) => cheerio.load(fixture(name));
+
+const SOURCE = { name: 'Gulf Desk', url: 'https://gulfdesk.example/uae', baseUrl: 'https://gulfdesk.example' };
+
+const realGet = axios.get;
+function stubAxios(handler) {
+    const calls = [];
+    axios.get = async (url, opts) => {
+        calls.push(url);
+        return handler(url, opts);
+    };
+    return calls;
+}
+function restoreAxios() {
+    axios.get = realGet;
+}
+
+// Silence expected warn chatter from failure-path strategies.
+const realWarn = console.warn;
+const realLog = console.log;
+function muteLogs() {
+    console.warn = () => {};
+    console.log = () => {};
+}
+function unmuteLogs() {
+    console.warn = realWarn;
+    console.log = realLog;
+}
+
+(async () => {
+    console.log('generic');
+    {
+        muteLogs();
+        const links = await generic.discoverLinks(load('generic-listing.html'), SOURCE);
+        unmuteLogs();
+        assert(links.length === 2, 'collects listing links, deduped, skipping ":" placeholders');
+        assert(links[0] === 'https://gulfdesk.example/uae/transport/dubai-metro-weekend-hours', 'resolves relative hrefs against baseUrl');
+
+        const quirks = extractors.getSiteQuirks({ name: "What's On", url: 'https://whatson.ae' });
+        muteLogs();
+        const a = await generic.extractArticle(load('generic-article.html'), SOURCE, { quirks });
+        unmuteLogs();
+        assert(a.title === 'Dubai Metro extends weekend hours', 'first visible title match wins over sr-only copy');
+        assert(a.content.includes('## What changes'), 'h2 headings become markdown');
+        assert(a.content.includes('- Red Line until 2am'), 'ul items become markdown bullets');
+        assert(!a.content.includes('Hidden promo'), 'display:none paragraphs are dropped');
+        assert(!a.content.includes('Short.'), 'paragraphs of 10 chars or fewer are dropped');
+        assert(a.images[0] === 'https://gulfdesk.example/uploads/metro-hero.jpg?w=800', 'images are absolutised and upsized');
+        assert(a.images.length === 1, 'social SVGs, tracking pixels and whatson theme icons are filtered');
+    }
+
+    console.log('\nsite quirks');
+    {
+        muteLogs();
+        const other = await generic.extractArticle(load('generic-article.html'), SOURCE, { quirks: extractors.getSiteQuirks(SOURCE) });
+        unmuteLogs();
+        assert(other.images.some(u => u.includes('whatson-grow')), 'whatson icon filter only applies to whatson sources');
+    }
+
+    console.log('\njsonld');
+    {
+        const a = await jsonLd.extractArticle(load('jsonld-article.html'), SOURCE);
+        assert(a.title === 'Sharjah opens new coastal park', 'reads headline from a NewsArticle inside @graph');
+        assert(a.content.startsWith('The park stretches') && a.content.includes('the municipality said.'), 'reads articleBody');
+        assert(a.images.length === 2 && a.images[1].startsWith('https://cdn.'), 'reads ImageObject and protocol-relative images');
+
+        const links = await jsonLd.discoverLinks(load('jsonld-listing.html'), SOURCE);
+        assert(links.length === 2, 'reads ItemList links');
+        assert(links[1] === 'https://gulfdesk.example/news/abu-dhabi-ferry-route', 'resolves relative ItemList item urls');
+
+        assert(await jsonLd.extractArticle(load('opengraph-article.html'), SOURCE) === null, 'returns null without a NewsArticle block');
+    }
+
+    console.log('\nopengraph');
+    {
+        const a = await openGraph.extractArticle(load('opengraph-article.html'), SOURCE);
+        assert(a.title.startsWith('Qatar announces'), 'prefers og:title over <title>');
+        assert(a.content.includes('without a visa'), 'uses og:description as content');
+        assert(a.images[0] === 'https://gulfdesk.example/media/qatar-visa.jpg', 'falls back to twitter:image, absolutised');
+    }
+
+    console.log('\nlistApi');
+    {
+        const source = { name: 'Sharjah24', url: 'https://www.sharjah24.ae/en' };
+        const calls = stubAxios(async () => ({
+            data: JSON.stringify(JSON.stringify({ Articles: [{ DetailPageUrl: '/ar/news/1' }, { DetailPageUrl: '/ar/news/2' }] })),
+        }));
+        muteLogs();
+        const links = await listApi.discoverLinks(load('listapi-listing.html'), source);
+        unmuteLogs();
+        restoreAxios();
+        assert(calls[0].includes('typeID=7') && calls[0].includes('pageSize=20') && calls[0].includes('culture=en'),
+            'fills the built-in template from hidden inputs, defaults and lowercasing');
+        assert(links[0] === 'https://www.sharjah24.ae/en/news/1', 'double-decodes the payload and rewrites the locale');
+        const none = await listApi.discoverLinks(load('listapi-listing.html'), SOURCE);
+        assert(none.length === 0, 'no config → no links');
+    }
+
+    console.log('\nsitemap');
+    {
+        const parsed = await xml2js.parseStringPromise(fixture('sitemap-news.xml'), {
+            explicitArray: false,
+            tagNameProcessors: [xml2js.processors.stripPrefix],
+        });
+        const links = sitemap.parseUrlset(parsed, { now: Date.parse('2026-10-19T12:00:00Z'), host: 'gulfdesk.example' });
+        assert(links[0] === 'https://gulfdesk.example/news/newest-story', 'newest entry first');
+        assert(links.includes('https://gulfdesk.example/news/older-story'), 'reads news:publication_date');
+        assert(!links.some(l => l.includes('last-year')), 'drops entries older than the freshness window');
+        assert(!links.some(l => l.includes('partner.example')), 'drops off-host entries');
+
+        const calls = stubAxios(async (url) => ({
+            data: url.endsWith('/sitemap.xml') ? fixture('sitemap-index.xml') : fixture('sitemap-news.xml'),
+        }));
+        muteLogs();
+        await sitemap.discoverLinks(null, SOURCE);
+        unmuteLogs();
+        restoreAxios();
+        assert(calls[0] === 'https://gulfdesk.example/sitemap.xml', 'defaults to /sitemap.xml on the source origin');
+        assert(calls[1] === 'https://gulfdesk.example/sitemap-news.xml', 'follows the news child of a sitemap index');
+    }
+
+    console.log('\nregistry fallback');
+    {
+        assert(extractors.resolveChain(SOURCE).join(',') === 'generic,jsonld,opengraph', 'default chain');
+        assert(extractors.resolveChain({ name: 'Sharjah24', url: 'https://www.sharjah24.ae' })[0] === 'listApi', 'listApi sources discover through it first');
+        muteLogs();
+        assert(extractors.resolveChain({ ...SOURCE, extractors: ['nope', 'opengraph'] }).join(',') === 'opengraph', 'unknown names are dropped');
+        unmuteLogs();
+
+        const viaJsonLd = await extractors.extractArticle(load('jsonld-article.html'), SOURCE);
+        assert(viaJsonLd.strategy === 'jsonld', 'generic finds nothing, so jsonld takes over');
+
+        const viaOg = await extractors.extractArticle(load('opengraph-article.html'), SOURCE);
+        assert(viaOg.strategy === 'opengraph', 'falls through to opengraph last');
+
+        const pinned = await extractors.extractArticle(load('opengraph-article.html'), { ...SOURCE, extractors: ['jsonld'] });
+        assert(pinned.article === null, 'an explicit chain is not padded with defaults');
+
+        const viaListing = await extractors.discoverLinks(load('jsonld-listing.html'), SOURCE);
+        assert(viaListing.strategy === 'jsonld' && viaListing.links.length === 2, 'link discovery falls back too');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
@@ -0,0 +1,169 @@
+/**
+ * Feed explanation tests (pure — no Mongo, no Redis).
+ * Run: node tests/feedExplanations.test.js
+ *
+ * Covers reason selection, the score breakdown behind /:id/why (it must
+ * agree with the live scorer), reel explanations and the ?explain switch.
+ */
+
+const {
+    MIN_PERSONAL_CONTRIBUTION,
+    explainContributions,
+    explainArticle,
+    scoreBreakdown,
+    explainReel,
+    wantsExplanations,
+    withExplanations,
+} = require('../services/feedExplanations');
+const { PERS_W, extractFeatures, linearScore, scorePersonalizedCandidates, scoreContributions } = require('../services/feedRanking');
+const { createPipeline, personalFeatures, linearScorer, feedAssembler } = require('../services/rankingPipeline');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+const close = (a, b, eps = 0.01) => Math.abs(a - b) < eps;
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-10-18T12:00:00Z').getTime();
+const ago = (hours) => new Date(NOW - hours * HOUR);
+
+// Follows the "wire" group, prefers tech, muted source src5.
+function ctxFor(overrides = {}) {
+    return {
+        userId: 'reader',
+        hasSignal: true,
+        embedding: null,
+        preferredCategories: new Set(['tech']),
+        dislikedCategories: new Set(),
+        followingSourceGroups: new Set(['wire']),
+        preferredSourceIds: new Set(),
+        mutedSourceIds: new Set(['src5']),
+        followedEntityIds: new Set(['co:adnoc']),
+        viewedIds: new Set(),
+        viewReadFractions: new Map(),
+        experiments: {},
+        ...overrides,
+    };
+}
+
+const followed = { _id: 'a1', category: 'news', sourceId: 'src1', sourceGroupName: 'wire', publishedAt: ago(30) };
+const entity = { _id: 'a2', category: 'news', sourceId: 'src2', sourceGroupName: 'daily', publishedAt: ago(30), entities: ['co:adnoc'] };
+const fresh = { _id: 'a3', category: 'news', sourceId: 'src3', sourceGroupName: 'daily', publishedAt: ago(0.1) };
+const muted = { _id: 'a4', category: 'tech', sourceId: 'src5', sourceGroupName: 'herald', publishedAt: ago(2) };
+
+(async () => {
+    console.log('explainContributions');
+    {
+        const why = explainContributions({ recency: 4, following: 2, vector: 0.3, mutedSource: -6 });
+        assert(why.reason === 'followed_source', 'the strongest personal factor is the reason');
+        assert(why.factors.length === 3 && why.factors[0].factor === 'recency', 'factors are the top positive ones, largest first');
+        assert(!why.factors.some((f) => f.factor === 'mutedSource'), 'penalties are not reasons');
+        const weak = explainContributions({ recency: 3, engagement: 1, vector: MIN_PERSONAL_CONTRIBUTION / 2 });
+        assert(weak.reason === 'fresh', 'a weak personal nudge loses to recency');
+        assert(explainContributions({ recency: 0.5, engagement: 2 }).reason === 'popular', 'engagement-led items are popular');
+        assert(explainContributions({ sessionVector: 1.2 }).reason === 'current_session', 'session factors share one reason');
+        assert(explainContributions({ vector: 0.2 }, { minPersonal: 0.1 }).reason === 'similar_to_history', 'scorers on another scale pass their own threshold');
+        assert(explainContributions({ vector: 3 }, { reason: 'discovery' }).reason === 'discovery', 'an explicit reason wins');
+        assert(explainContributions({}).reason === 'fresh' && explainContributions({}).factors.length === 0, 'nothing to go on is fresh');
+        assert(explainContributions({ recency: 1.23456 }).factors[0].contribution === 1.23, 'contributions are rounded');
+    }
+
+    console.log('scoreContributions');
+    {
+        const ctx = ctxFor({ viewedIds: new Set(['a4']), viewReadFractions: new Map([['a4', 0.5]]) });
+        let mismatches = 0;
+        for (const a of [followed, entity, fresh, muted]) {
+            const f = extractFeatures(a, ctx, { now: NOW });
+            for (const page of [1, 2, 3]) {
+                const sum = Object.values(scoreContributions(f, PERS_W, { page })).reduce((x, y) => x + y, 0);
+                if (!close(sum, linearScore(f, PERS_W, { page }), 1e-9)) mismatches++;
+            }
+        }
+        assert(mismatches === 0, 'contributions always sum to linearScore');
+        const c = scoreContributions(extractFeatures(muted, ctx, { now: NOW }), PERS_W, { page: 1 });
+        assert(c.mutedSource === PERS_W.mutedSourcePenalty && close(c.viewed, PERS_W.viewedPenalty * 0.5), 'penalties appear as applied');
+    }
+
+    console.log('explainArticle');
+    {
+        const ctx = ctxFor();
+        const ranked = scorePersonalizedCandidates([followed, entity, fresh].map((a) => ({ ...a })), ctx, { page: 2, now: NOW, telemetry: false });
+        const byId = Object.fromEntries(ranked.map((a) => [a._id, explainArticle(a, { ctx, page: 2, now: NOW })]));
+        assert(byId.a1.reason === 'followed_source', 'a followed source explains itself');
+        assert(byId.a2.reason === 'followed_entity', 'a followed entity explains itself');
+        assert(byId.a3.reason === 'fresh', 'a brand-new article with no personal match is fresh');
+        const explored = explainArticle({ ...ranked[0], _explorationInjected: true }, { ctx, page: 1, now: NOW });
+        assert(explored.reason === 'discovery', 'exploration slots say so');
+        const guest = { ...fresh, publishedAt: ago(240), viewCount: 5000, _features: {} };
+        assert(explainArticle(guest, { ctx: null, now: NOW }).reason === 'popular', 'without signal, the baseline blend explains');
+        assert(explainArticle({ _id: 'x' }, { ctx }) === null, 'unscored items have no explanation');
+    }
+
+    console.log('scoreBreakdown');
+    {
+        const ctx = ctxFor();
+        const live = scorePersonalizedCandidates([{ ...followed }], ctx, { page: 2, now: NOW, telemetry: false })[0];
+        const b = scoreBreakdown(followed, ctx, { page: 2, now: NOW });
+        assert(b.scorer === 'linear' && close(b.score, live._score), 'the breakdown scores like the feed');
+        assert(b.reason === 'followed_source' && b.contributions.following > 0, 'it carries the reason and contributions');
+        assert(b.features.following === 1 && b.weights.followingBoost === PERS_W.followingBoost, 'features and weights are included');
+        assert(b.multipliers.relMult === 1 && b.multipliers.sourceQuality === 1, 'page and quality multipliers are shown');
+        const keys = Object.keys(b.contributions);
+        assert(keys.every((k) => b.contributions[k] !== 0), 'zero contributions are left out');
+        const pinned = scoreBreakdown(followed, ctx, { page: 2, now: NOW, weights: { ...PERS_W, followingBoost: 0 } });
+        assert(!('following' in pinned.contributions), 'pinned weights are honoured');
+        const cold = scoreBreakdown(fresh, ctxFor({ hasSignal: false, dislikedCategories: new Set(['news']) }), { now: NOW });
+        assert(cold.scorer === 'baseline' && cold.contributions.dislikedCategory === PERS_W.dislikedCategoryPenalty, 'cold users get the baseline breakdown with its penalty');
+    }
+
+    console.log('pipeline items');
+    {
+        const ctx = ctxFor();
+        const pipeline = createPipeline({
+            name: 'explain-test',
+            sources: [async (s) => { s.candidates = [followed, entity, fresh].map((a) => ({ ...a })); }],
+            features: [personalFeatures],
+            scorer: linearScorer(),
+            assembler: feedAssembler(),
+        });
+        const s = await pipeline.run({ ctx, limit: 3, page: 2, now: NOW });
+        assert(s.items.every((a) => a.why && typeof a.why.reason === 'string'), 'every scored item carries why');
+        assert(s.items.find((a) => a._id === 'a2').why.reason === 'followed_entity', 'with the reason of its own score');
+        assert(s.items.every((a) => a._features === undefined), 'features themselves are still stripped');
+        assert(s.weights && s.weights.recency === PERS_W.recency, 'the scorer leaves its weights on the run state');
+    }
+
+    console.log('explainReel');
+    {
+        const similar = explainReel({ _bucket: 'personalized', embeddingScore: 0.9, velocityScore: 0.2, sourceScore: 0, categoryScore: 0.5, recencyMultiplier: 2 });
+        assert(similar.reason === 'similar_to_history' && similar.factors[0].factor === 'vector', 'vector-led reels are similar to history');
+        assert(close(similar.factors[0].contribution, 0.72), 'reel contributions include the recency multiplier');
+        assert(explainReel({ _bucket: 'personalized', embeddingScore: 0.1, velocityScore: 1 }).reason === 'trending', 'velocity-led reels are trending');
+        assert(explainReel({ _bucket: 'personalized', embeddingScore: 0.1, sourceScore: 1 }).reason === 'preferred_source', 'source-led reels name the source');
+        assert(explainReel({ _bucket: 'collab' }).reason === 'similar_users', 'collab bucket');
+        assert(explainReel({ _bucket: 'evergreen' }).reason === 'popular', 'evergreen bucket');
+        assert(explainReel({}).reason === 'fresh', 'unscored reels default to fresh');
+    }
+
+    console.log('?explain');
+    {
+        assert(wantsExplanations({ explain: '1' }) && wantsExplanations({ explain: 'true' }), 'explain=1|true asks');
+        assert(!wantsExplanations({}) && !wantsExplanations({ explain: '0' }) && !wantsExplanations(undefined), 'anything else does not');
+        const items = [{ _id: 1, why: { reason: 'fresh' } }, { _id: 2 }];
+        const stripped = withExplanations(items, false);
+        assert(!('why' in stripped[0]) && stripped[1] === items[1], 'why is dropped unless asked');
+        assert(withExplanations(items, true) === items, 'and kept when asked');
+        assert(withExplanations(null, false) === null, 'non-arrays pass through');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
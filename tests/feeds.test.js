@@ -0,0 +1,153 @@
+/**
+ * Feed ingestion parsing tests (saved feeds — no Mongo, no real network).
+ * Run: node tests/feeds.test.js
+ *
+ * Covers the three formats scraper/feeds.js accepts and the conditional GET
+ * contract: validators go out on the request, a 304 means "nothing to do",
+ * and new validators are only kept once every item was handled.
+ */
+
+// Fixtures stand in for the network; skip robots.txt and per-host pacing.
+process.env.SCRAPER_POLITENESS = 'off';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Article = require('../models/Article');
+const { parseFeed, fetchFeed, isFeedSource, ingestFeedSource } = require('../scraper/feeds');
+const { newRunStats } = require('../services/scrapeHealth');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+
+const realGet = axios.get;
+function restoreAxios() {
+    axios.get = realGet;
+}
+
+(async () => {
+    console.log('RSS 2.0');
+    {
+        const { format, items } = await parseFeed(fixture('rss2.xml'));
+        assert(format === 'rss', 'detects RSS');
+        assert(items.length === 2, 'reads every item');
+        const [first, second] = items;
+        assert(first.title === 'Abu Dhabi launches & expands e-scooter lanes', 'unwraps CDATA and decodes entities in titles');
+        assert(first.url === 'https://gulfdesk.example/uae/e-scooter-lanes', 'prefers <link> over a non-permalink guid');
+        assert(first.content.includes('40km of new lanes') && first.content.includes('Saadiyat'), 'prefers content:encoded over the teaser description');
+        assert(first.images[0] === 'https://gulfdesk.example/img/lanes.jpg', 'maps media:content images first');
+        assert(!first.images.some(u => u.endsWith('.mp4')), 'ignores video media:content');
+        assert(first.images.includes('/img/inline.jpg'), 'keeps inline <img> from the body as a fallback');
+        assert(first.publishedAt.toISOString() === '2026-10-18T05:15:00.000Z', 'parses RFC 822 pubDate with offset');
+        assert(second.url === 'https://gulfdesk.example/uae/guid-only', 'falls back to a permalink guid');
+        assert(second.images.length === 1 && second.images[0].endsWith('guid.png'), 'maps image enclosures, not audio');
+        assert(second.publishedAt.toISOString() === '2026-10-18T05:00:00.000Z', 'reads dc:date');
+    }
+
+    console.log('\nAtom');
+    {
+        const { format, items } = await parseFeed(fixture('atom.xml'));
+        const [entry] = items;
+        assert(format === 'atom', 'detects Atom');
+        assert(entry.title === 'Oman raises fuel prices', 'strips markup from type="html" titles');
+        assert(entry.url === 'https://gulfdesk.example/business/oman-fuel', 'uses the alternate link');
+        assert(entry.images[0].endsWith('fuel.jpg') && entry.images[1].endsWith('fuel-thumb.jpg'), 'enclosure links, then media:thumbnail');
+        assert(entry.publishedAt.toISOString() === '2026-10-18T10:00:00.000Z', 'prefers published over updated');
+        assert(entry.content === 'Prices rise for the second month in a row.', 'summary is used when there is no content');
+    }
+
+    console.log('\nGoogle News sitemap');
+    {
+        const { format, items } = await parseFeed(fixture('news-sitemap.xml'));
+        const [item] = items;
+        assert(format === 'news-sitemap', 'detects a news: urlset');
+        assert(item.title === 'Doha Metro confirms new line', 'reads news:title');
+        assert(item.content === '', 'has no body, so ingestion fetches the page');
+        assert(item.images[0] === 'https://gulfdesk.example/img/metro.jpg', 'reads image:loc');
+        assert(item.publishedAt.toISOString() === '2026-10-18T04:45:00.000Z', 'reads news:publication_date');
+    }
+
+    console.log('\nunknown documents');
+    {
+        let threw = false;
+        try { await parseFeed('<html><body>nope</body></html>'); } catch { threw = true; }
+        assert(threw, 'rejects non-feed XML');
+    }
+
+    console.log('\nconditional GET');
+    {
+        let sent;
+        axios.get = async (url, opts) => {
+            sent = { url, opts };
+            return { status: 200, data: fixture('atom.xml'), headers: { etag: 'W/"abc"', 'last-modified': 'Sun, 18 Oct 2026 12:00:00 GMT' } };
+        };
+        const first = await fetchFeed({ type: 'rss', url: 'https://gulfdesk.example/feed' });
+        assert(!sent.opts.headers['If-None-Match'], 'no validators on the first fetch');
+        assert(first.etag === 'W/"abc"' && first.lastModified.startsWith('Sun, 18 Oct'), 'returns the new validators');
+        assert(sent.opts.validateStatus(304) && !sent.opts.validateStatus(500), '304 is accepted, errors still throw');
+
+        axios.get = async (url, opts) => {
+            sent = { url, opts };
+            return { status: 304, data: '', headers: {} };
+        };
+        const second = await fetchFeed({ url: 'https://gulfdesk.example', feedUrl: 'https://gulfdesk.example/rss', feedEtag: 'W/"abc"', feedLastModified: 'Sun, 18 Oct 2026 12:00:00 GMT' });
+        restoreAxios();
+        assert(sent.url === 'https://gulfdesk.example/rss', 'feedUrl wins over url for website sources');
+        assert(sent.opts.headers['If-None-Match'] === 'W/"abc"', 'sends If-None-Match');
+        assert(sent.opts.headers['If-Modified-Since'].startsWith('Sun, 18 Oct'), 'sends If-Modified-Since');
+        assert(second.notModified === true, '304 → notModified');
+    }
+
+    console.log('\nvalidators');
+    {
+        const realFindOne = Article.findOne;
+        const quiet = { log: console.log, warn: console.warn, error: console.error };
+        const ingest = async (source) => {
+            const run = newRunStats();
+            console.log = console.warn = console.error = () => {};
+            const saved = await ingestFeedSource(source, { now: Date.parse('2026-10-18T12:00:00Z'), run });
+            Object.assign(console, quiet);
+            return { saved, run };
+        };
+        axios.get = async () => ({ status: 200, data: fixture('rss2.xml'), headers: { etag: 'W/"new"' } });
+
+        const outage = { name: 'Gulf Desk', type: 'rss', url: 'https://gulfdesk.example/feed', feedEtag: 'W/"old"' };
+        Article.findOne = () => { throw new Error('db down'); };
+        const down = await ingest(outage);
+        assert(down.run.failed > 0 && outage.feedEtag === 'W/"old"', 'items that errored keep the old validators, so the next run refetches');
+
+        const known = { name: 'Gulf Desk', type: 'rss', url: 'https://gulfdesk.example/feed', feedEtag: 'W/"old"' };
+        Article.findOne = async () => ({ _id: 'known' });
+        const quietDay = await ingest(known);
+        assert(quietDay.run.duplicate > 0 && known.feedEtag === 'W/"new"', 'validators are taken once every item was handled');
+        Article.findOne = realFindOne;
+
+        axios.get = async () => ({ status: 200, data: '<html><body>nope</body></html>', headers: { etag: 'W/"new"' } });
+        const broken = { name: 'Gulf Desk', type: 'rss', url: 'https://gulfdesk.example/feed', feedEtag: 'W/"old"' };
+        const unparsed = await ingest(broken);
+        restoreAxios();
+        assert(unparsed.saved === null && unparsed.run.error.startsWith('Feed parse failed:'), 'an unparseable feed is a run error');
+        assert(broken.feedEtag === 'W/"old"', 'and keeps the old validators');
+    }
+
+    console.log('\nfeed mode');
+    {
+        assert(isFeedSource({ type: 'rss' }), "type 'rss' is a feed source");
+        assert(isFeedSource({ type: 'website', feedUrl: 'https://x/feed' }), 'feedUrl puts a website in feed mode');
+        assert(!isFeedSource({ type: 'website' }), 'plain websites are scraped');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
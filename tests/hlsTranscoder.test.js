@@ -0,0 +1,130 @@
+/**
+ * HLS transcoding tests (pure — no ffmpeg, S3 or Mongo).
+ * Run: node tests/hlsTranscoder.test.js
+ *
+ * Covers key layout, the rendition plan for portrait/landscape/small
+ * sources, the master playlist, H.264 levels, ffmpeg options, quality-tier
+ * mapping and the job's pending query.
+ */
+
+const {
+    HLS_LADDER,
+    MAX_ATTEMPTS,
+    hlsKeyPrefix,
+    renditionSize,
+    planRenditions,
+    h264Level,
+    videoCodec,
+    renditionBandwidth,
+    buildMasterPlaylist,
+    renditionsForQualities,
+    renditionOutputOptions,
+    parseFrameRate,
+    pendingTranscodeQuery,
+} = require('../services/HlsTranscoder');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+// Mirrors QUALITY_TIERS in routes/videos.js.
+const QUALITY_TIERS = {
+    '4k': { resolution: 2160, bitrate: 15000 },
+    '1080p': { resolution: 1080, bitrate: 5000 },
+    '720p': { resolution: 720, bitrate: 2500 },
+    '480p': { resolution: 480, bitrate: 1000 },
+    '360p': { resolution: 360, bitrate: 600 },
+    '240p': { resolution: 240, bitrate: 300 },
+};
+
+console.log('hlsKeyPrefix');
+{
+    assert(hlsKeyPrefix({ _id: 'r1', originalKey: 'gulfio-123-abc.mp4' }) === 'gulfio-123-abc/hls', 'renditions sit next to the original upload');
+    assert(hlsKeyPrefix({ _id: 'r1' }) === 'hls/r1', 'reels without a key fall back to their id');
+}
+
+console.log('renditionSize / planRenditions');
+{
+    const rung720 = HLS_LADDER.find((r) => r.name === '720p');
+    const portrait = renditionSize(1080, 1920, rung720);
+    assert(portrait.width === 720 && portrait.height === 1280, 'the short side of a 9:16 reel sets the height class');
+    const odd = renditionSize(1080, 1920, HLS_LADDER[0]);
+    assert(odd.width % 2 === 0 && odd.height % 2 === 0, 'dimensions are even');
+    assert(renditionSize(640, 360, rung720) === null, 'no upscaling');
+
+    assert(planRenditions(1080, 1920).map((r) => r.name).join() === '240p,480p,720p', 'full ladder for HD sources');
+    assert(planRenditions(540, 960).map((r) => r.name).join() === '240p,480p', 'rungs above the source are skipped');
+    const tiny = planRenditions(180, 320);
+    assert(tiny.length === 1 && tiny[0].name === '240p' && tiny[0].width === 180, 'tiny sources get one rung at native size');
+}
+
+console.log('buildMasterPlaylist');
+{
+    const renditions = planRenditions(1080, 1920).reverse();
+    const playlist = buildMasterPlaylist(renditions);
+    const lines = playlist.trim().split('\n');
+    assert(lines[0] === '#EXTM3U', 'starts with the HLS header');
+    assert(lines[4] === '240p/index.m3u8' && lines[lines.length - 1] === '720p/index.m3u8', 'variants run lowest bandwidth first');
+    assert(playlist.includes('RESOLUTION=720x1280') && playlist.includes(`BANDWIDTH=${renditionBandwidth(renditions[0], true)}`), 'resolution and bandwidth are advertised');
+    assert(playlist.includes('CODECS="avc1.4d401f,mp4a.40.2"'), 'audio codec declared when there is audio');
+    assert(!buildMasterPlaylist(renditions, { hasAudio: false }).includes('mp4a'), 'video-only sources declare no audio codec');
+    assert(!playlist.includes('NAME='), 'no NAME attribute, which EXT-X-STREAM-INF does not define');
+    assert(playlist.includes('RESOLUTION=240x426,CODECS="avc1.4d401e'), 'each variant declares its own level');
+    assert(buildMasterPlaylist(renditions, { fps: 60 }).includes('RESOLUTION=720x1280,CODECS="avc1.4d4020'), '720p60 declares level 3.2');
+    assert(renditionBandwidth(HLS_LADDER[0], false) < renditionBandwidth(HLS_LADDER[0], true), 'audio adds to bandwidth');
+}
+
+console.log('renditionOutputOptions');
+{
+    const [r480] = planRenditions(1080, 1920).filter((r) => r.name === '480p');
+    const opts = renditionOutputOptions(r480, { fps: 25, segmentDir: '/tmp/x/480p' });
+    assert(opts.includes('-vf scale=480:854') && opts.includes('-b:v 1000k'), 'scales and targets the rung bitrate');
+    assert(opts.includes('-g 100') && opts.includes('-keyint_min 100') && opts.includes('-sc_threshold 0'), 'keyframes line up with 4s segments');
+    assert(opts.includes('-hls_segment_filename /tmp/x/480p/seg_%03d.ts') && opts.includes('-hls_playlist_type vod'), 'writes VOD segments into the rendition dir');
+    assert(opts.includes('-c:a aac') && renditionOutputOptions(r480, { hasAudio: false, segmentDir: '/tmp' }).includes('-an'), 'audio encoded only when present');
+    const [r720] = planRenditions(1080, 1920).filter((r) => r.name === '720p');
+    assert(renditionOutputOptions(r720, { fps: 30, segmentDir: '/tmp' }).includes('-level 3.1'), '720p30 encodes at level 3.1');
+    assert(renditionOutputOptions(r720, { fps: 60, segmentDir: '/tmp' }).includes('-level 3.2'), '720p60 needs level 3.2');
+    assert(parseFrameRate('30000/1001') > 29.9 && parseFrameRate('0/0') === 30 && parseFrameRate(undefined) === 30, 'frame rates parse, with a 30fps fallback');
+}
+
+console.log('h264Level');
+{
+    const [r240, r480, r720] = planRenditions(1080, 1920);
+    assert(h264Level(r240) === 30 && h264Level(r480) === 31, 'each rung gets the lowest level it fits');
+    assert(h264Level(r720, 30) === 31 && h264Level(r720, 60) === 32, '720p moves up a level at 60fps');
+    assert(h264Level({ width: 1080, height: 1920, videoKbps: 4500 }, 60) === 42, 'frame rate and size push the level up');
+    assert(h264Level(r240, 120) === 31 && h264Level(r480, 120) === 32, 'high frame rates count');
+    assert(videoCodec(31) === 'avc1.4d401f' && videoCodec(32) === 'avc1.4d4020', 'RFC 6381 codec strings');
+}
+
+console.log('renditionsForQualities');
+{
+    assert(renditionsForQualities(['4k', '1080p', '720p'], QUALITY_TIERS).join() === '720p', 'fast networks top out at the ladder\'s best');
+    assert(renditionsForQualities(['720p', '480p', '360p'], QUALITY_TIERS).join() === '720p,480p,240p', 'in-between tiers round down');
+    assert(renditionsForQualities(['360p', '240p'], QUALITY_TIERS).join() === '240p', 'duplicates collapse');
+    assert(renditionsForQualities(['8k'], QUALITY_TIERS).length === 0, 'unknown tiers are ignored');
+}
+
+console.log('pendingTranscodeQuery');
+{
+    const now = new Date('2026-01-01T12:00:00Z');
+    const q = pendingTranscodeQuery(now);
+    const failedClause = q.$or.find((c) => c['hls.status'] === 'failed');
+    const staleClause = q.$or.find((c) => c['hls.status'] === 'processing');
+    assert(q.$or.some((c) => c['hls.status'] === null), 'untranscoded reels are pending');
+    assert(failedClause['hls.attempts'].$lt === MAX_ATTEMPTS, 'failures retry up to the attempt cap');
+    assert(staleClause['hls.startedAt'].$lt.toISOString() === '2026-01-01T11:00:00.000Z', 'claims older than an hour are abandoned');
+    assert(!q.$or.some((c) => c['hls.status'] === 'ready'), 'ready reels are never re-encoded');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
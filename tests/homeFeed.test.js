@@ -0,0 +1,161 @@
+/**
+ * Home feed tests (pure — no Mongo, no Redis, no football API).
+ * Run: node tests/homeFeed.test.js
+ *
+ * Covers slotting across pages, layout normalisation and experiment
+ * overrides, the cursor round-trip and the markets / matchday cards.
+ */
+
+const {
+    HOME_LAYOUT,
+    gulfDayKey,
+    normalizeLayout,
+    countMultiples,
+    slotsOnPage,
+    composeHomePage,
+    encodeHomeCursor,
+    decodeHomeCursor,
+    marketsCard,
+    slimFixture,
+    matchdayFixtures,
+} = require('../services/homeFeed');
+const { getEffectiveHomeLayout } = require('../utils/experiments');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const articles = (from, n) => Array.from({ length: n }, (_, i) => ({ _id: `a${from + i}`, title: `A${from + i}` }));
+const reels = (n, prefix = 'r') => Array.from({ length: n }, (_, i) => ({ _id: `${prefix}${i}` }));
+const polls = (n) => Array.from({ length: n }, (_, i) => ({ _id: `p${i}`, question: `Q${i}` }));
+const fixed = {
+    matchday: { key: '2026-10-19', data: { fixtures: [] } },
+    markets: { key: '2026-10-19', data: { base: 'AED' } },
+    quiz: { key: '2026-10-19', data: { questionCount: 5 } },
+};
+const types = (cards) => cards.map((c) => c.type);
+const articlesBefore = (cards, type) => {
+    const at = cards.findIndex((c) => c.type === type);
+    return cards.slice(0, at).filter((c) => c.type === 'article').length;
+};
+
+console.log('normalizeLayout');
+{
+    assert(JSON.stringify(normalizeLayout(null)) === JSON.stringify(HOME_LAYOUT), 'no layout is the default');
+    const l = normalizeLayout({ pageSize: 500, quizAfter: null, pollEvery: 1, marketsAfter: -2, reelCarouselSize: 1 });
+    assert(l.pageSize === 50, 'page size is capped');
+    assert(l.quizAfter === null, 'null turns a card off');
+    assert(l.pollEvery === null, 'an interval under 2 is off rather than every article');
+    assert(l.marketsAfter === HOME_LAYOUT.marketsAfter, 'invalid values fall back');
+    assert(l.reelCarouselSize === 3, 'carousels have a minimum size');
+    assert(normalizeLayout({ pageSize: null }).pageSize === HOME_LAYOUT.pageSize, 'page size cannot be turned off');
+    assert(normalizeLayout({ quizAfter: '4' }).quizAfter === HOME_LAYOUT.quizAfter, 'strings are not numbers');
+}
+
+console.log('layout experiments');
+{
+    const experiments = [
+        {
+            key: 'home_layout',
+            variants: [
+                { key: 'control', homeLayout: null },
+                { key: 'reels_early', homeLayout: { reelCarouselEvery: 4, quizAfter: null } },
+            ],
+        },
+    ];
+    assert(getEffectiveHomeLayout({}, HOME_LAYOUT, experiments) === HOME_LAYOUT, 'no arms returns the defaults untouched');
+    assert(getEffectiveHomeLayout({ home_layout: 'control' }, HOME_LAYOUT, experiments) === HOME_LAYOUT, 'control without overrides is the default');
+    const l = normalizeLayout(getEffectiveHomeLayout({ home_layout: 'reels_early' }, HOME_LAYOUT, experiments));
+    assert(l.reelCarouselEvery === 4 && l.quizAfter === null && l.pollEvery === HOME_LAYOUT.pollEvery, 'a variant overrides only what it sets');
+}
+
+console.log('composeHomePage');
+{
+    const layout = normalizeLayout({ pageSize: 20, matchdayAfter: 0, marketsAfter: 3, quizAfter: 5, reelCarouselEvery: 8, reelCarouselSize: 4, pollEvery: 12 });
+    const { cards, reelIds, pollIds } = composeHomePage({ articles: articles(0, 20), reels: reels(20), polls: polls(5), fixed, layout });
+    assert(cards[0].type === 'matchday', 'slot 0 puts the matchday card on top');
+    assert(articlesBefore(cards, 'markets') === 3 && articlesBefore(cards, 'quiz') === 5, 'fixed cards land after their article count');
+    assert(types(cards).filter((t) => t === 'reel_carousel').length === 2, 'a carousel every 8 articles');
+    assert(articlesBefore(cards, 'reel_carousel') === 8, 'the first after article 8');
+    assert(types(cards).filter((t) => t === 'poll').length === 1 && articlesBefore(cards, 'poll') === 12, 'a poll every 12 articles');
+    assert(reelIds.length === 8 && reelIds[4] === 'r4', 'carousels consume reels in order');
+    assert(pollIds.join() === 'p0', 'shown polls are reported');
+    assert(cards.find((c) => c.type === 'quiz').quiz.questionCount === 5, 'cards carry their payload under their type');
+    assert(new Set(cards.map((c) => c.id)).size === cards.length, 'card ids are unique');
+    assert(cards.filter((c) => c.type === 'article').map((c) => c.article._id).join() === articles(0, 20).map((a) => a._id).join(), 'article order is the ranking');
+
+    const page2 = composeHomePage({ articles: articles(20, 20), reels: reels(20, 's'), polls: polls(5), fixed, layout, offset: 20 });
+    assert(!page2.cards.some((c) => ['matchday', 'markets', 'quiz'].includes(c.type)), 'fixed cards are first-page only at these slots');
+    assert(articlesBefore(page2.cards, 'reel_carousel') === 4, 'slotting continues across pages (article 24)');
+    assert(articlesBefore(page2.cards, 'poll') === 4, 'polls too (article 24)');
+
+    const sparse = composeHomePage({ articles: articles(0, 20), reels: reels(2), polls: [], fixed: {}, layout });
+    assert(types(sparse.cards).every((t) => t === 'article'), 'too few reels, no polls and no widgets leave just articles');
+    const off = composeHomePage({ articles: articles(0, 20), reels: reels(20), polls: polls(5), fixed, layout: normalizeLayout({ reelCarouselEvery: null, pollEvery: null, matchdayAfter: null }) });
+    assert(!types(off.cards).includes('reel_carousel') && !types(off.cards).includes('poll') && !types(off.cards).includes('matchday'), 'disabled slots place nothing');
+}
+
+console.log('page planning');
+{
+    assert(countMultiples(8, 0, 20) === 2 && countMultiples(8, 20, 20) === 3 && countMultiples(null, 0, 20) === 0, 'countMultiples counts slots in (offset, offset + n]');
+    const layout = normalizeLayout({ matchdayAfter: 0, marketsAfter: 3, quizAfter: 25 });
+    assert([...slotsOnPage(layout, 0, 20)].sort().join() === 'markets,matchday', 'first page loads the widgets it places');
+    assert([...slotsOnPage(layout, 20, 20)].join() === 'quiz', 'a later slot lands on a later page');
+    assert(slotsOnPage(layout, 40, 20).size === 0, 'and nothing after');
+}
+
+console.log('cursor');
+{
+    const encoded = encodeHomeCursor({ page: 3, offset: 40, reelIds: reels(250).map((r) => r._id), pollIds: ['p1'] });
+    const c = decodeHomeCursor(encoded);
+    assert(c.page === 3 && c.offset === 40 && c.pollIds.join() === 'p1', 'round-trips');
+    assert(c.reelIds.length === 200 && c.reelIds[199] === 'r249', 'keeps only the most recent reel ids');
+    assert(decodeHomeCursor('not-a-cursor') === null && decodeHomeCursor(undefined) === null, 'garbage starts over');
+    assert(decodeHomeCursor(encodeHomeCursor({ page: 1, offset: 0 })) === null, 'page 1 has no cursor');
+}
+
+console.log('marketsCard');
+{
+    const fx = { date: '2026-10-19', rates: { AED: 3.6725, INR: 88.1, PKR: 281, GBP: 0.75 } };
+    const metals = { date: '2026-10-19', gold: { gramUsd: { '24k': 100, '22k': 91.7 }, changePercent: 0.4 }, fxRates: { AED: 3.6725 } };
+    const m = marketsCard(fx, metals);
+    assert(m.base === 'AED' && Math.abs(m.rates.INR - 88.1 / 3.6725) < 1e-3, 'currencies are quoted per 1 AED');
+    assert(!('PHP' in m.rates), 'missing currencies are skipped');
+    assert(m.gold.gram24kAed === 367.25 && m.gold.changePercent === 0.4, 'gold is per gram in AED');
+    assert(marketsCard(null, metals).gold && Object.keys(marketsCard(null, metals).rates).length === 0, 'metals alone still make a card');
+    assert(marketsCard(null, null) === null, 'no data, no card');
+}
+
+console.log('matchday');
+{
+    const raw = {
+        fixture: { id: 9, date: '2026-10-19T19:00:00+04:00', status: { short: 'NS', elapsed: null } },
+        league: { id: 307, name: 'Pro League' },
+        teams: { home: { id: 2932, name: 'Al Hilal' }, away: { id: 2939, name: 'Al Nassr' } },
+        goals: { home: null, away: null },
+    };
+    const slim = slimFixture(raw);
+    assert(slim.id === 9 && slim.home.name === 'Al Hilal' && slim.goals.home === null, 'fixtures are slimmed for the cache');
+    const later = { ...slim, id: 10, kickoff: '2026-10-19T22:00:00+04:00', home: { id: 50 }, away: { id: 2932 } };
+    const other = { ...slim, id: 11, home: { id: 1 }, away: { id: 2 } };
+    const mine = matchdayFixtures([later, other, slim], [2932]);
+    assert(mine.map((f) => f.id).join() === '9,10', 'only followed teams, home or away, by kickoff');
+    assert(matchdayFixtures([slim], []).length === 0, 'no follows, no card');
+}
+
+console.log('gulfDayKey');
+{
+    assert(gulfDayKey(Date.parse('2026-10-18T20:30:00Z')) === '2026-10-19', 'the day flips at Gulf midnight');
+    assert(gulfDayKey(Date.parse('2026-10-18T19:30:00Z')) === '2026-10-18', 'not UTC midnight');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
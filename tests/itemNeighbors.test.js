@@ -0,0 +1,138 @@
+/**
+ * Item-item collaborative filtering tests (pure — no Mongo).
+ * Run: node tests/itemNeighbors.test.js
+ *
+ * Covers interaction weights, the user-item matrix, shrunk cosine
+ * neighbours (whole and in anchor chunks), feed seeds from a ctx and the
+ * blends used by the feeds and /related/:id.
+ */
+
+const {
+    interactionWeight,
+    buildUserItemMatrix,
+    itemNorms,
+    computeItemNeighbors,
+    seedsFromContext,
+    blendNeighbors,
+    interleaveRelated,
+} = require('../services/itemNeighbors');
+const { FULL_READ_SECONDS } = require('../services/feedRanking');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const view = (userId, articleId) => ({ userId, articleId, eventType: 'view' });
+const like = (userId, articleId) => ({ userId, articleId, eventType: 'like' });
+
+console.log('interactionWeight');
+{
+    assert(interactionWeight({ eventType: 'view' }) === 1, 'a view counts once');
+    assert(interactionWeight({ eventType: 'like' }) === 3 && interactionWeight({ eventType: 'save' }) === 3, 'likes and saves count most');
+    assert(interactionWeight({ eventType: 'read_time', duration: FULL_READ_SECONDS }) === 2, 'a full read counts double');
+    assert(interactionWeight({ eventType: 'read_time', duration: FULL_READ_SECONDS / 2 }) === 1.5, 'partial reads scale');
+    assert(interactionWeight({ eventType: 'dislike' }) === 0 && interactionWeight({ eventType: 'follow' }) === 0, 'dislikes and follows are not interest');
+}
+
+console.log('buildUserItemMatrix');
+{
+    const m = buildUserItemMatrix(
+        [view('u1', 'a'), like('u1', 'a'), view('u1', 'b'), view('u2', 'a'), view('u3', 'x'), view('u3', 'y')],
+        [{ userId: 'u2', articleIds: ['c'] }],
+        { items: new Set(['a', 'b', 'c']) }
+    );
+    assert(m.get('u1').get('a') === 3, 'the strongest interaction wins');
+    assert(m.get('u2').get('c') === 3, 'liked_articles join the matrix');
+    assert(!m.has('u3'), 'articles outside the window are ignored, and single-item users dropped');
+    const capped = buildUserItemMatrix(
+        [like('heavy', 'keep1'), like('heavy', 'keep2'), view('heavy', 'drop1'), view('heavy', 'drop2')],
+        [],
+        { maxItemsPerUser: 2 }
+    );
+    assert([...capped.get('heavy').keys()].sort().join() === 'keep1,keep2', 'heavy users keep their strongest items');
+}
+
+console.log('computeItemNeighbors');
+{
+    // a and b are read together by five users; a and c by two; d by one of them.
+    const rows = [];
+    for (const u of ['u1', 'u2', 'u3', 'u4', 'u5']) rows.push(view(u, 'a'), view(u, 'b'));
+    for (const u of ['u6', 'u7']) rows.push(view(u, 'a'), view(u, 'c'));
+    rows.push(view('u1', 'd'));
+    const n = computeItemNeighbors(buildUserItemMatrix(rows), { minSupport: 2, shrinkage: 10 });
+    const ofA = n.get('a');
+    assert(ofA[0].articleId === 'b' && ofA[0].support === 5, 'the most co-read article comes first');
+    assert(ofA[1].articleId === 'c' && ofA[1].score < ofA[0].score, 'thinner support scores lower');
+    assert(!ofA.some((x) => x.articleId === 'd'), 'pairs below minimum support are dropped');
+    assert(n.get('b')[0].articleId === 'a', 'neighbourhoods are symmetric');
+    assert(!n.has('d'), 'articles with no qualifying pair get no list');
+
+    const identical = computeItemNeighbors(buildUserItemMatrix([view('u1', 'p'), view('u1', 'q'), view('u2', 'p'), view('u2', 'q')]), { minSupport: 2, shrinkage: 10 });
+    assert(Math.abs(identical.get('p')[0].score - 2 / 12) < 1e-4, 'perfect cosine is shrunk by support / (support + shrinkage)');
+
+    const many = [];
+    for (let i = 0; i < 30; i++) many.push(view('u1', 'hub'), view('u2', 'hub'), view('u1', `n${i}`), view('u2', `n${i}`));
+    assert(computeItemNeighbors(buildUserItemMatrix(many), { topN: 5 }).get('hub').length === 5, 'lists are capped at topN');
+
+    // The job computes a chunk of anchor articles at a time.
+    const matrix = buildUserItemMatrix([...rows, ...many]);
+    const whole = computeItemNeighbors(matrix);
+    const norms = itemNorms(matrix);
+    const ids = [...norms.keys()];
+    const chunked = new Map();
+    for (let i = 0; i < ids.length; i += 7) {
+        for (const [id, list] of computeItemNeighbors(matrix, { anchors: new Set(ids.slice(i, i + 7)), norms })) chunked.set(id, list);
+    }
+    assert(chunked.size === whole.size && [...whole].every(([id, list]) => JSON.stringify(chunked.get(id)) === JSON.stringify(list)), 'anchor chunks add up to the whole computation');
+    assert([...computeItemNeighbors(matrix, { anchors: new Set(['a']) }).keys()].join() === 'a', 'only anchors get lists');
+}
+
+console.log('seedsFromContext');
+{
+    const ctx = {
+        likedIdsOrdered: ['l1', 'l2'],
+        savedIds: new Set(['s1', 'l1']),
+        viewReadFractions: new Map([['r1', 1], ['r2', 0.6], ['skim', 0.2]]),
+    };
+    const seeds = seedsFromContext(ctx);
+    assert(seeds.get('l1') === 1 && seeds.get('s1') === 1, 'likes and saves seed at full weight');
+    assert(seeds.get('r1') === 0.5 && Math.abs(seeds.get('r2') - 0.3) < 1e-9, 'deep reads seed in proportion');
+    assert(!seeds.has('skim'), 'skims are not seeds');
+    assert(seedsFromContext(ctx, { max: 2 }).size === 2, 'seeds are capped, likes first');
+    assert(seedsFromContext(null).size === 0, 'guests have no seeds');
+}
+
+console.log('blendNeighbors');
+{
+    const docs = [
+        { _id: 'l1', neighbors: [{ articleId: 'x', score: 0.5 }, { articleId: 'y', score: 0.4 }, { articleId: 'l2', score: 0.9 }] },
+        { _id: 'l2', neighbors: [{ articleId: 'y', score: 0.4 }, { articleId: 'z', score: 0.3 }] },
+        { _id: 'r1', neighbors: [{ articleId: 'x', score: 0.2 }] },
+    ];
+    const seeds = new Map([['l1', 1], ['l2', 1], ['r1', 0.5]]);
+    const out = blendNeighbors(docs, seeds, { exclude: new Set(['z']) });
+    assert(out[0].articleId === 'y' && out[0].score === 0.8, 'neighbours of several seeds add up');
+    assert(out[1].articleId === 'x' && out[1].score === 0.6, 'weighted by seed strength');
+    assert(!out.some((r) => r.articleId === 'l2' || r.articleId === 'z'), 'seeds and exclusions are left out');
+    assert(blendNeighbors(docs, seeds, { limit: 1 }).length === 1, 'limit applies');
+}
+
+console.log('interleaveRelated');
+{
+    const v = [{ _id: 'v1' }, { _id: 'v2' }, { _id: 'shared' }];
+    const c = [{ _id: 'c1' }, { _id: 'shared' }];
+    assert(interleaveRelated(v, c, 10).map((a) => a._id).join() === 'v1,c1,v2,shared', 'alternates, primary first, without duplicates');
+    assert(interleaveRelated(v, c, 3).length === 3, 'stops at the limit');
+    assert(interleaveRelated([], c, 5).map((a) => a._id).join() === 'c1,shared', 'either list may be empty');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
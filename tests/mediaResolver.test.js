@@ -0,0 +1,160 @@
+/**
+ * Media resolver tests (no network, Redis or browser).
+ * Run: node tests/mediaResolver.test.js
+ *
+ * Covers ID/URL parsing, expiry parsing from signed URLs, cache TTLs,
+ * YouTube format picking, and the resolver's extractor fallback, caching
+ * and in-flight sharing with fake extractors and an in-memory cache. Also
+ * the browser pool's semaphore.
+ */
+
+const {
+    parseMediaRef,
+    urlExpiry,
+    cacheTtlSeconds,
+    pickYoutubeFormat,
+    createMediaResolver,
+} = require('../services/mediaResolver');
+const { createSemaphore } = require('../services/browserPool');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+function memoryCache() {
+    const store = new Map();
+    return {
+        store,
+        async get(key) {
+            return store.has(key) ? store.get(key).value : null;
+        },
+        async set(key, value, _ex, ttl) {
+            store.set(key, { value, ttl });
+            return 'OK';
+        },
+    };
+}
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+const inSeconds = (s) => Math.floor(NOW / 1000) + s;
+
+(async () => {
+    console.log('parseMediaRef');
+    {
+        const yt = parseMediaRef('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10');
+        assert(yt.platform === 'youtube' && yt.id === 'dQw4w9WgXcQ', 'watch URLs');
+        assert(parseMediaRef('https://youtu.be/dQw4w9WgXcQ').id === 'dQw4w9WgXcQ', 'short links');
+        assert(parseMediaRef('https://youtube.com/shorts/dQw4w9WgXcQ').id === 'dQw4w9WgXcQ', 'shorts');
+        assert(parseMediaRef('dQw4w9WgXcQ', 'youtube').url === 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'bare IDs with a platform get a canonical URL');
+        assert(parseMediaRef('dQw4w9WgXcQ') === null, 'bare IDs need a platform');
+        assert(parseMediaRef('not-an-id!', 'youtube') === null, 'malformed YouTube IDs are rejected');
+        const ig = parseMediaRef('https://www.instagram.com/reel/C9xYz12AbCd/?igsh=abc');
+        assert(ig.platform === 'instagram' && ig.id === 'C9xYz12AbCd', 'Instagram reel URLs');
+        assert(parseMediaRef('https://www.instagram.com/gulfnews/p/C9xYz12AbCd/').id === 'C9xYz12AbCd', 'Instagram post URLs');
+        assert(parseMediaRef('https://www.instagram.com/reel/C9xYz12AbCd/', 'youtube') === null, 'a URL must match the requested platform');
+        assert(parseMediaRef('https://vimeo.com/123') === null && parseMediaRef('') === null, 'other hosts and empty input are rejected');
+    }
+
+    console.log('urlExpiry / cacheTtlSeconds');
+    {
+        assert(urlExpiry(`https://rr1.googlevideo.com/videoplayback?expire=${inSeconds(3600)}&sig=x`).getTime() === NOW + 3600e3, 'googlevideo expire');
+        assert(urlExpiry(`https://scontent.cdninstagram.com/v.mp4?oe=${inSeconds(7200).toString(16).toUpperCase()}`).getTime() === NOW + 7200e3, 'Instagram CDN oe (hex)');
+        assert(urlExpiry('https://b.s3.amazonaws.com/k.mp4?X-Amz-Date=20260101T120000Z&X-Amz-Expires=600').getTime() === NOW + 600e3, 'S3 presigned');
+        assert(urlExpiry('https://example.com/v.mp4') === null && urlExpiry('nope') === null, 'unknown or invalid URLs have no expiry');
+
+        assert(cacheTtlSeconds(new Date(NOW + 3600e3), NOW) === 3300, 'cached until five minutes before expiry');
+        assert(cacheTtlSeconds(null, NOW) === 3600, 'an hour when the expiry is unknown');
+        assert(cacheTtlSeconds(new Date(NOW + 200e3), NOW) === 0, 'not cached when about to expire');
+    }
+
+    console.log('pickYoutubeFormat');
+    {
+        const streamingData = {
+            formats: [
+                { url: 'https://g/360', mimeType: 'video/mp4; codecs="avc1"', height: 360, bitrate: 500 },
+                { url: 'https://g/720', mimeType: 'video/mp4; codecs="avc1"', height: 720, bitrate: 2000 },
+                { signatureCipher: 's=..', mimeType: 'video/mp4', height: 720 },
+                { url: 'https://g/1080', mimeType: 'video/mp4', height: 1080 },
+                { url: 'https://g/webm', mimeType: 'video/webm', height: 480 },
+            ],
+        };
+        assert(pickYoutubeFormat(streamingData).url === 'https://g/720', 'best directly addressable MP4 up to 720p');
+        assert(pickYoutubeFormat(streamingData, { maxHeight: 480 }).url === 'https://g/360', 'respects maxHeight');
+        assert(pickYoutubeFormat(null) === null, 'no streaming data, no format');
+    }
+
+    console.log('createMediaResolver');
+    {
+        const calls = [];
+        const broken = { name: 'broken', platform: 'youtube', resolve: async () => { calls.push('broken'); throw new Error('upstream changed'); } };
+        const empty = { name: 'empty', platform: 'youtube', resolve: async () => { calls.push('empty'); return null; } };
+        const working = {
+            name: 'working',
+            platform: 'youtube',
+            resolve: async (ref) => {
+                calls.push('working');
+                await new Promise((r) => setTimeout(r, 5));
+                return { url: `https://rr1.googlevideo.com/videoplayback?id=${ref.id}&expire=${inSeconds(3600)}` };
+            },
+        };
+        const cache = memoryCache();
+        const resolver = createMediaResolver({ extractors: [broken, empty, working], cache, now: () => NOW });
+
+        const first = await resolver.resolve('dQw4w9WgXcQ', { platform: 'youtube' });
+        assert(first.extractor === 'working' && !first.cached, 'falls through failing extractors in order');
+        assert(calls.join() === 'broken,empty,working', 'each extractor tried once');
+        assert(first.expiresAt.getTime() === NOW + 3600e3, 'expiry parsed from the URL');
+        assert(cache.store.get('media:resolve:youtube:dQw4w9WgXcQ').ttl === 3300, 'cached with a TTL ending before expiry');
+
+        calls.length = 0;
+        const second = await resolver.resolve('https://youtu.be/dQw4w9WgXcQ');
+        assert(second.cached && second.url === first.url && calls.length === 0, 'the same video by URL hits the cache');
+        assert(second.expiresAt instanceof Date, 'cached expiry comes back as a Date');
+
+        await resolver.resolve('dQw4w9WgXcQ', { platform: 'youtube', fresh: true });
+        assert(calls.includes('working'), 'fresh bypasses the cache');
+
+        calls.length = 0;
+        const [a, b] = await Promise.all([
+            resolver.resolve('aaaaaaaaaaa', { platform: 'youtube' }),
+            resolver.resolve('https://www.youtube.com/watch?v=aaaaaaaaaaa'),
+        ]);
+        assert(a.url === b.url && calls.filter((c) => c === 'working').length === 1, 'concurrent requests share one resolution');
+
+        const badRef = await resolver.resolve('???', { platform: 'youtube' }).catch((e) => e);
+        assert(badRef.status === 400 && badRef.code === 'MEDIA_BAD_REF', 'unrecognised input is a 400');
+        const none = await resolver.resolve('https://www.instagram.com/reel/C9xYz12AbCd/').catch((e) => e);
+        assert(none.status === 404 && none.code === 'MEDIA_UNRESOLVED', 'no extractor for the platform is a 404');
+
+        resolver.registerExtractor({ name: 'ig', platform: 'instagram', resolve: async () => ({ url: 'https://cdn.example/v.mp4', expiresAt: new Date(NOW + 100e3) }) }, { prepend: true });
+        const ig = await resolver.resolve('https://www.instagram.com/reel/C9xYz12AbCd/');
+        assert(ig.extractor === 'ig' && ig.expiresAt.getTime() === NOW + 100e3, 'registered extractors are used, and their own expiry wins');
+        assert(!cache.store.has('media:resolve:instagram:C9xYz12AbCd'), 'URLs about to expire are not cached');
+        assert(resolver.extractors()[0].name === 'ig', 'prepend puts an extractor first');
+    }
+
+    console.log('createSemaphore');
+    {
+        const sem = createSemaphore(2);
+        const r1 = await sem.acquire();
+        await sem.acquire();
+        let thirdIn = false;
+        const third = sem.acquire().then((release) => { thirdIn = true; return release; });
+        await Promise.resolve();
+        assert(sem.active === 2 && sem.waiting === 1 && !thirdIn, 'callers beyond the limit wait');
+        r1();
+        await third;
+        assert(thirdIn && sem.active === 2 && sem.waiting === 0, 'a release admits the next waiter');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
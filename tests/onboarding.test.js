@@ -0,0 +1,95 @@
+/**
+ * Cold-start onboarding tests (pure — no Mongo).
+ * Run: node tests/onboarding.test.js
+ *
+ * Covers language/city resolution, choice cleaning, source option
+ * ranking, representative-article picking for the seed embedding and the
+ * centroid itself.
+ */
+
+const {
+    resolveLanguage,
+    resolveCity,
+    cleanChoices,
+    rankSourceOptions,
+    pickSeedArticles,
+    centroidEmbedding,
+} = require('../services/onboarding');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+console.log('resolveLanguage / resolveCity');
+{
+    const en = resolveLanguage('english');
+    assert(en.user === 'English' && en.content === 'english', 'maps to the User enum and the content language');
+    assert(resolveLanguage('ARABIC').user === 'Arabic', 'case-insensitive');
+    assert(resolveLanguage('klingon') === null && resolveLanguage(undefined) === null, 'unknown languages resolve to null');
+    assert(resolveCity('abu dhabi') === 'Abu Dhabi', 'cities match the User enum case-insensitively');
+    assert(resolveCity('Paris') === null, 'unknown cities resolve to null');
+}
+
+console.log('cleanChoices');
+{
+    assert(cleanChoices([' sports ', 'sports', '', 7, null, 'business'], { max: 10 }).join() === 'sports,business', 'trims, de-duplicates and drops non-strings');
+    assert(cleanChoices(['a', 'b', 'c'], { max: 2 }).join() === 'a,b', 'caps at max');
+    assert(cleanChoices(['a', 'x', 'b'], { max: 10, allowed: new Set(['a', 'b']) }).join() === 'a,b', 'drops what is not allowed');
+    assert(cleanChoices('sports', { max: 10 }).length === 0, 'non-arrays give nothing');
+}
+
+console.log('rankSourceOptions');
+{
+    const groups = [
+        { groupName: 'Gulf News', followers: 500 },
+        { groupName: 'Khaleej Times', followers: 900 },
+        { groupName: 'The National', followers: 300 },
+        { groupName: 'Arabian Business', followers: 300 },
+    ];
+    const ranked = rankSourceOptions(groups, new Map([['The National', 12]]));
+    assert(ranked[0].groupName === 'The National' && ranked[0].cityFollowers === 12, 'city followers rank first');
+    assert(ranked[1].groupName === 'Khaleej Times', 'then overall followers');
+    assert(ranked[2].groupName === 'Gulf News' && ranked[3].groupName === 'Arabian Business', 'ties broken by name');
+    assert(rankSourceOptions(groups, new Map(), 2).length === 2, 'limit applies');
+    assert(rankSourceOptions(groups)[0].groupName === 'Khaleej Times', 'without a city, overall followers decide');
+}
+
+console.log('pickSeedArticles');
+{
+    // Ranked by engagement: sports dominates the top of the list.
+    const articles = [
+        { _id: 's1', category: 'sports', sourceGroupName: 'Gulf News' },
+        { _id: 's2', category: 'sports', sourceGroupName: 'Gulf News' },
+        { _id: 's3', category: 'sports', sourceGroupName: 'Khaleej Times' },
+        { _id: 'b1', category: 'business', sourceGroupName: 'Khaleej Times' },
+        { _id: 'b2', category: 'business', sourceGroupName: 'Gulf News' },
+        { _id: 't1', category: 'tech', sourceGroupName: 'The National' },
+    ];
+    const picked = pickSeedArticles(articles, { topics: ['sports', 'business'], sources: ['The National'], perChoice: 2 });
+    assert(picked.map((a) => a._id).join() === 's1,b1,t1,s2,b2', 'round-robin over topics and sources, best first');
+    const overlap = pickSeedArticles(articles, { topics: ['sports'], sources: ['Gulf News'], perChoice: 2 });
+    assert(overlap.map((a) => a._id).join() === 's1,s2,s3,b2', 'an article matching two choices is used once');
+    assert(pickSeedArticles(articles, { topics: ['sports', 'business'], limit: 3 }).length === 3, 'limit applies');
+    assert(pickSeedArticles(articles, {}).length === 0, 'no choices, no seeds');
+}
+
+console.log('centroidEmbedding');
+{
+    const c = centroidEmbedding([[1, 0, 0], [0, 1, 0]], 3);
+    assert(Math.abs(c[0] - Math.SQRT1_2) < 1e-9 && Math.abs(c[1] - Math.SQRT1_2) < 1e-9 && c[2] === 0, 'unit-length mean');
+    assert(centroidEmbedding([[3, 4, 0], [1, 2]], 3).join() === '0.6,0.8,0', 'vectors of the wrong length are skipped');
+    assert(centroidEmbedding([[1, 0], [-1, 0]], 2) === null, 'a zero mean has no direction');
+    assert(centroidEmbedding([], 3) === null, 'no vectors, no centroid');
+    assert(centroidEmbedding([new Array(128).fill(1)]).length === 128, 'defaults to the 128-D PCA space');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
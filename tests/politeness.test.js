@@ -0,0 +1,168 @@
+/**
+ * Politeness scheduler tests (stubbed robots.txt and Source — no network, no Mongo).
+ * Run: node tests/politeness.test.js
+ *
+ * robots.txt parsing is checked against the matching rules crawlers agree on
+ * (most specific group, longest path, Allow wins ties, * and $). The
+ * scheduler is run with millisecond-scale pacing/backoff so the timing
+ * behaviour can be observed directly.
+ */
+
+const axios = require('axios');
+const Source = require('../models/Source');
+const { schedule, politeGet, parseRobots, isAllowedByRobots, reset } = require('../scraper/politeness');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const ROBOTS = {
+    'https://gulfdesk.example': [
+        'User-agent: *',
+        'Disallow: /private/',
+        'Allow: /private/press-*',
+        'Disallow: /*.pdf$',
+        'Crawl-delay: 0.15',
+        '',
+        'User-agent: BadBot',
+        'Disallow: /',
+    ].join('\n'),
+    'https://other.example': '',
+};
+
+const blocks = [];
+Source.updateOne = async (_filter, update) => { blocks.push(update.$push.blockEvents.$each[0]); };
+axios.get = async (url) => {
+    const origin = new URL(url).origin;
+    if (url.endsWith('/robots.txt')) {
+        return ROBOTS[origin] != null ? { status: 200, data: ROBOTS[origin] } : { status: 404, data: '' };
+    }
+    return { status: 200, data: `page ${url}` };
+};
+console.warn = () => {};
+
+const source = { _id: 'src1', name: 'Gulf Desk' };
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+const codeOf = async (promise) => {
+    try { await promise; return null; } catch (err) { return err.code || err.response?.status || err.message; }
+};
+
+(async () => {
+    console.log('robots.txt');
+    {
+        const robots = parseRobots(ROBOTS['https://gulfdesk.example']);
+        assert(robots.crawlDelayMs === 150, 'reads Crawl-delay for the * group');
+        assert(!isAllowedByRobots(robots, '/private/memo'), 'Disallow prefix blocks');
+        assert(isAllowedByRobots(robots, '/private/press-release'), 'longer Allow overrides Disallow');
+        assert(!isAllowedByRobots(robots, '/files/report.pdf') && isAllowedByRobots(robots, '/files/report.pdf?x=1'), '* and $ wildcards');
+        assert(isAllowedByRobots(robots, '/uae/story'), 'unlisted paths are allowed');
+        assert(!isAllowedByRobots(parseRobots('User-agent: gulfiobot\nDisallow: /\n\nUser-agent: *\nAllow: /'), '/uae'), 'our named group beats *');
+        assert(isAllowedByRobots(parseRobots('User-agent: *\nDisallow:'), '/anything'), 'empty Disallow allows all');
+        const tie = parseRobots('User-agent: *\nDisallow: /news\nAllow: /news');
+        assert(isAllowedByRobots(tie, '/news/today'), 'Allow wins a tie');
+        const bot = parseRobots('User-agent: bot\nDisallow: /');
+        assert(isAllowedByRobots(bot, '/uae'), 'a group for a substring of our token is not ours');
+        const cased = parseRobots('User-agent: GulfioBot/2.1\nDisallow: /\n\nUser-agent: *\nAllow: /');
+        assert(!isAllowedByRobots(cased, '/uae'), 'product token matches case-insensitively, ignoring the version');
+        assert(!isAllowedByRobots(parseRobots('User-agent: gulfiobot\nDisallow: /', 'Gulfiobot/1.0 (+https://gulf.io/bot)'), '/uae'), 'a full UA string is reduced to its product token');
+    }
+
+    reset({ minIntervalMs: 50, backoffBaseMs: 400, backoffMaxMs: 10000, maxWaitMs: 200 });
+
+    console.log('\nrobots enforcement');
+    {
+        let ran = false;
+        const code = await codeOf(schedule('https://gulfdesk.example/private/memo', async () => { ran = true; }, { source }));
+        assert(code === 'ROBOTS_DISALLOWED' && !ran, 'disallowed path never reaches the site');
+        assert(blocks.at(-1).reason.includes('robots.txt') && blocks.at(-1).status === null, 'records the robots block on the source');
+    }
+
+    console.log('\npacing and concurrency');
+    {
+        const starts = [];
+        await politeGet('https://gulfdesk.example/a-story');
+        starts.push(Date.now());
+        await politeGet('https://gulfdesk.example/b-story');
+        starts.push(Date.now());
+        assert(starts[1] - starts[0] >= 140, 'Crawl-delay spaces requests to the host');
+
+        let active = 0;
+        let maxActive = 0;
+        const task = async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(r => setTimeout(r, 20));
+            active--;
+        };
+        await Promise.all([1, 2, 3].map(i => schedule(`https://other.example/story-${i}`, task)));
+        assert(maxActive === 1, 'one request at a time per host');
+
+        const t0 = Date.now();
+        await Promise.all([schedule('https://one.example/x', task), schedule('https://two.example/x', task)]);
+        assert(Date.now() - t0 < 45, 'different hosts run side by side');
+
+        let release;
+        await schedule('https://eight.example/page', async ({ holdSlot }) => { release = holdSlot(); });
+        let second = false;
+        const next = schedule('https://eight.example/next', async () => { second = true; });
+        await new Promise(r => setTimeout(r, 80));
+        assert(!second, 'a held slot keeps the host busy after the task returns');
+        release();
+        release();
+        await next;
+        assert(second, 'releasing the held slot lets the next request run');
+    }
+
+    console.log('\nbackoff');
+    {
+        const code = await codeOf(schedule('https://other.example/rate-limited', async () => { throw httpError(429); }, { source }));
+        assert(code === 429, 'the block status still reaches the caller');
+        assert(blocks.at(-1).status === 429 && blocks.at(-1).backoffUntil instanceof Date, 'records the 429 with its backoff');
+        const t0 = Date.now();
+        const next = await codeOf(schedule('https://other.example/story', async () => 'ok', { transport: 'browser' }));
+        assert(next === 'HOST_BACKOFF' && Date.now() - t0 < 50, '429 backs off the whole host and fails fast');
+
+        await codeOf(schedule('https://four.example/x', async () => { throw httpError(403); }));
+        assert(await codeOf(politeGet('https://four.example/y')) === 'HOST_BACKOFF', '403 backs off plain HTTP');
+        assert(await codeOf(schedule('https://four.example/y', async () => 'ok', { transport: 'browser' })) === null, 'but the browser may still try');
+
+        await codeOf(schedule('https://five.example/x', async () => { throw httpError(503, { 'retry-after': '120' }); }));
+        const err = await schedule('https://five.example/y', async () => 'ok').catch(e => e);
+        const until = Date.parse(err.message.match(/until (\S+)/)[1]);
+        assert(until - Date.now() > 100 * 1000, 'Retry-After overrides a shorter backoff');
+
+        reset({ backoffBaseMs: 100, maxWaitMs: 1000 });
+        await codeOf(schedule('https://six.example/x', async () => { throw httpError(503); }));
+        const t1 = Date.now();
+        const result = await schedule('https://six.example/y', async () => 'ok');
+        assert(result === 'ok' && Date.now() - t1 >= 90, 'short backoffs are waited out');
+        await codeOf(schedule('https://seven.example/x', async () => { throw httpError(503); }));
+        await codeOf(schedule('https://seven.example/y', async () => { throw httpError(503); }));
+        const t2 = Date.now();
+        await schedule('https://seven.example/z', async () => 'ok');
+        assert(Date.now() - t2 >= 190, 'backoff doubles while the host keeps refusing');
+        const t3 = Date.now();
+        await codeOf(schedule('https://seven.example/w', async () => { throw httpError(503); }));
+        await schedule('https://seven.example/v', async () => 'ok');
+        assert(Date.now() - t3 < 190, 'a success resets the backoff level');
+    }
+
+    console.log('\nswitch');
+    {
+        process.env.SCRAPER_POLITENESS = 'off';
+        const ran = await schedule('https://gulfdesk.example/private/memo', async () => 'ran');
+        delete process.env.SCRAPER_POLITENESS;
+        assert(ran === 'ran', 'SCRAPER_POLITENESS=off bypasses robots and pacing');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
@@ -0,0 +1,121 @@
+/**
+ * Publish date extraction tests (pure — no Mongo, no network).
+ * Run: node tests/publishedDate.test.js
+ *
+ * The clock is pinned to 2026-10-19 12:00 UTC (16:00 in Dubai). Hijri
+ * 8 Jumada al-Ula 1448 and Solar Hijri 27 Mehr 1405 are both that day.
+ */
+
+const cheerio = require('cheerio');
+const {
+    normalizeDigits,
+    toGregorian,
+    parseDateString,
+    parseRelative,
+    extractPublishedAt,
+    normalizePublishedAt,
+    sourceTimezone,
+} = require('../scraper/publishedDate');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const iso = (s, timezone = 'Asia/Dubai') => parseDateString(s, { timezone })?.date.toISOString() ?? null;
+const page = (head, body = '') => cheerio.load(`<html><head>${head}</head><body>${body}</body></html>`);
+
+console.log('absolute dates');
+{
+    assert(iso('2026-10-11T09:15:00+04:00') === '2026-10-11T05:15:00.000Z', 'ISO with offset is taken as-is');
+    assert(iso('Sun, 11 Oct 2026 09:15:00 GMT') === '2026-10-11T09:15:00.000Z', 'RFC 822 GMT');
+    assert(iso('2026-10-11 09:15') === '2026-10-11T05:15:00.000Z', 'offset-less time is read in the source zone');
+    assert(iso('2026-10-11 09:15', 'Asia/Tehran') === '2026-10-11T05:45:00.000Z', 'Tehran is +03:30');
+    assert(iso('2026-07-01 09:00', 'Europe/London') === '2026-07-01T08:00:00.000Z', 'DST offsets come from the zone database');
+    assert(iso('11/10/2026 09:15 PM') === '2026-10-11T17:15:00.000Z', 'day-first numeric date with pm clock');
+    assert(iso('10/25/2026') === '2026-10-24T20:00:00.000Z', 'month-first when day-first is impossible');
+    assert(iso('October 11, 2026 9:15 am') === '2026-10-11T05:15:00.000Z', 'English month-first');
+    assert(iso('١١ أكتوبر ٢٠٢٦ - ٠٩:١٥ م') === '2026-10-11T17:15:00.000Z', 'Arabic month name, Arabic-Indic digits and م');
+    assert(iso('11 تشرين الأول 2026') === '2026-10-10T20:00:00.000Z', 'Levantine month name');
+    assert(iso('no date here') === null && iso('') === null, 'non-dates are null');
+    assert(iso('1 January 1970') === null, 'implausibly old dates are rejected');
+    assert(parseDateString('2026-10-11', { timezone: 'Asia/Dubai' }).dateOnly === true, 'date-only values are flagged');
+}
+
+console.log('\nHijri and Solar Hijri');
+{
+    const hijri = toGregorian('islamic-umalqura', 1448, 5, 8);
+    assert(hijri && hijri.year === 2026 && hijri.month === 10 && hijri.day === 19, 'Umm al-Qura date converts');
+    const solar = toGregorian('persian', 1405, 7, 27);
+    assert(solar && solar.year === 2026 && solar.month === 10 && solar.day === 19, 'Solar Hijri date converts');
+    assert(toGregorian('persian', 1405, 1, 1).month === 3, 'Nowruz falls in March');
+    assert(iso('8 جمادى الأولى 1448 هـ') === '2026-10-18T20:00:00.000Z', 'Hijri month name');
+    assert(iso('۲۷ مهر ۱۴۰۵ - ۱۰:۰۰', 'Asia/Tehran') === '2026-10-19T06:30:00.000Z', 'Solar Hijri with Persian digits');
+    assert(iso('1405/07/27') === iso('2026-10-19'), 'numeric Solar Hijri by year range');
+    assert(normalizeDigits('٢٠٢٦ / ۱۴۰۵') === '2026 / 1405', 'both digit sets normalise');
+}
+
+console.log('\nrelative dates');
+{
+    const ago = (s) => {
+        const d = parseRelative(s, { now: NOW });
+        return d ? (NOW - d.getTime()) / HOUR : null;
+    };
+    assert(ago('منذ ساعتين') === 2, 'Arabic dual: منذ ساعتين');
+    assert(ago('منذ ساعة') === 1, 'Arabic singular');
+    assert(ago('قبل 3 ساعات') === 3, 'Arabic plural with a count');
+    assert(ago('منذ ٥ دقائق') === 5 / 60, 'Arabic-Indic count');
+    assert(ago('منذ يومين') === 48, 'Arabic dual days');
+    assert(ago('۳ ساعت پیش') === 3, 'Farsi with Persian digits');
+    assert(ago('دو روز پیش') === 48, 'Farsi number word');
+    assert(ago('2 hours ago') === 2 && ago('an hour ago') === 1, 'English');
+    assert(ago('yesterday') === 24 && ago('أمس') === 24 && ago('دیروز') === 24, 'yesterday in three languages');
+    assert(ago('just now') === 0 && ago('الآن') === 0, 'just now');
+    assert(ago('Read more') === null, 'other text is ignored');
+}
+
+console.log('\nextraction order');
+{
+    const source = { name: 'Test', timezone: 'Asia/Dubai' };
+    const jsonLd = '<script type="application/ld+json">{"@type":"NewsArticle","datePublished":"2026-10-18T08:00:00+04:00"}</script>';
+    const meta = '<meta property="article:published_time" content="2026-10-18T09:00:00+04:00">';
+
+    let r = extractPublishedAt(page(jsonLd + meta), source, { now: NOW });
+    assert(r.method === 'jsonld' && r.publishedAt.toISOString() === '2026-10-18T04:00:00.000Z', 'JSON-LD wins');
+    r = extractPublishedAt(page(meta), source, { now: NOW });
+    assert(r.method === 'meta' && r.publishedAt.toISOString() === '2026-10-18T05:00:00.000Z', 'article:published_time meta');
+    r = extractPublishedAt(page('', '<time>Updated</time><time datetime="2026-10-18T10:00" pubdate>18 Oct</time>'), source, { now: NOW });
+    assert(r.method === 'time' && r.publishedAt.toISOString() === '2026-10-18T06:00:00.000Z', '<time pubdate> in the source zone');
+    r = extractPublishedAt(page('', '<span class="post-date">١٨ أكتوبر ٢٠٢٦</span>'), source, { now: NOW });
+    assert(r.method === 'text' && r.publishedAt.toISOString() === '2026-10-18T08:00:00.000Z', 'earlier date-only text lands on local noon');
+    r = extractPublishedAt(page('', '<div class="article-time">منذ ساعتين</div>'), source, { now: NOW });
+    assert(r.method === 'relative' && r.publishedAt.getTime() === NOW - 2 * HOUR, 'relative text');
+    r = extractPublishedAt(page('', '<span class="date">2026-10-19</span>'), source, { now: NOW });
+    assert(r.publishedAt.getTime() === NOW, "today's date-only value is now");
+    r = extractPublishedAt(page('<title>x</title>', '<p>Nothing dated</p>'), source, { now: NOW });
+    assert(r.publishedAt === null && r.method === null, 'no date is null');
+}
+
+console.log('\nnormalisation');
+{
+    let r = normalizePublishedAt(new Date(NOW + 4 * HOUR), 'meta', { now: NOW });
+    assert(r.publishedAt.getTime() === NOW && r.method === 'meta:clamped', 'future dates are clamped and marked');
+    r = normalizePublishedAt(new Date(NOW + 5 * 60 * 1000), 'meta', { now: NOW });
+    assert(r.publishedAt.getTime() === NOW + 5 * 60 * 1000 && r.method === 'meta', 'small clock skew is tolerated');
+    r = normalizePublishedAt(null, null, { now: NOW });
+    assert(r.publishedAt.getTime() === NOW && r.method === 'ingest', 'missing dates fall back to ingest time');
+    assert(sourceTimezone({ timezone: 'Asia/Tehran' }) === 'Asia/Tehran', 'source timezone is used');
+    assert(sourceTimezone({ timezone: 'Not/AZone' }) === 'Asia/Dubai' && sourceTimezone({}) === 'Asia/Dubai', 'invalid or missing zone falls back');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,303 @@
+/**
+ * Ranking pipeline tests (no Mongo, no network — candidate queries are
+ * fakes). Run: node tests/rankingPipeline.test.js
+ *
+ * Covers the engine (stage order, feature merge, fallback hand-off), each
+ * v2 stage against fixture users and articles, and the pure pieces of the
+ * legacy /personalized feed.
+ */
+
+const {
+    HOUR,
+    createPipeline,
+    windowedSource,
+    starvationGuard,
+    servedRescue,
+    personalFeatures,
+    linearScorer,
+    sourceInterleave,
+    maybeInjectExploration,
+    feedAssembler,
+} = require('../services/rankingPipeline');
+const { PERS_W, extractFeatures, scorePersonalizedCandidates } = require('../services/feedRanking');
+const {
+    buildCandidateMatch,
+    legacyScorer,
+    roundRobinBySourceGroup,
+    paginateWithGroupCap,
+    pickTrending,
+} = require('../services/feedStages');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+const NOW = new Date('2026-10-18T12:00:00Z').getTime();
+const ago = (hours) => new Date(NOW - hours * HOUR);
+const oid = (n) => n.toString(16).padStart(24, '0');
+
+// A reader who prefers tech, follows "wire", muted source 5, has banned
+// sports and fully read article 3.
+function fixtureCtx(overrides = {}) {
+    return {
+        userId: 'reader',
+        hasSignal: true,
+        embedding: null,
+        preferredCategories: new Set(['tech']),
+        dislikedCategories: new Set(['sports']),
+        followingSourceGroups: new Set(['wire']),
+        preferredSourceIds: new Set(),
+        mutedSourceIds: new Set(['src5']),
+        viewedIds: new Set([oid(3)]),
+        viewReadFractions: new Map([[oid(3), 1]]),
+        dislikedIds: new Set(),
+        likedIds: new Set(),
+        servedIds: new Set(),
+        experiments: {},
+        ...overrides,
+    };
+}
+
+function fixtureArticles() {
+    return [
+        { _id: oid(1), category: 'tech', sourceId: 'src1', sourceGroupName: 'wire', publishedAt: ago(2), viewCount: 40 },
+        { _id: oid(2), category: 'news', sourceId: 'src2', sourceGroupName: 'daily', publishedAt: ago(1), viewCount: 40 },
+        { _id: oid(3), category: 'tech', sourceId: 'src3', sourceGroupName: 'tribune', publishedAt: ago(2), viewCount: 40 },
+        { _id: oid(4), category: 'sports', sourceId: 'src4', sourceGroupName: 'daily', publishedAt: ago(1), viewCount: 40 },
+        { _id: oid(5), category: 'news', sourceId: 'src5', sourceGroupName: 'herald', publishedAt: ago(1), viewCount: 40 },
+    ];
+}
+
+(async () => {
+    console.log('engine');
+    {
+        const order = [];
+        const pipeline = createPipeline({
+            name: 'test',
+            context: async (s) => { order.push('context'); s.ctx = { hasSignal: true }; },
+            sources: [
+                async (s) => { order.push('source1'); s.candidates = [{ _id: 'a', v: 1 }, { _id: 'b', v: 2 }]; },
+                async (s) => { order.push('source2'); s.candidates.push({ _id: 'c', v: 3 }); },
+            ],
+            features: [(a) => ({ double: a.v * 2 }), (a, s) => ({ page: s.page })],
+            scorer: (cands) => {
+                order.push('scorer');
+                for (const a of cands) a._score = a._features.double;
+                return cands.sort((x, y) => y._score - x._score);
+            },
+            rerankers: [
+                (ranked) => { order.push('rerank1'); return ranked.slice(1); },
+                async (ranked) => { order.push('rerank2'); return ranked; },
+            ],
+            assembler: async (ranked, s) => { order.push('assembler'); return ranked.slice(0, s.limit); },
+        });
+        const s = await pipeline.run({ limit: 1, page: 3 });
+        assert(order.join(',') === 'context,source1,source2,scorer,rerank1,rerank2,assembler', 'stages run in declared order');
+        const a = s.candidates.find((c) => c._id === 'a');
+        assert(a._features.double === 2 && a._features.page === 3, 'feature outputs merge into _features');
+        assert(s.items.length === 1 && s.items[0]._id === 'b', 're-rankers and assembler shape the items');
+        assert(s.pipeline === 'test' && s.ctx.hasSignal, 'run state carries the pipeline name and context');
+
+        const fallback = createPipeline({
+            name: 'fallback',
+            sources: [async (s) => { s.candidates = [{ _id: 'f', seen: s.ctx.marker }]; }],
+        });
+        const giveUp = createPipeline({
+            name: 'primary',
+            sources: [async (s) => { s.ctx = { marker: 'kept' }; s.meta.probe = 1; s.fallback = 'vector_unavailable'; }],
+            scorer: () => { throw new Error('scorer must not run after a hand-off'); },
+            fallback,
+        });
+        const fb = await giveUp.run({});
+        assert(fb.pipeline === 'fallback' && fb.meta.fallbackReason === 'vector_unavailable', 'a stage can hand off to the fallback pipeline');
+        assert(fb.items[0].seen === 'kept' && fb.meta.probe === 1, 'the fallback keeps ctx and meta');
+
+        let threw = null;
+        try { await createPipeline({ name: 'x', sources: [(s) => { s.fallback = 'nope'; }] }).run({}); } catch (err) { threw = err; }
+        assert(threw && threw.code === 'PIPELINE_INVALID', 'giving up without a fallback throws');
+        threw = null;
+        try { createPipeline({ name: 'x' }); } catch (err) { threw = err; }
+        assert(threw && threw.code === 'PIPELINE_INVALID', 'a pipeline needs a candidate source');
+    }
+
+    console.log('\ncandidate sources');
+    {
+        const seen = [];
+        const query = async (sinceMs) => {
+            seen.push(sinceMs / HOUR);
+            return sinceMs >= 48 * HOUR ? fixtureArticles() : fixtureArticles().slice(0, 1);
+        };
+        const s = { limit: 2, page: 1, meta: {}, ctx: fixtureCtx() };
+        await windowedSource({ windows: [24 * HOUR, 48 * HOUR, 72 * HOUR], enough: (c, st) => c.length >= st.limit * 2, query })(s);
+        assert(seen.join(',') === '24,48' && s.candidates.length === 5, 'windows widen until the pool is big enough');
+        assert(s.meta.windowMs === 48 * HOUR && s.meta.retrieval === 'recency', 'meta records the window and retrieval');
+
+        const hybrid = { limit: 1, page: 1, meta: {}, ctx: fixtureCtx() };
+        await windowedSource({
+            windows: [24 * HOUR],
+            enough: () => true,
+            query: async () => fixtureArticles().slice(0, 2),
+            vectorQuery: async () => [{ ...fixtureArticles()[1], _atlasSimilarity: 0.9 }, fixtureArticles()[4]],
+            vectorEligible: async () => true,
+        })(hybrid);
+        assert(hybrid.meta.retrieval === 'hybrid' && hybrid.candidates.length === 3, 'hybrid retrieval unions both pools');
+        assert(hybrid.candidates[1]._atlasSimilarity === 0.9, 'the vector copy wins on overlap');
+
+        const broken = { limit: 1, page: 1, meta: {}, ctx: fixtureCtx() };
+        const origError = console.error;
+        console.error = () => {};
+        await windowedSource({
+            windows: [24 * HOUR],
+            enough: () => true,
+            query: async () => fixtureArticles().slice(0, 2),
+            vectorQuery: async () => { throw new Error('index offline'); },
+            vectorEligible: async () => true,
+        })(broken);
+        console.error = origError;
+        assert(broken.meta.retrieval === 'recency' && broken.candidates.length === 2, 'vector failure degrades to recency');
+
+        const origLog = console.log;
+        console.log = () => {};
+        const starved = { limit: 5, page: 1, meta: {}, ctx: fixtureCtx(), candidates: [{ ...fixtureArticles()[0], kept: true }] };
+        let rescueOpts = null;
+        await starvationGuard({
+            windows: [24 * HOUR, 30 * 24 * HOUR],
+            query: async (sinceMs, st, opts) => { rescueOpts = { sinceMs, ...opts }; return fixtureArticles(); },
+        })(starved);
+        assert(rescueOpts.skipCategoryExclusion && rescueOpts.sinceMs === 30 * 24 * HOUR, 'starvation guard re-queries the widest window without the category ban');
+        assert(starved.candidates.length === 5 && starved.candidates[0].kept, 'rescue merges and keeps the original copies');
+
+        const rich = { limit: 1, page: 1, meta: {}, ctx: fixtureCtx(), candidates: fixtureArticles() };
+        let called = false;
+        await starvationGuard({ windows: [HOUR], query: async () => { called = true; return []; } })(rich);
+        assert(!called, 'a healthy pool is left alone');
+
+        const thin = { limit: 5, page: 2, meta: {}, ctx: fixtureCtx({ servedIds: new Set([oid(1)]) }), candidates: [] };
+        await servedRescue({ windows: [HOUR, 2 * HOUR], query: async (ms, st, opts) => (opts.excludeServed === false ? fixtureArticles() : []) })(thin);
+        console.log = origLog;
+        assert(thin.meta.rescuedWithoutExclusion && thin.candidates.length === 5, 'served rescue re-runs without the served exclusion');
+    }
+
+    console.log('\nfeatures and scorer');
+    {
+        const ctx = fixtureCtx();
+        const [wireTech, , viewedTech, sports, muted] = fixtureArticles().map((a) => extractFeatures(a, ctx, { now: NOW }));
+        assert(wireTech.categoryAffinity === 1 && wireTech.following === 1, 'preferred category and followed group');
+        assert(viewedTech.viewed && viewedTech.viewedFraction === 1, 'a full read carries the full viewed fraction');
+        assert(sports.dislikedCategory && muted.mutedSource, 'banned category and muted source are flagged');
+        assert(extractFeatures(fixtureArticles()[1], null, { now: NOW }).categoryAffinity === 0, 'guests get no personal features');
+
+        const s = { ctx, page: 1, now: NOW, limit: 5, meta: {} };
+        const viaPipeline = fixtureArticles();
+        for (const a of viaPipeline) a._features = personalFeatures(a, s);
+        const ranked = linearScorer({ weights: PERS_W })(viaPipeline, s);
+        const direct = scorePersonalizedCandidates(fixtureArticles(), ctx, { page: 1, weights: PERS_W, now: NOW, telemetry: false });
+        assert(ranked.every((a, i) => a._id === direct[i]._id && close(a._score, direct[i]._score)), 'pipeline scorer matches the shared scorer');
+        assert(ranked[0]._id === oid(1) && ranked[ranked.length - 1]._id === oid(4), 'followed tech first, banned sports last');
+
+        const guest = { ctx: { hasSignal: false, dislikedCategories: new Set(['sports']) }, page: 1, now: NOW };
+        const baseline = linearScorer()(fixtureArticles(), guest);
+        assert(baseline[baseline.length - 1]._id === oid(4), 'no-signal baseline still sinks banned categories');
+        assert(close(baseline[0]._score, PERS_W.recency * Math.exp(-1 / 72) + PERS_W.engagement * Math.tanh(0.5)), 'no-signal baseline is recency + engagement');
+    }
+
+    console.log('\nre-rankers and assembly');
+    {
+        const burst = ['a', 'a', 'a', 'b', 'c'].map((g, i) => ({ _id: oid(i + 10), sourceGroupName: g, _score: 10 - i }));
+        const out = sourceInterleave((s) => ({ minGap: 1, perGroupCap: s.limit }))(burst, { limit: 2 });
+        assert(out.filter((a) => a.sourceGroupName === 'a').length === 2 && out[1].sourceGroupName !== 'a', 'interleave options can depend on the run state');
+
+        const ctx = fixtureCtx({ preferredCategories: new Set(['tech']) });
+        const pool = [
+            ...[1, 2, 3, 4].map((n) => ({ _id: oid(n + 20), category: 'tech', publishedAt: ago(1) })),
+            { _id: oid(30), category: 'travel', publishedAt: ago(1) },
+            { _id: oid(31), category: 'travel', publishedAt: ago(200) },
+        ];
+        const page = pool.slice(0, 4).map((a) => ({ ...a }));
+        const swapped = maybeInjectExploration(page, pool, ctx, { random: () => 0, now: NOW });
+        assert(swapped && page[2]._id === oid(30) && page[2]._explorationInjected, 'exploration swaps a fresh unexplored category into the mid-page');
+        assert(!maybeInjectExploration(pool.slice(0, 4), pool, ctx, { random: () => 0.5, now: NOW }), 'exploration fires only below the rate');
+
+        const s = { ctx, limit: 2, page: 1, now: NOW, meta: {}, forceRefresh: false };
+        const covered = [];
+        const ranked = pool.map((a) => ({ ...a, _score: 1, _features: {}, embedding_pca: [1], sourceGroupName: 'g' }));
+        const items = await feedAssembler({
+            coverage: async (pageItems) => { covered.push(pageItems.length); },
+            extra: (st) => ({ isLight: true, isRefreshed: st.forceRefresh }),
+        })(ranked, s);
+        assert(items.length === 2 && covered[0] === 2, 'assembler cuts the page and attaches coverage');
+        assert(items.every((a) => a._features === undefined && a._score === undefined && a.embedding_pca === undefined && a.sourceGroupName === undefined),
+            'internal fields are stripped');
+        assert(items[0].isLight && items[0].isRefreshed === false && s.meta.explorationInjected === false, 'extra fields are stamped on each item');
+    }
+
+    console.log('\nlegacy feed');
+    {
+        const s = {
+            page: 1,
+            now: NOW,
+            noveltySeed: 7,
+            meta: { timeWindow: { label: 'last 72h' } },
+            timings: {},
+            startedAt: NOW,
+            ctx: {
+                dislikedCategories: ['sports'],
+                preferredCategories: ['news'],
+                preferredSources: [],
+                categoryTimeBoosts: { tech: 0.25 },
+            },
+        };
+        const scored = legacyScorer([
+            { _id: oid(1), category: 'tech', publishedAt: ago(1), similarity: 0.5 },
+            { _id: oid(2), category: 'news', publishedAt: ago(1), similarity: 0.5 },
+            { _id: oid(3), category: 'sports', publishedAt: ago(1), similarity: 0.9 },
+        ], s);
+        assert(scored.length === 2 && scored[0]._id === oid(1), 'read-time boosts beat the flat preference and banned categories are dropped');
+        assert(scored[0].noveltySeed === 7 && scored[0].timeWindow === 'last 72h' && 'scoring' in s.timings, 'scored items carry the legacy response fields');
+
+        const groups = { s1: 'alpha', s2: 'beta' };
+        const rr = roundRobinBySourceGroup([
+            { _id: 1, sourceId: 's1', finalScore: 3 },
+            { _id: 2, sourceId: 's1', finalScore: 2 },
+            { _id: 3, sourceId: 's2', finalScore: 1 },
+        ], groups);
+        assert(rr.map((a) => a._id).join(',') === '1,3,2', 'round-robin takes one per source group per round');
+        const pool = [1, 2, 3, 4, 5, 6].map((n) => ({ _id: n, sourceId: n <= 5 ? 's1' : 's2' }));
+        const first = paginateWithGroupCap(pool, groups, { page: 1, limit: 3 });
+        const second = paginateWithGroupCap(pool, groups, { page: 2, limit: 2 });
+        assert(first.map((a) => a._id).join(',') === '1,2,6', 'at most two per source group on a page');
+        assert(second.map((a) => a._id).join(',') === '3,4', 'deeper pages skip (page - 1) × limit first');
+
+        const trending = pickTrending([
+            { _id: 'old', publishedAt: ago(72), viewCount: 2000 },
+            { _id: 'rising', publishedAt: ago(2), viewCount: 500 },
+        ], 1, s);
+        assert(trending.length === 1 && trending[0]._id === 'rising' && trending[0].isTrending, 'trending ranks by views per hour');
+    }
+
+    console.log('\ncandidate match');
+    {
+        const ctx = fixtureCtx({ dislikedIds: new Set([oid(1)]), servedIds: new Set([oid(2)]) });
+        const base = { ctx, language: 'english', now: NOW };
+        const match = buildCandidateMatch(base, 24 * HOUR);
+        assert(match._id.$nin.length === 2 && match.category.$nin[0] === 'sports', 'dislikes, served and banned categories are excluded');
+        assert(match.publishedAt.$gte.getTime() === NOW - 24 * HOUR, 'window is measured from the run clock');
+        const noServed = buildCandidateMatch(base, HOUR, { excludeServed: false, skipCategoryExclusion: true });
+        assert(noServed._id.$nin.length === 1 && !noServed.category, 'rescue options lift the served and category exclusions');
+        const pinned = buildCandidateMatch({ ...base, category: 'tech' }, HOUR);
+        assert(pinned.category === 'tech', 'a pinned category replaces the category ban');
+        assert(!buildCandidateMatch({ ctx: null, language: 'arabic', now: NOW }, HOUR)._id, 'guests get no exclusions');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
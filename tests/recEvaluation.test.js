@@ -0,0 +1,183 @@
+/**
+ * Offline evaluator tests (pure — no Mongo, no network).
+ * Run: node tests/recEvaluation.test.js
+ *
+ * Covers the ranking metrics, rebuilding a context from activity as of a
+ * cutoff (nothing after it may leak in), the variant config, and an
+ * end-to-end comparison on a small synthetic split where the right answer
+ * is known.
+ */
+
+const {
+    buildContextAsOf,
+    relevanceAfter,
+    ndcgAtK,
+    recallAtK,
+    intraListDiversity,
+    sourceConcentration,
+    categoryStatsFor,
+    normalizeVariants,
+    rankForUser,
+    compareVariants,
+} = require('../services/recEvaluation');
+const { PERS_W, basicRecencyScore, scorePersonalizedCandidates } = require('../services/feedRanking');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+const HOUR = 60 * 60 * 1000;
+const CUTOFF = new Date('2026-10-18T00:00:00Z');
+const at = (hours) => new Date(CUTOFF.getTime() + hours * HOUR);
+const ev = (articleId, eventType, hours, extra = {}) => ({ articleId, eventType, timestamp: at(hours), ...extra });
+
+console.log('metrics');
+{
+    const gains = new Map([['a', 3], ['b', 1]]);
+    assert(close(ndcgAtK(['a', 'b', 'c'], gains, 3), 1), 'ideal order scores NDCG 1');
+    const swapped = ndcgAtK(['b', 'a', 'c'], gains, 3);
+    assert(swapped > 0 && swapped < 1, 'a weaker first pick lowers NDCG');
+    assert(ndcgAtK(['c', 'd'], gains, 2) === 0, 'no hits scores 0');
+    assert(ndcgAtK(['a'], new Map(), 1) === null, 'no relevant items is undefined, not 0');
+
+    assert(recallAtK(['a', 'x'], gains, 2) === 0.5, 'recall counts relevant items in the top k');
+    assert(recallAtK(['x', 'a'], gains, 1) === 0, 'recall ignores items past k');
+
+    const same = [{ embedding_pca: [1, 0] }, { embedding_pca: [1, 0] }];
+    const apart = [{ embedding_pca: [1, 0] }, { embedding_pca: [0, 1] }];
+    assert(close(intraListDiversity(same), 0) && close(intraListDiversity(apart), 1), 'diversity is 1 − cosine between items');
+    assert(intraListDiversity([{ embedding_pca: [1, 0] }, {}]) === null, 'diversity needs two embedded items');
+
+    const oneGroup = sourceConcentration([{ sourceGroupName: 'x' }, { sourceGroupName: 'x' }]);
+    const spread = sourceConcentration([{ sourceGroupName: 'x' }, { sourceGroupName: 'y' }, { sourceGroupName: 'z' }, { sourceGroupName: 'w' }]);
+    assert(oneGroup.hhi === 1 && oneGroup.topShare === 1, 'one source group is fully concentrated');
+    assert(close(spread.hhi, 0.25) && spread.topShare === 0.25, 'four even groups give HHI 1/4');
+
+    const stats = categoryStatsFor([1, 2, 3, 4, 5].map((v) => ({ category: 'tech', viewCount: v })).concat([{ category: 'rare', viewCount: 9 }]));
+    assert(stats.get('tech').mean === 3 && !stats.has('rare'), 'category stats need five samples');
+}
+
+console.log('\ncontext as of the cutoff');
+{
+    const articlesById = new Map([
+        ['s1', { category: 'sports', embedding_pca: [1, 0] }],
+        ['s2', { category: 'sports', embedding_pca: [1, 0] }],
+        ['s3', { category: 'sports', embedding_pca: [1, 0] }],
+        ['t1', { category: 'tech', embedding_pca: [0, 1] }],
+        ['t2', { category: 'tech', embedding_pca: [0, 1] }],
+        ['future', { category: 'travel', embedding_pca: [0, 1] }],
+    ]);
+    const events = [
+        ev('t1', 'like', -10),
+        ev('t2', 'read_time', -5, { duration: 30 }),
+        ev('t2', 'save', -4),
+        ev('t2', 'unsave', -3),
+        ev('s1', 'dislike', -9),
+        ev('s2', 'dislike', -8),
+        ev('s3', 'like', -7),
+        ev('s3', 'dislike', -6),
+        ev('future', 'like', 2),
+        ev('t1', 'dislike', 3),
+    ];
+    const user = { supabase_id: 'u1', preferred_categories: ['business'], muted_sources: ['src9'], language: 'English' };
+    const ctx = buildContextAsOf({ user, events, articlesById, cutoff: CUTOFF });
+    assert(ctx.likedIds.has('t1') && !ctx.likedIds.has('future'), 'likes after the cutoff do not leak in');
+    assert(!ctx.dislikedIds.has('t1'), 'a dislike after the cutoff does not undo an earlier like');
+    assert(!ctx.likedIds.has('s3') && ctx.dislikedIds.has('s3'), 'toggles replay in order');
+    assert(ctx.dislikedCategories.has('sports'), 'three dislikes ban the category');
+    assert(!ctx.savedIds.has('t2'), 'unsave removes the save');
+    assert(close(ctx.viewReadFractions.get('t2'), 0.5), 'read fraction from read time');
+    assert(ctx.preferredCategories.has('business') && ctx.preferredCategories.has('tech') && !ctx.preferredCategories.has('sports'),
+        'explicit + implicit categories, banned ones excluded');
+    // t1, t2 and s3 all weigh 3 (strongest action wins, as in the nightly job); s1/s2 are negative.
+    assert(ctx.embedding && close(ctx.embedding[0], 1 / 3) && close(ctx.embedding[1], 2 / 3), 'embedding is the centroid of positively-weighted articles');
+    assert(ctx.mutedSourceIds.has('src9') && ctx.hasSignal, 'current mutes and signal');
+    const cold = buildContextAsOf({ user: { supabase_id: 'u2' }, events: [ev('t1', 'view', 1)], articlesById, cutoff: CUTOFF });
+    assert(!cold.hasSignal && cold.embedding === null && cold.viewedIds.size === 0, 'a user with only future activity is cold');
+
+    const gains = relevanceAfter([
+        ev('a', 'view', 1),
+        ev('a', 'like', 2),
+        ev('b', 'read_time', 1, { duration: 40 }),
+        ev('b', 'read_time', 2, { duration: 30 }),
+        ev('c', 'view', 1),
+        ev('d', 'view', 1),
+        ev('d', 'dislike', 2),
+        ev('e', 'like', -1),
+        ev('f', 'like', 30),
+    ], CUTOFF, at(24));
+    assert(gains.get('a') === 3 && gains.get('b') === 2 && gains.get('c') === 1, 'graded gains: like 3, full read 2, view 1');
+    assert(!gains.has('d') && !gains.has('e') && !gains.has('f'), 'dislikes and out-of-window events are not relevant');
+}
+
+console.log('\nscorer clock and weights');
+{
+    const now = CUTOFF.getTime();
+    assert(basicRecencyScore(at(-72), now) === Math.exp(-1), 'recency is measured from the given clock');
+    const ctx = buildContextAsOf({ user: { supabase_id: 'u', preferred_categories: ['tech'] }, events: [], articlesById: new Map(), cutoff: CUTOFF });
+    const scored = scorePersonalizedCandidates([{ _id: 'x', category: 'tech', publishedAt: at(-1) }], ctx, {
+        weights: { ...PERS_W, categoryAffinity: 0, recency: 0 },
+        now,
+        telemetry: false,
+    });
+    assert(scored[0]._score === 0, 'explicit weights replace PERS_W');
+}
+
+console.log('\nvariants');
+{
+    const variants = normalizeVariants({ variants: [{ name: 'v', persW: { vector: 9 }, mmr: false }] });
+    assert(variants[0].name === 'baseline' && variants[0].weights === PERS_W, 'baseline always runs first');
+    assert(variants[1].weights.vector === 9 && variants[1].weights.recency === PERS_W.recency && variants[1].mmr === false,
+        'overrides merge onto PERS_W');
+    const rejects = (config, msg) => {
+        let threw = null;
+        try { normalizeVariants(config); } catch (err) { threw = err; }
+        assert(threw && threw.code === 'EVAL_CONFIG_INVALID', msg);
+    };
+    rejects({ variants: [{ name: 'v', persW: { vectr: 9 } }] }, 'unknown PERS_W key is rejected');
+    rejects({ variants: [{ name: 'v', persW: { vector: '9' } }] }, 'non-numeric weight is rejected');
+    rejects({ variants: [{ name: 'baseline' }] }, 'duplicate name is rejected');
+    rejects({ variants: [{ persW: {} }] }, 'missing name is rejected');
+}
+
+console.log('\nend to end');
+{
+    // Tech comes from one wire, news from three papers; the user reads tech.
+    // The tech articles are older, so a recency-heavy variant ranks them
+    // lower than the baseline.
+    const pool = [];
+    for (let i = 0; i < 6; i++) {
+        pool.push({ _id: `tech${i}`, category: 'tech', sourceGroupName: 'techwire', publishedAt: at(-20 - i), embedding_pca: [0, 1, i / 10] });
+        pool.push({ _id: `news${i}`, category: 'news', sourceGroupName: `paper${i % 3}`, publishedAt: at(-1 - i), embedding_pca: [1, 0, i / 10] });
+    }
+    const articlesById = new Map([['old', { category: 'tech', embedding_pca: [0, 1, 0] }]]);
+    const ctx = buildContextAsOf({
+        user: { supabase_id: 'reader' },
+        events: [ev('old', 'like', -48), ev('old', 'read_time', -48, { duration: 90 })],
+        articlesById,
+        cutoff: CUTOFF,
+    });
+    const cases = [{ ctx, gains: new Map([['tech0', 3], ['tech1', 2]]) }];
+    const variants = normalizeVariants({ variants: [{ name: 'recency_only', persW: { vector: 0, categoryAffinity: 0, recency: 20 } }] });
+
+    const top = rankForUser(pool, ctx, variants[0], { k: 4, now: CUTOFF.getTime() });
+    assert(top.length === 4 && pool.every((a) => a._score === undefined), 'ranking works on copies of the pool');
+    assert(top.filter((a) => a.sourceGroupName === 'techwire').length <= 2, 'interleave caps one group in a short list');
+
+    const [base, recency] = compareVariants(cases, pool, variants, { k: 4, now: CUTOFF.getTime() });
+    assert(base.users === 1 && base.ndcg > recency.ndcg, 'baseline beats recency-only for a tech reader');
+    assert(close(recency.vsBaseline.ndcg, recency.ndcg - base.ndcg), 'deltas are against the baseline');
+    assert(base.coverage === 4 / pool.length, 'coverage is distinct recommendations over the pool');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
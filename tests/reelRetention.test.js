@@ -0,0 +1,164 @@
+/**
+ * Reel retention tests (pure — no Mongo or Redis).
+ * Run: node tests/reelRetention.test.js
+ *
+ * Covers event validation, folding events into hourly bucket upserts,
+ * merging buckets into per-second and per-5% retention curves and rates,
+ * and the feed-scoring signals with their sample-size guard.
+ */
+
+const {
+    RETENTION,
+    normalizeEvents,
+    knownReelEvents,
+    bucketWriteOps,
+    mergeBuckets,
+    buildRetention,
+    retentionSummary,
+    retentionSignals,
+    retentionWindow,
+} = require('../services/reelRetention');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const round4 = (x) => Math.round(x * 10000) / 10000;
+
+const NOW = Date.UTC(2026, 0, 1, 12, 30, 0);
+const REEL = '65a1b2c3d4e5f6a7b8c9d0e1';
+const OTHER = '65a1b2c3d4e5f6a7b8c9d0e2';
+
+console.log('normalizeEvents');
+{
+    const { events, rejected } = normalizeEvents([
+        { playbackId: 'p1', reelId: REEL, type: 'start', position: 0, duration: 20, at: NOW - 1000 },
+        { playbackId: 'p1', reelId: REEL, type: 'progress', quartile: 2 },
+        { playbackId: 'p1', reelId: REEL, type: 'exit', position: 7.4, watchedMs: 7400.6 },
+        { playbackId: 'p1', reelId: REEL, type: 'progress', quartile: 5 },
+        { playbackId: 'p1', reelId: REEL, type: 'exit' },
+        { playbackId: 'p1', reelId: 'nope', type: 'start' },
+        { reelId: REEL, type: 'start' },
+        { playbackId: 'p1', reelId: REEL, type: 'pause' },
+        null,
+    ], NOW);
+    assert(events.length === 3 && rejected === 6, 'invalid events are counted, not thrown');
+    assert(events[0].at.getTime() === NOW - 1000 && events[0].duration === 20, 'timestamps and durations are kept');
+    assert(events[1].at.getTime() === NOW, 'missing timestamps default to now');
+    assert(events[2].watchedMs === 7401, 'watched time is rounded to ms');
+
+    const { events: clamped } = normalizeEvents([
+        { playbackId: 'p', reelId: REEL, type: 'start', at: NOW + 3600e3 },
+        { playbackId: 'p', reelId: REEL, type: 'start', at: NOW - 3 * 24 * 3600e3 },
+        { playbackId: 'p', reelId: REEL, type: 'exit', position: 1, watchedMs: 1e9 },
+    ], NOW);
+    assert(clamped[0].at.getTime() === NOW && clamped[1].at.getTime() === NOW, 'future and stale timestamps are replaced with now');
+    assert(clamped[2].watchedMs === RETENTION.MAX_WATCHED_MS, 'watched time is capped');
+
+    const ghost = 'b'.repeat(24);
+    const known = knownReelEvents([...events, { ...events[0], reelId: ghost }], new Set([REEL]));
+    assert(known.events.length === 3 && known.rejected === 1 && !known.events.some((e) => e.reelId === ghost), 'events for reels that do not exist are rejected');
+}
+
+console.log('bucketWriteOps');
+{
+    const hour = NOW - 30 * 60e3; // 12:00
+    const { events } = normalizeEvents([
+        { playbackId: 'a', reelId: REEL, type: 'start', duration: 20, at: NOW },
+        { playbackId: 'a', reelId: REEL, type: 'progress', quartile: 1, at: NOW },
+        { playbackId: 'a', reelId: REEL, type: 'seek', position: 4, at: NOW },
+        { playbackId: 'a', reelId: REEL, type: 'seek', position: 2, at: NOW },
+        { playbackId: 'a', reelId: REEL, type: 'progress', quartile: 1, at: NOW },
+        { playbackId: 'a', reelId: REEL, type: 'mute', at: NOW },
+        { playbackId: 'a', reelId: REEL, type: 'exit', position: 6.9, duration: 20, watchedMs: 6900, at: NOW },
+        { playbackId: 'b', reelId: REEL, type: 'start', at: NOW },
+        { playbackId: 'b', reelId: REEL, type: 'loop', at: NOW },
+        { playbackId: 'b', reelId: REEL, type: 'exit', position: 3, duration: 20, watchedMs: 23000, at: NOW },
+        { playbackId: 'c', reelId: REEL, type: 'exit', position: 19.8, duration: 20, at: NOW },
+        { playbackId: 'd', reelId: REEL, type: 'exit', position: 500, at: NOW },
+        { playbackId: 'e', reelId: REEL, type: 'start', at: NOW - 3600e3 },
+        { playbackId: 'a', reelId: OTHER, type: 'unmute', at: NOW },
+    ], NOW);
+    const ops = bucketWriteOps(events, new Date(NOW));
+    assert(ops.length === 3 && ops.every((op) => op.updateOne.upsert), 'one upsert per reel-hour');
+
+    const main = ops.find((op) => op.updateOne.filter.reelId === REEL && op.updateOne.filter.hour.getTime() === hour).updateOne;
+    const inc = main.update.$inc;
+    assert(inc.plays === 2 && inc.seeks === 2 && inc.mutes === 1 && inc.loops === 1, 'event counters');
+    assert(inc['quartiles.q25'] === 1, 'a quartile counts once per playback');
+    assert(inc.exits === 4 && inc.finished === 2, 'looped playbacks and exits at the end are finished');
+    assert(inc['exitSeconds.6'] === 1 && inc[`exitSeconds.${RETENTION.MAX_TRACKED_SECONDS}`] === 1, 'other exits land in the histogram by whole second, capped');
+    assert(inc.watchMs === 29900, 'watched time sums');
+    assert(main.update.$max.duration === 20 && main.update.$set.updatedAt.getTime() === NOW, 'duration is a running max and updatedAt is stamped');
+
+    const earlier = ops.find((op) => op.updateOne.filter.hour.getTime() === hour - 3600e3).updateOne;
+    assert(earlier.update.$inc.plays === 1 && !earlier.update.$max, 'events go to the hour they happened in');
+    assert(bucketWriteOps([]).length === 0, 'no events, no writes');
+}
+
+console.log('buildRetention');
+{
+    // 10 measured playbacks of a 10s reel across two hours: 2 leave in
+    // second 0, 1 in second 1, 2 in second 5, 5 watch to the end.
+    const buckets = [
+        { plays: 8, loops: 2, seeks: 1, mutes: 4, exits: 6, finished: 3, watchMs: 40000, quartiles: { q25: 6, q50: 4, q75: 3, q100: 3 }, exitSeconds: { 0: 2, 5: 1 }, duration: 9.8 },
+        { plays: 4, exits: 4, finished: 2, watchMs: 20000, quartiles: { q25: 3, q50: 3 }, exitSeconds: new Map([['1', 1], ['5', 1]]) },
+    ];
+    const totals = mergeBuckets(buckets);
+    assert(totals.plays === 12 && totals.exitSeconds.get(5) === 2 && totals.quartiles.q50 === 7, 'buckets sum, plain-object and Map histograms alike');
+
+    const r = buildRetention(buckets, { duration: 10 });
+    assert(r.duration === 10 && r.curve.length === 11, 'one curve point per second, including the end');
+    assert(r.curve[0].retention === 1 && r.curve[1].retention === 0.8 && r.curve[2].retention === 0.7, 'exits in a second count from the next one');
+    assert(r.curve[5].retention === 0.7 && r.curve[6].retention === 0.5 && r.curve[10].retention === 0.5, 'finished playbacks hold the tail');
+    assert(r.points.length === RETENTION.CURVE_POINTS && r.points[9].at === 0.5 && r.points[9].retention === 0.7, 'duration-relative points every 5%');
+    assert(r.completionRate === 0.5 && r.earlyDropRate === 0.3 && r.midRetention === 0.7, 'completion, early drop and midpoint retention');
+    assert(r.loopRate === round4(2 / 12) && r.muteRate === round4(4 / 12), 'loop and mute rates are per play');
+    assert(r.quartiles.q50 === round4(7 / 12), 'quartile reach is per play');
+    assert(r.avgWatchSeconds === 6 && r.steepestDrop.second === 0 && r.steepestDrop.share === 0.2, 'average watch time and steepest drop');
+
+    assert(buildRetention(buckets).duration === 9.8, 'reported duration is used when none is given');
+    const unknown = buildRetention([{ plays: 3, exits: 2, quartiles: { q50: 1 }, exitSeconds: { 4: 2 } }]);
+    assert(unknown.duration === null && unknown.curve.length === 6 && unknown.points.length === 0, 'without a duration the curve runs past the last exit');
+    assert(unknown.midRetention === round4(1 / 3), 'midpoint falls back to the 50% quartile');
+
+    const empty = buildRetention([]);
+    assert(empty.plays === 0 && empty.completionRate === null && empty.loopRate === null && empty.steepestDrop === null, 'no telemetry, null rates');
+
+    const summary = retentionSummary(r, new Date(NOW));
+    assert(summary.exits === 10 && summary.midRetention === 0.7 && !('curve' in summary) && summary.updatedAt.getTime() === NOW, 'summary keeps the scalars');
+}
+
+console.log('retentionSignals');
+{
+    const neutral = retentionSignals({ exits: RETENTION.MIN_EXITS_FOR_SCORING - 1, midRetention: 0.1, earlyDropRate: 0.9 });
+    assert(!neutral.reliable && neutral.watchAdjustment === 0 && neutral.multiplier === 1, 'too few playbacks are neutral');
+    assert(retentionSignals(undefined).multiplier === 1, 'reels without telemetry are neutral');
+
+    const sticky = retentionSignals({ exits: 200, midRetention: 0.8, earlyDropRate: 0.1, loopRate: 0.3 });
+    const leaky = retentionSignals({ exits: 200, midRetention: 0.3, earlyDropRate: 0.6, loopRate: 0 });
+    assert(sticky.watchAdjustment > 0 && sticky.multiplier > 1, 'holding viewers and loops raise the score');
+    assert(leaky.watchAdjustment < 0 && leaky.multiplier < 1, 'early drop-off lowers it');
+    const worst = retentionSignals({ exits: 200, midRetention: 0, earlyDropRate: 1, loopRate: 0 });
+    const best = retentionSignals({ exits: 200, midRetention: 1, earlyDropRate: 0, loopRate: 5 });
+    assert(worst.watchAdjustment === -0.2 && best.watchAdjustment === 0.15, 'adjustment is bounded');
+}
+
+console.log('retentionWindow');
+{
+    const w = retentionWindow(undefined, NOW);
+    assert(w.days === RETENTION.WINDOW_DAYS && w.from.getUTCMinutes() === 0, 'defaults to the window, aligned to the hour');
+    assert(retentionWindow('365', NOW).days === RETENTION.MAX_WINDOW_DAYS && retentionWindow('0', NOW).days === RETENTION.WINDOW_DAYS, 'clamped to the bucket TTL');
+    assert(retentionWindow('7', NOW).from.getTime() === NOW - 30 * 60e3 - 7 * 24 * 3600e3, 'shorter windows');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
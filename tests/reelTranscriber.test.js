@@ -0,0 +1,152 @@
+/**
+ * Reel transcription tests (pure — no ffmpeg, Whisper, S3 or Mongo).
+ * Run: node tests/reelTranscriber.test.js
+ *
+ * Covers parsing both Whisper JSON layouts, segment clean-up, WebVTT
+ * output, caption keys, language hints, the embedding input, search cue
+ * matching, backend selection, the job's pending query and the search
+ * index options.
+ */
+
+const {
+    MAX_ATTEMPTS,
+    ReelTranscriber,
+    languageHint,
+    captionsKey,
+    audioExtractOptions,
+    normalizeSegments,
+    parseWhisperJson,
+    formatVttTimestamp,
+    buildWebVtt,
+    embeddingInput,
+    searchTerms,
+    matchingCues,
+    pendingTranscriptionQuery,
+} = require('../services/ReelTranscriber');
+const Reel = require('../models/Reel');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+console.log('parseWhisperJson');
+{
+    const openaiWhisper = parseWhisperJson({
+        text: ' Welcome to Dubai. Traffic is heavy on Sheikh Zayed Road. ',
+        language: 'english',
+        segments: [
+            { id: 1, start: 2.5, end: 5.25, text: ' Traffic is heavy on Sheikh Zayed Road. ' },
+            { id: 0, start: 0, end: 2.5, text: ' Welcome to Dubai.' },
+            { id: 2, start: 5.25, end: 6, text: '   ' },
+        ],
+    });
+    assert(openaiWhisper.segments.length === 2 && openaiWhisper.segments[0].text === 'Welcome to Dubai.', 'segments are trimmed, sorted and empties dropped');
+    assert(openaiWhisper.text === 'Welcome to Dubai. Traffic is heavy on Sheikh Zayed Road.', 'text is rebuilt from the segments');
+    assert(openaiWhisper.language === 'en', 'full language names become codes');
+
+    const cpp = parseWhisperJson({
+        result: { language: 'ar' },
+        transcription: [{ offsets: { from: 0, to: 1840 }, text: ' مرحبا بكم' }],
+    });
+    assert(cpp.language === 'ar' && cpp.segments[0].end === 1.84 && cpp.segments[0].text === 'مرحبا بكم', 'whisper.cpp layout (ms offsets)');
+
+    const textOnly = parseWhisperJson({ text: ' just text ', language: 'klingon' });
+    assert(textOnly.text === 'just text' && textOnly.segments.length === 0 && textOnly.language === null, 'text without segments; unknown languages are dropped');
+    assert(parseWhisperJson(null).text === '', 'empty output');
+    const fixed = normalizeSegments([{ start: 3, end: 1, text: 'x' }, { start: -1, end: 'nope', text: 'y' }]);
+    assert(fixed[0].start === 0 && fixed[0].end === 0 && fixed[1].end === 3, 'negative and reversed times are clamped');
+}
+
+console.log('WebVTT');
+{
+    assert(formatVttTimestamp(0) === '00:00:00.000' && formatVttTimestamp(75.5) === '00:01:15.500', 'timestamps');
+    assert(formatVttTimestamp(3725.0004) === '01:02:05.000', 'hours and rounding');
+    const vtt = buildWebVtt([
+        { start: 0, end: 2.5, text: 'Welcome' },
+        { start: 2.5, end: 4, text: 'A <b> & c --> d' },
+    ]);
+    const lines = vtt.split('\n');
+    assert(lines[0] === 'WEBVTT' && lines[1] === '', 'header and blank line');
+    assert(lines[2] === '1' && lines[3] === '00:00:00.000 --> 00:00:02.500' && lines[4] === 'Welcome', 'numbered cues with timings');
+    assert(vtt.includes('A &lt;b> &amp; c -> d'), 'cue text is escaped and cannot end the cue timing');
+    assert(buildWebVtt([]) === 'WEBVTT\n\n', 'no cues');
+}
+
+console.log('captionsKey / languageHint / audioExtractOptions');
+{
+    assert(captionsKey({ _id: 'r1', originalKey: 'gulfio-123-abc.mp4' }) === 'gulfio-123-abc.vtt', 'captions sit next to the original upload');
+    assert(captionsKey({ _id: 'r1' }) === 'captions/r1.vtt', 'reels without a key fall back to their id');
+    assert(languageHint('Arabic') === 'ar' && languageHint('farsi') === 'fa' && languageHint('martian') === null && languageHint() === null, 'source languages map to ISO codes');
+    const opts = audioExtractOptions();
+    assert(opts.includes('-vn') && opts.includes('-ar 16000') && opts.includes('-ac 1'), '16 kHz mono audio only');
+}
+
+console.log('embeddingInput');
+{
+    assert(embeddingInput({ caption: 'Big match tonight' }, 'The final starts at eight') === 'Big match tonight\n\nTranscript: The final starts at eight', 'caption plus transcript');
+    assert(embeddingInput({ caption: null }, 'Only speech') === 'Transcript: Only speech', 'transcript alone');
+    assert(embeddingInput({ caption: 'c' }, 'x'.repeat(20000)).length < 8100, 'long transcripts are truncated');
+}
+
+console.log('searchTerms / matchingCues');
+{
+    assert(searchTerms('Sheikh  Zayed, road!! a').join() === 'sheikh,zayed,road', 'lowercased words, one-letter words dropped');
+    assert(searchTerms('مَرحبا بكم').join() === 'مَرحبا,بكم', 'Arabic with diacritics stays whole');
+    const segments = [
+        { start: 0, end: 2, text: 'Welcome to Dubai' },
+        { start: 2, end: 4, text: 'Traffic on Sheikh Zayed Road is heavy' },
+        { start: 4, end: 6, text: 'Zayed Road reopens at noon' },
+        { start: 6, end: 8, text: 'Back to the studio' },
+    ];
+    const cues = matchingCues(segments, searchTerms('sheikh zayed road'), 2);
+    assert(cues.length === 2 && cues[0].start === 2 && cues[1].start === 4, 'best-matching cues, in time order');
+    assert(matchingCues(segments, searchTerms('weather')).length === 0 && matchingCues(undefined, ['x']).length === 0, 'no match, no cues');
+}
+
+console.log('ReelTranscriber backends');
+{
+    const t = new ReelTranscriber({ backends: [], backend: 'fake' });
+    let threw = false;
+    try {
+        t.backend;
+    } catch (err) {
+        threw = /Unknown transcription backend: fake/.test(err.message);
+    }
+    assert(threw, 'an unknown backend fails loudly');
+    t.registerBackend({ name: 'fake', transcribe: async () => ({ text: 'hi' }) });
+    assert(t.backend.name === 'fake', 'registered backends can be selected');
+    assert(new ReelTranscriber({ backend: 'openai' }).backend.name === 'openai', 'the OpenAI backend is built in');
+}
+
+console.log('pendingTranscriptionQuery');
+{
+    const now = new Date('2026-01-01T12:00:00Z');
+    const q = pendingTranscriptionQuery(now);
+    const failedClause = q.$or.find((c) => c['transcript.status'] === 'failed');
+    const staleClause = q.$or.find((c) => c['transcript.status'] === 'processing');
+    assert(q.$or.some((c) => c['transcript.status'] === null), 'untranscribed reels are pending');
+    assert(failedClause['transcript.attempts'].$lt === MAX_ATTEMPTS, 'failures retry up to the attempt cap');
+    assert(staleClause['transcript.startedAt'].$lt.toISOString() === '2026-01-01T11:00:00.000Z', 'claims older than an hour are abandoned');
+    assert(!q.$or.some((c) => ['ready', 'no_audio'].includes(c['transcript.status'])), 'finished reels are never redone');
+}
+
+console.log('reel_text_search');
+{
+    const [, options] = Reel.schema.indexes().find(([, o]) => o.name === 'reel_text_search');
+    const override = options.language_override;
+    assert(override && override !== 'language' && options.default_language === 'none', 'the index overrides the language field name');
+    assert(Object.keys(Reel.schema.paths).every((p) => p.split('.').pop() !== override), 'no schema path, at any depth, is the override field');
+    const doc = new Reel({ videoUrl: 'https://cdn/x.mp4', transcript: { status: 'ready', language: 'ar', text: 'مرحبا بكم في دبي' } }).toObject();
+    assert(doc.transcript.language === 'ar' && !(override in doc) && !(override in doc.transcript), 'an Arabic transcript is stored without setting a text-search language');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,112 @@
+/**
+ * Scrape health tests (model calls stubbed — no Mongo).
+ * Run: node tests/scrapeHealth.test.js
+ *
+ * Covers what counts as an empty run and the auto-suspend rule: the counter
+ * climbs on empty runs, resets on any productive one, and the source is
+ * suspended once it reaches SUSPEND_AFTER_EMPTY_RUNS.
+ */
+
+const ScrapeRun = require('../models/ScrapeRun');
+const Source = require('../models/Source');
+const { SUSPEND_AFTER_EMPTY_RUNS, newRunStats, markPolitenessSkip, isEmptyRun, recordRun } = require('../services/scrapeHealth');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+// In-memory stand-ins for the two collections recordRun touches.
+const runs = [];
+const db = { consecutiveEmptyRuns: 0, status: 'active', name: 'Gulf Desk' };
+ScrapeRun.create = async (doc) => { runs.push(doc); return doc; };
+Source.updateOne = async (_filter, { $set }) => { Object.assign(db, $set); };
+Source.findOneAndUpdate = async (_filter, { $inc }) => {
+    db.consecutiveEmptyRuns += $inc.consecutiveEmptyRuns;
+    return { ...db };
+};
+console.warn = () => {};
+
+const source = { _id: 'src1', name: 'Gulf Desk', get consecutiveEmptyRuns() { return db.consecutiveEmptyRuns; } };
+const startedAt = new Date('2026-10-18T10:00:00Z');
+const finishedAt = new Date('2026-10-18T10:00:04Z');
+
+(async () => {
+    console.log('empty runs');
+    {
+        assert(isEmptyRun(newRunStats()), 'nothing found is empty');
+        assert(!isEmptyRun({ ...newRunStats(), duplicate: 3 }), 'only known stories is a quiet day, not empty');
+        assert(!isEmptyRun({ ...newRunStats(), new: 1 }), 'a new article is not empty');
+        assert(!isEmptyRun({ ...newRunStats(), notModified: true }), 'an unchanged feed (304) is not empty');
+        assert(isEmptyRun({ ...newRunStats(), found: 10, failed: 10 }), 'links that all fail to extract is empty');
+
+        const backingOff = newRunStats();
+        markPolitenessSkip(backingOff, Object.assign(new Error('backing off'), { code: 'HOST_BACKOFF' }));
+        assert(backingOff.skipped === 'HOST_BACKOFF' && !isEmptyRun(backingOff), 'a run skipped for host backoff is not empty');
+        const failing = newRunStats();
+        markPolitenessSkip(failing, Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } }));
+        assert(failing.skipped === null && isEmptyRun(failing), 'other failures still count');
+    }
+
+    console.log('\nrecording');
+    {
+        const run = { ...newRunStats(), found: 5, new: 2, duplicate: 3, strategy: 'generic', extractStrategies: { generic: 2 } };
+        const result = await recordRun(source, run, { frequency: 'hourly', startedAt, finishedAt });
+        const [doc] = runs;
+        assert(!result.empty && !result.suspended, 'productive run is neither empty nor suspending');
+        assert(doc.durationMs === 4000 && doc.frequency === 'hourly', 'stores duration and frequency');
+        assert(doc.new === 2 && doc.duplicate === 3 && doc.strategy === 'generic', 'stores the counts and strategy');
+        assert(doc.extractStrategies.generic === 2, 'stores the per-extractor tally');
+        await recordRun(source, newRunStats(), { startedAt, finishedAt });
+        assert(runs[1].extractStrategies === undefined, 'omits an empty extractor tally');
+    }
+
+    console.log('\nauto-suspend');
+    {
+        db.consecutiveEmptyRuns = 0;
+        for (let i = 0; i < SUSPEND_AFTER_EMPTY_RUNS - 2; i++) {
+            await recordRun(source, newRunStats(), { startedAt, finishedAt });
+        }
+        assert(db.consecutiveEmptyRuns === SUSPEND_AFTER_EMPTY_RUNS - 2, 'counter climbs on empty runs');
+        await recordRun(source, { ...newRunStats(), duplicate: 1 }, { startedAt, finishedAt });
+        assert(db.consecutiveEmptyRuns === 0, 'counter resets on a non-empty run');
+
+        for (let i = 0; i < SUSPEND_AFTER_EMPTY_RUNS; i++) {
+            await recordRun(source, { ...newRunStats(), skipped: 'HOST_BACKOFF', error: 'backing off' }, { startedAt, finishedAt });
+        }
+        assert(db.consecutiveEmptyRuns === 0 && db.status !== 'suspended', 'runs skipped by politeness never suspend a source');
+        assert(runs[runs.length - 1].skipped === 'HOST_BACKOFF' && !runs[runs.length - 1].empty, 'skipped runs are recorded as such');
+
+        let last;
+        for (let i = 0; i < SUSPEND_AFTER_EMPTY_RUNS; i++) {
+            last = await recordRun(source, { ...newRunStats(), error: 'HTTP 500' }, { startedAt, finishedAt });
+        }
+        assert(last.suspended && db.status === 'suspended', `suspended after ${SUSPEND_AFTER_EMPTY_RUNS} empty runs`);
+        assert(db.suspendedAt === finishedAt, 'records when it was suspended');
+        assert(db.suspendedReason.includes('consecutive empty') && db.suspendedReason.includes('HTTP 500'), 'records why, with the last error');
+
+        const again = await recordRun(source, newRunStats(), { startedAt, finishedAt });
+        assert(!again.suspended, 'does not re-suspend an already suspended source');
+    }
+
+    console.log('\nfailures');
+    {
+        ScrapeRun.create = async () => { throw new Error('db down'); };
+        const realError = console.error;
+        console.error = () => {};
+        let threw = false;
+        try { await recordRun(source, newRunStats(), { startedAt, finishedAt }); } catch { threw = true; }
+        console.error = realError;
+        assert(!threw, 'a failed write never fails the scrape');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
@@ -0,0 +1,87 @@
+/**
+ * Scraper regression tests: replay every recorded source fixture through the
+ * extractor chain (tests/fixtures/sources — no Mongo, no real network).
+ * Run: node tests/scraperFixtures.test.js
+ *
+ * A failure means extraction output changed for a recorded page. If the
+ * change is intended (new selectors, a helper fix), regenerate the
+ * expectations and review them as a diff:
+ *
+ *   node scripts/recordScraperFixture.js update [fixture...]
+ *   git diff tests/fixtures/sources
+ */
+
+const axios = require('axios');
+const {
+    fixtureNames,
+    loadFixture,
+    replayFixture,
+    compareToExpected,
+} = require('../scraper/fixtureHarness');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+// Extraction logs every skipped href and structured-content count.
+const realLog = console.log;
+const realWarn = console.warn;
+const quietly = async (fn) => {
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = realLog;
+        console.warn = realWarn;
+    }
+};
+
+(async () => {
+    const names = fixtureNames();
+    console.log('recorded sources');
+    assert(names.length > 0, `${names.length} fixtures found`);
+
+    for (const name of names) {
+        const fixture = loadFixture(name);
+        if (!fixture.expected) {
+            assert(false, `${name}: no expected.json — run scripts/recordScraperFixture.js update ${name}`);
+            continue;
+        }
+        const actual = await quietly(() => replayFixture(fixture));
+        const problems = compareToExpected(actual, fixture.expected);
+        assert(problems.length === 0, `${name}: ${actual.links.length} links, ${actual.articles.length} articles match`);
+        for (const problem of problems) console.error(`      ${problem}`);
+    }
+
+    console.log('\nharness');
+    {
+        const realGet = axios.get;
+        const fixture = loadFixture(names[0]);
+        const broken = {
+            ...fixture,
+            manifest: { ...fixture.manifest, source: { ...fixture.manifest.source, titleSelector: 'h1.no-such-title' } },
+        };
+        const problems = compareToExpected(await quietly(() => replayFixture(broken)), fixture.expected);
+        assert(problems.some(p => p.includes('title') || p.includes('strategy')), 'a selector change is reported as a diff');
+        assert(axios.get === realGet, 'axios is restored after a replay');
+
+        const offline = {
+            ...fixture,
+            manifest: { ...fixture.manifest, responses: {} },
+        };
+        const replay = await quietly(() => replayFixture(offline));
+        assert(replay.links.length === 0 && replay.articles.every(a => a.title === null), 'unrecorded URLs never reach the network');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
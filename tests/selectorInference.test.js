@@ -0,0 +1,170 @@
+/**
+ * Selector inference tests (saved HTML fixtures — no Mongo, no real network).
+ * Run: node tests/selectorInference.test.js
+ *
+ * The fixtures are a homepage with nav/aside/footer noise around a grid of
+ * story cards, and two article pages with a comments block that must not be
+ * mistaken for the body.
+ */
+
+// Fixtures stand in for the network; skip robots.txt and per-host pacing.
+process.env.SCRAPER_POLITENESS = 'off';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const {
+    inferSource,
+    assertPublicUrl,
+    publicLookup,
+    publicRequestCheck,
+    isInternalAddress,
+    inferListingSelectors,
+    inferArticleSelectors,
+    isArticleLikeUrl,
+    stableClasses,
+} = require('../scraper/selectorInference');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'inference', name), 'utf8');
+const HOME = 'https://gulfdesk.example/';
+// Stub DNS: fixture hosts resolve to a public address.
+const publicDns = async () => [{ address: '93.184.216.34', family: 4 }];
+
+const realGet = axios.get;
+const realLog = console.log;
+
+(async () => {
+    console.log('heuristics');
+    {
+        assert(isArticleLikeUrl('https://gulfdesk.example/uae/fog-alert-issued-for-abu-dhabi', 'gulfdesk.example'), 'long slug is an article');
+        assert(isArticleLikeUrl('https://www.gulfdesk.example/news/1234567', 'gulfdesk.example'), 'numeric id is an article, www ignored');
+        assert(!isArticleLikeUrl('https://gulfdesk.example/tag/dubai-metro-stories', 'gulfdesk.example'), 'tag pages are not articles');
+        assert(!isArticleLikeUrl('https://other.example/uae/fog-alert-issued-for-abu-dhabi', 'gulfdesk.example'), 'other hosts are not articles');
+        assert(!isArticleLikeUrl('https://gulfdesk.example/uae', 'gulfdesk.example'), 'section index is not an article');
+        const classes = stableClasses({ attribs: { class: 'story-card css-1x2y3z Card_title__3kXyZ active sc-AbCdE' } });
+        assert(classes.join() === 'story-card', 'drops generated and state classes');
+    }
+
+    console.log('\nlisting');
+    {
+        const [best] = inferListingSelectors(cheerio.load(fixture('listing.html')), HOME);
+        assert(best.listSelector === 'article.story-card' && best.linkSelector === 'a', 'proposes the story card and its link');
+        assert(best.links === 6 && best.cards === 6, 'every card yields a story');
+        assert(!best.sampleLinks.some(l => l.includes('gcc-summit') || l.includes('markets-live')), 'ignores aside and nav links');
+        assert(best.confidence > 0 && best.confidence <= 1, 'confidence is in (0, 1]');
+    }
+
+    console.log('\narticle pages');
+    {
+        const pages = ['article-1.html', 'article-2.html'].map(f => ({ url: f, $$: cheerio.load(fixture(f)) }));
+        console.log = () => {};
+        const { titleSelector, contentSelector, imageSelector } = inferArticleSelectors(pages);
+        console.log = realLog;
+        assert(titleSelector[0].selector.startsWith('h1') && titleSelector[0].confidence === 1, 'title is the h1 matching og:title');
+        assert(contentSelector[0].selector === 'div.article-body p', 'content is the article body, not comments');
+        assert(!contentSelector.some(c => c.selector.includes('comments')), 'comments never qualify');
+        assert(imageSelector[0].selector.includes('figure'), 'image is the lead figure, not the logo');
+    }
+
+    console.log('\nend to end');
+    {
+        const fetched = [];
+        axios.get = async (url) => {
+            fetched.push(url);
+            const file = url === HOME ? 'listing.html'
+                : url.includes('dubai-metro') ? 'article-1.html'
+                    : url.includes('fog-alert') ? 'article-2.html'
+                        : null;
+            if (!file) throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+            return { status: 200, data: fixture(file) };
+        };
+        console.log = () => {};
+        const result = await inferSource(HOME, { lookup: publicDns });
+        console.log = realLog;
+        axios.get = realGet;
+
+        assert(result.fetchedWith === 'static', 'static HTML was enough, no Puppeteer');
+        assert(fetched.length === 4, 'homepage plus three sample articles');
+        assert(result.proposal.listSelector === 'article.story-card' && result.proposal.contentSelector === 'div.article-body p', 'proposal carries the top candidates');
+        assert(result.proposal.baseUrl === 'https://gulfdesk.example' && result.proposal.type === 'website', 'proposal is a ready Source body');
+        assert(result.samples.length === 2 && result.samples[0].title === 'Dubai Metro Blue Line to open in 2029', 'samples are real extractions');
+        assert(result.samples[1].images[0] === 'https://gulfdesk.example/img/fog-large.jpg', 'sample images come through the generic extractor');
+        assert(result.notes.some(n => n.includes('oman-raises-fuel-prices')), 'failed sample fetches are reported, not fatal');
+        assert(result.alternatives.feedUrl === 'https://gulfdesk.example/feeds/uae.xml', 'advertised feed is surfaced');
+    }
+
+    console.log('\naddress safety');
+    {
+        assert(['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1'].every(isInternalAddress), 'loopback, private, link-local and mapped addresses are internal');
+        assert(!['93.184.216.34', '8.8.8.8', '2606:4700::1111'].some(isInternalAddress), 'public addresses pass');
+
+        const rejects = async (url, lookup) => {
+            try {
+                await assertPublicUrl(url, { lookup });
+                return false;
+            } catch (err) {
+                return err.code === 'UNSAFE_URL';
+            }
+        };
+        assert(await rejects('http://169.254.169.254/latest/meta-data/'), 'cloud metadata IP is refused');
+        assert(await rejects('http://[::1]:8080/'), 'IPv6 loopback literal is refused');
+        assert(await rejects('http://internal.example/', async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]), 'a host with any private address is refused');
+        assert(await rejects('file:///etc/passwd'), 'non-http schemes are refused');
+        assert(!(await rejects(HOME, publicDns)), 'public hosts are allowed');
+
+        const fetched = [];
+        axios.get = async (url) => {
+            fetched.push(url);
+            return { status: 200, data: '' };
+        };
+        let code = null;
+        try {
+            await inferSource('http://localhost:27017/', { lookup: async () => [{ address: '127.0.0.1', family: 4 }] });
+        } catch (err) {
+            code = err.code;
+        }
+        axios.get = realGet;
+        assert(code === 'UNSAFE_URL' && fetched.length === 0, 'inferSource refuses before fetching anything');
+
+        // Connect time: the lookup handed to the HTTP client uses the same
+        // resolver, so a host that rebinds after the up-front check is refused.
+        const answers = [[{ address: '93.184.216.34', family: 4 }], [{ address: '169.254.169.254', family: 4 }]];
+        const rebinding = async () => answers.shift();
+        let connectLookup = null;
+        axios.get = async (url, options) => {
+            connectLookup = options.lookup;
+            return { status: 200, data: '' };
+        };
+        console.log = () => {};
+        await inferSource(HOME, { lookup: rebinding, puppeteer: false });
+        console.log = realLog;
+        axios.get = realGet;
+        const connect = (lookup, options) => new Promise((resolve) => lookup('gulfdesk.example', options, (err, address, family) => resolve({ err, address, family })));
+        const rebound = await connect(connectLookup, { all: true });
+        assert(rebound.err?.code === 'UNSAFE_URL', 'the static fetch re-checks the address at connect time');
+        const single = await connect(publicLookup(publicDns), {});
+        assert(!single.err && single.address === '93.184.216.34' && single.family === 4, 'public addresses connect, one address without `all`');
+
+        const check = publicRequestCheck(async (host) => [{ address: host === 'cdn.example' ? '93.184.216.34' : '10.0.0.5', family: 4 }]);
+        const refused = async (url) => check(url).then(() => false, (err) => err.code === 'UNSAFE_URL');
+        assert(!(await refused('https://cdn.example/app.js')) && !(await refused('data:image/png;base64,AAAA')), 'public and inline browser requests pass');
+        assert(await refused('http://intranet.example/') && await refused('http://169.254.169.254/latest/meta-data/'), 'browser requests to internal hosts are refused');
+        assert(await refused('file:///etc/passwd'), 'browser requests for local files are refused');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
@@ -0,0 +1,179 @@
+/**
+ * Session interest tests (no Mongo, no Redis — the state math is pure).
+ * Run: node tests/sessionInterest.test.js
+ *
+ * Covers signal weights, in-session decay, the Redis hash increments, the
+ * snapshot the scorer reads, and the blend into scorePersonalizedCandidates:
+ * a user who binge-reads football gets more football on the next page.
+ */
+
+const {
+    SESSION_HALF_LIFE_MS,
+    SESSION_FULL_WEIGHT,
+    signalWeight,
+    signalIncrements,
+    applySignal,
+    stateFromHash,
+    sessionSnapshot,
+    loadSessionInterest,
+} = require('../services/sessionInterest');
+const { PERS_W, FULL_READ_SECONDS, extractFeatures, linearScore, scorePersonalizedCandidates } = require('../services/feedRanking');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+const NOW = new Date('2026-10-18T12:00:00Z').getTime();
+const MIN = 60 * 1000;
+const oid = (n) => n.toString(16).padStart(24, '0');
+
+const FOOTBALL = [1, 0, 0, 0];
+const POLITICS = [0, 1, 0, 0];
+
+(async () => {
+    console.log('signalWeight');
+    {
+        assert(signalWeight('view') === 1, 'a view weighs 1');
+        assert(signalWeight('read_time', FULL_READ_SECONDS) === 2, 'a full read weighs 2');
+        assert(signalWeight('read_time', FULL_READ_SECONDS * 5) === 2, 'long reads are capped');
+        assert(close(signalWeight('read_time', FULL_READ_SECONDS / 2), 1), 'partial reads scale with duration');
+        assert(signalWeight('read_time', 0) === 0 && signalWeight('read_time', 'abc') === 0, 'zero or junk durations are ignored');
+        assert(signalWeight('like') === 0, 'other events do not feed the session');
+    }
+
+    console.log('applySignal');
+    {
+        // Sums are stored scaled to the session's epoch; this reads one back at `now`.
+        const at = (x, state, now) => x * Math.pow(0.5, (now - state.epoch) / SESSION_HALF_LIFE_MS);
+
+        const s1 = applySignal(null, { embedding: FOOTBALL, category: 'football', weight: 1, at: NOW });
+        assert(s1.signals === 1 && s1.epoch === NOW && s1.weight === 1 && s1.vector[0] === 1, 'first signal starts the session and seeds the vector');
+        assert(s1.categories.football === 1, 'first signal seeds the category histogram');
+
+        const later = NOW + SESSION_HALF_LIFE_MS;
+        const s2 = applySignal(s1, { embedding: POLITICS, category: 'politics', weight: 1, at: later });
+        assert(close(at(s2.weight, s2, later), 1.5) && close(at(s2.vector[0], s2, later), 0.5) && close(at(s2.vector[1], s2, later), 1), 'older signals halve every half-life');
+        assert(close(at(s2.categories.football, s2, later), 0.5) && close(at(s2.categories.politics, s2, later), 1), 'the histogram decays too');
+        assert(s1.signals === 1 && s1.weight === 1, 'the previous state is not mutated');
+
+        const noEmbed = applySignal(s1, { category: 'football', weight: 1, at: NOW });
+        assert(noEmbed.weight === 1 && noEmbed.categories.football === 2, 'articles without embeddings still count by category');
+
+        const resized = applySignal(s1, { embedding: [1, 0], category: 'football', weight: 2, at: NOW });
+        assert(resized.vector.length === 4 && resized.weight === 1 && resized.categories.football === 3, 'an embedding of another dimension counts by category only');
+
+        const faded = applySignal(s1, { embedding: POLITICS, category: 'politics', weight: 1, at: NOW + 10 * SESSION_HALF_LIFE_MS });
+        assert(!sessionSnapshot(faded, NOW + 10 * SESSION_HALF_LIFE_MS).categories.has('football'), 'categories that decay to nothing are dropped');
+    }
+
+    console.log('signalIncrements / stateFromHash');
+    {
+        const signals = [
+            { embedding: FOOTBALL, category: 'football', weight: 1, at: NOW },
+            { embedding: POLITICS, category: 'politics', weight: 2, at: NOW + 3 * MIN },
+            { category: 'football', weight: 1, at: NOW + 5 * MIN },
+        ];
+        // What HINCRBYFLOAT leaves behind, applied in any order.
+        const hashOf = (order) => {
+            const hash = { epoch: String(NOW), dim: '4', n: String(order.length) };
+            for (const signal of order) {
+                for (const [field, value] of Object.entries(signalIncrements({ epoch: NOW, dim: 4 }, signal))) {
+                    hash[field] = String((Number(hash[field]) || 0) + value);
+                }
+            }
+            return hash;
+        };
+        const forward = stateFromHash(hashOf(signals));
+        const reverse = stateFromHash(hashOf([...signals].reverse()));
+        assert(close(forward.weight, reverse.weight) && close(forward.categories.football, reverse.categories.football) && close(forward.vector[1], reverse.vector[1]), 'increments commute, so concurrent signals need no read-modify-write');
+
+        const folded = signals.reduce((state, signal) => applySignal(state, signal), null);
+        assert(forward.signals === folded.signals && close(forward.weight, folded.weight) && close(forward.vector[0], folded.vector[0]) && close(forward.categories.politics, folded.categories.politics), 'the hash holds the same state as the in-memory fold');
+        assert(stateFromHash({}) === null && stateFromHash(null) === null, 'an empty hash is no session');
+        assert(Object.keys(signalIncrements({ epoch: NOW, dim: 4 }, { category: 'football', weight: 0, at: NOW })).length === 0, 'zero-weight signals add nothing');
+    }
+
+    console.log('sessionSnapshot');
+    {
+        assert(sessionSnapshot(null, NOW) === null, 'no state, no session');
+        let state = null;
+        for (let i = 0; i < 3; i++) {
+            state = applySignal(state, { embedding: FOOTBALL, category: 'football', weight: 1, at: NOW + i * MIN });
+        }
+        state = applySignal(state, { embedding: POLITICS, category: 'politics', weight: 1, at: NOW + 3 * MIN });
+        const snap = sessionSnapshot(state, NOW + 3 * MIN);
+        assert(snap.signals === 4, 'snapshot reports the signal count');
+        assert(snap.embedding[0] > snap.embedding[1], 'the centroid leans toward the binge topic');
+        assert(snap.categories.get('football') > 0.6 && close(
+            snap.categories.get('football') + snap.categories.get('politics'), 1
+        ), 'category shares sum to 1');
+        assert(snap.strength === 1, 'enough reads give full strength');
+
+        const single = sessionSnapshot(applySignal(null, { embedding: FOOTBALL, category: 'football', weight: 1, at: NOW }), NOW);
+        assert(close(single.strength, 1 / SESSION_FULL_WEIGHT), 'one view is a partial-strength session');
+        const later = sessionSnapshot(applySignal(null, { embedding: FOOTBALL, category: 'football', weight: 1, at: NOW }), NOW + SESSION_HALF_LIFE_MS);
+        assert(close(later.strength, single.strength / 2), 'strength fades between signals');
+        assert(close(later.embedding[0], 1), 'the centroid does not fade with time');
+    }
+
+    console.log('loadSessionInterest');
+    {
+        // Redis is disabled in tests; the read must degrade to "no session".
+        assert(await loadSessionInterest('reader', NOW) === null, 'missing Redis state means no session');
+        assert(await loadSessionInterest(null, NOW) === null, 'guests have no session');
+    }
+
+    console.log('scorer blend');
+    {
+        const ctx = {
+            userId: 'reader',
+            hasSignal: true,
+            embedding: null,
+            preferredCategories: new Set(),
+            dislikedCategories: new Set(),
+            followingSourceGroups: new Set(),
+            preferredSourceIds: new Set(),
+            mutedSourceIds: new Set(),
+            viewedIds: new Set(),
+            experiments: {},
+        };
+        const publishedAt = new Date(NOW - 60 * MIN);
+        const articles = () => [
+            { _id: oid(1), category: 'politics', embedding_pca: POLITICS, publishedAt, viewCount: 60 },
+            { _id: oid(2), category: 'football', embedding_pca: FOOTBALL, publishedAt, viewCount: 40 },
+        ];
+
+        const before = scorePersonalizedCandidates(articles(), ctx, { page: 2, now: NOW, telemetry: false });
+        assert(before[0].category === 'politics', 'without a session the more engaged article leads');
+
+        const plain = extractFeatures(articles()[1], ctx, { now: NOW });
+        assert(plain.sessionVector === 0 && plain.sessionCategory === 0, 'session features are 0 outside a session');
+        assert(
+            linearScore(plain, PERS_W, { page: 2 }) === before.find((a) => a.category === 'football')._score,
+            'no session leaves the score unchanged'
+        );
+
+        let state = null;
+        for (let i = 0; i < 3; i++) {
+            state = applySignal(state, { embedding: FOOTBALL, category: 'football', weight: 2, at: NOW - (3 - i) * MIN });
+        }
+        const session = sessionSnapshot(state, NOW);
+        const after = scorePersonalizedCandidates(articles(), { ...ctx, session }, { page: 2, now: NOW, telemetry: false });
+        assert(after[0].category === 'football', 'a football binge puts football first on the next page');
+        const f = after[0]._features;
+        assert(close(f.sessionVector, 1) && close(f.sessionCategory, 1), 'session features reach full strength after a binge');
+        assert(after[1]._features.sessionVector === 0, 'orthogonal articles get no session boost');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
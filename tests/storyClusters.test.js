@@ -0,0 +1,102 @@
+/**
+ * Near-duplicate fingerprint + story cluster tests (pure — no Mongo).
+ * Run: node tests/storyClusters.test.js
+ *
+ * The wire-story fixtures are one story as three outlets would run it: a
+ * light edit (new intro, trimmed close) must cluster on MinHash alone, an
+ * unrelated story on the same topic must not, and the ambiguous middle band
+ * is settled by embedding similarity.
+ */
+
+const { fingerprint, estimateJaccard, shingles, tokenize } = require('../utils/nearDuplicate');
+const { pickClusterMatch, collapseStoryClusters } = require('../services/storyClusters');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+const WIRE = 'Dubai Roads and Transport Authority announced on Tuesday that the Blue Line of the Dubai Metro will open to passengers in September 2029. ' +
+    'The 30-kilometre line will connect Mirdif and Dubai Creek Harbour with International City and Dubai Silicon Oasis, serving an estimated 200,000 riders a day. ' +
+    'Construction of the fourteen stations is scheduled to begin early next year, the authority said, with the tender awarded to a consortium of three firms. ' +
+    'Officials said the extension forms part of the emirate\'s plan to raise the share of public transport trips to 45 per cent by 2030.';
+
+const gulfNews = { title: 'Dubai Metro Blue Line to open in 2029', content: WIRE };
+const khaleej = {
+    title: 'RTA confirms Dubai Metro Blue Line opening date',
+    content: 'In a statement, ' + WIRE.replace('announced on Tuesday', 'said on Tuesday').replace(/ Officials said.*$/, ''),
+};
+const unrelated = {
+    title: 'Dubai Metro extends weekend operating hours',
+    content: 'The Dubai Metro will run until 2am on Saturdays and Sundays from next month, the Roads and Transport Authority said, ' +
+        'after ridership on the Red Line and Green Line rose sharply during the winter season. Tram services will also run later.',
+};
+
+const fp = (a) => ({ ...a, ...fingerprint(a.title, a.content) });
+
+(async () => {
+    console.log('fingerprints');
+    {
+        assert(tokenize('Hello, World! 2029 — مرحبا').join('|') === 'hello|world|مرحبا', 'tokenizes unicode words, drops numbers and punctuation');
+        assert(shingles('one two').size === 2, 'short texts fall back to single words');
+        const a = fp(gulfNews);
+        assert(a.minhash.length === 64 && a.lshBands.length === 16, '64-value signature in 16 bands');
+        assert(fingerprint(gulfNews.title, gulfNews.content).lshBands.join() === a.lshBands.join(), 'deterministic across calls');
+        assert(fingerprint('', '').minhash === null && fingerprint('', '').lshBands.length === 0, 'empty text has no fingerprint');
+    }
+
+    console.log('\nsimilarity');
+    {
+        const a = fp(gulfNews);
+        const b = fp(khaleej);
+        const c = fp(unrelated);
+        const jab = estimateJaccard(a.minhash, b.minhash);
+        const jac = estimateJaccard(a.minhash, c.minhash);
+        assert(jab >= 0.5, `light edit scores high (J≈${jab.toFixed(2)})`);
+        assert(jac < 0.25, `same-topic different story scores low (J≈${jac.toFixed(2)})`);
+        assert(a.lshBands.some(band => b.lshBands.includes(band)), 'light edit shares an LSH band');
+    }
+
+    console.log('\ncluster matching');
+    {
+        const a = fp(gulfNews);
+        const b = fp(khaleej);
+        const c = fp(unrelated);
+        const existing = { _id: 'a1', storyClusterId: 'a1', minhash: a.minhash, embedding_pca: [1, 0, 0] };
+        const other = { _id: 'c1', storyClusterId: 'c1', minhash: c.minhash, embedding_pca: [0, 1, 0] };
+
+        const match = pickClusterMatch({ minhash: b.minhash }, [other, existing]);
+        assert(match && match.candidate._id === 'a1' && match.method === 'minhash', 'joins the wire story cluster on MinHash');
+        assert(pickClusterMatch({ minhash: c.minhash }, [existing]) === null, 'does not join a different story');
+
+        // A third of the signature shared: ambiguous, so embeddings decide.
+        const half = a.minhash.map((v, i) => (i % 3 === 0 ? v : v + 1));
+        const near = pickClusterMatch({ minhash: half, embedding_pca: [0.98, 0.05, 0] }, [existing]);
+        const far = pickClusterMatch({ minhash: half, embedding_pca: [0.2, 0.9, 0] }, [existing]);
+        assert(near && near.method === 'embedding', 'ambiguous text + close embedding clusters');
+        assert(far === null, 'ambiguous text + distant embedding stays separate');
+        assert(pickClusterMatch({ minhash: half }, [existing]) === null, 'ambiguous text without embeddings stays separate');
+    }
+
+    console.log('\ncollapsing');
+    {
+        const feed = [
+            { _id: 1, storyClusterId: 'x' },
+            { _id: 2 },
+            { _id: 3, storyClusterId: 'x' },
+            { _id: 4, storyClusterId: 'y' },
+        ];
+        const collapsed = collapseStoryClusters(feed);
+        assert(collapsed.map(a => a._id).join() === '1,2,4', 'keeps the best-ranked member per cluster, unclustered pass through');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})();
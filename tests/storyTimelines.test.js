@@ -0,0 +1,112 @@
+/**
+ * Story timeline tests (pure — no Mongo, no LLM).
+ * Run: node tests/storyTimelines.test.js
+ *
+ * The fixtures are one developing story (a trade deal announced, then
+ * signed) and a same-topic story that must stay separate: close in
+ * embedding space, no shared names.
+ */
+
+const {
+    SIMILARITY_MATCH,
+    keyTermsOf,
+    scoreStoryMatch,
+    pickStoryMatch,
+    isSignificantAddition,
+    mergeKeyTerms,
+    mergeCentroid,
+} = require('../services/storyTimelines');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+// Unit vector at `degrees` from the x axis: cosine between two of these is
+// cos(difference), so similarity is easy to dial in.
+const at = (degrees) => [Math.cos((degrees * Math.PI) / 180), Math.sin((degrees * Math.PI) / 180), 0];
+
+const announced = 'UAE and India announce talks on a comprehensive trade agreement';
+const signed = 'UAE and India sign comprehensive trade agreement in Abu Dhabi';
+const tariffs = 'UAE India trade agreement cuts tariffs on gold and jewellery';
+const sameTopic = 'Saudi Arabia posts record non-oil export growth';
+
+function storyFrom(title, embedding, extra = {}) {
+    return {
+        centroid: embedding,
+        terms: new Set(keyTermsOf(title)),
+        keyTerms: mergeKeyTerms([], keyTermsOf(title)),
+        timeline: [],
+        ...extra,
+    };
+}
+
+console.log('keyTermsOf');
+{
+    const terms = keyTermsOf(signed);
+    assert(terms.includes('uae') && terms.includes('india') && terms.includes('abu'), 'names are kept, lowercased');
+    assert(!terms.includes('and') && !terms.includes('in'), 'stopwords and short tokens are dropped');
+    assert(new Set(terms).size === terms.length, 'terms are distinct');
+    const arabic = keyTermsOf('الإمارات والهند توقعان اتفاقية تجارة شاملة في أبوظبي');
+    assert(arabic.includes('الإمارات') && arabic.includes('أبوظبي') && !arabic.includes('في'), 'Arabic headlines yield terms too');
+}
+
+console.log('scoreStoryMatch');
+{
+    const story = storyFrom(announced, at(0));
+    const strong = scoreStoryMatch({ embedding_pca: at(10), terms: keyTermsOf(signed) }, story);
+    assert(strong && strong.similarity >= SIMILARITY_MATCH, 'a close development matches on similarity');
+    const withTerms = scoreStoryMatch({ embedding_pca: at(40), terms: keyTermsOf(signed) }, story);
+    assert(withTerms && withTerms.shared >= 2, 'a looser match is accepted with shared names');
+    const noTerms = scoreStoryMatch({ embedding_pca: at(40), terms: keyTermsOf(sameTopic) }, story);
+    assert(noTerms === null, 'same topic without shared names is a different story');
+    assert(scoreStoryMatch({ embedding_pca: at(80), terms: keyTermsOf(signed) }, story) === null, 'unrelated embeddings never match');
+    assert(scoreStoryMatch({ embedding_pca: [], terms: keyTermsOf(signed) }, story) === null, 'no embedding, no match');
+}
+
+console.log('pickStoryMatch');
+{
+    const trade = storyFrom(announced, at(0));
+    const exports = storyFrom(sameTopic, at(15));
+    const best = pickStoryMatch({ embedding_pca: at(8), terms: keyTermsOf(signed) }, [exports, trade]);
+    assert(best && best.candidate === trade, 'the story sharing names wins over a nearer same-topic one');
+    assert(pickStoryMatch({ embedding_pca: at(90), terms: [] }, [trade, exports]) === null, 'no candidate above threshold');
+}
+
+console.log('isSignificantAddition');
+{
+    const story = storyFrom(announced, at(0), {
+        timeline: [{ articleId: 'a1', storyClusterId: 'c1' }],
+    });
+    assert(isSignificantAddition(story, { _id: 'a2', storyClusterId: 'c2', terms: keyTermsOf(signed) }), 'a new cluster with new names is a development');
+    assert(!isSignificantAddition(story, { _id: 'a3', storyClusterId: 'c1', terms: keyTermsOf(tariffs) }), 'another outlet\'s copy is not');
+    assert(!isSignificantAddition(story, { _id: 'a4', storyClusterId: 'c4', terms: keyTermsOf(announced) }), 'a rewrite with nothing new is not');
+    assert(isSignificantAddition(story, { _id: 'a5', terms: keyTermsOf(tariffs) }), 'unclustered articles are their own cluster');
+}
+
+console.log('merge helpers');
+{
+    const terms = mergeKeyTerms(mergeKeyTerms([], ['uae', 'india']), ['uae', 'gold']);
+    assert(terms[0].term === 'uae' && terms[0].count === 2 && terms.length === 3, 'term counts accumulate, most frequent first');
+    const many = mergeKeyTerms([], Array.from({ length: 60 }, (_, i) => `t${i}`));
+    assert(many.length === 40, 'term list is capped');
+
+    let c = mergeCentroid(null, 0, [1, 0]);
+    assert(c.weight === 1 && c.centroid[0] === 1, 'first embedding seeds the centroid');
+    c = mergeCentroid(c.centroid, c.weight, [0, 1]);
+    c = mergeCentroid(c.centroid, c.weight, [0, 1]);
+    assert(c.weight === 3 && close(c.centroid[0], 1 / 3) && close(c.centroid[1], 2 / 3), 'centroid is the running mean');
+    const skipped = mergeCentroid(c.centroid, c.weight, []);
+    assert(skipped.weight === 3 && skipped.centroid === c.centroid, 'articles without embeddings leave it unchanged');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed === 0 ? 0 : 1);
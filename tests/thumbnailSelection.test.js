@@ -0,0 +1,228 @@
+/**
+ * Thumbnail selection tests (sharp on synthetic frames — no ffmpeg, S3 or Mongo).
+ * Run: node tests/thumbnailSelection.test.js
+ *
+ * Covers sampling timestamps, frame metrics and scoring, ranking, the
+ * selection / pick / test updates, tap-through results, arm assignment,
+ * serving test variants and the per-user event write ops.
+ */
+
+const sharp = require('sharp');
+const { blurhashFromBuffer } = require('../utils/blurhash');
+const {
+    THUMBNAIL,
+    candidateTimestamps,
+    frameMetrics,
+    scoreFrame,
+    rankCandidates,
+    selectionUpdate,
+    pickCandidateUpdate,
+    startTestUpdate,
+    stopTestUpdate,
+    thumbnailTestResults,
+    thumbnailArm,
+    testsFromReels,
+    applyThumbnailTests,
+    thumbnailEventOps,
+    recordThumbnailEvents,
+} = require('../services/thumbnailSelection');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, msg) {
+    if (cond) {
+        passed++;
+        console.log(`  ✓ ${msg}`);
+    } else {
+        failed++;
+        console.error(`  ✗ ${msg}`);
+    }
+}
+
+function throwsStatus(fn, status) {
+    try {
+        fn();
+    } catch (err) {
+        return err.status === status;
+    }
+    return false;
+}
+
+const W = 360;
+const H = 640;
+
+// Deterministic mid-grey noise, so runs are repeatable.
+function noise() {
+    const data = Buffer.alloc(W * H * 3);
+    let seed = 42;
+    for (let i = 0; i < data.length; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        data[i] = 40 + (seed % 176);
+    }
+    return sharp(data, { raw: { width: W, height: H, channels: 3 } });
+}
+
+const solid = (background) => sharp({ create: { width: W, height: H, channels: 3, background } });
+
+async function withCentrePatch(background, patch) {
+    const centre = await sharp({ create: { width: W / 2, height: H / 2, channels: 3, background: patch } }).png().toBuffer();
+    return solid(background).composite([{ input: centre, left: W / 4, top: H / 4 }]).jpeg().toBuffer();
+}
+
+const candidates = [
+    { url: 'https://cdn/a.jpg', blurhash: 'A', score: 0.9, impressions: 0, taps: 0 },
+    { url: 'https://cdn/b.jpg', blurhash: 'B', score: 0.8, impressions: 0, taps: 0 },
+    { url: 'https://cdn/c.jpg', blurhash: 'C', score: 0.5, impressions: 0, taps: 0 },
+];
+
+(async () => {
+    console.log('candidateTimestamps');
+    {
+        const ts = candidateTimestamps(100);
+        assert(ts.length === THUMBNAIL.CANDIDATE_COUNT && ts[0] === 8 && ts[ts.length - 1] === 85, 'evenly spread between 8% and 85%');
+        assert(ts.every((t, i) => i === 0 || t > ts[i - 1]), 'in increasing order');
+        assert(candidateTimestamps(10, 1)[0] === 4.65, 'a single frame comes from the middle of the range');
+        assert(candidateTimestamps(null).join() === THUMBNAIL.FALLBACK_TIMESTAMPS.join(), 'fixed offsets when the duration is unknown');
+    }
+
+    console.log('frameMetrics / scoreFrame');
+    {
+        const crisp = await frameMetrics(await noise().jpeg().toBuffer());
+        const soft = await frameMetrics(await noise().blur(1.2).jpeg().toBuffer());
+        assert(crisp.sharpness > soft.sharpness * 2, 'blur lowers the Laplacian variance');
+        assert(scoreFrame(crisp) > scoreFrame(soft), 'the sharper frame scores higher');
+
+        const black = await frameMetrics(await solid('#050505').jpeg().toBuffer());
+        assert(black.brightness < 16 && scoreFrame(black) === 0, 'near-black frames score 0');
+        const flat = await frameMetrics(await solid('#808080').jpeg().toBuffer());
+        assert(flat.contrast < 8 && scoreFrame(flat) === 0, 'flat frames score 0');
+
+        const person = await frameMetrics(await withCentrePatch('#2040a0', '#e0ac8c'));
+        const sky = await frameMetrics(await withCentrePatch('#2040a0', '#80c0ff'));
+        assert(person.skin > 0.9 && sky.skin === 0, 'skin tones in the centre are detected');
+        assert(scoreFrame(person) > scoreFrame(sky), 'a skin-toned centre scores higher');
+
+        assert(scoreFrame({ brightness: 128, contrast: 64, sharpness: 999, skin: 0.15 }) === 1, 'a perfect frame scores 1');
+        assert(scoreFrame(null) === 0, 'missing metrics score 0');
+    }
+
+    console.log('blurhashFromBuffer');
+    {
+        const hash = await blurhashFromBuffer(await withCentrePatch('#2040a0', '#e0ac8c'));
+        assert(typeof hash === 'string' && hash.length === 28, '4x3 component blurhash');
+    }
+
+    console.log('rankCandidates / selectionUpdate');
+    {
+        const ranked = rankCandidates([{ at: 5, score: 0.4 }, { at: 3, score: 0.7 }, { at: 1, score: 0.7 }]);
+        assert(ranked.map((c) => c.at).join() === '1,3,5', 'best first, earlier frame on ties');
+
+        const now = new Date('2026-01-01T00:00:00Z');
+        const update = selectionUpdate({
+            thumbnailUrl: 'https://cdn/a.jpg',
+            thumbnailBlurhash: 'A',
+            candidates: [{ url: 'https://cdn/a.jpg', key: 'thumbnails/a.jpg', at: 2, score: 0.9, metrics: {}, blurhash: 'A', buffer: Buffer.alloc(1) }],
+        }, now);
+        assert(update.thumbnailUrl === 'https://cdn/a.jpg' && update.thumbnailSelection.index === 0 && update.thumbnailSelection.by === 'auto', 'best candidate is selected automatically');
+        assert(!('buffer' in update.thumbnailCandidates[0]), 'image buffers are not stored');
+        assert(update.thumbnailTest.status === null, 'a new selection ends any test on the old candidates');
+    }
+
+    console.log('pickCandidateUpdate');
+    {
+        const update = pickCandidateUpdate({ thumbnailCandidates: candidates }, 2);
+        assert(update.thumbnailUrl === 'https://cdn/c.jpg' && update.thumbnailBlurhash === 'C' && update.thumbnailSelection.by === 'admin', 'picks the candidate');
+        assert(throwsStatus(() => pickCandidateUpdate({ thumbnailCandidates: candidates }, 3), 400), 'out-of-range index is a 400');
+        assert(throwsStatus(() => pickCandidateUpdate({ thumbnailCandidates: candidates }, NaN), 400), 'missing index is a 400');
+        assert(throwsStatus(() => pickCandidateUpdate({}, 0), 400), 'reels without candidates are a 400');
+    }
+
+    console.log('startTestUpdate / stopTestUpdate');
+    {
+        const reel = { thumbnailCandidates: candidates, thumbnailSelection: { index: 1 } };
+        const defaults = startTestUpdate(reel, null);
+        assert(defaults['thumbnailTest.arms'].join() === '1,0' && defaults['thumbnailTest.control'] === 1, 'defaults to the current thumbnail against the best other');
+        assert(defaults['thumbnailCandidates.2.taps'] === 0 && defaults['thumbnailCandidates.0.impressions'] === 0, 'counters restart');
+        assert(startTestUpdate(reel, [2, 0])['thumbnailTest.control'] === 2, 'first arm is the control when the current thumbnail is not tested');
+        assert(throwsStatus(() => startTestUpdate(reel, [1]), 400), 'one arm is not a test');
+        assert(throwsStatus(() => startTestUpdate(reel, [1, 1]), 400), 'arms must differ');
+        assert(throwsStatus(() => startTestUpdate(reel, [1, 7]), 400), 'arms must be candidates');
+        assert(throwsStatus(() => startTestUpdate({ ...reel, thumbnailTest: { status: 'running' } }, null), 409), 'one test at a time');
+        assert(throwsStatus(() => stopTestUpdate(reel), 409), 'nothing to stop');
+    }
+
+    console.log('thumbnailTestResults');
+    {
+        const running = (counts) => ({
+            thumbnailCandidates: candidates.map((c, i) => ({ ...c, ...counts[i] })),
+            thumbnailTest: { status: 'running', arms: [0, 1], control: 0, startedAt: new Date() },
+        });
+        const early = thumbnailTestResults(running([{ impressions: 50, taps: 5 }, { impressions: 50, taps: 20 }]));
+        assert(!early.ready && early.winner === null, 'no winner before every arm has enough impressions');
+
+        const clear = running([{ impressions: 1000, taps: 50 }, { impressions: 1000, taps: 120 }]);
+        const results = thumbnailTestResults(clear);
+        assert(results.ready && results.winner === 1, 'a significantly better challenger wins');
+        assert(results.arms[0].control && results.arms[0].vsControl === null && results.arms[1].vsControl.diff === 0.07, 'differences are against the control');
+
+        const tie = thumbnailTestResults(running([{ impressions: 1000, taps: 100 }, { impressions: 1000, taps: 104 }]));
+        assert(tie.ready && tie.winner === null, 'no significant difference keeps the control');
+
+        const stopped = stopTestUpdate(clear, { promote: true });
+        assert(stopped.promoted && stopped.update.thumbnailUrl === 'https://cdn/b.jpg' && stopped.update.thumbnailSelection.by === 'test', 'promote makes the winner the thumbnail');
+        assert(stopped.update['thumbnailTest.status'] === 'stopped' && stopped.update['thumbnailTest.winner'] === 1, 'the winner is recorded');
+        const kept = stopTestUpdate(clear);
+        assert(!kept.promoted && !('thumbnailUrl' in kept.update), 'without promote the thumbnail stays');
+    }
+
+    console.log('thumbnailArm / applyThumbnailTests');
+    {
+        assert(thumbnailArm('user-1', 'reel-1', [0, 1]) === thumbnailArm('user-1', 'reel-1', [0, 1]), 'assignment is stable');
+        assert(thumbnailArm(null, 'reel-1', [0, 1]) === null, 'guests are not assigned');
+        const seen = new Set(Array.from({ length: 50 }, (_, i) => thumbnailArm(`user-${i}`, 'reel-1', [0, 2])));
+        assert(seen.has(0) && seen.has(2) && seen.size === 2, 'users are spread over the arms');
+
+        const tests = testsFromReels([{ _id: 'reel-1', thumbnailTest: { arms: [0, 2] }, thumbnailCandidates: candidates }]);
+        const reels = [{ _id: 'reel-1', thumbnailUrl: 'https://cdn/a.jpg' }, { _id: 'reel-2', thumbnailUrl: 'https://cdn/x.jpg' }];
+        const served = applyThumbnailTests(reels, 'user-1', tests);
+        const arm = thumbnailArm('user-1', 'reel-1', [0, 2]);
+        assert(served[0].thumbnailVariant === arm && served[0].thumbnailUrl === candidates[arm].url && served[0].thumbnailBlurhash === candidates[arm].blurhash, 'tested reels get the user\'s arm');
+        assert(served[1] === reels[1], 'other reels pass through');
+        assert(applyThumbnailTests(reels, null, tests) === reels, 'guests see the current thumbnail');
+    }
+
+    console.log('thumbnailEventOps');
+    {
+        const startedAt = new Date('2026-01-01T00:00:00Z');
+        const tests = testsFromReels([{ _id: 'reel-1', thumbnailTest: { arms: [0, 2], startedAt }, thumbnailCandidates: candidates }]);
+        const served = thumbnailArm('user-1', 'reel-1', [0, 2]);
+        const other = served === 0 ? 2 : 0;
+        const { ops, keys, rejected, duplicate } = thumbnailEventOps([
+            { reelId: 'reel-1', variant: served, type: 'impression' },
+            { reelId: 'reel-1', variant: served, type: 'impression' },
+            { reelId: 'reel-1', variant: served, type: 'tap' },
+            { reelId: 'reel-1', variant: other, type: 'tap' }, // not the user's arm
+            { reelId: 'reel-1', variant: 1, type: 'tap' }, // not an arm
+            { reelId: 'reel-9', variant: 0, type: 'tap' }, // no test
+            { reelId: 'reel-1', variant: served, type: 'swipe' },
+            null,
+        ], 'user-1', tests);
+        assert(ops.length === 2 && rejected === 5 && duplicate === 1, 'only the user\'s arm counts, once per type');
+        assert(ops[0].updateOne.update.$inc[`thumbnailCandidates.${served}.impressions`] === 1 && ops[1].updateOne.update.$inc[`thumbnailCandidates.${served}.taps`] === 1, 'one $inc per event');
+        assert(ops[0].updateOne.filter['thumbnailTest.status'] === 'running' && ops[0].updateOne.filter['thumbnailTest.arms'] === served, 'writes only land while the test runs with that arm');
+        assert(keys[0] === `thumb_evt:reel-1:${startedAt.getTime()}:user-1:impression`, 'dedupe keys are per test run, user and type');
+        assert(thumbnailEventOps([{ reelId: 'reel-1', variant: served, type: 'tap' }], null, tests).rejected === 1, 'guests are not counted');
+    }
+
+    console.log('recordThumbnailEvents');
+    {
+        const counts = await recordThumbnailEvents([{ reelId: 'reel-9', variant: 0, type: 'tap' }], 'user-1', new Map());
+        assert(counts.accepted === 0 && counts.rejected === 1 && counts.duplicate === 0, 'nothing is written when no event counts');
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed === 0 ? 0 : 1);
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -2,6 +2,18 @@ const axios = require('axios');
 const sharp = require('sharp');
 const { encode } = require('blurhash');
 
+// Blurhash of an image already in memory (e.g. a freshly cut reel
+// thumbnail). Throws on undecodable input.
+async function blurhashFromBuffer(buffer) {
+    const { data: pixels, info } = await sharp(buffer)
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return encode(new Uint8ClampedArray(pixels), info.width, info.height, 4, 3);
+}
+
 async function generateBlurhash(imageUrl) {
     if (!imageUrl) return null;
     try {
@@ -13,17 +25,11 @@ async function generateBlurhash(imageUrl) {
             }
         });
 
-        const { data: pixels, info } = await sharp(Buffer.from(data))
-            .resize(32, 32, { fit: 'inside' })
-            .ensureAlpha()
-            .raw()
-            .toBuffer({ resolveWithObject: true });
-
-        return encode(new Uint8ClampedArray(pixels), info.width, info.height, 4, 3);
+        return await blurhashFromBuffer(Buffer.from(data));
     } catch (err) {
         console.warn(`⚠️ Blurhash generation failed for ${imageUrl}:`, err.message);
         return null;
     }
 }
 
-module.exports = { generateBlurhash };
+module.exports = { generateBlurhash, blurhashFromBuffer };
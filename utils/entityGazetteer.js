@@ -0,0 +1,198 @@
+/**
+ * Gazetteer of Gulf entities — GCC places, the big state companies and
+ * authorities, and rulers — with English, Arabic and Farsi aliases.
+ *
+ * Two jobs: deterministic extraction that works without the LLM, and
+ * normalisation — the LLM's "Abu Dhabi National Oil Company" and an Arabic
+ * article's "أدنوك" both resolve to `co:adnoc`, so entity pages aggregate
+ * across languages.
+ *
+ * Matching is longest-first over normalised tokens, so "Qatar Airways"
+ * wins over "Qatar" and "Dubai Police" over "Dubai". Keep aliases
+ * unambiguous: "Emirates" alone is the country as often as the airline,
+ * so the airline only matches with a qualifier.
+ *
+ * Pure data + functions; services/entityExtraction.js does the rest.
+ */
+
+const TYPE_PREFIX = {
+    person: 'per',
+    organization: 'org',
+    location: 'loc',
+    company: 'co',
+};
+
+// [id, type, { english, arabic, farsi }, extra aliases, display names not to
+// match on]. Display names that are also common words (عمان is Amman as
+// well as Oman; كريم is "generous") go in the last list.
+const ENTRIES = [
+    // GCC states
+    ['loc:uae', 'location', { english: 'United Arab Emirates', arabic: 'الإمارات', farsi: 'امارات' }, ['UAE', 'الإمارات العربية المتحدة', 'امارات متحده عربی']],
+    ['loc:saudi-arabia', 'location', { english: 'Saudi Arabia', arabic: 'السعودية', farsi: 'عربستان سعودی' }, ['KSA', 'المملكة العربية السعودية', 'عربستان']],
+    ['loc:qatar', 'location', { english: 'Qatar', arabic: 'قطر', farsi: 'قطر' }, []],
+    ['loc:kuwait', 'location', { english: 'Kuwait', arabic: 'الكويت', farsi: 'کویت' }, []],
+    ['loc:bahrain', 'location', { english: 'Bahrain', arabic: 'البحرين', farsi: 'بحرین' }, []],
+    ['loc:oman', 'location', { english: 'Oman', arabic: 'عمان', farsi: 'عمان' }, ['سلطنة عمان'], ['عمان']],
+    // Emirates and cities
+    ['loc:dubai', 'location', { english: 'Dubai', arabic: 'دبي', farsi: 'دبی' }, []],
+    ['loc:abu-dhabi', 'location', { english: 'Abu Dhabi', arabic: 'أبوظبي', farsi: 'ابوظبی' }, ['أبو ظبي']],
+    ['loc:sharjah', 'location', { english: 'Sharjah', arabic: 'الشارقة', farsi: 'شارجه' }, []],
+    ['loc:ajman', 'location', { english: 'Ajman', arabic: 'عجمان', farsi: 'عجمان' }, []],
+    ['loc:ras-al-khaimah', 'location', { english: 'Ras Al Khaimah', arabic: 'رأس الخيمة', farsi: 'راس الخیمه' }, ['RAK']],
+    ['loc:fujairah', 'location', { english: 'Fujairah', arabic: 'الفجيرة', farsi: 'فجیره' }, []],
+    ['loc:umm-al-quwain', 'location', { english: 'Umm Al Quwain', arabic: 'أم القيوين', farsi: 'ام القیوین' }, []],
+    ['loc:al-ain', 'location', { english: 'Al Ain', arabic: 'العين', farsi: 'العین' }, ['مدينة العين'], ['العين']],
+    ['loc:riyadh', 'location', { english: 'Riyadh', arabic: 'الرياض', farsi: 'ریاض' }, []],
+    ['loc:jeddah', 'location', { english: 'Jeddah', arabic: 'جدة', farsi: 'جده' }, []],
+    ['loc:mecca', 'location', { english: 'Mecca', arabic: 'مكة المكرمة', farsi: 'مکه' }, ['Makkah', 'مكة']],
+    ['loc:medina', 'location', { english: 'Medina', arabic: 'المدينة المنورة', farsi: 'مدینه' }, ['Madinah']],
+    ['loc:dammam', 'location', { english: 'Dammam', arabic: 'الدمام', farsi: 'دمام' }, []],
+    ['loc:neom', 'location', { english: 'NEOM', arabic: 'نيوم', farsi: 'نئوم' }, []],
+    ['loc:doha', 'location', { english: 'Doha', arabic: 'الدوحة', farsi: 'دوحه' }, []],
+    ['loc:kuwait-city', 'location', { english: 'Kuwait City', arabic: 'مدينة الكويت', farsi: 'کویت سیتی' }, []],
+    ['loc:manama', 'location', { english: 'Manama', arabic: 'المنامة', farsi: 'منامه' }, []],
+    ['loc:muscat', 'location', { english: 'Muscat', arabic: 'مسقط', farsi: 'مسقط' }, []],
+    ['loc:salalah', 'location', { english: 'Salalah', arabic: 'صلالة', farsi: 'صلاله' }, []],
+
+    // Organisations
+    ['org:gcc', 'organization', { english: 'Gulf Cooperation Council', arabic: 'مجلس التعاون الخليجي', farsi: 'شورای همکاری خلیج فارس' }, ['GCC', 'مجلس التعاون لدول الخليج العربية']],
+    ['org:opec', 'organization', { english: 'OPEC', arabic: 'أوبك', farsi: 'اوپک' }, ['OPEC+', 'أوبك+']],
+    ['org:arab-league', 'organization', { english: 'Arab League', arabic: 'جامعة الدول العربية', farsi: 'اتحادیه عرب' }, []],
+    ['org:rta', 'organization', { english: 'Roads and Transport Authority', arabic: 'هيئة الطرق والمواصلات', farsi: 'اداره راه و ترابری دبی' }, ['RTA']],
+    ['org:dewa', 'organization', { english: 'Dubai Electricity and Water Authority', arabic: 'هيئة كهرباء ومياه دبي', farsi: 'اداره آب و برق دبی' }, ['DEWA']],
+    ['org:dubai-police', 'organization', { english: 'Dubai Police', arabic: 'شرطة دبي', farsi: 'پلیس دبی' }, []],
+    ['org:cbuae', 'organization', { english: 'Central Bank of the UAE', arabic: 'مصرف الإمارات المركزي', farsi: 'بانک مرکزی امارات' }, ['CBUAE', 'UAE Central Bank']],
+    ['org:sama', 'organization', { english: 'Saudi Central Bank', arabic: 'البنك المركزي السعودي', farsi: 'بانک مرکزی عربستان' }, ['SAMA']],
+    ['org:pif', 'organization', { english: 'Public Investment Fund', arabic: 'صندوق الاستثمارات العامة', farsi: 'صندوق سرمایه‌گذاری عمومی' }, ['PIF']],
+
+    // Companies
+    ['co:emirates', 'company', { english: 'Emirates airline', arabic: 'طيران الإمارات', farsi: 'هواپیمایی امارات' }, ['Emirates Airlines', 'Emirates Group']],
+    ['co:etihad', 'company', { english: 'Etihad Airways', arabic: 'الاتحاد للطيران', farsi: 'هواپیمایی اتحاد' }, ['Etihad']],
+    ['co:qatar-airways', 'company', { english: 'Qatar Airways', arabic: 'الخطوط الجوية القطرية', farsi: 'هواپیمایی قطر' }, []],
+    ['co:flydubai', 'company', { english: 'flydubai', arabic: 'فلاي دبي', farsi: 'فلای دبی' }, []],
+    ['co:saudia', 'company', { english: 'Saudia', arabic: 'الخطوط السعودية', farsi: 'هواپیمایی سعودی' }, []],
+    ['co:adnoc', 'company', { english: 'ADNOC', arabic: 'أدنوك', farsi: 'ادنوک' }, ['Abu Dhabi National Oil Company']],
+    ['co:aramco', 'company', { english: 'Saudi Aramco', arabic: 'أرامكو', farsi: 'آرامکو' }, ['Aramco', 'أرامكو السعودية']],
+    ['co:qatarenergy', 'company', { english: 'QatarEnergy', arabic: 'قطر للطاقة', farsi: 'قطر انرژی' }, ['Qatar Energy']],
+    ['co:emaar', 'company', { english: 'Emaar Properties', arabic: 'إعمار', farsi: 'اعمار' }, ['Emaar', 'إعمار العقارية'], ['إعمار']],
+    ['co:dp-world', 'company', { english: 'DP World', arabic: 'موانئ دبي العالمية', farsi: 'دی‌پی ورلد' }, []],
+    ['co:eand', 'company', { english: 'e&', arabic: 'اتصالات', farsi: 'اتصالات' }, ['Etisalat', 'e& group', 'مجموعة اتصالات'], ['اتصالات']],
+    ['co:mubadala', 'company', { english: 'Mubadala', arabic: 'مبادلة', farsi: 'مبادله' }, ['شركة مبادلة'], ['مبادلة', 'مبادله']],
+    ['co:sabic', 'company', { english: 'SABIC', arabic: 'سابك', farsi: 'سابیک' }, []],
+    ['co:stc', 'company', { english: 'stc', arabic: 'الاتصالات السعودية', farsi: 'مخابرات عربستان' }, ['Saudi Telecom']],
+    ['co:ooredoo', 'company', { english: 'Ooredoo', arabic: 'أريد', farsi: 'اوریدو' }, [], ['أريد']],
+    ['co:emirates-nbd', 'company', { english: 'Emirates NBD', arabic: 'الإمارات دبي الوطني', farsi: 'بانک امارات ان‌بی‌دی' }, []],
+    ['co:fab', 'company', { english: 'First Abu Dhabi Bank', arabic: 'بنك أبوظبي الأول', farsi: 'بانک اول ابوظبی' }, []],
+    ['co:al-rajhi', 'company', { english: 'Al Rajhi Bank', arabic: 'مصرف الراجحي', farsi: 'بانک الراجحی' }, []],
+    ['co:careem', 'company', { english: 'Careem', arabic: 'كريم', farsi: 'کریم' }, [], ['كريم', 'کریم']],
+    ['co:majid-al-futtaim', 'company', { english: 'Majid Al Futtaim', arabic: 'ماجد الفطيم', farsi: 'ماجد الفطیم' }, []],
+
+    // Rulers and leaders
+    ['per:mohamed-bin-zayed', 'person', { english: 'Mohamed bin Zayed', arabic: 'محمد بن زايد', farsi: 'محمد بن زاید' }, ['Mohammed bin Zayed', 'MBZ']],
+    ['per:mohammed-bin-rashid', 'person', { english: 'Mohammed bin Rashid', arabic: 'محمد بن راشد', farsi: 'محمد بن راشد' }, ['Mohammed bin Rashid Al Maktoum']],
+    ['per:hamdan-bin-mohammed', 'person', { english: 'Hamdan bin Mohammed', arabic: 'حمدان بن محمد', farsi: 'حمدان بن محمد' }, []],
+    ['per:mohammed-bin-salman', 'person', { english: 'Mohammed bin Salman', arabic: 'محمد بن سلمان', farsi: 'محمد بن سلمان' }, ['MBS']],
+    ['per:king-salman', 'person', { english: 'King Salman', arabic: 'الملك سلمان', farsi: 'ملک سلمان' }, ['Salman bin Abdulaziz', 'سلمان بن عبدالعزيز']],
+    ['per:tamim-bin-hamad', 'person', { english: 'Tamim bin Hamad', arabic: 'تميم بن حمد', farsi: 'تمیم بن حمد' }, []],
+    ['per:mishal-al-ahmad', 'person', { english: 'Mishal Al-Ahmad', arabic: 'مشعل الأحمد', farsi: 'مشعل الاحمد' }, []],
+    ['per:hamad-bin-isa', 'person', { english: 'Hamad bin Isa', arabic: 'حمد بن عيسى', farsi: 'حمد بن عیسی' }, []],
+    ['per:haitham-bin-tarik', 'person', { english: 'Haitham bin Tarik', arabic: 'هيثم بن طارق', farsi: 'هیثم بن طارق' }, ['Haitham bin Tariq']],
+];
+
+// Attached Arabic proclitics (و ب ل ف ك) tried off the front of a token.
+const PROCLITIC = /^[وبلفك]/;
+const MAX_ALIAS_TOKENS = 6;
+const MAX_TEXT_CHARS = 6000;
+
+/**
+ * Fold a string for matching: lowercase, strip Arabic diacritics and
+ * tatweel, unify alef/ya/ta-marbuta variants and Persian ی/ک with their
+ * Arabic forms, and turn ZWNJ into a break.
+ */
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .replace(/ی/g, 'ي')
+        .replace(/ک/g, 'ك')
+        .replace(/\u200C/g, ' ');
+}
+
+function tokens(text) {
+    return normalize(text).match(/[\p{L}\p{N}&+]+/gu) || [];
+}
+
+/** ASCII slug for an English name: "Abu Dhabi" → "abu-dhabi". */
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, 'and')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+const BY_ID = new Map();
+// normalised alias (tokens joined by a space) → id
+const ALIAS_INDEX = new Map();
+for (const [id, type, names, extra, displayOnly = []] of ENTRIES) {
+    BY_ID.set(id, { id, type, name: names.english, names });
+    const skip = new Set(displayOnly);
+    for (const alias of [...Object.values(names), ...extra]) {
+        const key = skip.has(alias) ? null : tokens(alias).join(' ');
+        if (key) ALIAS_INDEX.set(key, id);
+    }
+}
+
+/** Gazetteer entry for an id ({ id, type, name, names }), or null. */
+function gazetteerEntry(id) {
+    return BY_ID.get(id) || null;
+}
+
+/** Gazetteer id for a name in any of its languages, or null. */
+function resolveAlias(name) {
+    return ALIAS_INDEX.get(tokens(name).join(' ')) || null;
+}
+
+/**
+ * Gazetteer matches in a text: Map<id, mentions>. Greedy longest-first, so
+ * overlapping aliases count once, for the longest.
+ */
+function matchGazetteer(text) {
+    const toks = tokens(String(text || '').slice(0, MAX_TEXT_CHARS));
+    const found = new Map();
+    let i = 0;
+    while (i < toks.length) {
+        let matched = 0;
+        for (let n = Math.min(MAX_ALIAS_TOKENS, toks.length - i); n >= 1 && !matched; n--) {
+            const window = toks.slice(i, i + n);
+            const variants = [window.join(' ')];
+            if (PROCLITIC.test(window[0]) && window[0].length > 3) {
+                variants.push([window[0].slice(1), ...window.slice(1)].join(' '));
+            }
+            for (const key of variants) {
+                const id = ALIAS_INDEX.get(key);
+                if (id) {
+                    found.set(id, (found.get(id) || 0) + 1);
+                    matched = n;
+                    break;
+                }
+            }
+        }
+        i += matched || 1;
+    }
+    return found;
+}
+
+module.exports = {
+    TYPE_PREFIX,
+    normalize,
+    slugify,
+    gazetteerEntry,
+    resolveAlias,
+    matchGazetteer,
+};
@@ -1,115 +1,250 @@
 /**
  * Experiments Framework (P3-1).
  *
- * Hash userId to a stable bucket so the same user always sees the same
- * treatment within an experiment. Treatments can override PERS_W
- * weights or feature flags; the scorer reads its weights through
- * `getEffectivePersW(treatment)` instead of the global PERS_W
- * directly.
+ * Experiments live in Mongo (models/Experiment.js) and are managed through
+ * /api/admin/experiments. This module is the hot path: it assigns users to
+ * arms synchronously from an in-memory snapshot of the running experiments,
+ * refreshed in the background every EXPERIMENT_CACHE_TTL_MS.
  *
- * To add a variant:
- *   1. Add an entry to TREATMENTS below with its weight overrides.
- *   2. Adjust the EXPERIMENT.buckets array to include it.
- *   3. Deploy. The treatment will start being assigned on next request.
- *   4. Query UserActivity grouped by `treatment` for the metric you
- *      care about. Compare against 'control'.
+ * Assignment is two hashes, both on userId so the same user always lands in
+ * the same arm:
+ *   1. layer hash  md5(`layer:<layer>:<userId>`) → 0..9999. Each experiment
+ *      in the layer owns [layerOffset, layerOffset + allocation) percent of
+ *      it, so experiments sharing a layer are mutually exclusive and
+ *      experiments in different layers are independent.
+ *   2. arm hash    md5(`<experimentKey>:<userId>`) → 0..9999, split by the
+ *      variant weights. Independent of (1), so resizing an experiment's
+ *      allocation doesn't reshuffle the users already in it.
+ * Targeting (language / city / platform) is checked before either hash;
+ * users outside the target are simply not in the experiment.
  *
- * Currently ships with only `control` configured — no variants are
- * being run. The infrastructure is in place so any future A/B can be
- * wired without touching the scorer or the logging path.
+ * Everyone outside every experiment gets the scorer defaults — the
+ * framework's default state is still "everyone is control".
+ *
+ * `treatment` strings (UserActivity.treatment, X-Treatment) are a compact
+ * label of the user's assignments, e.g. "scoring_v2:vector_heavy", or
+ * 'control' when the user is in no experiment.
  */
 
 const crypto = require('crypto');
+const Experiment = require('../models/Experiment');
+const ExperimentExposure = require('../models/ExperimentExposure');
 
-/**
- * Registry of treatments. Each treatment is identified by a stable
- * string ID (logged + returned to the client) and may carry weight
- * overrides + feature-flag overrides.
- *
- * persWOverrides: partial map merged onto PERS_W at score time.
- * Anything not specified uses the default in routes/articles.js.
- *
- * flags: per-treatment overrides for feature flags. Today none — but
- * this is where you'd put e.g. { explorationRate: 0.20 } or
- * { cohereRerankEnabled: true }.
- */
-const TREATMENTS = {
-  control: {
-    persWOverrides: null,
-    flags: null,
-  },
-  // Example future variants (commented out — uncomment when ready to test):
-  // category_heavy: { persWOverrides: { categoryAffinity: 4.5 }, flags: null },
-  // vector_heavy:   { persWOverrides: { vector: 8.0 },           flags: null },
-};
+const HASH_BUCKETS = 10000;
+const EXPERIMENT_CACHE_TTL_MS = 60 * 1000;
 
-/**
- * The single active experiment. Adding more would mean per-experiment
- * bucketing (independent hashes), which we don't need yet.
- */
-const EXPERIMENT = {
-  id: 'scoring_v1',
-  // Buckets are matched in order — equal-weight by default since the
-  // array determines distribution via modulo on the hash. Keeping all
-  // 100% control until variants are wired.
-  buckets: ['control'],
-};
+let runningExperiments = [];
+let loadedAt = 0;
+let refreshing = null;
 
 /**
  * Deterministic, fast hash. crypto.createHash gives us a stable bucket
  * even across deploys (no PRNG state). MD5 chosen for speed — we're not
  * doing crypto, just consistent assignment.
  */
-function hashUserToBucket(userId, experimentId, bucketCount) {
+function hashUserToBucket(userId, salt, bucketCount) {
   if (!userId || bucketCount < 1) return 0;
   const h = crypto
     .createHash('md5')
-    .update(`${experimentId}:${userId}`)
+    .update(`${salt}:${userId}`)
     .digest();
   // Read first 4 bytes as uint32, mod into bucket count
   const n = h.readUInt32BE(0);
   return n % bucketCount;
 }
 
+/** Reload running experiments from Mongo. Safe to call concurrently. */
+async function refreshExperiments() {
+  if (refreshing) return refreshing;
+  refreshing = Experiment.find({ status: 'running' })
+    .select('key layer allocation layerOffset variants targeting')
+    .lean()
+    .then((docs) => {
+      runningExperiments = docs;
+      loadedAt = Date.now();
+      return docs;
+    })
+    .catch((err) => {
+      // Keep serving the last snapshot; retry on the next TTL expiry.
+      console.warn('⚠️ Failed to refresh experiments:', err.message);
+      loadedAt = Date.now();
+      return runningExperiments;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+/** Current snapshot; kicks off a background refresh when stale. */
+function getRunningExperiments() {
+  if (Date.now() - loadedAt > EXPERIMENT_CACHE_TTL_MS) refreshExperiments();
+  return runningExperiments;
+}
+
+/** { language, city, platform } from a User document (any may be null). */
+function experimentAttributesForUser(user) {
+  if (!user) return {};
+  const tokens = Array.isArray(user.pushTokens) ? user.pushTokens : [];
+  const latest = tokens
+    .filter((t) => t && t.platform)
+    .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))[0];
+  return {
+    language: user.language ? String(user.language).toLowerCase() : null,
+    city: user.city ? String(user.city).toLowerCase() : null,
+    platform: latest ? latest.platform : null,
+  };
+}
+
+function matchesTargeting(experiment, attrs = {}) {
+  const t = experiment.targeting || {};
+  const check = (allowed, value) =>
+    !allowed || allowed.length === 0 ||
+    (value != null && allowed.some((a) => String(a).toLowerCase() === String(value).toLowerCase()));
+  return check(t.languages, attrs.language) && check(t.cities, attrs.city) && check(t.platforms, attrs.platform);
+}
+
+/** Variant key for one experiment, or null when the user isn't in it. */
+function assignVariant(experiment, userId, attrs = {}) {
+  if (!userId || !experiment.variants?.length) return null;
+  if (!matchesTargeting(experiment, attrs)) return null;
+
+  const layerBucket = hashUserToBucket(userId, `layer:${experiment.layer || 'default'}`, HASH_BUCKETS);
+  const start = Math.round((experiment.layerOffset || 0) * (HASH_BUCKETS / 100));
+  const end = start + Math.round((experiment.allocation || 0) * (HASH_BUCKETS / 100));
+  if (layerBucket < start || layerBucket >= end) return null;
+
+  const total = experiment.variants.reduce((sum, v) => sum + Math.max(0, v.weight ?? 1), 0);
+  if (total <= 0) return null;
+  const point = (hashUserToBucket(userId, experiment.key, HASH_BUCKETS) / HASH_BUCKETS) * total;
+  let acc = 0;
+  for (const v of experiment.variants) {
+    acc += Math.max(0, v.weight ?? 1);
+    if (point < acc) return v.key;
+  }
+  return experiment.variants[experiment.variants.length - 1].key;
+}
+
+/**
+ * All of a user's assignments: { [experimentKey]: variantKey }. Pass the
+ * user's attributes (experimentAttributesForUser) or targeted experiments
+ * can't match.
+ */
+function getAssignments(userId, attrs = {}, experiments = getRunningExperiments()) {
+  const assignments = {};
+  if (!userId) return assignments;
+  for (const exp of experiments) {
+    const variant = assignVariant(exp, userId, attrs);
+    if (variant) assignments[exp.key] = variant;
+  }
+  return assignments;
+}
+
+/** "exp_a:arm,exp_b:arm" (sorted), or 'control' when in no experiment. */
+function treatmentLabel(assignments) {
+  const keys = Object.keys(assignments || {}).sort();
+  if (keys.length === 0) return 'control';
+  return keys.map((k) => `${k}:${assignments[k]}`).join(',');
+}
+
 /**
- * Assign a treatment for the given userId. Guests / anonymous → control.
- * Always returns a valid treatment ID, never null — the framework's
- * default state is "everyone is control".
+ * Treatment label for a user. Guests / anonymous → control. Always
+ * returns a string, never null.
  */
-function getTreatmentForUser(userId) {
+function getTreatmentForUser(userId, attrs = {}) {
   if (!userId) return 'control';
-  const idx = hashUserToBucket(userId, EXPERIMENT.id, EXPERIMENT.buckets.length);
-  const id = EXPERIMENT.buckets[idx];
-  return TREATMENTS[id] ? id : 'control';
+  return treatmentLabel(getAssignments(userId, attrs));
+}
+
+function variantsFor(assignments, experiments = getRunningExperiments()) {
+  const out = [];
+  for (const exp of experiments) {
+    const key = assignments?.[exp.key];
+    if (!key) continue;
+    const v = exp.variants.find((x) => x.key === key);
+    if (v) out.push(v);
+  }
+  return out;
+}
+
+/**
+ * Produce the effective PERS_W for a user's assignments by merging every
+ * assigned variant's overrides onto the default. Default PERS_W is passed
+ * in so we don't create a circular require with services/feedRanking.js.
+ */
+function getEffectivePersW(assignments, defaultPersW, experiments) {
+  const overrides = variantsFor(assignments, experiments).filter((v) => v.persWOverrides);
+  if (overrides.length === 0) return defaultPersW;
+  return Object.assign({}, defaultPersW, ...overrides.map((v) => v.persWOverrides));
 }
 
 /**
- * Produce the effective PERS_W for a treatment by merging overrides
- * onto the default. Default PERS_W is imported via the callback so
- * we don't create a circular require with routes/articles.js.
+ * Effective /api/home layout, merged like getEffectivePersW: every assigned
+ * variant's homeLayout onto the default (services/homeFeed.js HOME_LAYOUT).
  */
-function getEffectivePersW(treatmentId, defaultPersW) {
-  const t = TREATMENTS[treatmentId];
-  if (!t || !t.persWOverrides) return defaultPersW;
-  return { ...defaultPersW, ...t.persWOverrides };
+function getEffectiveHomeLayout(assignments, defaultLayout, experiments) {
+  const overrides = variantsFor(assignments, experiments).filter((v) => v.homeLayout);
+  if (overrides.length === 0) return defaultLayout;
+  return Object.assign({}, defaultLayout, ...overrides.map((v) => v.homeLayout));
 }
 
 /**
- * Effective flag value for a treatment. Returns the override if set,
- * else the fallback (typically the env-var-based default).
+ * Effective flag value for a user's assignments. Returns the override if
+ * any assigned variant sets it, else the fallback (typically the env-var
+ * based default).
  */
-function getTreatmentFlag(treatmentId, flagName, fallback) {
-  const t = TREATMENTS[treatmentId];
-  if (t?.flags && Object.prototype.hasOwnProperty.call(t.flags, flagName)) {
-    return t.flags[flagName];
+function getTreatmentFlag(assignments, flagName, fallback, experiments) {
+  for (const v of variantsFor(assignments, experiments)) {
+    if (v.flags && Object.prototype.hasOwnProperty.call(v.flags, flagName)) {
+      return v.flags[flagName];
+    }
   }
   return fallback;
 }
 
+/**
+ * Record that a feed was served under the user's assignments. Fire-and-
+ * forget: one upsert per experiment, never blocks or fails the response.
+ */
+function logExposure(userId, assignments, { impressions = 0, attrs = {} } = {}) {
+  const keys = Object.keys(assignments || {});
+  if (!userId || keys.length === 0) return;
+  const now = new Date();
+  for (const experimentKey of keys) {
+    ExperimentExposure.updateOne(
+      { experimentKey, userId },
+      {
+        $setOnInsert: {
+          variant: assignments[experimentKey],
+          firstExposedAt: now,
+          language: attrs.language || null,
+          city: attrs.city || null,
+          platform: attrs.platform || null,
+        },
+        $set: { lastExposedAt: now },
+        $inc: { requests: 1, impressions },
+      },
+      { upsert: true }
+    ).catch((err) => {
+      // A concurrent first exposure races on the unique index; the other write won.
+      if (err.code !== 11000) console.warn(`⚠️ Failed to log exposure for ${experimentKey}:`, err.message);
+    });
+  }
+}
+
 module.exports = {
-  EXPERIMENT_ID: EXPERIMENT.id,
-  TREATMENTS,
+  HASH_BUCKETS,
+  hashUserToBucket,
+  refreshExperiments,
+  getRunningExperiments,
+  experimentAttributesForUser,
+  matchesTargeting,
+  assignVariant,
+  getAssignments,
+  treatmentLabel,
   getTreatmentForUser,
   getEffectivePersW,
+  getEffectiveHomeLayout,
   getTreatmentFlag,
+  logExposure,
 };
@@ -0,0 +1,122 @@
+/**
+ * Near-duplicate fingerprints for articles (MinHash + LSH banding).
+ *
+ * The same wire story is republished by several outlets with small edits —
+ * a new intro line, a trimmed paragraph, a local headline. URL/title dedupe
+ * (scripts/remove-duplicates*.js) can't see that, so we fingerprint the text
+ * itself: word 3-shingles of title + body, summarised as a 64-value MinHash
+ * signature. The fraction of matching signature slots estimates the Jaccard
+ * similarity of the two shingle sets.
+ *
+ * MinHash rather than SimHash because it bands cleanly for lookup: the
+ * signature is cut into LSH_BANDS bands of LSH_ROWS values, each band hashed
+ * to a short key stored on the article. Two articles that share any band key
+ * are candidates — an ordinary multikey index query instead of a Hamming
+ * scan. With 16 × 4 a pair is a candidate with probability ~64% at Jaccard
+ * 0.5, ~97% at 0.65 and > 99% at 0.8, while unrelated stories (≈ 0.05) almost
+ * never are.
+ *
+ * Pure functions only; services/storyClusters.js does the Mongo side.
+ */
+
+const SIGNATURE_SIZE = 64;
+const LSH_BANDS = 16;
+const LSH_ROWS = SIGNATURE_SIZE / LSH_BANDS;
+const SHINGLE_SIZE = 3;
+// Enough body text to identify a story; long tails (related links, bios) add noise.
+const MAX_TEXT_CHARS = 3000;
+
+/** 32-bit FNV-1a. */
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/** murmur3 finalizer — turns (hash ^ seed) into an independent-looking permutation. */
+function mix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// Fixed seeds so signatures stay comparable across processes and deploys.
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(0x9e3779b9 + i * 0x6d2b79f5));
+
+/**
+ * Lowercased word tokens. Unicode-aware so Arabic/Farsi sources fingerprint
+ * too; markdown, punctuation and digits-only tokens are dropped.
+ */
+function tokenize(text) {
+    return (String(text || '').slice(0, MAX_TEXT_CHARS).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(t => !/^\d+$/.test(t));
+}
+
+/** Set of word n-gram hashes. Very short texts fall back to single words. */
+function shingles(text, size = SHINGLE_SIZE) {
+    const tokens = tokenize(text);
+    const out = new Set();
+    if (tokens.length < size) {
+        for (const t of tokens) out.add(fnv1a(t));
+        return out;
+    }
+    for (let i = 0; i <= tokens.length - size; i++) {
+        out.add(fnv1a(tokens.slice(i, i + size).join(' ')));
+    }
+    return out;
+}
+
+/** MinHash signature of a shingle set, or null when there is nothing to hash. */
+function minhash(shingleSet) {
+    if (!shingleSet || shingleSet.size === 0) return null;
+    const sig = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const s of shingleSet) {
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const v = mix32(s ^ SEEDS[i]);
+            if (v < sig[i]) sig[i] = v;
+        }
+    }
+    return sig;
+}
+
+/** LSH band keys, e.g. '3:9f1c22ab'. The band index keeps bands from colliding with each other. */
+function lshBands(signature) {
+    if (!signature) return [];
+    const bands = [];
+    for (let b = 0; b < LSH_BANDS; b++) {
+        const rows = signature.slice(b * LSH_ROWS, (b + 1) * LSH_ROWS).join(',');
+        bands.push(`${b}:${fnv1a(rows).toString(16)}`);
+    }
+    return bands;
+}
+
+/** Estimated Jaccard similarity of two signatures in [0, 1]. */
+function estimateJaccard(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+    let same = 0;
+    for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+    return same / a.length;
+}
+
+/** Fingerprint an article's title + body. */
+function fingerprint(title, content) {
+    const signature = minhash(shingles(`${title || ''} ${content || ''}`));
+    return { minhash: signature, lshBands: lshBands(signature) };
+}
+
+module.exports = {
+    SIGNATURE_SIZE,
+    LSH_BANDS,
+    tokenize,
+    shingles,
+    minhash,
+    lshBands,
+    estimateJaccard,
+    fingerprint,
+};
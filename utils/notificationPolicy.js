@@ -46,6 +46,9 @@ const SETTING_DEFAULTS = {
     // Goal/kickoff pushes for followed teams (targeted, not broadcast-budgeted;
     // following a team is the opt-in — this switch is the opt-out)
     matchAlerts: true,
+    // Developments in followed stories (models/Story.js). Targeted like
+    // matchAlerts: following the story is the opt-in.
+    storyUpdates: true,
     // Direct messages — transactional like follows/likes, not broadcast-budgeted.
     // Users expect DM pushes in real time regardless of quiet hours.
     directMessages: true,
@@ -288,6 +288,28 @@ class NotificationService {
         );
     }
 
+    /**
+     * Notify a developing story's followers that a significant new article
+     * joined it. Targeted (the follow is the opt-in), so not broadcast-budgeted.
+     * @param {Array} userIds - Supabase IDs of the story's followers
+     * @param {Object} story - Story document ({ _id, title })
+     * @param {Object} article - The new article ({ _id, title })
+     */
+    static async sendStoryUpdateNotifications(userIds, story, article) {
+        return await this.sendBulkNotification(
+            userIds,
+            'storyUpdates',
+            `Update: ${story.title}`,
+            article.title,
+            {
+                type: 'story_update',
+                storyId: String(story._id),
+                articleId: String(article._id),
+                link: `gulfio://story/${story._id}`
+            }
+        );
+    }
+
     /**
      * Send weekly digest notification
      * @param {string} userId - The user ID to send notification to
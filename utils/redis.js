@@ -140,6 +140,31 @@ module.exports = {
             console.warn('Redis EXPIRE error:', error.message);
         }
     },
+    hgetall: async (key) => {
+        if (!redis) return {};
+        try {
+            return await redis.hgetall(key);
+        } catch (error) {
+            console.warn('Redis HGETALL error:', error.message);
+            return {};
+        }
+    },
+    // Runs the commands ([name, ...args] arrays) as one MULTI/EXEC, so no
+    // other client's command lands between them. Returns each command's
+    // result in order, or null when unavailable or any command failed.
+    multi: async (commands) => {
+        if (!redis) return null;
+        try {
+            const results = await redis.multi(commands).exec();
+            if (!results) return null;
+            const failure = results.find(([err]) => err);
+            if (failure) throw failure[0];
+            return results.map(([, value]) => value);
+        } catch (error) {
+            console.warn('Redis MULTI error:', error.message);
+            return null;
+        }
+    },
     keys: async (pattern) => {
         if (!redis) return [];
         try {